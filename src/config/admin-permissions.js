@@ -0,0 +1,508 @@
+// ============================================================
+// FILE: src/config/admin-permissions.js
+// Admin RBAC — what each role may do, and which permission every
+// admin API route needs.
+//
+// A permission is 'resource.action'. Roles store them the way
+// admin_roles.permissions always has: { resource: { action: true } },
+// which is what adminAuthService.hasPermission() reads.
+//
+// ROUTE_PERMISSIONS is keyed by 'METHOD path', where path is the pattern
+// exactly as written in admin.routes.js (req.route.path). The auth
+// middleware looks the route up on every request:
+//   'resource.action' — the role needs that permission
+//   null              — any signed-in admin (logout, who-am-I)
+//   missing           — refused. A new route has to be added here before
+//                       anyone but a super admin can call it; admin.routes
+//                       logs the unmapped ones at startup.
+// Super admins skip the lookup entirely.
+// ============================================================
+
+/**
+ * Every resource and the actions it supports, with the labels the
+ * Roles page shows. Order here is the order on the page.
+ */
+const RESOURCES = {
+    dashboard:    { label: 'Overview & analytics',  actions: { read: 'View' } },
+    users:        { label: 'Players',               actions: { read: 'View', suspend: 'Suspend / unsuspend' } },
+    payouts:      { label: 'Payouts',               actions: { read: 'View', approve: 'Approve / cancel / forfeit', disburse: 'Send money / mark paid' } },
+    financials:   { label: 'Financials',            actions: { read: 'View', export: 'Export', refund: 'Refund payments' } },
+    kyc:          { label: 'KYC',                   actions: { read: 'View', review: 'Approve / reject' } },
+    fraud:        { label: 'Fraud & security',      actions: { read: 'View', resolve: 'Clear / resolve' } },
+    watchlist:    { label: 'Watchlist',             actions: { read: 'View', write: 'Edit' } },
+    tournaments:  { label: 'Tournaments',           actions: { read: 'View', write: 'Create / edit', end: 'End / award results' } },
+    sponsors:     { label: 'Sponsors',              actions: { read: 'View & reports', write: 'Create / edit / logins' } },
+    referrals:    { label: 'Referral tiers',        actions: { read: 'View', write: 'Edit' } },
+    promos:       { label: 'Promo codes',           actions: { read: 'View', write: 'Create / edit' } },
+    questions:    { label: 'Questions',             actions: { read: 'View', write: 'Write / import', review: 'Review flagged' } },
+    reviews:      { label: 'Player reviews',        actions: { read: 'View', moderate: 'Approve / reject / feature' } },
+    content:      { label: 'Site content',          actions: { read: 'View', write: 'Edit' } },
+    achievements: { label: 'Badges',                actions: { read: 'View', write: 'Edit' } },
+    streaks:      { label: 'Streaks',               actions: { read: 'View', write: 'Grant freezes' } },
+    live_shows:   { label: 'Live shows',            actions: { read: 'View', run: 'Schedule / start / cancel' } },
+    love_quest:   { label: 'Love Quest',            actions: { read: 'View', write: 'Edit bookings' } },
+    messaging:    { label: 'Messaging',             actions: { read: 'View', send: 'Send / broadcast' } },
+    newsletter:   { label: 'Newsletter',            actions: { read: 'View', export: 'Export emails' } },
+    audit:        { label: 'Audit trail',           actions: { read: 'View', export: 'Print / export', cleanup: 'Clean up' } },
+    settings:     { label: 'Toggles & formats',     actions: { read: 'View', write: 'Change' } },
+    system:       { label: 'System',                actions: { read: 'View', write: 'Clear queues / caches' } },
+    admins:       { label: 'Admins & roles',        actions: { read: 'View', manage: 'Create / edit' } }
+};
+
+const ROUTE_PERMISSIONS = {
+    // Any signed-in admin
+    'POST /api/logout': null,
+    'GET /api/me': null,
+    'GET /api/2fa/status': null,
+    'POST /api/2fa/setup': null,
+    'POST /api/2fa/confirm': null,
+    'POST /api/2fa/disable': null,
+    'POST /api/step-up': null,
+
+    // Overview, analytics and leaderboards
+    'GET /api/stats':                             'dashboard.read',
+    'GET /api/stats/platform-overview':           'dashboard.read',
+    'GET /api/stats/platform-comparison':         'dashboard.read',
+    'GET /api/activity/live':                     'dashboard.read',
+    'GET /api/health/platforms':                  'dashboard.read',
+    'GET /api/stats/quick':                       'dashboard.read',
+    'GET /api/analytics':                         'dashboard.read',
+    'GET /api/analytics/user-activity':           'dashboard.read',
+    'GET /api/analytics/conversion-funnel':       'dashboard.read',
+    'GET /api/analytics/retention':               'dashboard.read',
+    'GET /api/analytics/games-count':             'dashboard.read',
+    'GET /api/analytics/peak-times':              'dashboard.read',
+    'GET /api/analytics/lga-performance':         'dashboard.read',
+    'GET /api/analytics/enhanced':                'dashboard.read',
+    'GET /api/analytics/categories':              'dashboard.read',
+    'GET /api/analytics/users/daily':             'dashboard.read',
+    'GET /api/analytics/users/weekly':            'dashboard.read',
+    'GET /api/analytics/users/monthly':           'dashboard.read',
+    'GET /api/analytics/users/growth-summary':    'dashboard.read',
+    'GET /api/leaderboard/global':                'dashboard.read',
+    'GET /api/leaderboard/:platform':             'dashboard.read',
+    'GET /api/leaderboard/timeframe/:timeframe':  'dashboard.read',
+    'GET /api/analytics/referrals/stats':         'dashboard.read',
+    'GET /api/analytics/referrals/top':           'dashboard.read',
+    'GET /api/analytics/revenue/stats':           'dashboard.read',
+    'GET /api/analytics/revenue/daily':           'dashboard.read',
+    'GET /api/analytics/games/stats':             'dashboard.read',
+    'GET /api/stats/wins':                        'dashboard.read',
+    'GET /api/acquisition-sources':               'dashboard.read',
+    'GET /api/acquisition-sources/:source/users': 'dashboard.read',
+
+    // Players
+    'GET /api/users/platform':            'users.read',
+    'GET /api/users/recent':              'users.read',
+    'GET /api/users':                     'users.read',
+    'GET /api/users/suspended':           'users.read',
+    'POST /api/users/:id/suspend':        'users.suspend',
+    'POST /api/users/:id/unsuspend':      'users.suspend',
+    'GET /api/users/cooldown':            'users.read',
+    'POST /api/users/:id/clear-cooldown': 'users.suspend',
+    'GET /api/users/daily-limit':         'users.read',
+    'GET /api/users/:id/profile':         'users.read',
+    'GET /api/users/search':              'users.read',
+
+    // Prize payouts and victory cards
+    'GET /api/payouts/platform':              'payouts.read',
+    'GET /api/payouts/recent':                'payouts.read',
+    'GET /api/payouts/pending':               'payouts.read',
+    'GET /api/payouts/history':               'payouts.read',
+    'GET /api/payouts/auto/status':           'payouts.read',
+    'GET /api/payouts/:id/transfers':         'payouts.read',
+    'POST /api/payouts/:id/disburse':         'payouts.disburse',
+    'POST /api/payouts/disburse-approved':    'payouts.disburse',
+    'GET /api/payouts/batches':               'payouts.read',
+    'POST /api/payouts/batches/:id/approve':  'payouts.approve',
+    'POST /api/payouts/batches/:id/reject':   'payouts.approve',
+    'GET /api/payout-approvals':              'payouts.read',
+    'POST /api/payout-approvals/:id/approve': 'payouts.approve',
+    'POST /api/payout-approvals/:id/reject':  'payouts.approve',
+    'GET /api/payouts/:id':                   'payouts.read',
+    'POST /api/payouts/:id/approve':          'payouts.approve',
+    'POST /api/payouts/:id/mark-paid':        'payouts.disburse',
+    'POST /api/payouts/:id/cancel':           'payouts.approve',
+    'POST /api/payouts/bulk-cancel':          'payouts.approve',
+    'POST /api/payouts/:id/reverify':         'payouts.approve',
+    'GET /api/victory-cards':                 'payouts.read',
+    'GET /api/winners/recent':                'payouts.read',
+    'POST /api/victory-cards/:id/regenerate': 'payouts.approve',
+    'GET /api/payouts/forfeitable':           'payouts.read',
+    'POST /api/payouts/:id/forfeit':          'payouts.approve',
+    'POST /api/payouts/forfeit-expired':      'payouts.approve',
+
+    // Financial dashboard
+    'GET /api/financials/overview':                    'financials.read',
+    'GET /api/financials/token-revenue':               'financials.read',
+    'GET /api/financials/tournament-revenue':          'financials.read',
+    'GET /api/financials/love-quest-revenue':          'financials.read',
+    'GET /api/financials/classic-winnings':            'financials.read',
+    'GET /api/financials/payouts':                     'financials.read',
+    'GET /api/financials/top-winners':                 'financials.read',
+    'GET /api/financials/operations':                  'financials.read',
+    'GET /api/financials/payout-aging':                'financials.read',
+    'GET /api/financials/payout-speed':                'financials.read',
+    'GET /api/financials/gateways':                    'financials.read',
+    'GET /api/financials/by-platform':                 'financials.read',
+    'GET /api/financials/tournament-pnl':              'financials.read',
+    'GET /api/financials/credit-burn':                 'financials.read',
+    'GET /api/financials/cohorts':                     'financials.read',
+    'GET /api/financials/kpis':                        'financials.read',
+    'GET /api/financials/trends':                      'financials.read',
+    'GET /api/financials/comparison':                  'financials.read',
+    'GET /api/financials/forecast':                    'financials.read',
+    'GET /api/financials/churn-impact':                'financials.read',
+    'GET /api/financials/reconciliation':              'financials.read',
+    'GET /api/financials/user/:id/ledger':             'financials.read',
+    'POST /api/financials/payments/:reference/refund': 'financials.refund',
+    'GET /api/financials/transaction/:id':             'financials.read',
+    'GET /api/financials/user/:id':                    'financials.read',
+    'GET /api/financials/export':                      'financials.export',
+
+    // Identity verification
+    'GET /api/kyc/pending':                                 'kyc.read',
+    'GET /api/kyc/all':                                     'kyc.read',
+    'GET /api/kyc/user/:userId':                            'kyc.read',
+    'GET /api/kyc/:kycId(\\d+)':                            'kyc.read',
+    'GET /api/kyc/:kycId(\\d+)/document/:kind(id|selfie)': 'kyc.read',
+    'POST /api/kyc/:kycId/approve':                         'kyc.review',
+    'POST /api/kyc/:kycId/reject':                          'kyc.review',
+
+    // Fraud and security
+    'GET /api/fraud/flagged-users':                     'fraud.read',
+    'GET /api/fraud/suspicious-sessions':               'fraud.read',
+    'GET /api/fraud/user/:id':                          'fraud.read',
+    'POST /api/fraud/user/:id/clear':                   'fraud.resolve',
+    'GET /api/fraud/user/:id/answer-pattern':           'fraud.read',
+    'GET /api/fraud/user/:id/devices':                  'fraud.read',
+    'GET /api/fraud/user/:id/photos':                   'fraud.read',
+    'GET /api/fraud/photos/recent':                     'fraud.read',
+    'GET /api/fraud/face-reviews':                      'fraud.read',
+    'POST /api/fraud/face-reviews/:id':                 'fraud.resolve',
+    'GET /api/fraud/turbo-mode-stats':                  'fraud.read',
+    'GET /api/fraud/turbo-mode-events':                 'fraud.read',
+    'GET /api/fraud/anticheat-stats':                   'fraud.read',
+    'GET /api/fraud/anticheat-events':                  'fraud.read',
+    'GET /api/fraud/temp-suspensions':                  'fraud.read',
+    'POST /api/fraud/temp-suspension/:userId/lift':     'fraud.resolve',
+    'POST /api/fraud/penalty-games/:userId/clear':      'fraud.resolve',
+    'GET /api/security/dashboard':                      'fraud.read',
+    'GET /api/security/fraud-alerts':                   'fraud.read',
+    'POST /api/security/fraud-alerts/:alertId/resolve': 'fraud.resolve',
+    'GET /api/security/linked-accounts/:userId':        'fraud.read',
+    'GET /api/security/shared-devices':                 'fraud.read',
+    'GET /api/security/user-devices/:userId':           'fraud.read',
+    'GET /api/security/user-ips/:userId':               'fraud.read',
+    'POST /api/security/account-links/:linkId/review':  'fraud.resolve',
+    'GET /api/security/high-risk-users':                'fraud.read',
+    'GET /api/security/behavior-profile/:userId':       'fraud.read',
+    'POST /api/security/analyze-behavior/:userId':      'fraud.resolve',
+    'POST /api/security/batch-analyze':                 'fraud.resolve',
+    'GET /api/security/captcha-stats':                  'fraud.read',
+    'GET /api/security/suspicious-captcha-users':       'fraud.read',
+
+    // Fraud watchlist (step-up confirmation too, see STEP_UP_ROUTES)
+    'GET /api/watchlist':                  'watchlist.read',
+    'POST /api/watchlist/add':             'watchlist.write',
+    'PUT /api/watchlist/:userId':          'watchlist.write',
+    'DELETE /api/watchlist/:userId':       'watchlist.write',
+    'GET /api/watchlist/search-users':     'watchlist.read',
+
+    // Tournaments, series, teams and knockouts
+    'GET /api/tournaments':                                      'tournaments.read',
+    'GET /api/tournaments/:id(\\d+)':                            'tournaments.read',
+    'POST /api/tournaments':                                     'tournaments.write',
+    'PUT /api/tournaments/:id':                                  'tournaments.write',
+    'DELETE /api/tournaments/:id':                               'tournaments.write',
+    'GET /api/tournaments/:id/participants':                     'tournaments.read',
+    'POST /api/tournaments/:id/end':                             'tournaments.end',
+    'GET /api/tournaments/:id/prize-preview':                    'tournaments.read',
+    'GET /api/tournaments/:id/prize-structure':                  'tournaments.read',
+    'PUT /api/tournaments/:id/prize-structure':                  'tournaments.write',
+    'GET /api/teams':                                            'tournaments.read',
+    'POST /api/teams':                                           'tournaments.write',
+    'POST /api/teams/:id/:action(retire|restore)':               'tournaments.write',
+    'GET /api/tournaments/:id/teams':                            'tournaments.read',
+    'GET /api/tournaments/:id/knockout':                         'tournaments.read',
+    'POST /api/tournaments/:id/knockout':                        'tournaments.write',
+    'GET /api/tournaments/:id/knockout/image':                   'tournaments.read',
+    'POST /api/knockout/:bracketId/open-ready':                  'tournaments.write',
+    'POST /api/knockout/:bracketId/cancel':                      'tournaments.write',
+    'POST /api/knockout/matches/:matchId/:action(award|replay)': 'tournaments.end',
+    'GET /api/tournament-series':                                'tournaments.read',
+    'POST /api/tournament-series':                               'tournaments.write',
+    'PUT /api/tournament-series/:id':                            'tournaments.write',
+    'POST /api/tournament-series/:id/:action(pause|resume)':     'tournaments.write',
+    'POST /api/tournament-series/:id/open-next':                 'tournaments.write',
+    'GET /api/tournament-series/:id/standings':                  'tournaments.read',
+    'GET /api/tournaments/stats':                                'tournaments.read',
+    'GET /api/tournaments/:id/leaderboard':                      'tournaments.read',
+    'POST /api/notify-tournament5-winners':                      'tournaments.end',
+
+    // Sponsors
+    'GET /api/sponsors':                                          'sponsors.read',
+    'POST /api/sponsors':                                         'sponsors.write',
+    'PUT /api/sponsors/:id':                                      'sponsors.write',
+    'POST /api/sponsors/:id/logins':                              'sponsors.write',
+    'POST /api/sponsors/logins/:adminId/:action(disable|enable)': 'sponsors.write',
+    'GET /api/tournaments/:id/sponsor-report':                    'sponsors.read',
+    'GET /api/tournaments/:id/sponsor-report.pdf':                'sponsors.read',
+
+    // Referral tiers
+    'GET /api/referral-tiers':     'referrals.read',
+    'POST /api/referral-tiers':    'referrals.write',
+    'PUT /api/referral-tiers/:id': 'referrals.write',
+    'GET /api/referral-rewards':   'referrals.read',
+
+    // Promo codes and campaigns
+    'GET /api/promo-codes':                   'promos.read',
+    'POST /api/promo-codes':                  'promos.write',
+    'POST /api/promo-codes/:id/toggle':       'promos.write',
+    'DELETE /api/promo-codes/:id':            'promos.write',
+    'GET /api/promo-codes/:id/redemptions':   'promos.read',
+    'GET /api/promo-campaigns':               'promos.read',
+    'POST /api/promo-campaigns':              'promos.write',
+    'POST /api/promo-campaigns/:id/toggle':   'promos.write',
+    'GET /api/promo-campaigns/:id/codes.csv': 'promos.read',
+    'GET /api/promo-campaigns/:id/analytics': 'promos.read',
+
+    // Question bank
+    'GET /api/questions':                                'questions.read',
+    'POST /api/questions':                               'questions.write',
+    'PUT /api/questions/:id':                            'questions.write',
+    'DELETE /api/questions/:id':                         'questions.write',
+    'GET /api/questions/rotation-stats':                 'questions.read',
+    'GET /api/questions/difficulty-stats':               'questions.read',
+    'GET /api/questions/freshness-by-difficulty':        'questions.read',
+    'GET /api/questions/top-users-coverage':             'questions.read',
+    'GET /api/questions/user-coverage/:identifier':      'questions.read',
+    'GET /api/questions/user-coverage-detailed/:userId': 'questions.read',
+    'GET /api/questions/recent-rotation':                'questions.read',
+    'GET /api/questions/banks':                          'questions.read',
+    'GET /api/questions/stats':                          'questions.read',
+    'GET /api/questions/categories':                     'questions.read',
+    'POST /api/questions/categories':                    'questions.write',
+    'POST /api/questions/check-duplicates':              'questions.write',
+    'POST /api/questions/bulk-insert':                   'questions.write',
+    'POST /api/questions/import/preview':                'questions.write',
+    'POST /api/questions/import/commit':                 'questions.write',
+    'GET /api/questions/:id/translations':               'questions.read',
+    'PUT /api/questions/:id/translations/:language':     'questions.write',
+    'DELETE /api/questions/:id/translations/:language':  'questions.write',
+    'GET /api/questions/bank/:bankId':                   'questions.read',
+    'GET /api/questions/review-queue':                   'questions.read',
+    'POST /api/questions/:id/review':                    'questions.review',
+    'POST /api/questions/recalibrate':                   'questions.write',
+
+    // Player reviews
+    'GET /api/reviews':              'reviews.read',
+    'POST /api/reviews/:id/approve': 'reviews.moderate',
+    'POST /api/reviews/:id/reject':  'reviews.moderate',
+    'POST /api/reviews/:id/feature': 'reviews.moderate',
+
+    // Site content
+    'GET /api/site-content':         'content.read',
+    'PUT /api/site-content':         'content.write',
+    'DELETE /api/site-content/:key': 'content.write',
+
+    // Badges
+    'GET /api/achievements/leaderboard':     'achievements.read',
+    'GET /api/achievements/all':             'achievements.read',
+    'GET /api/achievements/definitions':     'achievements.read',
+    'POST /api/achievements/definitions':    'achievements.write',
+    'PUT /api/achievements/definitions/:id': 'achievements.write',
+
+    // Streaks
+    'GET /api/streaks/stats':       'streaks.read',
+    'POST /api/streaks/freezes':    'streaks.write',
+    'GET /api/streaks/restores':    'streaks.read',
+    'GET /api/streaks/leaderboard': 'streaks.read',
+    'GET /api/streaks/rewards':     'streaks.read',
+    'GET /api/streaks/champions':   'streaks.read',
+
+    // Live shows
+    'GET /api/live-shows':             'live_shows.read',
+    'POST /api/live-shows':            'live_shows.run',
+    'GET /api/live-shows/:id':         'live_shows.read',
+    'POST /api/live-shows/:id/start':  'live_shows.run',
+    'POST /api/live-shows/:id/cancel': 'live_shows.run',
+
+    // Love Quest
+    'GET /api/love-quest/stats':                         'love_quest.read',
+    'GET /api/love-quest/packages':                      'love_quest.read',
+    'GET /api/love-quest/bookings':                      'love_quest.read',
+    'GET /api/love-quest/bookings/:id':                  'love_quest.read',
+    'POST /api/love-quest/bookings':                     'love_quest.write',
+    'PUT /api/love-quest/bookings/:id/status':           'love_quest.write',
+    'PUT /api/love-quest/bookings/:id':                  'love_quest.write',
+    'POST /api/love-quest/bookings/:id/payment':         'love_quest.write',
+    'POST /api/love-quest/bookings/:id/send-invitation': 'love_quest.write',
+    'POST /api/love-quest/bookings/:id/questions':       'love_quest.write',
+    'GET /api/love-quest/bookings/:id/questions':        'love_quest.read',
+    'DELETE /api/love-quest/questions/:id':              'love_quest.write',
+    'POST /api/love-quest/bookings/:id/questions/bulk':  'love_quest.write',
+    'GET /api/love-quest/bookings/:id/media':            'love_quest.read',
+    'DELETE /api/love-quest/media/:id':                  'love_quest.write',
+    'GET /api/love-quest/media/:id/stream':              'love_quest.read',
+    'GET /api/love-quest/media/:id/download':            'love_quest.read',
+    'POST /api/love-quest/bookings/:id/media/upload':    'love_quest.write',
+    'POST /api/love-quest/bookings/:id/generate-demo':   'love_quest.write',
+    'POST /api/love-quest/bookings/:id/schedule':        'love_quest.write',
+    'PUT /api/love-quest/bookings/:id/participants':     'love_quest.write',
+    'GET /api/love-quest/sessions/:id':                  'love_quest.read',
+    'GET /api/love-quest/audit':                         'love_quest.read',
+    'PUT /api/love-quest/packages/:code':                'love_quest.write',
+    'POST /api/love-quest/process-scheduled':            'love_quest.write',
+    'POST /api/love-quest/generate-responses':           'love_quest.write',
+    'GET /api/love-quest/bookings/:id/export':           'love_quest.read',
+
+    // Player messaging
+    'GET /api/messaging/search-users':     'messaging.read',
+    'POST /api/messaging/send-direct':     'messaging.send',
+    'POST /api/messaging/broadcast':       'messaging.send',
+    'GET /api/messaging/history':          'messaging.read',
+    'GET /api/messaging/templates':        'messaging.read',
+    'POST /api/messaging/templates':       'messaging.send',
+    'PUT /api/messaging/templates/:id':    'messaging.send',
+    'DELETE /api/messaging/templates/:id': 'messaging.send',
+    'POST /api/messaging/schedule':        'messaging.send',
+    'GET /api/messaging/scheduled':        'messaging.read',
+    'DELETE /api/messaging/scheduled/:id': 'messaging.send',
+    'GET /api/messaging/stats':            'messaging.read',
+
+    // Newsletter
+    'GET /api/newsletter/stats':      'newsletter.read',
+    'GET /api/newsletter/export':     'newsletter.export',
+    'GET /api/newsletter/export-csv': 'newsletter.export',
+
+    // Game audit trail and admin activity
+    'GET /api/activity-log':                    'audit.read',
+    'GET /api/audit/stats':                     'audit.read',
+    'GET /api/audit/sessions':                  'audit.read',
+    'GET /api/audit/session/:sessionId':        'audit.read',
+    'GET /api/audit/session/:sessionId/events': 'audit.read',
+    'GET /api/audit/user/:userId':              'audit.read',
+    'GET /api/audit/session/:sessionId/print':  'audit.export',
+    'GET /api/audit/session/:sessionId/export': 'audit.export',
+    'GET /api/audit/suspicious':                'audit.read',
+    'POST /api/audit/cleanup':                  'audit.cleanup',
+
+    // Toggles, game formats and payment gateways
+    'GET /api/settings':                    'settings.read',
+    'GET /api/gateways':                    'settings.read',
+    'POST /api/gateways/:name/toggle':      'settings.write',
+    'POST /api/gateways/:name/set-default': 'settings.write',
+    'GET /api/toggles':                     'settings.read',
+    'PUT /api/toggles':                     'settings.write',
+    'DELETE /api/toggles/:key':             'settings.write',
+    'GET /api/game-formats':                'settings.read',
+    'POST /api/game-formats':               'settings.write',
+    'PUT /api/game-formats/:id':            'settings.write',
+    'POST /api/game-formats/:id/default':   'settings.write',
+    'DELETE /api/game-formats/:id':         'settings.write',
+
+    // Queues, Redis and errors
+    'POST /api/leaderboard/refresh':           'system.write',
+    'GET /api/system/message-queue':           'system.read',
+    'GET /api/system/message-queue/failed':    'system.read',
+    'DELETE /api/system/message-queue/failed': 'system.write',
+    'GET /api/system/redis':                   'system.read',
+    'POST /api/system/redis/cleanup':          'system.write',
+    'GET /api/system/errors':                  'system.read',
+    'GET /api/system/health':                  'system.read',
+
+    // Admin accounts and roles
+    'GET /api/roles':      'admins.read',
+    'POST /api/roles':     'admins.manage',
+    'PUT /api/roles/:id':  'admins.manage',
+    'GET /api/admins':     'admins.read',
+    'POST /api/admins':    'admins.manage',
+    'PUT /api/admins/:id': 'admins.manage'
+};
+
+/**
+ * Routes that also need the admin to have confirmed it's them in the
+ * last few minutes (adminMfa.stepUp), even with the permission — they
+ * move money, hide fraud or change how players pay. Same key format as
+ * ROUTE_PERMISSIONS; applies to super admins too.
+ */
+const STEP_UP_ROUTES = new Set([
+    'POST /api/payouts/:id/mark-paid',
+    'POST /api/payouts/:id/disburse',
+    'POST /api/payouts/disburse-approved',
+    'POST /api/payouts/batches/:id/approve',
+    'POST /api/payouts/bulk-cancel',
+    'POST /api/payouts/:id/forfeit',
+    'POST /api/payouts/forfeit-expired',
+    'POST /api/payout-approvals/:id/approve',
+    'GET /api/watchlist',
+    'POST /api/watchlist/add',
+    'PUT /api/watchlist/:userId',
+    'DELETE /api/watchlist/:userId',
+    'GET /api/watchlist/search-users',
+    'POST /api/gateways/:name/toggle',
+    'POST /api/gateways/:name/set-default',
+    'POST /api/promo-codes',
+    'POST /api/promo-campaigns'
+]);
+
+/**
+ * Built-in roles. Created when missing; an existing role with the same
+ * name only gains resources it has never had a setting for, so edits
+ * made on the Roles page are never overwritten.
+ */
+const DEFAULT_ROLES = [
+    {
+        role_name: 'finance_officer',
+        display_name: 'Finance Officer',
+        description: 'Payouts, refunds and the financial dashboard',
+        permissions: [
+            'dashboard.read', 'users.read', 'payouts.read', 'payouts.approve', 'payouts.disburse',
+            'financials.read', 'financials.export', 'financials.refund', 'kyc.read', 'fraud.read',
+            'promos.read', 'referrals.read', 'audit.read'
+        ]
+    },
+    {
+        role_name: 'moderator',
+        display_name: 'Moderator',
+        description: 'Players, fraud, KYC and reviews — no money movement',
+        permissions: [
+            'dashboard.read', 'users.read', 'users.suspend', 'fraud.read', 'fraud.resolve',
+            'kyc.read', 'kyc.review', 'reviews.read', 'reviews.moderate', 'questions.read',
+            'questions.review', 'tournaments.read', 'live_shows.read', 'messaging.read', 'audit.read'
+        ]
+    },
+    {
+        role_name: 'content_writer',
+        display_name: 'Content Writer',
+        description: 'Questions, site content and badges',
+        permissions: [
+            'questions.read', 'questions.write', 'content.read', 'content.write',
+            'reviews.read', 'achievements.read', 'achievements.write', 'love_quest.read'
+        ]
+    }
+];
+
+/** ['a.read', 'a.write'] → { a: { read: true, write: true } } */
+function toPermissionObject(list) {
+    const permissions = {};
+    for (const key of list) {
+        const [resource, action] = key.split('.');
+        (permissions[resource] = permissions[resource] || {})[action] = true;
+    }
+    return permissions;
+}
+
+/** The permission a route needs — a string, null for any admin, or undefined when unmapped. */
+function forRoute(method, routePath) {
+    const verb = method === 'HEAD' ? 'GET' : method;
+    return ROUTE_PERMISSIONS[`${verb} ${routePath}`];
+}
+
+function needsStepUp(method, routePath) {
+    const verb = method === 'HEAD' ? 'GET' : method;
+    return STEP_UP_ROUTES.has(`${verb} ${routePath}`);
+}
+
+module.exports = { RESOURCES, ROUTE_PERMISSIONS, STEP_UP_ROUTES, DEFAULT_ROLES, toPermissionObject, forRoute, needsStepUp };
@@ -0,0 +1,722 @@
+// ============================================
+// Core Game Internationalization (i18n)
+// Player-facing messages for the classic game, menus and tournaments.
+// Love Quest keeps its own catalogue in love-quest-i18n.js.
+//
+// Keys missing from a language fall back to English one by one, so a
+// catalogue can be filled in gradually without breaking any screen.
+// Command words players type (PLAY, CLAIM, SKIP, A/B/C/D…) stay in
+// English in every language — only the text around them is translated.
+// ============================================
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Code → labels. `aliases` are what a player may type after LANGUAGE.
+// `offered: false` keeps a language off the player menu while its
+// catalogue is missing; admins can still store question translations.
+const LANGUAGES = {
+  en: { name: 'English', native: 'English', aliases: ['EN', 'ENGLISH', '1'] },
+  pcm: { name: 'Nigerian Pidgin', native: 'Pidgin', aliases: ['PCM', 'PIDGIN', 'NAIJA', '2'] },
+  ibb: { name: 'Ibibio / Efik', native: 'Ibibio / Efik', aliases: ['IBB', 'IBIBIO', 'EFIK', 'EFI', '3'], offered: false },
+};
+
+const translations = {
+  en: {
+    // Question
+    question_header: (num, prize) => `❓ QUESTION ${num} - ₦${prize.toLocaleString()}`,
+    question_header_duel: (num, total) => `⚔️ QUESTION ${num} of ${total}`,
+    question_safe: ' (SAFE) 🔒',
+    question_sponsored: (sponsor) => `\n_This question is brought to you by ${sponsor}_`,
+    question_timer: (seconds) => `⏱️ ${seconds} seconds...`,
+    lifelines_label: '💎 Lifelines',
+
+    // Lifelines
+    fifty_fifty_used: '❌ You already used 50:50!',
+    fifty_fifty_title: `💎 50:50 ACTIVATED! 💎\n\nTwo wrong answers removed!\n+5 bonus seconds added!`,
+    skip_used: '❌ You already used Skip!',
+    skip_title: `⏭️ SKIP USED! ⏭️\n\nGetting a new question at the same level...`,
+
+    // Correct answer
+    correct_title: `✅ CORRECT! 🎉`,
+    correct_won: (prize) => `💰 You've won: ₦${prize.toLocaleString()}`,
+    correct_progress: (num, total) => `💪 Question: ${num} of ${total}`,
+    correct_progress_duel: (num, total) => `⚔️ Question: ${num} of ${total}`,
+    correct_safe: (prize) => `🔒 SAFE! ₦${prize.toLocaleString()} guaranteed!`,
+
+    // Wrong answer / timeout
+    wrong_title: `❌ WRONG ANSWER 😢`,
+    wrong_correct: (letter, text) => `Correct: ${letter}) ${text}`,
+    timeout_title: `⏰ TIME'S UP! 😢\n\nYou didn't answer in time.`,
+    game_over: `🎮 GAME OVER 🎮`,
+    safe_checkpoint_won: (amount) => `You reached a safe checkpoint!\n💰 You won: ₦${amount.toLocaleString()} 🎉`,
+    won_nothing: `💰 You won: ₦0`,
+    well_played: (name) => `Well played, ${name}! 👏`,
+    post_game_claim_menu:
+      `1️⃣ Play Again\n2️⃣ View Leaderboard\n3️⃣ Claim Prize\n` +
+      `4️⃣ Share Victory Card  (or reply YES) 📸\n5️⃣ Main Menu\n\n` +
+      `⏳ Claim within 72 hours or the reward is forfeited.\nType CLAIM anytime.`,
+    post_game_menu: `🏆 Check the leaderboard to see where you stand.\n\n1️⃣ Play Again\n2️⃣ View Leaderboard\n5️⃣ Main Menu`,
+
+    // Tournament game over
+    tournament_performance: (reached, seconds) =>
+      `📊 Your Performance:\n• Questions Reached: Q${reached}\n• Time Taken: ${seconds}s`,
+    tournament_best_game: `💡 Only your BEST game is ranked — keep playing to climb.`,
+    tournament_menu: `1️⃣ Play Again\n5️⃣ Main Menu\n\n🌐 Full rankings: whatsuptrivia.com.ng/leaderboards`,
+
+    // Main menu
+    main_menu_title: '🏠 MAIN MENU 🏠',
+    menu_streak: (days, emoji) => `🔥 Streak: ${days} days ${emoji}`,
+    menu_streak_warning: `   ⚠️ Play today to keep it!`,
+    menu_games_remaining: (n) => `💎 Games Remaining: ${n}`,
+    menu_prompt: 'What would you like to do?',
+    menu_options: (paymentEnabled) =>
+      `1️⃣ Play Now\n2️⃣ How to Play\n3️⃣ View Leaderboard\n` +
+      (paymentEnabled ? `4️⃣ Buy Games\n5️⃣ My Stats` : `4️⃣ My Stats`),
+    menu_footer:
+      `Type STREAK to see streak leaderboard 🔥\n` +
+      `Type LOVE QUEST to create a Valentine surprise! 💘\n` +
+      `Type HELP for all available commands.\n` +
+      `Type LANGUAGE to change language 🌍\n` +
+      `Having issues? Type RESET to start fresh.\n\nReply with your choice.`,
+
+    // Welcome back
+    welcome_back_hello: (username) => `Hello again @${username}! 👋`,
+    welcome_back_title: `Welcome back to What's Up Trivia Game! 🎉`,
+    welcome_back_tokens: (n) => `💎 Classic Mode Tokens: ${n}`,
+    welcome_back_sponsor: `_Proudly brought to you by SummerIsland Systems._`,
+
+    active_game_warning: '⚠️ You have an active game. Complete it or type RESET.',
+
+    // Help
+    help_title: `❓ *HELP & COMMANDS* ❓`,
+    help_intro: `Here are all the commands you can use:`,
+    help_gameplay:
+      `🎮 *GAMEPLAY*\n` +
+      `• *PLAY* — Start a new game\n` +
+      `• *PRACTICE* — Play practice mode (free)\n` +
+      `• *TOURNAMENT* — View available tournaments\n` +
+      `• *DUEL <username>* — Challenge a friend head-to-head\n` +
+      `• *LIVE* — Join the next live game show\n` +
+      `• *DAILY* — Today's free 5-question challenge\n` +
+      `• *TEAM* — Your team in LGA and team tournaments\n` +
+      `• *KNOCKOUT* — Your match in a knockout bracket\n` +
+      `• *A / B / C / D* — Answer a question\n` +
+      `• *50:50* — Use 50:50 lifeline\n` +
+      `• *SKIP* — Use skip lifeline\n` +
+      `• *REPORT* — Flag a question that looks wrong`,
+    help_prizes:
+      `💰 *PRIZES & PAYMENTS*\n` +
+      `• *CLAIM* — Claim your prize winnings\n` +
+      `• *BUY* — Purchase game tokens\n` +
+      `• *REDEEM* — Use a promo code\n` +
+      `• *BALANCE* — See your games, tokens and winnings\n` +
+      `• *HISTORY* — Your purchases, prizes and payout status\n` +
+      `• *STATEMENT* — This month's statement as an image\n` +
+      `• *RECEIVED* — Confirm you received payment`,
+    help_info:
+      `📊 *INFO & STATS*\n` +
+      `• *STATS* — View your game statistics\n` +
+      `• *STREAK* — Check your daily streak\n` +
+      `• *STREAK RESTORE* — Buy back a streak that just broke\n` +
+      `• *ACHIEVEMENTS* — View your badges\n` +
+      `• *PROFILE* — View your profile\n` +
+      `• *LEADERBOARD* — View top players\n` +
+      `• *FRIENDS* — How you rank against your friends\n` +
+      `• *GROUPS* — Private leaderboards for your office, family or crew`,
+    help_other:
+      `🔧 *OTHER*\n` +
+      `• *SHARE* — Generate your victory card\n` +
+      `• *REFERRAL* — Get your referral code\n` +
+      `• *LANGUAGE* — Change your language\n` +
+      `• *RESET* — Reset your game session\n` +
+      `• *MENU* — Return to main menu\n` +
+      `• *HELP* — Show this menu`,
+    help_footer: `💡 _Most commands work from anywhere in the app. Type any command to get started!_`,
+
+    // Language
+    language_title: `🌍 *LANGUAGE* 🌍`,
+    language_current: (name) => `Current language: *${name}*`,
+    language_choose: `Reply LANGUAGE and a number to switch, e.g. LANGUAGE 2`,
+    language_set: (name) => `✅ Language set to *${name}*.\n\nType MENU to continue.`,
+    language_unknown: `❌ We don't have that language yet.`,
+
+    // Streak freezes & restore
+    streak_freezes_count: (n) => `🧊 Streak freezes: ${n}`,
+    streak_freezes_info:
+      `*🧊 STREAK FREEZES:*\n` +
+      `Miss a day? A freeze covers it automatically the next time you play (up to 3 days in a row).\n` +
+      `Earn them from achievements or get them with some game packages (type BUY).`,
+    streak_freeze_used: (days, streak, left) =>
+      `🧊 *STREAK FROZEN!* 🧊\n\n` +
+      `${days} streak freeze${days > 1 ? 's' : ''} covered the day${days > 1 ? 's' : ''} you missed — ` +
+      `your streak is now ${streak} days.\nFreezes left: ${left}`,
+    streak_restore_offer: (lost, fee, endsOn) =>
+      `💔 Your ${lost}-day streak broke.\nRestore it for ₦${fee.toLocaleString()} — type STREAK RESTORE.\n_Offer ends ${endsOn}._`,
+    streak_restore_link: (lost, amount, gateway, url, reference) =>
+      `🔥 RESTORE YOUR STREAK 🔥\n\nStreak: ${lost} days\nAmount: ₦${amount.toLocaleString()}\nPay with: ${gateway}\n\n` +
+      `Click link to pay:\n${url}\n\nPayment Reference: ${reference}\n\n⚠️ Link expires in 30 minutes`,
+    streak_restore_none: `You don't have a broken streak to restore right now. Type STREAK to see yours.`,
+    streak_restored: (streak, amount, web) =>
+      `✅ STREAK RESTORED! 🔥\n\nYour streak is back to ${streak} days.\n\nAmount: ₦${amount.toLocaleString()}\n\n` +
+      (web ? `Play a game today to keep it going. 🎮` : `Type PLAY today to keep it going! 🎮`),
+    streak_restore_too_late: (amount) =>
+      `✅ PAYMENT RECEIVED\n\nWe couldn't restore your streak — the restore offer had ended by the time the payment arrived. ` +
+      `Our team will refund ₦${amount.toLocaleString()}.`,
+    streak_restore_subject: `Your streak restore`,
+    payment_link_freezes: (n) => `Streak freezes: ${n} 🧊`,
+    payment_freezes_added: (n) => `🧊 +${n} streak freeze${n > 1 ? 's' : ''}`,
+
+    // Identity verification (VERIFY)
+    kyc_already_verified: `✅ You're already verified — nothing more to send.`,
+    kyc_not_needed: `👍 No verification is needed on your account right now.\n\nWe'll ask if your winnings ever need it.`,
+    kyc_start_failed: `❌ Something went wrong. Please try VERIFY again.`,
+    kyc_id_type_menu:
+      `🪪 *IDENTITY VERIFICATION*\n\n` +
+      `Which ID will you use?\n\n` +
+      `1️⃣ NIN slip / card\n2️⃣ Voter's card\n3️⃣ Driver's licence\n4️⃣ International passport\n\n` +
+      `_Reply CANCEL to stop._`,
+    kyc_stopped: `Verification stopped. Reply *VERIFY* whenever you're ready.`,
+    kyc_id_types: {
+      nin: 'NIN slip / card',
+      voters_card: "Voter's card",
+      drivers_license: "Driver's licence",
+      passport: 'International passport',
+      national_id: 'National ID card'
+    },
+    kyc_id_hints: {
+      nin: '11 digits',
+      voters_card: 'the 19-character VIN',
+      drivers_license: 'e.g. ABC12345AA12',
+      passport: 'one letter and 8 digits, e.g. A12345678',
+      national_id: '11 digits'
+    },
+    kyc_ask_id_number: (label, hint) => `Type your *${label}* number (${hint}).`,
+    kyc_bad_id_number: (label, hint) => `❌ That doesn't look like a valid ${label} number — it should be ${hint}.\n\nPlease type it again.`,
+    kyc_ask_bvn: `Now type your *BVN* (Bank Verification Number).\n\nIt's 11 digits — dial *565*0# from the phone number linked to your bank to see it.`,
+    kyc_bad_bvn: `❌ That doesn't look like a BVN — it's 11 digits and starts with 22. Dial *565*0# to see yours.\n\nPlease type it again.`,
+    kyc_ask_id_photo: `📸 Send a clear photo of the *front of your ID*.\n\n• All four corners in the picture\n• No glare over the text or photo`,
+    kyc_want_id_photo: `📸 Please send a *photo* of your ID (not text).\n\n_Reply CANCEL to stop._`,
+    kyc_want_selfie: `🤳 Please send a *selfie* holding your ID (not text).\n\n_Reply CANCEL to stop._`,
+    kyc_input_failed: `❌ Something went wrong. Please reply VERIFY to start again.`,
+    kyc_image_errors: {
+      too_small: 'That image is too small to read. Please send a clear, full-size photo.',
+      too_large: 'That image is too large. Please send one under 10MB.',
+      not_image: 'Please send a photo (JPEG or PNG).',
+      save_failed: "We couldn't save that photo. Please send it again."
+    },
+    kyc_id_photo_received: `✅ ID photo received.\n\n🤳 Last step: send a *selfie holding the same ID* next to your face.`,
+    kyc_submit_failed: (error) => `❌ ${error}\n\nReply *VERIFY* to start again.`,
+    kyc_submitted:
+      `✅ *DOCUMENTS RECEIVED* ✅\n\n` +
+      `Thank you for submitting your verification documents.\n\n` +
+      `Our team will review them within 24 hours.\n\n` +
+      `You will be notified once verification is complete.\n\n` +
+      `_You can continue playing while we verify._`,
+    kyc_under_review:
+      `⏳ *VERIFICATION UNDER REVIEW* ⏳\n\n` +
+      `We have your documents and our team is checking them.\n\n` +
+      `You'll be able to claim as soon as you're verified — usually within 24 hours.`,
+
+    // Wallet
+    wallet_title: `💰 *YOUR WALLET* 💰`,
+    wallet_games: (n) => `🎮 Game credits: *${n}*`,
+    wallet_tokens: `🎟️ Tournament tokens:`,
+    wallet_winnings: (amount) => `🏆 Winnings waiting: *₦${amount}*`,
+    wallet_claim: `Type CLAIM to get paid.`,
+    wallet_wallet: (amount) => `👛 Wallet: *₦${amount}*`,
+    wallet_recent: `*Recent activity*`,
+    wallet_none: `No activity yet — type PLAY to start!`,
+    wallet_footer: `Type BUY for more games or MENU to go back.`,
+    wallet_kinds: {
+      purchase: 'Bought games',
+      refund: 'Purchase refunded',
+      game_play: 'Played a game',
+      streak_reward: 'Streak reward',
+      referral_bonus: 'Referral bonus',
+      achievement_reward: 'Achievement reward',
+      games_expired: 'Bonus game expired',
+      tournament_entry: 'Tournament entry',
+      tournament_rebuy: 'Tournament rebuy',
+      promo: 'Promo code',
+      token_use: 'Used a tournament token',
+      prize: 'Prize won',
+      payout: 'Prize paid out',
+      payout_reversed: 'Payout bounced — owed again',
+      forfeit: 'Prize forfeited',
+      cancel: 'Prize cancelled',
+      wallet_credit: 'Wallet credit',
+      opening_balance: 'Starting balance'
+    },
+
+    // History & statements
+    history_title: `🧾 *YOUR HISTORY* 🧾`,
+    history_page: (page, pages) => `Page ${page} of ${pages}`,
+    history_none: `Nothing here yet — your purchases, tournament entries and prizes will show up as they happen.`,
+    history_past_end: (pages) => `There ${pages === 1 ? 'is only 1 page' : `are only ${pages} pages`}. Type HISTORY to start from the newest.`,
+    history_more: (next) => `Type HISTORY ${next} for older entries.`,
+    history_footer: `Type STATEMENT for this month's statement, or STATEMENT LAST for last month.`,
+    history_games: (n) => `${n} games`,
+    history_paid_on: (date) => `on ${date}`,
+    history_kinds: {
+      purchase: 'Bought',
+      tournament_entry: 'Entered',
+      prize: 'Won'
+    },
+    history_status: {
+      success: 'Successful',
+      refunded: 'Refunded',
+      failed: 'Payment failed',
+      pending: 'Not claimed yet — type CLAIM',
+      details_collected: 'Claimed — being checked',
+      approved: 'Approved — payment on the way',
+      paid: 'Paid to your bank',
+      confirmed: 'Paid and received',
+      cancelled: 'Cancelled',
+      forfeited: 'Forfeited — not claimed within 72 hours'
+    },
+    statement_title: `MONTHLY STATEMENT`,
+    statement_preparing: `🧾 Preparing your statement... one moment!`,
+    statement_caption: (period) => `🧾 Your statement for ${period}.\n\nType HISTORY to see every entry, or STATEMENT LAST for last month.`,
+    statement_empty: (period) => `🧾 Nothing happened on your account in ${period}.\n\nType HISTORY to see older activity.`,
+    statement_unknown: `❌ We couldn't read that month. Try STATEMENT, STATEMENT LAST or STATEMENT AUG 2026.`,
+    statement_more: (n) => `+ ${n} more — type HISTORY in chat to see them all`,
+    statement_footer: `Questions about a payment? Reply HELP in chat.`,
+    statement_totals: {
+      spent: 'Spent',
+      won: 'Won',
+      paid: 'Paid to you',
+      forfeited: 'Forfeited'
+    },
+
+    // Team tournaments
+    team_title: `👥 *TEAM TOURNAMENT* 👥`,
+    team_board_header: (name, counted) => `🏆 *${name}*\nEach team's best ${counted} player${counted === 1 ? '' : 's'} count.`,
+    team_board_empty: `No team has scored yet — be the first!`,
+    team_score: (score, players) => `${score} pts (${players} played)`,
+    team_yours: (name, position, teams, score) => `📍 You play for *${name}* — #${position} of ${teams} with ${score} pts.`,
+    team_unassigned: {
+      lga: `📍 Play a game in this tournament to start scoring for your LGA — the city on your PROFILE.`,
+      custom: `📍 You're not scoring for a team yet. Join one with TEAM JOIN <code>, then play a game.`
+    },
+    team_prize_split: `💰 The winning team's top players share the prize pool equally.`,
+    team_none_active: `You're not in a team tournament right now. Type TOURNAMENT to find one.`,
+    team_my_custom: (name, members, code) => `👥 Your team: *${name}* (${members} member${members === 1 ? '' : 's'})\nFriends can join with: TEAM JOIN ${code}\nType TEAM LEAVE to leave.`,
+    team_no_custom: `You're not in a team. Got a code from your school, church or club? Type TEAM JOIN <code>.`,
+    team_join_usage: `Type TEAM JOIN followed by your team's code, e.g. TEAM JOIN K7P2QX.`,
+    team_join_unknown: `❌ No team has that code. Check it and try TEAM JOIN <code> again.`,
+    team_joined: (name) => `✅ You now play for *${name}*!\n\nYour games in team tournaments count for ${name}. Type TEAM to see the standings.`,
+    team_left: (name) => `You've left *${name}*. Tournaments you already scored in still count for them.`,
+
+    // Promo codes
+    redeem_usage: `🎟️ Got a promo code? Type REDEEM followed by the code, e.g. REDEEM WUT-K7P2QX4M.`,
+    redeem_failed: (reason) => `❌ *${reason}*\n\nCheck the code and try REDEEM <code> again.`,
+    redeem_games: (games, balance) => `🎉 *CODE REDEEMED!*\n\n${games} free game${games === 1 ? '' : 's'} added — you now have ${balance}.\n\nType PLAY to start.`,
+    redeem_discount: (reward) => `✅ Code accepted: *${reward}* your next game package. Pick one below — the discount comes off at checkout.`,
+    redeem_discount_free: `🎉 Games are free right now, so there's nothing to discount. Type PLAY to start!`,
+    redeem_tournament: `🏆 That code is for tournament entry. Type TOURNAMENT, pick the tournament, then reply CODE when asked to pay.`,
+
+    // Referral reward tiers
+    referral_tier_title: (username) => `🎁 *REFERRAL REWARD!*\n\nYour friend @${username} is playing:`,
+    referral_tier_games: (tier, games) => `• ${tier}: +${games} free game${games === 1 ? '' : 's'}`,
+    referral_tier_wallet: (tier, amount) => `• ${tier}: +₦${amount} to your wallet`,
+    referral_tier_footer: `Keep sharing your code — type REFERRAL to see what's next.`,
+
+    // Friends and private groups
+    friends_board_title: (weekly) => `👫 *FRIENDS — ${weekly ? 'THIS WEEK' : 'TODAY'}* 👫`,
+    friends_none: `You haven't added any friends yet.\n\nType FRIEND ADD <username> to add one. Anyone who signs up with your referral code is added for you.`,
+    friends_footer: `FRIEND ADD <username> · FRIEND REMOVE <username>\nFRIENDS WEEK for this week · GROUPS for your private groups`,
+    board_row: (position, username, best, you) => `${position}. @${username}${you ? ' (you)' : ''} — ${best > 0 ? `₦${best.toLocaleString()}` : 'no win yet'}`,
+    friend_add_usage: `Type FRIEND ADD followed by their username, e.g. FRIEND ADD ada_lagos.`,
+    friend_not_found: (name) => `❌ No player is called "${name}". Check the spelling and try again.`,
+    friend_self: `😅 You can't add yourself!`,
+    friend_already: (username) => `@${username} is already your friend. Type FRIENDS to see the board.`,
+    friend_limit: (max) => `One of you already has ${max} friends, the most allowed. Remove someone with FRIEND REMOVE <username> first.`,
+    friend_added: (username) => `✅ @${username} is now your friend!\n\nType FRIENDS to see how you compare.`,
+    friend_added_you: (username) => `👫 @${username} added you as a friend. You'll now see each other when you type FRIENDS.`,
+    friend_removed: (username) => `@${username} is no longer on your friends list.`,
+    friend_not_friends: (username) => `@${username} isn't on your friends list.`,
+    friend_beat: (username, score, best) => `🔥 Your friend @${username} just won ₦${score} — beating your best of ₦${best}!\n\nType PLAY to take it back.`,
+    groups_title: `👥 *YOUR GROUPS* 👥`,
+    groups_row: (name, members, code) => `• *${name}* — ${members} member${members === 1 ? '' : 's'} · code ${code}`,
+    groups_none: `You're not in any private groups yet.`,
+    groups_footer: `GROUP CREATE <name> · GROUP JOIN <code>\nGROUP <code> for its leaderboard · GROUP LEAVE <code>`,
+    group_name_invalid: `Group names must be 2–40 characters, e.g. GROUP CREATE Office Quiz.`,
+    group_join_usage: `Type GROUP JOIN followed by the group's code, e.g. GROUP JOIN K7P2QX.`,
+    group_limit: (max) => `You're already in ${max} groups, the most allowed. Leave one with GROUP LEAVE <code> first.`,
+    group_full: (name) => `*${name}* is full.`,
+    group_created: (name, code) => `✅ Group *${name}* created!\n\nShare this so people can join:\nGROUP JOIN ${code}\n\nType GROUP ${code} for its leaderboard.`,
+    group_unknown: `❌ No group has that code. Check it and try again.`,
+    group_joined: (name, code) => `✅ You've joined *${name}*!\n\nType GROUP ${code} for its leaderboard.`,
+    group_already: (name, code) => `You're already in *${name}*. Type GROUP ${code} for its leaderboard.`,
+    group_left: (name) => `You've left *${name}*.`,
+    group_not_member: `You're not in that group. Type GROUPS to see yours.`,
+    group_board_title: (name, weekly) => `👥 *${name.toUpperCase()} — ${weekly ? 'THIS WEEK' : 'TODAY'}* 👥`,
+    group_board_footer: (code, weekly) => weekly ? `Type GROUP ${code} for today.` : `Type GROUP ${code} WEEK for this week.`,
+  },
+
+  pcm: {
+    // Question
+    question_header: (num, prize) => `❓ QUESTION ${num} - ₦${prize.toLocaleString()}`,
+    question_header_duel: (num, total) => `⚔️ QUESTION ${num} for ${total}`,
+    question_safe: ' (E DON SAFE) 🔒',
+    question_sponsored: (sponsor) => `\n_Na ${sponsor} bring this question come_`,
+    question_timer: (seconds) => `⏱️ You get ${seconds} seconds...`,
+    lifelines_label: '💎 Help wey remain',
+
+    // Lifelines
+    fifty_fifty_used: '❌ You don already use 50:50!',
+    fifty_fifty_title: `💎 50:50 DON ENTER! 💎\n\nWe don comot two wrong answer!\nWe add 5 seconds join your time!`,
+    skip_used: '❌ You don already use Skip!',
+    skip_title: `⏭️ YOU DON SKIP! ⏭️\n\nWe dey bring another question for the same level...`,
+
+    // Correct answer
+    correct_title: `✅ YOU CORRECT! 🎉`,
+    correct_won: (prize) => `💰 You don win: ₦${prize.toLocaleString()}`,
+    correct_progress: (num, total) => `💪 Question: ${num} for ${total}`,
+    correct_progress_duel: (num, total) => `⚔️ Question: ${num} for ${total}`,
+    correct_safe: (prize) => `🔒 E DON SAFE! ₦${prize.toLocaleString()} na your own sure!`,
+
+    // Wrong answer / timeout
+    wrong_title: `❌ E NO CORRECT 😢`,
+    wrong_correct: (letter, text) => `Correct answer na: ${letter}) ${text}`,
+    timeout_title: `⏰ TIME DON FINISH! 😢\n\nYou no answer on time.`,
+    game_over: `🎮 GAME DON END 🎮`,
+    safe_checkpoint_won: (amount) => `You reach safe level!\n💰 You win: ₦${amount.toLocaleString()} 🎉`,
+    won_nothing: `💰 You win: ₦0`,
+    well_played: (name) => `You try well well, ${name}! 👏`,
+    post_game_claim_menu:
+      `1️⃣ Play Again\n2️⃣ View Leaderboard\n3️⃣ Claim Prize\n` +
+      `4️⃣ Share Victory Card  (or reply YES) 📸\n5️⃣ Main Menu\n\n` +
+      `⏳ Claim am inside 72 hours or the money go lost.\nType CLAIM any time.`,
+    post_game_menu: `🏆 Check leaderboard make you see where you dey.\n\n1️⃣ Play Again\n2️⃣ View Leaderboard\n5️⃣ Main Menu`,
+
+    // Tournament game over
+    tournament_performance: (reached, seconds) =>
+      `📊 How you play:\n• Question wey you reach: Q${reached}\n• Time wey you take: ${seconds}s`,
+    tournament_best_game: `💡 Na only your BEST game dem go rank — keep playing make you climb.`,
+    tournament_menu: `1️⃣ Play Again\n5️⃣ Main Menu\n\n🌐 See full ranking: whatsuptrivia.com.ng/leaderboards`,
+
+    // Main menu
+    main_menu_title: '🏠 MAIN MENU 🏠',
+    menu_streak: (days, emoji) => `🔥 Streak: ${days} days ${emoji}`,
+    menu_streak_warning: `   ⚠️ Play today make e no cut!`,
+    menu_games_remaining: (n) => `💎 Games wey remain: ${n}`,
+    menu_prompt: 'Wetin you wan do?',
+    menu_options: (paymentEnabled) =>
+      `1️⃣ Play Now\n2️⃣ How to Play\n3️⃣ View Leaderboard\n` +
+      (paymentEnabled ? `4️⃣ Buy Games\n5️⃣ My Stats` : `4️⃣ My Stats`),
+    menu_footer:
+      `Type STREAK to see streak leaderboard 🔥\n` +
+      `Type LOVE QUEST to make Valentine surprise! 💘\n` +
+      `Type HELP to see all the commands.\n` +
+      `Type LANGUAGE to change language 🌍\n` +
+      `Wahala dey? Type RESET make you start fresh.\n\nReply with your choice.`,
+
+    // Welcome back
+    welcome_back_hello: (username) => `How far @${username}! 👋`,
+    welcome_back_title: `Welcome back to What's Up Trivia Game! 🎉`,
+    welcome_back_tokens: (n) => `💎 Classic Mode Tokens: ${n}`,
+    welcome_back_sponsor: `_Na SummerIsland Systems bring am come for you._`,
+
+    active_game_warning: '⚠️ You still get game wey never finish. Finish am or type RESET.',
+
+    // Help
+    help_title: `❓ *HELP & COMMANDS* ❓`,
+    help_intro: `See all the commands wey you fit use:`,
+    help_gameplay:
+      `🎮 *TO PLAY*\n` +
+      `• *PLAY* — Start new game\n` +
+      `• *PRACTICE* — Play practice (e free)\n` +
+      `• *TOURNAMENT* — See tournaments wey dey\n` +
+      `• *DUEL <username>* — Challenge your padi one-on-one\n` +
+      `• *LIVE* — Join the next live game show\n` +
+      `• *DAILY* — Today free 5-question challenge\n` +
+      `• *TEAM* — Your team for LGA and team tournaments\n` +
+      `• *KNOCKOUT* — Your match for knockout bracket\n` +
+      `• *A / B / C / D* — Answer question\n` +
+      `• *50:50* — Use 50:50 help\n` +
+      `• *SKIP* — Use skip help\n` +
+      `• *REPORT* — Tell us say question get k-leg`,
+    help_prizes:
+      `💰 *PRIZE & PAYMENT*\n` +
+      `• *CLAIM* — Collect the money wey you win\n` +
+      `• *BUY* — Buy game tokens\n` +
+      `• *REDEEM* — Use promo code\n` +
+      `• *BALANCE* — See your games, tokens and winnings\n` +
+      `• *HISTORY* — See wetin you buy, wetin you win and how your payout dey\n` +
+      `• *STATEMENT* — Your statement for this month as picture\n` +
+      `• *RECEIVED* — Confirm say payment don land`,
+    help_info:
+      `📊 *INFO & STATS*\n` +
+      `• *STATS* — See your game stats\n` +
+      `• *STREAK* — Check your daily streak\n` +
+      `• *STREAK RESTORE* — Buy back streak wey just break\n` +
+      `• *ACHIEVEMENTS* — See your badges\n` +
+      `• *PROFILE* — See your profile\n` +
+      `• *LEADERBOARD* — See top players\n` +
+      `• *FRIENDS* — See how you take rank pass your padi dem\n` +
+      `• *GROUPS* — Private leaderboard for your office, family or crew`,
+    help_other:
+      `🔧 *OTHERS*\n` +
+      `• *SHARE* — Make your victory card\n` +
+      `• *REFERRAL* — Collect your referral code\n` +
+      `• *LANGUAGE* — Change your language\n` +
+      `• *RESET* — Reset your game\n` +
+      `• *MENU* — Go back to main menu\n` +
+      `• *HELP* — Show this list`,
+    help_footer: `💡 _Most commands dey work from anywhere. Type any one make you start!_`,
+
+    // Language
+    language_title: `🌍 *LANGUAGE* 🌍`,
+    language_current: (name) => `Language wey you dey use: *${name}*`,
+    language_choose: `Reply LANGUAGE plus number to change am, e.g. LANGUAGE 1`,
+    language_set: (name) => `✅ We don change your language to *${name}*.\n\nType MENU to continue.`,
+    language_unknown: `❌ We never get that language.`,
+
+    // Streak freezes & restore
+    streak_freezes_count: (n) => `🧊 Streak freeze wey you get: ${n}`,
+    streak_freezes_info:
+      `*🧊 STREAK FREEZES:*\n` +
+      `You miss one day? Freeze go cover am by itself the next time you play (reach 3 days back to back).\n` +
+      `You fit get am from achievements or with some game packages (type BUY).`,
+    streak_freeze_used: (days, streak, left) =>
+      `🧊 *STREAK DON FREEZE!* 🧊\n\n` +
+      `${days} streak freeze${days > 1 ? 's' : ''} don cover the day${days > 1 ? 's' : ''} wey you miss — ` +
+      `your streak now na ${streak} days.\nFreeze wey remain: ${left}`,
+    streak_restore_offer: (lost, fee, endsOn) =>
+      `💔 Your ${lost}-day streak don cut.\nPay ₦${fee.toLocaleString()} make e come back — type STREAK RESTORE.\n_The offer go end ${endsOn}._`,
+    streak_restore_link: (lost, amount, gateway, url, reference) =>
+      `🔥 BRING YOUR STREAK BACK 🔥\n\nStreak: ${lost} days\nAmount: ₦${amount.toLocaleString()}\nPay with: ${gateway}\n\n` +
+      `Click this link to pay:\n${url}\n\nPayment Reference: ${reference}\n\n⚠️ The link go expire after 30 minutes`,
+    streak_restore_none: `You no get any streak wey cut wey you fit bring back now. Type STREAK to see your own.`,
+    streak_restored: (streak, amount, web) =>
+      `✅ YOUR STREAK DON COME BACK! 🔥\n\nYour streak don go back to ${streak} days.\n\nAmount: ₦${amount.toLocaleString()}\n\n` +
+      (web ? `Play one game today make e continue. 🎮` : `Type PLAY today make e continue! 🎮`),
+    streak_restore_too_late: (amount) =>
+      `✅ WE DON GET YOUR PAYMENT\n\nWe no fit bring your streak back — the restore offer don end before the payment land. ` +
+      `Our team go refund your ₦${amount.toLocaleString()}.`,
+    streak_restore_subject: `Your streak restore`,
+    payment_link_freezes: (n) => `Streak freezes: ${n} 🧊`,
+    payment_freezes_added: (n) => `🧊 +${n} streak freeze${n > 1 ? 's' : ''}`,
+
+    // Identity verification (VERIFY)
+    kyc_already_verified: `✅ We don already verify you — you no need send anything again.`,
+    kyc_not_needed: `👍 Your account no need verification now.\n\nIf your winnings need am, we go tell you.`,
+    kyc_start_failed: `❌ Something no work well. Abeg try VERIFY again.`,
+    kyc_id_type_menu:
+      `🪪 *IDENTITY VERIFICATION*\n\n` +
+      `Which ID you wan use?\n\n` +
+      `1️⃣ NIN slip / card\n2️⃣ Voter's card\n3️⃣ Driver's licence\n4️⃣ International passport\n\n` +
+      `_Reply CANCEL if you wan stop._`,
+    kyc_stopped: `We don stop the verification. Reply *VERIFY* anytime you ready.`,
+    kyc_id_types: {
+      nin: 'NIN slip / card',
+      voters_card: "Voter's card",
+      drivers_license: "Driver's licence",
+      passport: 'International passport',
+      national_id: 'National ID card'
+    },
+    kyc_id_hints: {
+      nin: '11 numbers',
+      voters_card: 'the VIN wey get 19 characters',
+      drivers_license: 'like ABC12345AA12',
+      passport: 'one letter plus 8 numbers, like A12345678',
+      national_id: '11 numbers'
+    },
+    kyc_ask_id_number: (label, hint) => `Type your *${label}* number (${hint}).`,
+    kyc_bad_id_number: (label, hint) => `❌ That one no be correct ${label} number — e suppose be ${hint}.\n\nAbeg type am again.`,
+    kyc_ask_bvn: `Now type your *BVN* (Bank Verification Number).\n\nNa 11 numbers — dial *565*0# from the phone number wey you use for your bank to see am.`,
+    kyc_bad_bvn: `❌ That one no be BVN — BVN na 11 numbers and e dey start with 22. Dial *565*0# to see your own.\n\nAbeg type am again.`,
+    kyc_ask_id_photo: `📸 Send clear photo of the *front of your ID*.\n\n• Make all the four corners show for the picture\n• Make light no shine cover the writing or the photo`,
+    kyc_want_id_photo: `📸 Abeg send *photo* of your ID (no be text).\n\n_Reply CANCEL if you wan stop._`,
+    kyc_want_selfie: `🤳 Abeg send *selfie* wey you hold your ID (no be text).\n\n_Reply CANCEL if you wan stop._`,
+    kyc_input_failed: `❌ Something no work well. Abeg reply VERIFY make you start again.`,
+    kyc_image_errors: {
+      too_small: 'That picture too small, we no fit read am. Abeg send clear, full-size photo.',
+      too_large: 'That picture too big. Abeg send one wey no pass 10MB.',
+      not_image: 'Abeg send photo (JPEG or PNG).',
+      save_failed: 'We no fit save that photo. Abeg send am again.'
+    },
+    kyc_id_photo_received: `✅ We don get your ID photo.\n\n🤳 Last step: send *selfie wey you hold the same ID* near your face.`,
+    kyc_submit_failed: (error) => `❌ ${error}\n\nReply *VERIFY* make you start again.`,
+    kyc_submitted:
+      `✅ *WE DON GET YOUR DOCUMENTS* ✅\n\n` +
+      `Thank you say you send your verification documents.\n\n` +
+      `Our team go check them within 24 hours.\n\n` +
+      `We go tell you once verification finish.\n\n` +
+      `_You fit dey play dey go while we dey check._`,
+    kyc_under_review:
+      `⏳ *WE DEY CHECK YOUR VERIFICATION* ⏳\n\n` +
+      `We don get your documents and our team dey check them.\n\n` +
+      `Once we verify you, you fit claim — e dey usually take 24 hours.`,
+
+    // Wallet
+    wallet_title: `💰 *YOUR WALLET* 💰`,
+    wallet_games: (n) => `🎮 Game credits wey remain: *${n}*`,
+    wallet_tokens: `🎟️ Tournament tokens:`,
+    wallet_winnings: (amount) => `🏆 Money wey you win, wey never reach you: *₦${amount}*`,
+    wallet_claim: `Type CLAIM make we pay you.`,
+    wallet_wallet: (amount) => `👛 Wallet: *₦${amount}*`,
+    wallet_recent: `*Wetin happen recently*`,
+    wallet_none: `Nothing never happen for here yet — type PLAY make you start!`,
+    wallet_footer: `Type BUY for more games or MENU to go back.`,
+    wallet_kinds: {
+      purchase: 'You buy games',
+      refund: 'We refund your money',
+      game_play: 'You play one game',
+      streak_reward: 'Streak reward',
+      referral_bonus: 'Referral bonus',
+      achievement_reward: 'Achievement reward',
+      games_expired: 'Free game don expire',
+      tournament_entry: 'Tournament entry',
+      tournament_rebuy: 'Tournament rebuy',
+      promo: 'Promo code',
+      token_use: 'You use one tournament token',
+      prize: 'You win prize',
+      payout: 'We don pay your prize',
+      payout_reversed: 'Bank return the money — we still owe you',
+      forfeit: 'Prize don forfeit',
+      cancel: 'Prize cancelled',
+      wallet_credit: 'Wallet credit',
+      opening_balance: 'Starting balance'
+    },
+
+    // History & statements
+    history_title: `🧾 *YOUR HISTORY* 🧾`,
+    history_page: (page, pages) => `Page ${page} for ${pages}`,
+    history_none: `Nothing dey here yet — anything wey you buy, tournament wey you enter and prize wey you win go show here.`,
+    history_past_end: (pages) => `Na only ${pages} page${pages === 1 ? '' : 's'} dey. Type HISTORY make you start from the latest one.`,
+    history_more: (next) => `Type HISTORY ${next} to see the older ones.`,
+    history_footer: `Type STATEMENT for this month statement, or STATEMENT LAST for last month own.`,
+    history_games: (n) => `${n} games`,
+    history_paid_on: (date) => `for ${date}`,
+    history_kinds: {
+      purchase: 'You buy',
+      tournament_entry: 'You enter',
+      prize: 'You win'
+    },
+    history_status: {
+      success: 'E don enter',
+      refunded: 'We don refund am',
+      failed: 'Payment no go',
+      pending: 'You never claim am — type CLAIM',
+      details_collected: 'You don claim — we dey check am',
+      approved: 'E don approve — money dey come',
+      paid: 'We don send am to your bank',
+      confirmed: 'E don reach you',
+      cancelled: 'E don cancel',
+      forfeited: 'E don forfeit — you no claim am inside 72 hours'
+    },
+    statement_title: `STATEMENT FOR THE MONTH`,
+    statement_preparing: `🧾 We dey prepare your statement... small time!`,
+    statement_caption: (period) => `🧾 See your statement for ${period}.\n\nType HISTORY to see everything, or STATEMENT LAST for last month.`,
+    statement_empty: (period) => `🧾 Nothing happen for your account for ${period}.\n\nType HISTORY to see the older ones.`,
+    statement_unknown: `❌ We no understand that month. Try STATEMENT, STATEMENT LAST or STATEMENT AUG 2026.`,
+    statement_more: (n) => `+ ${n} more — type HISTORY for chat to see all`,
+    statement_footer: `Any question about payment? Reply HELP for chat.`,
+    statement_totals: {
+      spent: 'You spend',
+      won: 'You win',
+      paid: 'We don pay you',
+      forfeited: 'Forfeit'
+    },
+
+    // Team tournaments
+    team_title: `👥 *TEAM TOURNAMENT* 👥`,
+    team_board_header: (name, counted) => `🏆 *${name}*\nNa the best ${counted} player${counted === 1 ? '' : 's'} for each team go count.`,
+    team_board_empty: `No team don score yet — make you be the first!`,
+    team_score: (score, players) => `${score} pts (${players} don play)`,
+    team_yours: (name, position, teams, score) => `📍 You dey play for *${name}* — #${position} out of ${teams} with ${score} pts.`,
+    team_unassigned: {
+      lga: `📍 Play one game for this tournament make you begin score for your LGA — the city wey dey your PROFILE.`,
+      custom: `📍 You never dey score for any team. Join one with TEAM JOIN <code>, then play.`
+    },
+    team_prize_split: `💰 The top players for the team wey win go share the prize money equal-equal.`,
+    team_none_active: `You no dey any team tournament now. Type TOURNAMENT to find one.`,
+    team_my_custom: (name, members, code) => `👥 Your team: *${name}* (${members} member${members === 1 ? '' : 's'})\nYour padi fit join with: TEAM JOIN ${code}\nType TEAM LEAVE to comot.`,
+    team_no_custom: `You no dey any team. Your school, church or club give you code? Type TEAM JOIN <code>.`,
+    team_join_usage: `Type TEAM JOIN plus your team code, like TEAM JOIN K7P2QX.`,
+    team_join_unknown: `❌ No team get that code. Check am well and try TEAM JOIN <code> again.`,
+    team_joined: (name) => `✅ You don join *${name}*!\n\nYour games for team tournament go count for ${name}. Type TEAM to see how e dey go.`,
+    team_left: (name) => `You don comot from *${name}*. Tournament wey you don score before still count for them.`,
+
+    // Promo codes
+    redeem_usage: `🎟️ You get promo code? Type REDEEM plus the code, like REDEEM WUT-K7P2QX4M.`,
+    redeem_failed: (reason) => `❌ *${reason}*\n\nCheck the code well and try REDEEM <code> again.`,
+    redeem_games: (games, balance) => `🎉 *CODE DON WORK!*\n\nWe don add ${games} free game${games === 1 ? '' : 's'} — you get ${balance} now.\n\nType PLAY make you start.`,
+    redeem_discount: (reward) => `✅ Code don enter: *${reward}* the next game package wey you buy. Pick one below — we go remove the discount when you wan pay.`,
+    redeem_discount_free: `🎉 Games dey free now, so nothing to discount. Type PLAY make you start!`,
+    redeem_tournament: `🏆 That code na for tournament entry. Type TOURNAMENT, pick the tournament, then reply CODE when e ask you to pay.`,
+
+    // Referral reward tiers
+    referral_tier_title: (username) => `🎁 *REFERRAL REWARD!*\n\nYour person @${username} don dey play:`,
+    referral_tier_games: (tier, games) => `• ${tier}: +${games} free game${games === 1 ? '' : 's'}`,
+    referral_tier_wallet: (tier, amount) => `• ${tier}: +₦${amount} don enter your wallet`,
+    referral_tier_footer: `Continue to share your code — type REFERRAL make you see wetin remain.`,
+
+    // Friends and private groups
+    friends_board_title: (weekly) => `👫 *YOUR PADI DEM — ${weekly ? 'THIS WEEK' : 'TODAY'}* 👫`,
+    friends_none: `You never add any padi yet.\n\nType FRIEND ADD <username> make you add one. Anybody wey join with your referral code go enter your list by himself.`,
+    friends_footer: `FRIEND ADD <username> · FRIEND REMOVE <username>\nFRIENDS WEEK for this week · GROUPS for your private groups`,
+    board_row: (position, username, best, you) => `${position}. @${username}${you ? ' (you)' : ''} — ${best > 0 ? `₦${best.toLocaleString()}` : 'never win yet'}`,
+    friend_add_usage: `Type FRIEND ADD plus the person username, like FRIEND ADD ada_lagos.`,
+    friend_not_found: (name) => `❌ No player dey wey dem call "${name}". Check am well and try again.`,
+    friend_self: `😅 You no fit add yourself!`,
+    friend_already: (username) => `@${username} don already be your padi. Type FRIENDS make you see the board.`,
+    friend_limit: (max) => `One of una don get ${max} friends already — na the maximum be that. Remove person with FRIEND REMOVE <username> first.`,
+    friend_added: (username) => `✅ @${username} don be your padi now!\n\nType FRIENDS make you see who dey lead.`,
+    friend_added_you: (username) => `👫 @${username} don add you as padi. Una go dey see each other when una type FRIENDS.`,
+    friend_removed: (username) => `@${username} no dey your friends list again.`,
+    friend_not_friends: (username) => `@${username} no dey your friends list.`,
+    friend_beat: (username, score, best) => `🔥 Your padi @${username} just win ₦${score} — e don pass your best of ₦${best}!\n\nType PLAY make you collect your position back.`,
+    groups_title: `👥 *YOUR GROUPS* 👥`,
+    groups_row: (name, members, code) => `• *${name}* — ${members} member${members === 1 ? '' : 's'} · code ${code}`,
+    groups_none: `You no dey any private group yet.`,
+    groups_footer: `GROUP CREATE <name> · GROUP JOIN <code>\nGROUP <code> for the leaderboard · GROUP LEAVE <code>`,
+    group_name_invalid: `Group name suppose be 2–40 letters, like GROUP CREATE Office Quiz.`,
+    group_join_usage: `Type GROUP JOIN plus the group code, like GROUP JOIN K7P2QX.`,
+    group_limit: (max) => `You don dey ${max} groups already — na the maximum be that. Comot from one with GROUP LEAVE <code> first.`,
+    group_full: (name) => `*${name}* don full.`,
+    group_created: (name, code) => `✅ Group *${name}* don ready!\n\nShare this make people join:\nGROUP JOIN ${code}\n\nType GROUP ${code} for the leaderboard.`,
+    group_unknown: `❌ No group get that code. Check am well and try again.`,
+    group_joined: (name, code) => `✅ You don join *${name}*!\n\nType GROUP ${code} for the leaderboard.`,
+    group_already: (name, code) => `You don already dey *${name}*. Type GROUP ${code} for the leaderboard.`,
+    group_left: (name) => `You don comot from *${name}*.`,
+    group_not_member: `You no dey that group. Type GROUPS make you see your own.`,
+    group_board_title: (name, weekly) => `👥 *${name.toUpperCase()} — ${weekly ? 'THIS WEEK' : 'TODAY'}* 👥`,
+    group_board_footer: (code, weekly) => weekly ? `Type GROUP ${code} for today.` : `Type GROUP ${code} WEEK for this week.`,
+  },
+
+  // Ibibio / Efik copy is pending from the translators. The language stays
+  // out of the LANGUAGE menu (offered: false) until it lands; question
+  // translations can already be imported for it.
+  ibb: {},
+};
+
+// Merged once per language so lookups stay a plain property read.
+const resolved = {};
+
+/**
+ * Get translation helper for a player's language
+ * @param {string} lang - a LANGUAGES code; anything else gets English
+ * @returns {object} Translation object with English filling any gaps
+ */
+function getTranslations(lang = DEFAULT_LANGUAGE) {
+  const code = translations[lang] ? lang : DEFAULT_LANGUAGE;
+  if (!resolved[code]) resolved[code] = { ...translations[DEFAULT_LANGUAGE], ...translations[code] };
+  return resolved[code];
+}
+
+/**
+ * Resolve what a player typed (code, name or menu number) to a language code
+ * @param {string} input - e.g. 'PIDGIN', 'pcm', '2'
+ * @returns {string|null} Language code, or null if unknown
+ */
+function resolveLanguage(input) {
+  const wanted = String(input || '').trim().toUpperCase();
+  if (!wanted) return null;
+  const match = Object.entries(LANGUAGES).find(([code, l]) => code.toUpperCase() === wanted || l.aliases.includes(wanted));
+  return match ? match[0] : null;
+}
+
+module.exports = { DEFAULT_LANGUAGE, LANGUAGES, getTranslations, resolveLanguage, translations };
@@ -84,6 +84,38 @@ const REDIS_KEYS = {
         description: 'Prevents duplicate game completion processing'
     },
 
+    DUEL_SLOT: {
+        pattern: 'duel_slot:{sessionKey}:q{questionNumber}',
+        build: (sessionKey, qNum) => `duel_slot:${sessionKey}:q${qNum}`,
+        ttl: 3600,           // 1 hour
+        owner: 'duel.service',
+        description: 'How many questions a duel round has been shown on a rung (Skip moves to the next pinned slot)'
+    },
+
+    LIVE_SHOW_CURRENT: {
+        pattern: 'live_show:current',
+        build: () => 'live_show:current',
+        ttl: 21600,          // 6 hours
+        owner: 'live-show.service',
+        description: 'The running live show, its question number and whether answers are open'
+    },
+
+    LIVE_SHOW_ALIVE: {
+        pattern: 'live_show:{showId}:alive',
+        build: (showId) => `live_show:${showId}:alive`,
+        ttl: 21600,          // 6 hours
+        owner: 'live-show.service',
+        description: 'SET of user ids still standing in a live show'
+    },
+
+    LIVE_SHOW_LOCK: {
+        pattern: 'lock:live_show:{showId}',
+        build: (showId) => `lock:live_show:${showId}`,
+        ttl: 30,             // 30 seconds
+        owner: 'live-show.service',
+        description: 'Only one process moves a live show on to its next phase'
+    },
+
     // ========================
     // ANTI-CHEAT KEYS
     // ========================
@@ -156,6 +188,25 @@ const REDIS_KEYS = {
         description: 'Game start rate limit counter (15/hour)'
     },
 
+    QUESTION_REPORTS_DAILY: {
+        pattern: 'question_reports:{userId}:{date}',
+        build: (userId, date) => `question_reports:${userId}:${date}`,
+        ttl: 86400,          // 24 hours
+        owner: 'question-quality.service',
+        description: 'REPORT commands a player has sent today (20/day)'
+    },
+
+    // ========================
+    // QUESTION BANK KEYS
+    // ========================
+    QUESTION_IMPORT_PREVIEW: {
+        pattern: 'question_import:{previewId}',
+        build: (previewId) => `question_import:${previewId}`,
+        ttl: 3600,           // 1 hour
+        owner: 'question-import.service',
+        description: 'Validated rows of an uploaded question spreadsheet, waiting to be committed'
+    },
+
     // ========================
     // LOVE QUEST KEYS
     // ========================
@@ -13,15 +13,29 @@ const UserService = require('../services/user.service');
 const PaymentService = require('../services/payment.service');
 const PayoutService = require('../services/payout.service');
 const ReferralService = require('../services/referral.service');
+const referralRewards = require('../services/referral-rewards.service');
 const TournamentService = require('../services/tournament.service');
 const streakService = require('../services/streak.service');
 const restrictionsService = require('../services/restrictions.service');
+const gameFormats = require('../services/game-format.service');
+const duelService = require('../services/duel.service');
+const liveShowService = require('../services/live-show.service');
+const dailyChallenge = require('../services/daily-challenge.service');
+const questionQuality = require('../services/question-quality.service');
+const languageService = require('../services/language.service');
+const ledgerService = require('../services/ledger.service');
+const statementService = require('../services/statement.service');
+const tournamentTeams = require('../services/tournament-team.service');
+const friendsService = require('../services/friends.service');
+const knockoutService = require('../services/knockout.service');
+const sponsorService = require('../services/sponsor.service');
 const { platformOf } = require('../utils/platform');
 const achievementsService = require('../services/achievements.service');
 const victoryCardsService = require('../services/victory-cards.service');
 const antiFraudService = require('../services/anti-fraud.service');
 const auditService = require('../services/audit.service');
 const loveQuestService = require('../services/love-quest.service');
+const kycService = require('../services/kyc.service');
 const { logger } = require('../utils/logger');
 
 const messagingService = new MessagingService();
@@ -375,6 +389,14 @@ class WebhookController {
         return;
       }
 
+      // ===================================
+      // PRIORITY 7.5: KYC SUBMISSION (VERIFY)
+      // ===================================
+      if (userState && userState.state && userState.state.startsWith('KYC_')) {
+        await this.handleKycInput(phone, message, userState);
+        return;
+      }
+
       // ===================================
       // PRIORITY 8: NEW USER (NO STATE, NO USER)
       // ===================================
@@ -412,6 +434,27 @@ class WebhookController {
         return;
       }
 
+      // ===================================
+      // PRIORITY 8.8: REPORT A QUESTION
+      // Works mid-question without touching the game, and for a while after
+      // a game ends (the last question it showed).
+      // ===================================
+      if (input === 'REPORT' || input.startsWith('REPORT ')) {
+        const reported = await questionQuality.report(user, message);
+        await messagingService.sendMessage(user.phone_number, reported.message, { webRedundant: true });
+        return;
+      }
+
+      // ===================================
+      // PRIORITY 8.9: LIVE SHOW ANSWER
+      // While a show is running, A/B/C/D from a player still standing
+      // belongs to the show, not to any solo game.
+      // ===================================
+      if (['A', 'B', 'C', 'D'].includes(input) && await liveShowService.acceptsAnswerFrom(user.id)) {
+        await liveShowService.submitAnswer(user, input);
+        return;
+      }
+
       // ===================================
       // PRIORITY 9: ACTIVE GAME SESSION
       // ===================================
@@ -431,6 +474,16 @@ class WebhookController {
         return;
       }
 
+      // ===================================
+      // PRIORITY 9.5: DAILY CHALLENGE ANSWER
+      // After the game check: a game started mid-run takes the answers,
+      // and the open daily question simply times out.
+      // ===================================
+      if (['A', 'B', 'C', 'D'].includes(input) && await dailyChallenge.acceptsAnswerFrom(user.id)) {
+        await dailyChallenge.submitAnswer(user, input);
+        return;
+      }
+
       // ===================================
       // PRIORITY 10: MAIN MENU (DEFAULT)
       // ===================================
@@ -946,7 +999,7 @@ Type the code, or type SKIP to continue:`
     
     message += `2️⃣ *Classic Mode*\n`;
     message += classicEnabled
-      ? `   General knowledge questions\n   Win up to ₦50,000! 💰\n\n`
+      ? `   General knowledge questions\n   Win up to ₦${gameFormats.topPrize(gameFormats.getDefault()).toLocaleString()}! 💰\n\n`
       : `   ⚠️ _Currently unavailable_\n\n`;
     
     message += `3️⃣ *Sponsored Tournaments* 🏆\n`;
@@ -1827,6 +1880,24 @@ Type the code, or type SKIP to continue:`
       // No pending Love Quest - might be regular payment
     }
 
+    // FRIENDS / GROUP commands — ahead of the includes() checks below, so a
+    // username or group name containing PROFILE, CLAIM or TOURNAMENT still
+    // lands here.
+    if (input === 'FRIENDS' || input.startsWith('FRIENDS ') || input.startsWith('FRIEND ')) {
+      await this.handleFriendsCommand(user, message);
+      return;
+    }
+    if (input === 'GROUP' || input === 'GROUPS' || input.startsWith('GROUP ')) {
+      await this.handleGroupCommand(user, message);
+      return;
+    }
+
+    // VERIFY / KYC — identity check before prizes can be claimed
+    if (input === 'VERIFY' || input === 'KYC') {
+      await this.handleKycCommand(user);
+      return;
+    }
+
     // PROFILE command
     if (input === 'PROFILE' || input.includes('PROFILE')) {
       await this.handleProfileCommand(user);
@@ -1891,6 +1962,66 @@ Type the code, or type SKIP to continue:`
       return;
     }
 
+    // LIVE command — LIVE to join the next show, LIVE LEAVE to drop out
+    if (input === 'LIVE' || input === 'LIVE SHOW' || input === 'LIVE LEAVE') {
+      await this.handleLiveCommand(user, input);
+      return;
+    }
+
+    // DAILY command — DAILY to play, DAILY TOP for the board, DAILY SHARE for the grid
+    if (input === 'DAILY' || input.startsWith('DAILY ')) {
+      await this.handleDailyCommand(user, input);
+      return;
+    }
+
+    // DUEL command — DUEL <username|code>, DUEL ACCEPT, DUEL DECLINE
+    if (input === 'DUEL' || input.startsWith('DUEL ')) {
+      await this.handleDuelCommand(user, message);
+      return;
+    }
+
+    // LANGUAGE command — LANGUAGE to list, LANGUAGE <number|name> to switch
+    if (input === 'LANGUAGE' || input.startsWith('LANGUAGE ') || input === 'LANG' || input.startsWith('LANG ')) {
+      await this.handleLanguageCommand(user, input);
+      return;
+    }
+
+    // BALANCE / WALLET command
+    if (input === 'BALANCE' || input === 'WALLET' || input === 'BAL') {
+      await this.handleBalanceCommand(user);
+      return;
+    }
+
+    // HISTORY command — HISTORY for the newest page, HISTORY 2 for older
+    if (input === 'HISTORY' || input.startsWith('HISTORY ') || input === 'TRANSACTIONS') {
+      await this.handleHistoryCommand(user, input);
+      return;
+    }
+
+    // STATEMENT command — STATEMENT, STATEMENT LAST, STATEMENT AUG 2026
+    if (input === 'STATEMENT' || input.startsWith('STATEMENT ')) {
+      await this.handleStatementCommand(user, input);
+      return;
+    }
+
+    // REDEEM command — REDEEM <code> for game credits or a package discount
+    if (input === 'REDEEM' || input.startsWith('REDEEM ')) {
+      await this.handleRedeemCommand(user, input);
+      return;
+    }
+
+    // KNOCKOUT command — KNOCKOUT for your match and the bracket, KNOCKOUT PLAY to play it
+    if (input === 'KNOCKOUT' || input === 'BRACKET' || input === 'KNOCKOUT PLAY') {
+      await this.handleKnockoutCommand(user, input);
+      return;
+    }
+
+    // TEAM command — TEAM for the team leaderboard, TEAM JOIN <code>, TEAM LEAVE
+    if (input === 'TEAM' || input === 'TEAMS' || input.startsWith('TEAM ')) {
+      await this.handleTeamCommand(user, input);
+      return;
+    }
+
     // WIN SHARING (YES/Y/SHARE/4 response)
     const winSharePending = await redis.get(`win_share_pending:${user.id}`);
     if (winSharePending && (
@@ -1951,7 +2082,7 @@ Type the code, or type SKIP to continue:`
       if (activeSession) {
         await messagingService.sendMessage(
           user.phone_number,
-          '⚠️ You have an active game. Complete it or type RESET.'
+          languageService.forUser(user).active_game_warning
         );
         return;
       }
@@ -1972,26 +2103,18 @@ Type the code, or type SKIP to continue:`
         !input.includes('PLAY') && 
         input !== '1' && input !== '2' && input !== '3' && input !== '4' && input !== '5') {
 
-      let welcomeMessage = `Hello again @${user.username}! 👋\n\n`;
-      welcomeMessage += `Welcome back to What's Up Trivia Game! 🎉\n\n`;
+      const t = languageService.forUser(user);
+      let welcomeMessage = `${t.welcome_back_hello(user.username)}\n\n`;
+      welcomeMessage += `${t.welcome_back_title}\n\n`;
 
       if (isPaymentEnabled) {
         const gamesRemaining = await paymentService.getGamesRemaining(user.id);
-        welcomeMessage += `💎 Classic Mode Tokens: ${gamesRemaining}\n\n`;
+        welcomeMessage += `${t.welcome_back_tokens(gamesRemaining)}\n\n`;
       }
 
-      welcomeMessage += `_Proudly brought to you by SummerIsland Systems._\n\n`;
-      welcomeMessage += `What would you like to do?\n\n`;
-      welcomeMessage += `1️⃣ Play Now\n`;
-      welcomeMessage += `2️⃣ How to Play\n`;
-      welcomeMessage += `3️⃣ View Leaderboard\n`;
-
-      if (isPaymentEnabled) {
-        welcomeMessage += `4️⃣ Buy Games\n`;
-        welcomeMessage += `5️⃣ My Stats`;
-      } else {
-        welcomeMessage += `4️⃣ My Stats`;
-      }
+      welcomeMessage += `${t.welcome_back_sponsor}\n\n`;
+      welcomeMessage += `${t.menu_prompt}\n\n`;
+      welcomeMessage += t.menu_options(isPaymentEnabled);
 
       await messagingService.sendMessage(user.phone_number, welcomeMessage);
       await pool.query('UPDATE users SET last_active = NOW() WHERE id = $1', [user.id]);
@@ -2112,6 +2235,8 @@ Type the code, or type SKIP to continue:`
       }
     } else if (input === 'RESET' || input === 'RESTART') {
       await this.handleReset(user);
+    } else if (input === 'STREAK RESTORE' || input === 'RESTORE STREAK') {
+      await this.handleStreakRestore(user);
     } else if (input === 'STREAK' || input === 'STREAKS') {
       await this.handleStreakCommand(user);
     } else {
@@ -2150,6 +2275,14 @@ Type the code, or type SKIP to continue:`
         message += `You don't have an active streak.\n`;
         message += `Play Classic or Tournament mode to start!\n`;
       }
+
+      const t = languageService.forUser(user);
+      if (streakInfo) {
+        message += `${t.streak_freezes_count(streakInfo.freezes)}\n`;
+        if (streakInfo.restoreOffer) {
+          message += `\n${streakService.formatRestoreOffer(streakInfo.restoreOffer, t)}\n`;
+        }
+      }
       
       message += `\n━━━━━━━━━━━━━━━━\n\n`;
       
@@ -2160,6 +2293,8 @@ Type the code, or type SKIP to continue:`
       message += `14 days: 3 Free Games 🔥🔥🔥\n`;
       message += `30 days: 5 Free Games 🏆\n`;
       message += `60 days: 10 Free Games 💎\n\n`;
+
+      message += `${t.streak_freezes_info}\n\n`;
       
       message += `━━━━━━━━━━━━━━━━\n\n`;
       
@@ -2189,6 +2324,34 @@ Type the code, or type SKIP to continue:`
     }
   }
 
+  /**
+   * STREAK RESTORE — payment link to buy back a streak that broke in the
+   * last few days. payment.routes credits it when the payment lands.
+   */
+  async handleStreakRestore(user) {
+    const t = languageService.forUser(user);
+    try {
+      const payment = await paymentService.initializeStreakRestore(user);
+
+      await messagingService.sendMessage(
+        user.phone_number,
+        t.streak_restore_link(
+          payment.lostStreak, payment.amount,
+          payment.gateway.charAt(0).toUpperCase() + payment.gateway.slice(1),
+          payment.authorization_url, payment.reference
+        )
+      );
+    } catch (error) {
+      logger.error('Error handling streak restore:', error);
+      await messagingService.sendMessage(
+        user.phone_number,
+        error.noRestoreOffer
+          ? t.streak_restore_none
+          : '❌ Error processing payment. Please try again.'
+      );
+    }
+  }
+
   // ============================================
   // PROFILE COMMAND
   // ============================================
@@ -2226,6 +2389,14 @@ Type the code, or type SKIP to continue:`
         message += `Games Remaining: ${user.games_remaining}\n\n`;
       }
 
+      const badges = await achievementsService.getUserAchievements(user.id, 5);
+      if (badges.length > 0) {
+        message += `🏅 *BADGES*\n`;
+        message += `━━━━━━━━━━━━━━━━\n`;
+        message += badges.map(b => `${b.emoji} ${b.name}`).join('\n') + `\n`;
+        message += `Type ACHIEVEMENTS to see them all.\n\n`;
+      }
+
       message += `📅 Member since: ${new Date(user.created_at).toLocaleDateString()}\n\n`;
       message += `_Proudly brought to you by SummerIsland Systems._\n\n`;
       message += `Type STATS for detailed statistics.`;
@@ -2241,6 +2412,541 @@ Type the code, or type SKIP to continue:`
     }
   }
 
+  // ============================================
+  // DAILY CHALLENGE COMMAND
+  // ============================================
+
+  async handleDailyCommand(user, input) {
+    try {
+      if (input === 'DAILY TOP' || input === 'DAILY LEADERBOARD') {
+        await messagingService.sendMessage(user.phone_number, await dailyChallenge.formatLeaderboard(user));
+        return;
+      }
+
+      if (input === 'DAILY SHARE') {
+        const result = await dailyChallenge.getResult(user.id, streakService.getNigerianDate());
+        if (!result) {
+          await messagingService.sendMessage(user.phone_number, `📅 Finish today's challenge first, then share your grid.
+
+Type *DAILY* to play.`);
+          return;
+        }
+        // Web gets the grid drawn as a card (web-game.routes /daily-card);
+        // chat gets the text to forward.
+        if (platformOf(user) === 'web') {
+          const gameEvents = require('../services/game-events.service');
+          gameEvents.emit(user.id, 'victory.card', {
+            url: '/web/game/daily-card',
+            caption: dailyChallenge.formatResult(result),
+            isDaily: true,
+            score: result.score,
+            canClaimAfter: false
+          });
+          return;
+        }
+        await messagingService.sendMessage(user.phone_number, dailyChallenge.formatResult(result));
+        return;
+      }
+
+      // Free and prize-less, so only what blocks practice blocks this.
+      const restriction = await restrictionsService.canUserPlay(user.id, 'practice');
+      if (!restriction.canPlay) {
+        await messagingService.sendMessage(user.phone_number, restriction.message);
+        return;
+      }
+
+      const started = await dailyChallenge.start(user);
+      if (!started.ok) await messagingService.sendMessage(user.phone_number, started.message);
+    } catch (error) {
+      logger.error('Error handling daily command:', error);
+      await messagingService.sendMessage(user.phone_number, '❌ Something went wrong. Please try again.');
+    }
+  }
+
+  // ============================================
+  // LIVE SHOW COMMAND
+  // ============================================
+
+  async handleLiveCommand(user, input) {
+    try {
+      if (input === 'LIVE LEAVE') {
+        const left = await liveShowService.leave(user);
+        await messagingService.sendMessage(user.phone_number, left.message);
+        return;
+      }
+
+      // Live shows pay real prizes, so the full tournament check applies.
+      const restriction = await restrictionsService.canUserPlay(user.id, 'tournament');
+      if (!restriction.canPlay) {
+        await messagingService.sendMessage(user.phone_number, restriction.message);
+        return;
+      }
+
+      const joined = await liveShowService.join(user);
+      await messagingService.sendMessage(user.phone_number, joined.message);
+    } catch (error) {
+      logger.error('Error handling live command:', error);
+      await messagingService.sendMessage(user.phone_number, '❌ Something went wrong. Please try again.');
+    }
+  }
+
+  // ============================================
+  // LANGUAGE COMMAND
+  // ============================================
+
+  async handleLanguageCommand(user, input) {
+    try {
+      const choice = input.replace(/^LANG(UAGE)?\s*/, '');
+      const current = languageService.languageOf(user);
+
+      if (choice) {
+        const code = languageService.resolve(choice);
+        if (!code) {
+          const t = languageService.forUser(user);
+          await messagingService.sendMessage(user.phone_number, `${t.language_unknown}\n\n${t.language_choose}`);
+          return;
+        }
+        await languageService.setLanguage(user.id, code);
+        // Confirm in the language just chosen
+        await messagingService.sendMessage(user.phone_number, languageService.forUser({ language: code }).language_set(languageService.label(code)));
+        return;
+      }
+
+      const t = languageService.forUser(user);
+      let message = `${t.language_title}\n\n`;
+      message += `${t.language_current(languageService.label(current))}\n\n`;
+      languageService.list().forEach((lang, i) => {
+        message += `${i + 1}️⃣ ${lang.native}${lang.code === current ? ' ✅' : ''}\n`;
+      });
+      message += `\n${t.language_choose}`;
+      await messagingService.sendMessage(user.phone_number, message);
+    } catch (error) {
+      logger.error('Error handling language command:', error);
+      await messagingService.sendMessage(user.phone_number, '❌ Something went wrong. Please try again.');
+    }
+  }
+
+  // ============================================
+  // BALANCE / WALLET COMMAND
+  // Read from the ledger, so what a player is shown is exactly what
+  // reconciliation checks.
+  // ============================================
+
+  async handleBalanceCommand(user) {
+    try {
+      const t = languageService.forUser(user);
+      const balance = await ledgerService.getBalance(user.id);
+      const recent = await ledgerService.getStatement(user.id, { limit: 5 });
+
+      let message = `${t.wallet_title}\n\n`;
+      message += `${t.wallet_games(balance.games)}\n`;
+      if (balance.tokens.length) {
+        message += `${t.wallet_tokens}\n`;
+        balance.tokens.forEach(tk => { message += `   • ${tk.tournamentName}: ${tk.tokens}\n`; });
+      }
+      if (balance.winnings > 0) {
+        message += `\n${t.wallet_winnings(balance.winnings.toLocaleString())}\n${t.wallet_claim}\n`;
+      }
+      if (balance.wallet > 0) message += `${t.wallet_wallet(balance.wallet.toLocaleString())}\n`;
+
+      message += `\n${t.wallet_recent}\n`;
+      if (!recent.length) message += `${t.wallet_none}\n`;
+      recent.forEach(j => {
+        const date = new Date(j.created_at).toLocaleDateString('en-NG', { day: 'numeric', month: 'short' });
+        const moves = j.entries.map(e => {
+          const amount = parseFloat(e.amount);
+          const sign = amount > 0 ? '+' : '-';
+          if (e.unit === 'NGN') return `${sign}₦${Math.abs(amount).toLocaleString()}`;
+          return `${sign}${Math.abs(amount)} ${e.unit === 'GAME' ? '🎮' : '🎟️'}`;
+        }).join(' ');
+        message += `• ${date} — ${t.wallet_kinds[j.kind] || j.description} ${moves}\n`;
+      });
+
+      message += `\n${t.wallet_footer}`;
+      await messagingService.sendMessage(user.phone_number, message);
+    } catch (error) {
+      logger.error('Error handling balance command:', error);
+      await messagingService.sendMessage(user.phone_number, '❌ Something went wrong. Please try again.');
+    }
+  }
+
+  // ============================================
+  // HISTORY & STATEMENT COMMANDS
+  // What support used to answer by hand: did my payment go through, was
+  // my prize paid, why was it forfeited. History pages through every
+  // line as text; a statement draws one month as an image.
+  // ============================================
+
+  async handleHistoryCommand(user, input) {
+    try {
+      const t = languageService.forUser(user);
+      const page = parseInt(input.replace(/^HISTORY\s*/, '')) || 1;
+      const history = await statementService.getHistory(user.id, page);
+
+      if (!history.total) {
+        await messagingService.sendMessage(user.phone_number, `${t.history_title}\n\n${t.history_none}`);
+        return;
+      }
+      if (!history.lines.length) {
+        await messagingService.sendMessage(user.phone_number, `${t.history_title}\n\n${t.history_past_end(history.pages)}`);
+        return;
+      }
+
+      const icons = { purchase: '🛒', tournament_entry: '🎟️', prize: '🏆' };
+      const day = (d) => new Date(d).toLocaleDateString('en-NG', { day: 'numeric', month: 'short', year: 'numeric' });
+
+      let message = `${t.history_title}\n${t.history_page(history.page, history.pages)}\n\n`;
+      history.lines.forEach(line => {
+        const games = line.games ? ` (${t.history_games(line.games)})` : '';
+        let status = t.history_status[line.status] || line.status;
+        if (line.settledAt) status += ` ${t.history_paid_on(day(line.settledAt))}`;
+        message += `${icons[line.kind]} ${day(line.at)} — ${t.history_kinds[line.kind]} ${line.label}${games}\n`;
+        message += `   ₦${line.amount.toLocaleString()} · ${status}\n`;
+        if (line.kind !== 'prize') message += `   Ref: ${line.reference}\n`;
+        message += `\n`;
+      });
+
+      if (history.page < history.pages) message += `${t.history_more(history.page + 1)}\n`;
+      message += t.history_footer;
+      await messagingService.sendMessage(user.phone_number, message);
+    } catch (error) {
+      logger.error('Error handling history command:', error);
+      await messagingService.sendMessage(user.phone_number, '❌ Something went wrong. Please try again.');
+    }
+  }
+
+  async handleStatementCommand(user, input) {
+    try {
+      const t = languageService.forUser(user);
+      const wanted = statementService.parseMonth(input.replace(/^STATEMENT\s*/, ''));
+      if (!wanted) {
+        await messagingService.sendMessage(user.phone_number, t.statement_unknown);
+        return;
+      }
+
+      const statement = await statementService.getMonth(user.id, wanted.year, wanted.month);
+      const period = new Date(wanted.year, wanted.month - 1, 1)
+        .toLocaleDateString('en-NG', { month: 'long', year: 'numeric' });
+
+      if (!statement.lines.length) {
+        await messagingService.sendMessage(user.phone_number, t.statement_empty(period));
+        return;
+      }
+
+      // Canvas fonts have no naira sign, so the card spells it N — as the
+      // victory cards do.
+      const naira = (n) => 'N' + Math.round(n).toLocaleString();
+      const totals = [
+        { label: t.statement_totals.spent, value: naira(statement.totals.spent) },
+        { label: t.statement_totals.won, value: naira(statement.totals.won) },
+        { label: t.statement_totals.paid, value: naira(statement.totals.paid) }
+      ];
+      if (statement.totals.forfeited > 0) {
+        totals.push({ label: t.statement_totals.forfeited, value: naira(statement.totals.forfeited) });
+      }
+
+      const rows = statement.lines.map(line => ({
+        date: new Date(line.at).toLocaleDateString('en-NG', { day: 'numeric', month: 'short' }),
+        label: `${t.history_kinds[line.kind]} ${line.label}` + (line.games ? ` (${t.history_games(line.games)})` : ''),
+        status: t.history_status[line.status] || line.status,
+        amount: (line.kind === 'prize' ? '+' : '-') + naira(line.amount),
+        positive: line.kind === 'prize'
+      }));
+
+      // Web players have the purchases page and no image channel that can
+      // take a file from disk, so they get the totals as text.
+      if (platformOf(user) === 'web') {
+        let message = `🧾 *${t.statement_title}* — ${period}\n\n`;
+        totals.forEach(x => { message += `${x.label}: ${x.value.replace(/^N/, '₦')}\n`; });
+        message += `\n${t.history_footer}`;
+        await messagingService.sendMessage(user.phone_number, message);
+        return;
+      }
+
+      await messagingService.sendMessage(user.phone_number, t.statement_preparing);
+
+      const ImageService = require('../services/image.service');
+      const imageService = new ImageService();
+      const imagePath = await imageService.generateStatementImage({
+        title: t.statement_title,
+        period,
+        username: user.username,
+        totals,
+        rows,
+        more: rows.length > 25 ? t.statement_more(rows.length - 25) : null,
+        footer: t.statement_footer
+      });
+
+      await messagingService.sendImage(user.phone_number, imagePath, t.statement_caption(period));
+      imageService.cleanupTempFiles();
+    } catch (error) {
+      logger.error('Error handling statement command:', error);
+      await messagingService.sendMessage(user.phone_number, '❌ Something went wrong. Please try again.');
+    }
+  }
+
+  async handleKnockoutCommand(user, input) {
+    try {
+      if (input === 'KNOCKOUT PLAY') {
+        const start = await knockoutService.startMatch(user);
+        if (!start.ok) {
+          await messagingService.sendMessage(user.phone_number, start.message);
+          return;
+        }
+        await gameService.startNewGame(user, 'classic', null, { duel: start.duel, opponentName: start.opponentName });
+        return;
+      }
+
+      const status = await knockoutService.describeForPlayer(user.id);
+      await messagingService.sendMessage(user.phone_number, status.message);
+
+      // The bracket picture goes to chat players; web players can't take
+      // an image file from disk.
+      if (status.tournamentId && platformOf(user) !== 'web') {
+        const imagePath = await knockoutService.renderImage(status.tournamentId);
+        if (imagePath) await messagingService.sendImage(user.phone_number, imagePath, '🥊 The bracket so far');
+      }
+    } catch (error) {
+      logger.error('Error handling knockout command:', error);
+      await messagingService.sendMessage(user.phone_number, '❌ Something went wrong. Please try again.');
+    }
+  }
+
+  async handleTeamCommand(user, input) {
+    try {
+      const t = languageService.forUser(user);
+      const arg = input.replace(/^TEAMS?\s*/, '');
+
+      if (arg === 'JOIN' || arg.startsWith('JOIN ')) {
+        const code = arg.replace(/^JOIN\s*/, '');
+        if (!code) {
+          await messagingService.sendMessage(user.phone_number, t.team_join_usage);
+          return;
+        }
+        const result = await tournamentTeams.joinTeam(user.id, code);
+        await messagingService.sendMessage(user.phone_number,
+          result.success ? t.team_joined(result.team.name) : t.team_join_unknown);
+        return;
+      }
+
+      if (arg === 'LEAVE') {
+        const result = await tournamentTeams.leaveTeam(user.id);
+        await messagingService.sendMessage(user.phone_number,
+          result.success ? t.team_left(result.teamName) : t.team_no_custom);
+        return;
+      }
+
+      const view = await tournamentTeams.getPlayerView(user.id);
+      let message = `${t.team_title}\n\n`;
+
+      if (view.tournament) {
+        const { tournament, standings, myTeam } = view.tournament;
+        message += `${t.team_board_header(tournament.name, tournament.countedPlayers)}\n\n`;
+        if (!standings.length) message += `${t.team_board_empty}\n`;
+        standings.forEach(row => {
+          message += `${row.position}. ${row.teamName} — ${t.team_score(row.score, row.players)}\n`;
+        });
+        message += `\n${myTeam && myTeam.position
+          ? t.team_yours(myTeam.teamName, myTeam.position, myTeam.teams, myTeam.score)
+          : t.team_unassigned[tournament.teamMode]}\n\n`;
+        if (tournament.prizeSplit === 'top_team') message += `${t.team_prize_split}\n\n`;
+      } else {
+        message += `${t.team_none_active}\n\n`;
+      }
+
+      message += view.team ? t.team_my_custom(view.team.name, view.team.members, view.team.join_code) : t.team_no_custom;
+      await messagingService.sendMessage(user.phone_number, message);
+    } catch (error) {
+      logger.error('Error handling team command:', error);
+      await messagingService.sendMessage(user.phone_number, '❌ Something went wrong. Please try again.');
+    }
+  }
+
+  // ============================================
+  // FRIENDS & PRIVATE GROUPS
+  // ============================================
+
+  formatBoard(t, rows, userId) {
+    return rows.map(row => t.board_row(row.position, row.username, row.best, row.userId === userId)).join('\n');
+  }
+
+  async handleFriendsCommand(user, message) {
+    try {
+      const t = languageService.forUser(user);
+      // Usernames are matched case-insensitively, but keep what was typed
+      // for the "not found" reply.
+      const arg = message.trim().replace(/^friends?\s*/i, '').trim();
+      const keyword = arg.toUpperCase();
+
+      if (keyword === 'ADD' || keyword.startsWith('ADD ') || keyword === 'REMOVE' || keyword.startsWith('REMOVE ')) {
+        const adding = keyword.startsWith('ADD');
+        const name = arg.replace(/^(add|remove)\s*/i, '').trim();
+        if (!name) {
+          await messagingService.sendMessage(user.phone_number, t.friend_add_usage);
+          return;
+        }
+
+        const result = adding
+          ? await friendsService.addFriend(user, name)
+          : await friendsService.removeFriend(user, name);
+        let reply;
+        if (result.success) reply = adding ? t.friend_added(result.friend.username) : t.friend_removed(result.friend.username);
+        else if (result.error === 'self') reply = t.friend_self;
+        else if (result.error === 'already') reply = t.friend_already(result.friend.username);
+        else if (result.error === 'limit') reply = t.friend_limit(friendsService.limits.friends);
+        else if (result.error === 'not_friends') reply = t.friend_not_friends(result.friend.username);
+        else reply = t.friend_not_found(name.replace(/^@/, ''));
+        await messagingService.sendMessage(user.phone_number, reply);
+        return;
+      }
+
+      const weekly = keyword === 'WEEK' || keyword === 'WEEKLY';
+      const board = await friendsService.friendsLeaderboard(user.id, weekly ? 'weekly' : 'daily');
+      if (!board.friends) {
+        await messagingService.sendMessage(user.phone_number, `${t.friends_none}\n\n${t.friends_footer}`);
+        return;
+      }
+      await messagingService.sendMessage(user.phone_number,
+        `${t.friends_board_title(weekly)}\n\n${this.formatBoard(t, board.rows, user.id)}\n\n${t.friends_footer}`);
+    } catch (error) {
+      logger.error('Error handling friends command:', error);
+      await messagingService.sendMessage(user.phone_number, '❌ Something went wrong. Please try again.');
+    }
+  }
+
+  async handleGroupCommand(user, message) {
+    try {
+      const t = languageService.forUser(user);
+      // Group names keep the case they were typed in.
+      const arg = message.trim().replace(/^groups?\s*/i, '').trim();
+      const keyword = arg.toUpperCase();
+
+      if (keyword === 'CREATE' || keyword.startsWith('CREATE ')) {
+        const result = await friendsService.createGroup(user, arg.replace(/^create\s*/i, ''));
+        let reply;
+        if (result.success) reply = t.group_created(result.group.name, result.group.invite_code);
+        else if (result.error === 'limit') reply = t.group_limit(friendsService.limits.groups);
+        else reply = t.group_name_invalid;
+        await messagingService.sendMessage(user.phone_number, reply);
+        return;
+      }
+
+      if (keyword === 'JOIN' || keyword.startsWith('JOIN ')) {
+        const code = keyword.replace(/^JOIN\s*/, '');
+        if (!code) {
+          await messagingService.sendMessage(user.phone_number, t.group_join_usage);
+          return;
+        }
+        const result = await friendsService.joinGroup(user, code);
+        let reply;
+        if (result.success) reply = t.group_joined(result.group.name, result.group.invite_code);
+        else if (result.error === 'already') reply = t.group_already(result.group.name, result.group.invite_code);
+        else if (result.error === 'full') reply = t.group_full(result.group.name);
+        else if (result.error === 'limit') reply = t.group_limit(friendsService.limits.groups);
+        else reply = t.group_unknown;
+        await messagingService.sendMessage(user.phone_number, reply);
+        return;
+      }
+
+      if (keyword.startsWith('LEAVE ')) {
+        const result = await friendsService.leaveGroup(user, keyword.replace(/^LEAVE\s*/, ''));
+        let reply;
+        if (result.success) reply = t.group_left(result.group.name);
+        else if (result.error === 'not_member') reply = t.group_not_member;
+        else reply = t.group_unknown;
+        await messagingService.sendMessage(user.phone_number, reply);
+        return;
+      }
+
+      // GROUP <code> [WEEK] — that group's leaderboard
+      if (keyword) {
+        const [code, period] = keyword.split(/\s+/);
+        const weekly = period === 'WEEK' || period === 'WEEKLY';
+        const result = await friendsService.groupLeaderboard(user.id, code, weekly ? 'weekly' : 'daily');
+        if (!result.success) {
+          await messagingService.sendMessage(user.phone_number,
+            result.error === 'not_member' ? t.group_not_member : t.group_unknown);
+          return;
+        }
+        await messagingService.sendMessage(user.phone_number,
+          `${t.group_board_title(result.group.name, weekly)}\n\n${this.formatBoard(t, result.rows, user.id)}\n\n` +
+          t.group_board_footer(result.group.invite_code, weekly));
+        return;
+      }
+
+      const groups = await friendsService.listGroups(user.id);
+      let reply = `${t.groups_title}\n\n`;
+      reply += groups.length
+        ? groups.map(g => t.groups_row(g.name, g.members, g.invite_code)).join('\n')
+        : t.groups_none;
+      reply += `\n\n${t.groups_footer}`;
+      await messagingService.sendMessage(user.phone_number, reply);
+    } catch (error) {
+      logger.error('Error handling group command:', error);
+      await messagingService.sendMessage(user.phone_number, '❌ Something went wrong. Please try again.');
+    }
+  }
+
+  // ============================================
+  // DUEL COMMAND
+  // ============================================
+
+  async handleDuelCommand(user, message) {
+    try {
+      // Usernames are matched case-insensitively, but keep what was typed
+      // for the "not found" reply.
+      const arg = message.trim().replace(/^duel\s*/i, '').trim();
+      const keyword = arg.toUpperCase();
+
+      if (!arg) {
+        const pending = await duelService.getPendingFor(user.id);
+        let msg = `⚔️ *DUEL A FRIEND* ⚔️\n\n`;
+        msg += `Challenge a friend to answer the same questions as you. Most correct answers wins — if it's level, the faster player takes it.\n\n`;
+        msg += `Type *DUEL* followed by their username or referral code, e.g.\n*DUEL chioma_22*\n\n`;
+        msg += `Duels are free and don't use a game token.`;
+        if (pending) {
+          msg += `\n\n📩 *${pending.challenger_username}* has challenged you!\nReply *DUEL ACCEPT* or *DUEL DECLINE*.`;
+        }
+        await messagingService.sendMessage(user.phone_number, msg);
+        return;
+      }
+
+      if (keyword === 'DECLINE' || keyword === 'NO') {
+        const declined = await duelService.decline(user);
+        await messagingService.sendMessage(user.phone_number, declined.message);
+        return;
+      }
+
+      // Duels carry no prize, so only a suspension keeps a player out —
+      // the same rule as practice mode.
+      const restriction = await restrictionsService.canUserPlay(user.id, 'practice');
+      if (!restriction.canPlay) {
+        await messagingService.sendMessage(user.phone_number, restriction.message);
+        return;
+      }
+
+      if (keyword === 'ACCEPT' || keyword === 'YES') {
+        const accepted = await duelService.accept(user);
+        if (!accepted.ok) {
+          await messagingService.sendMessage(user.phone_number, accepted.message);
+          return;
+        }
+        await gameService.startNewGame(user, 'classic', null, { duel: accepted.duel, opponentName: accepted.opponentName });
+        return;
+      }
+
+      const challenge = await duelService.challenge(user, arg);
+      if (!challenge.ok) {
+        await messagingService.sendMessage(user.phone_number, challenge.message);
+        return;
+      }
+      await gameService.startNewGame(user, 'classic', null, { duel: challenge.duel, opponentName: challenge.opponent.username });
+    } catch (error) {
+      logger.error('Error handling duel command:', error);
+      await messagingService.sendMessage(user.phone_number, '❌ Something went wrong with your duel. Please try again.');
+    }
+  }
+
   // ============================================
   // REFERRAL COMMAND
   // ============================================
@@ -2248,6 +2954,8 @@ Type the code, or type SKIP to continue:`
   async handleReferralCommand(user) {
     try {
       const stats = await referralService.getReferralStats(user.id);
+      const tiers = await referralRewards.listTiers({ activeOnly: true });
+      const earned = await referralRewards.getReferrerSummary(user.id);
 
       let message = `💰 *REFERRAL PROGRAM* 💰\n\n`;
       message += `Invite friends and earn FREE GAMES! 🎁\n\n`;
@@ -2256,7 +2964,9 @@ Type the code, or type SKIP to continue:`
       message += `━━━━━━━━━━━━━━━━\n`;
       message += `Your Code: *${user.referral_code}*\n`;
       message += `Total Referrals: ${stats.totalReferrals}\n`;
-      message += `Free Games Earned: ${stats.pendingRewards}\n\n`;
+      message += `Free Games Earned: ${stats.pendingRewards + earned.games}\n`;
+      if (earned.wallet > 0) message += `Wallet Rewards: ₦${earned.wallet.toLocaleString()}\n`;
+      message += `\n`;
 
       message += `🎯 *HOW IT WORKS*\n`;
       message += `━━━━━━━━━━━━━━━━\n`;
@@ -2264,6 +2974,21 @@ Type the code, or type SKIP to continue:`
       message += `• Your friend gets 1 FREE GAME (24hr expiry)\n`;
       message += `• Every 3 friends = 1 FREE GAME for you!\n\n`;
 
+      if (tiers.length > 0) {
+        message += `🏅 *WHEN YOUR FRIENDS PLAY*\n`;
+        message += `━━━━━━━━━━━━━━━━\n`;
+        for (const tier of tiers) {
+          const when = tier.milestone === 'first_purchase'
+            ? 'buys games or a tournament entry'
+            : tier.threshold === 1 ? 'finishes their first game' : `finishes ${tier.threshold} games`;
+          const reward = tier.reward_type === 'wallet'
+            ? `₦${tier.reward_amount.toLocaleString()} to your wallet`
+            : `${tier.reward_amount} FREE GAME${tier.reward_amount === 1 ? '' : 'S'}`;
+          message += `• Friend ${when} = ${reward}\n`;
+        }
+        message += `\n`;
+      }
+
       const nextReward = 3 - (stats.totalReferrals % 3);
       message += `⏳ Next reward in: ${nextReward} referral${nextReward !== 1 ? 's' : ''}\n\n`;
 
@@ -2392,7 +3117,8 @@ Type the code, or type SKIP to continue:`
       }
 
       const packages = await paymentService.getPackages();
-      const message = paymentService.formatPaymentMessage(packages);
+      const message = paymentService.formatPaymentMessage(packages) +
+        '\n\n🎟️ Got a promo code? Reply REDEEM <code>';
 
       await messagingService.sendMessage(user.phone_number, message);
       await userService.setUserState(user.phone_number, 'SELECT_PACKAGE', { packages });
@@ -2408,6 +3134,12 @@ Type the code, or type SKIP to continue:`
 
   async handlePackageSelection(user, message, stateData) {
     try {
+      if (message.trim().toUpperCase().startsWith('REDEEM')) {
+        await userService.clearUserState(user.phone_number);
+        await this.handleRedeemCommand(user, message.trim().toUpperCase());
+        return;
+      }
+
       if (!stateData || !stateData.packages) {
         await messagingService.sendMessage(
           user.phone_number,
@@ -2429,6 +3161,21 @@ Type the code, or type SKIP to continue:`
       }
 
       const selectedPackage = packages[packageIndex];
+      const promoCode = stateData.promoCode || null;
+      let discount = null;
+      if (promoCode) {
+        const promoCodeService = require('../services/promo-code.service');
+        const quote = await promoCodeService.quoteDiscount(promoCode, user.id, selectedPackage);
+        if (!quote.valid) {
+          await messagingService.sendMessage(
+            user.phone_number,
+            `❌ *${quote.reason}*\n\nPick another package, or type BUY to start over without the code.`
+          );
+          return;
+        }
+        discount = quote;
+      }
+
       const gatewayManager = require('../services/payment-gateway-manager');
       const gateways = await gatewayManager.getEnabledGatewaysForPicker();
 
@@ -2443,14 +3190,19 @@ Type the code, or type SKIP to continue:`
 
       // Only one gateway enabled — skip picker, init directly
       if (gateways.length === 1) {
-        await this.initPackagePayment(user, selectedPackage, gateways[0].getName());
+        await this.initPackagePayment(user, selectedPackage, gateways[0].getName(), promoCode);
         return;
       }
 
       // Multiple gateways — show picker
       let pickerMsg = `💳 *SELECT PAYMENT PROCESSOR* 💳\n\n`;
       pickerMsg += `Package: ${selectedPackage.name}\n`;
-      pickerMsg += `Amount: ₦${Number(selectedPackage.price_naira).toLocaleString()}\n\n`;
+      if (discount) {
+        pickerMsg += `Amount: ₦${discount.amount.toLocaleString()} (was ₦${Number(selectedPackage.price_naira).toLocaleString()})\n`;
+        pickerMsg += `Promo: ${discount.code.code}\n\n`;
+      } else {
+        pickerMsg += `Amount: ₦${Number(selectedPackage.price_naira).toLocaleString()}\n\n`;
+      }
       pickerMsg += `Reply with the number to choose how to pay:\n\n`;
       gateways.forEach((gw, idx) => {
         pickerMsg += `${idx + 1}. Pay with ${gw.getDisplayName()}\n`;
@@ -2460,7 +3212,8 @@ Type the code, or type SKIP to continue:`
       await userService.setUserState(user.phone_number, 'SELECT_PACKAGE_GATEWAY', {
         packageId: selectedPackage.id,
         packageName: selectedPackage.name,
-        gatewayNames: gateways.map(g => g.getName())
+        gatewayNames: gateways.map(g => g.getName()),
+        promoCode
       });
       await messagingService.sendMessage(user.phone_number, pickerMsg);
 
@@ -2468,7 +3221,9 @@ Type the code, or type SKIP to continue:`
       logger.error('Error handling package selection:', error);
       await messagingService.sendMessage(
         user.phone_number,
-        '❌ Error processing payment. Please try again.'
+        error.promoRejected
+          ? `❌ *${error.message}*\n\nType BUY to start over without the code.`
+          : '❌ Error processing payment. Please try again.'
       );
     }
   }
@@ -2476,8 +3231,8 @@ Type the code, or type SKIP to continue:`
   /**
    * Shared method to actually initialize a package payment with a specific gateway
    */
-  async initPackagePayment(user, selectedPackage, gatewayName) {
-    const payment = await paymentService.initializePayment(user, selectedPackage.id, gatewayName);
+  async initPackagePayment(user, selectedPackage, gatewayName, promoCode = null) {
+    const payment = await paymentService.initializePayment(user, selectedPackage.id, gatewayName, { promoCode });
     await userService.clearUserState(user.phone_number);
 
     await messagingService.sendMessage(
@@ -2485,7 +3240,9 @@ Type the code, or type SKIP to continue:`
       `💳 PAYMENT LINK 💳\n\n` +
       `Package: ${selectedPackage.name}\n` +
       `Amount: ₦${payment.amount.toLocaleString()}\n` +
+      (payment.promoCode ? `Promo: ${payment.promoCode} (-₦${payment.discount.toLocaleString()})\n` : '') +
       `Games: ${payment.games}\n` +
+      (payment.streakFreezes ? `${languageService.forUser(user).payment_link_freezes(payment.streakFreezes)}\n` : '') +
       `Pay with: ${payment.gateway.charAt(0).toUpperCase() + payment.gateway.slice(1)}\n\n` +
       `Click link to pay:\n${payment.authorization_url}\n\n` +
       `Payment Reference: ${payment.reference}\n\n` +
@@ -2530,18 +3287,72 @@ Type the code, or type SKIP to continue:`
         return;
       }
 
-      await this.initPackagePayment(user, pkgResult.rows[0], chosenGateway);
+      await this.initPackagePayment(user, pkgResult.rows[0], chosenGateway, stateData.promoCode || null);
 
     } catch (error) {
       logger.error('Error handling package gateway selection:', error);
       await userService.clearUserState(user.phone_number);
       await messagingService.sendMessage(
         user.phone_number,
-        '❌ Error processing payment. Please try again.'
+        error.promoRejected
+          ? `❌ *${error.message}*\n\nType BUY to start over without the code.`
+          : '❌ Error processing payment. Please try again.'
       );
     }
   }
 
+  /**
+   * REDEEM <code>. Game-credit codes pay out on the spot; a discount code
+   * opens the package list with the code attached, and it comes off the
+   * price at checkout. Tournament codes are pointed at the tournament flow.
+   */
+  async handleRedeemCommand(user, input) {
+    try {
+      const t = languageService.forUser(user);
+      const code = input.replace(/^REDEEM\s*/, '').trim();
+      if (!code) {
+        await messagingService.sendMessage(user.phone_number, t.redeem_usage);
+        return;
+      }
+
+      const promoCodeService = require('../services/promo-code.service');
+      const check = await promoCodeService.inspectCode(code, user.id);
+      if (!check.valid) {
+        await messagingService.sendMessage(user.phone_number, t.redeem_failed(check.reason));
+        return;
+      }
+
+      const promo = check.code;
+      if (promo.reward_type === 'game_credits') {
+        const result = await promoCodeService.redeemGameCredits(code, user.id);
+        await messagingService.sendMessage(
+          user.phone_number,
+          result.success ? t.redeem_games(result.games, result.gamesRemaining) : t.redeem_failed(result.reason)
+        );
+        return;
+      }
+
+      if (promo.reward_type === 'tournament_entry') {
+        await messagingService.sendMessage(user.phone_number, t.redeem_tournament);
+        return;
+      }
+
+      if (!paymentService.isEnabled()) {
+        await messagingService.sendMessage(user.phone_number, t.redeem_discount_free);
+        return;
+      }
+
+      const packages = await paymentService.getPackages();
+      await messagingService.sendMessage(
+        user.phone_number,
+        `${t.redeem_discount(promoCodeService.describeReward(promo))}\n\n${paymentService.formatPaymentMessage(packages)}`
+      );
+      await userService.setUserState(user.phone_number, 'SELECT_PACKAGE', { packages, promoCode: promo.code });
+    } catch (error) {
+      logger.error('Error handling REDEEM command:', error);
+      await messagingService.sendMessage(user.phone_number, '❌ Error redeeming code. Please try again.');
+    }
+  }
 
 // ============================================
 // END OF PART 4/6
@@ -2585,6 +3396,13 @@ Type the code, or type SKIP to continue:`
         return;
       }
 
+      // Identity check: blocked until a reviewer approves the documents
+      const kycCheck = await kycService.canUserClaim(user.id);
+      if (!kycCheck.canClaim) {
+        await messagingService.sendMessage(user.phone_number, kycCheck.message);
+        return;
+      }
+
       const existingDetails = await payoutService.getPayoutDetails(transaction.id);
 
       if (existingDetails) {
@@ -3063,6 +3881,11 @@ Type the code, or type SKIP to continue:`
       return;
     }
 
+    if (input === 'ASK' || input.includes('AUDIENCE')) {
+      await gameService.useLifeline(session, user, 'ask_audience');
+      return;
+    }
+
     // Answer
     if (['A', 'B', 'C', 'D'].includes(input)) {
       await gameService.processAnswer(session, user, input);
@@ -3073,6 +3896,7 @@ Type the code, or type SKIP to continue:`
         'Or use a lifeline:\n' +
         '- Type "50" to activate 50:50\n' +
         '- Type "Skip" to skip question\n' +
+        '- Type "Ask" to ask the audience\n' +
         '- Type "RESET" to start over'
       );
     }
@@ -3086,6 +3910,18 @@ Type the code, or type SKIP to continue:`
       const user = await userService.getUserByPhone(phone);
       if (!user) return;
 
+      // KYC documents, sent after VERIFY
+      const userState = await userService.getUserState(phone);
+      if (userState && (userState.state === 'KYC_ID_PHOTO' || userState.state === 'KYC_SELFIE')) {
+        const buffer = await this.downloadImage(message);
+        if (!buffer) {
+          await messagingService.sendMessage(phone, '⚠️ That photo didn\'t come through. Please send it again.');
+          return;
+        }
+        await this.handleKycImage(user, buffer);
+        return;
+      }
+
       const activeSession = await gameService.getActiveSession(user.id);
       if (!activeSession) return;
 
@@ -3105,6 +3941,159 @@ Type the code, or type SKIP to continue:`
     }
   }
 
+  // The bytes of an incoming image: Telegram hands them over already
+  // downloaded, WhatsApp sends a media ID to fetch.
+  async downloadImage(message) {
+    if (message.telegramPhoto && message.telegramPhoto.buffer) return message.telegramPhoto.buffer;
+    if (!message.image || !message.image.id) return null;
+    const WhatsAppService = require('../services/whatsapp.service');
+    const media = await new WhatsAppService().downloadMedia(message.image.id);
+    return media ? media.buffer : null;
+  }
+
+  // ============================================
+  // KYC SUBMISSION (VERIFY)
+  // ID type → ID number → BVN → ID photo → selfie holding the ID.
+  // Photos arrive through handleImageMessage on chat and POST /web/game/kyc
+  // on web; both end up in handleKycImage.
+  // ============================================
+
+  async handleKycCommand(user) {
+    const t = languageService.forUser(user);
+    try {
+      const status = await kycService.getKYCStatus(user.id);
+
+      if (status && status.user_kyc_status === 'approved') {
+        await messagingService.sendMessage(user.phone_number, t.kyc_already_verified);
+        return;
+      }
+      if (status && status.status === 'submitted') {
+        await messagingService.sendMessage(user.phone_number, kycService.getKYCUnderReviewMessage(t));
+        return;
+      }
+      if (!status || status.status !== 'pending') {
+        await messagingService.sendMessage(user.phone_number, t.kyc_not_needed);
+        return;
+      }
+
+      await userService.setUserState(user.phone_number, 'KYC_ID_TYPE', {});
+      await this.sendKycIdTypeMenu(user.phone_number, t);
+    } catch (error) {
+      logger.error('Error starting KYC:', error);
+      await messagingService.sendMessage(user.phone_number, t.kyc_start_failed);
+    }
+  }
+
+  async sendKycIdTypeMenu(phone, t) {
+    await messagingService.sendMessage(phone, t.kyc_id_type_menu);
+  }
+
+  async handleKycInput(phone, message, userState) {
+    const t = languageService.forUser(await userService.getUserByPhone(phone));
+    try {
+      const text = message.trim();
+      const data = userState.data || {};
+
+      if (text.toUpperCase() === 'CANCEL') {
+        await userService.clearUserState(phone);
+        await messagingService.sendMessage(phone, t.kyc_stopped);
+        return;
+      }
+
+      switch (userState.state) {
+        case 'KYC_ID_TYPE': {
+          const idType = { 1: 'nin', 2: 'voters_card', 3: 'drivers_license', 4: 'passport' }[text];
+          if (!idType) {
+            await this.sendKycIdTypeMenu(phone, t);
+            return;
+          }
+          await userService.setUserState(phone, 'KYC_ID_NUMBER', { ...data, idType });
+          await messagingService.sendMessage(phone, t.kyc_ask_id_number(t.kyc_id_types[idType], t.kyc_id_hints[idType]));
+          return;
+        }
+
+        case 'KYC_ID_NUMBER': {
+          const check = kycService.validateIdNumber(data.idType, text);
+          if (!check.valid) {
+            await messagingService.sendMessage(phone, t.kyc_bad_id_number(t.kyc_id_types[data.idType], t.kyc_id_hints[data.idType]));
+            return;
+          }
+          await userService.setUserState(phone, 'KYC_BVN', { ...data, idNumber: check.value });
+          await messagingService.sendMessage(phone, t.kyc_ask_bvn);
+          return;
+        }
+
+        case 'KYC_BVN': {
+          const check = kycService.validateBvn(text);
+          if (!check.valid) {
+            await messagingService.sendMessage(phone, t.kyc_bad_bvn);
+            return;
+          }
+          await userService.setUserState(phone, 'KYC_ID_PHOTO', { ...data, bvn: check.value });
+          await messagingService.sendMessage(phone, t.kyc_ask_id_photo);
+          return;
+        }
+
+        case 'KYC_ID_PHOTO':
+          await messagingService.sendMessage(phone, t.kyc_want_id_photo);
+          return;
+
+        case 'KYC_SELFIE':
+          await messagingService.sendMessage(phone, t.kyc_want_selfie);
+          return;
+
+        default:
+          await userService.clearUserState(phone);
+      }
+    } catch (error) {
+      logger.error('Error handling KYC input:', error);
+      await messagingService.sendMessage(phone, t.kyc_input_failed);
+    }
+  }
+
+  /**
+   * A document photo for the waiting KYC step. Returns { success, error }
+   * so the web upload route can answer the request as well.
+   */
+  async handleKycImage(user, buffer) {
+    const phone = user.phone_number;
+    const userState = await userService.getUserState(phone);
+    if (!userState || (userState.state !== 'KYC_ID_PHOTO' && userState.state !== 'KYC_SELFIE')) {
+      return { success: false, notWaiting: true, error: 'No verification step is waiting for a photo' };
+    }
+    const t = languageService.forUser(user);
+    const data = userState.data || {};
+    const isSelfie = userState.state === 'KYC_SELFIE';
+
+    const upload = await kycService.processImageUpload(user.id, buffer, isSelfie ? 'selfie' : 'id');
+    if (!upload.success) {
+      await messagingService.sendMessage(phone, `❌ ${t.kyc_image_errors[upload.reason] || upload.error}`);
+      return upload;
+    }
+
+    if (!isSelfie) {
+      await userService.setUserState(phone, 'KYC_SELFIE', { ...data, idImageRef: upload.ref });
+      await messagingService.sendMessage(phone, t.kyc_id_photo_received);
+      return { success: true, next: 'selfie' };
+    }
+
+    const result = await kycService.submitKYCDocuments(user.id, {
+      idType: data.idType,
+      idNumber: data.idNumber,
+      bvn: data.bvn,
+      idImageUrl: data.idImageRef,
+      selfieImageUrl: upload.ref
+    });
+    await userService.clearUserState(phone);
+
+    if (!result.success) {
+      await messagingService.sendMessage(phone, t.kyc_submit_failed(result.error));
+      return result;
+    }
+    await messagingService.sendMessage(phone, kycService.getKYCSubmittedMessage(t));
+    return { success: true, submitted: true };
+  }
+
   // ============================================
   // RESET HANDLER
   // ============================================
@@ -3168,16 +4157,17 @@ Type the code, or type SKIP to continue:`
     
     const isPaymentEnabled = paymentService.isEnabled();
 
-    let message = '🏠 MAIN MENU 🏠\n\n';
+    const t = languageService.forUser(user);
+    let message = `${t.main_menu_title}\n\n`;
 
     if (user) {
       // Show streak info
       try {
         const streakInfo = await streakService.getStreakInfo(user.id);
         if (streakInfo && streakInfo.currentStreak > 0) {
-          message += `🔥 Streak: ${streakInfo.currentStreak} days ${streakInfo.badgeEmoji}\n`;
+          message += `${t.menu_streak(streakInfo.currentStreak, streakInfo.badgeEmoji)}\n`;
           if (!streakInfo.playedToday && streakInfo.isActive) {
-            message += `   ⚠️ Play today to keep it!\n`;
+            message += `${t.menu_streak_warning}\n`;
           }
           message += '\n';
         }
@@ -3186,26 +4176,13 @@ Type the code, or type SKIP to continue:`
       }
       
       if (isPaymentEnabled) {
-        message += `💎 Games Remaining: ${user.games_remaining}\n\n`;
+        message += `${t.menu_games_remaining(user.games_remaining)}\n\n`;
       }
     }
 
-    message += 'What would you like to do?\n\n';
-    message += '1️⃣ Play Now\n';
-    message += '2️⃣ How to Play\n';
-    message += '3️⃣ View Leaderboard\n';
-
-    if (isPaymentEnabled) {
-      message += '4️⃣ Buy Games\n';
-      message += '5️⃣ My Stats\n';
-    } else {
-      message += '4️⃣ My Stats\n';
-    }
-
-    message += '\nType STREAK to see streak leaderboard 🔥\n';
-    message += 'Type LOVE QUEST to create a Valentine surprise! 💘\n';
-    message += 'Type HELP for all available commands.\n';
-    message += 'Having issues? Type RESET to start fresh.\n\nReply with your choice.';
+    message += `${t.menu_prompt}\n\n`;
+    message += `${t.menu_options(isPaymentEnabled)}\n`;
+    message += `\n${t.menu_footer}`;
 
     await messagingService.sendMessage(phone, message);
 
@@ -3225,6 +4202,7 @@ Type the code, or type SKIP to continue:`
   }
 
   async sendHowToPlay(phone) {
+    const format = gameFormats.getDefault();
     let message = `📖 HOW TO PLAY 📖\n\n`;
     
     message += `🎮 *GAME MODES:*\n\n`;
@@ -3235,8 +4213,8 @@ Type the code, or type SKIP to continue:`
     message += `   • Unlimited plays\n\n`;
     
     message += `2️⃣ *Classic Mode*\n`;
-    message += `   • 15 questions\n`;
-    message += `   • Win up to ₦50,000\n`;
+    message += `   • ${gameFormats.length(format)} questions\n`;
+    message += `   • Win up to ₦${gameFormats.topPrize(format).toLocaleString()}\n`;
     message += `   • Uses game tokens\n\n`;
     
     message += `3️⃣ *Tournaments*\n`;
@@ -3247,20 +4225,17 @@ Type the code, or type SKIP to continue:`
     message += `━━━━━━━━━━━━━━━━\n\n`;
     
     message += `⏱️ *PROGRESSIVE TIMERS:*\n`;
-    message += `• Standard: 12 seconds per question\n`;
+    message += `• Standard: ${gameFormats.standardTimerSeconds(format)} seconds per question\n`;
     message += `• Suspicious play patterns may trigger reduced timers\n`;
     message += `• Play fairly to keep your full time!\n\n`;
     
     message += `💎 *LIFELINES:*\n`;
     message += `• 50:50 - Remove 2 wrong answers (+5s bonus)\n`;
-    message += `• Skip - Move to a different question\n\n`;
+    message += `• Skip - Move to a different question\n`;
+    message += `• Ask the Audience - See how other players answered (type ASK)\n\n`;
     
     message += `🏆 *PRIZE LADDER:*\n`;
-    message += `Q15: ₦50,000 🥇\n`;
-    message += `Q12: ₦25,000\n`;
-    message += `Q10: ₦10,000 (SAFE) 🔒\n`;
-    message += `Q8: ₦5,000\n`;
-    message += `Q5: ₦1,000 (SAFE) 🔒\n\n`;
+    message += `${gameFormats.describeLadder(format)}\n\n`;
     
     message += `🔒 Safe amounts are guaranteed even if you get the next question wrong or time out!\n\n`;
 
@@ -3284,39 +4259,17 @@ Type the code, or type SKIP to continue:`
   // ============================================
 
   async sendHelpMenu(phone) {
-    let message = `❓ *HELP & COMMANDS* ❓\n\n`;
-    
-    message += `Here are all the commands you can use:\n\n`;
+    const t = languageService.forUser(await userService.getUserByPhone(phone));
+    let message = `${t.help_title}\n\n`;
     
-    message += `🎮 *GAMEPLAY*\n`;
-    message += `• *PLAY* — Start a new game\n`;
-    message += `• *PRACTICE* — Play practice mode (free)\n`;
-    message += `• *TOURNAMENT* — View available tournaments\n`;
-    message += `• *A / B / C / D* — Answer a question\n`;
-    message += `• *50:50* — Use 50:50 lifeline\n`;
-    message += `• *SKIP* — Use skip lifeline\n\n`;
-    
-    message += `💰 *PRIZES & PAYMENTS*\n`;
-    message += `• *CLAIM* — Claim your prize winnings\n`;
-    message += `• *BUY* — Purchase game tokens\n`;
-    message += `• *RECEIVED* — Confirm you received payment\n\n`;
-    
-    message += `📊 *INFO & STATS*\n`;
-    message += `• *STATS* — View your game statistics\n`;
-    message += `• *STREAK* — Check your daily streak\n`;
-    message += `• *ACHIEVEMENTS* — View your badges\n`;
-    message += `• *PROFILE* — View your profile\n`;
-    message += `• *LEADERBOARD* — View top players\n\n`;
-    
-    message += `🔧 *OTHER*\n`;
-    message += `• *SHARE* — Generate your victory card\n`;
-    message += `• *REFERRAL* — Get your referral code\n`;
-    message += `• *RESET* — Reset your game session\n`;
-    message += `• *MENU* — Return to main menu\n`;
-    message += `• *HELP* — Show this menu\n\n`;
+    message += `${t.help_intro}\n\n`;
+    message += `${t.help_gameplay}\n\n`;
+    message += `${t.help_prizes}\n\n`;
+    message += `${t.help_info}\n\n`;
+    message += `${t.help_other}\n\n`;
     
     message += `━━━━━━━━━━━━━━━━\n\n`;
-    message += `💡 _Most commands work from anywhere in the app. Type any command to get started!_`;
+    message += t.help_footer;
     
     await messagingService.sendMessage(phone, message);
   }
@@ -3419,19 +4372,25 @@ Reply with your choice:`
 
       let imagePath;
       let caption;
+      let sponsor = null;
 
       if (isTournament) {
-        // Generate tournament performance card
+        // Generate tournament performance card, in the sponsor's colours if it has one
+        sponsor = await sponsorService.brandingFor(winData.tournamentId);
         imagePath = await imageService.generateTournamentCard({
           username: user.username,
           city: user.city,
           questionsAnswered: winData.questionsAnswered,
+          totalQuestions: winData.totalQuestions,
           timeTaken: winData.timeTaken || '0',
           rank: winData.rank,
-          tournamentName: winData.tournamentName || 'Tournament'
+          tournamentName: winData.tournamentName || 'Tournament',
+          sponsor,
+          badges: await achievementsService.getUserAchievements(user.id, 4)
         });
         
         caption = `🏆 @${user.username} reached Q${winData.questionsAnswered} in ${winData.timeTaken}s in ${winData.tournamentName || 'the tournament'}! ` +
+                  (sponsor ? `Sponsored by ${sponsor.name}. ` : '') +
                   `Think you can beat that? Join: https://whatsuptrivia.com.ng`;
       } else {
         // Generate classic victory card
@@ -3441,7 +4400,8 @@ Reply with your choice:`
           city: user.city,
           amount: winData.amount,
           questionsAnswered: winData.questionsAnswered,
-          totalQuestions: winData.totalQuestions
+          totalQuestions: winData.totalQuestions,
+          badges: await achievementsService.getUserAchievements(user.id, 4)
         });
         
         caption = `🏆 @${user.username} won ₦${winData.amount.toLocaleString()} playing What's Up Trivia Game! Join now: https://wa.me/${process.env.WHATSAPP_PHONE_NUMBER}`;
@@ -3476,6 +4436,7 @@ Reply with your choice:`
       } else {
         await messagingService.sendImage(user.phone_number, imagePath, caption);
       }
+      if (sponsor && sponsor.sponsorId) await sponsorService.recordImpression(winData.tournamentId, 'card', user.id);
 
       // Mark ALL victory cards as shared in database (user may have multiple pending)
       if (!isTournament) {
@@ -3487,21 +4448,6 @@ Reply with your choice:`
         }
       }
 
-      // Check and award achievements
-      try {
-        const newAchievements = await achievementsService.checkAndAwardAchievements(user.id);
-        if (newAchievements.length > 0) {
-          for (const achievement of newAchievements) {
-            await messagingService.sendMessage(
-              user.phone_number,
-              achievementsService.formatNewAchievementMessage(achievement)
-            );
-          }
-        }
-      } catch (achError) {
-        logger.error('Error checking achievements:', achError);
-      }
-
       // Send different follow-up message based on game type
       if (isTournament) {
         await messagingService.sendMessage(
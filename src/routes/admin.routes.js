@@ -15,6 +15,13 @@ const FinancialService = require('../services/financial.service');
 const loveQuestService = require('../services/love-quest.service');
 const { logger } = require('../utils/logger');
 const analyticsService = require('../services/analytics.service');
+const ledgerService = require('../services/ledger.service');
+const tournamentSeries = require('../services/tournament-series.service');
+const tournamentTeams = require('../services/tournament-team.service');
+const knockoutService = require('../services/knockout.service');
+const sponsorService = require('../services/sponsor.service');
+const adminPermissions = require('../config/admin-permissions');
+const adminMfa = require('../services/admin-mfa.service');
 
 const payoutService = new PayoutService();
 const whatsappService = new WhatsAppService();
@@ -23,7 +30,38 @@ const financialService = new FinancialService();
 
 // ============================================
 // AUTHENTICATION MIDDLEWARE
-// ============================================
+// Each of these also enforces the route's RBAC permission from
+// src/config/admin-permissions.js, keyed on the route pattern, so a
+// route is protected the moment it is mapped there.
+// ============================================
+
+// Returns the 403 body, or null when the session may use this route:
+// the role needs the route's permission, ADMIN_2FA_REQUIRED keeps admins
+// without 2FA on the enrolment routes, and STEP_UP_ROUTES need a recent
+// step-up (adminFetch in admin-nav.js prompts for one and retries).
+const accessDenied = (req, session) => {
+  const routePath = req.route && req.route.path;
+  const permission = adminPermissions.forRoute(req.method, routePath);
+  if (!adminAuthService.can(session, permission)) {
+    adminAuthService.logActivity(session.admin_id, 'permission_denied', {
+      method: req.method, path: req.originalUrl, permission: permission || 'unmapped'
+    }, getIpAddress(req), req.headers['user-agent']);
+    return {
+      error: permission
+        ? `Forbidden - your role does not have the ${permission} permission`
+        : 'Forbidden - this action is restricted to super admins'
+    };
+  }
+
+  if (permission !== null && adminMfa.required && !session.totp_enabled) {
+    return { error: 'Set up two-factor authentication to continue', mfaEnrolmentRequired: true };
+  }
+
+  if (adminPermissions.needsStepUp(req.method, routePath) && !adminMfa.hasFreshStepUp(session)) {
+    return { error: "Confirm it's you to continue", stepUpRequired: true, twoFactor: !!session.totp_enabled };
+  }
+  return null;
+};
 
 const authenticateAdmin = async (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -37,6 +75,13 @@ const authenticateAdmin = async (req, res, next) => {
   if (!validation.valid) {
     return res.status(401).json({ error: 'Unauthorized - ' + validation.reason });
   }
+  if (validation.session.role_name === 'sponsor') {
+    return res.status(403).json({ error: 'Forbidden - sponsor accounts use the sponsor portal' });
+  }
+  const denied = accessDenied(req, validation.session);
+  if (denied) {
+    return res.status(403).json(denied);
+  }
 
   req.adminSession = validation.session;
   next();
@@ -61,6 +106,13 @@ const authenticateAdminWithQuery = async (req, res, next) => {
   if (!validation.valid) {
     return res.status(401).json({ error: 'Unauthorized - ' + validation.reason });
   }
+  if (validation.session.role_name === 'sponsor') {
+    return res.status(403).json({ error: 'Forbidden - sponsor accounts use the sponsor portal' });
+  }
+  const denied = accessDenied(req, validation.session);
+  if (denied) {
+    return res.status(403).json(denied);
+  }
 
   req.adminSession = validation.session;
   next();
@@ -96,7 +148,7 @@ router.get('/rotation', (req, res) => {
   res.sendFile('admin-rotation.html', { root: './src/views' });
 });
 
-// Fraud Watchlist dashboard (separate password required)
+// Fraud Watchlist dashboard (step-up confirmation required)
 router.get('/watchlist', (req, res) => {
   res.sendFile('admin-watchlist.html', { root: './src/views' });
 });
@@ -116,6 +168,21 @@ router.get('/toggles', (req, res) => {
   res.sendFile('admin-toggles.html', { root: './src/views' });
 });
 
+// Game formats — prize ladders, checkpoints, timers
+router.get('/formats', (req, res) => {
+  res.sendFile('admin-formats.html', { root: './src/views' });
+});
+
+// Live shows — schedule, start and watch game-show rounds
+router.get('/live', (req, res) => {
+  res.sendFile('admin-live.html', { root: './src/views' });
+});
+
+// Admin accounts and roles
+router.get('/roles', (req, res) => {
+  res.sendFile('admin-roles.html', { root: './src/views' });
+});
+
 // Login endpoint
 router.post('/api/login', async (req, res) => {
   try {
@@ -143,6 +210,8 @@ router.post('/api/login', async (req, res) => {
         expiresAt: result.expiresAt,
         admin: result.admin
       });
+    } else if (result.mfaRequired) {
+      res.json({ success: false, mfaRequired: true, challengeToken: result.challengeToken });
     } else {
       res.status(401).json({ success: false, error: result.error });
     }
@@ -152,6 +221,32 @@ router.post('/api/login', async (req, res) => {
   }
 });
 
+// Second step for admins with 2FA: the challenge from /api/login plus a code
+router.post('/api/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    if (!challengeToken || !code) {
+      return res.status(400).json({ success: false, error: 'Enter the code from your authenticator app' });
+    }
+
+    const result = await adminAuthService.completeMfaLogin(
+      challengeToken, code, getIpAddress(req), req.headers['user-agent']
+    );
+    if (!result.success) {
+      return res.status(401).json({ success: false, expired: !!result.expired, error: result.error });
+    }
+    res.json({
+      success: true,
+      sessionToken: result.sessionToken,
+      expiresAt: result.expiresAt,
+      admin: result.admin
+    });
+  } catch (error) {
+    logger.error('2FA login error:', error);
+    res.status(500).json({ success: false, error: 'Login failed' });
+  }
+});
+
 // ============================================
 // PROTECTED ROUTES (Auth Required)
 // ============================================
@@ -1477,7 +1572,7 @@ router.get('/api/payouts/pending', authenticateAdmin, async (req, res) => {
 
     const status = req.query.status;
     const payouts = await payoutService.getAllPendingPayouts(status);
-    res.json(payouts);
+    res.json(await disbursementService.annotate(payouts));
   } catch (error) {
     logger.error('Error getting pending payouts:', error);
     res.status(500).json({ error: 'Failed to fetch payouts' });
@@ -1569,6 +1664,256 @@ router.get('/api/payouts/history', authenticateAdmin, async (req, res) => {
   }
 });
 
+// ============================================
+// AUTOMATED PAYOUTS (gateway transfers)
+// Declared before /api/payouts/:id so these paths aren't read as an id.
+// ============================================
+
+const disbursementService = require('../services/disbursement.service');
+const payoutApprovals = require('../services/payout-approval.service');
+
+const approvalActor = (req) => ({ id: req.adminSession.admin_id, name: req.adminSession.username });
+
+const sendApprovalError = (res, outcome) => res.status(outcome.status || 400).json({
+  success: false, error: outcome.error, reasonRequired: outcome.reasonRequired || undefined
+});
+
+// 202: nothing has happened yet, the request is in the queue
+const sendPendingApproval = async (req, res, approval) => {
+  await adminAuthService.logActivity(
+    req.adminSession.admin_id,
+    'request_payout_approval',
+    { approval_id: approval.id, action: approval.action, count: approval.payout_count, total: approval.total_amount, reason: approval.request_reason },
+    getIpAddress(req),
+    req.headers['user-agent']
+  );
+  res.status(202).json({
+    success: true,
+    pendingApproval: true,
+    approval,
+    message: `${approval.label} (₦${parseFloat(approval.total_amount).toLocaleString()}) is above the two-admin limit — request #${approval.id} is waiting for a second admin`
+  });
+};
+
+router.get('/api/payouts/auto/status', authenticateAdmin, async (req, res) => {
+  try {
+    const status = await disbursementService.getStatus();
+    const batches = await disbursementService.listBatches(10);
+    res.json({ ...status, batches });
+  } catch (error) {
+    logger.error('Error getting automated payout status:', error);
+    res.status(500).json({ error: 'Failed to fetch automated payout status' });
+  }
+});
+
+router.get('/api/payouts/:id/transfers', authenticateAdmin, async (req, res) => {
+  try {
+    const transfers = await disbursementService.getTransfers(parseInt(req.params.id));
+    res.json({ transfers });
+  } catch (error) {
+    logger.error('Error getting payout transfers:', error);
+    res.status(500).json({ error: 'Failed to fetch transfers' });
+  }
+});
+
+router.post('/api/payouts/:id/disburse', authenticateAdmin, async (req, res) => {
+  try {
+    const transactionId = parseInt(req.params.id);
+    const outcome = await payoutApprovals.submit('disburse', {
+      transactionIds: [transactionId], reason: req.body && req.body.reason
+    }, approvalActor(req));
+
+    if (!outcome.ok) return sendApprovalError(res, outcome);
+    if (outcome.pending) return sendPendingApproval(req, res, outcome.approval);
+
+    const result = outcome.result.disbursal;
+    if (!result.ok && !result.transfer) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id,
+      'disburse_payout',
+      { transaction_id: transactionId, reference: result.transfer.reference, status: result.status },
+      getIpAddress(req),
+      req.headers['user-agent']
+    );
+
+    const messages = {
+      success: 'Transfer sent — payout marked as paid and user notified',
+      pending: 'Transfer submitted — waiting for the gateway to confirm',
+      needs_attention: `Transfer is held by the gateway — ${result.transfer.gateway} wants it finished in its dashboard`,
+      failed: `Transfer failed: ${result.error || 'unknown error'}`
+    };
+    res.status(result.ok ? 200 : 502).json({
+      success: result.ok,
+      status: result.status,
+      reference: result.transfer.reference,
+      message: messages[result.status] || messages.pending,
+      error: result.ok ? undefined : result.error
+    });
+  } catch (error) {
+    logger.error('Error disbursing payout:', error);
+    res.status(500).json({ error: 'Failed to send payout' });
+  }
+});
+
+router.post('/api/payouts/disburse-approved', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await disbursementService.createBatch(req.adminSession.admin_id, req.adminSession.username);
+    if (!result.ok) return res.status(400).json({ error: result.error });
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id,
+      'create_payout_batch',
+      { batch_id: result.batch.id, count: result.batch.payout_count, total: result.batch.total_amount, needs_approval: result.needsApproval },
+      getIpAddress(req),
+      req.headers['user-agent']
+    );
+
+    const total = parseFloat(result.batch.total_amount).toLocaleString();
+    res.json({
+      success: true,
+      batch: result.batch,
+      needsApproval: result.needsApproval,
+      message: result.needsApproval
+        ? `Batch #${result.batch.id} (${result.batch.payout_count} payouts, ₦${total}) is above the approval limit — another admin must approve it`
+        : `Sending ${result.batch.payout_count} payouts (₦${total}) in the background`
+    });
+  } catch (error) {
+    logger.error('Error creating payout batch:', error);
+    res.status(500).json({ error: 'Failed to start bulk payout' });
+  }
+});
+
+router.get('/api/payouts/batches', authenticateAdmin, async (req, res) => {
+  try {
+    const batches = await disbursementService.listBatches(parseInt(req.query.limit) || 20);
+    res.json({ batches });
+  } catch (error) {
+    logger.error('Error listing payout batches:', error);
+    res.status(500).json({ error: 'Failed to fetch payout batches' });
+  }
+});
+
+router.post('/api/payouts/batches/:id/approve', authenticateAdmin, async (req, res) => {
+  try {
+    const batchId = parseInt(req.params.id);
+    const result = await disbursementService.approveBatch(batchId, req.adminSession.admin_id, req.adminSession.username);
+    if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id,
+      'approve_payout_batch',
+      { batch_id: batchId, count: result.batch.payout_count, total: result.batch.total_amount },
+      getIpAddress(req),
+      req.headers['user-agent']
+    );
+
+    res.json({ success: true, batch: result.batch, message: `Batch #${batchId} approved — sending in the background` });
+  } catch (error) {
+    logger.error('Error approving payout batch:', error);
+    res.status(500).json({ error: 'Failed to approve batch' });
+  }
+});
+
+router.post('/api/payouts/batches/:id/reject', authenticateAdmin, async (req, res) => {
+  try {
+    const batchId = parseInt(req.params.id);
+    const result = await disbursementService.rejectBatch(batchId, req.adminSession.admin_id, req.adminSession.username);
+    if (!result.ok) return res.status(400).json({ error: result.error });
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id,
+      'reject_payout_batch',
+      { batch_id: batchId },
+      getIpAddress(req),
+      req.headers['user-agent']
+    );
+
+    res.json({ success: true, batch: result.batch, message: `Batch #${batchId} rejected` });
+  } catch (error) {
+    logger.error('Error rejecting payout batch:', error);
+    res.status(500).json({ error: 'Failed to reject batch' });
+  }
+});
+
+// ============================================
+// FOUR-EYES PAYOUT APPROVALS
+// Approve, mark paid, send, cancel and forfeit above the dual-approval
+// threshold wait in a queue for a second admin (see payout-approval.service.js).
+// The shared helpers sit with the automated payouts above, which use them too.
+// ============================================
+
+router.get('/api/payout-approvals', authenticateAdmin, async (req, res) => {
+  try {
+    const [pending, recent] = await Promise.all([
+      payoutApprovals.listPending(req.adminSession.admin_id),
+      payoutApprovals.listRecent(parseInt(req.query.limit) || 10, req.adminSession.admin_id)
+    ]);
+    res.json({ pending, recent, threshold: payoutApprovals.threshold() });
+  } catch (error) {
+    logger.error('Error listing payout approvals:', error);
+    res.status(500).json({ error: 'Failed to fetch payout approvals' });
+  }
+});
+
+router.post('/api/payout-approvals/:id/approve', authenticateAdmin, async (req, res) => {
+  try {
+    const approvalId = parseInt(req.params.id);
+    const pending = await payoutApprovals.get(approvalId);
+    if (!pending) return res.status(404).json({ error: 'Approval request not found' });
+
+    // The checker needs the permission the action itself needs
+    const permission = payoutApprovals.permissionFor(pending.action);
+    if (!adminAuthService.can(req.adminSession, permission)) {
+      return res.status(403).json({ error: `Forbidden - your role does not have the ${permission} permission` });
+    }
+
+    const result = await payoutApprovals.approve(approvalId, approvalActor(req), req.body && req.body.reason);
+    if (!result.ok && !result.approval) return sendApprovalError(res, result);
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id,
+      'approve_payout_approval',
+      {
+        approval_id: approvalId, action: pending.action, requested_by: pending.requested_by,
+        status: result.approval.status, count: result.result && result.result.count,
+        total: pending.total_amount, reason: result.approval.approval_reason
+      },
+      getIpAddress(req),
+      req.headers['user-agent']
+    );
+
+    if (!result.ok) return res.status(409).json({ success: false, error: result.error, approval: result.approval });
+    res.json({ success: true, approval: result.approval, message: `Request #${approvalId} approved — ${result.result.count} payout(s) updated` });
+  } catch (error) {
+    logger.error('Error approving payout request:', error);
+    res.status(500).json({ error: 'Failed to approve request' });
+  }
+});
+
+router.post('/api/payout-approvals/:id/reject', authenticateAdmin, async (req, res) => {
+  try {
+    const approvalId = parseInt(req.params.id);
+    const result = await payoutApprovals.reject(approvalId, approvalActor(req), req.body && req.body.reason);
+    if (!result.ok) return sendApprovalError(res, result);
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id,
+      'reject_payout_approval',
+      { approval_id: approvalId, action: result.approval.action, status: result.approval.status, reason: result.approval.approval_reason },
+      getIpAddress(req),
+      req.headers['user-agent']
+    );
+
+    res.json({ success: true, approval: result.approval, message: `Request #${approvalId} ${result.approval.status}` });
+  } catch (error) {
+    logger.error('Error rejecting payout request:', error);
+    res.status(500).json({ error: 'Failed to reject request' });
+  }
+});
+
 router.get('/api/payouts/:id', authenticateAdmin, async (req, res) => {
   try {
     const transactionId = req.params.id;
@@ -1614,22 +1959,23 @@ router.get('/api/payouts/:id', authenticateAdmin, async (req, res) => {
 
 router.post('/api/payouts/:id/approve', authenticateAdmin, async (req, res) => {
   try {
-    const transactionId = req.params.id;
-    const success = await payoutService.approvePayout(transactionId, req.adminSession.admin_id);
+    const transactionId = parseInt(req.params.id);
+    const outcome = await payoutApprovals.submit('approve', {
+      transactionIds: [transactionId], reason: req.body && req.body.reason
+    }, approvalActor(req));
 
-    if (success) {
-      await adminAuthService.logActivity(
-        req.adminSession.admin_id,
-        'approve_payout',
-        { transaction_id: transactionId },
-        getIpAddress(req),
-        req.headers['user-agent']
-      );
+    if (!outcome.ok) return sendApprovalError(res, outcome);
+    if (outcome.pending) return sendPendingApproval(req, res, outcome.approval);
 
-      res.json({ success: true, message: 'Payout approved' });
-    } else {
-      res.status(500).json({ error: 'Failed to approve payout' });
-    }
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id,
+      'approve_payout',
+      { transaction_id: transactionId },
+      getIpAddress(req),
+      req.headers['user-agent']
+    );
+
+    res.json({ success: true, message: 'Payout approved' });
   } catch (error) {
     logger.error('Error approving payout:', error);
     res.status(500).json({ error: 'Failed to approve payout' });
@@ -1638,84 +1984,31 @@ router.post('/api/payouts/:id/approve', authenticateAdmin, async (req, res) => {
 
 router.post('/api/payouts/:id/mark-paid', authenticateAdmin, async (req, res) => {
   try {
-    const transactionId = req.params.id;
-    const { paymentReference, paymentMethod } = req.body;
+    const transactionId = parseInt(req.params.id);
+    const { paymentReference, paymentMethod, reason } = req.body;
 
     if (!paymentReference) {
       return res.status(400).json({ error: 'Payment reference is required' });
     }
 
-    const success = await payoutService.markAsPaid(
-      transactionId,
-      req.adminSession.admin_id,
-      paymentReference,
-      paymentMethod || 'bank_transfer'
-    );
-
-    if (success) {
-      await adminAuthService.logActivity(
-        req.adminSession.admin_id,
-        'mark_paid',
-        { transaction_id: transactionId, payment_reference: paymentReference },
-        getIpAddress(req),
-        req.headers['user-agent']
-      );
-
-      const result = await pool.query(
-        `SELECT t.*, u.phone_number, u.full_name, u.email, pd.account_name, pd.bank_name, pd.account_number
-         FROM transactions t
-         JOIN users u ON t.user_id = u.id
-         LEFT JOIN payout_details pd ON t.id = pd.transaction_id
-         WHERE t.id = $1`,
-        [transactionId]
-      );
+    const outcome = await payoutApprovals.submit('mark_paid', {
+      transactionIds: [transactionId],
+      params: { paymentReference, paymentMethod: paymentMethod || 'bank_transfer' },
+      reason
+    }, approvalActor(req));
 
-      if (result.rows.length > 0) {
-        const transaction = result.rows[0];
-        
-        const MessagingService = require('../services/messaging.service');
-        const messagingService = new MessagingService();
+    if (!outcome.ok) return sendApprovalError(res, outcome);
+    if (outcome.pending) return sendPendingApproval(req, res, outcome.approval);
 
-        const isWeb = String(transaction.phone_number || '').startsWith('web_');
-
-        const body =
-          `✅ PAYMENT SENT! 🎉\n\n` +
-          `₦${parseFloat(transaction.amount).toLocaleString()} has been sent to:\n` +
-          `${transaction.account_name}\n` +
-          `${transaction.bank_name} (${transaction.account_number})\n\n` +
-          `Transaction Reference: ${paymentReference}\n\n` +
-          `Please check your account within 2 hours and confirm receipt.\n\n` +
-          (isWeb
-            ? `Open the game and tap "Confirm I received it" on your prize.\n\n`
-            : `Reply "RECEIVED" to confirm!\n\n`) +
-          `Keep playing to win more! 🏆`;
-
-        if (isWeb) {
-          // A payout lands hours after the player closed the tab, so an SSE
-          // push reaches nobody. Email is the only durable channel web has —
-          // this notification was simply being lost before.
-          const contactService = require('../services/contact.service');
-
-          messagingService.sendMessage(transaction.phone_number, body).catch(() => {});
-          await contactService.send(
-            { id: transaction.user_id, phone_number: transaction.phone_number, email: transaction.email },
-            {
-              text: body,
-              subject: `Your ₦${parseFloat(transaction.amount).toLocaleString()} prize has been sent`,
-              kind: 'transactional'
-            }
-          );
-          logger.info(`Payment notification emailed to web user ${transaction.user_id}`);
-        } else {
-          await messagingService.sendMessage(transaction.phone_number, body);
-          logger.info(`Payment notification sent to ${transaction.phone_number}`);
-        }
-      }
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id,
+      'mark_paid',
+      { transaction_id: transactionId, payment_reference: paymentReference },
+      getIpAddress(req),
+      req.headers['user-agent']
+    );
 
-      res.json({ success: true, message: 'Payout marked as paid and user notified' });
-    } else {
-      res.status(500).json({ error: 'Failed to mark payout as paid' });
-    }
+    res.json({ success: true, message: 'Payout marked as paid and user notified' });
   } catch (error) {
     logger.error('Error marking payout as paid:', error);
     res.status(500).json({ error: 'Failed to mark payout as paid' });
@@ -1725,23 +2018,15 @@ router.post('/api/payouts/:id/mark-paid', authenticateAdmin, async (req, res) =>
 // Cancel/void a pending payout
 router.post('/api/payouts/:id/cancel', authenticateAdmin, async (req, res) => {
     try {
-        const transactionId = req.params.id;
+        const transactionId = parseInt(req.params.id);
         const { reason } = req.body;
         
-        const result = await pool.query(
-            `UPDATE transactions 
-             SET payout_status = 'cancelled', 
-                 admin_notes = COALESCE(admin_notes, '') || $1
-             WHERE id = $2 
-               AND transaction_type IN ('prize', 'tournament_prize')
-               AND payout_status IN ('pending', 'details_collected', 'approved')
-             RETURNING id, user_id, amount, payout_status`,
-            ['\n[Cancelled: ' + (reason || 'Admin action') + ' at ' + new Date().toISOString() + ']', transactionId]
-        );
+        const outcome = await payoutApprovals.submit('cancel', {
+            transactionIds: [transactionId], reason
+        }, approvalActor(req));
         
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Payout not found or already processed' });
-        }
+        if (!outcome.ok) return sendApprovalError(res, outcome);
+        if (outcome.pending) return sendPendingApproval(req, res, outcome.approval);
         
         await adminAuthService.logActivity(
             req.adminSession.admin_id,
@@ -1752,59 +2037,40 @@ router.post('/api/payouts/:id/cancel', authenticateAdmin, async (req, res) => {
         );
         
         logger.info(`Payout ${transactionId} cancelled by admin`);
-        res.json({ success: true, message: 'Payout cancelled', transaction: result.rows[0] });
+        res.json({ success: true, message: 'Payout cancelled', transaction: outcome.result.rows[0] });
     } catch (error) {
         logger.error('Error cancelling payout:', error);
         res.status(500).json({ error: 'Failed to cancel payout' });
     }
 });
 
-// Bulk cancel all pending payouts
+// Bulk cancel all pending payouts (or just transactionIds)
 router.post('/api/payouts/bulk-cancel', authenticateAdmin, async (req, res) => {
     try {
         const { reason, transactionIds } = req.body;
         
-        let result;
-        if (transactionIds && Array.isArray(transactionIds) && transactionIds.length > 0) {
-            // Cancel specific IDs
-            result = await pool.query(
-                `UPDATE transactions 
-                 SET payout_status = 'cancelled',
-                     admin_notes = COALESCE(admin_notes, '') || $1
-                 WHERE id = ANY($2::int[])
-                   AND transaction_type IN ('prize', 'tournament_prize')
-                   AND payout_status IN ('pending', 'details_collected', 'approved')
-                 RETURNING id, amount`,
-                ['\n[Bulk cancelled: ' + (reason || 'Admin bulk action') + ' at ' + new Date().toISOString() + ']', transactionIds]
-            );
-        } else {
-            // Cancel ALL pending payouts
-            result = await pool.query(
-                `UPDATE transactions 
-                 SET payout_status = 'cancelled',
-                     admin_notes = COALESCE(admin_notes, '') || $1
-                 WHERE transaction_type IN ('prize', 'tournament_prize')
-                   AND payout_status IN ('pending', 'details_collected', 'approved')
-                 RETURNING id, amount`,
-                ['\n[Bulk cancelled: ' + (reason || 'Admin bulk action') + ' at ' + new Date().toISOString() + ']']
-            );
-        }
+        const outcome = await payoutApprovals.submit('bulk_cancel', {
+            transactionIds: Array.isArray(transactionIds) && transactionIds.length > 0 ? transactionIds : null,
+            reason
+        }, approvalActor(req));
         
-        const totalAmount = result.rows.reduce((sum, r) => sum + parseFloat(r.amount || 0), 0);
+        if (!outcome.ok) return sendApprovalError(res, outcome);
+        if (outcome.pending) return sendPendingApproval(req, res, outcome.approval);
         
+        const { count, total_amount: totalAmount } = outcome.result;
         await adminAuthService.logActivity(
             req.adminSession.admin_id,
             'bulk_cancel_payouts',
-            { count: result.rowCount, total_amount: totalAmount, reason: reason || 'Admin bulk action' },
+            { count, total_amount: totalAmount, reason: reason || 'Admin bulk action' },
             getIpAddress(req),
             req.headers['user-agent']
         );
         
-        logger.info(`Bulk cancelled ${result.rowCount} payouts totalling ₦${totalAmount}`);
+        logger.info(`Bulk cancelled ${count} payouts totalling ₦${totalAmount}`);
         res.json({ 
             success: true, 
-            message: `${result.rowCount} payout(s) cancelled`, 
-            cancelled_count: result.rowCount,
+            message: `${count} payout(s) cancelled`, 
+            cancelled_count: count,
             total_amount: totalAmount
         });
     } catch (error) {
@@ -2138,8 +2404,6 @@ router.post('/api/tournaments', authenticateAdmin, async (req, res) => {
         const {
             tournamentName,
             tournamentType,
-            sponsorName,
-            sponsorLogoUrl,
             description,
             paymentType,
             usesTokens,
@@ -2169,6 +2433,20 @@ router.post('/api/tournaments', authenticateAdmin, async (req, res) => {
             return res.status(400).json({ error: 'Tokens per entry required when using token system' });
         }
         
+        // Blank format = play on whatever is the default when each game starts
+        await gameFormats.ensureSchema();
+        const gameFormatId = req.body.gameFormatId ? parseInt(req.body.gameFormatId) : null;
+        if (gameFormatId && !gameFormats.getById(gameFormatId)) {
+            return res.status(400).json({ error: 'Game format not found or switched off' });
+        }
+        
+        await tournamentTeams.ensureSchema();
+        const teams = tournamentTeams.validateSettings(req.body);
+        if (teams.error) return res.status(400).json({ error: teams.error });
+        
+        const sponsorship = await sponsorService.validateSettings(req.body);
+        if (sponsorship.error) return res.status(400).json({ error: sponsorship.error });
+        
         // Create tournament
         const enableTurboMode = req.body.enableTurboMode !== false; // default true
         const result = await pool.query(`
@@ -2177,16 +2455,20 @@ router.post('/api/tournaments', authenticateAdmin, async (req, res) => {
                 description, payment_type, uses_tokens, tokens_per_entry, 
                 unlimited_plays, entry_fee, prize_pool, max_participants,
                 start_date, end_date, question_category, custom_instructions,
-                custom_branding, status, enable_turbo_mode
+                custom_branding, status, enable_turbo_mode, game_format_id,
+                team_mode, team_counted_players, team_prize_split,
+                sponsor_id, sponsored_question_id, sponsored_question_slot
             )
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26)
             RETURNING *
         `, [
-            tournamentName, tournamentType || 'sponsored', sponsorName, sponsorLogoUrl,
+            tournamentName, tournamentType || 'sponsored', sponsorship.sponsorName, sponsorship.sponsorLogoUrl,
             description, paymentType || 'free', usesTokens || false, tokensPerEntry,
             unlimitedPlays !== false, entryFee || 0, prizePool, maxParticipants,
             startDate, endDate, questionCategory, customInstructions,
-            customBranding, status || 'upcoming', enableTurboMode
+            customBranding, status || 'upcoming', enableTurboMode, gameFormatId,
+            teams.teamMode, teams.teamCountedPlayers, teams.teamPrizeSplit,
+            sponsorship.sponsorId, sponsorship.sponsoredQuestionId, sponsorship.sponsoredQuestionSlot
         ]);
         
         await adminAuthService.logActivity(
@@ -2212,8 +2494,6 @@ router.put('/api/tournaments/:id', authenticateAdmin, async (req, res) => {
         const {
             tournamentName,
             tournamentType,
-            sponsorName,
-            sponsorLogoUrl,
             description,
             paymentType,
             usesTokens,
@@ -2231,6 +2511,21 @@ router.put('/api/tournaments/:id', authenticateAdmin, async (req, res) => {
         } = req.body;
         const enableTurboMode = req.body.enableTurboMode !== false; // default true
         
+        await gameFormats.ensureSchema();
+        const gameFormatId = req.body.gameFormatId ? parseInt(req.body.gameFormatId) : null;
+        if (gameFormatId && !gameFormats.exists(gameFormatId)) {
+            return res.status(400).json({ error: 'Game format not found' });
+        }
+        
+        // Changing team mode later keeps players' existing team for this
+        // tournament; only players scoring for the first time pick it up.
+        await tournamentTeams.ensureSchema();
+        const teams = tournamentTeams.validateSettings(req.body);
+        if (teams.error) return res.status(400).json({ error: teams.error });
+        
+        const sponsorship = await sponsorService.validateSettings(req.body);
+        if (sponsorship.error) return res.status(400).json({ error: sponsorship.error });
+        
         const result = await pool.query(`
             UPDATE tournaments
             SET tournament_name = $1,
@@ -2251,15 +2546,24 @@ router.put('/api/tournaments/:id', authenticateAdmin, async (req, res) => {
                 custom_instructions = $16,
                 custom_branding = $17,
                 status = $18,
-                enable_turbo_mode = $19
-            WHERE id = $20
+                enable_turbo_mode = $19,
+                game_format_id = $20,
+                team_mode = $22,
+                team_counted_players = $23,
+                team_prize_split = $24,
+                sponsor_id = $25,
+                sponsored_question_id = $26,
+                sponsored_question_slot = $27
+            WHERE id = $21
             RETURNING *
         `, [
-            tournamentName, tournamentType, sponsorName, sponsorLogoUrl,
+            tournamentName, tournamentType, sponsorship.sponsorName, sponsorship.sponsorLogoUrl,
             description, paymentType, usesTokens, tokensPerEntry,
             unlimitedPlays, entryFee, prizePool, maxParticipants,
             startDate, endDate, questionCategory, customInstructions,
-            customBranding, status, enableTurboMode, tournamentId
+            customBranding, status, enableTurboMode, gameFormatId, tournamentId,
+            teams.teamMode, teams.teamCountedPlayers, teams.teamPrizeSplit,
+            sponsorship.sponsorId, sponsorship.sponsoredQuestionId, sponsorship.sponsoredQuestionSlot
         ]);
         
         if (result.rows.length === 0) {
@@ -2368,6 +2672,8 @@ router.post('/api/tournaments/:id/end', authenticateAdmin, async (req, res) => {
         
         if (result.success) {
             if (!preview) {
+                // A series round ended by hand still counts for the season.
+                await tournamentSeries.awardPoints(tournamentId);
                 await adminAuthService.logActivity(
                     req.adminSession.admin_id,
                     'end_tournament',
@@ -2621,62 +2927,522 @@ router.get('/api/leaderboard/timeframe/:timeframe', authenticateAdmin, async (re
     }
 });
 
-// Get all tournaments with stats
-router.get('/api/tournaments/stats', authenticateAdmin, async (req, res) => {
+// ============================================
+// TEAMS
+// Custom teams (schools, churches…) players join with TEAM JOIN <code>,
+// and the team leaderboard of a team tournament. See
+// tournament-team.service.js.
+// ============================================
+
+router.get('/api/teams', authenticateAdmin, async (req, res) => {
     try {
-        const data = await analyticsService.getTournamentsWithStats();
-        res.json({ success: true, data });
+        const teams = await tournamentTeams.listTeams();
+        res.json({ success: true, teams });
     } catch (error) {
-        logger.error('Error getting tournaments stats:', error);
-        res.status(500).json({ error: 'Failed to get tournament statistics' });
+        logger.error('Error listing teams:', error);
+        res.status(500).json({ success: false, error: 'Failed to load teams' });
     }
 });
 
-// Get tournament leaderboard by tournament ID
-router.get('/api/tournaments/:id/leaderboard', authenticateAdmin, async (req, res) => {
+router.post('/api/teams', authenticateAdmin, async (req, res) => {
     try {
-        const tournamentId = parseInt(req.params.id);
-        const limit = parseInt(req.query.limit) || 100;
-        const offset = parseInt(req.query.offset) || 0;
-        
-        const data = await analyticsService.getTournamentLeaderboard(tournamentId, limit, offset);
-        res.json({ 
-            success: true, 
-            tournament_id: tournamentId,
-            data,
-            total: data.length 
-        });
+        const result = await tournamentTeams.createTeam(req.body, req.adminSession.username);
+        if (!result.success) return res.status(400).json(result);
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'create_team',
+            { team_id: result.team.id, name: result.team.name, kind: result.team.kind },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json(result);
     } catch (error) {
-        logger.error(`Error getting tournament ${req.params.id} leaderboard:`, error);
-        res.status(500).json({ error: 'Failed to get tournament leaderboard' });
+        logger.error('Error creating team:', error);
+        res.status(500).json({ success: false, error: 'Failed to create team' });
     }
 });
 
-// Get referral statistics
-router.get('/api/analytics/referrals/stats', authenticateAdmin, async (req, res) => {
+router.post('/api/teams/:id/:action(retire|restore)', authenticateAdmin, async (req, res) => {
     try {
-        const data = await analyticsService.getReferralStats();
-        res.json({ success: true, data });
+        const active = req.params.action === 'restore';
+        const result = await tournamentTeams.setTeamActive(parseInt(req.params.id), active);
+        if (!result.success) return res.status(404).json(result);
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            active ? 'restore_team' : 'retire_team',
+            { team_id: result.team.id, name: result.team.name },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json(result);
     } catch (error) {
-        logger.error('Error getting referral stats:', error);
-        res.status(500).json({ error: 'Failed to get referral statistics' });
+        logger.error('Error updating team:', error);
+        res.status(500).json({ success: false, error: 'Failed to update team' });
     }
 });
 
-// Get top referrers
-router.get('/api/analytics/referrals/top', authenticateAdmin, async (req, res) => {
+router.get('/api/tournaments/:id/teams', authenticateAdmin, async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 50;
-        const data = await analyticsService.getTopReferrers(limit);
-        res.json({ success: true, data });
+        const standings = await tournamentTeams.getStandings(parseInt(req.params.id), 100);
+        if (!standings) return res.status(404).json({ success: false, error: 'Not a team tournament' });
+        res.json({ success: true, ...standings });
     } catch (error) {
-        logger.error('Error getting top referrers:', error);
-        res.status(500).json({ error: 'Failed to get top referrers' });
+        logger.error('Error loading team standings:', error);
+        res.status(500).json({ success: false, error: 'Failed to load team standings' });
     }
 });
 
-// Get revenue statistics
-router.get('/api/analytics/revenue/stats', authenticateAdmin, async (req, res) => {
+// ============================================
+// KNOCKOUT BRACKETS
+// Seed a bracket from a tournament's leaderboard, then step in on
+// disputes and no-shows. Matches open and close on their own; see
+// knockout.service.js.
+// ============================================
+
+router.get('/api/tournaments/:id/knockout', authenticateAdmin, async (req, res) => {
+    try {
+        const data = await knockoutService.getBracket(parseInt(req.params.id));
+        res.json({ success: true, ...(data || { bracket: null, rounds: [] }) });
+    } catch (error) {
+        logger.error('Error loading knockout bracket:', error);
+        res.status(500).json({ success: false, error: 'Failed to load bracket' });
+    }
+});
+
+router.post('/api/tournaments/:id/knockout', authenticateAdmin, async (req, res) => {
+    try {
+        const tournamentId = parseInt(req.params.id);
+        const result = await knockoutService.seed(tournamentId, req.body, req.adminSession.username);
+        if (!result.success) return res.status(400).json(result);
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'seed_knockout',
+            { tournament_id: tournamentId, bracket_id: result.bracket.id, players: result.players, size: result.bracket.size },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json(result);
+    } catch (error) {
+        logger.error('Error seeding knockout bracket:', error);
+        res.status(500).json({ success: false, error: 'Failed to seed bracket' });
+    }
+});
+
+router.get('/api/tournaments/:id/knockout/image', authenticateAdmin, async (req, res) => {
+    try {
+        const imagePath = await knockoutService.renderImage(parseInt(req.params.id));
+        if (!imagePath) return res.status(404).json({ success: false, error: 'No bracket for this tournament' });
+        res.sendFile(imagePath);
+    } catch (error) {
+        logger.error('Error rendering knockout bracket:', error);
+        res.status(500).json({ success: false, error: 'Failed to render bracket' });
+    }
+});
+
+router.post('/api/knockout/:bracketId/open-ready', authenticateAdmin, async (req, res) => {
+    try {
+        const bracketId = parseInt(req.params.bracketId);
+        const result = await knockoutService.openReadyNow(bracketId);
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'open_knockout_matches',
+            { bracket_id: bracketId, opened: result.opened },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json(result);
+    } catch (error) {
+        logger.error('Error opening knockout matches:', error);
+        res.status(500).json({ success: false, error: 'Failed to open matches' });
+    }
+});
+
+router.post('/api/knockout/:bracketId/cancel', authenticateAdmin, async (req, res) => {
+    try {
+        const bracketId = parseInt(req.params.bracketId);
+        const result = await knockoutService.cancel(bracketId, req.adminSession.username);
+        if (!result.success) return res.status(400).json(result);
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'cancel_knockout',
+            { bracket_id: bracketId, tournament_id: result.bracket.tournament_id },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json(result);
+    } catch (error) {
+        logger.error('Error cancelling knockout bracket:', error);
+        res.status(500).json({ success: false, error: 'Failed to cancel bracket' });
+    }
+});
+
+router.post('/api/knockout/matches/:matchId/:action(award|replay)', authenticateAdmin, async (req, res) => {
+    try {
+        const matchId = parseInt(req.params.matchId);
+        const { winnerId, note } = req.body;
+        const result = req.params.action === 'award'
+            ? await knockoutService.awardMatch(matchId, winnerId, note, req.adminSession.username)
+            : await knockoutService.replayMatch(matchId, note, req.adminSession.username);
+        if (!result.success) return res.status(400).json(result);
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            req.params.action === 'award' ? 'award_knockout_match' : 'replay_knockout_match',
+            { match_id: matchId, bracket_id: result.match.bracket_id, winner_id: winnerId || null, note: note || null },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json(result);
+    } catch (error) {
+        logger.error('Error resolving knockout match:', error);
+        res.status(500).json({ success: false, error: 'Failed to update match' });
+    }
+});
+
+// ============================================
+// SPONSORS
+// Sponsors, their portal logins and the report they see for each of
+// their tournaments. See sponsor.service.js and routes/sponsor.routes.js.
+// ============================================
+
+router.get('/api/sponsors', authenticateAdmin, async (req, res) => {
+    try {
+        const sponsors = await sponsorService.listSponsors();
+        res.json({ success: true, sponsors });
+    } catch (error) {
+        logger.error('Error listing sponsors:', error);
+        res.status(500).json({ success: false, error: 'Failed to load sponsors' });
+    }
+});
+
+router.post('/api/sponsors', authenticateAdmin, async (req, res) => {
+    try {
+        const result = await sponsorService.createSponsor(req.body, req.adminSession.username);
+        if (!result.success) return res.status(400).json(result);
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'create_sponsor',
+            { sponsor_id: result.sponsor.id, name: result.sponsor.name },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json(result);
+    } catch (error) {
+        logger.error('Error creating sponsor:', error);
+        res.status(500).json({ success: false, error: 'Failed to create sponsor' });
+    }
+});
+
+router.put('/api/sponsors/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const result = await sponsorService.updateSponsor(parseInt(req.params.id), req.body);
+        if (!result.success) return res.status(400).json(result);
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'update_sponsor',
+            { sponsor_id: result.sponsor.id, name: result.sponsor.name, is_active: result.sponsor.is_active },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json(result);
+    } catch (error) {
+        logger.error('Error updating sponsor:', error);
+        res.status(500).json({ success: false, error: 'Failed to update sponsor' });
+    }
+});
+
+router.post('/api/sponsors/:id/logins', authenticateAdmin, async (req, res) => {
+    try {
+        const sponsorId = parseInt(req.params.id);
+        const result = await sponsorService.createLogin(sponsorId, req.body, req.adminSession.admin_id);
+        if (!result.success) return res.status(400).json(result);
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'create_sponsor_login',
+            { sponsor_id: sponsorId, login_id: result.login.id, username: result.login.username },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json(result);
+    } catch (error) {
+        logger.error('Error creating sponsor login:', error);
+        res.status(500).json({ success: false, error: 'Failed to create sponsor login' });
+    }
+});
+
+router.post('/api/sponsors/logins/:adminId/:action(disable|enable)', authenticateAdmin, async (req, res) => {
+    try {
+        const adminId = parseInt(req.params.adminId);
+        const result = await sponsorService.setLoginActive(adminId, req.params.action === 'enable', req.adminSession.admin_id);
+        if (!result.success) return res.status(404).json(result);
+        res.json(result);
+    } catch (error) {
+        logger.error('Error updating sponsor login:', error);
+        res.status(500).json({ success: false, error: 'Failed to update sponsor login' });
+    }
+});
+
+// The same report the sponsor sees, so it can be checked before it is sold on.
+router.get('/api/tournaments/:id/sponsor-report', authenticateAdmin, async (req, res) => {
+    try {
+        const report = await sponsorService.getReport(parseInt(req.params.id));
+        if (!report) return res.status(404).json({ success: false, error: 'Tournament not found' });
+        res.json({ success: true, report });
+    } catch (error) {
+        logger.error('Error loading sponsor report:', error);
+        res.status(500).json({ success: false, error: 'Failed to load sponsor report' });
+    }
+});
+
+router.get('/api/tournaments/:id/sponsor-report.pdf', authenticateAdmin, async (req, res) => {
+    try {
+        const report = await sponsorService.getReport(parseInt(req.params.id));
+        if (!report) return res.status(404).json({ success: false, error: 'Tournament not found' });
+        const filePath = await sponsorService.renderReportPdf(report);
+        res.download(filePath, `sponsor-report-${report.tournament.id}.pdf`);
+    } catch (error) {
+        logger.error('Error rendering sponsor report:', error);
+        res.status(500).json({ success: false, error: 'Failed to render sponsor report' });
+    }
+});
+
+// ============================================
+// TOURNAMENT SERIES
+// A tournament that repeats on a schedule. Rounds are opened, started and
+// ended by the series processor; see tournament-series.service.js.
+// ============================================
+
+router.get('/api/tournament-series', authenticateAdmin, async (req, res) => {
+    try {
+        const series = await tournamentSeries.list();
+        res.json({ success: true, series });
+    } catch (error) {
+        logger.error('Error listing tournament series:', error);
+        res.status(500).json({ success: false, error: 'Failed to load series' });
+    }
+});
+
+router.post('/api/tournament-series', authenticateAdmin, async (req, res) => {
+    try {
+        const result = await tournamentSeries.create(req.body, req.adminSession.username);
+        if (!result.success) return res.status(400).json(result);
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'create_tournament_series',
+            { series_id: result.series.id, name: result.series.name, template_tournament_id: req.body.templateTournamentId },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json(result);
+    } catch (error) {
+        logger.error('Error creating tournament series:', error);
+        res.status(500).json({ success: false, error: 'Failed to create series' });
+    }
+});
+
+router.put('/api/tournament-series/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const result = await tournamentSeries.update(parseInt(req.params.id), req.body);
+        if (!result.success) return res.status(400).json(result);
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'update_tournament_series',
+            { series_id: result.series.id },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json(result);
+    } catch (error) {
+        logger.error('Error updating tournament series:', error);
+        res.status(500).json({ success: false, error: 'Failed to update series' });
+    }
+});
+
+// Pause stops new rounds being opened; resume picks up at the next slot.
+router.post('/api/tournament-series/:id/:action(pause|resume)', authenticateAdmin, async (req, res) => {
+    try {
+        const active = req.params.action === 'resume';
+        const result = await tournamentSeries.setActive(parseInt(req.params.id), active);
+        if (!result.success) return res.status(404).json(result);
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            active ? 'resume_tournament_series' : 'pause_tournament_series',
+            { series_id: result.series.id },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json(result);
+    } catch (error) {
+        logger.error('Error pausing/resuming tournament series:', error);
+        res.status(500).json({ success: false, error: 'Failed to update series' });
+    }
+});
+
+router.post('/api/tournament-series/:id/open-next', authenticateAdmin, async (req, res) => {
+    try {
+        const result = await tournamentSeries.openNext(parseInt(req.params.id));
+        if (!result.success) return res.status(400).json(result);
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'open_series_round',
+            { series_id: parseInt(req.params.id), tournament_id: result.tournament.id },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json(result);
+    } catch (error) {
+        logger.error('Error opening series round:', error);
+        res.status(500).json({ success: false, error: 'Failed to open the next round' });
+    }
+});
+
+router.get('/api/tournament-series/:id/standings', authenticateAdmin, async (req, res) => {
+    try {
+        const data = await tournamentSeries.getStandings(parseInt(req.params.id), req.query.season, 100);
+        if (!data) return res.status(404).json({ success: false, error: 'Series not found' });
+        res.json({ success: true, ...data });
+    } catch (error) {
+        logger.error('Error loading series standings:', error);
+        res.status(500).json({ success: false, error: 'Failed to load standings' });
+    }
+});
+
+// Get all tournaments with stats
+router.get('/api/tournaments/stats', authenticateAdmin, async (req, res) => {
+    try {
+        const data = await analyticsService.getTournamentsWithStats();
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Error getting tournaments stats:', error);
+        res.status(500).json({ error: 'Failed to get tournament statistics' });
+    }
+});
+
+// Get tournament leaderboard by tournament ID
+router.get('/api/tournaments/:id/leaderboard', authenticateAdmin, async (req, res) => {
+    try {
+        const tournamentId = parseInt(req.params.id);
+        const limit = parseInt(req.query.limit) || 100;
+        const offset = parseInt(req.query.offset) || 0;
+        
+        const data = await analyticsService.getTournamentLeaderboard(tournamentId, limit, offset);
+        res.json({ 
+            success: true, 
+            tournament_id: tournamentId,
+            data,
+            total: data.length 
+        });
+    } catch (error) {
+        logger.error(`Error getting tournament ${req.params.id} leaderboard:`, error);
+        res.status(500).json({ error: 'Failed to get tournament leaderboard' });
+    }
+});
+
+// Get referral statistics
+router.get('/api/analytics/referrals/stats', authenticateAdmin, async (req, res) => {
+    try {
+        const data = await analyticsService.getReferralStats();
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Error getting referral stats:', error);
+        res.status(500).json({ error: 'Failed to get referral statistics' });
+    }
+});
+
+// Get top referrers
+router.get('/api/analytics/referrals/top', authenticateAdmin, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const data = await analyticsService.getTopReferrers(limit);
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Error getting top referrers:', error);
+        res.status(500).json({ error: 'Failed to get top referrers' });
+    }
+});
+
+// ============================================
+// REFERRAL REWARD TIERS
+// What a referrer earns as their referee plays. Edits apply to milestones
+// reached from now on; rewards already written are never revisited.
+// ============================================
+const referralRewards = require('../services/referral-rewards.service');
+
+router.get('/api/referral-tiers', authenticateAdmin, async (req, res) => {
+    try {
+        const tiers = await referralRewards.listTiers();
+        res.json({ success: true, tiers });
+    } catch (error) {
+        logger.error('Error listing referral tiers:', error);
+        res.status(500).json({ error: 'Failed to list referral tiers' });
+    }
+});
+
+router.post('/api/referral-tiers', authenticateAdmin, async (req, res) => {
+    try {
+        const result = await referralRewards.saveTier(null, req.body, req.adminSession.username);
+        if (result.error) return res.status(400).json({ error: result.error });
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'referral_tier_create',
+            { tier_id: result.tier.id, ...req.body },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json({ success: true, tier: result.tier });
+    } catch (error) {
+        logger.error('Error creating referral tier:', error);
+        res.status(500).json({ error: 'Failed to create referral tier' });
+    }
+});
+
+router.put('/api/referral-tiers/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const tierId = parseInt(req.params.id);
+        const result = await referralRewards.saveTier(tierId, req.body, req.adminSession.username);
+        if (result.error) return res.status(400).json({ error: result.error });
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'referral_tier_update',
+            { tier_id: tierId, ...req.body },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json({ success: true, tier: result.tier });
+    } catch (error) {
+        logger.error('Error updating referral tier:', error);
+        res.status(500).json({ error: 'Failed to update referral tier' });
+    }
+});
+
+// Recent tier rewards, including ones withheld as linked or over the cap
+router.get('/api/referral-rewards', authenticateAdmin, async (req, res) => {
+    try {
+        const status = ['credited', 'blocked', 'capped'].includes(req.query.status) ? req.query.status : null;
+        const rewards = await referralRewards.listRecentRewards({ status, limit: req.query.limit });
+        res.json({ success: true, rewards });
+    } catch (error) {
+        logger.error('Error listing referral rewards:', error);
+        res.status(500).json({ error: 'Failed to list referral rewards' });
+    }
+});
+
+// Get revenue statistics
+router.get('/api/analytics/revenue/stats', authenticateAdmin, async (req, res) => {
     try {
         const days = parseInt(req.query.days) || 30;
         const data = await analyticsService.getRevenueStats(days);
@@ -3714,6 +4480,53 @@ router.get('/api/streaks/stats', authenticateAdmin, async (req, res) => {
     }
 });
 
+// Grant streak freezes to a player — for support, e.g. after an outage
+router.post('/api/streaks/freezes', authenticateAdmin, async (req, res) => {
+    try {
+        const streakService = require('../services/streak.service');
+        const userId = parseInt(req.body.user_id);
+        const count = parseInt(req.body.count);
+        if (!userId || !(count >= 1 && count <= 10)) {
+            return res.status(400).json({ error: 'user_id and a count between 1 and 10 are required' });
+        }
+
+        await streakService.grantFreezes(userId, count, 'admin');
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'grant_streak_freezes',
+            { user_id: userId, count, reason: req.body.reason || null },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error granting streak freezes:', error);
+        res.status(500).json({ error: 'Failed to grant streak freezes' });
+    }
+});
+
+// Streak restore purchases. 'unapplied' ones were paid after the offer
+// ended and need refunding.
+router.get('/api/streaks/restores', authenticateAdmin, async (req, res) => {
+    try {
+        const streakService = require('../services/streak.service');
+        await streakService.ensureSchema();
+        const status = ['restored', 'unapplied'].includes(req.query.status) ? req.query.status : null;
+        const result = await pool.query(`
+            SELECT sr.*, u.username
+            FROM streak_restores sr
+            JOIN users u ON u.id = sr.user_id
+            ${status ? 'WHERE sr.status = $1' : ''}
+            ORDER BY sr.created_at DESC
+            LIMIT 200
+        `, status ? [status] : []);
+        res.json({ success: true, restores: result.rows });
+    } catch (error) {
+        logger.error('Error listing streak restores:', error);
+        res.status(500).json({ error: 'Failed to list streak restores' });
+    }
+});
+
 // Get streak leaderboard
 router.get('/api/streaks/leaderboard', authenticateAdmin, async (req, res) => {
     try {
@@ -4693,10 +5506,57 @@ router.get('/api/fraud/photos/recent', authenticateAdmin, async (req, res) => {
             LIMIT $1
         `, [limit]);
         
-        res.json({ success: true, photos: result.rows });
+        res.json({ success: true, photos: result.rows });
+    } catch (error) {
+        logger.error('Error getting recent photo verifications:', error);
+        res.status(500).json({ error: 'Failed to get photo verifications' });
+    }
+});
+
+// Face match review queue: later selfies the matcher couldn't call, or
+// called a mismatch without ending the game (see face-match.service.js)
+const faceMatchService = require('../services/face-match.service');
+
+router.get('/api/fraud/face-reviews', authenticateAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const reviews = await faceMatchService.getReviewQueue(limit);
+        res.json({ success: true, reviews, provider: faceMatchService.provider });
+    } catch (error) {
+        logger.error('Error getting face match reviews:', error);
+        res.status(500).json({ error: 'Failed to get face match reviews' });
+    }
+});
+
+router.post('/api/fraud/face-reviews/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const photoId = parseInt(req.params.id);
+        const { decision, notes } = req.body;
+        const result = await faceMatchService.decide(photoId, decision, req.adminSession.admin_id, notes || null);
+        if (!result.success) return res.status(400).json(result);
+        
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'face_match_review',
+            {
+                photo_verification_id: photoId, user_id: result.verification.user_id,
+                session_id: result.verification.session_id, decision,
+                score: result.verification.face_match_score, held_payouts: result.heldPayouts,
+                released_payouts: result.releasedPayouts
+            },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        
+        res.json({
+            success: true,
+            message: decision === 'different_person'
+                ? `Marked as a different person${result.heldPayouts ? ' — prize stays on hold' : ''}`
+                : `Marked as the same person${result.releasedPayouts ? ' — prize released' : ''}`
+        });
     } catch (error) {
-        logger.error('Error getting recent photo verifications:', error);
-        res.status(500).json({ error: 'Failed to get photo verifications' });
+        logger.error('Error recording face match review:', error);
+        res.status(500).json({ error: 'Failed to record review' });
     }
 });
 
@@ -4924,7 +5784,7 @@ router.get('/api/achievements/leaderboard', authenticateAdmin, async (req, res)
 router.get('/api/achievements/all', authenticateAdmin, async (req, res) => {
     try {
         const achievementsService = require('../services/achievements.service');
-        const achievements = achievementsService.getAllAchievements();
+        const achievements = await achievementsService.getAllAchievements();
         res.json({ success: true, achievements });
     } catch (error) {
         logger.error('Error getting all achievements:', error);
@@ -4932,6 +5792,66 @@ router.get('/api/achievements/all', authenticateAdmin, async (req, res) => {
     }
 });
 
+// Achievement definitions, inactive and out-of-season ones included,
+// with the metrics, comparators and windows the editor can offer
+router.get('/api/achievements/definitions', authenticateAdmin, async (req, res) => {
+    try {
+        const achievementsService = require('../services/achievements.service');
+        const definitions = await achievementsService.listDefinitions();
+        res.json({
+            success: true,
+            definitions,
+            metrics: achievementsService.getMetrics(),
+            comparators: achievementsService.COMPARATORS,
+            windows: achievementsService.WINDOWS
+        });
+    } catch (error) {
+        logger.error('Error listing achievement definitions:', error);
+        res.status(500).json({ error: 'Failed to list achievement definitions' });
+    }
+});
+
+router.post('/api/achievements/definitions', authenticateAdmin, async (req, res) => {
+    try {
+        const achievementsService = require('../services/achievements.service');
+        const result = await achievementsService.saveDefinition(null, req.body, req.adminSession.username);
+        if (result.error) return res.status(400).json({ error: result.error });
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'achievement_create',
+            { id: result.definition.id, type: result.definition.type },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json({ success: true, definition: result.definition });
+    } catch (error) {
+        logger.error('Error creating achievement definition:', error);
+        res.status(500).json({ error: 'Failed to create achievement' });
+    }
+});
+
+router.put('/api/achievements/definitions/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const achievementsService = require('../services/achievements.service');
+        const id = parseInt(req.params.id);
+        const result = await achievementsService.saveDefinition(id, req.body, req.adminSession.username);
+        if (result.error) return res.status(400).json({ error: result.error });
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'achievement_update',
+            { id, type: result.definition.type, is_active: result.definition.is_active },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.json({ success: true, definition: result.definition });
+    } catch (error) {
+        logger.error('Error updating achievement definition:', error);
+        res.status(500).json({ error: 'Failed to update achievement' });
+    }
+});
+
 // ============================================
 // SYSTEM SETTINGS ENDPOINTS
 // ============================================
@@ -5049,10 +5969,41 @@ router.get('/api/kyc/user/:userId', authenticateAdmin, async (req, res) => {
     }
 });
 
+// One submission with the player's in-game selfies, for the review modal
+router.get('/api/kyc/:kycId(\\d+)', authenticateAdmin, async (req, res) => {
+    try {
+        const kycService = require('../services/kyc.service');
+        const review = await kycService.getReview(parseInt(req.params.kycId));
+        if (!review) return res.status(404).json({ error: 'KYC not found' });
+        res.json({ success: true, ...review });
+    } catch (error) {
+        logger.error('Error getting KYC review:', error);
+        res.status(500).json({ error: 'Failed to get KYC submission' });
+    }
+});
+
+// The stored ID photo or selfie. <img> can't send headers, so the token
+// may ride on the query string. Cloudinary documents redirect to a
+// short-lived signed link; local ones are streamed.
+router.get('/api/kyc/:kycId(\\d+)/document/:kind(id|selfie)', authenticateAdminWithQuery, async (req, res) => {
+    try {
+        const kycService = require('../services/kyc.service');
+        const doc = await kycService.openDocument(parseInt(req.params.kycId), req.params.kind);
+        if (!doc) return res.status(404).json({ error: 'No document on file' });
+
+        res.set('Cache-Control', 'private, no-store');
+        if (doc.redirect) return res.redirect(doc.redirect);
+        res.type(doc.contentType).send(doc.buffer);
+    } catch (error) {
+        logger.error('Error opening KYC document:', error);
+        res.status(500).json({ error: 'Failed to open document' });
+    }
+});
+
 router.post('/api/kyc/:kycId/approve', authenticateAdmin, async (req, res) => {
     try {
         const kycId = parseInt(req.params.kycId);
-        const adminId = req.session?.adminId || null;
+        const adminId = req.adminSession.admin_id;
         const { notes } = req.body;
         
         const kycService = require('../services/kyc.service');
@@ -5072,7 +6023,7 @@ router.post('/api/kyc/:kycId/approve', authenticateAdmin, async (req, res) => {
 router.post('/api/kyc/:kycId/reject', authenticateAdmin, async (req, res) => {
     try {
         const kycId = parseInt(req.params.kycId);
-        const adminId = req.session?.adminId || null;
+        const adminId = req.adminSession.admin_id;
         const { reason } = req.body;
         
         if (!reason) {
@@ -5300,25 +6251,16 @@ router.get('/api/security/suspicious-captcha-users', authenticateAdmin, async (r
 
 // ============================================
 // FINANCIAL DASHBOARD ROUTES
+// Access is the financials.* permissions (Finance Officer role by default)
 // ============================================
 
-// Financial access middleware - Super Admin and Finance Officer only
-const requireFinancialAccess = async (req, res, next) => {
-  const allowedRoles = ['super_admin', 'finance_officer', 'super admin', 'finance officer'];
-  const roleName = req.adminSession.role_name?.toLowerCase();
-  if (!allowedRoles.includes(roleName)) {
-    return res.status(403).json({ error: 'Access denied. Financial dashboard requires Super Admin or Finance Officer role.' });
-  }
-  next();
-};
-
 // Financial Dashboard Page
 router.get('/financials', (req, res) => {
   res.sendFile('admin-financials.html', { root: './src/views' });
 });
 
 // Revenue Overview
-router.get('/api/financials/overview', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/overview', authenticateAdmin, async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
     await adminAuthService.logActivity(req.adminSession.admin_id, 'view_financial_overview', { start_date, end_date }, getIpAddress(req), req.headers['user-agent']);
@@ -5331,7 +6273,7 @@ router.get('/api/financials/overview', authenticateAdmin, requireFinancialAccess
 });
 
 // Token Revenue Breakdown
-router.get('/api/financials/token-revenue', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/token-revenue', authenticateAdmin, async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
     await adminAuthService.logActivity(req.adminSession.admin_id, 'view_token_revenue', { start_date, end_date }, getIpAddress(req), req.headers['user-agent']);
@@ -5344,7 +6286,7 @@ router.get('/api/financials/token-revenue', authenticateAdmin, requireFinancialA
 });
 
 // Tournament Revenue
-router.get('/api/financials/tournament-revenue', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/tournament-revenue', authenticateAdmin, async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
     await adminAuthService.logActivity(req.adminSession.admin_id, 'view_tournament_revenue', { start_date, end_date }, getIpAddress(req), req.headers['user-agent']);
@@ -5357,7 +6299,7 @@ router.get('/api/financials/tournament-revenue', authenticateAdmin, requireFinan
 });
 
 // Love Quest Revenue
-router.get('/api/financials/love-quest-revenue', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/love-quest-revenue', authenticateAdmin, async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
     await adminAuthService.logActivity(req.adminSession.admin_id, 'view_love_quest_revenue', { start_date, end_date }, getIpAddress(req), req.headers['user-agent']);
@@ -5425,7 +6367,7 @@ router.get('/api/financials/love-quest-revenue', authenticateAdmin, requireFinan
 });
 
 // Classic Mode Winnings
-router.get('/api/financials/classic-winnings', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/classic-winnings', authenticateAdmin, async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
     await adminAuthService.logActivity(req.adminSession.admin_id, 'view_classic_winnings', { start_date, end_date }, getIpAddress(req), req.headers['user-agent']);
@@ -5438,7 +6380,7 @@ router.get('/api/financials/classic-winnings', authenticateAdmin, requireFinanci
 });
 
 // Payout Tracking
-router.get('/api/financials/payouts', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/payouts', authenticateAdmin, async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
     await adminAuthService.logActivity(req.adminSession.admin_id, 'view_payout_tracking', { start_date, end_date }, getIpAddress(req), req.headers['user-agent']);
@@ -5451,7 +6393,7 @@ router.get('/api/financials/payouts', authenticateAdmin, requireFinancialAccess,
 });
 
 // Top Winners
-router.get('/api/financials/top-winners', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/top-winners', authenticateAdmin, async (req, res) => {
   try {
     const { limit = 20, start_date, end_date } = req.query;
     await adminAuthService.logActivity(req.adminSession.admin_id, 'view_top_winners', { limit, start_date, end_date }, getIpAddress(req), req.headers['user-agent']);
@@ -5473,7 +6415,7 @@ router.get('/api/financials/top-winners', authenticateAdmin, requireFinancialAcc
 // NOTE the path: /operations, not /overview — an /overview route already
 // exists further down for the revenue cards, and Express matches the first
 // registration, so reusing the name silently served the wrong payload.
-router.get('/api/financials/operations', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/operations', authenticateAdmin, async (req, res) => {
   try {
     await adminAuthService.logActivity(req.adminSession.admin_id, 'view_financial_operations', {}, getIpAddress(req), req.headers['user-agent']);
     const data = await financialService.getOperationsOverview();
@@ -5485,7 +6427,7 @@ router.get('/api/financials/operations', authenticateAdmin, requireFinancialAcce
 });
 
 // Outstanding prize liability by age — anything past 72h breaches the promise
-router.get('/api/financials/payout-aging', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/payout-aging', authenticateAdmin, async (req, res) => {
   try {
     const data = await financialService.getPayoutAging();
     res.json({ success: true, data });
@@ -5496,7 +6438,7 @@ router.get('/api/financials/payout-aging', authenticateAdmin, requireFinancialAc
 });
 
 // How fast we actually pay, against the published 12-24h promise
-router.get('/api/financials/payout-speed', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/payout-speed', authenticateAdmin, async (req, res) => {
   try {
     const data = await financialService.getPayoutSpeed(parseInt(req.query.days) || 30);
     res.json({ success: true, data });
@@ -5507,7 +6449,7 @@ router.get('/api/financials/payout-speed', authenticateAdmin, requireFinancialAc
 });
 
 // Payment success rate and settlement time per gateway
-router.get('/api/financials/gateways', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/gateways', authenticateAdmin, async (req, res) => {
   try {
     const data = await financialService.getGatewayPerformance(parseInt(req.query.days) || 30);
     res.json({ success: true, data });
@@ -5518,7 +6460,7 @@ router.get('/api/financials/gateways', authenticateAdmin, requireFinancialAccess
 });
 
 // Revenue split by WhatsApp / Telegram / Web
-router.get('/api/financials/by-platform', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/by-platform', authenticateAdmin, async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
     const data = await financialService.getRevenueByPlatform(start_date, end_date);
@@ -5530,7 +6472,7 @@ router.get('/api/financials/by-platform', authenticateAdmin, requireFinancialAcc
 });
 
 // Per-tournament contribution: entries collected minus prizes awarded
-router.get('/api/financials/tournament-pnl', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/tournament-pnl', authenticateAdmin, async (req, res) => {
   try {
     const data = await financialService.getTournamentPnL(parseInt(req.query.limit) || 20);
     res.json({ success: true, data });
@@ -5541,7 +6483,7 @@ router.get('/api/financials/tournament-pnl', authenticateAdmin, requireFinancial
 });
 
 // Credits bought vs played — unplayed credits are deferred revenue
-router.get('/api/financials/credit-burn', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/credit-burn', authenticateAdmin, async (req, res) => {
   try {
     const data = await financialService.getCreditBurn();
     res.json({ success: true, data });
@@ -5552,7 +6494,7 @@ router.get('/api/financials/credit-burn', authenticateAdmin, requireFinancialAcc
 });
 
 // Real cohort LTV — revenue per player grouped by registration month
-router.get('/api/financials/cohorts', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/cohorts', authenticateAdmin, async (req, res) => {
   try {
     const data = await financialService.getCohortLTV(parseInt(req.query.months) || 6);
     res.json({ success: true, data });
@@ -5563,7 +6505,7 @@ router.get('/api/financials/cohorts', authenticateAdmin, requireFinancialAccess,
 });
 
 // Financial KPIs
-router.get('/api/financials/kpis', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/kpis', authenticateAdmin, async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
     await adminAuthService.logActivity(req.adminSession.admin_id, 'view_financial_kpis', { start_date, end_date }, getIpAddress(req), req.headers['user-agent']);
@@ -5576,7 +6518,7 @@ router.get('/api/financials/kpis', authenticateAdmin, requireFinancialAccess, as
 });
 
 // Revenue Trends
-router.get('/api/financials/trends', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/trends', authenticateAdmin, async (req, res) => {
   try {
     const { period = 'daily', days = 30 } = req.query;
     await adminAuthService.logActivity(req.adminSession.admin_id, 'view_revenue_trends', { period, days }, getIpAddress(req), req.headers['user-agent']);
@@ -5589,7 +6531,7 @@ router.get('/api/financials/trends', authenticateAdmin, requireFinancialAccess,
 });
 
 // Comparison Reports
-router.get('/api/financials/comparison', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/comparison', authenticateAdmin, async (req, res) => {
   try {
     const { type = 'daily' } = req.query;
     await adminAuthService.logActivity(req.adminSession.admin_id, 'view_comparison_report', { type }, getIpAddress(req), req.headers['user-agent']);
@@ -5602,7 +6544,7 @@ router.get('/api/financials/comparison', authenticateAdmin, requireFinancialAcce
 });
 
 // Revenue Forecast
-router.get('/api/financials/forecast', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/forecast', authenticateAdmin, async (req, res) => {
   try {
     await adminAuthService.logActivity(req.adminSession.admin_id, 'view_forecast', {}, getIpAddress(req), req.headers['user-agent']);
     const data = await financialService.getRevenueForecast();
@@ -5614,7 +6556,7 @@ router.get('/api/financials/forecast', authenticateAdmin, requireFinancialAccess
 });
 
 // Churn Impact
-router.get('/api/financials/churn-impact', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/churn-impact', authenticateAdmin, async (req, res) => {
   try {
     await adminAuthService.logActivity(req.adminSession.admin_id, 'view_churn_impact', {}, getIpAddress(req), req.headers['user-agent']);
     const data = await financialService.getChurnImpact();
@@ -5626,7 +6568,59 @@ router.get('/api/financials/churn-impact', authenticateAdmin, requireFinancialAc
 });
 
 // Transaction Detail
-router.get('/api/financials/transaction/:id', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+// Wallet ledger checked against credits, tokens, payouts and gateway records
+router.get('/api/financials/reconciliation', authenticateAdmin, async (req, res) => {
+  try {
+    await adminAuthService.logActivity(req.adminSession.admin_id, 'view_ledger_reconciliation', {}, getIpAddress(req), req.headers['user-agent']);
+    const data = await financialService.reconcileLedger();
+    res.json({ success: true, data });
+  } catch (error) {
+    logger.error(`Error reconciling ledger: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to reconcile ledger' });
+  }
+});
+
+// One player's ledger balance and journals (?before=<journal id> pages back)
+router.get('/api/financials/user/:id/ledger', authenticateAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    await adminAuthService.logActivity(req.adminSession.admin_id, 'view_user_ledger', { user_id: userId }, getIpAddress(req), req.headers['user-agent']);
+    const balance = await ledgerService.getBalance(userId);
+    const journals = await ledgerService.getStatement(userId, {
+      limit: parseInt(req.query.limit) || 50,
+      before: req.query.before ? parseInt(req.query.before) : null
+    });
+    res.json({ success: true, data: { balance, journals } });
+  } catch (error) {
+    logger.error(`Error loading user ledger: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to load ledger' });
+  }
+});
+
+// Record a refund already issued from the gateway dashboard
+router.post('/api/financials/payments/:reference/refund', authenticateAdmin, async (req, res) => {
+  try {
+    const { reference } = req.params;
+    const { reason } = req.body || {};
+    if (!reason || !reason.trim()) return res.status(400).json({ success: false, error: 'A reason is required' });
+
+    const PaymentService = require('../services/payment.service');
+    const result = await new PaymentService().refundPurchase(reference, req.adminSession.admin_id, reason.trim());
+    if (!result.success) return res.status(400).json(result);
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id, 'refund_purchase',
+      { reference, amount: result.amount, games_removed: result.gamesRemoved, reason: reason.trim() },
+      getIpAddress(req), req.headers['user-agent']
+    );
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error(`Error refunding purchase: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to record refund' });
+  }
+});
+
+router.get('/api/financials/transaction/:id', authenticateAdmin, async (req, res) => {
   try {
     await adminAuthService.logActivity(req.adminSession.admin_id, 'view_transaction_detail', { transaction_id: req.params.id }, getIpAddress(req), req.headers['user-agent']);
     const data = await financialService.getTransactionDetails(req.params.id);
@@ -5639,7 +6633,7 @@ router.get('/api/financials/transaction/:id', authenticateAdmin, requireFinancia
 });
 
 // User Financial Profile
-router.get('/api/financials/user/:id', authenticateAdmin, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/user/:id', authenticateAdmin, async (req, res) => {
   try {
     await adminAuthService.logActivity(req.adminSession.admin_id, 'view_user_financial_profile', { user_id: req.params.id }, getIpAddress(req), req.headers['user-agent']);
     const data = await financialService.getUserFinancialProfile(req.params.id);
@@ -5652,7 +6646,7 @@ router.get('/api/financials/user/:id', authenticateAdmin, requireFinancialAccess
 });
 
 // Export Data
-router.get('/api/financials/export', authenticateAdminWithQuery, requireFinancialAccess, async (req, res) => {
+router.get('/api/financials/export', authenticateAdminWithQuery, async (req, res) => {
   try {
     const { start_date, end_date, type = 'all', format = 'csv' } = req.query;
     await adminAuthService.logActivity(req.adminSession.admin_id, 'export_financial_data', { start_date, end_date, type, format }, getIpAddress(req), req.headers['user-agent']);
@@ -7171,6 +8165,117 @@ router.post('/api/questions/bulk-insert', authenticateAdmin, async (req, res) =>
     }
 });
 
+// Spreadsheet import — dry run first, then commit the previewed rows.
+// The file arrives base64-encoded in JSON, like the Love Quest media upload.
+const questionImport = require('../services/question-import.service');
+
+// POST /admin/api/questions/import/preview  { fileName, fileData }
+router.post('/api/questions/import/preview', authenticateAdmin, async (req, res) => {
+    try {
+        const { fileName, fileData } = req.body || {};
+        if (!fileData) {
+            return res.status(400).json({ success: false, error: 'No file data provided' });
+        }
+
+        const buffer = Buffer.from(String(fileData).replace(/^data:[^;]+;base64,/, ''), 'base64');
+        const result = await questionImport.preview(fileName || 'upload.csv', buffer, req.adminSession.username);
+        if (!result.ok) return res.status(400).json({ success: false, error: result.error });
+
+        res.json({ success: true, preview: result.preview });
+    } catch (error) {
+        logger.error('Error previewing question import:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /admin/api/questions/import/commit  { preview_id, question_bank_id, include_near_duplicates }
+router.post('/api/questions/import/commit', authenticateAdmin, async (req, res) => {
+    try {
+        const { preview_id, question_bank_id, include_near_duplicates } = req.body || {};
+        const result = await questionImport.commit(preview_id, question_bank_id, {
+            includeNearDuplicates: !!include_near_duplicates
+        });
+        if (!result.ok) return res.status(result.status || 400).json({ success: false, error: result.error });
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id, 'import_questions',
+            { file: result.fileName, inserted: result.inserted, translations: result.translations, skipped: result.skipped,
+              question_bank_id: result.bank.id, include_near_duplicates: !!include_near_duplicates },
+            getIpAddress(req), req.headers['user-agent']
+        );
+
+        res.json({ success: true, inserted: result.inserted, translations: result.translations, skipped: result.skipped, bank: result.bank.display_name || result.bank.bank_name });
+    } catch (error) {
+        logger.error('Error committing question import:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// QUESTION TRANSLATIONS
+// One row per question per language; blank fields fall back to English.
+// ============================================
+const languageService = require('../services/language.service');
+
+// GET /admin/api/questions/:id/translations
+router.get('/api/questions/:id/translations', authenticateAdmin, async (req, res) => {
+    try {
+        const translations = await languageService.getQuestionTranslations(parseInt(req.params.id));
+        res.json({ success: true, languages: languageService.list({ all: true }), translations });
+    } catch (error) {
+        logger.error('Error fetching question translations:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// PUT /admin/api/questions/:id/translations/:language  { question_text, option_a..option_d, fun_fact }
+router.put('/api/questions/:id/translations/:language', authenticateAdmin, async (req, res) => {
+    try {
+        const questionId = parseInt(req.params.id);
+        const language = req.params.language;
+        if (!languageService.isSupported(language) || language === 'en') {
+            return res.status(400).json({ success: false, error: `Unsupported language: ${language}` });
+        }
+        const question = await pool.query('SELECT id FROM questions WHERE id = $1', [questionId]);
+        if (question.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Question not found' });
+        }
+
+        const translation = await languageService.saveQuestionTranslation(questionId, language, req.body || {});
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id, 'save_question_translation',
+            { question_id: questionId, language },
+            getIpAddress(req), req.headers['user-agent']
+        );
+
+        res.json({ success: true, translation });
+    } catch (error) {
+        logger.error('Error saving question translation:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// DELETE /admin/api/questions/:id/translations/:language
+router.delete('/api/questions/:id/translations/:language', authenticateAdmin, async (req, res) => {
+    try {
+        const questionId = parseInt(req.params.id);
+        const deleted = await languageService.deleteQuestionTranslation(questionId, req.params.language);
+        if (!deleted) return res.status(404).json({ success: false, error: 'Translation not found' });
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id, 'delete_question_translation',
+            { question_id: questionId, language: req.params.language },
+            getIpAddress(req), req.headers['user-agent']
+        );
+
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error deleting question translation:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Get questions by bank (paginated)
 router.get('/api/questions/bank/:bankId', authenticateAdmin, async (req, res) => {
     try {
@@ -7285,6 +8390,61 @@ router.delete('/api/questions/:id', authenticateAdmin, async (req, res) => {
     }
 });
 
+// ============================================
+// QUESTION REVIEW QUEUE
+// Player reports, auto-retired questions and difficulty outliers.
+// ============================================
+const questionQuality = require('../services/question-quality.service');
+
+router.get('/api/questions/review-queue', authenticateAdmin, async (req, res) => {
+    try {
+        const questions = await questionQuality.getReviewQueue();
+        res.json({ success: true, questions });
+    } catch (error) {
+        logger.error('Error fetching question review queue:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// POST /admin/api/questions/:id/review  { action: 'keep' | 'fixed' | 'retire' | 'revert' }
+router.post('/api/questions/:id/review', authenticateAdmin, async (req, res) => {
+    try {
+        const questionId = parseInt(req.params.id);
+        const action = (req.body || {}).action;
+        const result = await questionQuality.review(questionId, action, req.adminSession.username);
+        if (!result.ok) return res.status(result.status || 400).json({ success: false, error: result.error });
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id, 'review_question',
+            { question_id: questionId, action },
+            getIpAddress(req), req.headers['user-agent']
+        );
+
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error reviewing question:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Run the recalibration job now instead of waiting for the schedule.
+router.post('/api/questions/recalibrate', authenticateAdmin, async (req, res) => {
+    try {
+        const summary = await questionQuality.recalibrate();
+        if (!summary) return res.status(500).json({ success: false, error: 'Recalibration failed — see server logs' });
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id, 'recalibrate_questions', summary,
+            getIpAddress(req), req.headers['user-agent']
+        );
+
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        logger.error('Error recalibrating questions:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ============================================
 // END OF QUESTION MANAGEMENT ROUTES
 // ============================================
@@ -7609,11 +8769,19 @@ const authenticateAdminOrQuery = async (req, res, next) => {
     }
     
     try {
-        const session = await adminAuthService.validateSession(token);
-        if (!session) {
+        // validateSession always returns an object — test .valid, not truthiness
+        const validation = await adminAuthService.validateSession(token);
+        if (!validation.valid) {
             return res.status(401).json({ error: 'Invalid or expired session' });
         }
-        req.adminSession = session;
+        if (validation.session.role_name === 'sponsor') {
+            return res.status(403).json({ error: 'Forbidden - sponsor accounts use the sponsor portal' });
+        }
+        const denied = accessDenied(req, validation.session);
+        if (denied) {
+            return res.status(403).json(denied);
+        }
+        req.adminSession = validation.session;
         next();
     } catch (error) {
         return res.status(401).json({ error: 'Authentication failed' });
@@ -7993,7 +9161,7 @@ router.get('/messaging', (req, res) => {
 });
 
 // Search users for direct messaging
-router.get('/api/messaging/search-users', async (req, res) => {
+router.get('/api/messaging/search-users', authenticateAdmin, async (req, res) => {
   try {
     const { q } = req.query;
     if (!q || q.length < 2) return res.json({ users: [] });
@@ -8010,7 +9178,7 @@ router.get('/api/messaging/search-users', async (req, res) => {
 });
 
 // Send direct message to a user
-router.post('/api/messaging/send-direct', async (req, res) => {
+router.post('/api/messaging/send-direct', authenticateAdmin, async (req, res) => {
   try {
     const { phone, message, subject, kind, sentBy } = req.body;
     if (!phone || !message) return res.status(400).json({ error: 'Recipient and message required' });
@@ -8048,7 +9216,7 @@ router.post('/api/messaging/send-direct', async (req, res) => {
 });
 
 // Broadcast message to all users or filtered set
-router.post('/api/messaging/broadcast', async (req, res) => {
+router.post('/api/messaging/broadcast', authenticateAdmin, async (req, res) => {
   try {
     const { message, filter, sentBy } = req.body;
     if (!message) return res.status(400).json({ error: 'Message required' });
@@ -8099,7 +9267,7 @@ router.post('/api/messaging/broadcast', async (req, res) => {
 });
 
 // Get message history
-router.get('/api/messaging/history', async (req, res) => {
+router.get('/api/messaging/history', authenticateAdmin, async (req, res) => {
   try {
     const { page = 1, limit = 50, type } = req.query;
     const offset = (page - 1) * limit;
@@ -8119,14 +9287,14 @@ router.get('/api/messaging/history', async (req, res) => {
 });
 
 // Templates CRUD
-router.get('/api/messaging/templates', async (req, res) => {
+router.get('/api/messaging/templates', authenticateAdmin, async (req, res) => {
   try {
     const result = await pool.query('SELECT * FROM admin_message_templates ORDER BY category, name');
     res.json({ templates: result.rows });
   } catch (error) { res.status(500).json({ error: error.message }); }
 });
 
-router.post('/api/messaging/templates', async (req, res) => {
+router.post('/api/messaging/templates', authenticateAdmin, async (req, res) => {
   try {
     const { name, content, category, variables, createdBy } = req.body;
     const result = await pool.query(`
@@ -8137,7 +9305,7 @@ router.post('/api/messaging/templates', async (req, res) => {
   } catch (error) { res.status(500).json({ error: error.message }); }
 });
 
-router.put('/api/messaging/templates/:id', async (req, res) => {
+router.put('/api/messaging/templates/:id', authenticateAdmin, async (req, res) => {
   try {
     const { name, content, category, variables } = req.body;
     const result = await pool.query(`
@@ -8148,7 +9316,7 @@ router.put('/api/messaging/templates/:id', async (req, res) => {
   } catch (error) { res.status(500).json({ error: error.message }); }
 });
 
-router.delete('/api/messaging/templates/:id', async (req, res) => {
+router.delete('/api/messaging/templates/:id', authenticateAdmin, async (req, res) => {
   try {
     await pool.query('DELETE FROM admin_message_templates WHERE id = $1', [req.params.id]);
     res.json({ success: true });
@@ -8156,7 +9324,7 @@ router.delete('/api/messaging/templates/:id', async (req, res) => {
 });
 
 // Schedule a message
-router.post('/api/messaging/schedule', async (req, res) => {
+router.post('/api/messaging/schedule', authenticateAdmin, async (req, res) => {
   try {
     const { messageType, recipientPhone, content, scheduledFor, filterCriteria, createdBy } = req.body;
     const result = await pool.query(`
@@ -8167,14 +9335,14 @@ router.post('/api/messaging/schedule', async (req, res) => {
   } catch (error) { res.status(500).json({ error: error.message }); }
 });
 
-router.get('/api/messaging/scheduled', async (req, res) => {
+router.get('/api/messaging/scheduled', authenticateAdmin, async (req, res) => {
   try {
     const result = await pool.query('SELECT * FROM admin_scheduled_messages ORDER BY scheduled_for ASC');
     res.json({ scheduled: result.rows });
   } catch (error) { res.status(500).json({ error: error.message }); }
 });
 
-router.delete('/api/messaging/scheduled/:id', async (req, res) => {
+router.delete('/api/messaging/scheduled/:id', authenticateAdmin, async (req, res) => {
   try {
     await pool.query("UPDATE admin_scheduled_messages SET status = 'cancelled' WHERE id = $1 AND status = 'pending'", [req.params.id]);
     res.json({ success: true });
@@ -8182,7 +9350,7 @@ router.delete('/api/messaging/scheduled/:id', async (req, res) => {
 });
 
 // Messaging stats
-router.get('/api/messaging/stats', async (req, res) => {
+router.get('/api/messaging/stats', authenticateAdmin, async (req, res) => {
   try {
     const [totalSent, todaySent, broadcasts, scheduled] = await Promise.all([
       pool.query("SELECT COUNT(*) FROM admin_message_log"),
@@ -8261,43 +9429,13 @@ console.log('📨 Scheduled message executor started (checks every 60s)');
 
 // ============================================
 // FRAUD WATCHLIST ENDPOINTS
-// Protected by secondary password
+// Every route needs a step-up (see STEP_UP_ROUTES)
 // ============================================
 
 const watchlistService = require('../services/watchlist.service');
 
-// Middleware: secondary password verification for watchlist access
-const authenticateWatchlist = async (req, res, next) => {
-    const watchlistPassword = req.headers['x-watchlist-password'] || req.body?.watchlist_password;
-    const expectedPassword = process.env.WATCHLIST_PASSWORD;
-    
-    if (!expectedPassword) {
-        return res.status(503).json({ error: 'Watchlist password not configured on server' });
-    }
-    
-    if (!watchlistPassword || watchlistPassword !== expectedPassword) {
-        return res.status(403).json({ error: 'Invalid watchlist password' });
-    }
-    
-    next();
-};
-
-// Verify watchlist password
-router.post('/api/watchlist/verify-password', authenticateAdmin, async (req, res) => {
-    const { password } = req.body;
-    const expected = process.env.WATCHLIST_PASSWORD;
-    
-    if (!expected) return res.status(503).json({ error: 'Watchlist password not configured' });
-    
-    if (password === expected) {
-        res.json({ success: true });
-    } else {
-        res.status(403).json({ error: 'Invalid password' });
-    }
-});
-
 // Get full watchlist
-router.get('/api/watchlist', authenticateAdmin, authenticateWatchlist, async (req, res) => {
+router.get('/api/watchlist', authenticateAdmin, async (req, res) => {
     try {
         const watchlist = await watchlistService.getFullWatchlist();
         res.json({ success: true, watchlist });
@@ -8308,7 +9446,7 @@ router.get('/api/watchlist', authenticateAdmin, authenticateWatchlist, async (re
 });
 
 // Add user to watchlist
-router.post('/api/watchlist/add', authenticateAdmin, authenticateWatchlist, async (req, res) => {
+router.post('/api/watchlist/add', authenticateAdmin, async (req, res) => {
     try {
         const { user_id, measures, reason } = req.body;
         const adminId = req.adminId || null;
@@ -8337,7 +9475,7 @@ router.post('/api/watchlist/add', authenticateAdmin, authenticateWatchlist, asyn
 });
 
 // Update watchlist measures
-router.put('/api/watchlist/:userId', authenticateAdmin, authenticateWatchlist, async (req, res) => {
+router.put('/api/watchlist/:userId', authenticateAdmin, async (req, res) => {
     try {
         const userId = parseInt(req.params.userId);
         const { measures } = req.body;
@@ -8357,7 +9495,7 @@ router.put('/api/watchlist/:userId', authenticateAdmin, authenticateWatchlist, a
 });
 
 // Remove user from watchlist
-router.delete('/api/watchlist/:userId', authenticateAdmin, authenticateWatchlist, async (req, res) => {
+router.delete('/api/watchlist/:userId', authenticateAdmin, async (req, res) => {
     try {
         const userId = parseInt(req.params.userId);
         const adminId = req.adminId || null;
@@ -8382,7 +9520,7 @@ router.delete('/api/watchlist/:userId', authenticateAdmin, authenticateWatchlist
 });
 
 // Search users to add to watchlist
-router.get('/api/watchlist/search-users', authenticateAdmin, authenticateWatchlist, async (req, res) => {
+router.get('/api/watchlist/search-users', authenticateAdmin, async (req, res) => {
     try {
         const q = req.query.q || '';
         if (q.length < 2) return res.json({ success: true, users: [] });
@@ -8476,7 +9614,7 @@ router.get('/api/promo-codes', authenticateAdmin, async (req, res) => {
 
 router.post('/api/promo-codes', authenticateAdmin, async (req, res) => {
     try {
-        const { code, description, tournament_id, max_redemptions, max_per_user, expires_at } = req.body;
+        const { code, description, tournament_id, max_redemptions, max_per_user, expires_at, reward_type, reward_value } = req.body;
         const adminId = req.adminId || null;
         
         if (!code) return res.status(400).json({ error: 'Code is required' });
@@ -8488,7 +9626,9 @@ router.post('/api/promo-codes', authenticateAdmin, async (req, res) => {
             max_redemptions: max_redemptions ? parseInt(max_redemptions) : null,
             max_per_user: max_per_user ? parseInt(max_per_user) : 1,
             expires_at: expires_at || null,
-            admin_id: adminId
+            admin_id: adminId,
+            reward_type: reward_type || 'tournament_entry',
+            reward_value: reward_value || null
         });
         
         await pool.query(`
@@ -8498,42 +9638,141 @@ router.post('/api/promo-codes', authenticateAdmin, async (req, res) => {
         
         res.json({ success: true, code: created });
     } catch (error) {
-        logger.error('Error creating promo code:', error);
+        logger.error('Error creating promo code:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+router.post('/api/promo-codes/:id/toggle', authenticateAdmin, async (req, res) => {
+    try {
+        const codeId = parseInt(req.params.id);
+        const { is_active } = req.body;
+        await promoCodeService.toggleCode(codeId, !!is_active);
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error toggling promo code:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.delete('/api/promo-codes/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const codeId = parseInt(req.params.id);
+        await promoCodeService.deleteCode(codeId);
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error deleting promo code:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+router.get('/api/promo-codes/:id/redemptions', authenticateAdmin, async (req, res) => {
+    try {
+        const codeId = parseInt(req.params.id);
+        const redemptions = await promoCodeService.getRedemptions(codeId);
+        res.json({ success: true, redemptions });
+    } catch (error) {
+        logger.error('Error getting redemptions:', error);
+        res.status(500).json({ error: 'Failed to get redemptions' });
+    }
+});
+
+// Campaigns: bulk single-use codes for print and influencer distribution
+router.get('/api/promo-campaigns', authenticateAdmin, async (req, res) => {
+    try {
+        const campaigns = await promoCodeService.listCampaigns();
+        res.json({
+            success: true,
+            campaigns: campaigns.map(c => ({ ...c, reward: promoCodeService.describeReward(c) }))
+        });
+    } catch (error) {
+        logger.error('Error listing promo campaigns:', error);
+        res.status(500).json({ error: 'Failed to list campaigns' });
+    }
+});
+
+router.post('/api/promo-campaigns', authenticateAdmin, async (req, res) => {
+    try {
+        const { name, description, reward_type, reward_value, tournament_id, code_prefix, count, expires_at } = req.body;
+        const campaign = await promoCodeService.createCampaign({
+            name,
+            description,
+            reward_type,
+            reward_value,
+            tournament_id: tournament_id ? parseInt(tournament_id) : null,
+            code_prefix,
+            count,
+            expires_at: expires_at || null,
+            admin_id: req.adminSession.admin_id
+        });
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'promo_campaign_create',
+            { campaign_id: campaign.id, name: campaign.name, reward_type: campaign.reward_type, codes: campaign.code_count },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+
+        res.json({ success: true, campaign });
+    } catch (error) {
+        logger.error('Error creating promo campaign:', error);
         res.status(400).json({ error: error.message });
     }
 });
 
-router.post('/api/promo-codes/:id/toggle', authenticateAdmin, async (req, res) => {
+router.post('/api/promo-campaigns/:id/toggle', authenticateAdmin, async (req, res) => {
     try {
-        const codeId = parseInt(req.params.id);
-        const { is_active } = req.body;
-        await promoCodeService.toggleCode(codeId, !!is_active);
+        const campaignId = parseInt(req.params.id);
+        const isActive = !!req.body.is_active;
+        await promoCodeService.setCampaignActive(campaignId, isActive);
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            isActive ? 'promo_campaign_activate' : 'promo_campaign_deactivate',
+            { campaign_id: campaignId },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+
         res.json({ success: true });
     } catch (error) {
-        logger.error('Error toggling promo code:', error);
-        res.status(500).json({ error: error.message });
+        logger.error('Error toggling promo campaign:', error);
+        res.status(400).json({ error: error.message });
     }
 });
 
-router.delete('/api/promo-codes/:id', authenticateAdmin, async (req, res) => {
+router.get('/api/promo-campaigns/:id/codes.csv', authenticateAdmin, async (req, res) => {
     try {
-        const codeId = parseInt(req.params.id);
-        await promoCodeService.deleteCode(codeId);
-        res.json({ success: true });
+        const exported = await promoCodeService.exportCampaignCsv(parseInt(req.params.id));
+        if (!exported) return res.status(404).json({ error: 'Campaign not found' });
+
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'promo_campaign_export',
+            { campaign_id: exported.campaign.id },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+
+        const slug = exported.campaign.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'campaign';
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename=promo-codes-${slug}.csv`);
+        res.send(exported.csv);
     } catch (error) {
-        logger.error('Error deleting promo code:', error);
-        res.status(400).json({ error: error.message });
+        logger.error('Error exporting promo campaign:', error);
+        res.status(500).json({ error: 'Failed to export codes' });
     }
 });
 
-router.get('/api/promo-codes/:id/redemptions', authenticateAdmin, async (req, res) => {
+router.get('/api/promo-campaigns/:id/analytics', authenticateAdmin, async (req, res) => {
     try {
-        const codeId = parseInt(req.params.id);
-        const redemptions = await promoCodeService.getRedemptions(codeId);
-        res.json({ success: true, redemptions });
+        const analytics = await promoCodeService.getCampaignAnalytics(parseInt(req.params.id));
+        if (!analytics) return res.status(404).json({ error: 'Campaign not found' });
+        res.json({ success: true, ...analytics });
     } catch (error) {
-        logger.error('Error getting redemptions:', error);
-        res.status(500).json({ error: 'Failed to get redemptions' });
+        logger.error('Error loading promo campaign analytics:', error);
+        res.status(500).json({ error: 'Failed to load analytics' });
     }
 });
 
@@ -8867,6 +10106,189 @@ router.delete('/api/toggles/:key', authenticateAdmin, async (req, res) => {
 });
 
 
+// ============================================
+// GAME FORMATS (prize ladder + checkpoints + timers)
+// A game copies its format when it starts, so edits here only reach
+// games started afterwards — never one already in progress.
+// ============================================
+const gameFormats = require('../services/game-format.service');
+
+router.get('/api/game-formats', authenticateAdmin, async (req, res) => {
+  try {
+    const formats = await gameFormats.list();
+    res.json({ success: true, formats, standard: gameFormats.STANDARD_FORMAT });
+  } catch (error) {
+    logger.error(`Error loading game formats: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to load game formats' });
+  }
+});
+
+// POST /admin/api/game-formats  { name, slug?, description?, prize_ladder[], safe_checkpoints[], rung_timers[] | n }
+router.post('/api/game-formats', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await gameFormats.create(req.body || {}, req.adminSession.username);
+    if (!result.ok) return res.status(400).json({ success: false, error: result.error });
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id,
+      'game_format_created',
+      { id: result.format.id, slug: result.format.slug, rungs: result.format.prize_ladder.length },
+      getIpAddress(req),
+      req.headers['user-agent']
+    );
+    res.json({ success: true, format: result.format });
+  } catch (error) {
+    logger.error(`Error creating game format: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to create game format' });
+  }
+});
+
+router.put('/api/game-formats/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await gameFormats.update(parseInt(req.params.id), req.body || {}, req.adminSession.username);
+    if (!result.ok) return res.status(result.status || 400).json({ success: false, error: result.error });
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id,
+      'game_format_updated',
+      { id: result.format.id, slug: result.format.slug, prize_ladder: result.format.prize_ladder,
+        safe_checkpoints: result.format.safe_checkpoints, is_active: result.format.is_active },
+      getIpAddress(req),
+      req.headers['user-agent']
+    );
+    res.json({ success: true, format: result.format });
+  } catch (error) {
+    logger.error(`Error updating game format: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to update game format' });
+  }
+});
+
+router.post('/api/game-formats/:id/default', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await gameFormats.setDefault(parseInt(req.params.id), req.adminSession.username);
+    if (!result.ok) return res.status(400).json({ success: false, error: result.error });
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id,
+      'game_format_default_set',
+      { id: parseInt(req.params.id) },
+      getIpAddress(req),
+      req.headers['user-agent']
+    );
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error setting default game format: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to set default format' });
+  }
+});
+
+router.delete('/api/game-formats/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await gameFormats.remove(parseInt(req.params.id), req.adminSession.username);
+    if (!result.ok) return res.status(result.status || 400).json({ success: false, error: result.error });
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id,
+      'game_format_deleted',
+      { id: parseInt(req.params.id) },
+      getIpAddress(req),
+      req.headers['user-agent']
+    );
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error deleting game format: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to delete game format' });
+  }
+});
+
+// ============================================
+// LIVE SHOWS
+// Scheduling only creates the show; it goes live on its own at the
+// scheduled time (server.js polls). Start skips the wait.
+// ============================================
+const liveShowService = require('../services/live-show.service');
+
+router.get('/api/live-shows', authenticateAdmin, async (req, res) => {
+  try {
+    const shows = await liveShowService.list();
+    res.json({ success: true, shows });
+  } catch (error) {
+    logger.error(`Error loading live shows: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to load live shows' });
+  }
+});
+
+// POST /admin/api/live-shows  { title, scheduled_at, question_count, answer_window_seconds, pot }
+router.post('/api/live-shows', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await liveShowService.create(req.body || {}, req.adminSession.username);
+    if (!result.ok) return res.status(400).json({ success: false, error: result.error });
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id,
+      'live_show_created',
+      { id: result.show.id, title: result.show.title, scheduled_at: result.show.scheduled_at,
+        questions: result.show.question_count, pot: result.show.pot },
+      getIpAddress(req),
+      req.headers['user-agent']
+    );
+    res.json({ success: true, show: result.show });
+  } catch (error) {
+    logger.error(`Error creating live show: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to create live show' });
+  }
+});
+
+// The monitor polls this every couple of seconds while a show is running.
+router.get('/api/live-shows/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const state = await liveShowService.monitor(parseInt(req.params.id));
+    if (!state) return res.status(404).json({ success: false, error: 'Show not found' });
+    res.json({ success: true, ...state });
+  } catch (error) {
+    logger.error(`Error loading live show: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to load live show' });
+  }
+});
+
+router.post('/api/live-shows/:id/start', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await liveShowService.startNow(parseInt(req.params.id));
+    if (!result.ok) return res.status(result.status || 400).json({ success: false, error: result.error });
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id,
+      'live_show_started',
+      { id: parseInt(req.params.id) },
+      getIpAddress(req),
+      req.headers['user-agent']
+    );
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error starting live show: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to start live show' });
+  }
+});
+
+router.post('/api/live-shows/:id/cancel', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await liveShowService.cancel(parseInt(req.params.id));
+    if (!result.ok) return res.status(result.status || 400).json({ success: false, error: result.error });
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id,
+      'live_show_cancelled',
+      { id: parseInt(req.params.id) },
+      getIpAddress(req),
+      req.headers['user-agent']
+    );
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error cancelling live show: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to cancel live show' });
+  }
+});
+
 // ============================================
 // PAYOUT FORFEITURE (72-hour rule)
 // Distinct from the existing /cancel endpoints: a forfeit is the
@@ -8902,66 +10324,296 @@ router.get('/api/payouts/forfeitable', authenticateAdmin, async (req, res) => {
 router.post('/api/payouts/:id/forfeit', authenticateAdmin, async (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    const result = await pool.query(`
-      UPDATE transactions
-      SET payout_status = 'cancelled',
-          notes = COALESCE(notes, '') || $2
-      WHERE id = $1
-        AND transaction_type IN ('prize','tournament_prize')
-        AND payout_status = 'pending'
-        AND claimed_at IS NULL
-        AND created_at < NOW() - INTERVAL '72 hours'
-      RETURNING id, user_id, amount
-    `, [id, '\n[Forfeited: unclaimed after 72 hours, at ' + new Date().toISOString() + ']']);
-
-    if (!result.rows.length) {
-      return res.status(409).json({
-        success: false,
-        error: 'Not forfeitable — it may have been claimed in time, already settled, or is still inside the 72-hour window.'
-      });
-    }
+    const outcome = await payoutApprovals.submit('forfeit', {
+      transactionIds: [id], reason: req.body && req.body.reason
+    }, approvalActor(req));
 
+    if (!outcome.ok) return sendApprovalError(res, outcome);
+    if (outcome.pending) return sendPendingApproval(req, res, outcome.approval);
+
+    const transaction = outcome.result.rows[0];
     await adminAuthService.logActivity(
       req.adminSession.admin_id, 'payout_forfeited',
-      { transaction_id: id, amount: result.rows[0].amount, rule: '72h_unclaimed' },
+      { transaction_id: id, amount: transaction.amount, rule: '72h_unclaimed' },
       getIpAddress(req), req.headers['user-agent']
     );
     logger.info(`Payout ${id} forfeited (unclaimed >72h) by ${req.adminSession.username}`);
-    res.json({ success: true, transaction: result.rows[0] });
+    res.json({ success: true, transaction });
   } catch (error) {
     logger.error(`Error forfeiting payout: ${error.message}`);
     res.status(500).json({ success: false, error: 'Failed to forfeit payout' });
   }
 });
 
-// Forfeit every reward currently past the window. The WHERE clause is the
-// safety: ids are not accepted from the client, so the set can only ever be
-// what actually breached the rule at the moment the query runs.
+// Forfeit every reward currently past the window. The eligibility clause is
+// the safety: ids are not accepted from the client, so the set can only ever
+// be what actually breached the rule — checked again if it waits for a
+// second admin.
 router.post('/api/payouts/forfeit-expired', authenticateAdmin, async (req, res) => {
   try {
-    const result = await pool.query(`
-      UPDATE transactions
-      SET payout_status = 'cancelled',
-          notes = COALESCE(notes, '') || $1
-      WHERE transaction_type IN ('prize','tournament_prize')
-        AND payout_status = 'pending'
-        AND claimed_at IS NULL
-        AND created_at < NOW() - INTERVAL '72 hours'
-      RETURNING id, user_id, amount
-    `, ['\n[Forfeited: unclaimed after 72 hours, at ' + new Date().toISOString() + ']']);
+    const outcome = await payoutApprovals.submit('forfeit_expired', {
+      reason: req.body && req.body.reason
+    }, approvalActor(req));
 
-    const total = result.rows.reduce((a, r) => a + parseFloat(r.amount || 0), 0);
+    if (!outcome.ok) return sendApprovalError(res, outcome);
+    if (outcome.pending) return sendPendingApproval(req, res, outcome.approval);
+
+    const { count, total_amount: total } = outcome.result;
     await adminAuthService.logActivity(
       req.adminSession.admin_id, 'payouts_forfeited_bulk',
-      { count: result.rowCount, total_amount: total, rule: '72h_unclaimed' },
+      { count, total_amount: total, rule: '72h_unclaimed' },
       getIpAddress(req), req.headers['user-agent']
     );
-    logger.info(`Bulk forfeited ${result.rowCount} unclaimed payouts totalling ₦${total}`);
-    res.json({ success: true, count: result.rowCount, total_amount: total });
+    logger.info(`Bulk forfeited ${count} unclaimed payouts totalling ₦${total}`);
+    res.json({ success: true, count, total_amount: total });
   } catch (error) {
     logger.error(`Error bulk forfeiting payouts: ${error.message}`);
     res.status(500).json({ success: false, error: 'Failed to forfeit payouts' });
   }
 });
 
+
+// ============================================
+// ADMIN ACCOUNTS & ROLES (RBAC)
+// Roles are edited as a resource × action matrix. Nobody can grant a
+// permission they don't hold themselves (adminAuthService.canGrant), and
+// only super admins hand out the super admin role.
+// ============================================
+
+// The signed-in admin's current permissions — admin-nav.js hides what they can't open
+router.get('/api/me', authenticateAdmin, async (req, res) => {
+  const s = req.adminSession;
+  res.json({
+    success: true,
+    admin: {
+      id: s.admin_id, username: s.username, fullName: s.full_name, email: s.email,
+      role: s.role_name, superAdmin: adminAuthService.isSuperAdmin(s),
+      permissions: s.permissions || {}, twoFactor: !!s.totp_enabled, twoFactorRequired: adminMfa.required
+    }
+  });
+});
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION & STEP-UP
+// Enrolment is self-service: each admin sets up their own authenticator.
+// ============================================
+
+router.get('/api/2fa/status', authenticateAdmin, async (req, res) => {
+  try {
+    const status = await adminMfa.status(req.adminSession.admin_id);
+    res.json({ success: true, ...status, stepUpMinutes: adminMfa.stepUpMinutes });
+  } catch (error) {
+    logger.error(`Error loading 2FA status: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to load 2FA status' });
+  }
+});
+
+router.post('/api/2fa/setup', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await adminMfa.beginEnrolment(req.adminSession);
+    if (!result.success) return res.status(400).json(result);
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error starting 2FA setup: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to start 2FA setup' });
+  }
+});
+
+router.post('/api/2fa/confirm', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await adminMfa.confirmEnrolment(req.adminSession.admin_id, req.body.code);
+    if (!result.success) return res.status(400).json(result);
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id, '2fa_enabled', {}, getIpAddress(req), req.headers['user-agent']
+    );
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error confirming 2FA: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to turn on 2FA' });
+  }
+});
+
+router.post('/api/2fa/disable', authenticateAdmin, async (req, res) => {
+  try {
+    if (adminMfa.required) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is required for all admins' });
+    }
+    const result = await adminMfa.disable(req.adminSession.admin_id, req.body.code);
+    if (!result.success) return res.status(result.locked ? 429 : 400).json(result);
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id, '2fa_disabled', {}, getIpAddress(req), req.headers['user-agent']
+    );
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error disabling 2FA: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to turn off 2FA' });
+  }
+});
+
+// Confirm it's you: opens STEP_UP_ROUTES on this session for a few minutes
+router.post('/api/step-up', authenticateAdmin, async (req, res) => {
+  try {
+    const { code, password, action } = req.body;
+    const result = await adminMfa.stepUp(req.adminSession, { code, password });
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id,
+      result.success ? 'step_up' : 'step_up_failed',
+      { method: result.method || null, action: action ? String(action).slice(0, 200) : null },
+      getIpAddress(req),
+      req.headers['user-agent']
+    );
+    if (!result.success) return res.status(result.locked ? 429 : 401).json(result);
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error during step-up: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Confirmation failed' });
+  }
+});
+
+router.get('/api/roles', authenticateAdmin, async (req, res) => {
+  try {
+    const roles = await adminAuthService.getAllRoles();
+    res.json({ success: true, roles, resources: adminPermissions.RESOURCES });
+  } catch (error) {
+    logger.error(`Error loading roles: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to load roles' });
+  }
+});
+
+const saveRole = async (req, res, roleId) => {
+  try {
+    const requested = adminPermissions.toPermissionObject(Array.isArray(req.body.permissions) ? req.body.permissions : []);
+    if (!adminAuthService.canGrant(req.adminSession, requested)) {
+      return res.status(403).json({ success: false, error: 'You can only grant permissions you have yourself' });
+    }
+    // saveRole writes unticked permissions as false, so an editor could
+    // otherwise strip ones they don't hold from a role above them
+    const existing = roleId ? await adminAuthService.getRole(roleId) : null;
+    if (existing && !adminAuthService.canGrant(req.adminSession, existing.permissions)) {
+      return res.status(403).json({ success: false, error: 'You can only edit roles whose permissions you have yourself' });
+    }
+    const result = await adminAuthService.saveRole(roleId, req.body || {}, req.adminSession.admin_id);
+    if (!result.success) return res.status(400).json(result);
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id,
+      roleId ? 'role_update' : 'role_create',
+      { role_id: result.role.id, role_name: result.role.role_name, permissions: req.body.permissions || [] },
+      getIpAddress(req),
+      req.headers['user-agent']
+    );
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error saving role: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to save role' });
+  }
+};
+
+router.post('/api/roles', authenticateAdmin, (req, res) => saveRole(req, res, null));
+router.put('/api/roles/:id', authenticateAdmin, (req, res) => saveRole(req, res, parseInt(req.params.id)));
+
+router.get('/api/admins', authenticateAdmin, async (req, res) => {
+  try {
+    const admins = await adminAuthService.getAllAdmins();
+    res.json({ success: true, admins: admins.filter(a => a.role_name !== 'sponsor') });
+  } catch (error) {
+    logger.error(`Error loading admins: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to load admins' });
+  }
+});
+
+// Refuses roles the caller couldn't have built themselves. Returns an error string or null.
+const roleAssignmentError = async (session, roleId) => {
+  const role = await adminAuthService.getRole(roleId);
+  if (!role) return 'Role not found';
+  if (role.role_name === 'sponsor') return 'Sponsor logins are created from the sponsor page';
+  const superRole = adminAuthService.isSuperAdmin({ role_name: role.role_name });
+  if (superRole ? !adminAuthService.isSuperAdmin(session) : !adminAuthService.canGrant(session, role.permissions)) {
+    return 'You can only assign roles with permissions you have yourself';
+  }
+  return null;
+};
+
+// Same rule for the admin being changed: nobody demotes or disables an
+// account whose role they couldn't have handed out.
+const targetAdminError = async (session, adminId) => {
+  const role = await adminAuthService.getAdminRole(adminId);
+  if (!role) return null; // updateAdmin reports the missing admin
+  const superRole = adminAuthService.isSuperAdmin({ role_name: role.role_name });
+  if (superRole ? !adminAuthService.isSuperAdmin(session) : !adminAuthService.canGrant(session, role.permissions)) {
+    return 'You can only change admins whose permissions you have yourself';
+  }
+  return null;
+};
+
+router.post('/api/admins', authenticateAdmin, async (req, res) => {
+  try {
+    const { username, fullName, email, password, roleId } = req.body || {};
+    if (!username || !fullName || !email || !password || !roleId) {
+      return res.status(400).json({ success: false, error: 'Username, name, email, password and role are required' });
+    }
+    if (String(password).length < 10) {
+      return res.status(400).json({ success: false, error: 'Password must be at least 10 characters' });
+    }
+    const roleError = await roleAssignmentError(req.adminSession, roleId);
+    if (roleError) return res.status(403).json({ success: false, error: roleError });
+
+    const result = await adminAuthService.createAdmin(
+      String(username).trim(), String(fullName).trim(), String(email).trim(), password, roleId, req.adminSession.admin_id
+    );
+    if (!result.success) return res.status(400).json(result);
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id, 'admin_create',
+      { target_admin_id: result.admin.id, username: result.admin.username, role_id: roleId },
+      getIpAddress(req), req.headers['user-agent']
+    );
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error creating admin: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to create admin' });
+  }
+});
+
+// PUT /admin/api/admins/:id  { roleId?, isActive? }
+router.put('/api/admins/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const { roleId, isActive } = req.body || {};
+    const targetError = await targetAdminError(req.adminSession, req.params.id);
+    if (targetError) return res.status(403).json({ success: false, error: targetError });
+    if (roleId !== undefined) {
+      const roleError = await roleAssignmentError(req.adminSession, roleId);
+      if (roleError) return res.status(403).json({ success: false, error: roleError });
+    }
+    const result = await adminAuthService.updateAdmin(req.params.id, { roleId, isActive }, req.adminSession.admin_id);
+    if (!result.success) return res.status(400).json(result);
+
+    await adminAuthService.logActivity(
+      req.adminSession.admin_id, 'admin_update',
+      { target_admin_id: parseInt(req.params.id), role_id: roleId, is_active: isActive },
+      getIpAddress(req), req.headers['user-agent']
+    );
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error updating admin: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to update admin' });
+  }
+});
+
+// Every authenticated route should have a permission in admin-permissions.js.
+// Anything missing is super-admin-only until it's added; say so at startup.
+const AUTH_MIDDLEWARE = [authenticateAdmin, authenticateAdminWithQuery, authenticateAdminOrQuery];
+const unmapped = router.stack
+  .filter(layer => layer.route && layer.route.stack.some(s => AUTH_MIDDLEWARE.includes(s.handle)))
+  .flatMap(layer => Object.keys(layer.route.methods)
+    .map(method => [method.toUpperCase(), layer.route.path])
+    .filter(([method, routePath]) => adminPermissions.forRoute(method, routePath) === undefined)
+    .map(([method, routePath]) => `${method} ${routePath}`));
+if (unmapped.length) {
+  logger.warn(`⚠️ ${unmapped.length} admin route(s) have no RBAC permission and are super-admin-only: ${unmapped.join(', ')}`);
+}
+
 module.exports = router;
@@ -9,6 +9,8 @@ const PaymentService = require('../services/payment.service');
 const TournamentService = require('../services/tournament.service');
 const MessagingService = require('../services/messaging.service');
 const gatewayManager = require('../services/payment-gateway-manager');
+const disbursementService = require('../services/disbursement.service');
+const languageService = require('../services/language.service');
 const pool = require('../config/database');
 const redis = require('../config/redis');
 const { logger } = require('../utils/logger');
@@ -45,13 +47,23 @@ async function processWebhookEvent(reference, metadata, gatewayName) {
 
             const web = isWeb(user.phone_number);
 
-            const body =
-                `✅ PAYMENT SUCCESSFUL! ✅\n\n` +
-                `${verification.games} games have been credited to your account!\n\n` +
-                `Amount: ₦${verification.amount.toLocaleString()}\n` +
-                `Games Remaining: ${user.games_remaining}\n\n` +
-                (web ? `Head back to the game and pick Play Classic. 🎮`
-                     : `Type PLAY to start a game! 🎮`);
+            const t = languageService.forUser(user);
+            let body;
+            if (verification.purchaseType === 'streak_restore') {
+                const restore = verification.streakRestore;
+                body = restore && restore.restored
+                    ? t.streak_restored(restore.currentStreak, verification.amount, web)
+                    : t.streak_restore_too_late(verification.amount);
+            } else {
+                body =
+                    `✅ PAYMENT SUCCESSFUL! ✅\n\n` +
+                    `${verification.games} games have been credited to your account!\n\n` +
+                    (verification.streakFreezes > 0 ? `${t.payment_freezes_added(verification.streakFreezes)}\n\n` : '') +
+                    `Amount: ₦${verification.amount.toLocaleString()}\n` +
+                    `Games Remaining: ${user.games_remaining}\n\n` +
+                    (web ? `Head back to the game and pick Play Classic. 🎮`
+                         : `Type PLAY to start a game! 🎮`);
+            }
 
             if (web) {
                 // Two channels on purpose. The SSE nudge only lands if the tab
@@ -62,7 +74,9 @@ async function processWebhookEvent(reference, metadata, gatewayName) {
                 const contactService = require('../services/contact.service');
                 await contactService.send(user, {
                     text: body,
-                    subject: `Your ${verification.games} game credits are ready`,
+                    subject: verification.purchaseType === 'streak_restore'
+                        ? t.streak_restore_subject
+                        : `Your ${verification.games} game credits are ready`,
                     kind: 'transactional'
                 });
             } else {
@@ -91,6 +105,11 @@ router.post('/webhook', async (req, res) => {
             return res.status(400).send('Invalid signature');
         }
         
+        // Payout transfer outcomes arrive on the same endpoint
+        if (await disbursementService.handleWebhook('paystack', req.body)) {
+            return res.status(200).send('Webhook received');
+        }
+        
         const event = req.body;
         
         if (event.event === 'charge.success') {
@@ -121,6 +140,10 @@ router.post('/korapay-webhook', async (req, res) => {
             return res.status(400).send('Invalid signature');
         }
         
+        if (await disbursementService.handleWebhook('korapay', req.body)) {
+            return res.status(200).send('Webhook received');
+        }
+        
         const event = req.body;
         
         if (event.event === 'charge.success' && event.data?.status === 'success') {
@@ -154,6 +177,10 @@ router.post('/monnify-webhook', express.json({
             return res.status(400).send('Invalid signature');
         }
         
+        if (await disbursementService.handleWebhook('monnify', req.body)) {
+            return res.status(200).send('Webhook received');
+        }
+        
         const event = req.body;
         const status = event?.eventData?.paymentStatus;
         
@@ -186,6 +213,10 @@ router.post('/flutterwave-webhook', async (req, res) => {
             return res.status(400).send('Invalid signature');
         }
         
+        if (await disbursementService.handleWebhook('flutterwave', req.body)) {
+            return res.status(200).send('Webhook received');
+        }
+        
         const event = req.body;
         const status = event?.data?.status;
         
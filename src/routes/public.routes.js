@@ -440,6 +440,88 @@ router.get('/tournaments/active', async (req, res) => {
     }
 });
 
+// ============================================
+// GET SERIES SEASON STANDINGS
+// Points across every round of a recurring tournament. ?season= picks an
+// earlier season; the current one by default. Usernames only.
+// ============================================
+const tournamentSeries = require('../services/tournament-series.service');
+
+router.get('/series/:id/standings', async (req, res) => {
+    try {
+        const seriesId = parseInt(req.params.id);
+        if (isNaN(seriesId)) {
+            return res.status(400).json({ success: false, error: 'Invalid series ID' });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+        const data = await tournamentSeries.getStandings(seriesId, req.query.season, limit);
+        if (!data) {
+            return res.status(404).json({ success: false, error: 'Series not found' });
+        }
+
+        res.json({
+            success: true,
+            series: data.series,
+            season: data.season,
+            rounds: data.rounds.map(r => ({ id: r.id, round: r.series_round, status: r.status, start_date: r.start_date, end_date: r.end_date })),
+            standings: data.standings.map(s => ({
+                position: s.position,
+                username: s.username,
+                city: s.city,
+                points: s.points,
+                rounds_played: s.rounds_played,
+                wins: s.wins,
+                best_rank: s.best_rank
+            })),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error fetching series standings:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch standings' });
+    }
+});
+
+// ============================================
+// GET TEAM TOURNAMENT STANDINGS
+// Team leaderboard of a team tournament ("LGA vs LGA"), for sponsor
+// pages. Team names and totals only — no player details.
+// ============================================
+const tournamentTeams = require('../services/tournament-team.service');
+
+router.get('/tournaments/:id/teams', async (req, res) => {
+    try {
+        const tournamentId = parseInt(req.params.id);
+        if (isNaN(tournamentId)) {
+            return res.status(400).json({ success: false, error: 'Invalid tournament ID' });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+        const data = await tournamentTeams.getStandings(tournamentId, limit);
+        if (!data) {
+            return res.status(404).json({ success: false, error: 'Team tournament not found' });
+        }
+
+        res.json({
+            success: true,
+            tournament: {
+                id: data.tournament.id, name: data.tournament.name, status: data.tournament.status,
+                team_mode: data.tournament.teamMode, counted_players: data.tournament.countedPlayers
+            },
+            standings: data.standings.map(t => ({
+                position: t.position,
+                team: t.teamName,
+                players: t.players,
+                score: t.score
+            })),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error fetching team standings:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch team standings' });
+    }
+});
+
 
 // ============================================
 // REVIEWS — public surface (API-SPEC.md §1)
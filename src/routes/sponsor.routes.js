@@ -0,0 +1,142 @@
+// ============================================
+// FILE: src/routes/sponsor.routes.js
+// Sponsor portal. A sponsor signs in with the login an admin made for them
+// and sees only their own tournaments: players, branded card and message
+// deliveries, and a downloadable PDF report.
+// Mount:  app.use('/sponsor', require('./routes/sponsor.routes'));
+//
+// Sessions are ordinary admin sessions for accounts with the 'sponsor'
+// role. They are refused everywhere under /admin, and every query here is
+// scoped to the sponsor the account belongs to.
+// ============================================
+
+const express = require('express');
+const router = express.Router();
+const AdminAuthService = require('../services/admin-auth.service');
+const sponsorService = require('../services/sponsor.service');
+const { logger } = require('../utils/logger');
+
+const adminAuthService = new AdminAuthService();
+
+const getIpAddress = (req) => {
+    return req.headers['x-forwarded-for']?.split(',')[0] ||
+           req.connection.remoteAddress ||
+           req.socket.remoteAddress;
+};
+
+const authenticateSponsor = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return res.status(401).json({ error: 'Unauthorized - No token provided' });
+    }
+
+    const validation = await adminAuthService.validateSession(token);
+    if (!validation.valid) {
+        return res.status(401).json({ error: 'Unauthorized - ' + validation.reason });
+    }
+    if (validation.session.role_name !== 'sponsor') {
+        return res.status(403).json({ error: 'Forbidden - not a sponsor account' });
+    }
+
+    try {
+        const sponsor = await sponsorService.sponsorForAdmin(validation.session.admin_id);
+        if (!sponsor) {
+            return res.status(403).json({ error: 'Forbidden - this sponsor account is no longer active' });
+        }
+        req.adminSession = validation.session;
+        req.sponsor = sponsor;
+        next();
+    } catch (error) {
+        logger.error('Error loading sponsor for session:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+};
+
+router.get('/', (req, res) => {
+    res.sendFile('sponsor-portal.html', { root: './src/views' });
+});
+
+router.post('/api/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        if (!username || !password) {
+            return res.status(400).json({ success: false, error: 'Please provide your username and password' });
+        }
+
+        const result = await adminAuthService.login(username, password, getIpAddress(req), req.headers['user-agent'], 'sponsor');
+        if (!result.success) return res.status(401).json({ success: false, error: result.error });
+
+        res.json({
+            success: true,
+            sessionToken: result.sessionToken,
+            expiresAt: result.expiresAt,
+            admin: { fullName: result.admin.fullName, username: result.admin.username }
+        });
+    } catch (error) {
+        logger.error('Sponsor login error:', error);
+        res.status(500).json({ success: false, error: 'Login failed' });
+    }
+});
+
+router.post('/api/logout', authenticateSponsor, async (req, res) => {
+    try {
+        await adminAuthService.logout(req.headers.authorization.split(' ')[1]);
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Sponsor logout error:', error);
+        res.status(500).json({ success: false, error: 'Logout failed' });
+    }
+});
+
+router.get('/api/me', authenticateSponsor, async (req, res) => {
+    res.json({
+        success: true,
+        sponsor: { id: req.sponsor.id, name: req.sponsor.name, logoUrl: req.sponsor.logo_url },
+        fullName: req.adminSession.full_name
+    });
+});
+
+router.get('/api/tournaments', authenticateSponsor, async (req, res) => {
+    try {
+        const tournaments = await sponsorService.listTournaments(req.sponsor.id);
+        res.json({ success: true, tournaments });
+    } catch (error) {
+        logger.error('Error listing sponsor tournaments:', error);
+        res.status(500).json({ success: false, error: 'Failed to load tournaments' });
+    }
+});
+
+router.get('/api/tournaments/:id', authenticateSponsor, async (req, res) => {
+    try {
+        const report = await sponsorService.getReport(parseInt(req.params.id), req.sponsor.id);
+        if (!report) return res.status(404).json({ success: false, error: 'Tournament not found' });
+        res.json({ success: true, report });
+    } catch (error) {
+        logger.error('Error loading sponsor report:', error);
+        res.status(500).json({ success: false, error: 'Failed to load report' });
+    }
+});
+
+router.get('/api/tournaments/:id/report.pdf', authenticateSponsor, async (req, res) => {
+    try {
+        const report = await sponsorService.getReport(parseInt(req.params.id), req.sponsor.id);
+        if (!report) return res.status(404).json({ success: false, error: 'Tournament not found' });
+
+        const filePath = await sponsorService.renderReportPdf(report);
+        await adminAuthService.logActivity(
+            req.adminSession.admin_id,
+            'download_sponsor_report',
+            { sponsor_id: req.sponsor.id, tournament_id: report.tournament.id },
+            getIpAddress(req),
+            req.headers['user-agent']
+        );
+        res.download(filePath, `sponsor-report-${report.tournament.id}.pdf`);
+    } catch (error) {
+        logger.error('Error rendering sponsor report:', error);
+        res.status(500).json({ success: false, error: 'Failed to render report' });
+    }
+});
+
+module.exports = router;
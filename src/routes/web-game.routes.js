@@ -41,6 +41,10 @@ function rememberOrigin(req, userId) {
     } catch (e) { /* never worth failing a request over */ }
 }
 const { logger } = require('../utils/logger');
+const ledgerService = require('../services/ledger.service');
+const achievementsService = require('../services/achievements.service');
+const dailyChallenge = require('../services/daily-challenge.service');
+const streakService = require('../services/streak.service');
 
 // ============================================
 // SSE STREAM
@@ -142,14 +146,15 @@ router.get('/state', requireWebAuth, async (req, res) => {
         const session = await gameService.getActiveSession(user.id);
         let question = null;
 
-        if (session) {
-            const snapshot = await gameEvents.getSnapshot(user.id);
-            if (snapshot && !snapshot.stale) question = snapshot;
-        }
-
         // Same derivation the SSE event uses, so a cold page load and a live
         // stream can never disagree about what the engine wants.
         const state = await gameState.derive(user);
+
+        // A daily challenge question is snapshotted the same way, without a session.
+        if (session || state.daily) {
+            const snapshot = await gameEvents.getSnapshot(user.id);
+            if (snapshot && !snapshot.stale) question = snapshot;
+        }
         rememberOrigin(req, user.id);
 
         // Anything about the player's money that still needs them.
@@ -220,7 +225,8 @@ router.get('/state', requireWebAuth, async (req, res) => {
                 currentScore: session.current_score,
                 lifelines: {
                     fiftyFifty: !session.lifeline_5050_used,
-                    skip: !session.lifeline_skip_used
+                    skip: !session.lifeline_skip_used,
+                    audience: !session.lifeline_audience_used
                 }
             } : null,
             question
@@ -306,6 +312,31 @@ router.post('/photo',
     }
 );
 
+// KYC document photos (VERIFY). The chat flow asks for them; on web the
+// KYC_ID_PHOTO / KYC_SELFIE states open an upload screen that posts here.
+router.post('/kyc',
+    requireWebAuth,
+    express.raw({ type: ['image/*', 'application/octet-stream'], limit: '10mb' }),
+    async (req, res) => {
+        try {
+            const buf = req.body;
+            if (!Buffer.isBuffer(buf) || buf.length === 0) {
+                return res.status(400).json({ success: false, error: 'No image received' });
+            }
+
+            // Replies, and the next step, go out over the stream as usual
+            const result = await webhookController.handleKycImage(req.webUser, buf);
+            if (!result.success) {
+                return res.status(result.notWaiting ? 409 : 400).json({ success: false, error: result.error });
+            }
+            res.json({ success: true, next: result.next || null, submitted: !!result.submitted });
+        } catch (error) {
+            logger.error('Web KYC upload error:', error);
+            res.status(500).json({ success: false, error: 'Could not process that photo' });
+        }
+    }
+);
+
 // The client calls this the moment its countdown reaches zero. The server's
 // own timer should already have ended the game — this exists because that
 // timer is in-process, and a restart during the 20-second window would
@@ -355,6 +386,49 @@ router.get('/victory-card', requireWebAuth, async (req, res) => {
     }
 });
 
+// ============================================
+// DAILY CHALLENGE CARD
+// Today's result grid drawn fresh on each request — it only changes as the
+// player's rank moves, and nothing is cached that could go stale.
+// ============================================
+
+router.get('/daily-card', requireWebAuth, async (req, res) => {
+    const fs = require('fs');
+    let imagePath = null;
+    try {
+        const date = streakService.getNigerianDate();
+        const result = await dailyChallenge.getResult(req.webUser.id, date);
+        if (!result) {
+            return res.status(404).json({ success: false, error: "Finish today's challenge to get your card" });
+        }
+
+        const ImageService = require('../services/image.service');
+        imagePath = await new ImageService().generateDailyCard({
+            username: req.webUser.username,
+            dateLabel: result.dateLabel,
+            marks: result.marks,
+            correct: result.correct,
+            total: result.marks.length,
+            score: result.score,
+            time: result.timeLabel,
+            rank: result.rank,
+            players: result.players
+        });
+        const buf = fs.readFileSync(imagePath);
+
+        res.setHeader('Content-Type', 'image/png');
+        res.setHeader('Content-Length', buf.length);
+        res.setHeader('Cache-Control', 'private, no-cache');
+        res.setHeader('Content-Disposition', 'inline; filename="whatsup-trivia-daily.png"');
+        res.end(buf);
+    } catch (error) {
+        logger.error('Web daily card error:', error);
+        res.status(500).json({ success: false, error: 'Could not load that card' });
+    } finally {
+        if (imagePath) fs.unlink(imagePath, () => {});
+    }
+});
+
 // ============================================
 // STATS
 // Web players had no way to see anything about their own play. Uses the same
@@ -447,6 +521,15 @@ router.get('/stats', requireWebAuth, async (req, res) => {
             rank = parseInt(rk.rows[0]?.rank, 10) || null;
         } catch (e) { /* non-fatal */ }
 
+        // Latest badges first; art comes from the admin-edited definition.
+        const badges = (await achievementsService.getUserAchievements(u.id, 12)).map(b => ({
+            name: b.name,
+            description: b.description,
+            emoji: b.emoji,
+            imageUrl: b.badgeImageUrl,
+            earnedAt: b.earnedAt
+        }));
+
         res.json({
             success: true,
             profile: {
@@ -471,10 +554,12 @@ router.get('/stats', requireWebAuth, async (req, res) => {
                 practiceBest: by.practice.furthest,
                 currentStreak: u.current_streak ?? 0,
                 longestStreak: u.longest_streak ?? 0,
+                streakFreezes: u.streak_freezes ?? 0,
                 gamesRemaining: u.games_remaining ?? 0,
                 rank,
                 winnings: won
-            }
+            },
+            badges
         });
     } catch (error) {
         logger.error('Web stats error:', error);
@@ -482,6 +567,26 @@ router.get('/stats', requireWebAuth, async (req, res) => {
     }
 });
 
+// ============================================
+// WALLET
+// The same ledger the chat BALANCE command reads. ?before=<journal id>
+// pages back through older activity.
+// ============================================
+
+router.get('/wallet', requireWebAuth, async (req, res) => {
+    try {
+        const balance = await ledgerService.getBalance(req.webUser.id);
+        const activity = await ledgerService.getStatement(req.webUser.id, {
+            limit: Math.min(parseInt(req.query.limit, 10) || 20, 100),
+            before: req.query.before ? parseInt(req.query.before, 10) : null
+        });
+        res.json({ success: true, balance, activity });
+    } catch (error) {
+        logger.error('Web wallet error:', error);
+        res.status(500).json({ success: false, error: 'Could not load your wallet' });
+    }
+});
+
 // The checkout recovery record is deliberately sticky so a lost event can be
 // recovered. That also means an abandoned one traps the player on the payment
 // screen, so they need a way out.
@@ -19,6 +19,7 @@ const { requireWebAuth, requireCompleteProfile } = webAuthRoutes;
 
 const PaymentService = require('../services/payment.service');
 const gatewayManager = require('../services/payment-gateway-manager');
+const promoCodeService = require('../services/promo-code.service');
 const pool = require('../config/database');
 const redis = require('../config/redis');
 const { logger } = require('../utils/logger');
@@ -147,7 +148,8 @@ router.post('/initialize', requireWebAuth, requireCompleteProfile, async (req, r
             gatewayName,
             {
                 email: req.webUser.email,
-                callbackUrl: origin ? `${origin}/payment/callback` : undefined
+                callbackUrl: origin ? `${origin}/payment/callback` : undefined,
+                promoCode: (req.body?.promoCode || '').toString().trim() || undefined
             }
         );
 
@@ -170,11 +172,15 @@ router.post('/initialize', requireWebAuth, requireCompleteProfile, async (req, r
             authorizationUrl: payment.authorization_url,
             reference: payment.reference,
             amount: payment.amount,
+            discount: payment.discount,
             games: payment.games,
             gateway: payment.gateway
         });
 
     } catch (error) {
+        if (error.promoRejected) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
         logger.error('Web payment initialize error:', error);
         res.status(500).json({
             success: false,
@@ -183,6 +189,58 @@ router.post('/initialize', requireWebAuth, requireCompleteProfile, async (req, r
     }
 });
 
+// ============================================
+// PROMO CODES
+// A game-credit code pays out here and then. A discount code is only
+// checked and described; the browser sends it back with /initialize and
+// it comes off the price there.
+// ============================================
+
+router.post('/redeem', requireWebAuth, requireCompleteProfile, async (req, res) => {
+    try {
+        const code = (req.body?.code || '').toString().trim();
+        if (!code) {
+            return res.status(400).json({ success: false, error: 'Enter a code first' });
+        }
+
+        const check = await promoCodeService.inspectCode(code, req.webUser.id);
+        if (!check.valid) {
+            return res.status(400).json({ success: false, error: check.reason });
+        }
+        const promo = check.code;
+
+        if (promo.reward_type === 'game_credits') {
+            const result = await promoCodeService.redeemGameCredits(code, req.webUser.id);
+            if (!result.success) {
+                return res.status(400).json({ success: false, error: result.reason });
+            }
+            return res.json({
+                success: true,
+                kind: 'games',
+                games: result.games,
+                gamesRemaining: result.gamesRemaining
+            });
+        }
+
+        if (promo.reward_type === 'tournament_entry') {
+            return res.status(400).json({
+                success: false,
+                error: 'That code is for a tournament entry and can\'t be used on credits'
+            });
+        }
+
+        res.json({
+            success: true,
+            kind: 'discount',
+            code: promo.code,
+            reward: promoCodeService.describeReward(promo)
+        });
+    } catch (error) {
+        logger.error('Web promo redeem error:', error);
+        res.status(500).json({ success: false, error: 'Could not check that code. Please try again.' });
+    }
+});
+
 // ============================================
 // STATUS
 // The browser polls this after returning from checkout. Usually it beats the
@@ -16,6 +16,7 @@ const webAuthRoutes = require('./routes/web-auth.routes');
 const newsletterRoutes = require('./routes/newsletter.routes');
 const webGameRoutes = require('./routes/web-game.routes');
 const webPaymentRoutes = require('./routes/web-payment.routes');
+const sponsorRoutes = require('./routes/sponsor.routes');
 
 // Load environment variables
 dotenv.config();
@@ -166,6 +167,7 @@ app.use('/web/auth', webAuthRoutes);
 app.use('/newsletter', newsletterRoutes);
 app.use('/web/game', webGameRoutes);
 app.use('/web/payment', webPaymentRoutes);
+app.use('/sponsor', sponsorRoutes);
 
 // Anything unmatched on the demo host gets the site's own 404 page.
 // Sits after the API routes so /api/public/* still works on that hostname.
@@ -278,6 +280,7 @@ async function startScheduledSendProcessor() {
 // rather than narrowing it.
 // ============================================
 const togglesService = require('./services/toggles.service');
+const gameFormats = require('./services/game-format.service');
 
 async function bootstrap() {
   try {
@@ -285,6 +288,20 @@ async function bootstrap() {
   } catch (e) {
     console.error('⚠️  Toggle cache failed to load at boot:', e.message);
   }
+  // Same idea for prize ladders: the first game after boot should be played
+  // on the admin's default format, not the built-in fallback.
+  try {
+    await gameFormats.start();
+  } catch (e) {
+    console.error('⚠️  Game format cache failed to load at boot:', e.message);
+  }
+  // And for the wallet ledger: on first start it takes opening balances,
+  // which must happen before any request can move a balance.
+  try {
+    await require('./services/ledger.service').ensureSchema();
+  } catch (e) {
+    console.error('⚠️  Wallet ledger failed to initialise at boot:', e.message);
+  }
   startServer();
 }
 
@@ -338,6 +355,24 @@ app.listen(PORT, async () => {
   // Start Welcome Message processor — sends one-time welcome to new users
   // who've been inactive for 20+ hours
   startWelcomeMessageProcessor();
+
+  // Expire unanswered duel challenges and settle abandoned duels
+  startDuelExpiryProcessor();
+
+  // Start scheduled live shows and keep a running one moving after restarts
+  startLiveShowProcessor();
+
+  // Recompute question difficulty from observed correct rates
+  startQuestionRecalibration();
+
+  // Reconcile automated payout transfers and retry failed ones
+  startPayoutTransferProcessor();
+
+  // Open, start and close recurring tournament rounds
+  startTournamentSeriesProcessor();
+
+  // Open knockout matches at their round times and settle closed ones
+  startKnockoutProcessor();
 });
 }
 
@@ -360,4 +395,62 @@ function startWelcomeMessageProcessor() {
   console.log('✅ Welcome message processor started (5min interval, 20hr threshold)');
 }
 
+function startDuelExpiryProcessor() {
+  const duelService = require('./services/duel.service');
+
+  // Check every 10 minutes. expireStale() logs its own errors.
+  setInterval(() => duelService.expireStale(), 10 * 60 * 1000);
+
+  console.log('✅ Duel expiry processor started (10min interval)');
+}
+
+function startLiveShowProcessor() {
+  const liveShowService = require('./services/live-show.service');
+
+  // Check every 15 seconds. Phases within a show run on their own timers;
+  // this only starts shows and re-arms one picked up after a restart.
+  setInterval(() => liveShowService.poll(), 15 * 1000);
+
+  console.log('✅ Live show processor started (15s interval)');
+}
+
+function startQuestionRecalibration() {
+  const questionQuality = require('./services/question-quality.service');
+
+  // Every 6 hours. recalibrate() logs its own summary and errors.
+  setInterval(() => questionQuality.recalibrate(), 6 * 60 * 60 * 1000);
+
+  console.log('✅ Question recalibration started (6h interval)');
+}
+
+function startPayoutTransferProcessor() {
+  const disbursementService = require('./services/disbursement.service');
+
+  // Every 5 minutes. Webhooks normally settle transfers; this catches the
+  // ones whose webhook never arrived and sends retries that have come due.
+  setInterval(() => disbursementService.poll(), 5 * 60 * 1000);
+
+  console.log('✅ Payout transfer processor started (5min interval)');
+}
+
+function startTournamentSeriesProcessor() {
+  const tournamentSeries = require('./services/tournament-series.service');
+
+  // Every minute, so a round closes and pays out within a minute of its
+  // end time. poll() logs its own errors.
+  setInterval(() => tournamentSeries.poll(), 60 * 1000);
+
+  console.log('✅ Tournament series processor started (1min interval)');
+}
+
+function startKnockoutProcessor() {
+  const knockoutService = require('./services/knockout.service');
+
+  // Every minute, so a match opens within a minute of its round time.
+  // poll() logs its own errors.
+  setInterval(() => knockoutService.poll(), 60 * 1000);
+
+  console.log('✅ Knockout processor started (1min interval)');
+}
+
 module.exports = app;
\ No newline at end of file
@@ -1,368 +1,543 @@
 // ============================================
 // FILE: src/services/achievements.service.js
 // Handles: User achievements, badges, milestones
+//
+// Achievements are data, not code: each row of achievement_definitions
+// names a metric, a comparator and threshold, a time window, rewards and
+// badge art, and is edited from the admin dashboard. Only the metrics
+// themselves live here (METRICS below) — each is one SQL query plus the
+// events that can move it.
+//
+// INCREMENTAL EVALUATION
+// Callers report what just happened — recordEvent(userId, 'game_complete')
+// — and only definitions whose metric listens to that event are checked.
+// Already-earned badges are skipped, and definitions sharing a metric and
+// window share one query. checkAndAwardAchievements() still evaluates
+// everything, for the share flow and for backfills.
+//
+// WINDOWS
+//   all_time | day (since midnight) | week / month (last 7 / 30 days)
+//   season — between the definition's starts_at and ends_at. Seasonal
+//   badges are also only awarded while the season is running.
+//
+// The slugs (achievement_definitions.type) are the achievement_type keys
+// in user_achievements, so badges earned before definitions moved into
+// the database keep their rows.
 // ============================================
 
 const pool = require('../config/database');
 const { logger } = require('../utils/logger');
+const ledgerService = require('./ledger.service');
+const streakService = require('./streak.service');
 
-// Achievement definitions
-const ACHIEVEMENTS = {
-    // Game achievements
-    first_win: {
-        name: 'First Victory',
-        description: 'Won your first game',
-        emoji: '🎯',
-        check: async (userId) => {
-            const result = await pool.query(
-                `SELECT COUNT(*) FROM game_sessions WHERE user_id = $1 AND status = 'completed' AND final_score > 0`,
-                [userId]
-            );
-            return parseInt(result.rows[0].count) >= 1;
-        }
+const COMPARATORS = ['>=', '>', '=', '<=', '<'];
+const WINDOWS = ['all_time', 'day', 'week', 'month', 'season'];
+const DEFINITIONS_TTL_MS = 60000;
+
+// What an achievement can measure. column is the timestamp a window
+// filters on; null means the metric ignores windows.
+const METRICS = {
+    games_played: {
+        label: 'Games started (any mode)',
+        events: ['game_complete'],
+        column: 'started_at',
+        sql: (w) => `SELECT COUNT(*) AS value FROM game_sessions WHERE user_id = $1 ${w}`
     },
-    five_games_day: {
-        name: 'Marathon Player',
-        description: 'Played 5 games in one day',
-        emoji: '🏃',
-        check: async (userId) => {
-            const result = await pool.query(`
-                SELECT COUNT(*) FROM game_sessions 
-                WHERE user_id = $1 AND DATE(started_at) = CURRENT_DATE
-            `, [userId]);
-            return parseInt(result.rows[0].count) >= 5;
-        }
+    games_won: {
+        label: 'Games won',
+        events: ['game_complete'],
+        column: 'completed_at',
+        sql: (w) => `SELECT COUNT(*) AS value FROM game_sessions WHERE user_id = $1 AND status = 'completed' AND final_score > 0 ${w}`
     },
-    perfect_game: {
-        name: 'Perfect Score',
-        description: 'Answered all 15 questions correctly',
-        emoji: '💯',
-        check: async (userId) => {
-            const result = await pool.query(`
-                SELECT COUNT(*) FROM game_sessions 
-                WHERE user_id = $1 AND current_question > 15 AND status = 'completed' AND final_score > 0
-            `, [userId]);
-            return parseInt(result.rows[0].count) >= 1;
-        }
+    tournament_games: {
+        label: 'Tournament games finished',
+        events: ['game_complete'],
+        column: 'completed_at',
+        sql: (w) => `SELECT COUNT(*) AS value FROM game_sessions WHERE user_id = $1 AND status = 'completed' AND is_tournament_game = true ${w}`
     },
-    
-    // Streak achievements
-    streak_3: {
-        name: 'Getting Started',
-        description: '3-day streak achieved',
-        emoji: '🔥',
-        check: async (userId) => {
-            const result = await pool.query(
-                'SELECT longest_streak FROM users WHERE id = $1',
-                [userId]
-            );
-            return result.rows[0]?.longest_streak >= 3;
-        }
+    perfect_games: {
+        label: 'Perfect games (whole ladder)',
+        events: ['game_complete'],
+        column: 'completed_at',
+        sql: (w) => `
+            SELECT COUNT(*) AS value FROM game_sessions
+            WHERE user_id = $1 AND current_question > COALESCE(jsonb_array_length(game_format->'prize_ladder'), 15)
+              AND status = 'completed' AND final_score > 0 ${w}`
     },
-    streak_7: {
-        name: 'Week Warrior',
-        description: '7-day streak achieved',
-        emoji: '🔥🔥',
-        check: async (userId) => {
-            const result = await pool.query(
-                'SELECT longest_streak FROM users WHERE id = $1',
-                [userId]
-            );
-            return result.rows[0]?.longest_streak >= 7;
-        }
+    checkpoint_wins: {
+        label: 'Wins past question 5',
+        events: ['game_complete'],
+        column: 'completed_at',
+        sql: (w) => `
+            SELECT COUNT(*) AS value FROM game_sessions
+            WHERE user_id = $1 AND status = 'completed' AND final_score > 0 AND current_question > 5 ${w}`
     },
-    streak_14: {
-        name: 'Fortnight Fighter',
-        description: '14-day streak achieved',
-        emoji: '🔥🔥🔥',
-        check: async (userId) => {
-            const result = await pool.query(
-                'SELECT longest_streak FROM users WHERE id = $1',
-                [userId]
-            );
-            return result.rows[0]?.longest_streak >= 14;
-        }
+    biggest_prize: {
+        label: 'Biggest single prize (₦)',
+        events: ['game_complete'],
+        column: 'created_at',
+        sql: (w) => `SELECT MAX(amount) AS value FROM transactions WHERE user_id = $1 AND transaction_type = 'prize' ${w}`
     },
-    streak_30: {
-        name: 'Monthly Master',
-        description: '30-day streak achieved',
-        emoji: '🏆',
-        check: async (userId) => {
-            const result = await pool.query(
-                'SELECT longest_streak FROM users WHERE id = $1',
-                [userId]
-            );
-            return result.rows[0]?.longest_streak >= 30;
-        }
+    avg_response_ms: {
+        label: 'Average answer time (ms)',
+        events: ['game_complete'],
+        column: 'started_at',
+        sql: (w) => `SELECT AVG(avg_response_time_ms) AS value FROM game_sessions WHERE user_id = $1 AND avg_response_time_ms IS NOT NULL ${w}`
     },
-    streak_60: {
-        name: 'Diamond Dedication',
-        description: '60-day streak achieved',
-        emoji: '💎',
-        check: async (userId) => {
-            const result = await pool.query(
-                'SELECT longest_streak FROM users WHERE id = $1',
-                [userId]
-            );
-            return result.rows[0]?.longest_streak >= 60;
-        }
+    active_days: {
+        label: 'Days played',
+        events: ['game_complete'],
+        column: 'started_at',
+        sql: (w) => `SELECT COUNT(DISTINCT DATE(started_at)) AS value FROM game_sessions WHERE user_id = $1 ${w}`
     },
-    
-    // Referral achievements
-    referral_1: {
-        name: 'Influencer',
-        description: 'First successful referral',
-        emoji: '👥',
-        check: async (userId) => {
-            const result = await pool.query(
-                'SELECT COUNT(*) FROM users WHERE referred_by = $1',
-                [userId]
-            );
-            return parseInt(result.rows[0].count) >= 1;
-        }
-    },
-    referral_5: {
-        name: 'Team Builder',
-        description: '5 successful referrals',
-        emoji: '👥👥',
-        check: async (userId) => {
-            const result = await pool.query(
-                'SELECT COUNT(*) FROM users WHERE referred_by = $1',
-                [userId]
-            );
-            return parseInt(result.rows[0].count) >= 5;
-        }
-    },
-    referral_10: {
-        name: 'Community Champion',
-        description: '10 successful referrals',
-        emoji: '🌟',
-        check: async (userId) => {
-            const result = await pool.query(
-                'SELECT COUNT(*) FROM users WHERE referred_by = $1',
-                [userId]
-            );
-            return parseInt(result.rows[0].count) >= 10;
-        }
+    longest_streak: {
+        label: 'Longest daily streak',
+        events: ['streak'],
+        column: null,
+        sql: () => `SELECT longest_streak AS value FROM users WHERE id = $1`
     },
-    
-    // Winning achievements
-    big_winner: {
-        name: 'Big Winner',
-        description: 'Won ₦10,000 or more in a single game',
-        emoji: '💰',
-        check: async (userId) => {
-            const result = await pool.query(`
-                SELECT COUNT(*) FROM transactions 
-                WHERE user_id = $1 AND transaction_type = 'prize' AND amount >= 10000
-            `, [userId]);
-            return parseInt(result.rows[0].count) >= 1;
-        }
-    },
-    grand_champion: {
-        name: 'Grand Champion',
-        description: 'Won the grand prize (₦50,000)',
-        emoji: '👑',
-        check: async (userId) => {
-            const result = await pool.query(`
-                SELECT COUNT(*) FROM transactions 
-                WHERE user_id = $1 AND transaction_type = 'prize' AND amount >= 50000
-            `, [userId]);
-            return parseInt(result.rows[0].count) >= 1;
-        }
-    },
-    
-    // Loyalty achievements
-    loyal_player: {
-        name: 'Loyal Player',
-        description: '30 days since registration with regular activity',
-        emoji: '❤️',
-        check: async (userId) => {
-            const result = await pool.query(`
-                SELECT created_at, 
-                       (SELECT COUNT(DISTINCT DATE(started_at)) FROM game_sessions WHERE user_id = $1) as play_days
-                FROM users WHERE id = $1
-            `, [userId]);
-            
-            if (result.rows.length === 0) return false;
-            
-            const daysSinceJoin = Math.floor((Date.now() - new Date(result.rows[0].created_at)) / (1000 * 60 * 60 * 24));
-            const playDays = parseInt(result.rows[0].play_days);
-            
-            return daysSinceJoin >= 30 && playDays >= 10;
+    referrals: {
+        label: 'Players referred',
+        events: ['referral'],
+        column: 'created_at',
+        sql: (w) => `SELECT COUNT(*) AS value FROM users WHERE referred_by = $1 ${w}`
+    }
+};
+
+// The badges that were hardcoded here before definitions moved into the
+// database. Seeded once, when the table is first created.
+const SEED_DEFINITIONS = [
+    { type: 'first_win', name: 'First Victory', description: 'Won your first game', emoji: '🎯', metric: 'games_won', threshold: 1 },
+    { type: 'five_games_day', name: 'Marathon Player', description: 'Played 5 games in one day', emoji: '🏃', metric: 'games_played', threshold: 5, time_window: 'day' },
+    { type: 'perfect_game', name: 'Perfect Score', description: 'Answered every question on the ladder correctly', emoji: '💯', metric: 'perfect_games', threshold: 1 },
+    { type: 'streak_3', name: 'Getting Started', description: '3-day streak achieved', emoji: '🔥', metric: 'longest_streak', threshold: 3 },
+    { type: 'streak_7', name: 'Week Warrior', description: '7-day streak achieved', emoji: '🔥🔥', metric: 'longest_streak', threshold: 7, streak_freezes: 1 },
+    { type: 'streak_14', name: 'Fortnight Fighter', description: '14-day streak achieved', emoji: '🔥🔥🔥', metric: 'longest_streak', threshold: 14 },
+    { type: 'streak_30', name: 'Monthly Master', description: '30-day streak achieved', emoji: '🏆', metric: 'longest_streak', threshold: 30, streak_freezes: 2 },
+    { type: 'streak_60', name: 'Diamond Dedication', description: '60-day streak achieved', emoji: '💎', metric: 'longest_streak', threshold: 60 },
+    { type: 'referral_1', name: 'Influencer', description: 'First successful referral', emoji: '👥', metric: 'referrals', threshold: 1 },
+    { type: 'referral_5', name: 'Team Builder', description: '5 successful referrals', emoji: '👥👥', metric: 'referrals', threshold: 5 },
+    { type: 'referral_10', name: 'Community Champion', description: '10 successful referrals', emoji: '🌟', metric: 'referrals', threshold: 10 },
+    { type: 'big_winner', name: 'Big Winner', description: 'Won ₦10,000 or more in a single game', emoji: '💰', metric: 'biggest_prize', threshold: 10000 },
+    { type: 'grand_champion', name: 'Grand Champion', description: 'Won the grand prize (₦50,000)', emoji: '👑', metric: 'biggest_prize', threshold: 50000 },
+    { type: 'loyal_player', name: 'Loyal Player', description: '30 days since registration with regular activity', emoji: '❤️', metric: 'active_days', threshold: 10, min_account_days: 30, streak_freezes: 1 },
+    { type: 'speed_demon', name: 'Speed Demon', description: 'Average response time under 5 seconds', emoji: '⚡', metric: 'avg_response_ms', comparator: '<', threshold: 5000 },
+    { type: 'comeback_king', name: 'Comeback King', description: 'Won after reaching a safe checkpoint', emoji: '💪', metric: 'checkpoint_wins', threshold: 1 }
+];
+
+class AchievementsService {
+
+    constructor() {
+        this._schemaReady = false;
+        this._definitions = null;
+        this._definitionsAt = 0;
+    }
+
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS achievement_definitions (
+                id SERIAL PRIMARY KEY,
+                type VARCHAR(50) UNIQUE NOT NULL,
+                name VARCHAR(80) NOT NULL,
+                description TEXT,
+                emoji VARCHAR(16) DEFAULT '🏅',
+                badge_image_url TEXT,
+                metric VARCHAR(40) NOT NULL,
+                comparator VARCHAR(2) NOT NULL DEFAULT '>=',
+                threshold NUMERIC NOT NULL,
+                time_window VARCHAR(10) NOT NULL DEFAULT 'all_time',
+                min_account_days INTEGER,
+                reward_games INTEGER NOT NULL DEFAULT 0,
+                streak_freezes INTEGER NOT NULL DEFAULT 0,
+                starts_at TIMESTAMP,
+                ends_at TIMESTAMP,
+                is_active BOOLEAN NOT NULL DEFAULT true,
+                sort_order INTEGER NOT NULL DEFAULT 0,
+                updated_by VARCHAR(100),
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        const existing = await pool.query('SELECT 1 FROM achievement_definitions LIMIT 1');
+        if (existing.rows.length === 0) {
+            for (const [i, d] of SEED_DEFINITIONS.entries()) {
+                await pool.query(`
+                    INSERT INTO achievement_definitions
+                        (type, name, description, emoji, metric, comparator, threshold, time_window,
+                         min_account_days, streak_freezes, sort_order, updated_by)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'system')
+                    ON CONFLICT (type) DO NOTHING
+                `, [d.type, d.name, d.description, d.emoji, d.metric, d.comparator || '>=', d.threshold,
+                    d.time_window || 'all_time', d.min_account_days || null, d.streak_freezes || 0, i]);
+            }
         }
-    },
-    
-    // Speed achievement
-    speed_demon: {
-        name: 'Speed Demon',
-        description: 'Average response time under 5 seconds',
-        emoji: '⚡',
-        check: async (userId) => {
-            const result = await pool.query(`
-                SELECT AVG(avg_response_time_ms) as avg_time
-                FROM game_sessions 
-                WHERE user_id = $1 AND avg_response_time_ms IS NOT NULL
-            `, [userId]);
-            
-            const avgTime = result.rows[0]?.avg_time;
-            return avgTime && avgTime < 5000;
+        this._schemaReady = true;
+    }
+
+    // ============================================
+    // DEFINITIONS
+    // ============================================
+
+    /** Active, in-season definitions; cached briefly so events stay cheap. */
+    async getActiveDefinitions() {
+        if (this._definitions && Date.now() - this._definitionsAt < DEFINITIONS_TTL_MS) {
+            return this._definitions;
         }
-    },
-    
-    // Comeback achievement
-    comeback_king: {
-        name: 'Comeback King',
-        description: 'Won after reaching a safe checkpoint',
-        emoji: '💪',
-        check: async (userId) => {
-            const result = await pool.query(`
-                SELECT COUNT(*) FROM game_sessions 
-                WHERE user_id = $1 
-                AND status = 'completed' AND final_score > 0 
-                AND current_question > 5
-            `, [userId]);
-            return parseInt(result.rows[0].count) >= 1;
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT * FROM achievement_definitions
+            WHERE is_active = true
+              AND (starts_at IS NULL OR starts_at <= NOW())
+              AND (ends_at IS NULL OR ends_at > NOW())
+            ORDER BY sort_order, id
+        `);
+        this._definitions = result.rows.filter(d => METRICS[d.metric]);
+        this._definitionsAt = Date.now();
+        return this._definitions;
+    }
+
+    async listDefinitions() {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT d.*, COUNT(ua.id)::int AS earned_count
+            FROM achievement_definitions d
+            LEFT JOIN user_achievements ua ON ua.achievement_type = d.type
+            GROUP BY d.id
+            ORDER BY d.sort_order, d.id
+        `);
+        return result.rows;
+    }
+
+    getMetrics() {
+        return Object.entries(METRICS).map(([key, m]) => ({
+            key, label: m.label, events: m.events, windowed: !!m.column
+        }));
+    }
+
+    /** Normalises admin input; returns { definition } or { error }. */
+    validateDefinition(input, isNew) {
+        const d = {
+            type: (input.type || '').trim().toLowerCase(),
+            name: (input.name || '').trim(),
+            description: (input.description || '').trim() || null,
+            emoji: (input.emoji || '').trim() || '🏅',
+            badge_image_url: (input.badge_image_url || '').trim() || null,
+            metric: input.metric,
+            comparator: input.comparator || '>=',
+            threshold: Number(input.threshold),
+            time_window: input.time_window || 'all_time',
+            min_account_days: input.min_account_days ? parseInt(input.min_account_days) : null,
+            reward_games: parseInt(input.reward_games) || 0,
+            streak_freezes: parseInt(input.streak_freezes) || 0,
+            starts_at: input.starts_at || null,
+            ends_at: input.ends_at || null,
+            is_active: input.is_active !== false,
+            sort_order: parseInt(input.sort_order) || 0
+        };
+
+        if (isNew && !/^[a-z0-9_]{3,50}$/.test(d.type)) return { error: 'Slug must be 3-50 lowercase letters, digits or underscores' };
+        if (!d.name) return { error: 'Name is required' };
+        if (!METRICS[d.metric]) return { error: 'Unknown metric' };
+        if (!COMPARATORS.includes(d.comparator)) return { error: 'Unknown comparator' };
+        if (!Number.isFinite(d.threshold)) return { error: 'Threshold must be a number' };
+        if (!WINDOWS.includes(d.time_window)) return { error: 'Unknown time window' };
+        if (d.time_window !== 'all_time' && !METRICS[d.metric].column) return { error: 'That metric has no time window' };
+        if (d.time_window === 'season' && !(d.starts_at && d.ends_at)) return { error: 'A seasonal badge needs a start and an end date' };
+        if (d.starts_at && d.ends_at && new Date(d.ends_at) <= new Date(d.starts_at)) return { error: 'The end date must be after the start date' };
+        if (d.reward_games < 0 || d.reward_games > 50) return { error: 'Free games must be between 0 and 50' };
+        if (d.streak_freezes < 0 || d.streak_freezes > 10) return { error: 'Streak freezes must be between 0 and 10' };
+        if (d.badge_image_url && !/^https:\/\//.test(d.badge_image_url)) return { error: 'Badge art must be an https:// URL' };
+        return { definition: d };
+    }
+
+    async saveDefinition(id, input, adminUsername) {
+        await this.ensureSchema();
+        const { definition: d, error } = this.validateDefinition(input, !id);
+        if (error) return { error };
+
+        const fields = [d.name, d.description, d.emoji, d.badge_image_url, d.metric, d.comparator, d.threshold,
+            d.time_window, d.min_account_days, d.reward_games, d.streak_freezes, d.starts_at, d.ends_at,
+            d.is_active, d.sort_order, adminUsername];
+        let result;
+        if (id) {
+            result = await pool.query(`
+                UPDATE achievement_definitions
+                SET name = $1, description = $2, emoji = $3, badge_image_url = $4, metric = $5, comparator = $6,
+                    threshold = $7, time_window = $8, min_account_days = $9, reward_games = $10, streak_freezes = $11,
+                    starts_at = $12, ends_at = $13, is_active = $14, sort_order = $15, updated_by = $16, updated_at = NOW()
+                WHERE id = $17
+                RETURNING *
+            `, [...fields, id]);
+        } else {
+            result = await pool.query(`
+                INSERT INTO achievement_definitions
+                    (name, description, emoji, badge_image_url, metric, comparator, threshold, time_window,
+                     min_account_days, reward_games, streak_freezes, starts_at, ends_at, is_active, sort_order,
+                     updated_by, type)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+                ON CONFLICT (type) DO NOTHING
+                RETURNING *
+            `, [...fields, d.type]);
+            if (result.rows.length === 0) return { error: 'An achievement with that slug already exists' };
         }
+        if (result.rows.length === 0) return { error: 'Achievement not found' };
+
+        this._definitions = null;
+        return { definition: result.rows[0] };
     }
-};
 
-class AchievementsService {
-    
     // ============================================
-    // CHECK AND AWARD ACHIEVEMENTS
+    // EVALUATION
     // ============================================
-    
-    async checkAndAwardAchievements(userId) {
+
+    windowClause(definition, column) {
+        switch (definition.time_window) {
+            case 'day': return { sql: `AND ${column} >= CURRENT_DATE`, params: [] };
+            case 'week': return { sql: `AND ${column} >= NOW() - INTERVAL '7 days'`, params: [] };
+            case 'month': return { sql: `AND ${column} >= NOW() - INTERVAL '30 days'`, params: [] };
+            case 'season': return { sql: `AND ${column} >= $2 AND ${column} < $3`, params: [definition.starts_at, definition.ends_at] };
+            default: return { sql: '', params: [] };
+        }
+    }
+
+    async measure(userId, definition) {
+        const metric = METRICS[definition.metric];
+        const w = metric.column ? this.windowClause(definition, metric.column) : { sql: '', params: [] };
+        const result = await pool.query(metric.sql(w.sql), [userId, ...w.params]);
+        const value = result.rows[0] ? result.rows[0].value : null;
+        return value === null || value === undefined ? null : Number(value);
+    }
+
+    compare(value, comparator, threshold) {
+        if (value === null || Number.isNaN(value)) return false;
+        threshold = Number(threshold);
+        switch (comparator) {
+            case '>': return value > threshold;
+            case '=': return value === threshold;
+            case '<=': return value <= threshold;
+            case '<': return value < threshold;
+            default: return value >= threshold;
+        }
+    }
+
+    /**
+     * Check the definitions one event can affect and award what's now
+     * earned. event null checks everything. Returns the new achievements;
+     * with notify, also messages the player about each one. Never throws.
+     */
+    async recordEvent(userId, event, { notify = false } = {}) {
         const newAchievements = [];
-        
         try {
-            // Get user's existing achievements
+            const definitions = await this.getActiveDefinitions();
+            const candidates = event
+                ? definitions.filter(d => METRICS[d.metric].events.includes(event))
+                : definitions;
+            if (candidates.length === 0) return [];
+
             const existingResult = await pool.query(
-                'SELECT achievement_type FROM user_achievements WHERE user_id = $1',
-                [userId]
+                'SELECT achievement_type FROM user_achievements WHERE user_id = $1 AND achievement_type = ANY($2)',
+                [userId, candidates.map(d => d.type)]
             );
-            const existingTypes = existingResult.rows.map(r => r.achievement_type);
-            
-            // Check each achievement
-            for (const [type, achievement] of Object.entries(ACHIEVEMENTS)) {
-                if (existingTypes.includes(type)) continue;
-                
+            const existingTypes = new Set(existingResult.rows.map(r => r.achievement_type));
+            const pending = candidates.filter(d => !existingTypes.has(d.type));
+            if (pending.length === 0) return [];
+
+            let accountDays = null;
+            if (pending.some(d => d.min_account_days)) {
+                const u = await pool.query('SELECT created_at FROM users WHERE id = $1', [userId]);
+                accountDays = u.rows[0] ? Math.floor((Date.now() - new Date(u.rows[0].created_at)) / (1000 * 60 * 60 * 24)) : 0;
+            }
+
+            // One query per metric + window, however many badges share it
+            const measured = new Map();
+            for (const definition of pending) {
                 try {
-                    const earned = await achievement.check(userId);
-                    
-                    if (earned) {
-                        await this.awardAchievement(userId, type, achievement);
-                        newAchievements.push({
-                            type,
-                            name: achievement.name,
-                            description: achievement.description,
-                            emoji: achievement.emoji
-                        });
+                    if (definition.min_account_days && accountDays < definition.min_account_days) continue;
+
+                    const key = definition.time_window === 'season'
+                        ? `${definition.metric}:season:${definition.starts_at}:${definition.ends_at}`
+                        : `${definition.metric}:${definition.time_window}`;
+                    if (!measured.has(key)) measured.set(key, await this.measure(userId, definition));
+
+                    if (this.compare(measured.get(key), definition.comparator, definition.threshold)) {
+                        const awarded = await this.awardAchievement(userId, definition);
+                        if (awarded) newAchievements.push(this.toAchievement(definition));
                     }
                 } catch (checkError) {
-                    logger.error(`Error checking achievement ${type}:`, checkError);
+                    logger.error(`Error checking achievement ${definition.type}:`, checkError);
                 }
             }
-            
+
+            if (notify && newAchievements.length > 0) await this.notify(userId, newAchievements);
             return newAchievements;
         } catch (error) {
             logger.error('Error checking achievements:', error);
-            return [];
+            return newAchievements;
         }
     }
-    
-    async awardAchievement(userId, type, achievement) {
+
+    async checkAndAwardAchievements(userId) {
+        return this.recordEvent(userId, null);
+    }
+
+    /**
+     * Records the badge and pays its rewards. Returns false if the player
+     * already had it (a parallel event got there first).
+     */
+    async awardAchievement(userId, definition) {
+        const client = await pool.connect();
         try {
-            await pool.query(`
+            await client.query('BEGIN');
+            const inserted = await client.query(`
                 INSERT INTO user_achievements (user_id, achievement_type, achievement_name, description, metadata)
                 VALUES ($1, $2, $3, $4, $5)
                 ON CONFLICT (user_id, achievement_type) DO NOTHING
-            `, [userId, type, achievement.name, achievement.description, JSON.stringify({ emoji: achievement.emoji })]);
-            
-            logger.info(`Achievement awarded: ${type} to user ${userId}`);
+            `, [userId, definition.type, definition.name, definition.description,
+                JSON.stringify({ emoji: definition.emoji, badge_image_url: definition.badge_image_url || undefined })]);
+            if (inserted.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return false;
+            }
+
+            if (definition.reward_games > 0) {
+                await client.query(
+                    'UPDATE users SET games_remaining = COALESCE(games_remaining, 0) + $1 WHERE id = $2',
+                    [definition.reward_games, userId]
+                );
+                await ledgerService.recordGamesGranted('achievement_reward', {
+                    userId, games: definition.reward_games,
+                    key: `achievement:${userId}:${definition.type}`,
+                    description: `Achievement: ${definition.name}`
+                }, client);
+            }
+            await client.query('COMMIT');
+
+            if (definition.streak_freezes > 0) {
+                await streakService.grantFreezes(userId, definition.streak_freezes, 'achievement', `achievement:${userId}:${definition.type}`);
+            }
+
+            logger.info(`Achievement awarded: ${definition.type} to user ${userId}`);
+            return true;
         } catch (error) {
+            await client.query('ROLLBACK');
             logger.error('Error awarding achievement:', error);
+            return false;
+        } finally {
+            client.release();
+        }
+    }
+
+    toAchievement(definition) {
+        return {
+            type: definition.type,
+            name: definition.name,
+            description: definition.description,
+            emoji: definition.emoji || '🏅',
+            badgeImageUrl: definition.badge_image_url || null,
+            rewardGames: definition.reward_games || 0,
+            streakFreezes: definition.streak_freezes || 0
+        };
+    }
+
+    async notify(userId, achievements) {
+        try {
+            const userResult = await pool.query('SELECT phone_number FROM users WHERE id = $1', [userId]);
+            if (!userResult.rows[0]) return;
+            const MessagingService = require('./messaging.service');
+            const messagingService = new MessagingService();
+            for (const achievement of achievements) {
+                await messagingService.sendMessage(userResult.rows[0].phone_number, this.formatNewAchievementMessage(achievement));
+            }
+        } catch (error) {
+            logger.error(`Could not send achievement message to user ${userId}:`, error.message);
         }
     }
-    
+
     // ============================================
     // GET USER ACHIEVEMENTS
     // ============================================
-    
-    async getUserAchievements(userId) {
+
+    async getUserAchievements(userId, limit = null) {
         try {
+            await this.ensureSchema();
+            // Art comes from the definition when it still exists, so a badge
+            // redrawn in admin updates everywhere it's shown
             const result = await pool.query(`
-                SELECT achievement_type, achievement_name, description, earned_at, metadata
-                FROM user_achievements
-                WHERE user_id = $1
-                ORDER BY earned_at DESC
-            `, [userId]);
-            
+                SELECT ua.achievement_type, ua.achievement_name, ua.description, ua.earned_at, ua.metadata,
+                       d.emoji AS definition_emoji, d.badge_image_url
+                FROM user_achievements ua
+                LEFT JOIN achievement_definitions d ON d.type = ua.achievement_type
+                WHERE ua.user_id = $1
+                ORDER BY ua.earned_at DESC
+                ${limit ? 'LIMIT $2' : ''}
+            `, limit ? [userId, limit] : [userId]);
+
             return result.rows.map(row => ({
                 type: row.achievement_type,
                 name: row.achievement_name,
                 description: row.description,
                 earnedAt: row.earned_at,
-                emoji: row.metadata?.emoji || '🏅'
+                emoji: row.definition_emoji || row.metadata?.emoji || '🏅',
+                badgeImageUrl: row.badge_image_url || row.metadata?.badge_image_url || null
             }));
         } catch (error) {
             logger.error('Error getting user achievements:', error);
             return [];
         }
     }
-    
+
     // ============================================
     // GET ALL POSSIBLE ACHIEVEMENTS
     // ============================================
-    
-    getAllAchievements() {
-        return Object.entries(ACHIEVEMENTS).map(([type, achievement]) => ({
-            type,
-            name: achievement.name,
-            description: achievement.description,
-            emoji: achievement.emoji
-        }));
+
+    async getAllAchievements() {
+        const definitions = await this.getActiveDefinitions();
+        return definitions.map(d => this.toAchievement(d));
     }
-    
+
     // ============================================
     // FORMAT ACHIEVEMENTS MESSAGE
     // ============================================
-    
+
     formatAchievementsMessage(achievements, title = 'YOUR ACHIEVEMENTS') {
         if (!achievements || achievements.length === 0) {
             return `🏅 *${title}* 🏅\n\n` +
                    `No achievements yet!\n\n` +
                    `Keep playing to unlock badges and rewards! 🎯`;
         }
-        
+
         let message = `🏅 *${title}* 🏅\n\n`;
-        
+
         achievements.forEach(a => {
             message += `${a.emoji} *${a.name}*\n`;
             message += `   ${a.description}\n\n`;
         });
-        
+
         message += `_${achievements.length} achievement${achievements.length > 1 ? 's' : ''} earned!_`;
-        
+
         return message;
     }
-    
+
     // ============================================
     // FORMAT NEW ACHIEVEMENT NOTIFICATION
     // ============================================
-    
+
     formatNewAchievementMessage(achievement) {
         return `🎊 *ACHIEVEMENT UNLOCKED!* 🎊\n\n` +
                `${achievement.emoji} *${achievement.name}*\n\n` +
                `${achievement.description}\n\n` +
+               (achievement.rewardGames ? `🎁 Reward: ${achievement.rewardGames} free game${achievement.rewardGames > 1 ? 's' : ''}\n` : '') +
+               (achievement.streakFreezes ? `🧊 Reward: ${achievement.streakFreezes} streak freeze${achievement.streakFreezes > 1 ? 's' : ''}\n` : '') +
+               (achievement.rewardGames || achievement.streakFreezes ? `\n` : '') +
                `_Keep playing to unlock more!_`;
     }
-    
+
     // ============================================
     // GET ACHIEVEMENT LEADERBOARD
     // ============================================
-    
+
     async getAchievementLeaderboard(limit = 10) {
         try {
             const result = await pool.query(`
@@ -374,81 +549,31 @@ class AchievementsService {
                 ORDER BY achievement_count DESC, MAX(a.earned_at) DESC
                 LIMIT $1
             `, [limit]);
-            
+
             return result.rows;
         } catch (error) {
             logger.error('Error getting achievement leaderboard:', error);
             return [];
         }
     }
-    
+
     // ============================================
     // CHECK SPECIFIC ACHIEVEMENT CATEGORIES
     // ============================================
-    
+
     async checkGameAchievements(userId) {
-        return this.checkAndAwardAchievements(userId);
+        return this.recordEvent(userId, 'game_complete');
     }
-    
+
     async checkStreakAchievements(userId) {
-        const streakTypes = ['streak_3', 'streak_7', 'streak_14', 'streak_30', 'streak_60'];
-        const newAchievements = [];
-        
-        const existingResult = await pool.query(
-            'SELECT achievement_type FROM user_achievements WHERE user_id = $1',
-            [userId]
-        );
-        const existingTypes = existingResult.rows.map(r => r.achievement_type);
-        
-        for (const type of streakTypes) {
-            if (existingTypes.includes(type)) continue;
-            
-            const achievement = ACHIEVEMENTS[type];
-            const earned = await achievement.check(userId);
-            
-            if (earned) {
-                await this.awardAchievement(userId, type, achievement);
-                newAchievements.push({
-                    type,
-                    name: achievement.name,
-                    description: achievement.description,
-                    emoji: achievement.emoji
-                });
-            }
-        }
-        
-        return newAchievements;
+        return this.recordEvent(userId, 'streak');
     }
-    
+
     async checkReferralAchievements(userId) {
-        const referralTypes = ['referral_1', 'referral_5', 'referral_10'];
-        const newAchievements = [];
-        
-        const existingResult = await pool.query(
-            'SELECT achievement_type FROM user_achievements WHERE user_id = $1',
-            [userId]
-        );
-        const existingTypes = existingResult.rows.map(r => r.achievement_type);
-        
-        for (const type of referralTypes) {
-            if (existingTypes.includes(type)) continue;
-            
-            const achievement = ACHIEVEMENTS[type];
-            const earned = await achievement.check(userId);
-            
-            if (earned) {
-                await this.awardAchievement(userId, type, achievement);
-                newAchievements.push({
-                    type,
-                    name: achievement.name,
-                    description: achievement.description,
-                    emoji: achievement.emoji
-                });
-            }
-        }
-        
-        return newAchievements;
+        return this.recordEvent(userId, 'referral');
     }
 }
 
-module.exports = new AchievementsService();
\ No newline at end of file
+module.exports = new AchievementsService();
+module.exports.COMPARATORS = COMPARATORS;
+module.exports.WINDOWS = WINDOWS;
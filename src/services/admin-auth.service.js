@@ -1,11 +1,23 @@
 // ============================================
 // FILE: src/services/admin-auth.service.js - WITH RBAC
+// Which permission each admin route needs, and the built-in roles, live in
+// src/config/admin-permissions.js. The middleware in admin.routes.js
+// checks them on every request through can().
 // ============================================
 
 const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const pool = require('../config/database');
 const { logger } = require('../utils/logger');
+const adminMfa = require('./admin-mfa.service');
+const { RESOURCES, DEFAULT_ROLES, toPermissionObject } = require('../config/admin-permissions');
+
+// Roles that the Roles page can't edit: super admins can do everything by
+// definition, and sponsor logins belong to the sponsor portal.
+const LOCKED_ROLES = ['super_admin', 'sponsor'];
+
+// admin_roles has held both 'super_admin' and 'super admin' over time
+const normaliseRole = (name) => String(name || '').toLowerCase().replace(/\s+/g, '_');
 
 class AdminAuthService {
   /**
@@ -53,9 +65,11 @@ class AdminAuthService {
    */
   async validateSession(sessionToken) {
     try {
+      await this.ensureRoles();
+      await adminMfa.ensureSchema();
       const result = await pool.query(
         `SELECT s.*, a.id as admin_id, a.username, a.full_name, a.email, 
-                a.is_active as admin_active, r.role_name, r.permissions
+                a.is_active as admin_active, a.totp_enabled, r.role_name, r.permissions
          FROM admin_sessions s
          JOIN admins a ON s.admin_id = a.id
          JOIN admin_roles r ON a.role_id = r.id
@@ -99,6 +113,73 @@ class AdminAuthService {
     return permissions[resource][action] === true;
   }
 
+  isSuperAdmin(session) {
+    return normaliseRole(session && session.role_name) === 'super_admin';
+  }
+
+  /**
+   * Whether a validated session may use a 'resource.action' permission.
+   * null means any signed-in admin; undefined (an unmapped route) is
+   * refused for everyone but super admins.
+   */
+  can(session, permission) {
+    if (this.isSuperAdmin(session)) return true;
+    if (permission === null) return true;
+    if (!permission) return false;
+    const [resource, action] = permission.split('.');
+    return this.hasPermission(session.permissions, resource, action);
+  }
+
+  /**
+   * Whether a session may hand out these permissions — to a role it is
+   * editing or an admin it is assigning. Nobody grants what they don't
+   * have, so admins.manage can't be used to climb above your own role.
+   */
+  canGrant(session, permissions) {
+    if (this.isSuperAdmin(session)) return true;
+    return Object.entries(permissions || {}).every(([resource, actions]) =>
+      Object.entries(actions || {}).every(([action, allowed]) =>
+        !allowed || this.hasPermission(session.permissions, resource, action)));
+  }
+
+  async getRole(roleId) {
+    const result = await pool.query('SELECT * FROM admin_roles WHERE id = $1', [roleId]);
+    return result.rows[0] || null;
+  }
+
+  /** The role an admin currently holds, or null when there's no such admin. */
+  async getAdminRole(adminId) {
+    const result = await pool.query(
+      'SELECT r.* FROM admins a JOIN admin_roles r ON a.role_id = r.id WHERE a.id = $1',
+      [adminId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Creates the built-in roles that are missing and gives existing ones any
+   * resource they have no setting for yet. Runs once per process.
+   */
+  async ensureRoles() {
+    if (this._rolesReady) return;
+    for (const role of DEFAULT_ROLES) {
+      const permissions = JSON.stringify(toPermissionObject(role.permissions));
+      await pool.query(
+        `INSERT INTO admin_roles (role_name, display_name, description, permissions)
+         SELECT $1, $2, $3, $4::jsonb
+         WHERE NOT EXISTS (SELECT 1 FROM admin_roles WHERE role_name = $1)`,
+        [role.role_name, role.display_name, role.description, permissions]
+      );
+      // jsonb || keeps the right-hand side on conflicts, so saved settings win
+      await pool.query(
+        `UPDATE admin_roles SET permissions = $2::jsonb || COALESCE(permissions, '{}'::jsonb)
+         WHERE role_name = $1`,
+        [role.role_name, permissions]
+      );
+    }
+    this._rolesReady = true;
+  }
+
   /**
    * Logout - invalidate session
    */
@@ -136,8 +217,10 @@ class AdminAuthService {
 
   /**
    * Login with username/password (RBAC)
+   * portal: 'admin' for the dashboard, 'sponsor' for the sponsor portal.
+   * Sponsor accounts can only sign in to the portal, and staff only to the dashboard.
    */
-  async login(username, password, ipAddress, userAgent) {
+  async login(username, password, ipAddress, userAgent, portal = 'admin') {
     try {
       // Get admin with role
       const result = await pool.query(
@@ -165,29 +248,91 @@ class AdminAuthService {
         return { success: false, error: 'Invalid credentials' };
       }
 
-      // Create session
-      const session = await this.createSession(admin.id, ipAddress, userAgent);
+      if ((admin.role_name === 'sponsor') !== (portal === 'sponsor')) {
+        await this.logActivity(admin.id, 'failed_login',
+          { reason: 'Wrong portal', portal }, ipAddress, userAgent);
+        return {
+          success: false,
+          error: portal === 'sponsor' ? 'Staff accounts sign in at /admin' : 'Sponsor accounts sign in at /sponsor'
+        };
+      }
 
-      return {
-        success: true,
-        sessionToken: session.session_token,
-        expiresAt: session.expires_at,
-        admin: {
-          id: admin.id,
-          username: admin.username,
-          fullName: admin.full_name,
-          email: admin.email,
-          role: admin.role_name,
-          roleDisplayName: admin.role_display_name,
-          permissions: admin.permissions
-        }
-      };
+      await adminMfa.ensureSchema();
+      if (admin.totp_enabled) {
+        return this.mfaChallenge(admin.id, ipAddress, userAgent);
+      }
+
+      return this.startSession(admin, ipAddress, userAgent);
     } catch (error) {
       logger.error('Error during login:', error);
       return { success: false, error: 'Login failed' };
     }
   }
 
+  /**
+   * Password was right but the admin has 2FA on: no session yet, just a
+   * short-lived challenge for /api/login/2fa to exchange.
+   */
+  async mfaChallenge(adminId, ipAddress, userAgent) {
+    const challengeToken = await adminMfa.createChallenge(adminId);
+    await this.logActivity(adminId, 'login_2fa_challenge', {}, ipAddress, userAgent);
+    return { success: false, mfaRequired: true, challengeToken };
+  }
+
+  /**
+   * Second half of a 2FA login
+   */
+  async completeMfaLogin(challengeToken, code, ipAddress, userAgent) {
+    try {
+      const check = await adminMfa.completeChallenge(challengeToken, code);
+      if (!check.success) {
+        if (check.adminId) {
+          await this.logActivity(check.adminId, 'failed_login',
+            { reason: 'Invalid 2FA code' }, ipAddress, userAgent);
+        }
+        return { success: false, expired: !!check.expired, error: check.error };
+      }
+
+      const result = await pool.query(
+        `SELECT a.*, r.role_name, r.permissions, r.display_name as role_display_name
+         FROM admins a
+         JOIN admin_roles r ON a.role_id = r.id
+         WHERE a.id = $1 AND a.is_active = true`,
+        [check.adminId]
+      );
+      if (result.rows.length === 0) {
+        return { success: false, error: 'Admin account is disabled' };
+      }
+      if (check.method === 'recovery') {
+        await this.logActivity(check.adminId, '2fa_recovery_code_used', {}, ipAddress, userAgent);
+      }
+
+      return this.startSession(result.rows[0], ipAddress, userAgent);
+    } catch (error) {
+      logger.error('Error during 2FA login:', error);
+      return { success: false, error: 'Login failed' };
+    }
+  }
+
+  async startSession(admin, ipAddress, userAgent) {
+    const session = await this.createSession(admin.id, ipAddress, userAgent);
+
+    return {
+      success: true,
+      sessionToken: session.session_token,
+      expiresAt: session.expires_at,
+      admin: {
+        id: admin.id,
+        username: admin.username,
+        fullName: admin.full_name,
+        email: admin.email,
+        role: admin.role_name,
+        roleDisplayName: admin.role_display_name,
+        permissions: admin.permissions
+      }
+    };
+  }
+
   /**
    * Login with legacy token (for backward compatibility)
    */
@@ -224,6 +369,11 @@ class AdminAuthService {
 
       const adminData = admin.rows[0];
 
+      await adminMfa.ensureSchema();
+      if (adminData.totp_enabled) {
+        return this.mfaChallenge(adminData.id, ipAddress, userAgent);
+      }
+
       // Create session
       const session = await this.createSession(adminData.id, ipAddress, userAgent);
 
@@ -344,16 +494,119 @@ class AdminAuthService {
   async getAllRoles() {
     try {
       const result = await pool.query(
-        'SELECT id, role_name, display_name, description, permissions FROM admin_roles ORDER BY id'
+        `SELECT r.id, r.role_name, r.display_name, r.description, r.permissions,
+                COUNT(a.id)::int AS admin_count
+         FROM admin_roles r
+         LEFT JOIN admins a ON a.role_id = r.id
+         GROUP BY r.id
+         ORDER BY r.id`
       );
 
-      return result.rows;
+      return result.rows.map(role => ({
+        ...role,
+        locked: LOCKED_ROLES.includes(normaliseRole(role.role_name))
+      }));
     } catch (error) {
       logger.error('Error getting roles:', error);
       return [];
     }
   }
 
+  /**
+   * Create (roleId null) or update a role from the Roles page.
+   * input.permissions is a list of 'resource.action'. Every resource is
+   * written out, unticked ones as false, so ensureRoles() never re-adds
+   * something an admin took away.
+   */
+  async saveRole(roleId, input = {}, updatedBy) {
+    const displayName = String(input.displayName || '').trim();
+    if (displayName.length < 2 || displayName.length > 50) {
+      return { success: false, error: 'Role name must be 2–50 characters' };
+    }
+
+    const granted = new Set(Array.isArray(input.permissions) ? input.permissions : []);
+    const permissions = {};
+    for (const [resource, def] of Object.entries(RESOURCES)) {
+      permissions[resource] = {};
+      for (const action of Object.keys(def.actions)) {
+        permissions[resource][action] = granted.has(`${resource}.${action}`);
+      }
+    }
+    const description = input.description ? String(input.description).trim().slice(0, 200) : null;
+
+    try {
+      let result;
+      if (roleId) {
+        const existing = await pool.query('SELECT role_name FROM admin_roles WHERE id = $1', [roleId]);
+        if (!existing.rows.length) return { success: false, error: 'Role not found' };
+        if (LOCKED_ROLES.includes(normaliseRole(existing.rows[0].role_name))) {
+          return { success: false, error: 'This role cannot be edited' };
+        }
+        result = await pool.query(
+          `UPDATE admin_roles SET display_name = $2, description = $3, permissions = $4::jsonb
+           WHERE id = $1 RETURNING *`,
+          [roleId, displayName, description, JSON.stringify(permissions)]
+        );
+      } else {
+        const roleName = normaliseRole(displayName).replace(/[^a-z0-9_]/g, '');
+        if (!roleName || LOCKED_ROLES.includes(roleName)) return { success: false, error: 'Choose a different role name' };
+        result = await pool.query(
+          `INSERT INTO admin_roles (role_name, display_name, description, permissions)
+           VALUES ($1, $2, $3, $4::jsonb) RETURNING *`,
+          [roleName, displayName, description, JSON.stringify(permissions)]
+        );
+      }
+
+      logger.info(`Admin role ${result.rows[0].role_name} saved by admin ${updatedBy}`);
+      return { success: true, role: result.rows[0] };
+    } catch (error) {
+      logger.error('Error saving role:', error);
+      if (error.code === '23505') {
+        return { success: false, error: 'A role with that name already exists' };
+      }
+      return { success: false, error: 'Failed to save role' };
+    }
+  }
+
+  /**
+   * Change a staff admin's role or active flag. Nobody can demote or
+   * disable themselves, and sponsor logins are managed from Sponsors.
+   */
+  async updateAdmin(adminId, { roleId, isActive } = {}, updatedBy) {
+    try {
+      if (parseInt(adminId) === parseInt(updatedBy)) {
+        return { success: false, error: 'You cannot change your own account' };
+      }
+      const target = await pool.query(
+        `SELECT a.id, r.role_name FROM admins a JOIN admin_roles r ON a.role_id = r.id WHERE a.id = $1`,
+        [adminId]
+      );
+      if (!target.rows.length) return { success: false, error: 'Admin not found' };
+      if (normaliseRole(target.rows[0].role_name) === 'sponsor') {
+        return { success: false, error: 'Sponsor logins are managed from the sponsor page' };
+      }
+
+      if (roleId !== undefined) {
+        const role = await pool.query('SELECT role_name FROM admin_roles WHERE id = $1', [roleId]);
+        if (!role.rows.length) return { success: false, error: 'Role not found' };
+        if (normaliseRole(role.rows[0].role_name) === 'sponsor') {
+          return { success: false, error: 'Sponsor logins are managed from the sponsor page' };
+        }
+        await pool.query('UPDATE admins SET role_id = $1 WHERE id = $2', [roleId, adminId]);
+      }
+      if (isActive !== undefined) {
+        await pool.query('UPDATE admins SET is_active = $1 WHERE id = $2', [!!isActive, adminId]);
+        if (!isActive) {
+          await pool.query('UPDATE admin_sessions SET is_active = false WHERE admin_id = $1', [adminId]);
+        }
+      }
+      return { success: true };
+    } catch (error) {
+      logger.error('Error updating admin:', error);
+      return { success: false, error: 'Failed to update admin' };
+    }
+  }
+
   /**
    * Update admin status
    */
@@ -0,0 +1,385 @@
+// ============================================
+// FILE: src/services/admin-mfa.service.js
+// ADMIN TWO-FACTOR AUTHENTICATION & STEP-UP
+//
+// EXPORT SHAPE: exports an INSTANCE (like sponsor.service.js).
+//   const adminMfa = require('./admin-mfa.service');
+//
+// TOTP (RFC 6238: SHA-1, 6 digits, 30-second steps) — any authenticator
+// app works. Secrets are stored AES-256-GCM encrypted with a key derived
+// from ADMIN_2FA_KEY; enrolment refuses to start without it. Each code is
+// accepted once (admins.totp_last_step), one step either side of now to
+// allow for clock drift. Enrolment also issues ten single-use recovery
+// codes, stored hashed.
+//
+// LOGIN
+// A correct password for an admin with 2FA on doesn't create a session.
+// It creates a challenge (Redis, 5 minutes, 5 attempts) that
+// /admin/api/login/2fa exchanges for one once the code checks out.
+//
+// LOCKOUT
+// Every code check — login, step-up, turning 2FA off — and every step-up
+// password counts wrong answers per admin in Redis. CODE_FAILURE_LIMIT
+// of them locks that admin's checks for CODE_LOCKOUT_MINUTES, so a new
+// challenge or another session doesn't buy more guesses.
+// ADMIN_2FA_REQUIRED=true keeps admins without 2FA on the enrolment
+// screens until they set it up.
+//
+// STEP-UP
+// Routes in STEP_UP_ROUTES (src/config/admin-permissions.js) also need a
+// fresh confirmation: the authenticator code, or the password for an
+// admin who hasn't enrolled. It lasts STEP_UP_MINUTES on that session
+// only. The routes log every attempt to admin_activity_log.
+// ============================================
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const QRCode = require('qrcode');
+const pool = require('../config/database');
+const redis = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+const ISSUER = "What's Up Trivia Admin";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;
+const RECOVERY_CODES = 10;
+const CHALLENGE_TTL = 300;
+const CHALLENGE_ATTEMPTS = 5;
+const STEP_UP_MINUTES = 5;
+const CODE_FAILURE_LIMIT = 5;
+const CODE_LOCKOUT_MINUTES = 15;
+const LOCKED_OUT = `Too many wrong attempts. Try again in ${CODE_LOCKOUT_MINUTES} minutes.`;
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0, value = 0, out = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+    return out;
+}
+
+function base32Decode(text) {
+    let bits = 0, value = 0;
+    const out = [];
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const index = BASE32.indexOf(char);
+        if (index === -1) continue;
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            out.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(out);
+}
+
+function hotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** DIGITS);
+    return String(code).padStart(DIGITS, '0');
+}
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Recovery codes are shown as XXXXX-XXXXX, but case, spaces and the
+// hyphen don't matter when one is typed back — only this form is hashed.
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+
+class AdminMfaService {
+    constructor() {
+        this._schemaReady = false;
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false`);
+        await pool.query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_secret TEXT`);
+        await pool.query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT`);
+        await pool.query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_last_step BIGINT`);
+        await pool.query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_recovery_codes TEXT[]`);
+        await pool.query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP`);
+        await pool.query(`ALTER TABLE admin_sessions ADD COLUMN IF NOT EXISTS step_up_at TIMESTAMP`);
+        this._schemaReady = true;
+    }
+
+    get required() {
+        return process.env.ADMIN_2FA_REQUIRED === 'true';
+    }
+
+    get stepUpMinutes() {
+        return STEP_UP_MINUTES;
+    }
+
+    // ============================================
+    // SECRETS
+    // ============================================
+
+    _key() {
+        if (!process.env.ADMIN_2FA_KEY) throw new Error('ADMIN_2FA_KEY is not set');
+        return crypto.createHash('sha256').update(process.env.ADMIN_2FA_KEY).digest();
+    }
+
+    _encrypt(secret) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this._key(), iv);
+        const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join('.');
+    }
+
+    _decrypt(stored) {
+        const [iv, tag, data] = stored.split('.').map(s => Buffer.from(s, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this._key(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+    }
+
+    /** The step that matched (for replay protection), or null. */
+    _matchStep(secret, code, lastStep) {
+        const clean = String(code || '').replace(/\s+/g, '');
+        if (!/^\d{6}$/.test(clean)) return null;
+        const now = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+        for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+            if (lastStep !== null && lastStep !== undefined && step <= Number(lastStep)) continue;
+            const expected = hotp(secret, step);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return step;
+        }
+        return null;
+    }
+
+    // ============================================
+    // LOCKOUT
+    // ============================================
+
+    async _lockedOut(adminId) {
+        const failures = parseInt(await redis.get(`admin_mfa_failures:${adminId}`)) || 0;
+        return failures >= CODE_FAILURE_LIMIT;
+    }
+
+    // Each wrong answer restarts the window, so the lockout runs from the last one.
+    async _recordFailure(adminId) {
+        const key = `admin_mfa_failures:${adminId}`;
+        const failures = await redis.incr(key);
+        await redis.expire(key, CODE_LOCKOUT_MINUTES * 60);
+        if (failures === CODE_FAILURE_LIMIT) {
+            logger.warn(`🔐 Admin ${adminId} locked out of 2FA checks for ${CODE_LOCKOUT_MINUTES} minutes after ${failures} wrong attempts`);
+        }
+    }
+
+    async _clearFailures(adminId) {
+        await redis.del(`admin_mfa_failures:${adminId}`);
+    }
+
+    // ============================================
+    // ENROLMENT
+    // ============================================
+
+    async status(adminId) {
+        await this.ensureSchema();
+        const result = await pool.query(
+            'SELECT totp_enabled, totp_enabled_at, COALESCE(array_length(totp_recovery_codes, 1), 0) AS recovery_left FROM admins WHERE id = $1',
+            [adminId]
+        );
+        const row = result.rows[0] || {};
+        return {
+            enabled: !!row.totp_enabled,
+            enabledAt: row.totp_enabled_at || null,
+            recoveryCodesLeft: parseInt(row.recovery_left) || 0,
+            required: this.required
+        };
+    }
+
+    /** Starts (or restarts) enrolment. Nothing changes until confirmEnrolment. */
+    async beginEnrolment(admin) {
+        await this.ensureSchema();
+        const current = await this.status(admin.admin_id);
+        if (current.enabled) return { success: false, error: 'Two-factor authentication is already on' };
+
+        const secret = base32Encode(crypto.randomBytes(20));
+        await pool.query('UPDATE admins SET totp_pending_secret = $2 WHERE id = $1', [admin.admin_id, this._encrypt(secret)]);
+
+        const label = encodeURIComponent(`${ISSUER}:${admin.username}`);
+        const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&digits=${DIGITS}&period=${STEP_SECONDS}`;
+        const qrDataUrl = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+        return { success: true, secret, otpauthUrl, qrDataUrl };
+    }
+
+    /** The first code from the app proves it is set up; returns the recovery codes once. */
+    async confirmEnrolment(adminId, code) {
+        await this.ensureSchema();
+        const result = await pool.query('SELECT totp_pending_secret FROM admins WHERE id = $1', [adminId]);
+        const pending = result.rows[0] && result.rows[0].totp_pending_secret;
+        if (!pending) return { success: false, error: 'Start setup first' };
+
+        const step = this._matchStep(this._decrypt(pending), code, null);
+        if (step === null) return { success: false, error: 'That code is not right. Check the time on your phone and try again.' };
+
+        const recoveryCodes = Array.from({ length: RECOVERY_CODES }, () =>
+            crypto.randomBytes(5).toString('hex').toUpperCase().replace(/(.{5})/, '$1-'));
+        await pool.query(`
+            UPDATE admins SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+                   totp_enabled = true, totp_enabled_at = NOW(), totp_last_step = $2,
+                   totp_recovery_codes = $3
+            WHERE id = $1
+        `, [adminId, step, recoveryCodes.map(code => hashCode(normalizeRecoveryCode(code)))]);
+        logger.info(`🔐 Admin ${adminId} turned on two-factor authentication`);
+        return { success: true, recoveryCodes };
+    }
+
+    async disable(adminId, code) {
+        const check = await this.verifyCode(adminId, code);
+        if (check.locked) return { success: false, locked: true, error: LOCKED_OUT };
+        if (!check.ok) return { success: false, error: 'That code is not right' };
+        await pool.query(`
+            UPDATE admins SET totp_enabled = false, totp_secret = NULL, totp_pending_secret = NULL,
+                   totp_last_step = NULL, totp_recovery_codes = NULL, totp_enabled_at = NULL
+            WHERE id = $1
+        `, [adminId]);
+        logger.info(`🔐 Admin ${adminId} turned off two-factor authentication`);
+        return { success: true };
+    }
+
+    /**
+     * An authenticator code, or one of the recovery codes (used up).
+     * { ok: false, locked: true } while the admin is locked out.
+     */
+    async verifyCode(adminId, code) {
+        await this.ensureSchema();
+        if (await this._lockedOut(adminId)) return { ok: false, locked: true };
+        const result = await pool.query(
+            'SELECT totp_enabled, totp_secret, totp_last_step, totp_recovery_codes FROM admins WHERE id = $1',
+            [adminId]
+        );
+        const admin = result.rows[0];
+        if (!admin || !admin.totp_enabled || !admin.totp_secret) return { ok: false };
+
+        const step = this._matchStep(this._decrypt(admin.totp_secret), code, admin.totp_last_step);
+        if (step !== null) {
+            // Guarded so two requests racing with the same code can't both pass
+            const claimed = await pool.query(
+                'UPDATE admins SET totp_last_step = $2 WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)',
+                [adminId, step]
+            );
+            if (claimed.rowCount === 1) {
+                await this._clearFailures(adminId);
+                return { ok: true, method: 'totp' };
+            }
+            await this._recordFailure(adminId);
+            return { ok: false };
+        }
+
+        const recovery = normalizeRecoveryCode(code);
+        if (recovery.length === 10) {
+            const used = await pool.query(`
+                UPDATE admins SET totp_recovery_codes = array_remove(totp_recovery_codes, $2)
+                WHERE id = $1 AND $2 = ANY(totp_recovery_codes)
+            `, [adminId, hashCode(recovery)]);
+            if (used.rowCount) {
+                logger.warn(`🔐 Admin ${adminId} used a recovery code`);
+                await this._clearFailures(adminId);
+                return { ok: true, method: 'recovery' };
+            }
+        }
+        await this._recordFailure(adminId);
+        return { ok: false };
+    }
+
+    // ============================================
+    // LOGIN CHALLENGE
+    // ============================================
+
+    async createChallenge(adminId) {
+        const token = crypto.randomBytes(24).toString('hex');
+        await redis.setex(`admin_mfa_challenge:${token}`, CHALLENGE_TTL, JSON.stringify({ adminId, attempts: 0 }));
+        return token;
+    }
+
+    /** { success, adminId } once the code checks out; the challenge is then gone. */
+    async completeChallenge(token, code) {
+        const key = `admin_mfa_challenge:${String(token || '').replace(/[^a-f0-9]/g, '')}`;
+        const raw = await redis.get(key);
+        if (!raw) return { success: false, expired: true, error: 'Sign-in expired. Enter your password again.' };
+
+        const challenge = JSON.parse(raw);
+        const check = await this.verifyCode(challenge.adminId, code);
+        if (check.locked) {
+            await redis.del(key);
+            return { success: false, expired: true, adminId: challenge.adminId, error: LOCKED_OUT };
+        }
+        if (!check.ok) {
+            challenge.attempts += 1;
+            if (challenge.attempts >= CHALLENGE_ATTEMPTS) {
+                await redis.del(key);
+                return { success: false, expired: true, adminId: challenge.adminId, error: 'Too many wrong codes. Enter your password again.' };
+            }
+            const ttl = await redis.ttl(key);
+            await redis.setex(key, Math.max(ttl, 1), JSON.stringify(challenge));
+            return { success: false, adminId: challenge.adminId, error: 'That code is not right' };
+        }
+        await redis.del(key);
+        return { success: true, adminId: challenge.adminId, method: check.method };
+    }
+
+    // ============================================
+    // STEP-UP
+    // ============================================
+
+    hasFreshStepUp(session) {
+        if (!session || !session.step_up_at) return false;
+        return Date.now() - new Date(session.step_up_at).getTime() < STEP_UP_MINUTES * 60 * 1000;
+    }
+
+    /**
+     * Confirms it's still the admin at the keyboard: their authenticator
+     * code when 2FA is on, otherwise their password (or the admin token
+     * for the legacy token account). Marks this session only.
+     */
+    async stepUp(session, { code, password } = {}) {
+        await this.ensureSchema();
+        const result = await pool.query('SELECT password_hash, totp_enabled FROM admins WHERE id = $1', [session.admin_id]);
+        const admin = result.rows[0];
+        if (!admin) return { success: false, error: 'Admin not found' };
+
+        let method;
+        if (admin.totp_enabled) {
+            const check = await this.verifyCode(session.admin_id, code);
+            if (check.locked) return { success: false, locked: true, error: LOCKED_OUT };
+            if (!check.ok) return { success: false, error: 'That code is not right' };
+            method = check.method;
+        } else {
+            if (await this._lockedOut(session.admin_id)) return { success: false, locked: true, error: LOCKED_OUT };
+            if (admin.password_hash) {
+                if (!password || !(await bcrypt.compare(String(password), admin.password_hash))) {
+                    await this._recordFailure(session.admin_id);
+                    return { success: false, error: 'That password is not right' };
+                }
+                method = 'password';
+            } else {
+                if (!password || !process.env.ADMIN_TOKEN || password !== process.env.ADMIN_TOKEN) {
+                    await this._recordFailure(session.admin_id);
+                    return { success: false, error: 'That admin token is not right' };
+                }
+                method = 'admin_token';
+            }
+            await this._clearFailures(session.admin_id);
+        }
+
+        await pool.query('UPDATE admin_sessions SET step_up_at = NOW() WHERE id = $1', [session.id]);
+        return { success: true, method, validForMinutes: STEP_UP_MINUTES };
+    }
+}
+
+module.exports = new AdminMfaService();
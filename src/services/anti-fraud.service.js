@@ -256,7 +256,7 @@ class AntiFraudService {
                 FROM game_sessions
                 WHERE user_id = $1
                 AND DATE(completed_at) = CURRENT_DATE
-                AND current_question > 15
+                AND current_question > COALESCE(jsonb_array_length(game_format->'prize_ladder'), 15)
                 AND status = 'completed' AND final_score > 0
             `, [userId]);
             
@@ -378,7 +378,7 @@ class AntiFraudService {
                     MIN(fastest_response_ms) as fastest_response,
                     COUNT(*) FILTER (WHERE suspicious_flag = true) as suspicious_sessions,
                     COUNT(*) FILTER (WHERE status = 'completed' AND final_score > 0) as wins,
-                    COUNT(*) FILTER (WHERE current_question > 15 AND status = 'completed' AND final_score > 0) as perfect_games
+                    COUNT(*) FILTER (WHERE current_question > COALESCE(jsonb_array_length(game_format->'prize_ladder'), 15) AND status = 'completed' AND final_score > 0) as perfect_games
                 FROM game_sessions
                 WHERE user_id = $1
             `, [userId]);
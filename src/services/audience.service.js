@@ -0,0 +1,159 @@
+// ============================================
+// FILE: src/services/audience.service.js
+// ASK THE AUDIENCE — the third lifeline, backed by how real players
+// actually answered the question on screen.
+//
+// EXPORT SHAPE: exports an INSTANCE (like toggles.service.js).
+//   const audienceService = require('./audience.service');
+//
+// WHERE THE NUMBERS COME FROM
+// questions.answer_counts holds a running tally per option, e.g.
+// {"A": 41, "B": 7, "C": 3, "D": 12}. updateQuestionStats() bumps it on
+// every answer. Games played before the column existed are folded in
+// once from game_audit_logs: QUESTION_ASKED carries the question id,
+// ANSWER_GIVEN carries the letter, and the two share session + number.
+//
+// If a question has too few tallied answers, its times_asked /
+// times_correct ratio is used instead: the correct option gets the
+// real hit rate and the rest is split evenly across the wrong ones.
+// With neither, there is no audience — the lifeline is refused and
+// NOT consumed, rather than showing the player invented numbers.
+// ============================================
+
+const pool = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const OPTIONS = ['A', 'B', 'C', 'D'];
+
+// Below this many answers a poll is noise; one player choosing D makes D 100%.
+const MIN_SAMPLE = 10;
+const BAR_WIDTH = 10;
+
+class AudienceService {
+    constructor() {
+        this._schemaReady = false;
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS lifeline_audience_used BOOLEAN DEFAULT false`);
+        // Added without a default so existing rows stay NULL ("not yet
+        // backfilled"); new questions then start at {} with nothing to fold in.
+        await pool.query(`ALTER TABLE questions ADD COLUMN IF NOT EXISTS answer_counts JSONB`);
+        await pool.query(`ALTER TABLE questions ALTER COLUMN answer_counts SET DEFAULT '{}'::jsonb`);
+        this._schemaReady = true;
+
+        // One pass over the audit log, in the background: it can be slow on a
+        // large table and nothing needs to wait for it.
+        this._backfill().catch(e => logger.error(`Audience backfill failed: ${e.message}`));
+    }
+
+    async _backfill() {
+        const pending = await pool.query('SELECT 1 FROM questions WHERE answer_counts IS NULL LIMIT 1');
+        if (!pending.rows.length) return;
+
+        const started = Date.now();
+        const result = await pool.query(`
+            WITH answers AS (
+                SELECT (q.event_data->>'question_id')::int AS question_id,
+                       a.event_data->>'user_answer' AS answer,
+                       COUNT(*) AS n
+                FROM game_audit_logs q
+                JOIN game_audit_logs a
+                  ON a.session_id = q.session_id
+                 AND a.event_type = 'ANSWER_GIVEN'
+                 AND a.event_data->>'question_number' = q.event_data->>'question_number'
+                WHERE q.event_type = 'QUESTION_ASKED'
+                  AND q.event_data->>'question_id' ~ '^[0-9]+$'
+                  AND a.event_data->>'user_answer' IN ('A', 'B', 'C', 'D')
+                GROUP BY 1, 2
+            ), tallies AS (
+                SELECT question_id, jsonb_object_agg(answer, n) AS counts
+                FROM answers GROUP BY question_id
+            )
+            UPDATE questions qs
+            SET answer_counts = t.counts
+            FROM tallies t
+            WHERE qs.id = t.question_id AND qs.answer_counts IS NULL
+        `);
+        await pool.query(`UPDATE questions SET answer_counts = '{}'::jsonb WHERE answer_counts IS NULL`);
+        logger.info(`👥 Audience stats backfilled for ${result.rowCount} question(s) in ${Date.now() - started}ms`);
+    }
+
+    // Called from questionService.updateQuestionStats() on every answer.
+    async recordAnswer(questionId, answer) {
+        if (!questionId || !OPTIONS.includes(answer)) return;
+        try {
+            await this.ensureSchema();
+            await pool.query(`
+                UPDATE questions
+                SET answer_counts = jsonb_set(
+                    COALESCE(answer_counts, '{}'::jsonb), ARRAY[$2::text],
+                    to_jsonb(COALESCE((answer_counts->>$2)::int, 0) + 1)
+                )
+                WHERE id = $1
+            `, [questionId, answer]);
+        } catch (error) {
+            logger.error('Error recording audience answer:', error);
+        }
+    }
+
+    /**
+     * The audience's split for a question, over the options still on screen.
+     * @param {object} question - questions row (answer_counts, times_asked, times_correct, correct_answer)
+     * @param {string[]} options - the letters still showing (two after a 50:50)
+     * @returns {{ ok: boolean, percentages?: object, sample?: number, basis?: string }}
+     */
+    async poll(question, options = OPTIONS) {
+        await this.ensureSchema();
+        const fresh = await pool.query(
+            'SELECT answer_counts, times_asked, times_correct, correct_answer FROM questions WHERE id = $1',
+            [question.id]
+        );
+        const row = fresh.rows[0] || question;
+        const counts = row.answer_counts || {};
+
+        const tallied = options.map(o => parseInt(counts[o]) || 0);
+        const sample = tallied.reduce((a, b) => a + b, 0);
+        if (sample >= MIN_SAMPLE) {
+            return { ok: true, percentages: this._toPercentages(options, tallied), sample, basis: 'answers' };
+        }
+
+        const asked = parseInt(row.times_asked) || 0;
+        if (asked >= MIN_SAMPLE && options.includes(row.correct_answer)) {
+            // The miss rate was spread over all three wrong options, whether or
+            // not a 50:50 has since hidden two of them.
+            const hitRate = Math.min(1, (parseInt(row.times_correct) || 0) / asked);
+            const missShare = (1 - hitRate) / (OPTIONS.length - 1);
+            const weights = options.map(o => (o === row.correct_answer ? hitRate : missShare));
+            return { ok: true, percentages: this._toPercentages(options, weights), sample: asked, basis: 'correct_rate' };
+        }
+
+        return { ok: false, sample };
+    }
+
+    // Whole percentages that add up to exactly 100 (largest remainder).
+    _toPercentages(options, weights) {
+        const total = weights.reduce((a, b) => a + b, 0) || 1;
+        const raw = weights.map(w => (w * 100) / total);
+        const floors = raw.map(Math.floor);
+        let short = 100 - floors.reduce((a, b) => a + b, 0);
+        raw.map((r, i) => [r - floors[i], i])
+            .sort((a, b) => b[0] - a[0])
+            .forEach(([, i]) => { if (short > 0) { floors[i]++; short--; } });
+        const out = {};
+        options.forEach((o, i) => { out[o] = floors[i]; });
+        return out;
+    }
+
+    // Plain-text bar chart for WhatsApp and Telegram.
+    formatChart(percentages) {
+        return Object.entries(percentages).map(([opt, pct]) => {
+            const filled = Math.round((pct / 100) * BAR_WIDTH);
+            return `${opt}) ${'█'.repeat(filled)}${'░'.repeat(BAR_WIDTH - filled)} ${pct}%`;
+        }).join('\n');
+    }
+}
+
+module.exports = new AudienceService();
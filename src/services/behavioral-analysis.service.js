@@ -5,6 +5,7 @@
 
 const pool = require('../config/database');
 const { logger } = require('../utils/logger');
+const gameFormats = require('./game-format.service');
 
 class BehavioralAnalysisService {
     constructor() {
@@ -35,7 +36,8 @@ class BehavioralAnalysisService {
                     current_score,
                     current_question,
                     status,
-                    suspicious_flag
+                    suspicious_flag,
+                    game_format
                 FROM game_sessions
                 WHERE user_id = $1
                 AND started_at >= NOW() - INTERVAL '30 days'
@@ -168,9 +170,11 @@ class BehavioralAnalysisService {
         }
         
         // 2. Check for too many perfect games
-        const perfectGames = sessions.filter(s => 
-            s.current_question === 15 && parseFloat(s.current_score) === 50000
-        ).length;
+        const perfectGames = sessions.filter(s => {
+            const format = gameFormats.forSession(s);
+            return s.current_question === gameFormats.length(format)
+                && parseFloat(s.current_score) === gameFormats.topPrize(format);
+        }).length;
         
         if (perfectGames >= this.THRESHOLDS.SUSPICIOUS_PERFECT_GAMES) {
             anomalies.push({
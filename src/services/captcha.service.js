@@ -551,9 +551,9 @@ class CaptchaService {
     // FORMAT CAPTCHA MESSAGE
     // ============================================
     
-    formatCaptchaMessage(captcha, currentScore, questionNumber) {
+    formatCaptchaMessage(captcha, currentScore, questionNumber, totalQuestions = 15) {
         return `━━━━━━━━━━━━━━━━━━━━\n` +
-               `❓ QUESTION ${questionNumber} of 15\n` +
+               `❓ QUESTION ${questionNumber} of ${totalQuestions}\n` +
                `💰 Current: ₦${currentScore.toLocaleString()}\n` +
                `━━━━━━━━━━━━━━━━━━━━\n\n` +
                captcha.question +
@@ -33,7 +33,7 @@ class CloudinaryService {
     /**
      * Upload a photo verification image buffer to Cloudinary.
      * Returns { url, analysis } or null on upload failure.
-     * Analysis includes: hasFace, faces, brightness, width, height, format, isLikelyTooDark
+     * Analysis includes: hasFace, faces, faceBoxes, brightness, width, height, format, isLikelyTooDark
      */
     async uploadVerificationPhoto(buffer, userId, sessionId) {
         try {
@@ -78,7 +78,7 @@ class CloudinaryService {
 
     /**
      * Analyze a Cloudinary upload response to extract:
-     * - face count (from `faces` array)
+     * - face count and boxes (from `faces` array, [x, y, w, h] each)
      * - perceived brightness (0-1, computed from `colors` palette)
      * - dimensions
      * - dark image flag
@@ -112,6 +112,7 @@ class CloudinaryService {
         
         return {
             faces,
+            faceBoxes: faces > 0 ? result.faces : [],
             hasFace: faces > 0,
             brightness,
             isLikelyTooDark,
@@ -187,6 +188,45 @@ class CloudinaryService {
         };
     }
 
+    get isConfigured() {
+        return !!match;
+    }
+
+    /**
+     * Upload an image that must never be public (KYC documents). Stored as
+     * type 'authenticated', so it can only be fetched through privateUrl().
+     * Returns { publicId, format }; throws on failure.
+     */
+    async uploadPrivate(buffer, { folder, publicId }) {
+        const result = await new Promise((resolve, reject) => {
+            const stream = cloudinary.uploader.upload_stream(
+                {
+                    folder,
+                    public_id: publicId,
+                    resource_type: 'image',
+                    type: 'authenticated',
+                    overwrite: false
+                },
+                (error, result) => {
+                    if (error) reject(error);
+                    else resolve(result);
+                }
+            );
+            stream.end(buffer);
+        });
+        return { publicId: result.public_id, format: result.format };
+    }
+
+    /**
+     * A short-lived signed link to an uploadPrivate() image.
+     */
+    privateUrl(publicId, format, ttlSeconds = 300) {
+        return cloudinary.utils.private_download_url(publicId, format, {
+            type: 'authenticated',
+            expires_at: Math.floor(Date.now() / 1000) + ttlSeconds
+        });
+    }
+
     /**
      * Delete a photo from Cloudinary by its public ID.
      */
@@ -0,0 +1,528 @@
+// ============================================
+// FILE: src/services/daily-challenge.service.js
+// DAILY CHALLENGE — the same five questions for everyone, once a day.
+//
+// EXPORT SHAPE: exports an INSTANCE (like live-show.service.js).
+//   const dailyChallenge = require('./daily-challenge.service');
+//
+// HOW A DAY RUNS
+// The first DAILY of a Nigerian calendar day (streakService.getNigerianDate)
+// pins five questions for that day in daily_challenges, easy to hard.
+// Every player who types DAILY that day gets those five, in that order.
+// One free attempt each — no credit, no prize — and it counts towards the
+// daily streak like a Classic game does.
+//
+// SCORING
+// Unlike a ladder game a wrong answer does not end the run: all five are
+// asked. A correct answer is worth BASE_POINTS plus up to SPEED_POINTS for
+// how much of the ANSWER_SECONDS window was left, so a perfect fast run
+// scores 1000. The day's leaderboard is score, then total answer time.
+//
+// STATE
+// daily_challenge_attempts is the record; Redis holds the open question
+// (daily_run:<userId>) that every incoming A/B/C/D is checked against.
+// The timeout is an in-process timer. After a restart the timer is gone,
+// so a late answer — or typing DAILY again — scores the open question as
+// timed out and carries on.
+//
+// SHARING
+// The result is a Wordle-style grid, one square per question. Chat gets
+// it as text to forward; web gets the same grid drawn by image.service.
+// ============================================
+
+const pool = require('../config/database');
+const redis = require('../config/redis');
+const MessagingService = require('./messaging.service');
+const QuestionService = require('./question.service');
+const streakService = require('./streak.service');
+const achievementsService = require('./achievements.service');
+const languageService = require('./language.service');
+const gameEvents = require('./game-events.service');
+const { platformOf } = require('../utils/platform');
+const { logger } = require('../utils/logger');
+
+const messagingService = new MessagingService();
+const questionService = new QuestionService();
+
+const QUESTION_COUNT = 5;
+const DIFFICULTY_STEPS = [2, 5, 8, 11, 14];   // question.service ladder positions
+const ANSWER_SECONDS = 20;
+const BASE_POINTS = 100;
+const SPEED_POINTS = 100;
+const REPEAT_WINDOW_DAYS = 30;                // don't reuse a recent day's questions
+
+const SQUARES = { correct: '🟩', wrong: '🟥', timeout: '⏰' };
+
+const runKey = (userId) => `daily_run:${userId}`;
+
+class DailyChallengeService {
+    constructor() {
+        this._schemaReady = false;
+        this.timers = new Map();
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS daily_challenges (
+                challenge_date DATE PRIMARY KEY,
+                question_ids INTEGER[] NOT NULL,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS daily_challenge_attempts (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id),
+                challenge_date DATE NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'playing',
+                current_question INTEGER NOT NULL DEFAULT 1,
+                answers JSONB NOT NULL DEFAULT '[]',
+                correct_count INTEGER NOT NULL DEFAULT 0,
+                total_ms INTEGER NOT NULL DEFAULT 0,
+                score INTEGER NOT NULL DEFAULT 0,
+                started_at TIMESTAMP DEFAULT NOW(),
+                completed_at TIMESTAMP,
+                UNIQUE (user_id, challenge_date)
+            )
+        `);
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_daily_attempts_board
+            ON daily_challenge_attempts(challenge_date, score DESC, total_ms)
+            WHERE status = 'completed'
+        `);
+        this._schemaReady = true;
+    }
+
+    // ============================================
+    // THE DAY'S QUESTIONS
+    // ============================================
+
+    /** Today's question ids, pinned by whoever asks first. */
+    async getChallenge(date) {
+        await this.ensureSchema();
+        const existing = await pool.query('SELECT * FROM daily_challenges WHERE challenge_date = $1', [date]);
+        if (existing.rows.length) return existing.rows[0];
+
+        const recent = await pool.query(`
+            SELECT COALESCE(array_agg(DISTINCT qid), '{}') AS ids
+            FROM daily_challenges, unnest(question_ids) AS qid
+            WHERE challenge_date > $1::date - $2::int
+        `, [date, REPEAT_WINDOW_DAYS]);
+        const exclude = recent.rows[0].ids || [];
+
+        const ids = [];
+        for (const step of DIFFICULTY_STEPS) {
+            const question = await questionService.getQuestionByDifficulty(step, [...exclude, ...ids], 'classic');
+            if (!question) throw new Error(`No question available for daily challenge step ${step}`);
+            ids.push(question.id);
+        }
+
+        // Two players starting at the same moment: the first insert stands.
+        await pool.query(`
+            INSERT INTO daily_challenges (challenge_date, question_ids)
+            VALUES ($1, $2)
+            ON CONFLICT (challenge_date) DO NOTHING
+        `, [date, ids]);
+        const pinned = await pool.query('SELECT * FROM daily_challenges WHERE challenge_date = $1', [date]);
+        logger.info(`📅 Daily challenge ${date} pinned: ${pinned.rows[0].question_ids.join(', ')}`);
+        return pinned.rows[0];
+    }
+
+    async getAttempt(userId, date) {
+        await this.ensureSchema();
+        const result = await pool.query(
+            'SELECT * FROM daily_challenge_attempts WHERE user_id = $1 AND challenge_date = $2',
+            [userId, date]
+        );
+        return result.rows[0] || null;
+    }
+
+    // ============================================
+    // PLAYING
+    // ============================================
+
+    /**
+     * DAILY. Starts today's run, picks up one left open, or — once it's
+     * done — shows the result again.
+     * @returns {{ ok: boolean, message?: string }}
+     */
+    async start(user) {
+        await this.ensureSchema();
+        const date = streakService.getNigerianDate();
+        const attempt = await this.getAttempt(user.id, date);
+
+        if (attempt && attempt.status === 'completed') {
+            const result = await this.getResult(user.id, date);
+            return {
+                ok: false,
+                message: `📅 You've already played today's challenge.\n\n${this.formatResult(result)}\n\n` +
+                    `A new one starts at midnight. Type *DAILY TOP* for today's leaderboard.`
+            };
+        }
+
+        const challenge = await this.getChallenge(date);
+
+        if (attempt) {
+            await this._resume(user, attempt, challenge);
+            return { ok: true };
+        }
+
+        const inserted = await pool.query(`
+            INSERT INTO daily_challenge_attempts (user_id, challenge_date)
+            VALUES ($1, $2)
+            ON CONFLICT (user_id, challenge_date) DO NOTHING
+            RETURNING *
+        `, [user.id, date]);
+        if (!inserted.rows.length) return { ok: true };   // a double tap; the first one is running
+        const fresh = inserted.rows[0];
+
+        logger.info(`📅 Daily challenge ${date}: user ${user.id} started`);
+
+        const banners = [];
+        try {
+            const streakResult = await streakService.updateStreak(user.id, 'daily');
+            if (streakResult.frozenDays) banners.push(streakService.formatFreezeUsedMessage(streakResult, languageService.forUser(user)));
+            if (streakResult.updated) await achievementsService.recordEvent(user.id, 'streak', { notify: true });
+            if (streakResult.reward) banners.push(streakService.formatRewardMessage(streakResult.reward));
+        } catch (streakError) {
+            logger.error('Error updating streak for daily challenge:', streakError);
+        }
+
+        await messagingService.sendMessage(user.phone_number,
+            (banners.length ? banners.join('\n\n') + '\n\n' : '') +
+            `📅 *DAILY CHALLENGE* · ${this._formatDate(date)}\n\n` +
+            `The same ${QUESTION_COUNT} questions for everyone today, and one free try.\n\n` +
+            `✅ ${BASE_POINTS} points for each right answer, plus up to ${SPEED_POINTS} for speed\n` +
+            `⏱️ ${ANSWER_SECONDS} seconds a question\n\n` +
+            `Question 1 coming up…`,
+            { webRedundant: true }
+        );
+
+        await this._ask(user, fresh, challenge, 1);
+        return { ok: true };
+    }
+
+    /**
+     * Hot path — called for every A/B/C/D before it reaches the normal game.
+     * One Redis EXISTS when the player has no run open.
+     */
+    async acceptsAnswerFrom(userId) {
+        return (await redis.exists(runKey(userId))) === 1;
+    }
+
+    async submitAnswer(user, answer) {
+        const raw = await redis.get(runKey(user.id));
+        if (!raw) return;
+        await this._record(user, JSON.parse(raw), answer);
+    }
+
+    // A run left open: the question still has time, so show it again with
+    // the clock it already had; otherwise it timed out and the run moves on.
+    async _resume(user, attempt, challenge) {
+        const raw = await redis.get(runKey(user.id));
+        const run = raw ? JSON.parse(raw) : null;
+        if (run && run.attemptId === attempt.id && Date.now() <= run.deadline) {
+            await this._send(user, run, await questionService.getQuestionById(run.questionId), attempt.score);
+            return;
+        }
+
+        const n = attempt.current_question;
+        await this._record(user, {
+            attemptId: attempt.id,
+            date: this._dateKey(challenge.challenge_date),
+            questionNumber: n,
+            questionId: challenge.question_ids[n - 1],
+            openedAt: 0,
+            deadline: 0
+        }, null);
+    }
+
+    async _ask(user, attempt, challenge, n) {
+        const question = await questionService.getQuestionById(challenge.question_ids[n - 1]);
+        if (!question) {
+            logger.error(`Daily challenge ${this._dateKey(attempt.challenge_date)}: question ${challenge.question_ids[n - 1]} is gone`);
+            await this._finish(user, attempt);
+            return;
+        }
+
+        const openedAt = Date.now();
+        const run = {
+            attemptId: attempt.id,
+            date: this._dateKey(attempt.challenge_date),
+            questionNumber: n,
+            questionId: question.id,
+            openedAt,
+            deadline: openedAt + ANSWER_SECONDS * 1000
+        };
+        await redis.setex(runKey(user.id), 3600, JSON.stringify(run));
+        await this._send(user, run, question, attempt.score);
+        this._arm(user, run);
+    }
+
+    async _send(user, run, question, score) {
+        const shown = await languageService.localizeQuestion(question, languageService.languageOf(user));
+        const secondsLeft = Math.max(1, Math.ceil((run.deadline - Date.now()) / 1000));
+
+        if (platformOf(user) === 'web') {
+            let imageUrl = null;
+            if (question.image_type === 'flag' && question.image_data && process.env.FLAG_BASE_URL) {
+                imageUrl = `${process.env.FLAG_BASE_URL}${question.image_data}.png`;
+            }
+            await gameEvents.emitQuestion(user.id, {
+                daily: true,
+                sessionId: null,
+                questionNumber: run.questionNumber,
+                totalQuestions: QUESTION_COUNT,
+                safeCheckpoints: [],
+                text: shown.question_text,
+                options: { A: shown.option_a, B: shown.option_b, C: shown.option_c, D: shown.option_d },
+                prizeAmount: 0,
+                score,
+                isSafeCheckpoint: false,
+                timerSeconds: ANSWER_SECONDS,
+                expiresAt: run.deadline,
+                lifelines: { fiftyFifty: false, skip: false, audience: false },
+                imageUrl,
+                imageType: question.image_type || null,
+                imageCode: question.image_data || null,
+                gameMode: 'daily'
+            });
+            require('./game-state.service').schedule(user.phone_number);
+            return;
+        }
+
+        await messagingService.sendMessage(user.phone_number,
+            `📅 *DAILY · QUESTION ${run.questionNumber} of ${QUESTION_COUNT}*\n\n` +
+            `${shown.question_text}\n\n` +
+            `A) ${shown.option_a}\nB) ${shown.option_b}\nC) ${shown.option_c}\nD) ${shown.option_d}\n\n` +
+            `⏱️ ${secondsLeft} seconds`
+        );
+    }
+
+    _arm(user, run) {
+        clearTimeout(this.timers.get(user.id));
+        const t = setTimeout(() => {
+            this.timers.delete(user.id);
+            this._record(user, run, null).catch(error =>
+                logger.error(`Daily challenge timeout failed for user ${user.id}: ${error.message}`));
+        }, run.deadline - Date.now() + 500);
+        if (t.unref) t.unref();
+        this.timers.set(user.id, t);
+    }
+
+    /**
+     * Score one question and move on. answer is null for a timeout. The
+     * UPDATE only lands for the question still open, so a late timer and
+     * an answer racing each other can't both count.
+     */
+    async _record(user, run, answer) {
+        const now = Date.now();
+        const timedOut = !answer || now > run.deadline;
+        const question = await questionService.getQuestionById(run.questionId);
+        const correct = !timedOut && !!question && answer === question.correct_answer;
+        const windowMs = ANSWER_SECONDS * 1000;
+        const ms = timedOut ? windowMs : Math.min(windowMs, now - run.openedAt);
+        const points = correct ? BASE_POINTS + Math.round(SPEED_POINTS * (1 - ms / windowMs)) : 0;
+        const mark = correct ? 'correct' : (timedOut ? 'timeout' : 'wrong');
+
+        const updated = await pool.query(`
+            UPDATE daily_challenge_attempts
+            SET answers = answers || $3::jsonb,
+                correct_count = correct_count + $4,
+                total_ms = total_ms + $5,
+                score = score + $6,
+                current_question = current_question + 1
+            WHERE id = $1 AND current_question = $2 AND status = 'playing'
+            RETURNING *
+        `, [run.attemptId, run.questionNumber,
+            JSON.stringify([{ q: run.questionNumber, question_id: run.questionId, answer: timedOut ? null : answer, result: mark, ms, points }]),
+            correct ? 1 : 0, ms, points]);
+        if (!updated.rows.length) return;
+        const attempt = updated.rows[0];
+
+        clearTimeout(this.timers.get(user.id));
+        this.timers.delete(user.id);
+        if (question && !timedOut) await questionService.updateQuestionStats(question.id, correct, answer);
+
+        await this._feedback(user, run, question, answer, mark, points, attempt.score);
+
+        if (run.questionNumber < QUESTION_COUNT) {
+            const challenge = await this.getChallenge(run.date);
+            await this._ask(user, attempt, challenge, run.questionNumber + 1);
+        } else {
+            await this._finish(user, attempt);
+        }
+    }
+
+    async _feedback(user, run, question, answer, mark, points, score) {
+        const correctAnswer = question ? question.correct_answer : null;
+        const correctText = question ? `${correctAnswer}) ${question['option_' + correctAnswer.toLowerCase()]}` : '';
+
+        if (platformOf(user) === 'web') {
+            await gameEvents.clearSnapshot(user.id);
+            gameEvents.emit(user.id, 'answer.result', {
+                daily: true,
+                questionNumber: run.questionNumber,
+                correct: mark === 'correct',
+                chosen: answer,
+                correctAnswer,
+                timedOut: mark === 'timeout',
+                points,
+                score
+            });
+            return;
+        }
+
+        let text;
+        if (mark === 'correct') text = `✅ *Correct!* +${points} points`;
+        else if (mark === 'timeout') text = `⏰ *Time's up!* The answer was ${correctText}`;
+        else text = `❌ *Not this time.* The answer was ${correctText}`;
+        await messagingService.sendMessage(user.phone_number, `${text}\n\nScore so far: ${score}`);
+    }
+
+    async _finish(user, attempt) {
+        await pool.query(`
+            UPDATE daily_challenge_attempts SET status = 'completed', completed_at = NOW()
+            WHERE id = $1 AND status = 'playing'
+        `, [attempt.id]);
+        await redis.del(runKey(user.id));
+
+        const date = this._dateKey(attempt.challenge_date);
+        const result = await this.getResult(user.id, date);
+        logger.info(`📅 Daily challenge ${date}: user ${user.id} scored ${result.score} (${result.correct}/${QUESTION_COUNT})`);
+
+        if (platformOf(user) === 'web') {
+            gameEvents.emit(user.id, 'game.over', {
+                isDaily: true, outcome: 'daily', amountWon: 0, hasWinnings: false, canClaim: false,
+                perfect: result.correct === QUESTION_COUNT,
+                questionsAnswered: result.correct, totalQuestions: QUESTION_COUNT,
+                score: result.score, grid: result.grid, rank: result.rank, players: result.players,
+                isLive: false, isPractice: false, isTournament: false,
+                gameMode: 'daily', gameType: 'daily', sessionId: null,
+                menu: [{ k: 'DAILY TOP', v: "Today's leaderboard" }, { k: 'MENU', v: 'Main menu' }]
+            });
+            require('./game-state.service').schedule(user.phone_number);
+            return;
+        }
+
+        await messagingService.sendMessage(user.phone_number,
+            `📅 *DAILY CHALLENGE COMPLETE*\n\n${this.formatResult(result)}\n\n` +
+            `Forward the grid to your friends and dare them to beat it!\n\n` +
+            `Type *DAILY TOP* for today's leaderboard\nType *MENU* for the main menu`
+        );
+    }
+
+    /**
+     * What game-state.service reports for a web player with a run open.
+     * null when there isn't one.
+     */
+    async stateFor(userId) {
+        const raw = await redis.get(runKey(userId));
+        if (!raw) return null;
+        const run = JSON.parse(raw);
+        const base = { daily: true, gameMode: 'daily', questionNumber: run.questionNumber };
+        if (Date.now() <= run.deadline) {
+            return { ...base, phase: 'question', expects: 'answer',
+                     secondsRemaining: Math.max(0, Math.ceil((run.deadline - Date.now()) / 1000)) };
+        }
+        return { ...base, phase: 'between', expects: 'nothing' };
+    }
+
+    // ============================================
+    // RESULTS
+    // ============================================
+
+    /** A finished attempt with its grid and place on the day's board. */
+    async getResult(userId, date) {
+        const attempt = await this.getAttempt(userId, date);
+        if (!attempt || attempt.status !== 'completed') return null;
+
+        const standing = await pool.query(`
+            SELECT COUNT(*) FILTER (WHERE score > $2 OR (score = $2 AND total_ms < $3)) + 1 AS rank,
+                   COUNT(*) AS players
+            FROM daily_challenge_attempts
+            WHERE challenge_date = $1 AND status = 'completed'
+        `, [date, attempt.score, attempt.total_ms]);
+
+        const marks = attempt.answers.map(a => a.result);
+        while (marks.length < QUESTION_COUNT) marks.push('timeout');
+
+        return {
+            date,
+            dateLabel: this._formatDate(date),
+            score: attempt.score,
+            correct: attempt.correct_count,
+            totalMs: attempt.total_ms,
+            timeLabel: this._formatTime(attempt.total_ms),
+            marks,
+            grid: marks.map(m => SQUARES[m]).join(''),
+            rank: parseInt(standing.rows[0].rank),
+            players: parseInt(standing.rows[0].players)
+        };
+    }
+
+    async getLeaderboard(date, limit = 10) {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT u.username, u.city, a.score, a.correct_count, a.total_ms
+            FROM daily_challenge_attempts a
+            JOIN users u ON u.id = a.user_id
+            WHERE a.challenge_date = $1 AND a.status = 'completed'
+            ORDER BY a.score DESC, a.total_ms ASC, a.completed_at ASC
+            LIMIT $2
+        `, [date, limit]);
+        return result.rows;
+    }
+
+    /** DAILY TOP — today's board, and where the player stands on it. */
+    async formatLeaderboard(user) {
+        const date = streakService.getNigerianDate();
+        const [board, mine] = await Promise.all([this.getLeaderboard(date), this.getResult(user.id, date)]);
+
+        let message = `📅 *DAILY CHALLENGE · ${this._formatDate(date).toUpperCase()}*\n\n`;
+        if (board.length === 0) {
+            message += `Nobody has finished today's challenge yet. Type *DAILY* to be the first!`;
+            return message;
+        }
+        const medals = ['🥇', '🥈', '🥉'];
+        board.forEach((row, i) => {
+            message += `${medals[i] || `${i + 1}.`} ${row.username} — ${row.score} pts · ${row.correct_count}/${QUESTION_COUNT} · ${this._formatTime(row.total_ms)}\n`;
+        });
+        message += mine
+            ? `\nYou: #${mine.rank} of ${mine.players} with ${mine.score} pts`
+            : `\nYou haven't played yet. Type *DAILY* to take your shot!`;
+        return message;
+    }
+
+    /** The shareable block: grid, score and where to play. */
+    formatResult(result) {
+        return `What's Up Trivia Daily · ${result.dateLabel}\n` +
+            `${result.grid} ${result.correct}/${QUESTION_COUNT}\n` +
+            `🎯 ${result.score} pts · ⏱️ ${result.timeLabel}\n` +
+            `🏅 #${result.rank} of ${result.players} today\n` +
+            `https://whatsuptrivia.com.ng`;
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    // pg hands DATE columns back as a Date at local midnight.
+    _dateKey(value) {
+        if (!(value instanceof Date)) return String(value);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+
+    _formatDate(date) {
+        return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', timeZone: 'UTC' });
+    }
+
+    _formatTime(ms) {
+        return `${((parseInt(ms) || 0) / 1000).toFixed(1)}s`;
+    }
+}
+
+module.exports = new DailyChallengeService();
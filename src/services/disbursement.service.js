@@ -0,0 +1,559 @@
+// ============================================
+// FILE: src/services/disbursement.service.js
+// AUTOMATED PAYOUTS — send approved prizes through a gateway's transfer
+// API instead of an admin paying by hand and typing in a reference.
+//
+// EXPORT SHAPE: exports an INSTANCE (like audience.service.js).
+//   const disbursementService = require('./disbursement.service');
+//
+// Optional: nothing changes until AUTO_PAYOUTS_ENABLED=true. The manual
+// mark-paid flow keeps working either way, and is where a payout lands
+// when automation gives up on it.
+//
+// LIFECYCLE
+// Only an *approved* payout with a verified account and a bank code, and
+// no payout_hold (perfect game, face mismatch), is sent. Each attempt is
+// a payout_transfers row with its own reference:
+//   pending → success    transaction marked paid, winner notified
+//   pending → failed     retried after RETRY_DELAYS_MIN, up to MAX_ATTEMPTS
+//   pending → needs_attention   the gateway is holding it for someone to
+//                        act in its dashboard (Paystack transfer OTP). It
+//                        can still go through, so it is never retried;
+//                        an admin is warned and poll() keeps asking
+//   success → reversed   the bank bounced it; the payout goes back to
+//                        approved so it can be sent again or paid by hand
+// Gateways report outcomes by webhook (see payment.routes.js); poll()
+// asks about anything pending too long in case a webhook never came.
+//
+// NO DOUBLE PAYMENTS
+// A partial unique index allows at most one live (pending, held or
+// successful) transfer per payout, whichever admin, batch or instance asks. A
+// request that got no answer from the gateway stays pending until its
+// status is known — it is never retried blind. Only a definite 4xx
+// refusal, or a status check the gateway answers with "not found", counts
+// as failed; a 5xx is settled by asking about the same reference.
+//
+// BULK
+// "Pay all approved" freezes the list into a payout_batches row. A batch
+// above PAYOUT_DUAL_APPROVAL_THRESHOLD waits for a second admin to
+// approve it; below that it runs straight away.
+// ============================================
+
+const crypto = require('crypto');
+const pool = require('../config/database');
+const gatewayManager = require('./payment-gateway-manager');
+const PayoutService = require('./payout.service');
+const ledgerService = require('./ledger.service');
+const { logger } = require('../utils/logger');
+
+const payoutService = new PayoutService();
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAYS_MIN = [5, 30];            // before attempt 2, attempt 3
+const PENDING_CHECK_AFTER_MIN = 15;          // ask the gateway about quiet transfers
+const BATCH_APPROVAL_HOURS = 24;             // an unapproved batch goes stale
+const BATCH_MAX_PAYOUTS = 500;
+// Default for PAYOUT_DUAL_APPROVAL_THRESHOLD: the classic ladder tops out at
+// ₦50,000, so ₦20,000 puts its last five rungs in front of a second admin.
+const DEFAULT_APPROVAL_THRESHOLD = 20000;
+
+class DisbursementService {
+    constructor() {
+        this._schemaReady = false;
+        this._polling = false;
+        this._runningBatches = new Set();
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS payout_batches (
+                id SERIAL PRIMARY KEY,
+                status VARCHAR(20) NOT NULL DEFAULT 'awaiting_approval',
+                transaction_ids INTEGER[] NOT NULL,
+                payout_count INTEGER NOT NULL,
+                total_amount DECIMAL(14,2) NOT NULL,
+                created_by INTEGER,
+                created_by_name VARCHAR(100),
+                approved_by INTEGER,
+                approved_by_name VARCHAR(100),
+                result JSONB,
+                created_at TIMESTAMP DEFAULT NOW(),
+                approved_at TIMESTAMP,
+                completed_at TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS payout_transfers (
+                id SERIAL PRIMARY KEY,
+                transaction_id INTEGER NOT NULL REFERENCES transactions(id),
+                batch_id INTEGER REFERENCES payout_batches(id),
+                gateway VARCHAR(20) NOT NULL,
+                reference VARCHAR(60) NOT NULL UNIQUE,
+                provider_reference VARCHAR(100),
+                attempt INTEGER NOT NULL DEFAULT 1,
+                amount DECIMAL(12,2) NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                failure_reason TEXT,
+                initiated_by INTEGER,
+                next_retry_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW(),
+                completed_at TIMESTAMP
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_payout_transfers_tx ON payout_transfers(transaction_id)`);
+        await pool.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_payout_transfers_one_open
+            ON payout_transfers(transaction_id) WHERE status IN ('pending', 'needs_attention', 'success')
+        `);
+        await pool.query(`DROP INDEX IF EXISTS idx_payout_transfers_one_live`);
+        this._schemaReady = true;
+    }
+
+    // ============================================
+    // CONFIGURATION
+    // ============================================
+
+    isEnabled() {
+        return process.env.AUTO_PAYOUTS_ENABLED === 'true';
+    }
+
+    // 0 is a real setting (every payout action needs a second admin), so
+    // only a missing or malformed value falls back to the default.
+    approvalThreshold() {
+        const configured = parseFloat(process.env.PAYOUT_DUAL_APPROVAL_THRESHOLD);
+        return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_APPROVAL_THRESHOLD;
+    }
+
+    /**
+     * The gateway payouts go through: PAYOUT_GATEWAY if set, otherwise the
+     * first enabled gateway (default first) that can send transfers.
+     */
+    async getGateway() {
+        const named = process.env.PAYOUT_GATEWAY;
+        if (named) {
+            const gw = gatewayManager.gateways[named];
+            return gw && gw.supportsTransfers() ? gw : null;
+        }
+        const enabled = await gatewayManager.getEnabledGatewaysForPicker();
+        return enabled.find(gw => gw.supportsTransfers()) || null;
+    }
+
+    async getStatus() {
+        const gateway = await this.getGateway();
+        let reason = null;
+        if (!this.isEnabled()) reason = 'Set AUTO_PAYOUTS_ENABLED=true to send payouts automatically';
+        else if (!gateway) reason = 'No gateway with transfer credentials is configured';
+        return {
+            enabled: this.isEnabled() && !!gateway,
+            gateway: gateway ? gateway.getName() : null,
+            gatewayName: gateway ? gateway.getDisplayName() : null,
+            approvalThreshold: this.approvalThreshold(),
+            reason
+        };
+    }
+
+    // ============================================
+    // SENDING
+    // ============================================
+
+    /**
+     * Send one approved payout.
+     * @returns {{ ok: boolean, status?: string, error?: string, transfer?: object }}
+     */
+    async disburse(transactionId, adminId = null, opts = {}) {
+        await this.ensureSchema();
+        if (!this.isEnabled()) return { ok: false, error: 'Automated payouts are switched off' };
+        const gateway = await this.getGateway();
+        if (!gateway) return { ok: false, error: 'No gateway with transfer credentials is configured' };
+
+        const result = await pool.query(`
+            SELECT t.id, t.amount, t.payout_status, t.payout_hold, t.hold_reason, u.email,
+                   pd.account_name, pd.account_number, pd.bank_code, pd.verified
+            FROM transactions t
+            JOIN users u ON u.id = t.user_id
+            LEFT JOIN payout_details pd ON pd.transaction_id = t.id
+            WHERE t.id = $1 AND t.transaction_type IN ('prize', 'tournament_prize')
+        `, [transactionId]);
+        const tx = result.rows[0];
+        if (!tx) return { ok: false, status: 404, error: 'Payout not found' };
+        if (tx.payout_status !== 'approved') return { ok: false, error: `Payout is ${tx.payout_status} — only approved payouts can be sent` };
+        if (tx.payout_hold) return { ok: false, error: `Payout is on hold (${tx.hold_reason || 'under review'}) — it can't be sent until the review clears it` };
+        if (!tx.account_number || !tx.bank_code) return { ok: false, error: 'No bank account with a bank code on file' };
+        if (!tx.verified) return { ok: false, error: 'Bank account is not verified — re-verify it or pay manually' };
+
+        const prior = await pool.query(
+            'SELECT COALESCE(MAX(attempt), 0) AS attempts FROM payout_transfers WHERE transaction_id = $1',
+            [tx.id]
+        );
+        const attempt = parseInt(prior.rows[0].attempts) + 1;
+        const reference = `wutpo-${tx.id}-${attempt}-${crypto.randomBytes(4).toString('hex')}`;
+
+        let transfer;
+        try {
+            const inserted = await pool.query(`
+                INSERT INTO payout_transfers (transaction_id, batch_id, gateway, reference, attempt, amount, initiated_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING *
+            `, [tx.id, opts.batchId || null, gateway.getName(), reference, attempt, tx.amount, adminId]);
+            transfer = inserted.rows[0];
+        } catch (error) {
+            if (error.code === '23505') return { ok: false, error: 'A transfer for this payout is already in progress or complete' };
+            throw error;
+        }
+
+        await pool.query(
+            `INSERT INTO payout_history (transaction_id, action, admin_id, payment_reference, payment_method, notes)
+             VALUES ($1, 'transfer_initiated', $2, $3, $4, $5)`,
+            [tx.id, adminId, reference, `${gateway.getName()}_transfer`, `Attempt ${attempt} via ${gateway.getDisplayName()}`]
+        );
+
+        const sent = await gateway.transfer({
+            reference,
+            amount: parseFloat(tx.amount),
+            bankCode: tx.bank_code,
+            accountNumber: tx.account_number,
+            accountName: tx.account_name,
+            narration: `What's Up Trivia prize #${tx.id}`,
+            email: tx.email || process.env.PAYOUT_CONTACT_EMAIL
+        });
+
+        logger.info(`💸 Payout ${tx.id} transfer ${reference} via ${gateway.getName()}: ${sent.status}${sent.error ? ` (${sent.error})` : ''}`);
+        const status = await this._apply(transfer, sent.status, sent.error, sent.providerReference);
+        return { ok: status !== 'failed', status, error: status === 'failed' ? sent.error : null, transfer: { ...transfer, status } };
+    }
+
+    /**
+     * Move a transfer to a new state. Every transition is conditional on the
+     * state it leaves, so repeated webhooks and a concurrent poll are no-ops.
+     * @returns {string} the transfer's status afterwards
+     */
+    async _apply(transfer, status, reason = null, providerReference = null) {
+        if (providerReference && providerReference !== transfer.provider_reference) {
+            await pool.query('UPDATE payout_transfers SET provider_reference = $1 WHERE id = $2', [providerReference, transfer.id]);
+        }
+
+        if (status === 'success') {
+            const done = await pool.query(`
+                UPDATE payout_transfers SET status = 'success', completed_at = NOW(), updated_at = NOW()
+                WHERE id = $1 AND status IN ('pending', 'needs_attention') RETURNING id
+            `, [transfer.id]);
+            if (done.rows.length) {
+                await payoutService.markAsPaid(transfer.transaction_id, transfer.initiated_by, transfer.reference, `${transfer.gateway}_transfer`);
+                try {
+                    await payoutService.notifyPayoutSent(transfer.transaction_id, transfer.reference);
+                } catch (error) {
+                    logger.error(`Payout ${transfer.transaction_id} sent but winner not notified:`, error.message);
+                }
+            }
+            return 'success';
+        }
+
+        if (status === 'failed') {
+            const retryIn = RETRY_DELAYS_MIN[transfer.attempt - 1];
+            const retry = transfer.attempt < MAX_ATTEMPTS && retryIn !== undefined;
+            const failed = await pool.query(`
+                UPDATE payout_transfers
+                SET status = 'failed', failure_reason = $2, updated_at = NOW(),
+                    next_retry_at = ${retry ? `NOW() + INTERVAL '${retryIn} minutes'` : 'NULL'}
+                WHERE id = $1 AND status IN ('pending', 'needs_attention') RETURNING id
+            `, [transfer.id, reason]);
+            if (failed.rows.length) {
+                await pool.query(
+                    `INSERT INTO payout_history (transaction_id, action, payment_reference, notes)
+                     VALUES ($1, 'transfer_failed', $2, $3)`,
+                    [transfer.transaction_id, transfer.reference,
+                     `${reason || 'Transfer failed'}${retry ? ` — retrying in ${retryIn} min` : ' — no retries left, pay manually'}`]
+                );
+                if (!retry) logger.warn(`⚠️ Payout ${transfer.transaction_id}: automated transfer gave up after ${transfer.attempt} attempts`);
+            }
+            return 'failed';
+        }
+
+        if (status === 'needs_attention') {
+            const held = await pool.query(`
+                UPDATE payout_transfers SET status = 'needs_attention', failure_reason = $2, updated_at = NOW()
+                WHERE id = $1 AND status = 'pending' RETURNING id
+            `, [transfer.id, reason]);
+            if (held.rows.length) {
+                await pool.query(
+                    `INSERT INTO payout_history (transaction_id, action, payment_reference, notes)
+                     VALUES ($1, 'transfer_needs_attention', $2, $3)`,
+                    [transfer.transaction_id, transfer.reference,
+                     `${reason || 'The gateway is holding this transfer'} — finish or cancel it in the ${transfer.gateway} dashboard; it will not be retried`]
+                );
+                logger.error(`🚨 Payout ${transfer.transaction_id}: transfer ${transfer.reference} is held by ${transfer.gateway} and needs an admin${reason ? ` (${reason})` : ''}`);
+            } else {
+                await pool.query('UPDATE payout_transfers SET updated_at = NOW() WHERE id = $1', [transfer.id]);
+            }
+            return 'needs_attention';
+        }
+
+        if (status === 'reversed') {
+            const reversed = await pool.query(`
+                UPDATE payout_transfers SET status = 'reversed', failure_reason = $2, next_retry_at = NULL, updated_at = NOW()
+                WHERE id = $1 AND status IN ('pending', 'needs_attention', 'success') RETURNING id
+            `, [transfer.id, reason]);
+            if (reversed.rows.length) {
+                // Undo mark-paid so the payout shows up as owed again. A bank
+                // that bounced a transfer usually will again, so no auto retry.
+                const reopened = await pool.query(`
+                    UPDATE transactions
+                    SET payout_status = 'approved', paid_at = NULL, payment_reference = NULL, payment_method = NULL, updated_at = NOW()
+                    WHERE id = $1 AND payout_status = 'paid'
+                    RETURNING id
+                `, [transfer.transaction_id]);
+                if (reopened.rows.length) {
+                    await ledgerService.recordPayoutReversed({
+                        transactionId: transfer.transaction_id, reference: transfer.reference, reason
+                    });
+                }
+                await pool.query(
+                    `INSERT INTO payout_history (transaction_id, action, payment_reference, notes)
+                     VALUES ($1, 'transfer_reversed', $2, $3)`,
+                    [transfer.transaction_id, transfer.reference, reason || 'Transfer reversed by the bank']
+                );
+                logger.warn(`⚠️ Payout ${transfer.transaction_id}: transfer ${transfer.reference} reversed`);
+            }
+            return 'reversed';
+        }
+
+        await pool.query('UPDATE payout_transfers SET updated_at = NOW() WHERE id = $1', [transfer.id]);
+        return 'pending';
+    }
+
+    /**
+     * Handle a gateway webhook if it is about one of our transfers.
+     * @returns {boolean} true when the event was a transfer event (handled or not ours)
+     */
+    async handleWebhook(gatewayName, payload) {
+        const gateway = gatewayManager.gateways[gatewayName];
+        const event = gateway && gateway.parseTransferWebhook(payload);
+        if (!event) return false;
+        if (!event.reference) return true;
+
+        await this.ensureSchema();
+        const result = await pool.query('SELECT * FROM payout_transfers WHERE reference = $1', [event.reference]);
+        if (!result.rows.length) {
+            logger.warn(`Transfer webhook (${gatewayName}) for unknown reference ${event.reference}`);
+            return true;
+        }
+        await this._apply(result.rows[0], event.status, event.reason);
+        logger.info(`Transfer webhook (${gatewayName}) ${event.reference}: ${event.status}`);
+        return true;
+    }
+
+    // ============================================
+    // BACKGROUND: status checks, retries, stuck batches
+    // ============================================
+
+    async poll() {
+        if (this._polling) return;
+        this._polling = true;
+        try {
+            await this.ensureSchema();
+
+            // Webhooks get lost; ask about anything that has gone quiet,
+            // including transfers held for an admin, which may still settle.
+            const quiet = await pool.query(`
+                SELECT * FROM payout_transfers
+                WHERE status IN ('pending', 'needs_attention') AND updated_at < NOW() - INTERVAL '${PENDING_CHECK_AFTER_MIN} minutes'
+                ORDER BY id LIMIT 50
+            `);
+            for (const transfer of quiet.rows) {
+                const gateway = gatewayManager.gateways[transfer.gateway];
+                if (!gateway) continue;
+                const status = await gateway.getTransferStatus(transfer.reference, transfer.provider_reference);
+                // Not found is final: the gateway never took it, so it can be retried
+                await this._apply(transfer, status.status === 'not_found' ? 'failed' : status.status, status.error);
+            }
+
+            if (!this.isEnabled()) return;
+
+            // Retries: claim the due row first so only one instance sends.
+            const due = await pool.query(`
+                UPDATE payout_transfers SET next_retry_at = NULL
+                WHERE id IN (
+                    SELECT id FROM payout_transfers
+                    WHERE status = 'failed' AND next_retry_at IS NOT NULL AND next_retry_at <= NOW()
+                    ORDER BY next_retry_at LIMIT 20
+                )
+                RETURNING *
+            `);
+            for (const transfer of due.rows) {
+                const retried = await this.disburse(transfer.transaction_id, transfer.initiated_by, { batchId: transfer.batch_id });
+                if (!retried.ok && !retried.transfer) {
+                    logger.warn(`Payout ${transfer.transaction_id} retry skipped: ${retried.error}`);
+                }
+            }
+
+            // A batch interrupted by a restart picks up where it stopped;
+            // payouts it already sent are refused by disburse().
+            const stuck = await pool.query(`
+                SELECT * FROM payout_batches
+                WHERE status = 'running' AND approved_at < NOW() - INTERVAL '30 minutes'
+            `);
+            for (const batch of stuck.rows) {
+                if (!this._runningBatches.has(batch.id)) this._runBatch(batch);
+            }
+        } catch (error) {
+            logger.error('Error in payout transfer poll:', error);
+        } finally {
+            this._polling = false;
+        }
+    }
+
+    // ============================================
+    // BULK "PAY ALL APPROVED"
+    // ============================================
+
+    async createBatch(adminId, adminName) {
+        await this.ensureSchema();
+        const status = await this.getStatus();
+        if (!status.enabled) return { ok: false, error: status.reason };
+
+        const eligible = await pool.query(`
+            SELECT t.id, t.amount
+            FROM transactions t
+            JOIN payout_details pd ON pd.transaction_id = t.id
+            WHERE t.transaction_type IN ('prize', 'tournament_prize')
+              AND t.payout_status = 'approved'
+              AND t.payout_hold IS NOT TRUE
+              AND pd.verified = true AND pd.bank_code IS NOT NULL
+              AND NOT EXISTS (
+                  SELECT 1 FROM payout_transfers pt
+                  WHERE pt.transaction_id = t.id AND pt.status IN ('pending', 'needs_attention', 'success')
+              )
+            ORDER BY t.created_at
+            LIMIT ${BATCH_MAX_PAYOUTS}
+        `);
+        if (!eligible.rows.length) return { ok: false, error: 'No approved payouts with verified accounts are waiting' };
+
+        const ids = eligible.rows.map(r => r.id);
+        const total = eligible.rows.reduce((sum, r) => sum + parseFloat(r.amount), 0);
+        const needsApproval = total > status.approvalThreshold;
+
+        const inserted = await pool.query(`
+            INSERT INTO payout_batches
+                (status, transaction_ids, payout_count, total_amount, created_by, created_by_name,
+                 approved_by, approved_by_name, approved_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *
+        `, [
+            needsApproval ? 'awaiting_approval' : 'running', ids, ids.length, total, adminId, adminName,
+            needsApproval ? null : adminId, needsApproval ? null : adminName, needsApproval ? null : new Date()
+        ]);
+        const batch = inserted.rows[0];
+
+        logger.info(`💸 Payout batch ${batch.id}: ${ids.length} payout(s), ₦${total.toLocaleString()} — ${needsApproval ? 'awaiting second approval' : 'running'}`);
+        if (!needsApproval) this._runBatch(batch);
+        return { ok: true, batch, needsApproval };
+    }
+
+    async approveBatch(batchId, adminId, adminName) {
+        await this.ensureSchema();
+        const found = await pool.query('SELECT * FROM payout_batches WHERE id = $1', [batchId]);
+        const batch = found.rows[0];
+        if (!batch) return { ok: false, status: 404, error: 'Batch not found' };
+        if (batch.status !== 'awaiting_approval') return { ok: false, error: `Batch is ${batch.status}` };
+        if (batch.created_by === adminId) return { ok: false, error: 'A different admin must approve this batch' };
+
+        if (Date.now() - new Date(batch.created_at).getTime() > BATCH_APPROVAL_HOURS * 3600 * 1000) {
+            await pool.query(`UPDATE payout_batches SET status = 'expired' WHERE id = $1 AND status = 'awaiting_approval'`, [batchId]);
+            return { ok: false, error: `Batch is more than ${BATCH_APPROVAL_HOURS} hours old — start a new one` };
+        }
+
+        const updated = await pool.query(`
+            UPDATE payout_batches
+            SET status = 'running', approved_by = $2, approved_by_name = $3, approved_at = NOW()
+            WHERE id = $1 AND status = 'awaiting_approval'
+            RETURNING *
+        `, [batchId, adminId, adminName]);
+        if (!updated.rows.length) return { ok: false, error: 'Batch was already handled' };
+
+        this._runBatch(updated.rows[0]);
+        return { ok: true, batch: updated.rows[0] };
+    }
+
+    async rejectBatch(batchId, adminId, adminName) {
+        await this.ensureSchema();
+        const updated = await pool.query(`
+            UPDATE payout_batches
+            SET status = 'rejected', approved_by = $2, approved_by_name = $3, approved_at = NOW()
+            WHERE id = $1 AND status = 'awaiting_approval'
+            RETURNING *
+        `, [batchId, adminId, adminName]);
+        if (!updated.rows.length) return { ok: false, error: 'Batch is not awaiting approval' };
+        return { ok: true, batch: updated.rows[0] };
+    }
+
+    async listBatches(limit = 20) {
+        await this.ensureSchema();
+        const result = await pool.query('SELECT * FROM payout_batches ORDER BY created_at DESC LIMIT $1', [limit]);
+        return result.rows;
+    }
+
+    // One payout at a time: gateways rate-limit transfers, and a batch is
+    // never in a hurry the way the HTTP request that started it would be.
+    async _runBatch(batch) {
+        if (this._runningBatches.has(batch.id)) return;
+        this._runningBatches.add(batch.id);
+        const result = { sent: 0, pending: 0, failed: 0, skipped: 0, errors: [] };
+        try {
+            for (const id of batch.transaction_ids) {
+                try {
+                    const r = await this.disburse(id, batch.approved_by || batch.created_by, { batchId: batch.id });
+                    if (r.ok && r.status === 'success') result.sent++;
+                    else if (r.ok) result.pending++;
+                    else if (r.transfer) { result.failed++; result.errors.push({ id, error: r.error }); }
+                    else { result.skipped++; result.errors.push({ id, error: r.error }); }
+                } catch (error) {
+                    result.failed++;
+                    result.errors.push({ id, error: error.message });
+                    logger.error(`Payout batch ${batch.id}: payout ${id} errored:`, error);
+                }
+            }
+            await pool.query(
+                `UPDATE payout_batches SET status = 'completed', completed_at = NOW(), result = $2 WHERE id = $1`,
+                [batch.id, JSON.stringify(result)]
+            );
+            logger.info(`💸 Payout batch ${batch.id} done: ${result.sent} sent, ${result.pending} pending, ${result.failed} failed, ${result.skipped} skipped`);
+        } catch (error) {
+            logger.error(`Payout batch ${batch.id} stopped:`, error);
+        } finally {
+            this._runningBatches.delete(batch.id);
+        }
+    }
+
+    // ============================================
+    // ADMIN VIEWS
+    // ============================================
+
+    /** Attach each payout's latest transfer (or null) as `transfer`. */
+    async annotate(payouts) {
+        if (!payouts.length) return payouts;
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT DISTINCT ON (transaction_id)
+                   transaction_id, status, gateway, reference, attempt, failure_reason, next_retry_at, updated_at
+            FROM payout_transfers
+            WHERE transaction_id = ANY($1::int[])
+            ORDER BY transaction_id, id DESC
+        `, [payouts.map(p => p.transaction_id)]);
+        const latest = new Map(result.rows.map(r => [r.transaction_id, r]));
+        return payouts.map(p => ({ ...p, transfer: latest.get(p.transaction_id) || null }));
+    }
+
+    async getTransfers(transactionId) {
+        await this.ensureSchema();
+        const result = await pool.query(
+            'SELECT * FROM payout_transfers WHERE transaction_id = $1 ORDER BY id DESC',
+            [transactionId]
+        );
+        return result.rows;
+    }
+}
+
+module.exports = new DisbursementService();
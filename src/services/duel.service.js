@@ -0,0 +1,469 @@
+// ============================================
+// FILE: src/services/duel.service.js
+// DUEL — two players, one question sequence, head to head.
+//
+// EXPORT SHAPE: exports an INSTANCE (like audience.service.js).
+//   const duelService = require('./duel.service');
+//
+// HOW A DUEL RUNS
+// DUEL <username or referral code> creates a pending duel and starts the
+// challenger's round straight away. The opponent is told on their own
+// platform and has 24 hours to reply DUEL ACCEPT (or DUEL DECLINE). The
+// two rounds are played separately — nobody has to be online together.
+// Duels are free: no token, no streak, no prize. Winning is the point.
+//
+// SAME QUESTIONS
+// duel_questions pins one question per (rung, slot). Slot 0 is the first
+// question shown on a rung; a Skip moves that player on to slot 1, and
+// so on. Whoever reaches a (rung, slot) first draws it with the normal
+// getRandomizedQuestion(); the other player is served that same row. The
+// format is snapshotted onto the duel as well, so both rounds climb the
+// same ladder with the same timers.
+//
+// WHO WINS
+// More correct answers wins. Level on answers, the lower total response
+// time (ANSWER_GIVEN rows in game_audit_logs) wins. Level on both is a
+// draw. A round that was never finished counts as a forfeit once the
+// duel goes stale — see expireStale().
+//
+// KNOCKOUT MATCHES
+// A knockout bracket match (knockout.service.js) is played as a duel too,
+// created already accepted with knockout_match_id set. settle() hands those
+// back to the bracket, which announces the result itself.
+//
+// game.service owns the rounds themselves; this file never requires it
+// (game.service requires this one).
+// ============================================
+
+const pool = require('../config/database');
+const redis = require('../config/redis');
+const MessagingService = require('./messaging.service');
+const gameFormats = require('./game-format.service');
+const { logger } = require('../utils/logger');
+
+const messagingService = new MessagingService();
+
+const CHALLENGE_TTL_HOURS = 24;   // pending → expired
+const ROUND_TTL_HOURS = 24;       // accepted → settled, unfinished rounds forfeit
+const MAX_PENDING_OUTGOING = 5;
+
+class DuelService {
+    constructor() {
+        this._schemaReady = false;
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS duels (
+                id SERIAL PRIMARY KEY,
+                challenger_id INTEGER NOT NULL REFERENCES users(id),
+                opponent_id INTEGER NOT NULL REFERENCES users(id),
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                game_format JSONB,
+                challenger_session_id INTEGER,
+                opponent_session_id INTEGER,
+                challenger_correct INTEGER,
+                challenger_time_ms INTEGER,
+                opponent_correct INTEGER,
+                opponent_time_ms INTEGER,
+                winner_id INTEGER REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT NOW(),
+                accepted_at TIMESTAMP,
+                completed_at TIMESTAMP,
+                expires_at TIMESTAMP NOT NULL
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_duels_opponent_status ON duels(opponent_id, status)`);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_duels_challenger_status ON duels(challenger_id, status)`);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS duel_questions (
+                id SERIAL PRIMARY KEY,
+                duel_id INTEGER NOT NULL REFERENCES duels(id) ON DELETE CASCADE,
+                question_number INTEGER NOT NULL,
+                slot INTEGER NOT NULL DEFAULT 0,
+                question_id INTEGER NOT NULL REFERENCES questions(id),
+                created_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE (duel_id, question_number, slot)
+            )
+        `);
+        await pool.query(`ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS duel_id INTEGER`);
+        this._schemaReady = true;
+    }
+
+    // ============================================
+    // CHALLENGE / ACCEPT / DECLINE
+    // ============================================
+
+    /**
+     * Find the player being challenged. Usernames win over referral codes
+     * when both happen to match.
+     */
+    async findOpponent(query) {
+        const needle = String(query || '').trim().replace(/^@/, '');
+        if (!needle) return null;
+        const result = await pool.query(`
+            SELECT id, username, full_name, phone_number
+            FROM users
+            WHERE LOWER(username) = LOWER($1) OR UPPER(referral_code) = UPPER($1)
+            ORDER BY (LOWER(username) = LOWER($1)) DESC
+            LIMIT 1
+        `, [needle]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Create a pending duel. Does not start any game — the caller does
+     * that once it has the duel row back.
+     * @returns {{ ok: boolean, message?: string, duel?: object, opponent?: object }}
+     */
+    async challenge(challenger, query) {
+        await this.ensureSchema();
+        await this.expireStale();
+
+        const opponent = await this.findOpponent(query);
+        if (!opponent) {
+            return { ok: false, message: `❌ No player found with username or code "${String(query).trim()}".\n\nCheck the spelling and try again.` };
+        }
+        if (opponent.id === challenger.id) {
+            return { ok: false, message: `😅 You can't duel yourself!\n\nType DUEL followed by a friend's username or referral code.` };
+        }
+
+        const open = await pool.query(`
+            SELECT id FROM duels
+            WHERE status IN ('pending', 'accepted')
+              AND ((challenger_id = $1 AND opponent_id = $2) OR (challenger_id = $2 AND opponent_id = $1))
+            LIMIT 1
+        `, [challenger.id, opponent.id]);
+        if (open.rows.length) {
+            return { ok: false, message: `⚔️ You already have an open duel with ${opponent.username}.\n\nFinish that one first!` };
+        }
+
+        const pending = await pool.query(
+            `SELECT COUNT(*) AS n FROM duels WHERE challenger_id = $1 AND status = 'pending'`,
+            [challenger.id]
+        );
+        if (parseInt(pending.rows[0].n) >= MAX_PENDING_OUTGOING) {
+            return { ok: false, message: `⏳ You have ${MAX_PENDING_OUTGOING} duels waiting for an answer.\n\nWait for your friends to respond before sending more.` };
+        }
+
+        // Duels draw from the Classic bank on the default ladder, frozen here
+        // so an admin changing the default mid-duel can't split the two rounds.
+        await gameFormats.ensureSchema();
+        const format = gameFormats.snapshot(gameFormats.getDefault());
+
+        const result = await pool.query(`
+            INSERT INTO duels (challenger_id, opponent_id, game_format, expires_at)
+            VALUES ($1, $2, $3, NOW() + ($4 || ' hours')::interval)
+            RETURNING *
+        `, [challenger.id, opponent.id, JSON.stringify(format), String(CHALLENGE_TTL_HOURS)]);
+        const duel = result.rows[0];
+
+        logger.info(`⚔️ Duel ${duel.id} created: ${challenger.id} vs ${opponent.id}`);
+
+        try {
+            await messagingService.sendMessage(opponent.phone_number,
+                `⚔️ *YOU'VE BEEN CHALLENGED!* ⚔️\n\n` +
+                `*${challenger.username}* has challenged you to a trivia duel!\n\n` +
+                `You'll both face the same ${gameFormats.length(format)} questions. Most correct answers wins — ` +
+                `if it's level, the faster player takes it.\n\n` +
+                `Reply *DUEL ACCEPT* to play\n` +
+                `Reply *DUEL DECLINE* to pass\n\n` +
+                `⏳ This challenge expires in ${CHALLENGE_TTL_HOURS} hours.`
+            );
+        } catch (notifyErr) {
+            logger.error(`Could not notify duel opponent ${opponent.id}:`, notifyErr.message);
+        }
+
+        return { ok: true, duel, opponent };
+    }
+
+    // Most recent pending challenge addressed to this player.
+    async getPendingFor(userId) {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT d.*, u.username AS challenger_username, u.phone_number AS challenger_phone
+            FROM duels d
+            JOIN users u ON u.id = d.challenger_id
+            WHERE d.opponent_id = $1 AND d.status = 'pending' AND d.expires_at > NOW()
+            ORDER BY d.created_at DESC
+            LIMIT 1
+        `, [userId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Accept the latest pending challenge. The caller starts the round.
+     * @returns {{ ok: boolean, message?: string, duel?: object }}
+     */
+    async accept(user) {
+        await this.expireStale();
+        const pending = await this.getPendingFor(user.id);
+        if (!pending) {
+            return { ok: false, message: `❌ You have no pending duel challenges.\n\nType DUEL followed by a friend's username to start one!` };
+        }
+        const result = await pool.query(`
+            UPDATE duels
+            SET status = 'accepted', accepted_at = NOW(),
+                expires_at = NOW() + ($2 || ' hours')::interval
+            WHERE id = $1 AND status = 'pending'
+            RETURNING *
+        `, [pending.id, String(ROUND_TTL_HOURS)]);
+        if (!result.rows.length) {
+            return { ok: false, message: `❌ That challenge is no longer available.` };
+        }
+        const duel = result.rows[0];
+        logger.info(`⚔️ Duel ${duel.id} accepted by ${user.id}`);
+
+        try {
+            await messagingService.sendMessage(pending.challenger_phone,
+                `⚔️ *${user.username}* accepted your duel! Their round is starting now.\n\nWe'll send you the result as soon as both rounds are in.`
+            );
+        } catch (notifyErr) {
+            logger.error(`Could not notify duel challenger ${duel.challenger_id}:`, notifyErr.message);
+        }
+        return { ok: true, duel, opponentName: pending.challenger_username };
+    }
+
+    async decline(user) {
+        const pending = await this.getPendingFor(user.id);
+        if (!pending) {
+            return { ok: false, message: `❌ You have no pending duel challenges.` };
+        }
+        await pool.query(
+            `UPDATE duels SET status = 'declined', completed_at = NOW() WHERE id = $1 AND status = 'pending'`,
+            [pending.id]
+        );
+        logger.info(`⚔️ Duel ${pending.id} declined by ${user.id}`);
+
+        try {
+            await messagingService.sendMessage(pending.challenger_phone,
+                `⚔️ *${user.username}* declined your duel.\n\nType DUEL followed by another username to challenge someone else!`
+            );
+        } catch (notifyErr) {
+            logger.error(`Could not notify duel challenger ${pending.challenger_id}:`, notifyErr.message);
+        }
+        return { ok: true, message: `👍 Duel declined. ${pending.challenger_username} has been told.` };
+    }
+
+    // ============================================
+    // ROUNDS
+    // ============================================
+
+    async getById(duelId) {
+        await this.ensureSchema();
+        const result = await pool.query('SELECT * FROM duels WHERE id = $1', [duelId]);
+        return result.rows[0] || null;
+    }
+
+    // Which side of the duel a round belongs to, as a column prefix.
+    _sideOf(duel, userId) {
+        return duel.challenger_id === userId ? 'challenger' : 'opponent';
+    }
+
+    // Record the session a player's round is being played on.
+    async attachSession(duelId, userId, sessionId) {
+        const duel = await this.getById(duelId);
+        if (!duel) return;
+        const side = this._sideOf(duel, userId);
+        await pool.query(`UPDATE duels SET ${side}_session_id = $1 WHERE id = $2`, [sessionId, duelId]);
+    }
+
+    /**
+     * The question for this session at its current rung. Each call moves
+     * the session on one slot, so a Skip lands on the next pinned question
+     * rather than the one it just skipped.
+     * @param {function(number[]): Promise<object|null>} draw - picks a fresh
+     *   question, excluding the ids already used anywhere in this duel
+     */
+    async questionFor(session, questionNumber, draw) {
+        const slotKey = `duel_slot:${session.session_key}:q${questionNumber}`;
+        const slot = (await redis.incr(slotKey)) - 1;
+        await redis.expire(slotKey, 3600);
+
+        const pinned = await this._pinned(session.duel_id, questionNumber, slot);
+        if (pinned) return pinned;
+
+        const used = await pool.query('SELECT question_id FROM duel_questions WHERE duel_id = $1', [session.duel_id]);
+        const drawn = await draw(used.rows.map(r => r.question_id));
+        if (!drawn) return null;
+
+        // The other player may have drawn the same slot a moment ago; theirs stands.
+        await pool.query(`
+            INSERT INTO duel_questions (duel_id, question_number, slot, question_id)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (duel_id, question_number, slot) DO NOTHING
+        `, [session.duel_id, questionNumber, slot, drawn.id]);
+
+        return (await this._pinned(session.duel_id, questionNumber, slot)) || drawn;
+    }
+
+    async _pinned(duelId, questionNumber, slot) {
+        const result = await pool.query(`
+            SELECT q.*
+            FROM duel_questions dq
+            JOIN questions q ON q.id = dq.question_id
+            WHERE dq.duel_id = $1 AND dq.question_number = $2 AND dq.slot = $3
+        `, [duelId, questionNumber, slot]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Called from completeGame() when a duel round ends, however it ended.
+     * Stores this player's result and settles the duel once both are in.
+     */
+    async onRoundComplete(session, user) {
+        await this.ensureSchema();
+        const duel = await this.getById(session.duel_id);
+        if (!duel || !['pending', 'accepted'].includes(duel.status)) return;
+
+        const side = this._sideOf(duel, user.id);
+        const correct = Math.max(0, session.current_question - 1);
+        const timing = await pool.query(`
+            SELECT COALESCE(SUM((event_data->>'response_time_ms')::int), 0) AS total_ms
+            FROM game_audit_logs
+            WHERE session_id = $1 AND event_type = 'ANSWER_GIVEN'
+              AND event_data->>'response_time_ms' ~ '^[0-9]+$'
+        `, [session.id]);
+        const timeMs = parseInt(timing.rows[0].total_ms) || 0;
+
+        const updated = await pool.query(`
+            UPDATE duels
+            SET ${side}_correct = $1, ${side}_time_ms = $2, ${side}_session_id = $3
+            WHERE id = $4 AND ${side}_correct IS NULL
+            RETURNING *
+        `, [correct, timeMs, session.id, duel.id]);
+        if (!updated.rows.length) return;
+        const fresh = updated.rows[0];
+
+        logger.info(`⚔️ Duel ${duel.id}: ${side} ${user.id} finished with ${correct} correct in ${timeMs}ms`);
+
+        const otherDone = side === 'challenger' ? fresh.opponent_correct !== null : fresh.challenger_correct !== null;
+        if (otherDone) {
+            await this.settle(fresh);
+            return;
+        }
+
+        const total = gameFormats.length(gameFormats.forSession({ game_format: fresh.game_format }));
+        const waitingOn = fresh.status === 'pending'
+            ? 'your opponent accepts and plays their round'
+            : 'your opponent finishes their round';
+        await messagingService.sendMessage(user.phone_number,
+            `⚔️ *DUEL ROUND COMPLETE* ⚔️\n\n` +
+            `✅ Correct: ${correct} of ${total}\n` +
+            `⏱️ Answer time: ${this._formatTime(timeMs)}\n\n` +
+            `We'll send you the result once ${waitingOn}.\n\n` +
+            `Type MENU for the main menu.`
+        );
+    }
+
+    /**
+     * Decide the winner and tell both players. A side with no result
+     * (never played, abandoned, reset) forfeits.
+     */
+    async settle(duel) {
+        const c = duel.challenger_correct;
+        const o = duel.opponent_correct;
+        let winnerId = null;
+        if (c === null && o === null) {
+            winnerId = null;
+        } else if (o === null) {
+            winnerId = duel.challenger_id;
+        } else if (c === null) {
+            winnerId = duel.opponent_id;
+        } else if (c !== o) {
+            winnerId = c > o ? duel.challenger_id : duel.opponent_id;
+        } else if (duel.challenger_time_ms !== duel.opponent_time_ms) {
+            winnerId = duel.challenger_time_ms < duel.opponent_time_ms ? duel.challenger_id : duel.opponent_id;
+        }
+
+        const result = await pool.query(`
+            UPDATE duels
+            SET status = 'completed', winner_id = $1, completed_at = NOW()
+            WHERE id = $2 AND status IN ('pending', 'accepted')
+            RETURNING *
+        `, [winnerId, duel.id]);
+        if (!result.rows.length) return; // settled by someone else
+
+        if (duel.knockout_match_id) {
+            // Required here: knockout.service requires this file.
+            const knockoutService = require('./knockout.service');
+            await knockoutService.onDuelSettled(result.rows[0]);
+            return;
+        }
+
+        const players = await pool.query(
+            'SELECT id, username, phone_number FROM users WHERE id = ANY($1::int[])',
+            [[duel.challenger_id, duel.opponent_id]]
+        );
+        const byId = new Map(players.rows.map(p => [p.id, p]));
+        const challenger = byId.get(duel.challenger_id);
+        const opponent = byId.get(duel.opponent_id);
+
+        logger.info(`⚔️ Duel ${duel.id} settled — winner: ${winnerId || 'draw'}`);
+
+        const line = (p, correct, timeMs) => correct === null
+            ? `${p.username}: did not finish`
+            : `${p.username}: ${correct} correct · ${this._formatTime(timeMs)}`;
+        const board = `${line(challenger, c, duel.challenger_time_ms)}\n${line(opponent, o, duel.opponent_time_ms)}`;
+
+        for (const [me, them] of [[challenger, opponent], [opponent, challenger]]) {
+            if (!me) continue;
+            let verdict;
+            if (!winnerId) verdict = `🤝 *IT'S A DRAW!*`;
+            else if (winnerId === me.id) verdict = `🏆 *YOU WON THE DUEL!*`;
+            else verdict = `😤 *${them.username} won this one.*`;
+
+            try {
+                await messagingService.sendMessage(me.phone_number,
+                    `⚔️ *DUEL RESULT* ⚔️\n\n${verdict}\n\n${board}\n\n` +
+                    `Fancy a rematch? Type *DUEL ${them.username}*`
+                );
+            } catch (notifyErr) {
+                logger.error(`Could not send duel result to ${me.id}:`, notifyErr.message);
+            }
+        }
+    }
+
+    // ============================================
+    // HOUSEKEEPING
+    // ============================================
+
+    // Unanswered challenges expire; accepted duels whose rounds never both
+    // finished are settled with the missing round as a forfeit.
+    async expireStale() {
+        await this.ensureSchema();
+        try {
+            const expired = await pool.query(`
+                UPDATE duels d
+                SET status = 'expired', completed_at = NOW()
+                FROM users o
+                WHERE d.status = 'pending' AND d.expires_at <= NOW() AND o.id = d.opponent_id
+                RETURNING d.id, d.challenger_id, o.username AS opponent_username
+            `);
+            for (const row of expired.rows) {
+                const challenger = await pool.query('SELECT phone_number FROM users WHERE id = $1', [row.challenger_id]);
+                if (!challenger.rows.length) continue;
+                await messagingService.sendMessage(challenger.rows[0].phone_number,
+                    `⌛ Your duel challenge to ${row.opponent_username} expired without a reply.`
+                ).catch(() => {});
+            }
+
+            const stale = await pool.query(
+                `SELECT * FROM duels WHERE status = 'accepted' AND expires_at <= NOW()`
+            );
+            for (const duel of stale.rows) {
+                await this.settle(duel);
+            }
+        } catch (error) {
+            logger.error('Error expiring duels:', error);
+        }
+    }
+
+    _formatTime(ms) {
+        return `${((parseInt(ms) || 0) / 1000).toFixed(1)}s`;
+    }
+}
+
+module.exports = new DuelService();
@@ -0,0 +1,372 @@
+// ============================================
+// FILE: src/services/face-match.service.js
+// Compares a watchlisted player's later selfies against the baseline
+// selfie they took before Q1.
+//
+// EXPORT SHAPE: exports an INSTANCE (like kyc-storage.service.js).
+//   const faceMatch = require('./face-match.service');
+//
+// Matchers are registered in this.matchers, the way kyc-storage.service.js
+// registers backends. Each one implements:
+//   describe(buffer, { faceBox })  → signature (plain JSON), or null
+//   compare(a, b)                  → score from 0 (different) to 1 (same)
+// The signature is stored on photo_verifications.face_signature, so a
+// baseline is never downloaded again and is only ever compared by the
+// matcher that described it. FACE_MATCH_PROVIDER picks the matcher:
+// 'local' (default), or 'off' to skip comparison entirely.
+//
+// THE LOCAL MATCHER
+// Offline and deliberately modest: it crops the face Cloudinary found,
+// shrinks it to 32×32 grey, and combines a DCT perceptual hash with the
+// normalised pixel correlation. That separates a different person from
+// the same face in similar light, and not much more — so the middle of
+// the range goes to a human in the review queue, not to a verdict.
+//
+// THRESHOLDS (per watchlist entry, in its measures)
+//   face_match_pass     at or above → 'match'      (default 0.75)
+//   face_match_reject   below       → 'mismatch'   (default 0.45)
+//   face_match_enforce  a mismatch fails the photo check and ends the
+//                       game; otherwise it is only queued for review
+// In between is 'review'. Reviews and mismatches wait in the queue until
+// an admin decides, and hold the session's prize meanwhile — the way a
+// perfect game is held. "Same person" releases it; "different person"
+// keeps it held. Only unpaid prizes are touched. While payout_hold is set
+// the prize can't be approved, marked paid or sent (payout-approval and
+// disbursement both check it); it can still be cancelled.
+// ============================================
+
+const pool = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_PASS = 0.75;
+const DEFAULT_REJECT = 0.45;
+const FACE_SIZE = 32;        // the crop every signature is taken from
+const GRID_SIZE = 16;        // pooled pixels kept for the correlation
+const HASH_SIZE = 8;         // low-frequency DCT block behind the hash
+
+const REVIEW_DECISIONS = ['same_person', 'different_person'];
+const UNPAID_STATUSES = ['pending', 'details_collected', 'approved'];
+
+/**
+ * The local signature, from FACE_SIZE × FACE_SIZE luminance values
+ * (row-major, 0-255). Kept pure so it doesn't depend on how the pixels
+ * were decoded.
+ */
+function signatureFromLuma(luma) {
+    // Perceptual hash: low-frequency DCT-II coefficients against their median
+    const coeffs = [];
+    for (let u = 0; u < HASH_SIZE; u++) {
+        for (let v = 0; v < HASH_SIZE; v++) {
+            let sum = 0;
+            for (let y = 0; y < FACE_SIZE; y++) {
+                const cy = Math.cos(((2 * y + 1) * u * Math.PI) / (2 * FACE_SIZE));
+                for (let x = 0; x < FACE_SIZE; x++) {
+                    sum += luma[y * FACE_SIZE + x] * cy * Math.cos(((2 * x + 1) * v * Math.PI) / (2 * FACE_SIZE));
+                }
+            }
+            coeffs.push(sum);
+        }
+    }
+    const median = coeffs.slice(1).sort((a, b) => a - b)[Math.floor((coeffs.length - 1) / 2)];
+    let hash = '';
+    for (let i = 0; i < coeffs.length; i += 4) {
+        let nibble = 0;
+        for (let b = 0; b < 4; b++) nibble = (nibble << 1) | (coeffs[i + b] > median ? 1 : 0);
+        hash += nibble.toString(16);
+    }
+
+    // Pooled, mean-centred, unit-length grid: its dot product is the correlation
+    const step = FACE_SIZE / GRID_SIZE;
+    const grid = [];
+    for (let gy = 0; gy < GRID_SIZE; gy++) {
+        for (let gx = 0; gx < GRID_SIZE; gx++) {
+            let sum = 0;
+            for (let y = 0; y < step; y++) {
+                for (let x = 0; x < step; x++) sum += luma[(gy * step + y) * FACE_SIZE + gx * step + x];
+            }
+            grid.push(sum / (step * step));
+        }
+    }
+    const mean = grid.reduce((a, b) => a + b, 0) / grid.length;
+    const centred = grid.map(g => g - mean);
+    const norm = Math.sqrt(centred.reduce((a, b) => a + b * b, 0)) || 1;
+
+    return { hash, grid: centred.map(g => Math.round((g / norm) * 10000) / 10000) };
+}
+
+class LocalFaceMatcher {
+    async describe(buffer, { faceBox } = {}) {
+        // Required lazily: canvas is a native module, and a server without
+        // its system libraries should lose face matching, not photo checks.
+        const { createCanvas, loadImage } = require('canvas');
+        const image = await loadImage(buffer);
+
+        // Cloudinary's box is [x, y, width, height]; pad it a little so the
+        // crop doesn't hinge on exactly where the detector drew the edges.
+        let [sx, sy, sw, sh] = faceBox || [0, 0, image.width, image.height];
+        const pad = Math.round(Math.max(sw, sh) * 0.1);
+        sx = Math.max(0, sx - pad);
+        sy = Math.max(0, sy - pad);
+        sw = Math.min(image.width - sx, sw + pad * 2);
+        sh = Math.min(image.height - sy, sh + pad * 2);
+
+        const canvas = createCanvas(FACE_SIZE, FACE_SIZE);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, sx, sy, sw, sh, 0, 0, FACE_SIZE, FACE_SIZE);
+        const { data } = ctx.getImageData(0, 0, FACE_SIZE, FACE_SIZE);
+
+        const luma = new Array(FACE_SIZE * FACE_SIZE);
+        for (let i = 0; i < luma.length; i++) {
+            luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        }
+        return signatureFromLuma(luma);
+    }
+
+    compare(a, b) {
+        if (!a || !b || !a.hash || !b.hash || !a.grid || !b.grid) return null;
+
+        let distance = 0;
+        for (let i = 0; i < a.hash.length; i++) {
+            let diff = parseInt(a.hash[i], 16) ^ parseInt(b.hash[i], 16);
+            while (diff) { distance += diff & 1; diff >>= 1; }
+        }
+        // Unrelated images agree on about half the bits, so that is zero
+        const hashScore = Math.max(0, (1 - distance / (a.hash.length * 4) - 0.5) / 0.5);
+
+        let correlation = 0;
+        for (let i = 0; i < a.grid.length; i++) correlation += a.grid[i] * (b.grid[i] || 0);
+
+        const score = 0.5 * hashScore + 0.5 * Math.max(0, Math.min(1, correlation));
+        return Math.round(score * 10000) / 10000;
+    }
+}
+
+class FaceMatchService {
+    constructor() {
+        this._schemaReady = false;
+        this.matchers = {
+            local: new LocalFaceMatcher()
+        };
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`
+            ALTER TABLE photo_verifications
+                ADD COLUMN IF NOT EXISTS face_signature JSONB,
+                ADD COLUMN IF NOT EXISTS face_match_provider VARCHAR(30),
+                ADD COLUMN IF NOT EXISTS face_match_score DECIMAL(5,4),
+                ADD COLUMN IF NOT EXISTS face_match_status VARCHAR(20),
+                ADD COLUMN IF NOT EXISTS face_review_decision VARCHAR(20),
+                ADD COLUMN IF NOT EXISTS face_reviewed_by INTEGER,
+                ADD COLUMN IF NOT EXISTS face_reviewed_at TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS face_review_notes TEXT
+        `);
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_photo_verifications_face_queue
+            ON photo_verifications(created_at)
+            WHERE face_match_status IN ('review', 'mismatch') AND face_review_decision IS NULL
+        `);
+        this._schemaReady = true;
+    }
+
+    /** Name of the matcher in use, or null when face matching is off. */
+    get provider() {
+        const wanted = process.env.FACE_MATCH_PROVIDER || 'local';
+        if (wanted === 'off') return null;
+        if (!this.matchers[wanted]) {
+            logger.warn(`Unknown FACE_MATCH_PROVIDER "${wanted}" — face matching is off`);
+            return null;
+        }
+        return wanted;
+    }
+
+    /** A watchlist entry's thresholds, from its measures object. */
+    thresholds(measures = {}) {
+        const pass = parseFloat(measures.face_match_pass);
+        const reject = parseFloat(measures.face_match_reject);
+        const result = {
+            pass: pass > 0 && pass <= 1 ? pass : DEFAULT_PASS,
+            reject: reject >= 0 && reject < 1 ? reject : DEFAULT_REJECT,
+            enforce: measures.face_match_enforce === true
+        };
+        if (result.reject > result.pass) result.reject = result.pass;
+        return result;
+    }
+
+    // The largest face Cloudinary found, or none
+    _faceBox(analysis) {
+        const boxes = analysis && Array.isArray(analysis.faceBoxes) ? analysis.faceBoxes : [];
+        return boxes.slice().sort((a, b) => (b[2] * b[3]) - (a[2] * a[3]))[0] || null;
+    }
+
+    async _describe(provider, buffer, analysis) {
+        try {
+            return await this.matchers[provider].describe(buffer, { faceBox: this._faceBox(analysis) });
+        } catch (error) {
+            logger.error(`Face signature failed (${provider}): ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Keep the baseline's signature on its photo_verifications row. Call
+     * once the baseline has passed the photo rules.
+     */
+    async recordBaseline(sessionId, userId, buffer, analysis) {
+        const provider = this.provider;
+        if (!provider || !buffer) return false;
+        await this.ensureSchema();
+
+        const signature = await this._describe(provider, buffer, analysis);
+        if (!signature) return false;
+        await pool.query(`
+            UPDATE photo_verifications
+            SET face_signature = $1, face_match_provider = $2
+            WHERE session_id = $3 AND user_id = $4 AND challenge_type = 'baseline_selfie'
+        `, [JSON.stringify(signature), provider, sessionId, userId]);
+        return true;
+    }
+
+    /**
+     * Score a later selfie against this session's baseline and store the
+     * result on the still-open photo_verifications row.
+     * @returns {{ status: 'match'|'review'|'mismatch'|'unavailable', score: number|null, enforce: boolean } | null}
+     *          null when there is no baseline to compare with
+     */
+    async checkAgainstBaseline(sessionId, userId, buffer, analysis, measures = {}) {
+        const provider = this.provider;
+        if (!provider) return null;
+        await this.ensureSchema();
+
+        const baseline = await pool.query(`
+            SELECT face_signature, face_match_provider FROM photo_verifications
+            WHERE session_id = $1 AND user_id = $2 AND challenge_type = 'baseline_selfie'
+              AND passed = true AND face_signature IS NOT NULL
+            ORDER BY id DESC LIMIT 1
+        `, [sessionId, userId]);
+        if (!baseline.rows.length) return null;
+
+        const limits = this.thresholds(measures);
+        const base = baseline.rows[0];
+        const signature = buffer ? await this._describe(provider, buffer, analysis) : null;
+        const score = signature && base.face_match_provider === provider
+            ? this.matchers[provider].compare(base.face_signature, signature)
+            : null;
+
+        let status = 'unavailable';
+        if (score !== null) {
+            status = score >= limits.pass ? 'match' : score < limits.reject ? 'mismatch' : 'review';
+        }
+
+        await pool.query(`
+            UPDATE photo_verifications
+            SET face_signature = $1, face_match_provider = $2, face_match_score = $3, face_match_status = $4
+            WHERE session_id = $5 AND user_id = $6 AND passed IS NULL
+        `, [signature ? JSON.stringify(signature) : null, provider, score, status, sessionId, userId]);
+
+        logger.info(`🧑‍🤝‍🧑 Face match for user ${userId}, session ${sessionId}: ${status}${score !== null ? ` (${score})` : ''}`);
+        if (status === 'review' || status === 'mismatch') await this.holdPrize(sessionId);
+        return { status, score, enforce: limits.enforce };
+    }
+
+    /**
+     * Hold the session's unpaid prize while one of its selfies is queued or
+     * was judged a different person. The check runs mid-game, before the
+     * prize exists, so game.service calls this again once it is created.
+     * @returns {number} prize rows held
+     */
+    async holdPrize(sessionId) {
+        await this.ensureSchema();
+        const held = await pool.query(`
+            UPDATE transactions
+            SET payout_hold = true, hold_reason = COALESCE(hold_reason, 'face_mismatch'),
+                payment_status = 'under_review'
+            WHERE session_id = $1 AND transaction_type = 'prize'
+              AND payout_status = ANY($2) AND payout_hold IS NOT TRUE
+              AND EXISTS (
+                  SELECT 1 FROM photo_verifications pv
+                  WHERE pv.session_id = $1 AND pv.face_match_status IN ('review', 'mismatch')
+                    AND (pv.face_review_decision IS NULL OR pv.face_review_decision = 'different_person')
+              )
+        `, [sessionId, UNPAID_STATUSES]);
+        if (held.rowCount) logger.warn(`🧑‍🤝‍🧑🔒 Prize for session ${sessionId} held for face review`);
+        return held.rowCount;
+    }
+
+    // ============================================
+    // REVIEW QUEUE
+    // ============================================
+
+    /** Borderline and mismatched selfies nobody has decided on, oldest first. */
+    async getReviewQueue(limit = 50) {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT pv.id, pv.user_id, pv.session_id, pv.question_number, pv.challenge_type,
+                   pv.image_url, pv.passed, pv.face_match_score, pv.face_match_status,
+                   pv.face_match_provider, pv.created_at,
+                   base.image_url AS baseline_image_url, base.created_at AS baseline_at,
+                   u.username, u.full_name, u.phone_number, u.email, u.platform
+            FROM photo_verifications pv
+            JOIN users u ON u.id = pv.user_id
+            LEFT JOIN LATERAL (
+                SELECT image_url, created_at FROM photo_verifications b
+                WHERE b.session_id = pv.session_id AND b.challenge_type = 'baseline_selfie'
+                ORDER BY b.id DESC LIMIT 1
+            ) base ON true
+            WHERE pv.face_match_status IN ('review', 'mismatch') AND pv.face_review_decision IS NULL
+            ORDER BY pv.created_at
+            LIMIT $1
+        `, [limit]);
+        return result.rows;
+    }
+
+    /**
+     * Record a reviewer's decision. "different_person" keeps the session's
+     * prize on hold; "same_person" releases a face-review hold once no
+     * other selfie from the session is still queued or rejected.
+     */
+    async decide(photoId, decision, adminId, notes = null) {
+        await this.ensureSchema();
+        if (!REVIEW_DECISIONS.includes(decision)) return { success: false, error: `Decision must be one of: ${REVIEW_DECISIONS.join(', ')}` };
+
+        const updated = await pool.query(`
+            UPDATE photo_verifications
+            SET face_review_decision = $2, face_reviewed_by = $3, face_reviewed_at = NOW(), face_review_notes = $4
+            WHERE id = $1 AND face_match_status IN ('review', 'mismatch') AND face_review_decision IS NULL
+            RETURNING id, user_id, session_id, face_match_score, face_match_status
+        `, [photoId, decision, adminId, notes]);
+        const row = updated.rows[0];
+        if (!row) return { success: false, error: 'Not waiting for review — it may already have been decided' };
+
+        let heldPayouts = 0;
+        let releasedPayouts = 0;
+        if (decision === 'different_person') {
+            await this.holdPrize(row.session_id);
+            const held = await pool.query(`
+                SELECT COUNT(*) AS count FROM transactions
+                WHERE session_id = $1 AND transaction_type = 'prize' AND payout_hold = true
+            `, [row.session_id]);
+            heldPayouts = parseInt(held.rows[0].count);
+        } else {
+            const released = await pool.query(`
+                UPDATE transactions
+                SET payout_hold = false, hold_reason = NULL, payment_status = 'pending'
+                WHERE session_id = $1 AND transaction_type = 'prize'
+                  AND payout_status = ANY($2) AND hold_reason = 'face_mismatch'
+                  AND NOT EXISTS (
+                      SELECT 1 FROM photo_verifications pv
+                      WHERE pv.session_id = $1 AND pv.face_match_status IN ('review', 'mismatch')
+                        AND (pv.face_review_decision IS NULL OR pv.face_review_decision = 'different_person')
+                  )
+            `, [row.session_id, UNPAID_STATUSES]);
+            releasedPayouts = released.rowCount;
+        }
+
+        logger.info(`🧑‍🤝‍🧑 Face review ${photoId} (user ${row.user_id}): ${decision} by admin ${adminId}`);
+        return { success: true, verification: row, heldPayouts, releasedPayouts };
+    }
+}
+
+module.exports = new FaceMatchService();
@@ -7,6 +7,7 @@
 
 const pool = require('../config/database');
 const { logger } = require('../utils/logger');
+const ledgerService = require('./ledger.service');
 
 class FinancialService {
   
@@ -1337,6 +1338,175 @@ class FinancialService {
     return conditions.join(' AND ');
   }
   
+  // ============================================
+  // LEDGER RECONCILIATION
+  // The wallet ledger against the records it mirrors: credit and token
+  // balances, prize payout states, and what each gateway actually took.
+  // Each check gives a count and up to 50 examples; ok only when all are 0.
+  // Money checks start at the ledger's first journal — nothing before it
+  // was ever posted, beyond the opening balances.
+  // ============================================
+
+  async reconcileLedger() {
+    try {
+      await ledgerService.ensureSchema();
+      const A = ledgerService.ACCOUNTS;
+
+      const started = await pool.query('SELECT MIN(created_at) AS started_at FROM ledger_journals');
+      const startedAt = started.rows[0].started_at || new Date();
+
+      const check = async (sql, params = []) => {
+        const result = await pool.query(
+          `SELECT *, COUNT(*) OVER () AS total_count FROM (${sql}) mismatches LIMIT 50`,
+          params
+        );
+        return {
+          count: parseInt(result.rows[0]?.total_count) || 0,
+          rows: result.rows.map(({ total_count, ...row }) => row)
+        };
+      };
+
+      const checks = {};
+
+      // Anything written around post() — the ledger's own invariant.
+      checks.journals_unbalanced = await check(`
+        SELECT journal_id, unit, SUM(amount) AS off_by
+        FROM ledger_entries GROUP BY journal_id, unit HAVING SUM(amount) <> 0
+      `);
+
+      checks.game_credits = await check(`
+        SELECT u.id AS user_id, u.username, COALESCE(u.games_remaining, 0) AS recorded, COALESCE(l.balance, 0) AS ledger
+        FROM users u
+        LEFT JOIN (SELECT user_id, SUM(amount) AS balance FROM ledger_entries WHERE account = $1 GROUP BY user_id) l
+          ON l.user_id = u.id
+        WHERE COALESCE(u.games_remaining, 0) <> COALESCE(l.balance, 0)
+        ORDER BY u.id
+      `, [A.USER_GAMES]);
+
+      checks.tournament_tokens = await check(`
+        SELECT tp.user_id, tp.tournament_id, tp.tokens_remaining AS recorded, COALESCE(l.balance, 0) AS ledger
+        FROM tournament_participants tp
+        LEFT JOIN (SELECT user_id, tournament_id, SUM(amount) AS balance FROM ledger_entries
+                   WHERE account = $1 GROUP BY user_id, tournament_id) l
+          ON l.user_id = tp.user_id AND l.tournament_id = tp.tournament_id
+        WHERE tp.tokens_remaining IS NOT NULL AND tp.tokens_remaining <> COALESCE(l.balance, 0)
+        ORDER BY tp.tournament_id, tp.user_id
+      `, [A.USER_TOKENS]);
+
+      // A prize still owed must sit in the player's winnings; a paid,
+      // confirmed or cancelled one must have left it.
+      checks.winnings = await check(`
+        SELECT t.id AS transaction_id, t.user_id, t.payout_status, t.amount,
+               CASE WHEN t.payout_status IN ('pending', 'details_collected', 'approved') THEN t.amount ELSE 0 END AS expected_owed,
+               l.owed AS ledger_owed
+        FROM transactions t
+        JOIN (SELECT j.transaction_id, SUM(e.amount) AS owed
+              FROM ledger_journals j JOIN ledger_entries e ON e.journal_id = j.id AND e.account = $1
+              WHERE j.transaction_id IS NOT NULL GROUP BY j.transaction_id) l
+          ON l.transaction_id = t.id
+        WHERE l.owed <> CASE WHEN t.payout_status IN ('pending', 'details_collected', 'approved') THEN t.amount ELSE 0 END
+        ORDER BY t.id
+      `, [A.USER_WINNINGS]);
+
+      checks.prizes_unrecorded = await check(`
+        SELECT t.id AS transaction_id, t.user_id, t.amount, t.transaction_type, t.created_at
+        FROM transactions t
+        WHERE t.transaction_type IN ('prize', 'tournament_prize') AND t.amount > 0 AND t.created_at >= $1
+          AND NOT EXISTS (SELECT 1 FROM ledger_journals j WHERE j.transaction_id = t.id)
+        ORDER BY t.id
+      `, [startedAt]);
+
+      // Per payment reference: a successful payment must show its amount
+      // collected in the gateway account, a refunded one must net to zero.
+      checks.gateway_payments = await check(`
+        WITH records AS (
+          SELECT reference, user_id, gateway_used AS gateway, status,
+                 CASE WHEN status = 'success' THEN amount ELSE 0 END AS expected
+          FROM payment_transactions
+          WHERE status IN ('success', 'refunded') AND COALESCE(paid_at, created_at) >= $1
+          UNION ALL
+          SELECT payment_reference, user_id, gateway_used, payment_status, amount
+          FROM tournament_entry_payments
+          WHERE payment_status = 'success' AND amount > 0 AND COALESCE(paid_at, created_at) >= $1
+        ),
+        collected AS (
+          SELECT j.reference, SUM(e.amount) AS amount
+          FROM ledger_journals j JOIN ledger_entries e ON e.journal_id = j.id AND e.account LIKE 'gateway:%'
+          WHERE j.reference IS NOT NULL GROUP BY j.reference
+        )
+        SELECT r.reference, r.user_id, r.gateway, r.status, r.expected, COALESCE(c.amount, 0) AS ledger
+        FROM records r LEFT JOIN collected c ON c.reference = r.reference
+        WHERE r.expected <> COALESCE(c.amount, 0)
+      `, [startedAt]);
+
+      try {
+        checks.wallet = await check(`
+          SELECT u.id AS user_id, u.username, COALESCE(u.wallet_balance, 0) AS recorded, COALESCE(l.balance, 0) AS ledger
+          FROM users u
+          LEFT JOIN (SELECT user_id, SUM(amount) AS balance FROM ledger_entries WHERE account = $1 GROUP BY user_id) l
+            ON l.user_id = u.id
+          WHERE COALESCE(u.wallet_balance, 0) <> COALESCE(l.balance, 0)
+        `, [A.USER_WALLET]);
+      } catch (error) {
+        // Older databases never got the Love Quest wallet column.
+        checks.wallet = { count: 0, rows: [], skipped: error.message };
+      }
+
+      // A transfer the gateway confirmed must have left the prize paid.
+      try {
+        checks.transfers_unsettled = await check(`
+          SELECT pt.transaction_id, pt.reference, pt.gateway, pt.amount, t.payout_status
+          FROM payout_transfers pt JOIN transactions t ON t.id = pt.transaction_id
+          WHERE pt.status = 'success' AND t.payout_status NOT IN ('paid', 'confirmed')
+        `);
+      } catch (error) {
+        checks.transfers_unsettled = { count: 0, rows: [], skipped: 'Automated payouts have never run' };
+      }
+
+      const gateways = await pool.query(`
+        WITH ledger AS (
+          SELECT substring(account FROM 9) AS gateway, SUM(amount) AS collected
+          FROM ledger_entries WHERE account LIKE 'gateway:%' GROUP BY 1
+        ),
+        records AS (
+          SELECT gateway_used AS gateway, SUM(amount) AS collected FROM (
+            SELECT gateway_used, amount FROM payment_transactions
+            WHERE status = 'success' AND COALESCE(paid_at, created_at) >= $1
+            UNION ALL
+            SELECT gateway_used, amount FROM tournament_entry_payments
+            WHERE payment_status = 'success' AND amount > 0 AND COALESCE(paid_at, created_at) >= $1
+          ) paid GROUP BY gateway_used
+        )
+        SELECT COALESCE(l.gateway, r.gateway) AS gateway,
+               COALESCE(l.collected, 0) AS ledger, COALESCE(r.collected, 0) AS records
+        FROM ledger l FULL JOIN records r ON r.gateway = l.gateway
+        ORDER BY 1
+      `, [startedAt]);
+
+      const totals = await pool.query(`
+        SELECT account, unit, SUM(amount) AS balance
+        FROM ledger_entries GROUP BY account, unit ORDER BY unit, account
+      `);
+
+      return {
+        ok: Object.values(checks).every(c => c.count === 0),
+        ledger_started_at: startedAt,
+        checked_at: new Date(),
+        checks,
+        gateways: gateways.rows.map(g => ({
+          gateway: g.gateway,
+          ledger: parseFloat(g.ledger),
+          records: parseFloat(g.records),
+          difference: parseFloat(g.ledger) - parseFloat(g.records)
+        })),
+        accounts: totals.rows.map(t => ({ account: t.account, unit: t.unit, balance: parseFloat(t.balance) }))
+      };
+    } catch (error) {
+      logger.error(`Error reconciling ledger: ${error.message}`);
+      throw error;
+    }
+  }
+
   // ============================================
   // EXPORT DATA
   // ============================================
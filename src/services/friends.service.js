@@ -0,0 +1,390 @@
+// ============================================
+// FILE: src/services/friends.service.js
+// FRIENDS & PRIVATE GROUPS — leaderboards of people a player actually
+// knows, instead of only the global and per-platform ones.
+//
+// EXPORT SHAPE: exports an INSTANCE (like tournament-team.service.js).
+//   const friendsService = require('./friends.service');
+//
+// FRIENDS
+// A friendship is mutual: adding someone by username writes a row each way,
+// and removing it deletes both. Joining with a referral code makes the
+// referrer and the new player friends automatically (source 'referral').
+// Everything is keyed on users.id, so a WhatsApp player, a Telegram player
+// and a web player can all be on one list.
+//
+// GROUPS
+// A group is a named private leaderboard ("Office", "Family") that anyone
+// with its invite code can join — no friendship needed. The creator owns
+// it; when the owner leaves, the longest-standing member takes over, and
+// the last one out deletes the group.
+//
+// SCORES
+// Boards rank the best classic prize each player won in the period — the
+// same 'prize' transactions gameService.getLeaderboard ranks globally —
+// and list members who haven't won yet at the bottom.
+// onNewScore() runs fire-and-forget after a classic win: friends this
+// player has just overtaken on all-time best are told once, at the
+// moment it happens. It never throws.
+// ============================================
+
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const MAX_FRIENDS = 200;
+const MAX_GROUPS = 10;
+const MAX_GROUP_MEMBERS = 100;
+
+const PERIODS = {
+    daily: 'CURRENT_DATE',
+    weekly: "CURRENT_DATE - INTERVAL '7 days'"
+};
+
+// Same alphabet as team codes: no 0/O or 1/I to misread.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+class FriendsService {
+    constructor() {
+        this._schemaReady = false;
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS friendships (
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                friend_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                source VARCHAR(20) NOT NULL DEFAULT 'username',
+                created_at TIMESTAMP DEFAULT NOW(),
+                PRIMARY KEY (user_id, friend_id),
+                CHECK (user_id <> friend_id)
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_friendships_friend ON friendships(friend_id)`);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS friend_groups (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(40) NOT NULL,
+                invite_code VARCHAR(12) NOT NULL UNIQUE,
+                owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS friend_group_members (
+                group_id INTEGER NOT NULL REFERENCES friend_groups(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                joined_at TIMESTAMP DEFAULT NOW(),
+                PRIMARY KEY (group_id, user_id)
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_friend_group_members_user ON friend_group_members(user_id)`);
+        this._schemaReady = true;
+    }
+
+    get limits() {
+        return { friends: MAX_FRIENDS, groups: MAX_GROUPS, groupMembers: MAX_GROUP_MEMBERS };
+    }
+
+    // ============================================
+    // FRIENDS
+    // ============================================
+
+    async _findByUsername(username) {
+        const clean = String(username || '').trim().replace(/^@/, '');
+        if (!clean) return null;
+        const result = await pool.query(
+            'SELECT id, username, phone_number, language FROM users WHERE LOWER(username) = LOWER($1)',
+            [clean]
+        );
+        return result.rows[0] || null;
+    }
+
+    async _link(userId, friendId, source) {
+        await pool.query(`
+            INSERT INTO friendships (user_id, friend_id, source)
+            VALUES ($1, $2, $3), ($2, $1, $3)
+            ON CONFLICT DO NOTHING
+        `, [userId, friendId, source]);
+    }
+
+    /**
+     * Adds a friend by username. The other player is told, but doesn't
+     * have to accept — either side can remove the friendship later.
+     * Returns { success, friend } or { success: false, error } where error
+     * is 'not_found' | 'self' | 'already' | 'limit'.
+     */
+    async addFriend(user, username) {
+        await this.ensureSchema();
+        const friend = await this._findByUsername(username);
+        if (!friend) return { success: false, error: 'not_found' };
+        if (friend.id === user.id) return { success: false, error: 'self' };
+
+        const existing = await pool.query(
+            'SELECT 1 FROM friendships WHERE user_id = $1 AND friend_id = $2',
+            [user.id, friend.id]
+        );
+        if (existing.rows.length) return { success: false, error: 'already', friend };
+
+        const counts = await pool.query(
+            'SELECT user_id, COUNT(*)::int AS n FROM friendships WHERE user_id = ANY($1::int[]) GROUP BY user_id',
+            [[user.id, friend.id]]
+        );
+        if (counts.rows.some(r => r.n >= MAX_FRIENDS)) return { success: false, error: 'limit', friend };
+
+        await this._link(user.id, friend.id, 'username');
+        logger.info(`👫 User ${user.id} added ${friend.id} as a friend`);
+        this._tell(friend, t => t.friend_added_you(user.username));
+        return { success: true, friend };
+    }
+
+    /** Called when someone signs up with a referral code. Never throws. */
+    async addFromReferral(referrerId, refereeId) {
+        try {
+            await this.ensureSchema();
+            if (!referrerId || !refereeId || referrerId === refereeId) return;
+            await this._link(referrerId, refereeId, 'referral');
+        } catch (error) {
+            logger.error(`Could not link referral friends ${referrerId} → ${refereeId}:`, error.message);
+        }
+    }
+
+    async removeFriend(user, username) {
+        await this.ensureSchema();
+        const friend = await this._findByUsername(username);
+        if (!friend) return { success: false, error: 'not_found' };
+        const result = await pool.query(`
+            DELETE FROM friendships
+            WHERE (user_id = $1 AND friend_id = $2) OR (user_id = $2 AND friend_id = $1)
+        `, [user.id, friend.id]);
+        if (!result.rowCount) return { success: false, error: 'not_friends', friend };
+        logger.info(`👫 User ${user.id} removed ${friend.id} as a friend`);
+        return { success: true, friend };
+    }
+
+    async friendIds(userId) {
+        await this.ensureSchema();
+        const result = await pool.query('SELECT friend_id FROM friendships WHERE user_id = $1', [userId]);
+        return result.rows.map(r => r.friend_id);
+    }
+
+    /** The player and their friends, ranked for the period. */
+    async friendsLeaderboard(userId, period = 'daily') {
+        const ids = await this.friendIds(userId);
+        return {
+            friends: ids.length,
+            rows: await this.leaderboard([userId, ...ids], period)
+        };
+    }
+
+    // ============================================
+    // GROUPS
+    // ============================================
+
+    async _newCode() {
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const bytes = crypto.randomBytes(6);
+            const code = Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+            const taken = await pool.query('SELECT 1 FROM friend_groups WHERE invite_code = $1', [code]);
+            if (!taken.rows.length) return code;
+        }
+        throw new Error('Could not generate a unique group code');
+    }
+
+    async _groupByCode(code) {
+        const result = await pool.query(`
+            SELECT g.*, (SELECT COUNT(*)::int FROM friend_group_members m WHERE m.group_id = g.id) AS members
+            FROM friend_groups g
+            WHERE g.invite_code = $1
+        `, [String(code || '').trim().toUpperCase()]);
+        return result.rows[0] || null;
+    }
+
+    async _groupCount(userId) {
+        const result = await pool.query('SELECT COUNT(*)::int AS n FROM friend_group_members WHERE user_id = $1', [userId]);
+        return result.rows[0].n;
+    }
+
+    /** Returns { success, group } or { success: false, error: 'name' | 'limit' }. */
+    async createGroup(user, name) {
+        await this.ensureSchema();
+        const clean = String(name || '').trim().replace(/\s+/g, ' ');
+        if (clean.length < 2 || clean.length > 40) return { success: false, error: 'name' };
+        if (await this._groupCount(user.id) >= MAX_GROUPS) return { success: false, error: 'limit' };
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const group = await client.query(`
+                INSERT INTO friend_groups (name, invite_code, owner_id) VALUES ($1, $2, $3) RETURNING *
+            `, [clean, await this._newCode(), user.id]);
+            await client.query(
+                'INSERT INTO friend_group_members (group_id, user_id) VALUES ($1, $2)',
+                [group.rows[0].id, user.id]
+            );
+            await client.query('COMMIT');
+            logger.info(`👥 Group ${group.rows[0].id} (${clean}) created by user ${user.id}`);
+            return { success: true, group: group.rows[0] };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /** Returns { success, group } or { success: false, error, group? }. */
+    async joinGroup(user, code) {
+        await this.ensureSchema();
+        const group = await this._groupByCode(code);
+        if (!group) return { success: false, error: 'not_found' };
+
+        const member = await pool.query(
+            'SELECT 1 FROM friend_group_members WHERE group_id = $1 AND user_id = $2',
+            [group.id, user.id]
+        );
+        if (member.rows.length) return { success: false, error: 'already', group };
+        if (group.members >= MAX_GROUP_MEMBERS) return { success: false, error: 'full', group };
+        if (await this._groupCount(user.id) >= MAX_GROUPS) return { success: false, error: 'limit', group };
+
+        await pool.query(
+            'INSERT INTO friend_group_members (group_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+            [group.id, user.id]
+        );
+        logger.info(`👥 User ${user.id} joined group ${group.id} (${group.name})`);
+        return { success: true, group };
+    }
+
+    async leaveGroup(user, code) {
+        await this.ensureSchema();
+        const group = await this._groupByCode(code);
+        if (!group) return { success: false, error: 'not_found' };
+
+        const left = await pool.query(
+            'DELETE FROM friend_group_members WHERE group_id = $1 AND user_id = $2',
+            [group.id, user.id]
+        );
+        if (!left.rowCount) return { success: false, error: 'not_member', group };
+
+        if (group.members <= 1) {
+            await pool.query('DELETE FROM friend_groups WHERE id = $1', [group.id]);
+            logger.info(`👥 Group ${group.id} (${group.name}) deleted — last member left`);
+        } else if (group.owner_id === user.id) {
+            await pool.query(`
+                UPDATE friend_groups SET owner_id = (
+                    SELECT user_id FROM friend_group_members
+                    WHERE group_id = $1 ORDER BY joined_at ASC LIMIT 1
+                ) WHERE id = $1
+            `, [group.id]);
+        }
+        return { success: true, group };
+    }
+
+    async listGroups(userId) {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT g.*, (SELECT COUNT(*)::int FROM friend_group_members x WHERE x.group_id = g.id) AS members
+            FROM friend_group_members m
+            JOIN friend_groups g ON g.id = m.group_id
+            WHERE m.user_id = $1
+            ORDER BY m.joined_at ASC
+        `, [userId]);
+        return result.rows;
+    }
+
+    /** Members only — returns { success, group, rows } or { success: false, error }. */
+    async groupLeaderboard(userId, code, period = 'daily') {
+        await this.ensureSchema();
+        const group = await this._groupByCode(code);
+        if (!group) return { success: false, error: 'not_found' };
+
+        const members = await pool.query('SELECT user_id FROM friend_group_members WHERE group_id = $1', [group.id]);
+        const ids = members.rows.map(r => r.user_id);
+        if (!ids.includes(userId)) return { success: false, error: 'not_member' };
+
+        return { success: true, group, rows: await this.leaderboard(ids, period) };
+    }
+
+    // ============================================
+    // SCORES
+    // ============================================
+
+    /**
+     * Best classic prize per player for the period, highest first.
+     * Everyone in userIds is listed — players with no win yet score 0.
+     */
+    async leaderboard(userIds, period = 'daily') {
+        const since = PERIODS[period] || PERIODS.daily;
+        const result = await pool.query(`
+            SELECT u.id AS user_id, u.username,
+                   COALESCE(MAX(t.amount), 0) AS best,
+                   COUNT(t.id)::int AS wins
+            FROM users u
+            LEFT JOIN transactions t ON t.user_id = u.id
+                 AND t.transaction_type = 'prize' AND t.created_at >= ${since}
+            WHERE u.id = ANY($1::int[])
+            GROUP BY u.id
+            ORDER BY best DESC, wins DESC, u.username ASC
+        `, [userIds]);
+        return result.rows.map((row, i) => ({
+            position: i + 1,
+            userId: row.user_id,
+            username: row.username,
+            best: parseFloat(row.best) || 0,
+            wins: row.wins
+        }));
+    }
+
+    /**
+     * After a classic win: tells every friend whose all-time best this
+     * score has just overtaken. Friends already behind the player's old
+     * best heard about it last time, so each overtake is announced once.
+     * Fire-and-forget, never throws.
+     */
+    async onNewScore(user, score, transactionId) {
+        try {
+            await this.ensureSchema();
+            const previous = await pool.query(`
+                SELECT COALESCE(MAX(amount), 0) AS best FROM transactions
+                WHERE user_id = $1 AND transaction_type = 'prize' AND id <> $2
+            `, [user.id, transactionId]);
+            const prevBest = parseFloat(previous.rows[0].best) || 0;
+            if (score <= prevBest) return;
+
+            const overtaken = await pool.query(`
+                SELECT u.id, u.username, u.phone_number, u.language, b.best
+                FROM friendships f
+                JOIN users u ON u.id = f.friend_id
+                JOIN LATERAL (
+                    SELECT MAX(amount) AS best FROM transactions
+                    WHERE user_id = u.id AND transaction_type = 'prize'
+                ) b ON true
+                WHERE f.user_id = $1 AND b.best >= $2 AND b.best < $3
+            `, [user.id, prevBest, score]);
+
+            for (const friend of overtaken.rows) {
+                const best = parseFloat(friend.best);
+                await this._tell(friend, t => t.friend_beat(user.username, score.toLocaleString(), best.toLocaleString()));
+            }
+            if (overtaken.rows.length) {
+                logger.info(`👫 User ${user.id} overtook ${overtaken.rows.length} friend(s) with ₦${score}`);
+            }
+        } catch (error) {
+            logger.error(`Friend notifications failed for user ${user.id}:`, error.message);
+        }
+    }
+
+    async _tell(recipient, build) {
+        try {
+            const languageService = require('./language.service');
+            const MessagingService = require('./messaging.service');
+            await new MessagingService().sendMessage(recipient.phone_number, build(languageService.forUser(recipient)));
+        } catch (error) {
+            logger.error(`Could not message user ${recipient.id}:`, error.message);
+        }
+    }
+}
+
+module.exports = new FriendsService();
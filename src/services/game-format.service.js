@@ -0,0 +1,482 @@
+// ============================================
+// FILE: src/services/game-format.service.js
+// GAME FORMATS — named prize ladders, edited from the admin dashboard.
+//
+// WHY THIS EXISTS
+// The ladder (15 rungs, ₦200–₦50,000), the safe checkpoints and the
+// per-question timers were constants in game.service.js. Running a
+// 10-question "lite" round or a bigger weekend ladder meant editing
+// code and redeploying. A format now bundles all three and lives in
+// Postgres, so a new one is a form on /admin/formats.
+//
+// EXPORT SHAPE: exports an INSTANCE (like toggles.service.js).
+//   const gameFormats = require('./game-format.service');
+//
+// A FORMAT IS FROZEN ONTO THE SESSION
+// startNewGame copies the whole format into game_sessions.game_format.
+// Every later read — prize per rung, checkpoints, timers, the "of N"
+// counters — comes from that snapshot, never from the live table. An
+// admin editing a ladder at 8pm must not change the prize of a game
+// that is already on Q9.
+//
+// WHY THE CACHE IS SYNCHRONOUS
+// Same reason as toggles.service.js: the ladder is consulted inside
+// message composition and getGuaranteedAmount(), which are not async.
+// The snapshot on the session covers every in-flight game; the cache
+// is only used to pick the format for a NEW game and for menu copy.
+//
+// RESOLUTION ORDER for a new game:
+//   1. tournaments.game_format_id       (tournament games only)
+//   2. the format marked is_default
+//   3. STANDARD_FORMAT below            (DB empty or unreachable)
+// ============================================
+
+const pool = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const REFRESH_MS = 60000;
+
+// The ladder every game used before formats existed. Kept in code as the
+// last-resort fallback so a database hiccup can never leave a game
+// without a ladder — and seeded as the first row so it is editable.
+const STANDARD_FORMAT = Object.freeze({
+    id: null,
+    slug: 'standard',
+    name: 'Standard (15 questions)',
+    prize_ladder: [200, 250, 300, 500, 1000, 2000, 3000, 5000, 8000, 10000, 20000, 25000, 30000, 40000, 50000],
+    safe_checkpoints: [5, 10],
+    rung_timers: [12, 12, 12, 12, 12, 11, 11, 11, 11, 11, 10, 10, 10, 10, 10]
+});
+
+// Question difficulty in the bank runs 1–15. A ladder of any other length
+// is stretched or squeezed onto that range, so rung 10 of 10 still draws
+// from the hardest questions.
+const MAX_DIFFICULTY = 15;
+
+const LIMITS = {
+    MIN_RUNGS: 3,
+    MAX_RUNGS: 30,
+    MIN_TIMER_SECONDS: 5,
+    MAX_TIMER_SECONDS: 60
+};
+
+class GameFormatService {
+    constructor() {
+        this._byId = new Map();
+        this._default = null;
+        this._loaded = false;
+        this._timer = null;
+        this._schemaReady = false;
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS game_formats (
+                id SERIAL PRIMARY KEY,
+                slug TEXT NOT NULL UNIQUE,
+                name TEXT NOT NULL,
+                description TEXT,
+                prize_ladder JSONB NOT NULL,
+                safe_checkpoints JSONB NOT NULL DEFAULT '[]'::jsonb,
+                rung_timers JSONB NOT NULL,
+                is_default BOOLEAN NOT NULL DEFAULT false,
+                is_active BOOLEAN NOT NULL DEFAULT true,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                updated_by TEXT
+            )
+        `);
+        // At most one default. A partial unique index enforces it in the
+        // database, so two admins saving at once cannot both win.
+        await pool.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_game_formats_one_default
+            ON game_formats (is_default) WHERE is_default = true
+        `);
+        await pool.query(`ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS game_format_id INTEGER`);
+        await pool.query(`ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS game_format JSONB`);
+        await pool.query(`ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS game_format_id INTEGER`);
+
+        // First run: seed the ladder the game has always used, as the default.
+        await pool.query(`
+            INSERT INTO game_formats (slug, name, description, prize_ladder, safe_checkpoints, rung_timers, is_default)
+            SELECT $1, $2, $3, $4::jsonb, $5::jsonb, $6::jsonb, true
+            WHERE NOT EXISTS (SELECT 1 FROM game_formats)
+        `, [
+            STANDARD_FORMAT.slug, STANDARD_FORMAT.name,
+            'The original ladder: ₦200 to ₦50,000, safe at Q5 and Q10.',
+            JSON.stringify(STANDARD_FORMAT.prize_ladder),
+            JSON.stringify(STANDARD_FORMAT.safe_checkpoints),
+            JSON.stringify(STANDARD_FORMAT.rung_timers)
+        ]);
+        this._schemaReady = true;
+    }
+
+    async refresh() {
+        try {
+            await this.ensureSchema();
+            const result = await pool.query('SELECT * FROM game_formats ORDER BY id');
+            const next = new Map();
+            let def = null;
+            for (const row of result.rows) {
+                const format = this._normalise(row);
+                if (!format) continue;
+                next.set(format.id, format);
+                if (row.is_default && row.is_active) def = format;
+            }
+            this._byId = next;
+            this._default = def;
+            this._loaded = true;
+        } catch (error) {
+            if (this._loaded) {
+                logger.warn(`Game format refresh failed, using last snapshot: ${error.message}`);
+            } else {
+                logger.error(`Game format cache EMPTY — new games use the built-in standard ladder: ${error.message}`);
+            }
+        }
+    }
+
+    // Called once at boot from server.js, alongside the toggles.
+    async start() {
+        if (this._timer) return;
+        const first = this.refresh();
+        this._timer = setInterval(() => this.refresh(), REFRESH_MS);
+        this._timer.unref?.();
+        await first;
+        logger.info(`🪜 Game formats loaded (${this._byId.size} format(s), default: ${this.getDefault().slug})`);
+    }
+
+    // Rows from pg arrive with JSONB already parsed; sessions read back from
+    // the Redis cache have been through JSON once more. Accept either, and
+    // refuse anything that could not be played.
+    _normalise(row) {
+        if (!row) return null;
+        const parse = (v) => (typeof v === 'string' ? JSON.parse(v) : v);
+        try {
+            row = parse(row);
+            const ladder = (parse(row.prize_ladder) || []).map(Number);
+            const timers = (parse(row.rung_timers) || []).map(Number);
+            const checkpoints = (parse(row.safe_checkpoints) || []).map(Number);
+            if (!ladder.length || timers.length !== ladder.length) return null;
+            return {
+                id: row.id || null,
+                slug: row.slug,
+                name: row.name,
+                description: row.description || null,
+                prize_ladder: ladder,
+                safe_checkpoints: checkpoints.filter(c => c >= 1 && c <= ladder.length).sort((a, b) => a - b),
+                rung_timers: timers,
+                is_default: !!row.is_default,
+                is_active: row.is_active !== false
+            };
+        } catch (e) {
+            logger.warn(`Ignoring unreadable game format ${row.slug || row.id}: ${e.message}`);
+            return null;
+        }
+    }
+
+    // --------------------------------------------
+    // Picking a format
+    // --------------------------------------------
+    getDefault() {
+        if (!this._loaded && !this._timer) this.start();
+        return this._default || STANDARD_FORMAT;
+    }
+
+    getById(id) {
+        if (!id) return null;
+        const format = this._byId.get(parseInt(id));
+        return format && format.is_active ? format : null;
+    }
+
+    // Any known format, switched on or not — an edit that keeps a
+    // tournament's retired format must still validate.
+    exists(id) {
+        return !!id && this._byId.has(parseInt(id));
+    }
+
+    // The format a brand-new game should be played on.
+    resolveForNewGame(tournament = null) {
+        if (tournament && tournament.game_format_id) {
+            const chosen = this.getById(tournament.game_format_id);
+            if (chosen) return chosen;
+            logger.warn(`Tournament ${tournament.id} points at unavailable format ${tournament.game_format_id}, using default`);
+        }
+        return this.getDefault();
+    }
+
+    // The format an existing game is being played on: its frozen snapshot
+    // first, then its id. A session with neither started before formats
+    // existed, when every game was played on the standard ladder.
+    forSession(session) {
+        if (session && session.game_format) {
+            const snap = this._normalise(session.game_format);
+            if (snap) return snap;
+        }
+        if (session && session.game_format_id) {
+            const byId = this._byId.get(parseInt(session.game_format_id));
+            if (byId) return byId;
+        }
+        return STANDARD_FORMAT;
+    }
+
+    // What gets frozen into game_sessions.game_format.
+    snapshot(format) {
+        return {
+            id: format.id,
+            slug: format.slug,
+            name: format.name,
+            prize_ladder: format.prize_ladder,
+            safe_checkpoints: format.safe_checkpoints,
+            rung_timers: format.rung_timers
+        };
+    }
+
+    // --------------------------------------------
+    // Reading a format — every ladder question the game asks
+    // --------------------------------------------
+    length(format) {
+        return format.prize_ladder.length;
+    }
+
+    prizeFor(format, questionNumber) {
+        return format.prize_ladder[questionNumber - 1] || 0;
+    }
+
+    topPrize(format) {
+        return format.prize_ladder[format.prize_ladder.length - 1] || 0;
+    }
+
+    isSafe(format, questionNumber) {
+        return format.safe_checkpoints.includes(questionNumber);
+    }
+
+    // What a player keeps if the game ends while they are ON questionNumber:
+    // the prize of the highest checkpoint they have already passed.
+    guaranteedFor(format, questionNumber) {
+        for (const checkpoint of [...format.safe_checkpoints].reverse()) {
+            if (questionNumber > checkpoint) return this.prizeFor(format, checkpoint);
+        }
+        return 0;
+    }
+
+    timerFor(format, questionNumber) {
+        const seconds = format.rung_timers[Math.min(questionNumber, format.rung_timers.length) - 1]
+            || format.rung_timers[format.rung_timers.length - 1];
+        return { ms: seconds * 1000, seconds };
+    }
+
+    // The longest timer on the ladder — what the rules text promises.
+    standardTimerSeconds(format) {
+        return Math.max(...format.rung_timers);
+    }
+
+    // early / mid / late thirds of the ladder. The watchlist's custom timers
+    // are configured in these terms rather than as question numbers.
+    phaseOf(format, questionNumber) {
+        const len = format.prize_ladder.length;
+        if (questionNumber <= Math.round(len / 3)) return 'early';
+        if (questionNumber <= Math.round((len * 2) / 3)) return 'mid';
+        return 'late';
+    }
+
+    difficultyFor(format, questionNumber) {
+        const len = format.prize_ladder.length;
+        if (len === MAX_DIFFICULTY) return questionNumber;
+        return Math.min(MAX_DIFFICULTY, Math.max(1, Math.round((questionNumber * MAX_DIFFICULTY) / len)));
+    }
+
+    // The short ladder shown in the rules: the top rung, every checkpoint,
+    // and one rung between each of those, highest first.
+    describeLadder(format) {
+        const len = format.prize_ladder.length;
+        const marks = [len, ...[...format.safe_checkpoints].reverse().filter(c => c < len)];
+        const rungs = [];
+        marks.forEach((q, i) => {
+            rungs.push(q);
+            const below = marks[i + 1];
+            if (below && q - below > 1) rungs.push(Math.floor((q + below) / 2));
+        });
+        return rungs.map(q => {
+            let line = `Q${q}: ₦${this.prizeFor(format, q).toLocaleString()}`;
+            if (q === len) line += ' 🥇';
+            else if (this.isSafe(format, q)) line += ' (SAFE) 🔒';
+            return line;
+        }).join('\n');
+    }
+
+    // --------------------------------------------
+    // Admin surface
+    // --------------------------------------------
+    async list() {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT f.*,
+                   (SELECT COUNT(*) FROM tournaments t WHERE t.game_format_id = f.id) AS tournament_count
+            FROM game_formats f
+            ORDER BY f.is_default DESC, f.name
+        `);
+        return result.rows;
+    }
+
+    // Returns { ok, error?, format? } — never throws on bad input, so the
+    // route can hand the message straight back to the form.
+    validate(input) {
+        const name = String(input.name || '').trim();
+        if (!name) return { ok: false, error: 'Name is required' };
+
+        const slug = String(input.slug || name).trim().toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        if (!slug) return { ok: false, error: 'Slug is required' };
+
+        const ladder = Array.isArray(input.prize_ladder) ? input.prize_ladder.map(Number) : [];
+        if (ladder.length < LIMITS.MIN_RUNGS || ladder.length > LIMITS.MAX_RUNGS) {
+            return { ok: false, error: `A ladder needs between ${LIMITS.MIN_RUNGS} and ${LIMITS.MAX_RUNGS} rungs` };
+        }
+        if (ladder.some(p => !Number.isInteger(p) || p < 0)) {
+            return { ok: false, error: 'Every prize must be a whole number of naira, zero or more' };
+        }
+        for (let i = 1; i < ladder.length; i++) {
+            if (ladder[i] < ladder[i - 1]) {
+                return { ok: false, error: `Q${i + 1} pays less than Q${i} — a ladder can only go up` };
+            }
+        }
+
+        const checkpoints = Array.isArray(input.safe_checkpoints) ? input.safe_checkpoints.map(Number) : [];
+        if (checkpoints.some(c => !Number.isInteger(c) || c < 1 || c >= ladder.length)) {
+            return { ok: false, error: `Checkpoints must be question numbers between 1 and ${ladder.length - 1}` };
+        }
+        const uniqueCheckpoints = [...new Set(checkpoints)].sort((a, b) => a - b);
+
+        // A single number is shorthand for "this timer on every rung".
+        let timers = input.rung_timers;
+        if (!Array.isArray(timers)) timers = ladder.map(() => Number(timers));
+        timers = timers.map(Number);
+        if (timers.length !== ladder.length) {
+            return { ok: false, error: `Give one timer per rung (${ladder.length}), or a single value for all` };
+        }
+        if (timers.some(t => !Number.isInteger(t) || t < LIMITS.MIN_TIMER_SECONDS || t > LIMITS.MAX_TIMER_SECONDS)) {
+            return { ok: false, error: `Timers must be whole seconds between ${LIMITS.MIN_TIMER_SECONDS} and ${LIMITS.MAX_TIMER_SECONDS}` };
+        }
+
+        return {
+            ok: true,
+            format: {
+                slug, name,
+                description: input.description ? String(input.description).trim() : null,
+                prize_ladder: ladder,
+                safe_checkpoints: uniqueCheckpoints,
+                rung_timers: timers,
+                is_active: input.is_active !== false
+            }
+        };
+    }
+
+    async create(input, adminUsername) {
+        const v = this.validate(input || {});
+        if (!v.ok) return v;
+        await this.ensureSchema();
+        const f = v.format;
+        try {
+            const result = await pool.query(`
+                INSERT INTO game_formats (slug, name, description, prize_ladder, safe_checkpoints, rung_timers, is_active, updated_by)
+                VALUES ($1, $2, $3, $4::jsonb, $5::jsonb, $6::jsonb, $7, $8)
+                RETURNING *
+            `, [f.slug, f.name, f.description, JSON.stringify(f.prize_ladder),
+                JSON.stringify(f.safe_checkpoints), JSON.stringify(f.rung_timers), f.is_active, adminUsername || null]);
+            await this.refresh();
+            logger.info(`Game format ${f.slug} created by ${adminUsername || 'unknown'}`);
+            return { ok: true, format: result.rows[0] };
+        } catch (error) {
+            if (error.code === '23505') return { ok: false, error: `A format with slug "${f.slug}" already exists` };
+            throw error;
+        }
+    }
+
+    async update(id, input, adminUsername) {
+        const v = this.validate(input || {});
+        if (!v.ok) return v;
+        await this.ensureSchema();
+        const f = v.format;
+
+        const current = await pool.query('SELECT is_default FROM game_formats WHERE id = $1', [id]);
+        if (!current.rows.length) return { ok: false, error: 'Format not found', status: 404 };
+        if (current.rows[0].is_default && !f.is_active) {
+            return { ok: false, error: 'The default format cannot be switched off — make another format the default first' };
+        }
+
+        try {
+            const result = await pool.query(`
+                UPDATE game_formats
+                SET slug = $1, name = $2, description = $3, prize_ladder = $4::jsonb,
+                    safe_checkpoints = $5::jsonb, rung_timers = $6::jsonb, is_active = $7,
+                    updated_at = NOW(), updated_by = $8
+                WHERE id = $9
+                RETURNING *
+            `, [f.slug, f.name, f.description, JSON.stringify(f.prize_ladder),
+                JSON.stringify(f.safe_checkpoints), JSON.stringify(f.rung_timers), f.is_active,
+                adminUsername || null, id]);
+            await this.refresh();
+            logger.info(`Game format ${id} (${f.slug}) updated by ${adminUsername || 'unknown'}`);
+            return { ok: true, format: result.rows[0] };
+        } catch (error) {
+            if (error.code === '23505') return { ok: false, error: `A format with slug "${f.slug}" already exists` };
+            throw error;
+        }
+    }
+
+    // Swapping the default is two writes; doing them in one transaction
+    // means there is never a moment with no default (or two).
+    async setDefault(id, adminUsername) {
+        await this.ensureSchema();
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const target = await client.query(
+                'SELECT id FROM game_formats WHERE id = $1 AND is_active = true', [id]
+            );
+            if (!target.rows.length) {
+                await client.query('ROLLBACK');
+                return { ok: false, error: 'Format not found or switched off' };
+            }
+            await client.query('UPDATE game_formats SET is_default = false WHERE is_default = true');
+            await client.query(
+                'UPDATE game_formats SET is_default = true, updated_at = NOW(), updated_by = $2 WHERE id = $1',
+                [id, adminUsername || null]
+            );
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            client.release();
+        }
+        await this.refresh();
+        logger.info(`Game format ${id} made default by ${adminUsername || 'unknown'}`);
+        return { ok: true };
+    }
+
+    // Formats are never deleted while anything points at them: old sessions
+    // carry a snapshot, but tournaments look theirs up by id.
+    async remove(id, adminUsername) {
+        await this.ensureSchema();
+        const row = await pool.query(`
+            SELECT f.is_default,
+                   (SELECT COUNT(*) FROM tournaments t WHERE t.game_format_id = f.id) AS tournament_count
+            FROM game_formats f WHERE f.id = $1
+        `, [id]);
+        if (!row.rows.length) return { ok: false, error: 'Format not found', status: 404 };
+        if (row.rows[0].is_default) return { ok: false, error: 'The default format cannot be deleted' };
+        if (parseInt(row.rows[0].tournament_count) > 0) {
+            return { ok: false, error: 'Tournaments still use this format — switch it off instead' };
+        }
+        await pool.query('DELETE FROM game_formats WHERE id = $1', [id]);
+        await this.refresh();
+        logger.info(`Game format ${id} deleted by ${adminUsername || 'unknown'}`);
+        return { ok: true };
+    }
+}
+
+module.exports = new GameFormatService();
+module.exports.STANDARD_FORMAT = STANDARD_FORMAT;
@@ -78,6 +78,16 @@ const PROMPTS = {
     COLLECT_ACCOUNT_NAME: { expects: 'text', title: 'Account name',
         field: { label: 'Name on the account', type: 'text', placeholder: 'As it appears at your bank' } },
 
+    // --- identity check before a claim (VERIFY). Web has an upload screen
+    //     for the two photos; they arrive through POST /web/game/kyc. ---
+    KYC_ID_TYPE:   { expects: 'choice', title: 'Verify your identity' },
+    KYC_ID_NUMBER: { expects: 'text', title: 'Your ID number',
+        field: { label: 'ID number', type: 'text', transform: 'upper', placeholder: 'As printed on the ID' } },
+    KYC_BVN:       { expects: 'text', title: 'Your BVN',
+        field: { label: 'BVN', type: 'tel', inputmode: 'numeric', maxLength: 11, placeholder: '11 digits' } },
+    KYC_ID_PHOTO:  { expects: 'media', title: 'Photo of your ID',      web: 'kyc' },
+    KYC_SELFIE:    { expects: 'media', title: 'Selfie with your ID',   web: 'kyc' },
+
     LOVE_QUEST_PLAYER_NAME:  { expects: 'text', title: 'Their name',
         field: { label: 'Name', type: 'text' } },
     LOVE_QUEST_PLAYER_PHONE: { expects: 'text', title: 'Their number',
@@ -124,14 +134,16 @@ class GameStateService {
             this._cached = {
                 userService: new UserService(),
                 gameService: GameService.shared,
-                gameEvents: require('./game-events.service')
+                gameEvents: require('./game-events.service'),
+                liveShows: require('./live-show.service'),
+                dailyChallenge: require('./daily-challenge.service')
             };
         }
         return this._cached;
     }
 
     async derive(user) {
-        const { userService, gameService, gameEvents } = this._deps();
+        const { userService, gameService, gameEvents, liveShows, dailyChallenge } = this._deps();
 
         const [rawState, ready, session, postGameRaw] = await Promise.all([
             userService.getUserState(user.phone_number).catch(() => null),
@@ -296,6 +308,19 @@ class GameStateService {
                      sessionId: session.id, gameMode: session.game_mode, canCancel: true };
         }
 
+        // Standing in a running live show. There is no session — the show
+        // itself says whether a question is open for this player.
+        const live = await liveShows.stateFor(user.id).catch(() => null);
+        if (live) {
+            return { ...base, ...live };
+        }
+
+        // Part-way through today's daily challenge — no session either.
+        const daily = await dailyChallenge.stateFor(user.id).catch(() => null);
+        if (daily) {
+            return { ...base, ...daily };
+        }
+
         // 5. Game just finished; the engine accepts the follow-up menu for a while.
         if (postGameRaw) {
             let data = null;
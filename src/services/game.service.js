@@ -3,10 +3,10 @@
 // COMPLETE FILE - READY TO PASTE AND REPLACE
 // CHANGES:
 // 1. Multi-trigger turbo mode (last-second + clustering + consistency)
-// 2. Progressive difficulty timers (Q1-5: 12s, Q6-10: 11s, Q11-15: 10s)
+// 2. Progressive difficulty timers (per game format; standard: 12s / 11s / 10s by thirds)
 // 3. Perfect session auto-termination (perfect Q10 + no lifelines + tight CV)
 // 4. Perfect game flagging (15/15 → payout under_review)
-// 5. Photo verification challenges (Q13-15, 20s timeout)
+// 5. Photo verification challenges (last 3 rungs of the ladder, 20s timeout)
 // 6. Sanitized turbo messages (no timing hints)
 // 7. Q1 timeout integration (calls restrictions.trackQ1Timeout)
 // 8. Penalty game timer support (10s timers for flagged users)
@@ -35,10 +35,19 @@ const kycService = require('./kyc.service');
 const behavioralAnalysisService = require('./behavioral-analysis.service');
 const { logger } = require('../utils/logger');
 const activityService = require('./activity.service');
+const referralRewards = require('./referral-rewards.service');
+const friendsService = require('./friends.service');
 const reviewInvites = require('./review-invite.service');
 const WhatsAppService = require('./whatsapp.service');
 const cloudinaryService = require('./cloudinary.service');
 const watchlistService = require('./watchlist.service');
+const faceMatchService = require('./face-match.service');
+const gameFormats = require('./game-format.service');
+const audienceService = require('./audience.service');
+const duelService = require('./duel.service');
+const languageService = require('./language.service');
+const ledgerService = require('./ledger.service');
+const sponsorService = require('./sponsor.service');
 const { platformOf } = require('../utils/platform');
 
 // ============================================
@@ -81,22 +90,11 @@ const TURBO_MODE_CONFIG = {
     GO_TIMEOUT_SECONDS: 30,
 };
 
-// ============================================
-// PROGRESSIVE DIFFICULTY TIMERS
-// ============================================
-const DIFFICULTY_TIMERS = {
-    getBaseTimeout(questionNumber) {
-        if (questionNumber <= 5) return { ms: 12000, seconds: 12 };
-        if (questionNumber <= 10) return { ms: 11000, seconds: 11 };
-        return { ms: 10000, seconds: 10 };
-    }
-};
-
 // ============================================
 // SUSPICIOUS SESSION CONFIG
 // ============================================
 const SUSPICIOUS_SESSION_CONFIG = {
-    PERFECT_THROUGH_Q: 10,
+    PERFECT_THROUGH_Q: 10,              // capped at the ladder's second-last rung
     MAX_CV: 0.12,
 };
 
@@ -104,7 +102,7 @@ const SUSPICIOUS_SESSION_CONFIG = {
 // PHOTO VERIFICATION CONFIG
 // ============================================
 const PHOTO_VERIFICATION_CONFIG = {
-    TRIGGER_QUESTIONS: [13, 14, 15],    // Check at Q13-15
+    FINAL_RUNGS: 3,                     // Check on the last 3 rungs (Q13-15 on the standard ladder)
     TIMEOUT_MS: 20000,                  // 20-second window
     TIMEOUT_SECONDS: 20,
 };
@@ -113,13 +111,9 @@ const messagingService = new MessagingService();
 const questionService = new QuestionService();
 const paymentService = new PaymentService();
 
-const PRIZE_LADDER = {
-    1: 200, 2: 250, 3: 300, 4: 500, 5: 1000,
-    6: 2000, 7: 3000, 8: 5000, 9: 8000, 10: 10000,
-    11: 20000, 12: 25000, 13: 30000, 14: 40000, 15: 50000,
-};
-
-const SAFE_CHECKPOINTS = [5, 10];
+// The prize ladder, safe checkpoints and per-rung timers used to be
+// constants here. They now come from the game format frozen onto each
+// session — see game-format.service.js.
 const activeTimeouts = new Map();
 
 class GameService {
@@ -432,14 +426,9 @@ class GameService {
         const currentSession = await this.getActiveSession(user.id);
         if (!currentSession || currentSession.id !== session.id) return;
         
-        const questionNumber = currentSession.current_question - 1;
-        let guaranteedAmount = 0;
-        for (const checkpoint of [...SAFE_CHECKPOINTS].reverse()) {
-            if (questionNumber >= checkpoint) {
-                guaranteedAmount = PRIZE_LADDER[checkpoint];
-                break;
-            }
-        }
+        const guaranteedAmount = this.getGuaranteedAmount(
+            currentSession.current_question, gameFormats.forSession(currentSession)
+        );
         
         currentSession.current_score = guaranteedAmount;
         
@@ -515,7 +504,7 @@ class GameService {
     }
 
     /** Get current timeout for session (turbo > penalty > progressive > base) */
-    async getSessionTimeout(sessionKey, questionNumber = null, userId = null) {
+    async getSessionTimeout(sessionKey, questionNumber = null, userId = null, format = null) {
         const trackingKey = `turbo_track:${sessionKey}`;
         
         // Priority 0: Watchlist shortened timers (skip for practice mode)
@@ -532,10 +521,8 @@ class GameService {
                         const measures = typeof wlConfig.measures === 'string' ? JSON.parse(wlConfig.measures) : wlConfig.measures;
                         const customTimers = measures.timer_values || { early: 8, mid: 7, late: 6 };
                         if (questionNumber) {
-                            let timerSeconds;
-                            if (questionNumber <= 5) timerSeconds = customTimers.early;
-                            else if (questionNumber <= 10) timerSeconds = customTimers.mid;
-                            else timerSeconds = customTimers.late;
+                            const phase = gameFormats.phaseOf(format || gameFormats.STANDARD_FORMAT, questionNumber);
+                            const timerSeconds = customTimers[phase];
                             watchlistTimerOverride = { ms: timerSeconds * 1000, seconds: timerSeconds };
                         }
                     }
@@ -615,9 +602,9 @@ class GameService {
             }
         }
 
-        // Priority 3: Progressive difficulty timer
+        // Priority 3: Progressive timer from the session's game format
         if (questionNumber) {
-            const base = DIFFICULTY_TIMERS.getBaseTimeout(questionNumber);
+            const base = gameFormats.timerFor(format || gameFormats.STANDARD_FORMAT, questionNumber);
             return {
                 timeoutMs: base.ms,
                 timeoutSeconds: base.seconds,
@@ -667,9 +654,10 @@ class GameService {
     // ============================================
 
     async checkSuspiciousPerfectSession(session, user, questionNumber, responseTimeMs) {
-        if (questionNumber < SUSPICIOUS_SESSION_CONFIG.PERFECT_THROUGH_Q) return { terminate: false };
+        const format = gameFormats.forSession(session);
+        if (questionNumber < this.getPerfectThroughQuestion(format)) return { terminate: false };
 
-        const expectedPerfectScore = PRIZE_LADDER[questionNumber];
+        const expectedPerfectScore = gameFormats.prizeFor(format, questionNumber);
         if (session.current_score !== expectedPerfectScore) return { terminate: false };
         if (session.lifeline_5050_used || session.lifeline_skip_used) return { terminate: false };
 
@@ -744,8 +732,9 @@ class GameService {
     // ============================================
 
     async shouldRequestPhotoVerification(session, user, questionNumber) {
-        if (!PHOTO_VERIFICATION_CONFIG.TRIGGER_QUESTIONS.includes(questionNumber)) return false;
-        if (session.game_type === 'practice') return false;
+        const ladderLength = gameFormats.length(gameFormats.forSession(session));
+        if (questionNumber <= ladderLength - PHOTO_VERIFICATION_CONFIG.FINAL_RUNGS) return false;
+        if (session.game_type === 'practice' || session.duel_id) return false;
         if (session.photo_verification_requested) return false;
 
         // Only for suspicious sessions
@@ -905,6 +894,7 @@ class GameService {
             // Download and upload the photo to Cloudinary
             let imageUrl = null;
             let analysis = null;
+            let photoBuffer = null;     // kept for the face match against the baseline
             
             // WhatsApp: download via media ID
             const waMediaId = message?.image?.id;
@@ -918,6 +908,7 @@ class GameService {
                     const whatsappService = new WhatsAppService();
                     const media = await whatsappService.downloadMedia(waMediaId);
                     if (media) {
+                        photoBuffer = media.buffer;
                         const uploadResult = await cloudinaryService.uploadVerificationPhoto(
                             media.buffer, user.id, session.id
                         );
@@ -931,6 +922,7 @@ class GameService {
                 }
             } else if (tgPhoto && tgPhoto.buffer) {
                 try {
+                    photoBuffer = tgPhoto.buffer;
                     const uploadResult = await cloudinaryService.uploadVerificationPhoto(
                         tgPhoto.buffer, user.id, session.id
                     );
@@ -943,6 +935,7 @@ class GameService {
                 }
             } else if (rawPhoto && rawPhoto.length) {
                 try {
+                    photoBuffer = rawPhoto;
                     const uploadResult = await cloudinaryService.uploadVerificationPhoto(
                         rawPhoto, user.id, session.id
                     );
@@ -985,6 +978,39 @@ class GameService {
                 return true;
             }
 
+            // ============================================
+            // FACE MATCH against this session's baseline selfie (watchlist).
+            // Only an enforced mismatch fails here; borderline scores and
+            // unenforced mismatches go to the admin review queue.
+            // ============================================
+            if (!data.isBaseline) {
+                let faceResult = null;
+                try {
+                    const wlConfig = await watchlistService.getUserWatchlistConfig(user.id);
+                    const measures = wlConfig
+                        ? (typeof wlConfig.measures === 'string' ? JSON.parse(wlConfig.measures) : wlConfig.measures)
+                        : {};
+                    faceResult = await faceMatchService.checkAgainstBaseline(session.id, user.id, photoBuffer, analysis, measures || {});
+                } catch (fmErr) {
+                    logger.error('Error comparing with baseline selfie:', fmErr.message);
+                }
+
+                if (faceResult && faceResult.status === 'mismatch' && faceResult.enforce) {
+                    const reason = "Face doesn't match your pre-game selfie";
+                    logger.warn(`📸❌ Face mismatch for user ${user.id} (score ${faceResult.score}) — ending game`);
+                    await pool.query(`
+                        UPDATE photo_verifications 
+                        SET responded_at = NOW(), response_type = 'image', passed = false,
+                            response_time_ms = $1, image_url = $2, failure_reason = $3
+                        WHERE session_id = $4 AND user_id = $5 AND passed IS NULL
+                    `, [responseTimeMs, imageUrl, reason, session.id, user.id]);
+                    await auditService.logPhotoVerificationResult(session.id, user.id, false, 'face_mismatch', responseTimeMs);
+                    await messagingService.sendMessage(user.phone_number, `❌ *VERIFICATION FAILED*\n\n• ${reason}\n\n🎮 GAME OVER`);
+                    await this.handlePhotoVerificationFailure(session, user, 'face_mismatch');
+                    return true;
+                }
+            }
+
             // ============================================
             // VALIDATION PASSED
             // ============================================
@@ -1009,6 +1035,8 @@ class GameService {
             if (data.isBaseline) {
                 const baselineKey = `wl_baseline:${session.session_key}`;
                 await redis.setex(baselineKey, 3600, imageUrl || 'done');
+                await faceMatchService.recordBaseline(session.id, user.id, photoBuffer, analysis)
+                    .catch(err => logger.error('Error recording baseline face signature:', err.message));
                 logger.info(`📸 Baseline selfie captured for user ${user.id}, session ${session.id}`);
                 
                 await messagingService.sendMessage(user.phone_number, `✅ *Selfie captured!* You're all set for SuperCool Mode! 🧊\n\nLet's go... 🎮`);
@@ -1045,7 +1073,7 @@ class GameService {
             WHERE session_id = $3 AND user_id = $4 AND passed IS NULL
         `, [reason, reason === 'timeout' ? 'Did not send photo within 20 seconds' : reason, session.id, user.id]);
 
-        const guaranteedAmount = this.getGuaranteedAmount(session.current_question);
+        const guaranteedAmount = this.getGuaranteedAmount(session.current_question, gameFormats.forSession(session));
         session.current_score = guaranteedAmount;
 
         const message = reason === 'timeout'
@@ -1062,6 +1090,8 @@ class GameService {
 
     async flagPerfectGame(session, user) {
         try {
+            const format = gameFormats.forSession(session);
+
             // Put payout on hold
             await pool.query(`
                 UPDATE transactions 
@@ -1078,7 +1108,8 @@ class GameService {
             `, [session.id]);
 
             await auditService.logPerfectGameFlagged(session.id, user.id, {
-                score: 50000, questions: 15
+                score: gameFormats.topPrize(format), questions: gameFormats.length(format),
+                format: format.slug
             });
 
             logger.warn(`🏆🔒 PERFECT GAME FLAGGED: User ${user.id}, Session ${session.id} - payout under review`);
@@ -1118,15 +1149,14 @@ class GameService {
         if (cleared > 0) logger.info(`Cleared ${cleared} timeouts for session ${sessionKey}`);
     }
 
-    getGuaranteedAmount(questionNumber) {
-        let guaranteed = 0;
-        for (const checkpoint of [...SAFE_CHECKPOINTS].reverse()) {
-            if (questionNumber > checkpoint) {
-                guaranteed = PRIZE_LADDER[checkpoint];
-                break;
-            }
-        }
-        return guaranteed;
+    getGuaranteedAmount(questionNumber, format = gameFormats.STANDARD_FORMAT) {
+        return gameFormats.guaranteedFor(format, questionNumber);
+    }
+
+    // The perfect-session check runs from Q10 on the standard ladder; on a
+    // shorter ladder it must still get a chance before the last question.
+    getPerfectThroughQuestion(format) {
+        return Math.min(SUSPICIOUS_SESSION_CONFIG.PERFECT_THROUGH_Q, gameFormats.length(format) - 1);
     }
 
     // ============================================
@@ -1190,20 +1220,25 @@ class GameService {
         }
     }
 
-    async startNewGame(user, gameMode = 'classic', tournamentId = null) {
+    // options.duel — the duels row this game is one round of. A duel round
+    // is free and prize-less, and plays the duel's frozen format.
+    async startNewGame(user, gameMode = 'classic', tournamentId = null, options = {}) {
         try {
+            const duel = options.duel || null;
+
             // Must come first: everything below this line spends something.
-            if (await this.promptForEmailIfDue(user, gameMode, tournamentId)) return;
+            // A duel round spends nothing, and the challenge is already sent.
+            if (!duel && await this.promptForEmailIfDue(user, gameMode, tournamentId)) return;
 
             const platform = platformOf(user.phone_number);
             const isTournamentGame = tournamentId !== null;
             const isPracticeMode = gameMode === 'practice';
-            const gameType = isPracticeMode ? 'practice' : (isTournamentGame ? 'tournament' : 'regular');
+            const gameType = duel ? 'duel' : (isPracticeMode ? 'practice' : (isTournamentGame ? 'tournament' : 'regular'));
 
             let shouldDeductToken = false;
             let tokenDeducted = false;
 
-            if (paymentService.isEnabled() && !isPracticeMode && !isTournamentGame) {
+            if (paymentService.isEnabled() && !isPracticeMode && !isTournamentGame && !duel) {
                 const hasGames = await paymentService.hasGamesRemaining(user.id);
                 if (!hasGames) {
                     await messagingService.sendMessage(
@@ -1217,10 +1252,11 @@ class GameService {
 
             // Tournament checks (unchanged from original)
             let tournamentUsesTokens = false;
+            let tournament = null;
             if (isTournamentGame) {
                 const TournamentService = require('./tournament.service');
                 const ts = new TournamentService();
-                const tournament = await ts.getTournamentById(tournamentId);
+                tournament = await ts.getTournamentById(tournamentId);
                 if (!tournament) {
                     await messagingService.sendMessage(user.phone_number, '❌ Tournament not found!');
                     return;
@@ -1270,6 +1306,7 @@ class GameService {
                         await messagingService.sendMessage(user.phone_number, '❌ Failed to deduct token. Please try again.');
                         return;
                     }
+                    await ledgerService.recordTokenUse(user.id, tournamentId);
                     tokenDeducted = true;
                 }
             }
@@ -1288,17 +1325,26 @@ class GameService {
 
             const sessionKey = `game_${user.id}_${Date.now()}`;
 
+            // The format is frozen onto the session here, so an admin editing
+            // the ladder mid-game cannot change what this game pays.
+            await gameFormats.ensureSchema();
+            await duelService.ensureSchema();
+            const format = duel ? gameFormats.forSession(duel) : gameFormats.resolveForNewGame(tournament);
+
             const result = await pool.query(`
                 INSERT INTO game_sessions (
                     user_id, session_key, current_question, current_score,
                     game_mode, tournament_id, is_tournament_game,
-                    token_deducted, game_type, platform
+                    token_deducted, game_type, platform,
+                    game_format_id, game_format, duel_id
                 )
-                VALUES ($1, $2, 1, 0, $3, $4, $5, $6, $7, $8)
+                VALUES ($1, $2, 1, 0, $3, $4, $5, $6, $7, $8, $9, $10, $11)
                 RETURNING *
-            `, [user.id, sessionKey, gameMode, tournamentId, isTournamentGame, tokenDeducted, gameType, platform]);
+            `, [user.id, sessionKey, gameMode, tournamentId, isTournamentGame, tokenDeducted, gameType, platform,
+                format.id, JSON.stringify(gameFormats.snapshot(format)), duel ? duel.id : null]);
 
             const session = result.rows[0];
+            if (duel) await duelService.attachSession(duel.id, user.id, session.id);
             await redis.setex(`session:${sessionKey}`, 3600, JSON.stringify(session));
 
             await auditService.logGameStart(session.id, user.id, gameMode, platform, tournamentId);
@@ -1313,7 +1359,7 @@ class GameService {
             //                webhook.controller, exactly as it always has.
             // Widening this to tournaments would change chat behaviour, which is
             // out of scope for a web fix.
-            if (!isPracticeMode && !isTournamentGame) {
+            if (!isPracticeMode && !isTournamentGame && !duel) {
                 try {
                     const antiFraudService = require('./anti-fraud.service');
                     if (antiFraudService.recordGameStart) await antiFraudService.recordGameStart(user.id);
@@ -1342,9 +1388,16 @@ class GameService {
 
             // Streak tracking
             let streakResult = null;
-            if (gameMode === 'classic' || isTournamentGame) {
+            if ((gameMode === 'classic' || isTournamentGame) && !duel) {
                 try {
                     streakResult = await streakService.updateStreak(user.id, isTournamentGame ? 'tournament' : 'classic');
+                    if (streakResult.frozenDays) {
+                        startBanners.push(streakService.formatFreezeUsedMessage(streakResult, languageService.forUser(user)));
+                    }
+                    if (streakResult.updated) {
+                        const streakBadges = await achievementsService.recordEvent(user.id, 'streak');
+                        streakBadges.forEach(a => startBanners.push(achievementsService.formatNewAchievementMessage(a)));
+                    }
                     if (streakResult.reward) {
                         // Collected, not sent: these used to arrive as separate
                         // messages before the instructions, so the three most
@@ -1357,7 +1410,7 @@ class GameService {
                 }
             }
 
-            logger.info(`🎮 Game started: User ${user.id}, Platform: ${platform}, Mode: ${gameMode}, Type: ${gameType}`);
+            logger.info(`🎮 Game started: User ${user.id}, Platform: ${platform}, Mode: ${gameMode}, Type: ${gameType}, Format: ${format.slug}`);
 
             // Check for penalty mode notification
             if (!isPracticeMode) {
@@ -1391,21 +1444,26 @@ class GameService {
             let instructions = '';
             let branding = 'Proudly brought to you by SummerIsland Systems.';
 
-            if (isPracticeMode) {
+            if (duel) {
+                gameModeText = duel.knockout_match_id
+                    ? `🥊 KNOCKOUT vs ${options.opponentName || 'your opponent'}`
+                    : `⚔️ DUEL vs ${options.opponentName || 'your opponent'}`;
+                instructions = this.getDuelInstructions(format);
+            } else if (isPracticeMode) {
                 gameModeText = '🎓 PRACTICE MODE';
-                instructions = await this.getPracticeModeInstructions();
+                instructions = await this.getPracticeModeInstructions(format);
             } else if (isTournamentGame) {
                 const TournamentService = require('./tournament.service');
                 const ts = new TournamentService();
-                const tournament = await ts.getTournamentById(tournamentId);
                 const customInstructions = await ts.getTournamentInstructions(tournamentId);
                 gameModeText = `🏆 ${tournament.tournament_name.toUpperCase()}`;
+                if (tournament.sponsor_name) gameModeText += `\n_Sponsored by ${tournament.sponsor_name}_`;
                 if (customInstructions && customInstructions.instructions) {
-                    instructions = customInstructions.instructions + this.getTournamentStandardFooter();
+                    instructions = customInstructions.instructions + this.getTournamentStandardFooter(format);
                     branding = customInstructions.branding || branding;
                 } else {
-                    instructions = await this.getDefaultTournamentInstructions(tournament);
-                    instructions += this.getTournamentStandardFooter();
+                    instructions = await this.getDefaultTournamentInstructions(tournament, format);
+                    instructions += this.getTournamentStandardFooter(format);
                     if (tournament.custom_branding) branding = tournament.custom_branding;
                 }
                 if (tournamentUsesTokens) {
@@ -1421,7 +1479,7 @@ class GameService {
                     case 'world': gameModeText = '🌍 WORLD EDITION'; break;
                     default: gameModeText = '🎮 GAME MODE';
                 }
-                instructions = await this.getDefaultGameInstructions();
+                instructions = await this.getDefaultGameInstructions(format);
             }
 
             // Check if user is on watchlist — send fun "SuperCool Mode" notification
@@ -1449,6 +1507,7 @@ class GameService {
                 user.phone_number,
                 `${bannerBlock}${gameModeText}\n\n${instructions}\n\n${branding}${superCoolMsg}\n\nWhen you're ready, reply START to begin! 🚀`
             );
+            if (tournament && tournament.sponsor_id) await sponsorService.recordImpression(tournament.id, 'message', user.id);
 
             await redis.setex(`game_ready:${user.id}`, 300, sessionKey);
 
@@ -1458,32 +1517,39 @@ class GameService {
         }
     }
 
-    async getPracticeModeInstructions() {
-        return `🎓 PRACTICE MODE INSTRUCTIONS 🎓\n\n📋 RULES:\n- 15 questions\n- ${QUESTION_TIMEOUT_SECONDS} seconds per question\n- ⚠️ NO PRIZES in practice mode\n- Perfect for learning!\n\n💎 LIFELINES:\n5️⃣0️⃣ 50:50 - Remove 2 wrong answers\n⏭️ Skip - Replace with new question\n\nUse this mode to familiarize yourself with the game!\nWhen ready, play Classic Mode to win real prizes! 🏆`;
+    // Rules text is built from the game's format: number of questions,
+    // the timer promised, the top prize and the ladder itself.
+    async getPracticeModeInstructions(format = gameFormats.getDefault()) {
+        return `🎓 PRACTICE MODE INSTRUCTIONS 🎓\n\n📋 RULES:\n- ${gameFormats.length(format)} questions\n- ${gameFormats.standardTimerSeconds(format)} seconds per question\n- ⚠️ NO PRIZES in practice mode\n- Perfect for learning!\n\n💎 LIFELINES:\n5️⃣0️⃣ 50:50 - Remove 2 wrong answers\n⏭️ Skip - Replace with new question\n👥 Ask the Audience - See how other players answered\n\nUse this mode to familiarize yourself with the game!\nWhen ready, play Classic Mode to win real prizes! 🏆`;
     }
 
-    async getDefaultGameInstructions() {
+    getDuelInstructions(format) {
+        return `⚔️ DUEL RULES ⚔️\n\n📋 RULES:\n- ${gameFormats.length(format)} questions — the same ones your opponent gets\n- ${gameFormats.standardTimerSeconds(format)} seconds per question\n- One wrong answer ends your round\n- Most correct answers wins\n- Level? The faster total answer time wins\n- No tokens used, no cash prizes — just bragging rights\n\n💎 LIFELINES:\n5️⃣0️⃣ 50:50 - Remove 2 wrong answers\n⏭️ Skip - Replace with new question\n👥 Ask the Audience - See how other players answered\n\nYou'll both get the result as soon as both rounds are in.`;
+    }
+
+    async getDefaultGameInstructions(format = gameFormats.getDefault()) {
+        const seconds = gameFormats.standardTimerSeconds(format);
         return `🎮 GAME INSTRUCTIONS 🎮\n\n` +
-            `📋 RULES:\n- 15 questions\n- ${QUESTION_TIMEOUT_SECONDS} seconds per question\n- Win up to ₦50,000!\n\n` +
-            `⏱️ PROGRESSIVE TIMERS:\n- Standard: ${QUESTION_TIMEOUT_SECONDS} seconds per question\n- Suspicious play patterns may trigger reduced timers\n- Play fairly to keep your full time!\n\n` +
-            `💎 LIFELINES:\n5️⃣0️⃣ 50:50 - Remove 2 wrong answers (+5s bonus) (Type '50' to activate)\n⏭️ Skip - Replace with new question (Type 'Skip' to activate)\n\n` +
-            `🏆 PRIZE LADDER:\nQ15: ₦50,000 🥇\nQ12: ₦25,000\nQ10: ₦10,000 (SAFE) 🔒\nQ8: ₦5,000\nQ5: ₦1,000 (SAFE) 🔒\n\n` +
+            `📋 RULES:\n- ${gameFormats.length(format)} questions\n- ${seconds} seconds per question\n- Win up to ₦${gameFormats.topPrize(format).toLocaleString()}!\n\n` +
+            `⏱️ PROGRESSIVE TIMERS:\n- Standard: ${seconds} seconds per question\n- Suspicious play patterns may trigger reduced timers\n- Play fairly to keep your full time!\n\n` +
+            `💎 LIFELINES:\n5️⃣0️⃣ 50:50 - Remove 2 wrong answers (+5s bonus) (Type '50' to activate)\n⏭️ Skip - Replace with new question (Type 'Skip' to activate)\n👥 Ask the Audience - See how other players answered (Type 'Ask' to activate)\n\n` +
+            `🏆 PRIZE LADDER:\n${gameFormats.describeLadder(format)}\n\n` +
             `🔒 Safe amounts are guaranteed even if you get the next question wrong or time out!\n\n` +
             `⚠️ FAIR PLAY WARNING:\nCheating is strictly prohibited. Any form of external assistance to answer questions will result in:\n• Account suspension\n• Forfeiture of all winnings & tokens\n• Permanent ban from the platform or tournaments ineligibility\n\n` +
             `_Play fair, win fair!_ 🛡️`;
     }
 
-    async getDefaultTournamentInstructions(tournament) {
+    async getDefaultTournamentInstructions(tournament, format = gameFormats.getDefault()) {
         const prizeText = tournament.prize_pool ? `Win big from the ₦${tournament.prize_pool.toLocaleString()} prize pool!` : 'Compete for amazing prizes!';
         return `🏆 TOURNAMENT INSTRUCTIONS 🏆\n\n` +
-            `📋 RULES:\n- 15 questions\n- ${QUESTION_TIMEOUT_SECONDS} seconds per question\n- ${prizeText}\n- Top 10/20 winners share prize pool\n\n` +
-            `💎 LIFELINES:\n5️⃣0️⃣ 50:50 - Remove 2 wrong answers (+5s bonus)\n⏭️ Skip - Replace with new question\n\n` +
+            `📋 RULES:\n- ${gameFormats.length(format)} questions\n- ${gameFormats.standardTimerSeconds(format)} seconds per question\n- ${prizeText}\n- Top 10/20 winners share prize pool\n\n` +
+            `💎 LIFELINES:\n5️⃣0️⃣ 50:50 - Remove 2 wrong answers (+5s bonus)\n⏭️ Skip - Replace with new question\n👥 Ask the Audience - See how other players answered\n\n` +
             `Your BEST score counts!\nPlay as many times as allowed!`;
     }
 
-    getTournamentStandardFooter() {
+    getTournamentStandardFooter(format = gameFormats.getDefault()) {
         return `\n\n━━━━━━━━━━━━━━━━\n\n` +
-            `⏱️ PROGRESSIVE TIMERS:\n- Standard: ${QUESTION_TIMEOUT_SECONDS} seconds per question\n- Suspicious play patterns may trigger reduced timers\n- Play fairly to keep your full time!\n\n` +
+            `⏱️ PROGRESSIVE TIMERS:\n- Standard: ${gameFormats.standardTimerSeconds(format)} seconds per question\n- Suspicious play patterns may trigger reduced timers\n- Play fairly to keep your full time!\n\n` +
             `⚠️ FAIR PLAY WARNING:\nCheating is strictly prohibited. Any form of external assistance to answer questions will result in:\n• Account suspension\n• Forfeiture of all winnings & tokens\n• Permanent ban from the platform or tournaments ineligibility\n\n` +
             `_Play fair, win fair!_ 🛡️`;
     }
@@ -1514,6 +1580,7 @@ class GameService {
 
             const finalScore = session.current_score;
             const questionNumber = session.current_question;
+            const totalQuestions = gameFormats.length(gameFormats.forSession(session));
             
             const timeoutKey = `timeout:${session.session_key}:q${questionNumber}`;
             this.clearQuestionTimeout(timeoutKey);
@@ -1523,6 +1590,11 @@ class GameService {
             if (wonGrandPrize) outcome = 'grand_prize';
             else if (finalScore === 0 && !endReason) outcome = 'wrong_answer';
 
+            if (session.duel_id) {
+                await this.completeDuelRound(session, user, outcome, totalQuestions);
+                return;
+            }
+
             await auditService.logGameEnd(session.id, user.id, finalScore, questionNumber - 1, outcome, finalScore);
 
             await pool.query(`
@@ -1554,14 +1626,35 @@ class GameService {
                 practice: session.game_type === 'practice'
             });
 
+            // Referral tiers: pays this player's referrer for a games-played
+            // milestone. Fire-and-forget, never throws.
+            if (session.game_type !== 'practice') {
+                referralRewards.evaluate(user.id);
+            }
+
             // Create payout transaction for classic mode wins
             // Duplicate prevention: Redis lock + session status guard + DB unique index
             if (session.game_type !== 'practice' && !session.is_tournament_game && finalScore > 0) {
-                await pool.query(`
+                const prize = await pool.query(`
                     INSERT INTO transactions (user_id, session_id, amount, transaction_type, payment_status, payout_status)
                     VALUES ($1, $2, $3, 'prize', 'pending', 'pending')
                     ON CONFLICT (session_id) WHERE transaction_type = 'prize' AND session_id IS NOT NULL DO NOTHING
+                    RETURNING id
                 `, [user.id, session.id, finalScore]);
+                if (prize.rows[0]) {
+                    await ledgerService.recordPrize({
+                        transactionId: prize.rows[0].id, userId: user.id, amount: finalScore,
+                        description: `Classic game — reached question ${questionNumber}`
+                    });
+                    // Tells friends this win overtook. Fire-and-forget, never throws.
+                    friendsService.onNewScore(user, finalScore, prize.rows[0].id);
+                    // Crossing today's KYC threshold asks for ID now, not at claim time
+                    kycService.checkAfterWin(user.id).catch(err =>
+                        logger.error('KYC threshold check failed:', err.message));
+                    // A selfie queued for face review holds the prize it was taken for
+                    await faceMatchService.holdPrize(session.id).catch(err =>
+                        logger.error('Face review hold failed:', err.message));
+                }
             }
 
             // Tournament scoring (unchanged)
@@ -1638,12 +1731,12 @@ class GameService {
                     await redis.setex(`win_share_pending:${user.id}`, 86400, JSON.stringify({
                         isTournament: true, questionsAnswered, timeTaken,
                         tournamentName, tournamentId: session.tournament_id,
-                        rank: currentRank, totalQuestions: 15
+                        rank: currentRank, totalQuestions
                     }));
                     // Create victory card record for tournament games too (requires sharing before claiming)
                     try {
                         await victoryCardsService.createVictoryCardRecord(user.id, null, session.id, {
-                            amount: finalScore, questionsAnswered, totalQuestions: 15,
+                            amount: finalScore, questionsAnswered, totalQuestions,
                             isTournament: true, tournamentName,
                             tournamentId: session.tournament_id, timeTaken
                         });
@@ -1651,14 +1744,14 @@ class GameService {
                 } else if (finalScore > 0) {
                     await redis.setex(`win_share_pending:${user.id}`, 86400, JSON.stringify({
                         isTournament: false, amount: finalScore,
-                        questionsAnswered, totalQuestions: 15
+                        questionsAnswered, totalQuestions
                     }));
                     try {
                         const txResult = await pool.query(`SELECT id FROM transactions WHERE user_id = $1 AND transaction_type = 'prize' AND amount = $2 ORDER BY created_at DESC LIMIT 1`, [user.id, finalScore]);
                         if (txResult.rows.length > 0) {
                             const transactionId = txResult.rows[0].id;
-                            await victoryCardsService.storeWinData(transactionId, { amount: finalScore, questionsAnswered, totalQuestions: 15, gameMode: session.game_mode, username: user.username, fullName: user.full_name, city: user.city, wonAt: new Date().toISOString() });
-                            await victoryCardsService.createVictoryCardRecord(user.id, transactionId, session.id, { amount: finalScore, questionsAnswered, totalQuestions: 15 });
+                            await victoryCardsService.storeWinData(transactionId, { amount: finalScore, questionsAnswered, totalQuestions, gameMode: session.game_mode, username: user.username, fullName: user.full_name, city: user.city, wonAt: new Date().toISOString() });
+                            await victoryCardsService.createVictoryCardRecord(user.id, transactionId, session.id, { amount: finalScore, questionsAnswered, totalQuestions });
                         }
                     } catch (vcError) { logger.error('Error creating victory card record:', vcError); }
 
@@ -1668,9 +1761,6 @@ class GameService {
                 }
             }
 
-            // Achievements
-            try { await achievementsService.checkAndAwardAchievements(user.id); } catch (e) {}
-
             // Send completion messages
             if (session.game_type === 'practice') {
                 await this.sendPracticeCompleteMessage(user, finalScore, questionNumber, session);
@@ -1682,11 +1772,15 @@ class GameService {
                     await this.sendTournamentCompleteMessage(user, questionNumber - 1, timeTaken, session);
                 }
             } else if (wonGrandPrize) {
-                await this.sendGrandPrizeMessage(user, finalScore);
+                await this.sendGrandPrizeMessage(user, finalScore, session);
             } else if (finalScore > 0 && !endReason) {
                 await this.sendWinMessage(user, finalScore, questionNumber);
             }
 
+            // Achievements this game could have moved, announced after the
+            // result. Never throws.
+            await achievementsService.recordEvent(user.id, 'game_complete', { notify: true });
+
             // Post-game state
             await redis.setex(`post_game:${user.id}`, 300, JSON.stringify({
                 timestamp: Date.now(), gameType: session.game_type,
@@ -1730,7 +1824,7 @@ class GameService {
                         wonGrandPrize: !!wonGrandPrize,
                         perfect: !!wonGrandPrize,
                         questionsAnswered: Math.max(0, questionNumber - 1),
-                        totalQuestions: Object.keys(PRIZE_LADDER).length,
+                        totalQuestions,
                         gameMode: session.game_mode,
                         gameType: session.game_type,
                         isPractice,
@@ -1759,6 +1853,61 @@ class GameService {
         }
     }
 
+    // A duel round pays nothing and has no post-game menu of its own:
+    // nothing is credited, no victory card, and the player hears how it
+    // went from duelService once both rounds are in.
+    async completeDuelRound(session, user, outcome, totalQuestions) {
+        const questionNumber = session.current_question;
+
+        await auditService.logGameEnd(session.id, user.id, 0, questionNumber - 1, outcome, 0);
+        await pool.query(`
+            UPDATE game_sessions
+            SET status = 'completed', completed_at = NOW(), final_score = 0
+            WHERE id = $1
+        `, [session.id]);
+        await pool.query('UPDATE users SET last_active = NOW() WHERE id = $1', [user.id]);
+
+        await redis.del(`session:${session.session_key}`);
+        await redis.del(`asked_questions:${session.session_key}`);
+        await redis.del(`game_ready:${user.id}`);
+        await redis.del(`user_state:${user.phone_number}`);
+
+        try { await antiFraudService.finalizeSessionStats(session.id, user.id); } catch (e) {}
+
+        try {
+            await duelService.onRoundComplete(session, user);
+        } catch (duelErr) {
+            logger.error(`Error recording duel round for session ${session.id}:`, duelErr);
+        }
+
+        if (user.phone_number && user.phone_number.startsWith('web_')) {
+            try {
+                const gameEvents = require('./game-events.service');
+                gameEvents.emit(user.id, 'game.over', {
+                    outcome,
+                    amountWon: 0,
+                    wonGrandPrize: false,
+                    perfect: !!(outcome === 'grand_prize'),
+                    questionsAnswered: Math.max(0, questionNumber - 1),
+                    totalQuestions,
+                    gameMode: session.game_mode,
+                    gameType: session.game_type,
+                    isPractice: false,
+                    isTournament: false,
+                    isDuel: true,
+                    duelId: session.duel_id,
+                    tournamentId: null,
+                    hasWinnings: false,
+                    canClaim: false,
+                    sessionId: session.id,
+                    menu: [{ k: '5', v: 'Main menu' }]
+                });
+            } catch (evtErr) {
+                logger.error('Could not emit game.over event:', evtErr.message);
+            }
+        }
+    }
+
     // Message senders (unchanged from original)
     async sendPracticeCompleteMessage(user, score, questionNumber, session = null) {
         // Digit map is fixed platform-wide: 1 Play · 2 Leaderboard ·
@@ -1776,10 +1925,11 @@ class GameService {
                 (outcome.funFact ? `\n${outcome.funFact}\n` : '') + `\n`;
         }
 
+        const totalQuestions = gameFormats.length(gameFormats.forSession(session));
         let message = head +
             `🎓 PRACTICE COMPLETE! 🎓\n\n` +
             `Great job, ${user.full_name}!\n\n` +
-            `You answered ${questionNumber - 1}/15 questions correctly.\n` +
+            `You answered ${questionNumber - 1}/${totalQuestions} questions correctly.\n` +
             `Potential Score: ₦${score.toLocaleString()}\n\n` +
             `⚠️ This was practice mode — no real prizes.\n\n` +
             `Ready to play for REAL prizes?\n\n` +
@@ -1791,18 +1941,19 @@ class GameService {
     }
 
     // funFact arrives from the final question: the per-question "CORRECT!"
-    // message is suppressed on Q15 so the win is announced once, not twice.
+    // message is suppressed on the last rung so the win is announced once, not twice.
     async sendGrandPrizeMessage(user, finalScore, session = null, funFact = null) {
         const isTournament = session?.is_tournament_game;
         const fact = funFact ? `${funFact}\n\n` : '';
+        const totalQuestions = gameFormats.length(gameFormats.forSession(session));
 
         if (isTournament) {
             const timeTaken = await this.getGameTimeTaken(session.id);
             let message = `🎊 PERFECT GAME! 🎊\n` +
                 `🏆 TOURNAMENT LEGEND! 🏆\n\n` +
-                `ALL 15 QUESTIONS CORRECT!\n\n` +
+                `ALL ${totalQuestions} QUESTIONS CORRECT!\n\n` +
                 `📊 Your Performance:\n` +
-                `• Questions: 15/15 ✨\n` +
+                `• Questions: ${totalQuestions}/${totalQuestions} ✨\n` +
                 `• Time: ${timeTaken}s\n\n` +
                 fact +
                 `${user.full_name.toUpperCase()}, you're at the TOP!\n\n` +
@@ -1814,7 +1965,7 @@ class GameService {
         } else {
             let message = `🎊 INCREDIBLE! 🎊\n` +
                 `🏆 CHAMPION! 🏆\n\n` +
-                `ALL 15 QUESTIONS CORRECT!\n\n` +
+                `ALL ${totalQuestions} QUESTIONS CORRECT!\n\n` +
                 `💰 ₦${finalScore.toLocaleString()} WON! 💰\n\n` +
                 fact +
                 `${user.full_name.toUpperCase()}, you're in the HALL OF FAME!\n\n` +
@@ -1994,7 +2145,7 @@ class GameService {
                     const turboMs = (measures.early_turbo_timer || 7) * 1000;
                     const turboSec = measures.early_turbo_timer || 7;
                     tracking.turboModeActive = true;
-                    tracking.turboQuestionsRemaining = 15; // rest of game
+                    tracking.turboQuestionsRemaining = gameFormats.length(gameFormats.forSession(session)); // rest of game
                     tracking.turboType = 'watchlist_forced';
                     tracking.turboTimeoutMs = turboMs;
                     tracking.turboTimeoutSeconds = turboSec;
@@ -2024,14 +2175,14 @@ class GameService {
             }
         }
 
-        // Standard photo verification check (Q13-15, suspicious sessions)
+        // Standard photo verification check (final rungs, suspicious sessions)
         if (await this.shouldRequestPhotoVerification(session, user, questionNumber)) {
             await this.sendPhotoVerification(session, user, questionNumber);
             return;
         }
 
         // Check for suspicious perfect session auto-termination
-        if (questionNumber > SUSPICIOUS_SESSION_CONFIG.PERFECT_THROUGH_Q) {
+        if (questionNumber > this.getPerfectThroughQuestion(gameFormats.forSession(session))) {
             // Get the latest response time from tracking
             try {
                 const trackingKey = `turbo_track:${session.session_key}`;
@@ -2091,7 +2242,10 @@ class GameService {
             await pool.query('UPDATE game_sessions SET captcha_shown_at = $1 WHERE id = $2', [JSON.stringify(shownCaptchas), session.id]);
             session.captcha_shown_at = JSON.stringify(shownCaptchas);
             
-            const message = captchaService.formatCaptchaMessage(captcha, session.current_score, questionNumber);
+            const message = captchaService.formatCaptchaMessage(
+                captcha, session.current_score, questionNumber,
+                gameFormats.length(gameFormats.forSession(session))
+            );
 
             // ============================================
             // WEB: structured security check
@@ -2243,7 +2397,7 @@ class GameService {
                         wonGrandPrize: false,
                         perfect: false,
                         questionsAnswered: Math.max(0, (session.current_question || 1) - 1),
-                        totalQuestions: Object.keys(PRIZE_LADDER).length,
+                        totalQuestions: gameFormats.length(gameFormats.forSession(session)),
                         gameMode: session.game_mode,
                         gameType: session.game_type,
                         isPractice: session.game_type === 'practice',
@@ -2291,18 +2445,21 @@ class GameService {
     // QUESTION ROTATION (unchanged)
     // ============================================
 
-    getDifficultyLevelsForQuestion(questionNumber) {
+    // questionNumber is the rung on the session's ladder; it is mapped onto the
+    // bank's 1–15 difficulty scale first, so a 10-rung ladder still ends hard.
+    getDifficultyLevelsForQuestion(questionNumber, format = gameFormats.STANDARD_FORMAT) {
+        const rung = gameFormats.difficultyFor(format, questionNumber);
         const mapping = {
             1: [1, 2], 2: [2, 3], 3: [3], 4: [4, 5], 5: [5],
             6: [6, 7], 7: [7, 8], 8: [8], 9: [9, 10], 10: [10],
             11: [11], 12: [12], 13: [13], 14: [14], 15: [15]
         };
-        return mapping[questionNumber] || [questionNumber];
+        return mapping[rung] || [rung];
     }
 
-    async getRandomizedQuestion(userId, questionNumber, excludeIds, gameMode, tournamentId) {
+    async getRandomizedQuestion(userId, questionNumber, excludeIds, gameMode, tournamentId, format = gameFormats.STANDARD_FORMAT) {
         try {
-            const allowedDifficulties = this.getDifficultyLevelsForQuestion(questionNumber);
+            const allowedDifficulties = this.getDifficultyLevelsForQuestion(questionNumber, format);
             const difficultyList = allowedDifficulties.join(',');
             
             // Determine question bank condition based on game mode
@@ -2375,10 +2532,10 @@ class GameService {
             `);
             if (emergencyResult.rows.length > 0) return emergencyResult.rows[0];
 
-            return await questionService.getQuestionByDifficulty(questionNumber, excludeIds, gameMode, tournamentId);
+            return await questionService.getQuestionByDifficulty(gameFormats.difficultyFor(format, questionNumber), excludeIds, gameMode, tournamentId);
         } catch (error) {
             logger.error('Error in smart question rotation:', error);
-            return await questionService.getQuestionByDifficulty(questionNumber, excludeIds, gameMode, tournamentId);
+            return await questionService.getQuestionByDifficulty(gameFormats.difficultyFor(format, questionNumber), excludeIds, gameMode, tournamentId);
         }
     }
 
@@ -2394,13 +2551,14 @@ class GameService {
     async sendQuestion(session, user) {
         try {
             const questionNumber = session.current_question;
-            const prizeAmount = PRIZE_LADDER[questionNumber];
-            const isSafe = SAFE_CHECKPOINTS.includes(questionNumber);
+            const format = gameFormats.forSession(session);
+            const prizeAmount = gameFormats.prizeFor(format, questionNumber);
+            const isSafe = gameFormats.isSafe(format, questionNumber);
             const timeoutKey = `timeout:${session.session_key}:q${questionNumber}`;
             this.clearQuestionTimeout(timeoutKey);
             
             // Get dynamic timeout (turbo > penalty > progressive > base)
-            const timeoutConfig = await this.getSessionTimeout(session.session_key, questionNumber, user.id);
+            const timeoutConfig = await this.getSessionTimeout(session.session_key, questionNumber, user.id, format);
             const currentTimeoutMs = timeoutConfig.timeoutMs;
             const currentTimeoutSeconds = timeoutConfig.timeoutSeconds;
             
@@ -2412,7 +2570,14 @@ class GameService {
             const askedQuestionsJson = await redis.get(askedQuestionsKey);
             const askedQuestions = askedQuestionsJson ? JSON.parse(askedQuestionsJson) : [];
             
-            const question = await this.getRandomizedQuestion(user.id, questionNumber, askedQuestions, session.game_mode, session.tournament_id);
+            // Duel rounds are served from the duel's pinned sequence so both
+            // players see the same questions; the first to reach a rung draws it.
+            // A sponsored tournament asks its sponsor's question at its slot.
+            const question = session.duel_id
+                ? await duelService.questionFor(session, questionNumber, (duelUsed) =>
+                    this.getRandomizedQuestion(user.id, questionNumber, [...new Set([...askedQuestions, ...duelUsed])], 'classic', null, format))
+                : (await sponsorService.questionFor(session, questionNumber, askedQuestions)
+                    || await this.getRandomizedQuestion(user.id, questionNumber, askedQuestions, session.game_mode, session.tournament_id, format));
             if (!question) throw new Error('No question found');
             
             askedQuestions.push(question.id);
@@ -2425,20 +2590,29 @@ class GameService {
             await auditService.logQuestionAsked(session.id, user.id, questionNumber, question, prizeAmount, timeoutConfig.isTurboMode);
             await antiFraudService.setQuestionStartTime(session.session_key, questionNumber);
             
-            let message = `❓ QUESTION ${questionNumber} - ₦${prizeAmount.toLocaleString()}`;
-            if (isSafe) message += ' (SAFE) 🔒';
+            // What the player reads is in their language; everything recorded
+            // above and below stays keyed to the original question.
+            const t = languageService.forUser(user);
+            const shown = await languageService.localizeQuestion(question, languageService.languageOf(user));
+
+            let message = session.duel_id
+                ? t.question_header_duel(questionNumber, gameFormats.length(format))
+                : t.question_header(questionNumber, prizeAmount);
+            if (isSafe && !session.duel_id) message += t.question_safe;
             if (timeoutConfig.isTurboMode) message += ' ⚡';
             if (timeoutConfig.isPenaltyMode) message += ' ⚠️';
-            message += `\n\n${question.question_text}\n\n`;
-            message += `A) ${question.option_a}\nB) ${question.option_b}\nC) ${question.option_c}\nD) ${question.option_d}\n\n`;
-            message += `⏱️ ${currentTimeoutSeconds} seconds...`;
+            if (question.sponsored_by) message += t.question_sponsored(question.sponsored_by);
+            message += `\n\n${shown.question_text}\n\n`;
+            message += `A) ${shown.option_a}\nB) ${shown.option_b}\nC) ${shown.option_c}\nD) ${shown.option_d}\n\n`;
+            message += t.question_timer(currentTimeoutSeconds);
             if (timeoutConfig.isTurboMode) message += ` ⚡`;
             message += `\n\n`;
             
             const lifelines = [];
             if (!session.lifeline_5050_used) lifelines.push('50:50');
             if (!session.lifeline_skip_used) lifelines.push('Skip');
-            if (lifelines.length > 0) message += `💎 Lifelines: ${lifelines.join(' | ')}`;
+            if (!session.lifeline_audience_used) lifelines.push('Ask');
+            if (lifelines.length > 0) message += `${t.lifelines_label}: ${lifelines.join(' | ')}`;
 
             // Structured event for web play. Additive — chat platforms are unaffected,
             // and a failure here must never stop the question being sent.
@@ -2452,27 +2626,31 @@ class GameService {
                     await gameEvents.emitQuestion(user.id, {
                         sessionId: session.id,
                         questionNumber,
-                        totalQuestions: Object.keys(PRIZE_LADDER).length,
-                        text: question.question_text,
+                        totalQuestions: gameFormats.length(format),
+                        safeCheckpoints: format.safe_checkpoints,
+                        text: shown.question_text,
                         options: {
-                            A: question.option_a,
-                            B: question.option_b,
-                            C: question.option_c,
-                            D: question.option_d
+                            A: shown.option_a,
+                            B: shown.option_b,
+                            C: shown.option_c,
+                            D: shown.option_d
                         },
-                        prizeAmount,
-                        isSafeCheckpoint: isSafe,
+                        prizeAmount: session.duel_id ? 0 : prizeAmount,
+                        isSafeCheckpoint: isSafe && !session.duel_id,
+                        isDuel: !!session.duel_id,
                         timerSeconds: currentTimeoutSeconds,
                         expiresAt: Date.now() + currentTimeoutMs,
                         turbo: !!timeoutConfig.isTurboMode,
                         penalty: !!timeoutConfig.isPenaltyMode,
                         lifelines: {
                             fiftyFifty: !session.lifeline_5050_used,
-                            skip: !session.lifeline_skip_used
+                            skip: !session.lifeline_skip_used,
+                            audience: !session.lifeline_audience_used
                         },
                         imageUrl,
                         imageType: question.image_type || null,   // so the client can say
                         imageCode: question.image_data || null,   // when a flag is missing
+                        sponsoredBy: question.sponsored_by || null,
                         gameMode: session.game_mode,
                         tournamentId: session.tournament_id
                     });
@@ -2506,6 +2684,7 @@ class GameService {
             } else {
                 await messagingService.sendMessage(user.phone_number, message);
             }
+            if (question.sponsored_by) await sponsorService.recordImpression(session.tournament_id, 'question', user.id);
             
             await redis.setex(timeoutKey, Math.ceil(currentTimeoutMs / 1000) + 3, (Date.now() + currentTimeoutMs).toString());
             
@@ -2554,7 +2733,7 @@ class GameService {
                 const startTime = await antiFraudService.getQuestionStartTime(session.session_key, questionNumber);
                 if (startTime) {
                     const elapsed = Date.now() - startTime;
-                    const timeoutConfig = await this.getSessionTimeout(session.session_key, questionNumber, user.id);
+                    const timeoutConfig = await this.getSessionTimeout(session.session_key, questionNumber, user.id, gameFormats.forSession(session));
                     if (elapsed > timeoutConfig.timeoutMs) {
                         logger.info(`⏰ Answer REJECTED (timeout): ${elapsed}ms > ${timeoutConfig.timeoutMs}ms`);
                         await redis.del(timeoutKey);
@@ -2595,7 +2774,12 @@ class GameService {
                 }
             
                 const isCorrect = answer === question.correct_answer;
-                const prizeAmount = PRIZE_LADDER[questionNumber];
+                const shown = await languageService.localizeQuestion(question, languageService.languageOf(user));
+                const t = languageService.forUser(user);
+                const format = gameFormats.forSession(session);
+                const prizeAmount = gameFormats.prizeFor(format, questionNumber);
+                const isSafe = gameFormats.isSafe(format, questionNumber);
+                const totalQuestions = gameFormats.length(format);
             
                 await auditService.logAnswer(session.id, user.id, questionNumber, answer, question.correct_answer, isCorrect, isCorrect ? prizeAmount : session.current_score, responseTimeMs);
 
@@ -2657,8 +2841,8 @@ class GameService {
                             correctAnswer: question.correct_answer,
                             correct: isCorrect,
                             prizeAmount: isCorrect ? prizeAmount : 0,
-                            funFact: question.fun_fact || null,
-                            isSafeCheckpoint: SAFE_CHECKPOINTS.includes(questionNumber)
+                            funFact: shown.fun_fact || null,
+                            isSafeCheckpoint: isSafe
                         });
                     } catch (evtErr) {
                         logger.error('Could not emit answer result event:', evtErr.message);
@@ -2669,18 +2853,22 @@ class GameService {
                     session.current_score = prizeAmount;
                     session.current_question = questionNumber + 1;
                     
-                    let message = `✅ CORRECT! 🎉\n\n`;
-                    if (question.fun_fact) message += `${question.fun_fact}\n\n`;
-                    message += `💰 You've won: ₦${prizeAmount.toLocaleString()}\n`;
-                    message += `💪 Question: ${questionNumber} of 15\n`;
-                    if (SAFE_CHECKPOINTS.includes(questionNumber)) message += `\n🔒 SAFE! ₦${prizeAmount.toLocaleString()} guaranteed!\n`;
+                    let message = `${t.correct_title}\n\n`;
+                    if (shown.fun_fact) message += `${shown.fun_fact}\n\n`;
+                    if (session.duel_id) {
+                        message += `${t.correct_progress_duel(questionNumber, totalQuestions)}\n`;
+                    } else {
+                        message += `${t.correct_won(prizeAmount)}\n`;
+                        message += `${t.correct_progress(questionNumber, totalQuestions)}\n`;
+                        if (isSafe) message += `\n${t.correct_safe(prizeAmount)}\n`;
+                    }
                     
-            if (questionNumber === 15) {
+            if (questionNumber === totalQuestions) {
                 // On the final question the per-question "CORRECT!" message is
                 // suppressed: the grand-prize message announces the same win a
                 // second later, and two messages for one moment is exactly the
                 // stacking this pass removes. The fun fact travels with it.
-                await this.completeGame(session, user, true, null, question.fun_fact || null);
+                await this.completeGame(session, user, true, null, shown.fun_fact || null);
             } else {
                 // web has this as answer.result already
                 await messagingService.sendMessage(user.phone_number, message, { webRedundant: true });
@@ -2705,10 +2893,10 @@ class GameService {
                         }, 3000);
                     }
                 } else {
-                    await this.handleWrongAnswer(session, user, question);
+                    await this.handleWrongAnswer(session, user, shown);
                 }
             
-                await questionService.updateQuestionStats(question.id, isCorrect);
+                await questionService.updateQuestionStats(question.id, isCorrect, answer);
             } finally {
                 await redis.del(answerLockKey);
             }
@@ -2722,44 +2910,43 @@ class GameService {
         const isPracticeMode = session.game_mode === 'practice' || session.game_type === 'practice';
         const questionNumber = session.current_question;
         const isTournament = session.is_tournament_game;
-        let guaranteedAmount = 0;
-        if (!isTournament) {
-            for (const checkpoint of [...SAFE_CHECKPOINTS].reverse()) {
-                if (questionNumber > checkpoint) { guaranteedAmount = PRIZE_LADDER[checkpoint]; break; }
-            }
-        }
+        const guaranteedAmount = isTournament
+            ? 0
+            : this.getGuaranteedAmount(questionNumber, gameFormats.forSession(session));
         
-        let message = `❌ WRONG ANSWER 😢\n\nCorrect: ${question.correct_answer}) ${question['option_' + question.correct_answer.toLowerCase()]}\n\n`;
+        const t = languageService.forUser(user);
+        let message = `${t.wrong_title}\n\n${t.wrong_correct(question.correct_answer, question['option_' + question.correct_answer.toLowerCase()])}\n\n`;
         if (question.fun_fact) message += `${question.fun_fact}\n\n`;
-        message += `🎮 GAME OVER 🎮\n\n`;
+
+        // Duel: the round summary and result come from duelService.
+        if (session.duel_id) {
+            await messagingService.sendMessage(user.phone_number, message.trim());
+            await this.completeGame(session, user, false, 'wrong_answer');
+            return;
+        }
+
+        message += `${t.game_over}\n\n`;
         
         if (isTournament) {
             const timeTaken = await this.getGameTimeTaken(session.id);
-            message += `📊 Your Performance:\n` +
-                `• Questions Reached: Q${questionNumber - 1}\n` +
-                `• Time Taken: ${timeTaken}s\n\n` +
-                `💡 Only your BEST game is ranked — keep playing to climb.\n\n` +
-                `Well played, ${user.full_name}! 👏\n\n` +
-                `1️⃣ Play Again\n` +
-                `5️⃣ Main Menu\n\n` +
-                `🌐 Full rankings: whatsuptrivia.com.ng/leaderboards`;
+            message += `${t.tournament_performance(questionNumber - 1, timeTaken)}\n\n` +
+                `${t.tournament_best_game}\n\n` +
+                `${t.well_played(user.full_name)}\n\n` +
+                t.tournament_menu;
             session.current_score = 0;
         } else {
             if (guaranteedAmount > 0) {
-                message += `You reached a safe checkpoint!\n💰 You won: ₦${guaranteedAmount.toLocaleString()} 🎉\n\n`;
+                message += `${t.safe_checkpoint_won(guaranteedAmount)}\n\n`;
                 session.current_score = guaranteedAmount;
             } else {
-                message += `💰 You won: ₦0\n\n`;
+                message += `${t.won_nothing}\n\n`;
                 session.current_score = 0;
             }
-            message += `Well played, ${user.full_name}! 👏\n`;
+            message += `${t.well_played(user.full_name)}\n`;
             if (guaranteedAmount > 0) {
-                message += `\n1️⃣ Play Again\n2️⃣ View Leaderboard\n3️⃣ Claim Prize\n` +
-                    `4️⃣ Share Victory Card  (or reply YES) 📸\n5️⃣ Main Menu\n\n` +
-                    `⏳ Claim within 72 hours or the reward is forfeited.\nType CLAIM anytime.`;
+                message += `\n${t.post_game_claim_menu}`;
             } else {
-                message += `🏆 Check the leaderboard to see where you stand.\n\n` +
-                    `1️⃣ Play Again\n2️⃣ View Leaderboard\n5️⃣ Main Menu`;
+                message += t.post_game_menu;
             }
         }
         
@@ -2802,7 +2989,7 @@ class GameService {
         await auditService.logTimeout(session.id, user.id, session.current_question);
         
         // Q1 TIMEOUT TRACKING (only for classic/tournament, not practice)
-        if (session.current_question === 1 && session.game_type !== 'practice') {
+        if (session.current_question === 1 && session.game_type !== 'practice' && !session.duel_id) {
             try {
                 const q1Result = await restrictionsService.trackQ1Timeout(user.id, session.id);
                 await auditService.logQ1TimeoutEvent(session.id, user.id, q1Result.streak, q1Result.action);
@@ -2824,39 +3011,36 @@ class GameService {
             }
         }
 
-        const isTournament = session.is_tournament_game;
-        let guaranteedAmount = 0;
-        if (!isTournament) {
-            for (const checkpoint of [...SAFE_CHECKPOINTS].reverse()) {
-                if (session.current_question > checkpoint) { guaranteedAmount = PRIZE_LADDER[checkpoint]; break; }
-            }
+        const t = languageService.forUser(user);
+        if (session.duel_id) {
+            await messagingService.sendMessage(user.phone_number, t.timeout_title);
+            await this.completeGame(session, user, false, 'timeout');
+            return;
         }
+
+        const isTournament = session.is_tournament_game;
+        const guaranteedAmount = isTournament
+            ? 0
+            : this.getGuaranteedAmount(session.current_question, gameFormats.forSession(session));
         
-        let message = `⏰ TIME'S UP! 😢\n\nYou didn't answer in time.\n\n🎮 GAME OVER 🎮\n\n`;
+        let message = `${t.timeout_title}\n\n${t.game_over}\n\n`;
         
         if (isTournament) {
             const timeTaken = await this.getGameTimeTaken(session.id);
-            message += `📊 Your Performance:\n` +
-                `• Questions Reached: Q${session.current_question - 1}\n` +
-                `• Time Taken: ${timeTaken}s\n\n` +
-                `💡 Only your BEST game is ranked — keep playing to climb.\n\n` +
-                `1️⃣ Play Again\n` +
-                `5️⃣ Main Menu\n\n` +
-                `🌐 Full rankings: whatsuptrivia.com.ng/leaderboards`;
+            message += `${t.tournament_performance(session.current_question - 1, timeTaken)}\n\n` +
+                `${t.tournament_best_game}\n\n` +
+                t.tournament_menu;
             session.current_score = 0;
         } else {
             if (guaranteedAmount > 0) {
-                message += `You reached a safe checkpoint!\n💰 You won: ₦${guaranteedAmount.toLocaleString()} 🎉\n\n`;
+                message += `${t.safe_checkpoint_won(guaranteedAmount)}\n\n`;
             } else {
-                message += `💰 You won: ₦0\n\n`;
+                message += `${t.won_nothing}\n\n`;
             }
             if (guaranteedAmount > 0) {
-                message += `1️⃣ Play Again\n2️⃣ View Leaderboard\n3️⃣ Claim Prize\n` +
-                    `4️⃣ Share Victory Card  (or reply YES) 📸\n5️⃣ Main Menu\n\n` +
-                    `⏳ Claim within 72 hours or the reward is forfeited.\nType CLAIM anytime.`;
+                message += t.post_game_claim_menu;
             } else {
-                message += `🏆 Check the leaderboard to see where you stand.\n\n` +
-                    `1️⃣ Play Again\n2️⃣ View Leaderboard\n5️⃣ Main Menu`;
+                message += t.post_game_menu;
             }
 
             session.current_score = guaranteedAmount;
@@ -2879,11 +3063,15 @@ class GameService {
             const currentSession = await this.getActiveSession(user.id);
             if (!currentSession) { await messagingService.sendMessage(user.phone_number, '❌ No active game found.'); return; }
             
-            const question = await questionService.getQuestionById(currentSession.current_question_id);
+            const t = languageService.forUser(user);
+            const question = await languageService.localizeQuestion(
+                await questionService.getQuestionById(currentSession.current_question_id),
+                languageService.languageOf(user)
+            );
             if (!question) throw new Error('Question not found');
             
             if (lifeline === 'fifty_fifty') {
-                if (currentSession.lifeline_5050_used) { await messagingService.sendMessage(user.phone_number, '❌ You already used 50:50!'); return; }
+                if (currentSession.lifeline_5050_used) { await messagingService.sendMessage(user.phone_number, t.fifty_fifty_used); return; }
                 
                 const questionNumber = currentSession.current_question;
                 const timeoutKey = `timeout:${currentSession.session_key}:q${questionNumber}`;
@@ -2907,21 +3095,25 @@ class GameService {
                 const wrongOptions = allOptions.filter(opt => opt !== correctAnswer);
                 const keepWrong = wrongOptions[Math.floor(Math.random() * wrongOptions.length)];
                 const remainingOptions = [correctAnswer, keepWrong].sort();
+                // Ask the Audience on this same question should poll only these two
+                await redis.setex(`fifty_fifty:${currentSession.session_key}:q${questionNumber}`, 300, JSON.stringify(remainingOptions));
                 
                 await auditService.logLifelineUsed(currentSession.id, user.id, questionNumber, '50:50', { removed_options: wrongOptions.filter(o => o !== keepWrong), remaining_options: remainingOptions, bonus_seconds: 5, new_time: newTime });
                 
-                const prizeAmount = PRIZE_LADDER[questionNumber];
-                const isSafe = SAFE_CHECKPOINTS.includes(questionNumber);
+                const format = gameFormats.forSession(currentSession);
+                const prizeAmount = gameFormats.prizeFor(format, questionNumber);
+                const isSafe = gameFormats.isSafe(format, questionNumber);
                 
-                let message = `💎 50:50 ACTIVATED! 💎\n\nTwo wrong answers removed!\n+5 bonus seconds added!\n\n`;
-                message += `❓ QUESTION ${questionNumber} - ₦${prizeAmount.toLocaleString()}`;
-                if (isSafe) message += ' (SAFE) 🔒';
+                let message = `${t.fifty_fifty_title}\n\n`;
+                message += t.question_header(questionNumber, prizeAmount);
+                if (isSafe) message += t.question_safe;
                 message += `\n\n${question.question_text}\n\n`;
                 remainingOptions.forEach(opt => { message += `${opt}) ${question['option_' + opt.toLowerCase()]}\n`; });
-                message += `\n⏱️ ${newTime} seconds...\n\n`;
+                message += `\n${t.question_timer(newTime)}\n\n`;
                 const lifelines = [];
                 if (!currentSession.lifeline_skip_used) lifelines.push('Skip');
-                if (lifelines.length > 0) message += `💎 Lifelines: ${lifelines.join(' | ')}`;
+                if (!currentSession.lifeline_audience_used) lifelines.push('Ask');
+                if (lifelines.length > 0) message += `${t.lifelines_label}: ${lifelines.join(' | ')}`;
                 
                 await messagingService.sendMessage(user.phone_number, message);
 
@@ -2936,7 +3128,8 @@ class GameService {
                         await gameEvents.emitQuestion(user.id, {
                             sessionId: currentSession.id,
                             questionNumber,
-                            totalQuestions: Object.keys(PRIZE_LADDER).length,
+                            totalQuestions: gameFormats.length(format),
+                            safeCheckpoints: format.safe_checkpoints,
                             text: question.question_text,
                             options: opts,
                             prizeAmount,
@@ -2945,7 +3138,7 @@ class GameService {
                             expiresAt: Date.now() + newTime * 1000,
                             turbo: false,
                             penalty: false,
-                            lifelines: { fiftyFifty: false, skip: !currentSession.lifeline_skip_used },
+                            lifelines: { fiftyFifty: false, skip: !currentSession.lifeline_skip_used, audience: !currentSession.lifeline_audience_used },
                             imageUrl: null,
                             gameMode: currentSession.game_mode,
                             tournamentId: currentSession.tournament_id,
@@ -2973,7 +3166,7 @@ class GameService {
                 activeTimeouts.set(timeoutKey, timeoutId);
                 
             } else if (lifeline === 'skip') {
-                if (currentSession.lifeline_skip_used) { await messagingService.sendMessage(user.phone_number, '❌ You already used Skip!'); return; }
+                if (currentSession.lifeline_skip_used) { await messagingService.sendMessage(user.phone_number, t.skip_used); return; }
                 
                 const questionNumber = currentSession.current_question;
                 const timeoutKey = `timeout:${currentSession.session_key}:q${questionNumber}`;
@@ -2983,7 +3176,7 @@ class GameService {
                 await pool.query('UPDATE game_sessions SET lifeline_skip_used = true WHERE id = $1', [currentSession.id]);
                 await auditService.logLifelineUsed(currentSession.id, user.id, questionNumber, 'Skip', { skipped_question_id: currentSession.current_question_id });
                 
-                await messagingService.sendMessage(user.phone_number, `⏭️ SKIP USED! ⏭️\n\nGetting a new question at the same level...`);
+                await messagingService.sendMessage(user.phone_number, t.skip_title);
                 
                 currentSession.lifeline_skip_used = true;
                 await this.updateSession(currentSession);
@@ -2992,6 +3185,60 @@ class GameService {
                     const as = await this.getActiveSession(user.id);
                     if (as && as.id === currentSession.id) { await this.sendQuestionOrCaptcha(currentSession, user); }
                 }, 1500);
+
+            } else if (lifeline === 'ask_audience') {
+                if (currentSession.lifeline_audience_used) { await messagingService.sendMessage(user.phone_number, '❌ You already asked the audience!'); return; }
+
+                const questionNumber = currentSession.current_question;
+                const timeoutKey = `timeout:${currentSession.session_key}:q${questionNumber}`;
+                if (!(await redis.get(timeoutKey))) return; // question already timed out or answered
+
+                const fiftyKept = await redis.get(`fifty_fifty:${currentSession.session_key}:q${questionNumber}`);
+                const options = fiftyKept ? JSON.parse(fiftyKept) : ['A', 'B', 'C', 'D'];
+
+                // No history for this question yet: say so and leave the lifeline
+                // unspent, rather than show the player made-up numbers.
+                const poll = await audienceService.poll(question, options);
+                if (!poll.ok) {
+                    await messagingService.sendMessage(user.phone_number,
+                        `👥 The audience hasn't seen this question yet — not enough answers to poll.\n\nYour Ask the Audience lifeline is still available. The clock is still running!`);
+                    return;
+                }
+
+                // The clock keeps running: unlike 50:50 there is no bonus time.
+                await pool.query('UPDATE game_sessions SET lifeline_audience_used = true WHERE id = $1', [currentSession.id]);
+                await auditService.logLifelineUsed(currentSession.id, user.id, questionNumber, 'Ask the Audience', {
+                    percentages: poll.percentages, sample: poll.sample, basis: poll.basis, options
+                });
+
+                let message = `👥 ASK THE AUDIENCE 👥\n\n`;
+                message += `${audienceService.formatChart(poll.percentages)}\n\n`;
+                message += `_Based on ${poll.sample.toLocaleString()} past answers._\n\n`;
+                message += `⏱️ The clock is still running — reply ${options.join(', ')}`;
+                const lifelines = [];
+                if (!currentSession.lifeline_5050_used) lifelines.push('50:50');
+                if (!currentSession.lifeline_skip_used) lifelines.push('Skip');
+                if (lifelines.length > 0) message += `\n💎 Lifelines: ${lifelines.join(' | ')}`;
+
+                // Web: the board draws the split onto the options itself
+                if (user.phone_number && user.phone_number.startsWith('web_')) {
+                    try {
+                        const gameEvents = require('./game-events.service');
+                        gameEvents.emit(user.id, 'lifeline.audience', {
+                            questionNumber,
+                            percentages: poll.percentages,
+                            sample: poll.sample,
+                            lifelines: {
+                                fiftyFifty: !currentSession.lifeline_5050_used,
+                                skip: !currentSession.lifeline_skip_used,
+                                audience: false
+                            }
+                        });
+                    } catch (evtErr) {
+                        logger.error('Could not emit audience event:', evtErr.message);
+                    }
+                }
+                await messagingService.sendMessage(user.phone_number, message, { webRedundant: true });
             }
         } catch (error) {
             logger.error('Error using lifeline:', error);
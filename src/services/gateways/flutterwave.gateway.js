@@ -143,6 +143,71 @@ class FlutterwaveGateway extends PaymentGateway {
             raw: payload
         };
     }
+
+    // ============================================
+    // TRANSFERS
+    // ============================================
+
+    supportsTransfers() { return !!this.secretKey; }
+
+    _transferStatus(status) {
+        const s = String(status || '').toUpperCase();
+        if (s === 'SUCCESSFUL') return 'success';
+        if (s === 'FAILED') return 'failed';
+        return 'pending';   // NEW, PENDING
+    }
+
+    async transfer({ reference, amount, bankCode, accountNumber, narration }) {
+        try {
+            const response = await axios.post(`${this.baseUrl}/transfers`, {
+                account_bank: bankCode,
+                account_number: accountNumber,
+                amount: Number(amount), // naira
+                narration,
+                currency: 'NGN',
+                debit_currency: 'NGN',
+                reference
+            }, {
+                headers: { Authorization: `Bearer ${this.secretKey}`, 'Content-Type': 'application/json' }
+            });
+
+            if (response.data?.status !== 'success') {
+                return { status: 'failed', error: response.data?.message || 'Flutterwave transfer failed', raw: response.data };
+            }
+            const data = response.data.data || {};
+            return { status: this._transferStatus(data.status), providerReference: data.id ? String(data.id) : null, raw: data };
+        } catch (error) {
+            logger.error('Flutterwave transfer error:', error.response?.data || error.message);
+            return this._transferError(error, error.response?.data?.message);
+        }
+    }
+
+    async getTransferStatus(reference, providerReference) {
+        // Flutterwave looks transfers up by its own id, returned when we sent it
+        if (!providerReference) return { status: 'pending', error: 'No Flutterwave transfer id recorded' };
+        try {
+            const response = await axios.get(`${this.baseUrl}/transfers/${encodeURIComponent(providerReference)}`, {
+                headers: { Authorization: `Bearer ${this.secretKey}` }
+            });
+            const data = response.data?.data || {};
+            return { status: this._transferStatus(data.status), error: data.complete_message || null, raw: data };
+        } catch (error) {
+            logger.error('Flutterwave transfer status error:', error.response?.data || error.message);
+            return this._transferStatusError(error, error.response?.data?.message);
+        }
+    }
+
+    parseTransferWebhook(payload) {
+        // Flutterwave: { event: 'transfer.completed', data: { reference, status: 'SUCCESSFUL' | 'FAILED', complete_message } }
+        if (payload?.event !== 'transfer.completed') return null;
+        const data = payload.data || {};
+        return {
+            reference: data.reference,
+            status: this._transferStatus(data.status),
+            reason: data.complete_message || null,
+            raw: payload
+        };
+    }
 }
 
 module.exports = FlutterwaveGateway;
\ No newline at end of file
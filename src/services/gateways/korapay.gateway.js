@@ -137,6 +137,70 @@ class KorapayGateway extends PaymentGateway {
             raw: payload
         };
     }
+
+    // ============================================
+    // TRANSFERS (Korapay calls these payouts "disbursements")
+    // ============================================
+
+    supportsTransfers() { return !!this.secretKey; }
+
+    _transferStatus(status) {
+        if (status === 'success') return 'success';
+        if (status === 'failed') return 'failed';
+        return 'pending';   // processing, pending
+    }
+
+    async transfer({ reference, amount, bankCode, accountNumber, accountName, narration, email }) {
+        try {
+            const response = await axios.post(`${this.baseUrl}/transactions/disburse`, {
+                reference,
+                destination: {
+                    type: 'bank_account',
+                    amount: Number(amount), // naira
+                    currency: 'NGN',
+                    narration,
+                    bank_account: { bank: bankCode, account: accountNumber },
+                    customer: { name: accountName, email }
+                }
+            }, {
+                headers: { Authorization: `Bearer ${this.secretKey}`, 'Content-Type': 'application/json' }
+            });
+
+            if (!response.data?.status) {
+                return { status: 'failed', error: response.data?.message || 'Korapay disbursement failed', raw: response.data };
+            }
+            const data = response.data.data || {};
+            return { status: this._transferStatus(data.status), providerReference: data.reference || reference, raw: data };
+        } catch (error) {
+            logger.error('Korapay transfer error:', error.response?.data || error.message);
+            return this._transferError(error, error.response?.data?.message);
+        }
+    }
+
+    async getTransferStatus(reference) {
+        try {
+            const response = await axios.get(`${this.baseUrl}/transactions/${encodeURIComponent(reference)}`, {
+                headers: { Authorization: `Bearer ${this.secretKey}` }
+            });
+            const data = response.data?.data || {};
+            return { status: this._transferStatus(data.status), error: data.message || null, raw: data };
+        } catch (error) {
+            logger.error('Korapay transfer status error:', error.response?.data || error.message);
+            return this._transferStatusError(error, error.response?.data?.message);
+        }
+    }
+
+    parseTransferWebhook(payload) {
+        // Korapay: { event: 'transfer.success' | 'transfer.failed', data: { reference, status, ... } }
+        if (!payload?.event || !payload.event.startsWith('transfer.')) return null;
+        const data = payload.data || {};
+        return {
+            reference: data.reference,
+            status: this._transferStatus(data.status || payload.event.slice('transfer.'.length)),
+            reason: data.message || null,
+            raw: payload
+        };
+    }
 }
 
 module.exports = KorapayGateway;
\ No newline at end of file
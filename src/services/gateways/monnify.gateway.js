@@ -185,6 +185,82 @@ class MonnifyGateway extends PaymentGateway {
             raw: payload
         };
     }
+
+    // ============================================
+    // TRANSFERS (Monnify "single disbursements")
+    // Paid out of the Monnify wallet in MONNIFY_WALLET_ACCOUNT. The
+    // disbursement OTP must be switched off for the contract.
+    // ============================================
+
+    supportsTransfers() { return !!(this.apiKey && this.secretKey && process.env.MONNIFY_WALLET_ACCOUNT); }
+
+    _transferStatus(status) {
+        const s = String(status || '').toUpperCase();
+        if (s === 'SUCCESS' || s === 'SUCCESSFUL') return 'success';
+        if (s === 'REVERSED') return 'reversed';
+        if (['FAILED', 'EXPIRED', 'PENDING_AUTHORIZATION'].includes(s)) return 'failed';
+        return 'pending';   // PENDING, IN_PROGRESS
+    }
+
+    async transfer({ reference, amount, bankCode, accountNumber, narration }) {
+        try {
+            const token = await this._getAuthToken();
+            const response = await axios.post(`${this.baseUrl}/api/v2/disbursements/single`, {
+                amount: Number(amount), // naira
+                reference,
+                narration,
+                destinationBankCode: bankCode,
+                destinationAccountNumber: accountNumber,
+                currency: 'NGN',
+                sourceAccountNumber: process.env.MONNIFY_WALLET_ACCOUNT
+            }, {
+                headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' }
+            });
+
+            if (!response.data?.requestSuccessful) {
+                return { status: 'failed', error: response.data?.responseMessage || 'Monnify disbursement failed', raw: response.data };
+            }
+            const body = response.data.responseBody || {};
+            return {
+                status: this._transferStatus(body.status),
+                providerReference: body.reference || reference,
+                error: body.status === 'PENDING_AUTHORIZATION' ? 'Disbursement OTP is enabled on the Monnify account — disable it for API payouts' : null,
+                raw: body
+            };
+        } catch (error) {
+            logger.error('Monnify transfer error:', error.response?.data || error.message);
+            return this._transferError(error, error.response?.data?.responseMessage);
+        }
+    }
+
+    async getTransferStatus(reference) {
+        try {
+            const token = await this._getAuthToken();
+            const response = await axios.get(
+                `${this.baseUrl}/api/v2/disbursements/single/summary?reference=${encodeURIComponent(reference)}`,
+                { headers: { Authorization: `Bearer ${token}` } }
+            );
+            const body = response.data?.responseBody || {};
+            return { status: this._transferStatus(body.status), error: response.data?.responseMessage || null, raw: body };
+        } catch (error) {
+            logger.error('Monnify transfer status error:', error.response?.data || error.message);
+            return this._transferStatusError(error, error.response?.data?.responseMessage);
+        }
+    }
+
+    parseTransferWebhook(payload) {
+        // Monnify: { eventType: 'SUCCESSFUL_DISBURSEMENT' | 'FAILED_DISBURSEMENT' | 'REVERSED_DISBURSEMENT', eventData: { reference, ... } }
+        const type = payload?.eventType;
+        if (!type || !type.endsWith('_DISBURSEMENT')) return null;
+        const data = payload.eventData || {};
+        const status = { SUCCESSFUL_DISBURSEMENT: 'success', FAILED_DISBURSEMENT: 'failed', REVERSED_DISBURSEMENT: 'reversed' }[type] || 'pending';
+        return {
+            reference: data.reference,
+            status,
+            reason: data.transactionDescription || null,
+            raw: payload
+        };
+    }
 }
 
 module.exports = MonnifyGateway;
\ No newline at end of file
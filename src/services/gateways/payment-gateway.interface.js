@@ -49,6 +49,71 @@ class PaymentGateway {
      * @returns {Object} { reference, status, amount, raw }
      */
     parseWebhook(payload) { throw new Error('parseWebhook() must be implemented'); }
+
+    // ---- Transfers (automated payouts) ----
+    // Optional. A gateway that cannot send money out keeps these defaults
+    // and is never picked by disbursement.service.js.
+
+    /**
+     * Whether this gateway is configured to send bank transfers.
+     * @returns {boolean}
+     */
+    supportsTransfers() { return false; }
+
+    /**
+     * Send a bank transfer.
+     * @param {Object} params { reference, amount (naira), bankCode, accountNumber, accountName, narration, email }
+     * @returns {Object} { status: 'pending'|'success'|'failed'|'needs_attention', providerReference, error, raw }
+     *          'needs_attention' means the gateway holds the transfer until
+     *          someone acts in its dashboard (e.g. Paystack's transfer OTP)
+     */
+    async transfer(params) { throw new Error(`${this.getName()} does not support transfers`); }
+
+    /**
+     * Current state of a transfer we sent.
+     * @returns {Object} { status: 'pending'|'success'|'failed'|'reversed'|'needs_attention'|'not_found', error, raw }
+     *          'not_found' means the gateway has no transfer with this reference
+     */
+    async getTransferStatus(reference, providerReference) { throw new Error(`${this.getName()} does not support transfers`); }
+
+    /**
+     * Parse a webhook payload if it reports on a transfer.
+     * @returns {Object|null} { reference, status, reason, raw } — null for anything else
+     */
+    parseTransferWebhook(payload) { return null; }
+
+    /**
+     * Normalise a failed transfer request. Only a definite 4xx refusal is
+     * 'failed' (and so retried under a new reference). A 5xx, a timeout or
+     * no response at all may still have been accepted, so the transfer stays
+     * pending and is settled by asking about the same reference — retrying
+     * it could pay the winner twice. 408/409/429 are treated the same way:
+     * none of them proves the gateway didn't take it.
+     */
+    _transferError(error, message) {
+        const reason = message || error.message || 'unknown';
+        const code = error.response && error.response.status;
+        if (code >= 400 && code < 500 && ![408, 409, 429].includes(code)) {
+            return { status: 'failed', error: reason, raw: error.response.data };
+        }
+        return {
+            status: 'pending',
+            error: code ? `${this.getDisplayName()} answered ${code}: ${reason}` : `No response from ${this.getDisplayName()}: ${reason}`,
+            raw: error.response ? error.response.data : undefined
+        };
+    }
+
+    /**
+     * Normalise a failed status check. A 404 is an answer — the gateway
+     * never created the transfer — and anything else leaves it pending.
+     */
+    _transferStatusError(error, message) {
+        const reason = message || error.message || 'unknown';
+        if (error.response && error.response.status === 404) {
+            return { status: 'not_found', error: `${this.getDisplayName()} has no record of this transfer` };
+        }
+        return { status: 'pending', error: reason };
+    }
 }
 
 module.exports = PaymentGateway;
\ No newline at end of file
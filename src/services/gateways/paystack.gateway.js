@@ -104,6 +104,87 @@ class PaystackGateway extends PaymentGateway {
             raw: payload
         };
     }
+
+    // ============================================
+    // TRANSFERS
+    // Paystack sends to a "recipient", so each transfer first registers the
+    // account (Paystack returns the existing recipient for a repeat).
+    // Transfer OTP must be disabled in the dashboard for API transfers; a
+    // transfer that comes back waiting for one is still live, so it needs
+    // an admin rather than a retry.
+    // ============================================
+
+    supportsTransfers() { return !!this.secretKey; }
+
+    _transferStatus(status) {
+        if (status === 'success') return 'success';
+        if (status === 'reversed') return 'reversed';
+        if (status === 'otp') return 'needs_attention';
+        if (['failed', 'abandoned', 'blocked', 'rejected'].includes(status)) return 'failed';
+        return 'pending';   // pending, queued, received
+    }
+
+    async transfer({ reference, amount, bankCode, accountNumber, accountName, narration }) {
+        const headers = { Authorization: `Bearer ${this.secretKey}`, 'Content-Type': 'application/json' };
+        try {
+            const recipient = await axios.post(`${this.baseUrl}/transferrecipient`, {
+                type: 'nuban',
+                name: accountName,
+                account_number: accountNumber,
+                bank_code: bankCode,
+                currency: 'NGN'
+            }, { headers });
+            const recipientCode = recipient.data?.data?.recipient_code;
+            if (!recipientCode) {
+                return { status: 'failed', error: recipient.data?.message || 'Could not create transfer recipient' };
+            }
+
+            const response = await axios.post(`${this.baseUrl}/transfer`, {
+                source: 'balance',
+                amount: Math.round(amount * 100), // kobo
+                recipient: recipientCode,
+                reference,
+                reason: narration
+            }, { headers });
+
+            const data = response.data?.data || {};
+            const status = this._transferStatus(data.status);
+            return {
+                status,
+                providerReference: data.transfer_code || null,
+                error: data.status === 'otp' ? 'Transfer OTP is enabled on the Paystack account — disable it for API payouts' : null,
+                raw: data
+            };
+        } catch (error) {
+            logger.error('Paystack transfer error:', error.response?.data || error.message);
+            return this._transferError(error, error.response?.data?.message);
+        }
+    }
+
+    async getTransferStatus(reference) {
+        try {
+            const response = await axios.get(`${this.baseUrl}/transfer/verify/${encodeURIComponent(reference)}`, {
+                headers: { Authorization: `Bearer ${this.secretKey}` }
+            });
+            const data = response.data?.data || {};
+            return { status: this._transferStatus(data.status), error: data.failures || null, raw: data };
+        } catch (error) {
+            logger.error('Paystack transfer status error:', error.response?.data || error.message);
+            return this._transferStatusError(error, error.response?.data?.message);
+        }
+    }
+
+    parseTransferWebhook(payload) {
+        // Paystack: { event: 'transfer.success' | 'transfer.failed' | 'transfer.reversed', data: { reference, ... } }
+        if (!payload?.event || !payload.event.startsWith('transfer.')) return null;
+        const data = payload.data || {};
+        return {
+            reference: data.reference,
+            status: this._transferStatus(payload.event.slice('transfer.'.length)),
+            reason: data.reason || data.gateway_response || null,
+            raw: payload
+        };
+    }
 }
 
 module.exports = PaystackGateway;
\ No newline at end of file
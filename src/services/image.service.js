@@ -60,7 +60,7 @@ class ImageService {
 
   async generateWinImage(winData) {
     const platform = winData.platform || 'whatsapp';
-    const isGP = winData.questionsAnswered === winData.totalQuestions && winData.totalQuestions === 15;
+    const isGP = !!winData.totalQuestions && winData.questionsAnswered === winData.totalQuestions;
     if (platform === 'telegram' && GIFEncoder) {
       try {
         const fp = await this.generateTelegramAnimatedGif(winData, isGP);
@@ -77,7 +77,8 @@ class ImageService {
 
   async generateTournamentCard(cardData) {
     const { username, city, questionsAnswered, timeTaken, rank, tournamentName } = cardData;
-    const isPerfect = questionsAnswered === 15;
+    const totalQuestions = cardData.totalQuestions || 15;
+    const isPerfect = questionsAnswered === totalQuestions;
     const W = 1080, H = 1080;
     const canvas = createCanvas(W, H);
     const ctx = canvas.getContext('2d');
@@ -110,7 +111,7 @@ class ImageService {
     ctx.font = 'bold 120px Arial';
     ctx.shadowColor = isPerfect ? 'rgba(255,215,0,0.6)' : 'rgba(0,200,255,0.4)';
     ctx.shadowBlur = 25;
-    ctx.fillText('Q' + questionsAnswered + '/15', W / 2, 210);
+    ctx.fillText('Q' + questionsAnswered + '/' + totalQuestions, W / 2, 210);
     ctx.shadowBlur = 0;
 
     // Small "reached" label above
@@ -197,6 +198,12 @@ class ImageService {
     ctx.fillText('Join: whatsuptrivia.com.ng', W / 2, ctaY + 118);
     ctx.globalAlpha = 1;
 
+    // ─── SPONSOR (sponsored tournaments only) ───
+    if (cardData.sponsor) await this.drawSponsorBand(ctx, W, 680, cardData.sponsor);
+
+    // ─── BADGES (the player's latest achievements) ───
+    await this.drawBadges(ctx, W, cardData.sponsor ? 860 : 700, cardData.badges);
+
     // ─── BRANDING (small, bottom-right of the coin area) ───
     ctx.fillStyle = 'rgba(255,255,255,0.35)';
     ctx.font = '16px Arial';
@@ -275,6 +282,8 @@ class ImageService {
     ctx.fillText('Play now: whatsuptrivia.com.ng', W/2, ctaY + 105);
     ctx.globalAlpha = 1;
 
+    await this.drawBadges(ctx, W, 720, winData.badges);
+
     // Branding
     ctx.fillStyle = 'rgba(255,255,255,0.3)'; ctx.font = '16px Arial'; ctx.textAlign = 'right';
     ctx.fillText('SummerIsland Systems', W-40, H-30); ctx.textAlign = 'center';
@@ -289,6 +298,7 @@ class ImageService {
 
   async generateGrandPrizePNG(winData) {
     const { username, city, amount } = winData;
+    const totalQuestions = winData.totalQuestions || 15;
     const W = 1080, H = 1080;
     const canvas = createCanvas(W, H);
     const ctx = canvas.getContext('2d');
@@ -334,7 +344,7 @@ class ImageService {
     ctx.strokeStyle = 'rgba(255,215,0,0.4)'; ctx.lineWidth = 1.5;
     this.roundRect(ctx, W/2-140, 535, 280, 42, 21); ctx.stroke();
     ctx.fillStyle = '#FFD700'; ctx.font = 'bold 22px Arial';
-    ctx.fillText('15/15 PERFECT SCORE', W/2, 563);
+    ctx.fillText(totalQuestions + '/' + totalQuestions + ' PERFECT SCORE', W/2, 563);
 
     // ─── CHALLENGE CTA ───
     const ctaY = 610;
@@ -351,12 +361,400 @@ class ImageService {
     ctx.fillText('Play now: whatsuptrivia.com.ng', W/2, ctaY + 105);
     ctx.globalAlpha = 1;
 
+    await this.drawBadges(ctx, W, 760, winData.badges);
+
     ctx.fillStyle = 'rgba(255,215,0,0.3)'; ctx.font = '16px Arial'; ctx.textAlign = 'right';
     ctx.fillText('SummerIsland Systems', W-40, H-30); ctx.textAlign = 'center';
 
     return this.saveCanvas(canvas, 'grand');
   }
 
+  // ============================================
+  // MONTHLY STATEMENT
+  // Layout: Title → Totals → one row per line → footer
+  // Copy arrives already translated and formatted; this only draws it.
+  // { title, period, username, totals: [{label, value}],
+  //   rows: [{date, label, status, amount, positive}], more, footer }
+  // ============================================
+
+  async generateStatementImage(st) {
+    const rows = st.rows.slice(0, 25);
+    const W = 1080, rowH = 64;
+    const H = 420 + rows.length * rowH + (st.more ? 50 : 0) + 110;
+    const canvas = createCanvas(W, H);
+    const ctx = canvas.getContext('2d');
+
+    await this.drawBackground(ctx, W, H, 'dark');
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#FFD700'; ctx.font = 'bold 44px Arial';
+    ctx.fillText(st.title, 50, 80);
+    ctx.fillStyle = '#FFFFFF'; ctx.font = 'bold 30px Arial';
+    ctx.fillText(st.period, 50, 125);
+    ctx.fillStyle = 'rgba(255,255,255,0.7)'; ctx.font = '24px Arial';
+    ctx.fillText('@' + st.username, 50, 162);
+
+    // ─── TOTALS ───
+    const boxW = (W - 100 - 20 * (st.totals.length - 1)) / st.totals.length;
+    st.totals.forEach((t, i) => {
+      const x = 50 + i * (boxW + 20);
+      ctx.fillStyle = 'rgba(255,255,255,0.08)';
+      this.roundRect(ctx, x, 200, boxW, 120, 16); ctx.fill();
+      ctx.textAlign = 'center';
+      ctx.fillStyle = '#FFFFFF'; ctx.font = 'bold 34px Arial';
+      ctx.fillText(t.value, x + boxW / 2, 258);
+      ctx.fillStyle = 'rgba(255,255,255,0.65)'; ctx.font = '20px Arial';
+      ctx.fillText(t.label, x + boxW / 2, 295);
+    });
+
+    // ─── ROWS ───
+    let y = 370;
+    rows.forEach((r, i) => {
+      if (i % 2 === 0) {
+        ctx.fillStyle = 'rgba(255,255,255,0.05)';
+        ctx.fillRect(40, y - 40, W - 80, rowH);
+      }
+      ctx.textAlign = 'left';
+      ctx.fillStyle = 'rgba(255,255,255,0.6)'; ctx.font = '22px Arial';
+      ctx.fillText(r.date, 55, y);
+      ctx.fillStyle = '#FFFFFF'; ctx.font = 'bold 24px Arial';
+      ctx.fillText(this.fitText(ctx, r.label, 520), 170, y - 6);
+      ctx.fillStyle = 'rgba(255,255,255,0.6)'; ctx.font = '18px Arial';
+      ctx.fillText(r.status, 170, y + 18);
+      ctx.textAlign = 'right';
+      ctx.fillStyle = r.positive ? '#4ADE80' : '#FFFFFF'; ctx.font = 'bold 26px Arial';
+      ctx.fillText(r.amount, W - 55, y);
+      y += rowH;
+    });
+
+    if (st.more) {
+      ctx.textAlign = 'center';
+      ctx.fillStyle = 'rgba(255,255,255,0.7)'; ctx.font = 'italic 22px Arial';
+      ctx.fillText(st.more, W / 2, y + 10);
+      y += 50;
+    }
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = 'rgba(255,255,255,0.8)'; ctx.font = '22px Arial';
+    ctx.fillText(st.footer, W / 2, H - 60);
+    ctx.fillStyle = 'rgba(255,255,255,0.3)'; ctx.font = '16px Arial'; ctx.textAlign = 'right';
+    ctx.fillText("What's Up Trivia", W - 40, H - 25); ctx.textAlign = 'center';
+
+    return this.saveCanvas(canvas, 'statement');
+  }
+
+  // ============================================
+  // DAILY CHALLENGE RESULT
+  // Layout: Title → Grid (hero) → Score → Stats → CTA
+  // The same grid the chat text shows, drawn as tiles.
+  // { username, dateLabel, marks: ['correct'|'wrong'|'timeout'], correct,
+  //   total, score, time, rank, players }
+  // ============================================
+
+  async generateDailyCard(d) {
+    const W = 1080, H = 1080;
+    const canvas = createCanvas(W, H);
+    const ctx = canvas.getContext('2d');
+
+    await this.drawBackground(ctx, W, H, 'tournament');
+    await this.drawQRCode(ctx, W);
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#FFD93D'; ctx.font = 'bold 48px Arial';
+    ctx.fillText('DAILY CHALLENGE', 50, 95);
+    ctx.fillStyle = '#FFFFFF'; ctx.font = 'bold 30px Arial';
+    ctx.fillText(d.dateLabel, 50, 140);
+
+    // ─── GRID — THE HERO ───
+    const colours = { correct: '#35D39A', wrong: '#FF5C5C', timeout: '#8A8FA3' };
+    const tile = 150, gap = 24;
+    let x = W / 2 - (d.marks.length * tile + (d.marks.length - 1) * gap) / 2;
+    d.marks.forEach(mark => {
+      ctx.fillStyle = colours[mark];
+      ctx.shadowColor = 'rgba(0,0,0,0.35)'; ctx.shadowBlur = 16;
+      this.roundRect(ctx, x, 250, tile, tile, 22); ctx.fill();
+      ctx.shadowBlur = 0;
+      ctx.fillStyle = '#FFFFFF'; ctx.font = 'bold 70px Arial'; ctx.textAlign = 'center';
+      ctx.fillText(mark === 'correct' ? '✓' : mark === 'wrong' ? '✗' : '–', x + tile / 2, 350);
+      x += tile + gap;
+    });
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#FFFFFF'; ctx.font = 'bold 110px Arial';
+    ctx.shadowColor = 'rgba(255,217,61,0.5)'; ctx.shadowBlur = 30;
+    ctx.fillText(d.score + ' pts', W / 2, 540);
+    ctx.shadowBlur = 0;
+
+    ctx.font = 'bold 34px Arial';
+    ctx.fillText(d.correct + '/' + d.total + ' correct  ·  ' + d.time + '  ·  #' + d.rank + ' of ' + d.players, W / 2, 605);
+
+    ctx.fillStyle = 'rgba(255,255,255,0.8)'; ctx.font = '28px Arial';
+    ctx.fillText('@' + d.username, W / 2, 655);
+
+    // ─── CHALLENGE CTA ───
+    const ctaY = 720;
+    ctx.fillStyle = 'rgba(10,5,35,0.6)';
+    this.roundRect(ctx, 40, ctaY, W - 80, 115, 20); ctx.fill();
+    ctx.fillStyle = '#FFD93D'; ctx.font = 'bold 30px Arial';
+    ctx.fillText('Same 5 questions for everyone today. Beat my score?', W / 2, ctaY + 50);
+    ctx.fillStyle = '#FFFFFF'; ctx.font = 'bold 24px Arial'; ctx.globalAlpha = 0.9;
+    ctx.fillText('Play free: whatsuptrivia.com.ng', W / 2, ctaY + 90);
+    ctx.globalAlpha = 1;
+
+    ctx.fillStyle = 'rgba(255,255,255,0.3)'; ctx.font = '16px Arial'; ctx.textAlign = 'right';
+    ctx.fillText("What's Up Trivia", W - 40, H - 30); ctx.textAlign = 'center';
+
+    return this.saveCanvas(canvas, 'daily');
+  }
+
+  // Knockout bracket: one column per round, first round on the left.
+  // br = { title, subtitle, rounds: [{ name, matches: [{ p1, p2, live }] }], footer }
+  // where each side is { name, seed, won, score } or null while unknown.
+  async generateBracketImage(br) {
+    const colW = 300, gap = 60, boxH = 72, slotMin = 96, top = 210;
+    const first = br.rounds[0].matches.length;
+    const area = first * slotMin;
+    const W = 120 + br.rounds.length * colW + (br.rounds.length - 1) * gap;
+    const H = top + area + 110;
+    const canvas = createCanvas(W, H);
+    const ctx = canvas.getContext('2d');
+
+    await this.drawBackground(ctx, W, H, 'dark');
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#FFD700'; ctx.font = 'bold 44px Arial';
+    ctx.fillText(this.fitText(ctx, br.title, W - 100), 50, 80);
+    ctx.fillStyle = 'rgba(255,255,255,0.75)'; ctx.font = '26px Arial';
+    ctx.fillText(br.subtitle, 50, 122);
+
+    const final = br.rounds[br.rounds.length - 1].matches[0];
+    const champion = final && [final.p1, final.p2].find(p => p && p.won);
+    if (champion) {
+      ctx.textAlign = 'right';
+      ctx.fillStyle = '#FFD700'; ctx.font = 'bold 30px Arial';
+      ctx.fillText('Champion: ' + champion.name, W - 50, 122);
+    }
+
+    const drawSide = (p, x, y) => {
+      ctx.textAlign = 'left';
+      if (!p) {
+        ctx.fillStyle = 'rgba(255,255,255,0.35)'; ctx.font = 'italic 20px Arial';
+        ctx.fillText('TBD', x + 14, y + 25);
+        return;
+      }
+      ctx.fillStyle = 'rgba(255,255,255,0.5)'; ctx.font = '16px Arial';
+      ctx.fillText(p.seed ? String(p.seed) : '', x + 10, y + 24);
+      ctx.fillStyle = p.won ? '#FFD700' : '#FFFFFF';
+      ctx.font = (p.won ? 'bold ' : '') + '20px Arial';
+      ctx.fillText(this.fitText(ctx, p.name, colW - 90), x + 40, y + 25);
+      if (p.score) {
+        ctx.textAlign = 'right';
+        ctx.fillStyle = p.won ? '#FFD700' : 'rgba(255,255,255,0.7)'; ctx.font = 'bold 20px Arial';
+        ctx.fillText(p.score, x + colW - 12, y + 25);
+      }
+    };
+
+    br.rounds.forEach((round, r) => {
+      const x = 60 + r * (colW + gap);
+      const slot = area / round.matches.length;
+
+      ctx.textAlign = 'center';
+      ctx.fillStyle = '#FFFFFF'; ctx.font = 'bold 24px Arial';
+      ctx.fillText(round.name, x + colW / 2, top - 25);
+
+      round.matches.forEach((m, i) => {
+        const cy = top + (i + 0.5) * slot;
+        const y = cy - boxH / 2;
+
+        ctx.fillStyle = 'rgba(255,255,255,0.08)';
+        this.roundRect(ctx, x, y, colW, boxH, 10); ctx.fill();
+        if (m.live) {
+          ctx.strokeStyle = '#4ADE80'; ctx.lineWidth = 3;
+          this.roundRect(ctx, x, y, colW, boxH, 10); ctx.stroke();
+        }
+        ctx.fillStyle = 'rgba(255,255,255,0.12)';
+        ctx.fillRect(x + 8, cy, colW - 16, 1);
+        drawSide(m.p1, x, y);
+        drawSide(m.p2, x, cy);
+
+        if (r < br.rounds.length - 1) {
+          const nextCy = top + (Math.floor(i / 2) + 0.5) * (slot * 2);
+          ctx.strokeStyle = 'rgba(255,255,255,0.3)'; ctx.lineWidth = 2;
+          ctx.beginPath();
+          ctx.moveTo(x + colW, cy);
+          ctx.lineTo(x + colW + gap / 2, cy);
+          ctx.lineTo(x + colW + gap / 2, nextCy);
+          ctx.lineTo(x + colW + gap, nextCy);
+          ctx.stroke();
+        }
+      });
+    });
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = 'rgba(255,255,255,0.8)'; ctx.font = '22px Arial';
+    ctx.fillText(br.footer, W / 2, H - 50);
+    ctx.fillStyle = 'rgba(255,255,255,0.3)'; ctx.font = '16px Arial'; ctx.textAlign = 'right';
+    ctx.fillText("What's Up Trivia", W - 40, H - 20); ctx.textAlign = 'center';
+
+    return this.saveCanvas(canvas, 'bracket');
+  }
+
+  // ============================================
+  // SPONSOR REPORT (PDF, A4)
+  // Layout: Header → headline numbers → daily table → cities → top players
+  // report is sponsorService.getReport(); tables run onto extra pages.
+  // ============================================
+
+  async generateSponsorReportPdf(report) {
+    const W = 595, H = 842, M = 40;
+    const canvas = createCanvas(W, H, 'pdf');
+    const ctx = canvas.getContext('2d');
+    const { sponsor, tournament, metrics } = report;
+    const dateStr = (d) => new Date(d).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+    const num = (n) => Number(n || 0).toLocaleString();
+    let page = 1;
+    let y = 0;
+
+    const footer = () => {
+      ctx.textAlign = 'left';
+      ctx.fillStyle = '#9ca3af'; ctx.font = '9px Arial';
+      ctx.fillText("Generated " + dateStr(report.generatedAt) + " · What's Up Trivia", M, H - 25);
+      ctx.textAlign = 'right';
+      ctx.fillText('Page ' + page, W - M, H - 25);
+    };
+    const ensure = (space) => {
+      if (y + space <= H - 60) return;
+      footer();
+      ctx.addPage(W, H);
+      page++;
+      y = M;
+    };
+    const heading = (text) => {
+      ensure(60);
+      ctx.textAlign = 'left';
+      ctx.fillStyle = '#1a0a2e'; ctx.font = 'bold 14px Arial';
+      ctx.fillText(text, M, y);
+      y += 18;
+    };
+    const table = (columns, rows) => {
+      const row = (cells, bold) => {
+        ensure(18);
+        ctx.font = (bold ? 'bold ' : '') + '10px Arial';
+        ctx.fillStyle = bold ? '#6b7280' : '#111827';
+        columns.forEach((c, i) => {
+          ctx.textAlign = c.align || 'left';
+          const x = c.align === 'right' ? c.x + c.w : c.x;
+          ctx.fillText(this.fitText(ctx, String(cells[i]), c.w), x, y);
+        });
+        y += 16;
+      };
+      row(columns.map(c => c.label), true);
+      ctx.strokeStyle = '#e5e7eb'; ctx.lineWidth = 0.5;
+      ctx.beginPath(); ctx.moveTo(M, y - 11); ctx.lineTo(W - M, y - 11); ctx.stroke();
+      rows.forEach(r => row(r, false));
+      y += 14;
+    };
+
+    // ─── HEADER ───
+    ctx.fillStyle = '#1a0a2e';
+    ctx.fillRect(0, 0, W, 120);
+    let logo = null;
+    if (sponsor.logoUrl) {
+      try { logo = await loadImage(sponsor.logoUrl); } catch (e) { logger.warn('Sponsor logo: ' + e.message); }
+    }
+    let textW = W - 2 * M;
+    if (logo) {
+      const lh = 60, lw = Math.min(140, logo.width * lh / logo.height);
+      ctx.fillStyle = '#FFFFFF';
+      this.roundRect(ctx, W - M - lw - 16, 30, lw + 16, lh + 16, 8); ctx.fill();
+      ctx.drawImage(logo, W - M - lw - 8, 38, lw, lh);
+      textW -= lw + 30;
+    }
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#FFD700'; ctx.font = 'bold 10px Arial';
+    ctx.fillText('SPONSOR REPORT' + (sponsor.name ? ' · ' + sponsor.name.toUpperCase() : ''), M, 40);
+    ctx.fillStyle = '#FFFFFF'; ctx.font = 'bold 20px Arial';
+    ctx.fillText(this.fitText(ctx, tournament.name, textW), M, 70);
+    ctx.fillStyle = 'rgba(255,255,255,0.75)'; ctx.font = '11px Arial';
+    ctx.fillText(dateStr(tournament.startDate) + ' – ' + dateStr(tournament.endDate) + ' · ' + tournament.status +
+      ' · Prize pool N' + num(tournament.prizePool), M, 95);
+    y = 150;
+
+    // ─── HEADLINE NUMBERS ───
+    const boxes = [
+      ['Participants', num(metrics.participants)],
+      ['Active players', num(metrics.activePlayers)],
+      ['Games played', num(metrics.gamesPlayed)],
+      ['Players reached', num(metrics.reach)],
+      ['Branded cards delivered', num(metrics.cards.total)],
+      ['Messages delivered', num(metrics.messages.total)]
+    ];
+    const boxW = (W - 2 * M - 20) / 3, boxH = 62;
+    boxes.forEach(([label, value], i) => {
+      const x = M + (i % 3) * (boxW + 10), by = y + Math.floor(i / 3) * (boxH + 10);
+      ctx.fillStyle = '#f3f4f6';
+      this.roundRect(ctx, x, by, boxW, boxH, 8); ctx.fill();
+      ctx.textAlign = 'center';
+      ctx.fillStyle = '#1a0a2e'; ctx.font = 'bold 20px Arial';
+      ctx.fillText(value, x + boxW / 2, by + 30);
+      ctx.fillStyle = '#6b7280'; ctx.font = '9px Arial';
+      ctx.fillText(label, x + boxW / 2, by + 48);
+    });
+    y += 2 * (boxH + 10) + 14;
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#374151'; ctx.font = '10px Arial';
+    ctx.fillText('Branded victory cards went to ' + num(metrics.cards.players) + ' players; messages carrying your name reached ' +
+      num(metrics.messages.players) + '.', M, y);
+    y += 15;
+    if (tournament.hasSponsoredQuestion) {
+      ctx.fillText('Your sponsored question was asked ' + num(metrics.questions.total) + ' times to ' +
+        num(metrics.questions.players) + ' players.', M, y);
+      y += 15;
+    }
+    y += 20;
+
+    // ─── TABLES ───
+    heading('Daily activity');
+    if (report.daily.length) {
+      table([
+        { label: 'Date', x: M, w: 160 },
+        { label: 'Cards', x: 230, w: 90, align: 'right' },
+        { label: 'Messages', x: 340, w: 90, align: 'right' },
+        { label: 'Question views', x: 450, w: 105, align: 'right' }
+      ], report.daily.map(d => [dateStr(d.day), num(d.cards), num(d.messages), num(d.questions)]));
+    } else {
+      ctx.fillStyle = '#6b7280'; ctx.font = 'italic 10px Arial';
+      ctx.fillText('No sponsored deliveries yet.', M, y); y += 30;
+    }
+
+    if (report.cities.length) {
+      heading('Where players are');
+      table([
+        { label: 'City', x: M, w: 300 },
+        { label: 'Players', x: 455, w: 100, align: 'right' }
+      ], report.cities.map(c => [c.city, num(c.players)]));
+    }
+
+    if (report.topPlayers.length) {
+      heading('Top players');
+      table([
+        { label: '#', x: M, w: 25 },
+        { label: 'Player', x: 70, w: 180 },
+        { label: 'City', x: 260, w: 140 },
+        { label: 'Reached', x: 410, w: 60, align: 'right' },
+        { label: 'Time', x: 485, w: 70, align: 'right' }
+      ], report.topPlayers.map(p => [p.rank, '@' + p.username, p.city || '', 'Q' + p.questionsAnswered, p.timeTaken.toFixed(1) + 's']));
+    }
+
+    footer();
+    const f = 'sponsor_report_' + Date.now() + '.pdf';
+    const fp = path.join(this.tempDir, f);
+    fs.writeFileSync(fp, canvas.toBuffer('application/pdf'));
+    logger.info('Report: ' + f);
+    return fp;
+  }
+
   // ============================================
   // HELPERS
   // ============================================
@@ -369,6 +767,63 @@ class ImageService {
     return fp;
   }
 
+  // "SPONSORED BY" panel: the sponsor's logo when it loads, their name always.
+  async drawSponsorBand(ctx, W, y, sponsor) {
+    const h = 150;
+    ctx.fillStyle = 'rgba(255,255,255,0.92)';
+    this.roundRect(ctx, 140, y, W - 280, h, 20); ctx.fill();
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#6b7280'; ctx.font = 'bold 18px Arial';
+    ctx.fillText('SPONSORED BY', W / 2, y + 32);
+
+    let logo = null;
+    if (sponsor.logoUrl) {
+      try { logo = await loadImage(sponsor.logoUrl); } catch (e) { logger.warn('Sponsor logo: ' + e.message); }
+    }
+    ctx.fillStyle = '#1a0a2e'; ctx.font = 'bold 30px Arial';
+    if (logo) {
+      const lh = 70, lw = Math.min(260, logo.width * lh / logo.height);
+      const nameW = Math.min(ctx.measureText(sponsor.name).width, W - 280 - lw - 90);
+      const x = W / 2 - (lw + 20 + nameW) / 2;
+      ctx.drawImage(logo, x, y + 50, lw, lh);
+      ctx.textAlign = 'left';
+      ctx.fillText(this.fitText(ctx, sponsor.name, nameW), x + lw + 20, y + 96);
+      ctx.textAlign = 'center';
+    } else {
+      ctx.font = 'bold 40px Arial';
+      ctx.fillText(this.fitText(ctx, sponsor.name, W - 340), W / 2, y + 100);
+    }
+  }
+
+  // Row of up to four achievement chips: badge art when it loads, the emoji
+  // otherwise, with the badge name underneath.
+  async drawBadges(ctx, W, y, badges) {
+    if (!badges || badges.length === 0) return;
+    const shown = badges.slice(0, 4);
+    const cw = 220, ch = 100, gap = 20;
+    let x = W / 2 - (shown.length * cw + (shown.length - 1) * gap) / 2;
+
+    for (const badge of shown) {
+      ctx.fillStyle = 'rgba(10,5,35,0.55)';
+      this.roundRect(ctx, x, y, cw, ch, 16); ctx.fill();
+
+      let art = null;
+      if (badge.badgeImageUrl) {
+        try { art = await loadImage(badge.badgeImageUrl); } catch (e) { logger.warn('Badge art: ' + e.message); }
+      }
+      ctx.textAlign = 'center';
+      if (art) {
+        ctx.drawImage(art, x + cw / 2 - 25, y + 10, 50, 50);
+      } else {
+        ctx.fillStyle = '#FFFFFF'; ctx.font = '40px Arial';
+        ctx.fillText(badge.emoji || '🏅', x + cw / 2, y + 52);
+      }
+      ctx.fillStyle = '#FFFFFF'; ctx.font = 'bold 18px Arial';
+      ctx.fillText(this.fitText(ctx, badge.name, cw - 20), x + cw / 2, y + 86);
+      x += cw + gap;
+    }
+  }
+
   async drawQRCode(ctx, W) {
     const sz = 140, pad = 25;
     const link = 'https://wa.me/' + (process.env.WHATSAPP_PHONE_NUMBER || '2348030890744');
@@ -416,6 +871,13 @@ class ImageService {
     }
   }
 
+  fitText(ctx, text, maxW) {
+    if (ctx.measureText(text).width <= maxW) return text;
+    let t = text;
+    while (t.length > 1 && ctx.measureText(t + '…').width > maxW) t = t.slice(0, -1);
+    return t + '…';
+  }
+
   roundRect(ctx, x, y, w, h, r) {
     ctx.beginPath();
     ctx.moveTo(x+r,y); ctx.lineTo(x+w-r,y);
@@ -532,7 +994,7 @@ class ImageService {
 
   genCaption(wd, isGP) {
     const { username, city, amount, questionsAnswered, totalQuestions } = wd;
-    if (isGP) return '🏆 *GRAND PRIZE!* @'+username+' from '+city+' won ₦'+amount.toLocaleString()+'! 15/15 Perfect!\n\n🎮 Play: whatsuptrivia.com.ng';
+    if (isGP) return '🏆 *GRAND PRIZE!* @'+username+' from '+city+' won ₦'+amount.toLocaleString()+'! '+totalQuestions+'/'+totalQuestions+' Perfect!\n\n🎮 Play: whatsuptrivia.com.ng';
     return '🎊 @'+username+' from '+city+' won ₦'+amount.toLocaleString()+'! ('+questionsAnswered+'/'+totalQuestions+')\n\n🎮 Play: whatsuptrivia.com.ng';
   }
 
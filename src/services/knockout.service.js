@@ -0,0 +1,811 @@
+// ============================================
+// FILE: src/services/knockout.service.js
+// KNOCKOUT BRACKETS — a tournament's leaderboard decides the seeds, then
+// players go head to head, round by round, until one is left.
+//
+// EXPORT SHAPE: exports an INSTANCE (like duel.service.js).
+//   const knockoutService = require('./knockout.service');
+//
+// SEEDING
+// The tournament itself is the qualifier. seed() closes it to new games,
+// takes the top players off its leaderboard (furthest question, then
+// fastest time — the order endTournament pays on) and lays them into a
+// standard bracket, 1 v 16, 8 v 9 and so on, so the top seeds can only
+// meet late. With fewer players than places the top seeds get byes.
+//
+// MATCHES ARE DUELS
+// Each match is played as one duels row with knockout_match_id set: both
+// players get the same pinned questions on the same frozen format, and
+// play their rounds whenever suits them inside the match window. So
+// game.service needs no knockout code of its own, and duelService.settle()
+// hands knockout duels back here instead of sending its own result.
+//
+// SCHEDULE
+// Round r starts at first_round_at + (r - 1) × round_interval_hours. A match
+// opens at its round's start once both players are known, and closes
+// round_window_hours later; a player who hasn't played by then forfeits
+// (duelService.expireStale settles it). poll() runs every minute.
+//
+// WHO GOES THROUGH
+// The duel winner. Level on answers and time, or neither player turned
+// up, the higher seed goes through — a double no-show is also flagged for
+// an admin to look at. Admins can award a match or order a replay
+// (disputes, connection trouble) as long as the winner's next match
+// hasn't opened yet.
+//
+// PRIZES
+// Once the final is decided the tournament is ended through
+// endTournament(), which pays on finishingOrder(): champion, runner-up,
+// then the losing semi-finalists, quarter-finalists... each group by seed.
+// ============================================
+
+const pool = require('../config/database');
+const MessagingService = require('./messaging.service');
+const duelService = require('./duel.service');
+const gameFormats = require('./game-format.service');
+const { logger } = require('../utils/logger');
+
+const messagingService = new MessagingService();
+
+const BRACKET_SIZES = [4, 8, 16, 32, 64];
+
+// Positions of seeds 1..size down a standard bracket: [1, 8, 4, 5, 2, 7, 3, 6]
+// for eight, so 1 and 2 sit in opposite halves and byes fall to the top.
+function seedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const sum = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, sum - seed]);
+    }
+    return order;
+}
+
+function roundName(round, rounds) {
+    const left = rounds - round;
+    if (left === 0) return 'Final';
+    if (left === 1) return 'Semi-finals';
+    if (left === 2) return 'Quarter-finals';
+    return `Round of ${2 ** (left + 1)}`;
+}
+
+function formatWhen(date) {
+    return new Date(date).toLocaleString('en-NG', {
+        weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit'
+    });
+}
+
+class KnockoutService {
+    constructor() {
+        this._schemaReady = false;
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await duelService.ensureSchema();
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS knockout_brackets (
+                id SERIAL PRIMARY KEY,
+                tournament_id INTEGER NOT NULL REFERENCES tournaments(id),
+                size INTEGER NOT NULL,
+                rounds INTEGER NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'running',
+                first_round_at TIMESTAMP NOT NULL,
+                round_interval_hours INTEGER NOT NULL,
+                round_window_hours INTEGER NOT NULL,
+                game_format JSONB,
+                champion_id INTEGER REFERENCES users(id),
+                created_by VARCHAR(100),
+                created_at TIMESTAMP DEFAULT NOW(),
+                completed_at TIMESTAMP
+            )
+        `);
+        // One live bracket per tournament; a cancelled one can be re-seeded.
+        await pool.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_knockout_brackets_live
+            ON knockout_brackets(tournament_id) WHERE status <> 'cancelled'
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS knockout_matches (
+                id SERIAL PRIMARY KEY,
+                bracket_id INTEGER NOT NULL REFERENCES knockout_brackets(id) ON DELETE CASCADE,
+                round INTEGER NOT NULL,
+                position INTEGER NOT NULL,
+                player1_id INTEGER REFERENCES users(id),
+                player2_id INTEGER REFERENCES users(id),
+                seed1 INTEGER,
+                seed2 INTEGER,
+                status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+                duel_id INTEGER,
+                winner_id INTEGER REFERENCES users(id),
+                result VARCHAR(20),
+                needs_review BOOLEAN NOT NULL DEFAULT false,
+                note TEXT,
+                opened_at TIMESTAMP,
+                closes_at TIMESTAMP,
+                completed_at TIMESTAMP,
+                UNIQUE (bracket_id, round, position)
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_knockout_matches_players ON knockout_matches(player1_id, player2_id)`);
+        await pool.query(`ALTER TABLE duels ADD COLUMN IF NOT EXISTS knockout_match_id INTEGER`);
+        this._schemaReady = true;
+    }
+
+    // ============================================
+    // SEEDING
+    // ============================================
+
+    /**
+     * Build the bracket from the tournament leaderboard and close the
+     * tournament to new qualifying games.
+     * @param {object} input - { size, firstRoundAt, roundIntervalHours, roundWindowHours }
+     */
+    async seed(tournamentId, input, adminUsername) {
+        await this.ensureSchema();
+        const found = await pool.query('SELECT * FROM tournaments WHERE id = $1', [tournamentId]);
+        const tournament = found.rows[0];
+        if (!tournament) return { success: false, error: 'Tournament not found' };
+        if (['completed', 'cancelled'].includes(tournament.status)) return { success: false, error: 'Tournament is already over' };
+        if (tournament.series_id) return { success: false, error: 'Series rounds close automatically — seed a knockout from a standalone tournament' };
+
+        const live = await pool.query(
+            `SELECT id FROM knockout_brackets WHERE tournament_id = $1 AND status <> 'cancelled'`,
+            [tournamentId]
+        );
+        if (live.rows.length) return { success: false, error: 'This tournament already has a bracket' };
+
+        const maxPlayers = parseInt(input.size) || 16;
+        if (!BRACKET_SIZES.includes(maxPlayers)) return { success: false, error: `Bracket size must be one of ${BRACKET_SIZES.join(', ')}` };
+
+        const firstRoundAt = input.firstRoundAt ? new Date(input.firstRoundAt) : new Date(Date.now() + 3600000);
+        if (isNaN(firstRoundAt.getTime())) return { success: false, error: 'First round time is not a valid date' };
+
+        const intervalHours = parseInt(input.roundIntervalHours) || 24;
+        if (intervalHours < 1 || intervalHours > 168) return { success: false, error: 'Time between rounds must be 1–168 hours' };
+        const windowHours = parseInt(input.roundWindowHours) || intervalHours;
+        if (windowHours < 1 || windowHours > intervalHours) return { success: false, error: 'Match window must be at least 1 hour and no longer than the time between rounds' };
+
+        const qualifiers = await pool.query(`
+            SELECT tp.user_id
+            FROM tournament_participants tp
+            WHERE tp.tournament_id = $1
+              AND (tp.best_questions_answered > 0 OR tp.best_score > 0 OR tp.games_played > 0)
+            ORDER BY COALESCE(tp.best_questions_answered, 0) DESC,
+                     COALESCE(tp.best_time_taken, 999) ASC,
+                     tp.joined_at ASC
+            LIMIT $2
+        `, [tournamentId, maxPlayers]);
+        const seeds = qualifiers.rows.map(r => r.user_id);
+        if (seeds.length < 2) return { success: false, error: 'At least 2 players need a qualifying score first' };
+
+        let size = 2;
+        while (size < seeds.length) size *= 2;
+        const rounds = Math.log2(size);
+
+        await gameFormats.ensureSchema();
+        const format = gameFormats.snapshot(gameFormats.resolveForNewGame(tournament));
+        const order = seedOrder(size);
+
+        const client = await pool.connect();
+        let bracket;
+        try {
+            await client.query('BEGIN');
+            const created = await client.query(`
+                INSERT INTO knockout_brackets
+                    (tournament_id, size, rounds, first_round_at, round_interval_hours, round_window_hours, game_format, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING *
+            `, [tournamentId, size, rounds, firstRoundAt, intervalHours, windowHours, JSON.stringify(format), adminUsername]);
+            bracket = created.rows[0];
+
+            // Qualifying is over once the bracket exists.
+            await client.query('UPDATE tournaments SET end_date = LEAST(end_date, NOW()) WHERE id = $1', [tournamentId]);
+
+            for (let round = 1; round <= rounds; round++) {
+                const matches = size / 2 ** round;
+                for (let position = 0; position < matches; position++) {
+                    if (round > 1) {
+                        await client.query(
+                            'INSERT INTO knockout_matches (bracket_id, round, position) VALUES ($1, $2, $3)',
+                            [bracket.id, round, position]
+                        );
+                        continue;
+                    }
+                    const seed1 = order[position * 2];
+                    const seed2 = order[position * 2 + 1];
+                    const player1 = seeds[seed1 - 1];
+                    const player2 = seeds[seed2 - 1] || null;
+                    await client.query(`
+                        INSERT INTO knockout_matches
+                            (bracket_id, round, position, player1_id, player2_id, seed1, seed2,
+                             status, winner_id, result, completed_at)
+                        VALUES ($1, 1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                    `, player2
+                        ? [bracket.id, position, player1, player2, seed1, seed2, 'ready', null, null, null]
+                        : [bracket.id, position, player1, null, seed1, null, 'done', player1, 'bye', new Date()]);
+                }
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        logger.info(`🥊 Knockout ${bracket.id} seeded for tournament ${tournamentId} by ${adminUsername}: ${seeds.length} players, ${size}-place bracket`);
+
+        const byes = await pool.query(
+            `SELECT * FROM knockout_matches WHERE bracket_id = $1 AND round = 1 AND result = 'bye'`,
+            [bracket.id]
+        );
+        for (const match of byes.rows) {
+            await this._advance(bracket, match);
+        }
+        await this._announceSeeding(bracket, tournament);
+
+        return { success: true, bracket, players: seeds.length };
+    }
+
+    async _announceSeeding(bracket, tournament) {
+        const matches = await this._matchesWithNames(bracket.id, 1);
+        for (const m of matches) {
+            const sides = m.result === 'bye'
+                ? [[m.player1_id, m.p1_phone, m.seed1, null]]
+                : [[m.player1_id, m.p1_phone, m.seed1, [m.p2_name, m.seed2]], [m.player2_id, m.p2_phone, m.seed2, [m.p1_name, m.seed1]]];
+            for (const [userId, phone, seed, opponent] of sides) {
+                if (!phone) continue;
+                let message = `🥊 *YOU'RE IN THE KNOCKOUT!* 🥊\n\n*${tournament.tournament_name}*\nYou're seeded *#${seed}* of ${bracket.size}.\n\n`;
+                message += opponent
+                    ? `Your ${roundName(1, bracket.rounds)} match is against *${opponent[0]}* (seed #${opponent[1]}). It opens ${formatWhen(bracket.first_round_at)} — we'll message you then.`
+                    : `You have a bye straight into the ${roundName(2, bracket.rounds)}. We'll message you when your match opens.`;
+                message += `\n\nType *KNOCKOUT* any time to see where you stand.`;
+                await messagingService.sendMessage(phone, message)
+                    .catch(err => logger.error(`Could not tell user ${userId} about knockout seeding:`, err.message));
+            }
+        }
+    }
+
+    // ============================================
+    // MATCHES
+    // ============================================
+
+    async poll() {
+        try {
+            await this.ensureSchema();
+            // Settles knockout duels whose window has closed (and any
+            // ordinary duel that is overdue).
+            await duelService.expireStale();
+
+            const due = await pool.query(`
+                SELECT m.id
+                FROM knockout_matches m
+                JOIN knockout_brackets b ON b.id = m.bracket_id
+                WHERE b.status = 'running' AND m.status = 'ready'
+                  AND b.first_round_at + make_interval(hours => (m.round - 1) * b.round_interval_hours) <= NOW()
+                ORDER BY m.round, m.position
+            `);
+            for (const row of due.rows) {
+                await this._openMatch(row.id).catch(error => logger.error(`Error opening knockout match ${row.id}:`, error));
+            }
+        } catch (error) {
+            logger.error('Error polling knockout brackets:', error);
+        }
+    }
+
+    /**
+     * Start a ready match: create its duel and tell both players. A match
+     * opened late (a replay, or a dispute that held the round up) still
+     * gets a full window.
+     */
+    async _openMatch(matchId, { replay = false } = {}) {
+        const client = await pool.connect();
+        let match;
+        try {
+            await client.query('BEGIN');
+            const claimed = await client.query(`
+                UPDATE knockout_matches m
+                SET status = 'open', opened_at = NOW(),
+                    closes_at = CASE
+                        WHEN b.first_round_at + make_interval(hours => (m.round - 1) * b.round_interval_hours + b.round_window_hours) > NOW() + INTERVAL '1 hour'
+                        THEN b.first_round_at + make_interval(hours => (m.round - 1) * b.round_interval_hours + b.round_window_hours)
+                        ELSE NOW() + make_interval(hours => b.round_window_hours)
+                    END
+                FROM knockout_brackets b
+                WHERE m.id = $1 AND b.id = m.bracket_id AND m.status = 'ready' AND b.status = 'running'
+                RETURNING m.*, b.game_format
+            `, [matchId]);
+            if (!claimed.rows.length) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+            match = claimed.rows[0];
+
+            const duel = await client.query(`
+                INSERT INTO duels (challenger_id, opponent_id, status, game_format, accepted_at, expires_at, knockout_match_id)
+                VALUES ($1, $2, 'accepted', $3, NOW(), $4, $5)
+                RETURNING id
+            `, [match.player1_id, match.player2_id, JSON.stringify(match.game_format), match.closes_at, match.id]);
+            await client.query('UPDATE knockout_matches SET duel_id = $1 WHERE id = $2', [duel.rows[0].id, match.id]);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        const bracket = await this._getBracketById(match.bracket_id);
+        const [m] = (await this._matchesWithNames(match.bracket_id, match.round)).filter(x => x.id === match.id);
+        const total = gameFormats.length(gameFormats.forSession({ game_format: match.game_format }));
+        logger.info(`🥊 Knockout match ${match.id} open: ${match.player1_id} v ${match.player2_id}, closes ${new Date(match.closes_at).toISOString()}`);
+
+        for (const [phone, seed, oppName, oppSeed] of [[m.p1_phone, m.seed1, m.p2_name, m.seed2], [m.p2_phone, m.seed2, m.p1_name, m.seed1]]) {
+            let message = `🥊 *KNOCKOUT — ${roundName(match.round, bracket.rounds).toUpperCase()}* 🥊\n\n`;
+            if (replay) message += `🔁 This match is being replayed.\n\n`;
+            message += `*${bracket.tournament_name}*\n`;
+            message += `You (seed #${seed}) vs *${oppName}* (seed #${oppSeed})\n\n`;
+            message += `You'll both face the same ${total} questions. Most correct answers goes through — if it's level, the faster player.\n\n`;
+            message += `Reply *KNOCKOUT PLAY* when you're ready.\n`;
+            message += `⏳ Play before ${formatWhen(match.closes_at)} or you forfeit.`;
+            await messagingService.sendMessage(phone, message)
+                .catch(err => logger.error(`Could not send knockout match ${match.id} notice:`, err.message));
+        }
+        return match;
+    }
+
+    /**
+     * Called by duelService.settle() for a knockout duel, once both rounds
+     * are in or the window has closed.
+     */
+    async onDuelSettled(duel) {
+        await this.ensureSchema();
+        const found = await pool.query('SELECT * FROM knockout_matches WHERE id = $1', [duel.knockout_match_id]);
+        const match = found.rows[0];
+        // A replayed or awarded match has moved on from this duel.
+        if (!match || match.status !== 'open' || match.duel_id !== duel.id) return;
+
+        const p1 = duel.challenger_id === match.player1_id ? duel.challenger_correct : duel.opponent_correct;
+        const p2 = duel.challenger_id === match.player1_id ? duel.opponent_correct : duel.challenger_correct;
+        const higherSeed = match.seed1 <= match.seed2 ? match.player1_id : match.player2_id;
+
+        let winnerId = duel.winner_id;
+        let result = 'played';
+        let review = false;
+        if (p1 === null && p2 === null) {
+            winnerId = higherSeed;
+            result = 'no_show';
+            review = true;
+        } else if (p1 === null || p2 === null) {
+            result = 'forfeit';
+        } else if (!winnerId) {
+            winnerId = higherSeed;
+            result = 'tiebreak';
+        }
+        await this._finish(match, winnerId, result, { review });
+    }
+
+    /**
+     * Record the winner, tell both players and move the winner on.
+     * overturn lets an admin replace a result already recorded.
+     */
+    async _finish(match, winnerId, result, { review = false, note = null, overturn = false } = {}) {
+        const done = await pool.query(`
+            UPDATE knockout_matches
+            SET status = 'done', winner_id = $2, result = $3, needs_review = $4,
+                note = COALESCE($5, note), completed_at = NOW()
+            WHERE id = $1 AND (status <> 'done' OR $6)
+            RETURNING *
+        `, [match.id, winnerId, result, review, note, overturn]);
+        if (!done.rows.length) return;
+        const finished = done.rows[0];
+        const bracket = await this._getBracketById(finished.bracket_id);
+
+        logger.info(`🥊 Knockout match ${finished.id} (${roundName(finished.round, bracket.rounds)}) → ${winnerId} [${result}]`);
+
+        await this._notifyResult(bracket, finished);
+        await this._advance(bracket, finished);
+    }
+
+    async _notifyResult(bracket, match) {
+        const [m] = (await this._matchesWithNames(match.bracket_id, match.round)).filter(x => x.id === match.id);
+        if (!m || !m.player2_id) return;
+
+        const line = (name, correct, timeMs) => correct === null || correct === undefined
+            ? `${name}: did not play`
+            : `${name}: ${correct} correct · ${((parseInt(timeMs) || 0) / 1000).toFixed(1)}s`;
+        const board = m.duel_id && match.result !== 'awarded'
+            ? `${line(m.p1_name, m.p1_correct, m.p1_time_ms)}\n${line(m.p2_name, m.p2_correct, m.p2_time_ms)}\n\n`
+            : '';
+        const reasons = {
+            tiebreak: `Level on answers and time — the higher seed goes through.`,
+            forfeit: `Only one player played before the match closed.`,
+            no_show: `Neither player played before the match closed — the higher seed goes through.`,
+            awarded: `Decided by the tournament team${match.note ? `: ${match.note}` : '.'}`
+        };
+        const reason = reasons[match.result] ? `${reasons[match.result]}\n\n` : '';
+        const isFinal = match.round === bracket.rounds;
+
+        for (const [userId, phone] of [[m.player1_id, m.p1_phone], [m.player2_id, m.p2_phone]]) {
+            const won = userId === match.winner_id;
+            // The champion hears from _complete().
+            if (won && isFinal) continue;
+            let message = `🥊 *KNOCKOUT RESULT — ${roundName(match.round, bracket.rounds).toUpperCase()}* 🥊\n\n`;
+            if (won) {
+                message += `✅ *You're through to the ${roundName(match.round + 1, bracket.rounds)}!*\n\n${board}${reason}`;
+                message += `We'll message you when your next match opens. Type *KNOCKOUT* to see the bracket.`;
+            } else {
+                message += isFinal ? `🥈 *Runner-up!* So close.\n\n` : `❌ *You're out this time.*\n\n`;
+                message += `${board}${reason}`;
+                message += `Thanks for playing *${bracket.tournament_name}* — prizes are paid as soon as the final is decided.`;
+            }
+            await messagingService.sendMessage(phone, message)
+                .catch(err => logger.error(`Could not send knockout result to ${userId}:`, err.message));
+        }
+    }
+
+    async _advance(bracket, match) {
+        if (match.round === bracket.rounds) {
+            await this._complete(bracket, match.winner_id);
+            return;
+        }
+        const slot = match.position % 2 === 0 ? 1 : 2;
+        const other = slot === 1 ? 2 : 1;
+        const seed = match.winner_id === match.player1_id ? match.seed1 : match.seed2;
+        await pool.query(`
+            UPDATE knockout_matches
+            SET player${slot}_id = $1, seed${slot} = $2,
+                status = CASE WHEN player${other}_id IS NOT NULL THEN 'ready' ELSE 'waiting' END
+            WHERE bracket_id = $3 AND round = $4 AND position = $5 AND status IN ('waiting', 'ready')
+        `, [match.winner_id, seed, match.bracket_id, match.round + 1, Math.floor(match.position / 2)]);
+    }
+
+    async _complete(bracket, championId) {
+        const done = await pool.query(`
+            UPDATE knockout_brackets SET status = 'completed', champion_id = $2, completed_at = NOW()
+            WHERE id = $1 AND status = 'running'
+            RETURNING *
+        `, [bracket.id, championId]);
+        if (!done.rows.length) return;
+        logger.info(`🥊 Knockout ${bracket.id} won by user ${championId}`);
+
+        const champion = await pool.query('SELECT phone_number FROM users WHERE id = $1', [championId]);
+        if (champion.rows.length) {
+            await messagingService.sendMessage(champion.rows[0].phone_number,
+                `🏆 *KNOCKOUT CHAMPION!* 🏆\n\nYou won the final of *${bracket.tournament_name}* — ` +
+                `${bracket.size} players, ${bracket.rounds} rounds, and you're the last one standing!`
+            ).catch(err => logger.error(`Could not tell knockout champion ${championId}:`, err.message));
+        }
+
+        // Required here: tournament.service requires this file.
+        const TournamentService = require('./tournament.service');
+        const ended = await new TournamentService().endTournament(bracket.tournament_id);
+        if (!ended.success) {
+            logger.error(`🥊 Knockout ${bracket.id} finished but tournament ${bracket.tournament_id} did not end: ${ended.error}`);
+        }
+    }
+
+    /**
+     * Prize order for a tournament with a bracket, or null when it has
+     * none. order is null while the bracket is still running.
+     * @returns {{ bracket: object, order: number[]|null }|null}
+     */
+    async finishingOrder(tournamentId) {
+        await this.ensureSchema();
+        const found = await pool.query(`
+            SELECT * FROM knockout_brackets
+            WHERE tournament_id = $1 AND status <> 'cancelled'
+            ORDER BY id DESC LIMIT 1
+        `, [tournamentId]);
+        const bracket = found.rows[0];
+        if (!bracket) return null;
+        if (bracket.status !== 'completed') return { bracket, order: null };
+
+        const matches = await pool.query(
+            `SELECT * FROM knockout_matches WHERE bracket_id = $1 AND status = 'done' ORDER BY round DESC`,
+            [bracket.id]
+        );
+        const order = [bracket.champion_id];
+        for (let round = bracket.rounds; round >= 1; round--) {
+            matches.rows
+                .filter(m => m.round === round && m.player2_id)
+                .map(m => m.winner_id === m.player1_id
+                    ? { userId: m.player2_id, seed: m.seed2 }
+                    : { userId: m.player1_id, seed: m.seed1 })
+                .sort((a, b) => a.seed - b.seed)
+                .forEach(loser => order.push(loser.userId));
+        }
+        return { bracket, order };
+    }
+
+    // ============================================
+    // ADMIN
+    // ============================================
+
+    async _getBracketById(bracketId) {
+        const result = await pool.query(`
+            SELECT b.*, t.tournament_name
+            FROM knockout_brackets b JOIN tournaments t ON t.id = b.tournament_id
+            WHERE b.id = $1
+        `, [bracketId]);
+        return result.rows[0] || null;
+    }
+
+    async _matchesWithNames(bracketId, round = null) {
+        const result = await pool.query(`
+            SELECT m.*,
+                   u1.username AS p1_name, u1.phone_number AS p1_phone,
+                   u2.username AS p2_name, u2.phone_number AS p2_phone,
+                   CASE WHEN d.challenger_id = m.player1_id THEN d.challenger_correct ELSE d.opponent_correct END AS p1_correct,
+                   CASE WHEN d.challenger_id = m.player1_id THEN d.challenger_time_ms ELSE d.opponent_time_ms END AS p1_time_ms,
+                   CASE WHEN d.challenger_id = m.player1_id THEN d.opponent_correct ELSE d.challenger_correct END AS p2_correct,
+                   CASE WHEN d.challenger_id = m.player1_id THEN d.opponent_time_ms ELSE d.challenger_time_ms END AS p2_time_ms
+            FROM knockout_matches m
+            LEFT JOIN users u1 ON u1.id = m.player1_id
+            LEFT JOIN users u2 ON u2.id = m.player2_id
+            LEFT JOIN duels d ON d.id = m.duel_id
+            WHERE m.bracket_id = $1 AND ($2::int IS NULL OR m.round = $2)
+            ORDER BY m.round, m.position
+        `, [bracketId, round]);
+        return result.rows;
+    }
+
+    /** The live (or finished) bracket of a tournament, with every match. */
+    async getBracket(tournamentId) {
+        await this.ensureSchema();
+        const found = await pool.query(`
+            SELECT id FROM knockout_brackets
+            WHERE tournament_id = $1 AND status <> 'cancelled'
+            ORDER BY id DESC LIMIT 1
+        `, [tournamentId]);
+        if (!found.rows.length) return null;
+        const bracket = await this._getBracketById(found.rows[0].id);
+        const matches = await this._matchesWithNames(bracket.id);
+
+        const rounds = [];
+        for (let round = 1; round <= bracket.rounds; round++) {
+            rounds.push({
+                round,
+                name: roundName(round, bracket.rounds),
+                startsAt: new Date(new Date(bracket.first_round_at).getTime() + (round - 1) * bracket.round_interval_hours * 3600000),
+                matches: matches.filter(m => m.round === round).map(m => ({
+                    id: m.id, position: m.position, status: m.status, result: m.result,
+                    needsReview: m.needs_review, note: m.note,
+                    openedAt: m.opened_at, closesAt: m.closes_at, completedAt: m.completed_at,
+                    winnerId: m.winner_id,
+                    player1: m.player1_id ? { id: m.player1_id, username: m.p1_name, seed: m.seed1, correct: m.p1_correct, timeMs: m.p1_time_ms } : null,
+                    player2: m.player2_id ? { id: m.player2_id, username: m.p2_name, seed: m.seed2, correct: m.p2_correct, timeMs: m.p2_time_ms } : null
+                }))
+            });
+        }
+        return { bracket, rounds };
+    }
+
+    async _getMatch(matchId) {
+        const result = await pool.query(`
+            SELECT m.*, b.status AS bracket_status, b.rounds
+            FROM knockout_matches m JOIN knockout_brackets b ON b.id = m.bracket_id
+            WHERE m.id = $1
+        `, [matchId]);
+        return result.rows[0] || null;
+    }
+
+    // A recorded result can only change while the winner hasn't moved on.
+    async _lockedReason(match) {
+        if (match.bracket_status !== 'running') return 'The bracket is no longer running';
+        if (match.status !== 'done' || match.round === match.rounds) return null;
+        const next = await pool.query(
+            'SELECT status FROM knockout_matches WHERE bracket_id = $1 AND round = $2 AND position = $3',
+            [match.bracket_id, match.round + 1, Math.floor(match.position / 2)]
+        );
+        if (next.rows.length && ['open', 'done'].includes(next.rows[0].status)) {
+            return "The winner's next match has already opened";
+        }
+        return null;
+    }
+
+    // Take a result back out of the next round's match.
+    async _withdrawAdvance(match) {
+        if (match.round === match.rounds) return;
+        const slot = match.position % 2 === 0 ? 1 : 2;
+        await pool.query(`
+            UPDATE knockout_matches
+            SET player${slot}_id = NULL, seed${slot} = NULL, status = 'waiting'
+            WHERE bracket_id = $1 AND round = $2 AND position = $3 AND status IN ('waiting', 'ready')
+        `, [match.bracket_id, match.round + 1, Math.floor(match.position / 2)]);
+    }
+
+    async _cancelDuel(duelId) {
+        if (!duelId) return;
+        await pool.query(`
+            UPDATE duels SET status = 'cancelled', completed_at = NOW()
+            WHERE id = $1 AND status IN ('pending', 'accepted')
+        `, [duelId]);
+    }
+
+    /** Settle a match by hand — a dispute, a no-show, a result to correct. */
+    async awardMatch(matchId, winnerId, note, adminUsername) {
+        await this.ensureSchema();
+        const match = await this._getMatch(matchId);
+        if (!match) return { success: false, error: 'Match not found' };
+        if (!match.player1_id || !match.player2_id) return { success: false, error: 'Both players are not known yet' };
+        if (![match.player1_id, match.player2_id].includes(parseInt(winnerId))) return { success: false, error: 'Pick one of the two players' };
+        const locked = await this._lockedReason(match);
+        if (locked) return { success: false, error: locked };
+
+        if (match.status === 'done') await this._withdrawAdvance(match);
+        if (match.status === 'open') await this._cancelDuel(match.duel_id);
+        await this._finish(match, parseInt(winnerId), 'awarded', { note: note || null, overturn: true });
+
+        logger.info(`🥊 Knockout match ${matchId} awarded to ${winnerId} by ${adminUsername}`);
+        return { success: true, match: await this._getMatch(matchId) };
+    }
+
+    /** Play a match again from scratch with a fresh window. */
+    async replayMatch(matchId, note, adminUsername) {
+        await this.ensureSchema();
+        const match = await this._getMatch(matchId);
+        if (!match) return { success: false, error: 'Match not found' };
+        if (!['open', 'done'].includes(match.status) || match.result === 'bye') {
+            return { success: false, error: 'Only a match that is being played or has been played can be replayed' };
+        }
+        const locked = await this._lockedReason(match);
+        if (locked) return { success: false, error: locked };
+
+        if (match.status === 'done') await this._withdrawAdvance(match);
+        await this._cancelDuel(match.duel_id);
+        await pool.query(`
+            UPDATE knockout_matches
+            SET status = 'ready', winner_id = NULL, result = NULL, needs_review = false, note = $2,
+                duel_id = NULL, opened_at = NULL, closes_at = NULL, completed_at = NULL
+            WHERE id = $1
+        `, [matchId, note || null]);
+        await this._openMatch(matchId, { replay: true });
+
+        logger.info(`🥊 Knockout match ${matchId} replayed by ${adminUsername}`);
+        return { success: true, match: await this._getMatch(matchId) };
+    }
+
+    /** Open every match that is ready now instead of at its round time. */
+    async openReadyNow(bracketId) {
+        await this.ensureSchema();
+        const ready = await pool.query(
+            `SELECT id FROM knockout_matches WHERE bracket_id = $1 AND status = 'ready' ORDER BY round, position`,
+            [bracketId]
+        );
+        let opened = 0;
+        for (const row of ready.rows) {
+            if (await this._openMatch(row.id)) opened++;
+        }
+        return { success: true, opened };
+    }
+
+    /**
+     * Stop a bracket. Running duels are called off; the tournament stays
+     * open for an admin to end on its leaderboard or seed again.
+     */
+    async cancel(bracketId, adminUsername) {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            UPDATE knockout_brackets SET status = 'cancelled', completed_at = NOW()
+            WHERE id = $1 AND status = 'running'
+            RETURNING *
+        `, [bracketId]);
+        if (!result.rows.length) return { success: false, error: 'Bracket not found or already finished' };
+        await pool.query(`
+            UPDATE duels SET status = 'cancelled', completed_at = NOW()
+            WHERE knockout_match_id IN (SELECT id FROM knockout_matches WHERE bracket_id = $1)
+              AND status IN ('pending', 'accepted')
+        `, [bracketId]);
+        logger.info(`🥊 Knockout ${bracketId} cancelled by ${adminUsername}`);
+        return { success: true, bracket: result.rows[0] };
+    }
+
+    // ============================================
+    // PLAYERS
+    // ============================================
+
+    // The player's latest match, in their most recent live bracket first.
+    async _playerMatch(userId) {
+        const result = await pool.query(`
+            SELECT m.id, m.bracket_id
+            FROM knockout_matches m
+            JOIN knockout_brackets b ON b.id = m.bracket_id
+            WHERE (m.player1_id = $1 OR m.player2_id = $1) AND b.status IN ('running', 'completed')
+            ORDER BY (b.status = 'running') DESC, b.id DESC, m.round DESC
+            LIMIT 1
+        `, [userId]);
+        if (!result.rows.length) return null;
+        const bracket = await this._getBracketById(result.rows[0].bracket_id);
+        const [match] = (await this._matchesWithNames(bracket.id)).filter(m => m.id === result.rows[0].id);
+        return { bracket, match };
+    }
+
+    /**
+     * What KNOCKOUT PLAY needs: the open duel to start a round on.
+     * @returns {{ ok: boolean, message?: string, duel?: object, opponentName?: string }}
+     */
+    async startMatch(user) {
+        await this.ensureSchema();
+        const found = await this._playerMatch(user.id);
+        if (!found || found.bracket.status !== 'running' || found.match.status !== 'open') {
+            const status = await this.describeForPlayer(user.id);
+            return { ok: false, message: status.message };
+        }
+        const duel = await duelService.getById(found.match.duel_id);
+        const side = duel.challenger_id === user.id ? 'challenger' : 'opponent';
+        if (duel[`${side}_session_id`] || duel[`${side}_correct`] !== null) {
+            return { ok: false, message: `✅ You've already played this match. We'll send the result once your opponent has played or the match closes.` };
+        }
+        const opponentName = found.match.player1_id === user.id ? found.match.p2_name : found.match.p1_name;
+        return { ok: true, duel, opponentName };
+    }
+
+    /** The KNOCKOUT reply: the player's current match and what happens next. */
+    async describeForPlayer(userId) {
+        await this.ensureSchema();
+        const found = await this._playerMatch(userId);
+        if (!found) {
+            return { message: `🥊 *KNOCKOUT* 🥊\n\nYou're not in a knockout bracket right now. Qualify by playing a knockout tournament — type TOURNAMENT to see what's on.` };
+        }
+        const { bracket, match } = found;
+        const me = match.player1_id === userId ? 1 : 2;
+        const seed = me === 1 ? match.seed1 : match.seed2;
+        const opponent = me === 1 ? match.p2_name : match.p1_name;
+        const round = roundName(match.round, bracket.rounds);
+
+        let message = `🥊 *KNOCKOUT* 🥊\n\n*${bracket.tournament_name}*\nYou're seed #${seed}.\n\n`;
+        if (bracket.status === 'completed') {
+            message += bracket.champion_id === userId
+                ? `🏆 You won the whole thing — champion!`
+                : `The bracket is finished. You went out in the ${round}.`;
+        } else if (match.status === 'open') {
+            message += `*${round}* vs *${opponent}* — open now.\n\nReply *KNOCKOUT PLAY* to play your round.\n⏳ Closes ${formatWhen(match.closes_at)}.`;
+        } else if (match.status === 'ready') {
+            const startsAt = new Date(new Date(bracket.first_round_at).getTime() + (match.round - 1) * bracket.round_interval_hours * 3600000);
+            message += `*${round}* vs *${opponent}* — opens ${formatWhen(startsAt)}.`;
+        } else if (match.status === 'waiting') {
+            message += `You're through to the *${round}*. Your opponent is still being decided.`;
+        } else if (match.winner_id === userId) {
+            message += `You won your ${round} match. Next round coming up.`;
+        } else {
+            message += `You went out in the ${round}. Thanks for playing!`;
+        }
+        return { message, bracketId: bracket.id, tournamentId: bracket.tournament_id };
+    }
+
+    /**
+     * Render the bracket as an image. Returns the file path.
+     * ImageService is required here so the canvas library only loads when
+     * a bracket is actually drawn.
+     */
+    async renderImage(tournamentId) {
+        const data = await this.getBracket(tournamentId);
+        if (!data) return null;
+        const ImageService = require('./image.service');
+        const imageService = new ImageService();
+        // Only clears cards older than an hour, so this one is safe.
+        imageService.cleanupTempFiles();
+        const side = (p, winnerId) => p
+            ? { name: p.username, seed: p.seed, won: winnerId === p.id, score: p.correct !== null && p.correct !== undefined ? String(p.correct) : '' }
+            : null;
+        return imageService.generateBracketImage({
+            title: data.bracket.tournament_name,
+            subtitle: data.bracket.status === 'completed'
+                ? 'Knockout — final result'
+                : `Knockout — ${data.bracket.size}-player bracket`,
+            rounds: data.rounds.map(r => ({
+                name: r.name,
+                matches: r.matches.map(m => ({
+                    p1: side(m.player1, m.winnerId),
+                    p2: m.result === 'bye' ? { name: 'bye', seed: null, won: false, score: '' } : side(m.player2, m.winnerId),
+                    live: m.status === 'open'
+                }))
+            })),
+            footer: 'Type KNOCKOUT in chat for your next match'
+        });
+    }
+}
+
+module.exports = new KnockoutService();
@@ -0,0 +1,125 @@
+// ============================================
+// FILE: src/services/kyc-storage.service.js
+// Where KYC documents (ID photos, selfies) are kept.
+//
+// EXPORT SHAPE: exports an INSTANCE (like cloudinary.service.js).
+//   const kycStorage = require('./kyc-storage.service');
+//
+// Backends are registered in this.backends, the same way
+// payment-gateway-manager.js registers gateways. Each one implements:
+//   save(buffer, { userId, kind, ext })  → ref string
+//   open(ref)  → { redirect: url } or { buffer, contentType }
+// A ref is '<backend>:<key>' and is what kyc_verifications stores, so a
+// document is always read back from the backend that wrote it, even after
+// KYC_STORAGE changes.
+//
+// KYC_STORAGE picks where new documents go: 'cloudinary' or 'local'.
+// Unset, Cloudinary is used when CLOUDINARY_URL is configured, otherwise
+// local disk (KYC_UPLOAD_DIR, default src/uploads/kyc — not served
+// statically). Nothing here is ever publicly readable: Cloudinary uploads
+// are 'authenticated' and reviewers get short-lived signed links.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cloudinaryService = require('./cloudinary.service');
+const { logger } = require('../utils/logger');
+
+const CONTENT_TYPES = { jpg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+class LocalKycStorage {
+    constructor() {
+        this.dir = process.env.KYC_UPLOAD_DIR || path.join(__dirname, '../uploads/kyc');
+    }
+
+    get available() {
+        return true;
+    }
+
+    async save(buffer, { userId, kind, ext }) {
+        const key = `${parseInt(userId)}/${kind}_${Date.now()}_${crypto.randomBytes(6).toString('hex')}.${ext}`;
+        const file = path.join(this.dir, key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer, { mode: 0o600 });
+        return key;
+    }
+
+    async open(key) {
+        const file = path.resolve(this.dir, key);
+        if (!file.startsWith(path.resolve(this.dir) + path.sep)) throw new Error('Invalid document path');
+        const buffer = await fs.promises.readFile(file);
+        return { buffer, contentType: CONTENT_TYPES[path.extname(file).slice(1)] || 'application/octet-stream' };
+    }
+}
+
+class CloudinaryKycStorage {
+    get available() {
+        return cloudinaryService.isConfigured;
+    }
+
+    async save(buffer, { userId, kind }) {
+        const upload = await cloudinaryService.uploadPrivate(buffer, {
+            folder: `whatsup-trivia/kyc/${parseInt(userId)}`,
+            publicId: `${kind}_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`
+        });
+        return `${upload.publicId}.${upload.format}`;
+    }
+
+    async open(key) {
+        const dot = key.lastIndexOf('.');
+        return { redirect: cloudinaryService.privateUrl(key.slice(0, dot), key.slice(dot + 1)) };
+    }
+}
+
+class KycStorageService {
+    constructor() {
+        this.backends = {
+            local: new LocalKycStorage(),
+            cloudinary: new CloudinaryKycStorage()
+        };
+    }
+
+    /** The backend new documents are written to. */
+    get current() {
+        const wanted = process.env.KYC_STORAGE || (this.backends.cloudinary.available ? 'cloudinary' : 'local');
+        if (!this.backends[wanted]) throw new Error(`Unknown KYC_STORAGE backend: ${wanted}`);
+        return wanted;
+    }
+
+    /** jpg / png / webp from the file's own bytes, or null if it isn't an image we accept. */
+    detectImageType(buffer) {
+        if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+        if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpg';
+        if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+        if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+        return null;
+    }
+
+    /** Returns the ref to store; throws if the backend fails. */
+    async save(buffer, { userId, kind }) {
+        const ext = this.detectImageType(buffer);
+        if (!ext) throw new Error('Not a JPEG, PNG or WebP image');
+
+        const backend = this.current;
+        const key = await this.backends[backend].save(buffer, { userId, kind, ext });
+        logger.info(`🪪 KYC ${kind} stored for user ${userId} (${backend})`);
+        return `${backend}:${key}`;
+    }
+
+    /**
+     * Resolve a stored ref for a reviewer. Rows written before documents
+     * were stored hold a plain URL; those are passed through as-is.
+     */
+    async open(ref) {
+        if (!ref) return null;
+        if (/^https?:\/\//.test(ref)) return { redirect: ref };
+
+        const colon = ref.indexOf(':');
+        const backend = this.backends[ref.slice(0, colon)];
+        if (colon === -1 || !backend) throw new Error('Unknown document storage');
+        return backend.open(ref.slice(colon + 1));
+    }
+}
+
+module.exports = new KycStorageService();
@@ -1,16 +1,101 @@
 // ============================================
 // FILE: src/services/kyc.service.js
 // Handles: KYC verification workflow
-// Trigger: Daily cumulative winnings >= ₦20,000
+// Trigger: Daily cumulative winnings >= ₦20,000 (checked after every win
+// and again at claim time)
+//
+// Players reply VERIFY and the chat flow in webhook.controller.js collects
+// the ID type and number, their BVN, a photo of the ID and a selfie holding
+// it. Web uploads the photos through POST /web/game/kyc. Images are kept by
+// kyc-storage.service.js; id_image_url / selfie_image_url hold its refs,
+// not public URLs. Claims stay blocked until a reviewer approves.
 // ============================================
 
 const pool = require('../config/database');
+const kycStorage = require('./kyc-storage.service');
 const { logger } = require('../utils/logger');
+const { getTranslations } = require('../config/i18n');
+
+// Accepted numbers per ID type, checked after spaces and dashes are removed
+const ID_FORMATS = {
+    nin:             { pattern: /^\d{11}$/,                hint: '11 digits' },
+    voters_card:     { pattern: /^[A-Z0-9]{19}$/,           hint: 'the 19-character VIN' },
+    drivers_license: { pattern: /^[A-Z]{3}[A-Z0-9]{7,12}$/, hint: 'e.g. ABC12345AA12' },
+    passport:        { pattern: /^[A-Z]\d{8}$/,             hint: 'one letter and 8 digits, e.g. A12345678' },
+    national_id:     { pattern: /^\d{11}$/,                hint: '11 digits' }
+};
+
+// Every BVN is 11 digits and, so far, starts with 22
+const BVN_PATTERN = /^22\d{9}$/;
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const MIN_IMAGE_BYTES = 10 * 1024;
 
 class KYCService {
     constructor() {
         this.KYC_THRESHOLD = parseInt(process.env.KYC_THRESHOLD) || 20000;
         this.VALID_ID_TYPES = ['nin', 'voters_card', 'drivers_license', 'passport', 'national_id'];
+        this.ID_TYPE_LABELS = {
+            nin: 'NIN slip / card',
+            voters_card: "Voter's card",
+            drivers_license: "Driver's licence",
+            passport: 'International passport',
+            national_id: 'National ID card'
+        };
+        this._schemaReady = false;
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS kyc_verifications (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id),
+                trigger_reason VARCHAR(100),
+                trigger_amount DECIMAL(12,2),
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                id_type VARCHAR(30),
+                id_number VARCHAR(50),
+                id_image_url TEXT,
+                selfie_image_url TEXT,
+                submitted_at TIMESTAMP,
+                reviewed_at TIMESTAMP,
+                reviewed_by INTEGER,
+                notes TEXT,
+                rejection_reason TEXT,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        await pool.query(`ALTER TABLE kyc_verifications ADD COLUMN IF NOT EXISTS bvn VARCHAR(11)`);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_kyc_verifications_user ON kyc_verifications(user_id, created_at DESC)`);
+        await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS kyc_status VARCHAR(20)`);
+        await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS is_kyc_blocked BOOLEAN DEFAULT false`);
+        await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS kyc_verified_at TIMESTAMP`);
+        this._schemaReady = true;
+    }
+    
+    // ============================================
+    // FORMAT VALIDATION
+    // ============================================
+    
+    /** { valid, value } with the number normalised, or { valid: false, error }. */
+    validateIdNumber(idType, raw) {
+        const format = ID_FORMATS[idType];
+        if (!format) return { valid: false, error: 'Invalid ID type' };
+        const value = String(raw || '').toUpperCase().replace(/[\s-]/g, '');
+        if (!format.pattern.test(value)) {
+            return { valid: false, error: `That doesn't look like a valid ${this.ID_TYPE_LABELS[idType]} number — it should be ${format.hint}.` };
+        }
+        return { valid: true, value };
+    }
+    
+    validateBvn(raw) {
+        const value = String(raw || '').replace(/[\s-]/g, '');
+        if (!BVN_PATTERN.test(value)) {
+            return { valid: false, error: "That doesn't look like a BVN — it's 11 digits and starts with 22. Dial *565*0# to see yours." };
+        }
+        return { valid: true, value };
     }
     
     // ============================================
@@ -19,6 +104,7 @@ class KYCService {
     
     async checkKYCRequired(userId) {
         try {
+            await this.ensureSchema();
             // Get user's KYC status
             const userResult = await pool.query(`
                 SELECT kyc_status, is_kyc_blocked FROM users WHERE id = $1
@@ -74,8 +160,8 @@ class KYCService {
                 SELECT COALESCE(SUM(amount), 0) as total
                 FROM transactions
                 WHERE user_id = $1
-                AND transaction_type = 'prize'
-                AND payment_status = 'success'
+                AND transaction_type IN ('prize', 'tournament_prize')
+                AND COALESCE(payout_status, 'pending') <> 'cancelled'
                 AND DATE(created_at) = CURRENT_DATE
             `, [userId]);
             
@@ -92,6 +178,7 @@ class KYCService {
     
     async triggerKYCRequirement(userId, triggerReason, triggerAmount) {
         try {
+            await this.ensureSchema();
             // Check if there's already a pending KYC
             const existingKYC = await pool.query(`
                 SELECT id, status FROM kyc_verifications
@@ -127,19 +214,43 @@ class KYCService {
         }
     }
     
+    /**
+     * Called after every prize. Crossing the daily threshold opens a KYC
+     * requirement straight away, so the player hears about it while the
+     * win is fresh rather than at claim time.
+     */
+    async checkAfterWin(userId, { notify = true } = {}) {
+        const check = await this.checkKYCRequired(userId);
+        if (check.status !== 'threshold_exceeded') return null;
+        const result = await this.triggerKYCRequirement(userId, 'daily_winnings_threshold', check.dailyWinnings);
+        if (notify && result.success && !result.existing) {
+            await this._notify(userId, check.message);
+        }
+        return result;
+    }
+    
     // ============================================
     // SUBMIT KYC DOCUMENTS
     // ============================================
     
     async submitKYCDocuments(userId, documents) {
         try {
-            const { idType, idNumber, idImageUrl, selfieImageUrl } = documents;
+            await this.ensureSchema();
+            const { idType, idImageUrl, selfieImageUrl } = documents;
             
             // Validate ID type
             if (!this.VALID_ID_TYPES.includes(idType)) {
                 return { success: false, error: 'Invalid ID type' };
             }
             
+            const idNumber = this.validateIdNumber(idType, documents.idNumber);
+            if (!idNumber.valid) return { success: false, error: idNumber.error };
+            const bvn = this.validateBvn(documents.bvn);
+            if (!bvn.valid) return { success: false, error: bvn.error };
+            if (!idImageUrl || !selfieImageUrl) {
+                return { success: false, error: 'Both the ID photo and the selfie are required' };
+            }
+            
             // Get pending KYC
             const kycResult = await pool.query(`
                 SELECT id FROM kyc_verifications
@@ -157,9 +268,9 @@ class KYCService {
             await pool.query(`
                 UPDATE kyc_verifications
                 SET id_type = $1, id_number = $2, id_image_url = $3, 
-                    selfie_image_url = $4, status = 'submitted', submitted_at = NOW()
-                WHERE id = $5
-            `, [idType, idNumber, idImageUrl, selfieImageUrl, kycId]);
+                    selfie_image_url = $4, bvn = $5, status = 'submitted', submitted_at = NOW()
+                WHERE id = $6
+            `, [idType, idNumber.value, idImageUrl, selfieImageUrl, bvn.value, kycId]);
             
             // Update user status
             await pool.query(`
@@ -207,6 +318,7 @@ class KYCService {
             `, [userId]);
             
             logger.info(`KYC approved for user ${userId} by admin ${adminId}`);
+            await this._notify(userId, this.getKYCApprovedMessage());
             
             return { success: true, userId };
         } catch (error) {
@@ -252,6 +364,7 @@ class KYCService {
             `, [userId]);
             
             logger.info(`KYC rejected for user ${userId} by admin ${adminId}: ${rejectionReason}`);
+            await this._notify(userId, this.getKYCRejectedMessage(rejectionReason));
             
             return { success: true, userId };
         } catch (error) {
@@ -266,6 +379,7 @@ class KYCService {
     
     async getKYCStatus(userId) {
         try {
+            await this.ensureSchema();
             const result = await pool.query(`
                 SELECT kv.*, u.kyc_status as user_kyc_status, u.is_kyc_blocked
                 FROM kyc_verifications kv
@@ -292,6 +406,7 @@ class KYCService {
     
     async getPendingKYCReviews() {
         try {
+            await this.ensureSchema();
             const result = await pool.query(`
                 SELECT kv.*, u.username, u.full_name, u.phone_number, u.city,
                        (SELECT COALESCE(SUM(amount), 0) FROM transactions 
@@ -315,6 +430,7 @@ class KYCService {
     
     async getAllKYCRecords(status = null, limit = 50, offset = 0) {
         try {
+            await this.ensureSchema();
             let query = `
                 SELECT kv.*, u.username, u.full_name, u.phone_number
                 FROM kyc_verifications kv
@@ -340,6 +456,43 @@ class KYCService {
         }
     }
     
+    // ============================================
+    // GET ONE SUBMISSION FOR REVIEW (Admin)
+    // The document and selfie next to the player's in-game verification
+    // selfies (photo_verifications), so a reviewer can compare faces.
+    // ============================================
+    
+    async getReview(kycId) {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT kv.*, u.username, u.full_name, u.phone_number, u.platform, u.email, u.city,
+                   u.kyc_status as user_kyc_status, u.is_kyc_blocked
+            FROM kyc_verifications kv
+            JOIN users u ON kv.user_id = u.id
+            WHERE kv.id = $1
+        `, [kycId]);
+        if (!result.rows.length) return null;
+        
+        const selfies = await pool.query(`
+            SELECT id, image_url, passed, challenge_type, failure_reason, responded_at
+            FROM photo_verifications
+            WHERE user_id = $1 AND image_url IS NOT NULL
+            ORDER BY responded_at DESC NULLS LAST
+            LIMIT 8
+        `, [result.rows[0].user_id]);
+        
+        return { kyc: result.rows[0], gameSelfies: selfies.rows };
+    }
+    
+    /** For the admin image route: the stored document, wherever it lives. */
+    async openDocument(kycId, kind) {
+        await this.ensureSchema();
+        const column = kind === 'selfie' ? 'selfie_image_url' : 'id_image_url';
+        const result = await pool.query(`SELECT ${column} AS ref FROM kyc_verifications WHERE id = $1`, [kycId]);
+        if (!result.rows.length || !result.rows[0].ref) return null;
+        return kycStorage.open(result.rows[0].ref);
+    }
+    
     // ============================================
     // MESSAGE TEMPLATES
     // ============================================
@@ -352,7 +505,7 @@ class KYCService {
                `Please provide:\n` +
                `1️⃣ Photo of valid ID (NIN, Voter's Card, Driver's License, or Passport)\n` +
                `2️⃣ A selfie holding your ID\n\n` +
-               `Send these images to complete verification.\n\n` +
+               `Reply *VERIFY* to start — it takes about two minutes.\n\n` +
                `_Your winnings are safe and will be released once verified._`;
     }
     
@@ -362,16 +515,13 @@ class KYCService {
                `Please submit:\n` +
                `1️⃣ Photo of valid ID\n` +
                `2️⃣ Selfie holding your ID\n\n` +
-               `Send these images to proceed.\n\n` +
+               `Reply *VERIFY* to start.\n\n` +
                `_You can continue playing, but cannot claim until verified._`;
     }
     
-    getKYCSubmittedMessage() {
-        return `✅ *DOCUMENTS RECEIVED* ✅\n\n` +
-               `Thank you for submitting your verification documents.\n\n` +
-               `Our team will review them within 24 hours.\n\n` +
-               `You will be notified once verification is complete.\n\n` +
-               `_You can continue playing while we verify._`;
+    // `t` is the player's catalogue (languageService.forUser); English by default
+    getKYCSubmittedMessage(t = getTranslations()) {
+        return t.kyc_submitted;
     }
     
     getKYCApprovedMessage() {
@@ -388,15 +538,27 @@ class KYCService {
                `Please submit new, clear photos of:\n` +
                `1️⃣ Your valid ID\n` +
                `2️⃣ Selfie holding your ID\n\n` +
+               `Reply *VERIFY* to send them.\n\n` +
                `_Make sure the images are clear and all details are visible._`;
     }
     
+    getKYCUnderReviewMessage(t = getTranslations()) {
+        return t.kyc_under_review;
+    }
+    
     // ============================================
     // CHECK IF USER CAN CLAIM
+    // Blocks until a reviewer has approved. Also opens a requirement if
+    // today's winnings crossed the threshold and nothing caught it yet.
     // ============================================
     
     async canUserClaim(userId) {
         try {
+            await this.ensureSchema();
+            if (!(await this.isApproved(userId))) {
+                await this.checkAfterWin(userId, { notify: false });
+            }
+            
             const user = await pool.query(`
                 SELECT is_kyc_blocked, kyc_status FROM users WHERE id = $1
             `, [userId]);
@@ -405,38 +567,70 @@ class KYCService {
                 return { canClaim: false, reason: 'user_not_found' };
             }
             
-            if (user.rows[0].is_kyc_blocked) {
-                return { 
-                    canClaim: false, 
-                    reason: 'kyc_required',
-                    message: this.getKYCBlockedMessage()
-                };
+            const { is_kyc_blocked, kyc_status } = user.rows[0];
+            if (kyc_status === 'approved' || !is_kyc_blocked) {
+                return { canClaim: true };
             }
             
-            return { canClaim: true };
+            return { 
+                canClaim: false, 
+                reason: kyc_status === 'submitted' ? 'kyc_under_review' : 'kyc_required',
+                status: kyc_status,
+                message: kyc_status === 'submitted' ? this.getKYCUnderReviewMessage() : this.getKYCBlockedMessage()
+            };
         } catch (error) {
+            // Fail closed: an unverified claim is worse than a retry
             logger.error('Error checking if user can claim:', error);
-            return { canClaim: true }; // Default to allow in case of error
+            return {
+                canClaim: false,
+                reason: 'kyc_check_failed',
+                message: '⚠️ We couldn\'t check your verification just now. Please try CLAIM again in a minute.'
+            };
         }
     }
     
+    async isApproved(userId) {
+        const result = await pool.query('SELECT kyc_status FROM users WHERE id = $1', [userId]);
+        return result.rows.length > 0 && result.rows[0].kyc_status === 'approved';
+    }
+    
     // ============================================
-    // PROCESS IMAGE UPLOAD (Placeholder)
+    // STORE A DOCUMENT IMAGE
+    // kind: 'id' or 'selfie'. Returns { success, ref } — the ref goes into
+    // submitKYCDocuments as idImageUrl / selfieImageUrl — or { success: false,
+    // reason, error }, reason keying the player's kyc_image_errors message.
     // ============================================
     
     async processImageUpload(userId, imageBuffer, imageType) {
-        // In production, you would:
-        // 1. Upload to cloud storage (S3, Cloudinary, etc.)
-        // 2. Return the URL
-        // For now, return a placeholder
-        
-        // This would be implemented based on your storage solution
-        logger.info(`Image upload requested for user ${userId}: ${imageType}`);
+        if (!Buffer.isBuffer(imageBuffer) || imageBuffer.length < MIN_IMAGE_BYTES) {
+            return { success: false, reason: 'too_small', error: 'That image is too small to read. Please send a clear, full-size photo.' };
+        }
+        if (imageBuffer.length > MAX_IMAGE_BYTES) {
+            return { success: false, reason: 'too_large', error: 'That image is too large. Please send one under 10MB.' };
+        }
+        if (!kycStorage.detectImageType(imageBuffer)) {
+            return { success: false, reason: 'not_image', error: 'Please send a photo (JPEG or PNG).' };
+        }
         
-        return {
-            success: true,
-            url: `https://storage.example.com/kyc/${userId}/${imageType}_${Date.now()}.jpg`
-        };
+        try {
+            const ref = await kycStorage.save(imageBuffer, { userId, kind: imageType === 'selfie' ? 'selfie' : 'id' });
+            return { success: true, ref };
+        } catch (error) {
+            logger.error(`Error storing KYC ${imageType} for user ${userId}:`, error.message);
+            return { success: false, reason: 'save_failed', error: 'We couldn\'t save that photo. Please send it again.' };
+        }
+    }
+    
+    async _notify(userId, text) {
+        try {
+            const result = await pool.query('SELECT phone_number FROM users WHERE id = $1', [userId]);
+            if (!result.rows.length) return;
+            // Lazy: messaging.service pulls in the game engine, which requires this file
+            const MessagingService = require('./messaging.service');
+            await new MessagingService().sendMessage(result.rows[0].phone_number, text);
+        } catch (error) {
+            logger.error(`Could not tell user ${userId} about their KYC result:`, error.message);
+        }
     }
 }
 
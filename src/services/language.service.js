@@ -0,0 +1,178 @@
+// ============================================
+// FILE: src/services/language.service.js
+// LANGUAGE — per-player language preference and translated questions.
+//
+// EXPORT SHAPE: exports an INSTANCE (like audience.service.js).
+//   const languageService = require('./language.service');
+//
+// The message catalogue itself lives in config/i18n.js. This service
+// stores each player's choice in users.language and serves questions in
+// that language where a translation exists.
+//
+// QUESTION TRANSLATIONS
+// A translation row carries the question text, the four options and the
+// fun fact for one language. The answer key is never translated — the
+// correct letter is the same in every language, so answering, stats and
+// reports all keep working off the original question. Any field left
+// blank in a translation falls back to the English text.
+// ============================================
+
+const pool = require('../config/database');
+const { DEFAULT_LANGUAGE, LANGUAGES, getTranslations, resolveLanguage } = require('../config/i18n');
+const { logger } = require('../utils/logger');
+
+const TRANSLATED_FIELDS = ['question_text', 'option_a', 'option_b', 'option_c', 'option_d', 'fun_fact'];
+
+class LanguageService {
+    constructor() {
+        this._schemaReady = false;
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT '${DEFAULT_LANGUAGE}'`);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS question_translations (
+                id SERIAL PRIMARY KEY,
+                question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+                language VARCHAR(10) NOT NULL,
+                question_text TEXT,
+                option_a TEXT,
+                option_b TEXT,
+                option_c TEXT,
+                option_d TEXT,
+                fun_fact TEXT,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE (question_id, language)
+            )
+        `);
+        this._schemaReady = true;
+    }
+
+    isSupported(code) {
+        return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+    }
+
+    /** Supported and on the player menu — its catalogue exists. */
+    isOffered(code) {
+        return this.isSupported(code) && LANGUAGES[code].offered !== false;
+    }
+
+    /** The player's language code; English for anyone who never chose. */
+    languageOf(user) {
+        const code = user && user.language;
+        return this.isOffered(code) ? code : DEFAULT_LANGUAGE;
+    }
+
+    /** Message catalogue for a player (a users row, or null for English). */
+    forUser(user) {
+        return getTranslations(this.languageOf(user));
+    }
+
+    /** What a player typed → an offered language code, or null. */
+    resolve(input) {
+        const code = resolveLanguage(input);
+        return this.isOffered(code) ? code : null;
+    }
+
+    label(code) {
+        return (LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE]).native;
+    }
+
+    /**
+     * [{ code, name, native }] in menu order. Players only see offered
+     * languages; `all` includes the rest for translating questions.
+     */
+    list({ all = false } = {}) {
+        return Object.entries(LANGUAGES)
+            .filter(([code]) => all || this.isOffered(code))
+            .map(([code, l]) => ({ code, name: l.name, native: l.native }));
+    }
+
+    async setLanguage(userId, code) {
+        if (!this.isOffered(code)) throw new Error(`Unsupported language: ${code}`);
+        await this.ensureSchema();
+        await pool.query('UPDATE users SET language = $1 WHERE id = $2', [code, userId]);
+        logger.info(`🌍 User ${userId} language set to ${code}`);
+    }
+
+    // ============================================
+    // QUESTIONS
+    // ============================================
+
+    /**
+     * The question as the player should see it. Returns a copy with the
+     * translated fields laid over the original; the original is untouched
+     * (id, correct_answer and stats columns are shared across languages).
+     */
+    async localizeQuestion(question, lang) {
+        if (!question || !lang || lang === DEFAULT_LANGUAGE || !this.isSupported(lang)) return question;
+        try {
+            await this.ensureSchema();
+            const result = await pool.query(
+                'SELECT * FROM question_translations WHERE question_id = $1 AND language = $2',
+                [question.id, lang]
+            );
+            const translation = result.rows[0];
+            if (!translation) return question;
+
+            const localized = { ...question };
+            for (const field of TRANSLATED_FIELDS) {
+                if (translation[field] && translation[field].trim()) localized[field] = translation[field];
+            }
+            return localized;
+        } catch (error) {
+            // A missing translation must never cost the player their question.
+            logger.error('Error localizing question:', error.message);
+            return question;
+        }
+    }
+
+    async getQuestionTranslations(questionId) {
+        await this.ensureSchema();
+        const result = await pool.query(
+            'SELECT * FROM question_translations WHERE question_id = $1 ORDER BY language',
+            [questionId]
+        );
+        return result.rows;
+    }
+
+    /** Insert or replace one language's translation of a question. */
+    async saveQuestionTranslation(questionId, lang, fields, client = pool) {
+        if (!this.isSupported(lang) || lang === DEFAULT_LANGUAGE) {
+            throw new Error(`Cannot store a translation for language: ${lang}`);
+        }
+        await this.ensureSchema();
+        const values = TRANSLATED_FIELDS.map(f => (fields[f] && String(fields[f]).trim()) || null);
+        if (!values.some(Boolean)) throw new Error('Translation is empty');
+
+        const result = await client.query(`
+            INSERT INTO question_translations
+                (question_id, language, question_text, option_a, option_b, option_c, option_d, fun_fact)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (question_id, language) DO UPDATE SET
+                question_text = EXCLUDED.question_text,
+                option_a = EXCLUDED.option_a,
+                option_b = EXCLUDED.option_b,
+                option_c = EXCLUDED.option_c,
+                option_d = EXCLUDED.option_d,
+                fun_fact = EXCLUDED.fun_fact,
+                updated_at = NOW()
+            RETURNING *
+        `, [questionId, lang, ...values]);
+        return result.rows[0];
+    }
+
+    async deleteQuestionTranslation(questionId, lang) {
+        await this.ensureSchema();
+        const result = await pool.query(
+            'DELETE FROM question_translations WHERE question_id = $1 AND language = $2',
+            [questionId, lang]
+        );
+        return result.rowCount > 0;
+    }
+}
+
+module.exports = new LanguageService();
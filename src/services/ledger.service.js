@@ -0,0 +1,552 @@
+// ============================================
+// FILE: src/services/ledger.service.js
+// WALLET LEDGER — double-entry record of every credit and debit a player
+// sees: game credits, tournament tokens, prize winnings.
+//
+// EXPORT SHAPE: exports an INSTANCE (like audience.service.js).
+//   const ledgerService = require('./ledger.service');
+//
+// The ledger sits beside the existing balances (users.games_remaining,
+// tournament_participants.tokens_remaining, transactions.payout_status);
+// it doesn't replace them. Each place that moves one of those posts a
+// journal here, and financialService.reconcileLedger() reports wherever
+// the two disagree.
+//
+// SHAPE
+// A journal is one event (a purchase, a game played, a prize paid) with
+// two or more entries. Amounts are signed and a journal's entries sum to
+// zero per unit, so nothing appears or disappears without a counterpart.
+// Player accounts (user_*) carry a user_id and their balance is the sum
+// of their entries — positive means the player holds it. Platform
+// accounts are the other side of each movement.
+//
+// Units: GAME (classic credits), TOKEN (tournament attempts, per
+// tournament), NGN (money).
+//
+// Journals and entries are immutable — a trigger refuses UPDATE and
+// DELETE. Mistakes are corrected by posting the opposite journal.
+//
+// Posting never throws into the caller. A failed post is logged and the
+// game carries on; reconciliation shows the gap.
+// ============================================
+
+const pool = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const UNITS = ['NGN', 'GAME', 'TOKEN'];
+
+const ACCOUNTS = {
+    // Player side
+    USER_GAMES: 'user_games',             // GAME
+    USER_TOKENS: 'user_tokens',           // TOKEN, per tournament
+    USER_WINNINGS: 'user_winnings',       // NGN won, not yet paid out
+    USER_WALLET: 'user_wallet',           // NGN credited to the in-app wallet (Love Quest)
+    // Platform side
+    GAMES_SOLD: 'games_sold',
+    GAMES_GRANTED: 'games_granted',       // streaks, referrals, promos
+    GAMES_PLAYED: 'games_played',
+    GAMES_EXPIRED: 'games_expired',
+    GAMES_REFUNDED: 'games_refunded',
+    TOKENS_ISSUED: 'tokens_issued',
+    TOKENS_USED: 'tokens_used',
+    GAME_SALES: 'game_sales',             // NGN revenue
+    TOURNAMENT_ENTRIES: 'tournament_entries',
+    PRIZE_EXPENSE: 'prize_expense',
+    PAYOUTS_SENT: 'payouts_sent',
+    PRIZES_FORFEITED: 'prizes_forfeited',
+    PRIZES_CANCELLED: 'prizes_cancelled',
+    OPENING_EQUITY: 'opening_equity'      // balances held before the ledger existed
+};
+
+// Money collected sits in one account per gateway so it can be checked
+// against that gateway's records.
+const gatewayAccount = (name) => `gateway:${name || 'unknown'}`;
+
+class LedgerService {
+    constructor() {
+        this._schemaReady = false;
+        this.ACCOUNTS = ACCOUNTS;
+    }
+
+    // Idempotent — runs the DDL once per process. Called at boot (server.js)
+    // so opening balances are taken before any request can move a balance.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS ledger_journals (
+                id BIGSERIAL PRIMARY KEY,
+                kind VARCHAR(30) NOT NULL,
+                user_id INTEGER,
+                transaction_id INTEGER,
+                idempotency_key VARCHAR(150) UNIQUE,
+                reference VARCHAR(120),
+                description TEXT,
+                metadata JSONB,
+                created_by INTEGER,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS ledger_entries (
+                id BIGSERIAL PRIMARY KEY,
+                journal_id BIGINT NOT NULL REFERENCES ledger_journals(id),
+                account VARCHAR(40) NOT NULL,
+                user_id INTEGER,
+                tournament_id INTEGER,
+                unit VARCHAR(5) NOT NULL CHECK (unit IN ('NGN', 'GAME', 'TOKEN')),
+                amount NUMERIC(14,2) NOT NULL CHECK (amount <> 0),
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_ledger_entries_user ON ledger_entries(user_id, unit) WHERE user_id IS NOT NULL`);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_ledger_entries_journal ON ledger_entries(journal_id)`);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries(account, unit)`);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_ledger_journals_user ON ledger_journals(user_id, created_at DESC)`);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_ledger_journals_tx ON ledger_journals(transaction_id) WHERE transaction_id IS NOT NULL`);
+
+        await pool.query(`
+            CREATE OR REPLACE FUNCTION ledger_reject_change() RETURNS trigger AS $$
+            BEGIN
+                RAISE EXCEPTION 'ledger rows are immutable — post a correcting journal instead';
+            END;
+            $$ LANGUAGE plpgsql
+        `);
+        for (const table of ['ledger_journals', 'ledger_entries']) {
+            await pool.query(`DROP TRIGGER IF EXISTS ${table}_immutable ON ${table}`);
+            await pool.query(`
+                CREATE TRIGGER ${table}_immutable BEFORE UPDATE OR DELETE ON ${table}
+                FOR EACH ROW EXECUTE FUNCTION ledger_reject_change()
+            `);
+        }
+
+        const started = await pool.query('SELECT 1 FROM ledger_journals LIMIT 1');
+        if (!started.rows.length) await this._openingBalances();
+        this._schemaReady = true;
+    }
+
+    // One-off: bring existing balances into the ledger the first time it
+    // starts, so reconciliation compares like with like from day one.
+    async _openingBalances() {
+        const opened = {};
+        const open = async (label, sql) => {
+            try {
+                const result = await pool.query(sql);
+                opened[label] = result.rowCount;
+            } catch (error) {
+                logger.error(`Ledger: opening ${label} balances skipped:`, error.message);
+            }
+        };
+
+        await open('games', `
+            WITH j AS (
+                INSERT INTO ledger_journals (kind, user_id, idempotency_key, description)
+                SELECT 'opening_balance', id, 'opening:games:' || id, 'Game credits held when the ledger started'
+                FROM users WHERE COALESCE(games_remaining, 0) > 0
+                ON CONFLICT (idempotency_key) DO NOTHING
+                RETURNING id, user_id
+            )
+            INSERT INTO ledger_entries (journal_id, account, user_id, unit, amount)
+            SELECT j.id, '${ACCOUNTS.USER_GAMES}', j.user_id, 'GAME', u.games_remaining FROM j JOIN users u ON u.id = j.user_id
+            UNION ALL
+            SELECT j.id, '${ACCOUNTS.OPENING_EQUITY}', NULL, 'GAME', -u.games_remaining FROM j JOIN users u ON u.id = j.user_id
+        `);
+
+        await open('tokens', `
+            WITH j AS (
+                INSERT INTO ledger_journals (kind, user_id, idempotency_key, description, metadata)
+                SELECT 'opening_balance', user_id, 'opening:tokens:' || id, 'Tournament tokens held when the ledger started',
+                       jsonb_build_object('tournament_id', tournament_id)
+                FROM tournament_participants WHERE COALESCE(tokens_remaining, 0) > 0
+                ON CONFLICT (idempotency_key) DO NOTHING
+                RETURNING id, user_id, (metadata->>'tournament_id')::int AS tournament_id
+            )
+            INSERT INTO ledger_entries (journal_id, account, user_id, tournament_id, unit, amount)
+            SELECT j.id, '${ACCOUNTS.USER_TOKENS}', j.user_id, j.tournament_id, 'TOKEN', tp.tokens_remaining
+            FROM j JOIN tournament_participants tp ON tp.user_id = j.user_id AND tp.tournament_id = j.tournament_id
+            UNION ALL
+            SELECT j.id, '${ACCOUNTS.OPENING_EQUITY}', NULL, j.tournament_id, 'TOKEN', -tp.tokens_remaining
+            FROM j JOIN tournament_participants tp ON tp.user_id = j.user_id AND tp.tournament_id = j.tournament_id
+        `);
+
+        // Keyed like recordPrize() so these are settled by the normal
+        // payout, forfeit and cancel postings later.
+        await open('winnings', `
+            WITH j AS (
+                INSERT INTO ledger_journals (kind, user_id, transaction_id, idempotency_key, description)
+                SELECT 'opening_balance', user_id, id, 'prize:' || id, 'Unpaid prize held when the ledger started'
+                FROM transactions
+                WHERE transaction_type IN ('prize', 'tournament_prize')
+                  AND payout_status IN ('pending', 'details_collected', 'approved')
+                  AND amount > 0
+                ON CONFLICT (idempotency_key) DO NOTHING
+                RETURNING id, user_id, transaction_id
+            )
+            INSERT INTO ledger_entries (journal_id, account, user_id, unit, amount)
+            SELECT j.id, '${ACCOUNTS.USER_WINNINGS}', j.user_id, 'NGN', t.amount FROM j JOIN transactions t ON t.id = j.transaction_id
+            UNION ALL
+            SELECT j.id, '${ACCOUNTS.OPENING_EQUITY}', NULL, 'NGN', -t.amount FROM j JOIN transactions t ON t.id = j.transaction_id
+        `);
+
+        await open('wallet', `
+            WITH j AS (
+                INSERT INTO ledger_journals (kind, user_id, idempotency_key, description)
+                SELECT 'opening_balance', id, 'opening:wallet:' || id, 'Wallet balance held when the ledger started'
+                FROM users WHERE COALESCE(wallet_balance, 0) > 0
+                ON CONFLICT (idempotency_key) DO NOTHING
+                RETURNING id, user_id
+            )
+            INSERT INTO ledger_entries (journal_id, account, user_id, unit, amount)
+            SELECT j.id, '${ACCOUNTS.USER_WALLET}', j.user_id, 'NGN', u.wallet_balance FROM j JOIN users u ON u.id = j.user_id
+            UNION ALL
+            SELECT j.id, '${ACCOUNTS.OPENING_EQUITY}', NULL, 'NGN', -u.wallet_balance FROM j JOIN users u ON u.id = j.user_id
+        `);
+
+        logger.info(`📒 Ledger opened with existing balances: ${JSON.stringify(opened)} entries`);
+    }
+
+    // ============================================
+    // POSTING
+    // ============================================
+
+    /**
+     * Post one balanced journal.
+     * @param {string} kind      purchase, game_play, prize, payout, ...
+     * @param {object} journal   { entries: [{ account, unit, amount, userId?, tournamentId? }],
+     *                             userId, transactionId, key, reference, description, metadata, adminId }
+     *                           `key` makes the post idempotent: a second post with the same key is ignored.
+     * @param {object} client    pass the caller's client to post inside its transaction
+     * @returns {number|null} journal id; null if already posted or the post failed
+     */
+    async post(kind, journal, client = null) {
+        const { userId = null, transactionId = null, key = null, reference = null,
+            description = null, metadata = null, adminId = null } = journal;
+        const entries = journal.entries.filter(e => Number(e.amount) !== 0);
+
+        const sums = {};
+        for (const e of entries) {
+            if (!UNITS.includes(e.unit)) {
+                logger.error(`Ledger: ${kind} has an entry in unknown unit ${e.unit}`);
+                return null;
+            }
+            sums[e.unit] = (sums[e.unit] || 0) + Number(e.amount);
+        }
+        const unbalanced = Object.entries(sums).find(([, sum]) => Math.abs(sum) > 0.001);
+        if (unbalanced || !entries.length) {
+            logger.error(`Ledger: refused ${kind}${key ? ` (${key})` : ''} — ${entries.length ? `${unbalanced[0]} off by ${unbalanced[1]}` : 'no entries'}`);
+            return null;
+        }
+
+        const write = async (db) => {
+            const inserted = await db.query(`
+                INSERT INTO ledger_journals (kind, user_id, transaction_id, idempotency_key, reference, description, metadata, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                ON CONFLICT (idempotency_key) DO NOTHING
+                RETURNING id
+            `, [kind, userId, transactionId, key, reference, description, metadata ? JSON.stringify(metadata) : null, adminId]);
+            if (!inserted.rows.length) return null;
+
+            const journalId = inserted.rows[0].id;
+            const values = [];
+            const params = [];
+            entries.forEach((e, i) => {
+                const isUser = e.account.startsWith('user_');
+                params.push(journalId, e.account, isUser ? (e.userId || userId) : null, e.tournamentId || null, e.unit, e.amount);
+                const b = i * 6;
+                values.push(`($${b + 1}, $${b + 2}, $${b + 3}, $${b + 4}, $${b + 5}, $${b + 6})`);
+            });
+            await db.query(
+                `INSERT INTO ledger_entries (journal_id, account, user_id, tournament_id, unit, amount) VALUES ${values.join(', ')}`,
+                params
+            );
+            return journalId;
+        };
+
+        try {
+            await this.ensureSchema();
+            if (client) {
+                // A savepoint keeps a ledger failure from aborting the
+                // caller's transaction.
+                await client.query('SAVEPOINT ledger_post');
+                try {
+                    const id = await write(client);
+                    await client.query('RELEASE SAVEPOINT ledger_post');
+                    return id;
+                } catch (error) {
+                    await client.query('ROLLBACK TO SAVEPOINT ledger_post');
+                    throw error;
+                }
+            }
+
+            const own = await pool.connect();
+            try {
+                await own.query('BEGIN');
+                const id = await write(own);
+                await own.query('COMMIT');
+                return id;
+            } catch (error) {
+                await own.query('ROLLBACK');
+                throw error;
+            } finally {
+                own.release();
+            }
+        } catch (error) {
+            logger.error(`Ledger: failed to post ${kind}${key ? ` (${key})` : ''}:`, error.message);
+            return null;
+        }
+    }
+
+    // ============================================
+    // GAME CREDITS
+    // ============================================
+
+    async recordPurchase({ reference, userId, games, amount, gateway, description = null }) {
+        return this.post('purchase', {
+            userId, reference, key: `purchase:${reference}`,
+            description: description || `Bought ${games} game${games === 1 ? '' : 's'}`,
+            metadata: { gateway },
+            entries: [
+                { account: ACCOUNTS.USER_GAMES, unit: 'GAME', amount: games },
+                { account: ACCOUNTS.GAMES_SOLD, unit: 'GAME', amount: -games },
+                { account: gatewayAccount(gateway), unit: 'NGN', amount: amount },
+                { account: ACCOUNTS.GAME_SALES, unit: 'NGN', amount: -amount }
+            ]
+        });
+    }
+
+    async recordRefund({ reference, userId, games, amount, gateway }, adminId = null, reason = null) {
+        return this.post('refund', {
+            userId, reference, adminId, key: `refund:${reference}`,
+            description: reason ? `Refund: ${reason}` : 'Purchase refunded',
+            metadata: { gateway, games_removed: games },
+            entries: [
+                { account: ACCOUNTS.USER_GAMES, unit: 'GAME', amount: -games },
+                { account: ACCOUNTS.GAMES_REFUNDED, unit: 'GAME', amount: games },
+                { account: gatewayAccount(gateway), unit: 'NGN', amount: -amount },
+                { account: ACCOUNTS.GAME_SALES, unit: 'NGN', amount: amount }
+            ]
+        });
+    }
+
+    async recordGamePlay(userId, sessionKey = null) {
+        return this.post('game_play', {
+            userId, reference: sessionKey, description: 'Played a game',
+            entries: [
+                { account: ACCOUNTS.USER_GAMES, unit: 'GAME', amount: -1 },
+                { account: ACCOUNTS.GAMES_PLAYED, unit: 'GAME', amount: 1 }
+            ]
+        });
+    }
+
+    /** Free games: streak rewards, referral bonuses, promos. */
+    async recordGamesGranted(kind, { userId, games, key, description }, client = null) {
+        return this.post(kind, {
+            userId, key, description,
+            entries: [
+                { account: ACCOUNTS.USER_GAMES, unit: 'GAME', amount: games },
+                { account: ACCOUNTS.GAMES_GRANTED, unit: 'GAME', amount: -games }
+            ]
+        }, client);
+    }
+
+    async recordGamesExpired({ userId, games, key, description }) {
+        return this.post('games_expired', {
+            userId, key, description,
+            entries: [
+                { account: ACCOUNTS.USER_GAMES, unit: 'GAME', amount: -games },
+                { account: ACCOUNTS.GAMES_EXPIRED, unit: 'GAME', amount: games }
+            ]
+        });
+    }
+
+    // ============================================
+    // TOURNAMENT TOKENS
+    // ============================================
+
+    /**
+     * Tokens from joining or rebuying. `amount` is what was paid (0 for free
+     * and promo entries); `kind` is tournament_entry, tournament_rebuy or promo.
+     */
+    async recordTokens(kind, { reference, userId, tournamentId, tokens, amount = 0, gateway = null, description }, client = null) {
+        const entries = [];
+        if (tokens > 0) {
+            entries.push(
+                { account: ACCOUNTS.USER_TOKENS, unit: 'TOKEN', amount: tokens, tournamentId },
+                { account: ACCOUNTS.TOKENS_ISSUED, unit: 'TOKEN', amount: -tokens, tournamentId }
+            );
+        }
+        if (amount > 0) {
+            entries.push(
+                { account: gatewayAccount(gateway), unit: 'NGN', amount: amount },
+                { account: ACCOUNTS.TOURNAMENT_ENTRIES, unit: 'NGN', amount: -amount, tournamentId }
+            );
+        }
+        if (!entries.length) return null;
+        return this.post(kind, {
+            userId, reference, key: reference ? `${kind}:${reference}` : null, description,
+            metadata: { tournament_id: tournamentId, gateway },
+            entries
+        }, client);
+    }
+
+    async recordTokenUse(userId, tournamentId) {
+        return this.post('token_use', {
+            userId, description: 'Used a tournament token', metadata: { tournament_id: tournamentId },
+            entries: [
+                { account: ACCOUNTS.USER_TOKENS, unit: 'TOKEN', amount: -1, tournamentId },
+                { account: ACCOUNTS.TOKENS_USED, unit: 'TOKEN', amount: 1, tournamentId }
+            ]
+        });
+    }
+
+    // ============================================
+    // WINNINGS
+    // ============================================
+
+    async recordPrize({ transactionId, userId, amount, description }) {
+        return this.post('prize', {
+            userId, transactionId, key: `prize:${transactionId}`, description,
+            entries: [
+                { account: ACCOUNTS.USER_WINNINGS, unit: 'NGN', amount: amount },
+                { account: ACCOUNTS.PRIZE_EXPENSE, unit: 'NGN', amount: -amount }
+            ]
+        });
+    }
+
+    /**
+     * A prize leaves the player's winnings: paid out, forfeited or cancelled.
+     * Reads amount and owner from the transaction so callers only pass ids.
+     * @param {string} kind  payout | forfeit | cancel
+     */
+    async settlePrizes(kind, transactionIds, { adminId = null, reference = null, reason = null } = {}) {
+        const counterpart = { payout: ACCOUNTS.PAYOUTS_SENT, forfeit: ACCOUNTS.PRIZES_FORFEITED, cancel: ACCOUNTS.PRIZES_CANCELLED }[kind];
+        if (!counterpart || !transactionIds.length) return 0;
+        try {
+            const result = await pool.query(
+                'SELECT id, user_id, amount FROM transactions WHERE id = ANY($1::int[])',
+                [transactionIds.map(id => parseInt(id))]
+            );
+            let posted = 0;
+            for (const tx of result.rows) {
+                const amount = parseFloat(tx.amount);
+                if (!(amount > 0)) continue;
+                const id = await this.post(kind, {
+                    userId: tx.user_id, transactionId: tx.id, adminId, reference,
+                    // A payout reversed and sent again is a second payout, so
+                    // its key carries the payment reference.
+                    key: kind === 'payout' ? `payout:${tx.id}:${reference}` : `${kind}:${tx.id}`,
+                    description: reason || { payout: 'Prize paid out', forfeit: 'Prize forfeited', cancel: 'Prize cancelled' }[kind],
+                    entries: [
+                        { account: ACCOUNTS.USER_WINNINGS, unit: 'NGN', amount: -amount },
+                        { account: counterpart, unit: 'NGN', amount: amount }
+                    ]
+                });
+                if (id) posted++;
+            }
+            return posted;
+        } catch (error) {
+            logger.error(`Ledger: failed to settle ${kind} for ${transactionIds.join(',')}:`, error.message);
+            return 0;
+        }
+    }
+
+    /** The bank bounced a transfer: the prize is owed again. */
+    async recordPayoutReversed({ transactionId, reference, reason }) {
+        const paid = await pool.query(
+            `SELECT j.user_id, -SUM(e.amount) AS amount FROM ledger_journals j
+             JOIN ledger_entries e ON e.journal_id = j.id AND e.account = $3
+             WHERE j.idempotency_key = $1 || ':' || $2 GROUP BY j.user_id`,
+            [`payout:${transactionId}`, reference, ACCOUNTS.USER_WINNINGS]
+        ).catch(() => ({ rows: [] }));
+        const row = paid.rows[0];
+        if (!row) return null;
+        const amount = parseFloat(row.amount);
+        return this.post('payout_reversed', {
+            userId: row.user_id, transactionId, reference, key: `payout_reversed:${transactionId}:${reference}`,
+            description: reason || 'Payout reversed by the bank',
+            entries: [
+                { account: ACCOUNTS.USER_WINNINGS, unit: 'NGN', amount: amount },
+                { account: ACCOUNTS.PAYOUTS_SENT, unit: 'NGN', amount: -amount }
+            ]
+        });
+    }
+
+    async recordWalletCredit({ userId, amount, key, description }, client = null) {
+        return this.post('wallet_credit', {
+            userId, key, description,
+            entries: [
+                { account: ACCOUNTS.USER_WALLET, unit: 'NGN', amount: amount },
+                { account: ACCOUNTS.PRIZE_EXPENSE, unit: 'NGN', amount: -amount }
+            ]
+        }, client);
+    }
+
+    // ============================================
+    // READING
+    // ============================================
+
+    /**
+     * What the ledger says a player holds.
+     * @returns {{ games, winnings, wallet, tokens: [{ tournamentId, tournamentName, tokens }] }}
+     */
+    async getBalance(userId) {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT account, COALESCE(SUM(amount), 0) AS balance
+            FROM ledger_entries
+            WHERE user_id = $1 AND account IN ($2, $3, $4)
+            GROUP BY account
+        `, [userId, ACCOUNTS.USER_GAMES, ACCOUNTS.USER_WINNINGS, ACCOUNTS.USER_WALLET]);
+        const by = Object.fromEntries(result.rows.map(r => [r.account, parseFloat(r.balance)]));
+
+        const tokens = await pool.query(`
+            SELECT e.tournament_id, t.tournament_name, SUM(e.amount) AS tokens
+            FROM ledger_entries e
+            JOIN tournaments t ON t.id = e.tournament_id
+            WHERE e.user_id = $1 AND e.account = $2 AND t.status = 'active'
+            GROUP BY e.tournament_id, t.tournament_name
+            HAVING SUM(e.amount) > 0
+            ORDER BY e.tournament_id
+        `, [userId, ACCOUNTS.USER_TOKENS]);
+
+        return {
+            games: by[ACCOUNTS.USER_GAMES] || 0,
+            winnings: by[ACCOUNTS.USER_WINNINGS] || 0,
+            wallet: by[ACCOUNTS.USER_WALLET] || 0,
+            tokens: tokens.rows.map(r => ({
+                tournamentId: r.tournament_id,
+                tournamentName: r.tournament_name,
+                tokens: parseFloat(r.tokens)
+            }))
+        };
+    }
+
+    /**
+     * A player's journals, newest first, each with that player's side of it.
+     * @param {object} opts  { limit, before (journal id, for paging), from, to (dates) }
+     */
+    async getStatement(userId, { limit = 50, before = null, from = null, to = null } = {}) {
+        await this.ensureSchema();
+        const params = [userId];
+        const where = ['j.user_id = $1'];
+        if (before) { params.push(before); where.push(`j.id < $${params.length}`); }
+        if (from) { params.push(from); where.push(`j.created_at >= $${params.length}`); }
+        if (to) { params.push(to); where.push(`j.created_at < $${params.length}`); }
+        params.push(Math.min(parseInt(limit) || 50, 500));
+
+        const result = await pool.query(`
+            SELECT j.id, j.kind, j.reference, j.transaction_id, j.description, j.created_at,
+                   COALESCE(json_agg(json_build_object(
+                       'account', e.account, 'unit', e.unit, 'amount', e.amount, 'tournament_id', e.tournament_id
+                   )) FILTER (WHERE e.id IS NOT NULL), '[]') AS entries
+            FROM ledger_journals j
+            LEFT JOIN ledger_entries e ON e.journal_id = j.id AND e.user_id = j.user_id
+            WHERE ${where.join(' AND ')}
+            GROUP BY j.id
+            ORDER BY j.id DESC
+            LIMIT $${params.length}
+        `, params);
+        return result.rows;
+    }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,851 @@
+// ============================================
+// FILE: src/services/live-show.service.js
+// LIVE SHOWS — admin-scheduled rounds where every opted-in player gets
+// the same question at the same moment, HQ Trivia style.
+//
+// EXPORT SHAPE: exports an INSTANCE (like duel.service.js).
+//   const liveShows = require('./live-show.service');
+//
+// HOW A SHOW RUNS
+// An admin schedules a show (title, time, number of questions, answer
+// window, pot). Players opt in with LIVE. At the scheduled time — or
+// when the admin presses Start — the show goes live:
+//
+//   lobby  → "we're live", a short pause so everyone is looking
+//   open   → question N goes to every player still standing; one answer
+//            each, first answer counts
+//   reveal → the window closes, wrong or missing answers are eliminated,
+//            everyone still in the show is told the answer and the count
+//   …repeat until the last question or nobody is left, then the pot is
+//   split evenly between the survivors.
+//
+// THE ANSWER WINDOW
+// Chat messages leave through message-queue.service (60/sec). With 600
+// chat players the last one receives the question ~10s after the first,
+// so the shared window is stretched by that drain time: nobody is
+// eliminated for being at the back of the queue. Web players get the
+// question instantly over game-events.service.
+//
+// STATE
+// live_shows holds the phase and when it ends, so a restart mid-show
+// picks up where it left off (poll() re-arms it). Redis holds only the
+// hot-path copy that every incoming A/B/C/D is checked against.
+//
+// PRIZES
+// Each show owns a tournaments row (tournament_type 'live_show', status
+// 'live' so it never appears in the player-facing tournament lists).
+// Players are tournament_participants; winners get prize_won and a
+// pending 'tournament_prize' transaction, exactly like a tournament
+// payout, so CLAIM and the finance pages need nothing new.
+// ============================================
+
+const pool = require('../config/database');
+const redis = require('../config/redis');
+const MessagingService = require('./messaging.service');
+const QuestionService = require('./question.service');
+const messageQueue = require('./message-queue.service');
+const gameEvents = require('./game-events.service');
+const ledgerService = require('./ledger.service');
+const { platformOf } = require('../utils/platform');
+const { logger } = require('../utils/logger');
+
+const messagingService = new MessagingService();
+const questionService = new QuestionService();
+
+const LOBBY_SECONDS = 20;
+const REVEAL_SECONDS = 8;
+const CHAT_SENDS_PER_SECOND = 60;   // message-queue.service MAX_PER_SECOND
+const MAX_DIFFICULTY = 15;
+
+const LIMITS = {
+    questions: { min: 3, max: 15, default: 10 },
+    window: { min: 5, max: 30, default: 10 }
+};
+
+const CURRENT_KEY = 'live_show:current';
+const aliveKey = (showId) => `live_show:${showId}:alive`;
+
+class LiveShowService {
+    constructor() {
+        this._schemaReady = false;
+        this._timers = new Map();   // showId → setTimeout handle for the current phase
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS live_shows (
+                id SERIAL PRIMARY KEY,
+                tournament_id INTEGER REFERENCES tournaments(id),
+                title VARCHAR(120) NOT NULL,
+                scheduled_at TIMESTAMP NOT NULL,
+                question_count INTEGER NOT NULL DEFAULT 10,
+                answer_window_seconds INTEGER NOT NULL DEFAULT 10,
+                pot INTEGER NOT NULL DEFAULT 0,
+                status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+                phase VARCHAR(20),
+                phase_ends_at TIMESTAMP,
+                current_question INTEGER NOT NULL DEFAULT 0,
+                current_question_id INTEGER,
+                question_ids INTEGER[] NOT NULL DEFAULT '{}',
+                survivors INTEGER,
+                prize_each INTEGER,
+                created_by VARCHAR(100),
+                created_at TIMESTAMP DEFAULT NOW(),
+                started_at TIMESTAMP,
+                completed_at TIMESTAMP
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_live_shows_status ON live_shows(status, scheduled_at)`);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS live_show_players (
+                id SERIAL PRIMARY KEY,
+                show_id INTEGER NOT NULL REFERENCES live_shows(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL REFERENCES users(id),
+                status VARCHAR(20) NOT NULL DEFAULT 'joined',
+                correct_count INTEGER NOT NULL DEFAULT 0,
+                eliminated_at_question INTEGER,
+                joined_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE (show_id, user_id)
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS live_show_answers (
+                id SERIAL PRIMARY KEY,
+                show_id INTEGER NOT NULL REFERENCES live_shows(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL REFERENCES users(id),
+                question_number INTEGER NOT NULL,
+                answer CHAR(1) NOT NULL,
+                is_correct BOOLEAN,
+                response_ms INTEGER,
+                answered_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE (show_id, user_id, question_number)
+            )
+        `);
+        this._schemaReady = true;
+    }
+
+    // ============================================
+    // ADMIN
+    // ============================================
+
+    async list(limit = 30) {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT s.*,
+                   COUNT(p.id) AS players,
+                   COUNT(p.id) FILTER (WHERE p.status IN ('alive', 'winner')) AS standing
+            FROM live_shows s
+            LEFT JOIN live_show_players p ON p.show_id = s.id
+            GROUP BY s.id
+            ORDER BY CASE WHEN s.status IN ('scheduled', 'running') THEN 0 ELSE 1 END,
+                     s.scheduled_at DESC
+            LIMIT $1
+        `, [limit]);
+        return result.rows;
+    }
+
+    /**
+     * Schedule a show and its tournaments row.
+     * @returns {{ ok: boolean, error?: string, show?: object }}
+     */
+    async create(input, createdBy) {
+        await this.ensureSchema();
+        const title = String(input.title || '').trim();
+        const scheduledAt = new Date(input.scheduled_at);
+        const questionCount = parseInt(input.question_count) || LIMITS.questions.default;
+        const windowSeconds = parseInt(input.answer_window_seconds) || LIMITS.window.default;
+        const pot = parseInt(input.pot);
+
+        if (!title) return { ok: false, error: 'Give the show a title' };
+        if (isNaN(scheduledAt.getTime())) return { ok: false, error: 'Pick a start time' };
+        if (scheduledAt.getTime() < Date.now() - 60000) return { ok: false, error: 'Start time is in the past' };
+        if (questionCount < LIMITS.questions.min || questionCount > LIMITS.questions.max) {
+            return { ok: false, error: `Questions must be between ${LIMITS.questions.min} and ${LIMITS.questions.max}` };
+        }
+        if (windowSeconds < LIMITS.window.min || windowSeconds > LIMITS.window.max) {
+            return { ok: false, error: `Answer window must be between ${LIMITS.window.min} and ${LIMITS.window.max} seconds` };
+        }
+        if (isNaN(pot) || pot < 0) return { ok: false, error: 'Pot must be zero or more' };
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            // Generous end_date: the show decides when it ends, not the row.
+            const tournament = await client.query(`
+                INSERT INTO tournaments (
+                    tournament_name, tournament_type, description, payment_type,
+                    entry_fee, prize_pool, start_date, end_date, status
+                )
+                VALUES ($1, 'live_show', $2, 'free', 0, $3, $4, $4::timestamp + INTERVAL '6 hours', 'live')
+                RETURNING id
+            `, [title, `Live show — ${questionCount} questions, survivors split the pot`, pot, scheduledAt]);
+
+            const show = await client.query(`
+                INSERT INTO live_shows (tournament_id, title, scheduled_at, question_count, answer_window_seconds, pot, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING *
+            `, [tournament.rows[0].id, title, scheduledAt, questionCount, windowSeconds, pot, createdBy || null]);
+            await client.query('COMMIT');
+
+            logger.info(`🔴 Live show ${show.rows[0].id} scheduled for ${scheduledAt.toISOString()} by ${createdBy}`);
+            return { ok: true, show: show.rows[0] };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getById(showId) {
+        await this.ensureSchema();
+        const result = await pool.query('SELECT * FROM live_shows WHERE id = $1', [showId]);
+        return result.rows[0] || null;
+    }
+
+    // Admin "Start now": pull the start time forward and go.
+    async startNow(showId) {
+        const show = await this.getById(showId);
+        if (!show) return { ok: false, status: 404, error: 'Show not found' };
+        if (show.status !== 'scheduled') return { ok: false, error: `Show is already ${show.status}` };
+        const running = await this._runningShow();
+        if (running) return { ok: false, error: `"${running.title}" is live right now — one show at a time` };
+
+        await pool.query(`UPDATE live_shows SET scheduled_at = NOW() WHERE id = $1`, [showId]);
+        await this._start(showId);
+        return { ok: true };
+    }
+
+    async cancel(showId) {
+        const show = await this.getById(showId);
+        if (!show) return { ok: false, status: 404, error: 'Show not found' };
+        if (!['scheduled', 'running'].includes(show.status)) return { ok: false, error: `Show is already ${show.status}` };
+
+        await pool.query(
+            `UPDATE live_shows SET status = 'cancelled', phase = NULL, completed_at = NOW() WHERE id = $1`,
+            [showId]
+        );
+        await pool.query(`UPDATE tournaments SET status = 'cancelled' WHERE id = $1`, [show.tournament_id]);
+        this._disarm(showId);
+        await this._clearHotState(showId);
+
+        const players = await this._players(showId, ['joined', 'alive']);
+        await this._broadcast(players, () => ({
+            text: `📴 *${show.title}* has been cancelled. Sorry about that — watch out for the next one!`
+        }));
+        logger.info(`🔴 Live show ${showId} cancelled (${show.status})`);
+        return { ok: true };
+    }
+
+    /**
+     * Everything the monitor page shows, including the live question and
+     * how the answers are splitting.
+     */
+    async monitor(showId) {
+        const show = await this.getById(showId);
+        if (!show) return null;
+
+        const counts = await pool.query(`
+            SELECT status, COUNT(*) AS n FROM live_show_players WHERE show_id = $1 GROUP BY status
+        `, [showId]);
+        const players = {};
+        counts.rows.forEach(r => { players[r.status] = parseInt(r.n); });
+
+        let question = null;
+        if (show.current_question_id) {
+            const q = await questionService.getQuestionById(show.current_question_id);
+            const split = await pool.query(`
+                SELECT answer, COUNT(*) AS n FROM live_show_answers
+                WHERE show_id = $1 AND question_number = $2 GROUP BY answer
+            `, [showId, show.current_question]);
+            const answers = { A: 0, B: 0, C: 0, D: 0 };
+            split.rows.forEach(r => { answers[r.answer] = parseInt(r.n); });
+            if (q) {
+                question = {
+                    number: show.current_question, text: q.question_text,
+                    options: { A: q.option_a, B: q.option_b, C: q.option_c, D: q.option_d },
+                    correct: q.correct_answer, answers
+                };
+            }
+        }
+
+        const eliminations = await pool.query(`
+            SELECT eliminated_at_question AS q, COUNT(*) AS n FROM live_show_players
+            WHERE show_id = $1 AND eliminated_at_question IS NOT NULL
+            GROUP BY eliminated_at_question ORDER BY eliminated_at_question
+        `, [showId]);
+
+        let queue = null;
+        try { queue = await messageQueue.getStats(); } catch (e) { /* non-fatal */ }
+
+        return {
+            show,
+            players,
+            question,
+            eliminations: eliminations.rows.map(r => ({ question: r.q, count: parseInt(r.n) })),
+            secondsLeft: show.phase_ends_at
+                ? Math.max(0, Math.ceil((new Date(show.phase_ends_at).getTime() - Date.now()) / 1000)) : null,
+            queueSize: queue ? queue.queueSize : null
+        };
+    }
+
+    // ============================================
+    // PLAYERS
+    // ============================================
+
+    async getNextScheduled() {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT * FROM live_shows
+            WHERE status = 'scheduled'
+            ORDER BY scheduled_at ASC
+            LIMIT 1
+        `);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Opt in to the next scheduled show.
+     * @returns {{ ok: boolean, message: string }}
+     */
+    async join(user) {
+        const show = await this.getNextScheduled();
+        if (!show) {
+            const running = await this._runningShow();
+            if (running) {
+                return { ok: false, message: `🔴 *${running.title}* is already live — entries closed when it started.\n\nType LIVE later to catch the next one!` };
+            }
+            return { ok: false, message: `📺 No live show is scheduled right now.\n\nWe'll announce the next one — type LIVE again to check.` };
+        }
+
+        const inserted = await pool.query(`
+            INSERT INTO live_show_players (show_id, user_id) VALUES ($1, $2)
+            ON CONFLICT (show_id, user_id) DO NOTHING
+            RETURNING id
+        `, [show.id, user.id]);
+
+        if (inserted.rows.length) {
+            await pool.query(`
+                INSERT INTO tournament_participants (tournament_id, user_id, entry_paid, tokens_remaining, can_play, platform)
+                SELECT $1, $2, true, NULL, false, $3
+                WHERE NOT EXISTS (SELECT 1 FROM tournament_participants WHERE tournament_id = $1 AND user_id = $2)
+            `, [show.tournament_id, user.id, platformOf(user)]);
+            logger.info(`🔴 User ${user.id} joined live show ${show.id}`);
+        }
+
+        const when = this._formatWhen(show.scheduled_at);
+        let message = inserted.rows.length ? `✅ *You're in!*\n\n` : `✅ You're already in.\n\n`;
+        message += `🔴 *${show.title}*\n`;
+        message += `🕒 ${when}\n`;
+        message += `❓ ${show.question_count} questions · ${show.answer_window_seconds}s to answer each\n`;
+        if (show.pot > 0) message += `💰 Survivors split ₦${Number(show.pot).toLocaleString()}\n`;
+        message += `\nEveryone gets each question at the same moment. Reply A, B, C or D — `;
+        message += `a wrong answer (or no answer) and you're out.\n\n`;
+        message += `Type LIVE LEAVE if you can't make it.`;
+        return { ok: true, message };
+    }
+
+    async leave(user) {
+        const show = await this.getNextScheduled();
+        if (!show) return { ok: false, message: `📺 You're not signed up for a live show.` };
+        const removed = await pool.query(
+            `DELETE FROM live_show_players WHERE show_id = $1 AND user_id = $2 AND status = 'joined' RETURNING id`,
+            [show.id, user.id]
+        );
+        if (!removed.rows.length) return { ok: false, message: `📺 You're not signed up for *${show.title}*.` };
+        await pool.query(
+            `DELETE FROM tournament_participants WHERE tournament_id = $1 AND user_id = $2`,
+            [show.tournament_id, user.id]
+        );
+        return { ok: true, message: `👋 You've left *${show.title}*. Type LIVE to join again.` };
+    }
+
+    /**
+     * Hot path — called for every A/B/C/D before it reaches the normal game.
+     * One Redis GET when no show is running.
+     */
+    async acceptsAnswerFrom(userId) {
+        const current = await this._current();
+        if (!current) return false;
+        return (await redis.sismember(aliveKey(current.showId), String(userId))) === 1;
+    }
+
+    async submitAnswer(user, answer) {
+        const current = await this._current();
+        if (!current) return;
+
+        if (!current.open || Date.now() > current.deadline) {
+            await messagingService.sendMessage(user.phone_number,
+                `⏰ Too late — answers for question ${current.questionNumber} are closed.`);
+            return;
+        }
+
+        const inserted = await pool.query(`
+            INSERT INTO live_show_answers (show_id, user_id, question_number, answer, response_ms)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (show_id, user_id, question_number) DO NOTHING
+            RETURNING id
+        `, [current.showId, user.id, current.questionNumber, answer, Date.now() - current.openedAt]);
+
+        // Web has already greyed the board out on tap; the text is for chat.
+        if (inserted.rows.length) {
+            await messagingService.sendMessage(user.phone_number,
+                `🔒 *${answer}* locked in. The answer is revealed when the timer runs out.`,
+                { webRedundant: true });
+        } else {
+            await messagingService.sendMessage(user.phone_number,
+                `🔒 You've already answered question ${current.questionNumber} — first answer counts.`,
+                { webRedundant: true });
+        }
+    }
+
+    /**
+     * What game-state.service reports for a web player in a running show.
+     * null when the player is not standing in one.
+     */
+    async stateFor(userId) {
+        const current = await this._current();
+        if (!current) return null;
+        if ((await redis.sismember(aliveKey(current.showId), String(userId))) !== 1) return null;
+
+        const base = { live: true, showId: current.showId, questionNumber: current.questionNumber || null };
+        if (current.open && Date.now() <= current.deadline) {
+            const answered = await pool.query(
+                `SELECT 1 FROM live_show_answers WHERE show_id = $1 AND user_id = $2 AND question_number = $3`,
+                [current.showId, userId, current.questionNumber]
+            );
+            if (!answered.rows.length) {
+                return { ...base, phase: 'question', expects: 'answer',
+                         secondsRemaining: Math.max(0, Math.ceil((current.deadline - Date.now()) / 1000)) };
+            }
+        }
+        return { ...base, phase: 'between', expects: 'nothing' };
+    }
+
+    // ============================================
+    // THE SHOW LOOP
+    // ============================================
+
+    /**
+     * Called on an interval from server.js. Starts shows whose time has
+     * come and re-arms a running show after a restart.
+     */
+    async poll() {
+        try {
+            await this.ensureSchema();
+            const due = await pool.query(`
+                SELECT id FROM live_shows
+                WHERE status = 'scheduled' AND scheduled_at <= NOW()
+                ORDER BY scheduled_at ASC
+                LIMIT 1
+            `);
+            if (due.rows.length && !(await this._runningShow())) {
+                await this._start(due.rows[0].id);
+            }
+
+            const running = await this._runningShow();
+            if (running && !this._timers.has(running.id)) this._arm(running);
+        } catch (error) {
+            logger.error('Error polling live shows:', error);
+        }
+    }
+
+    async _start(showId) {
+        const started = await pool.query(`
+            UPDATE live_shows
+            SET status = 'running', phase = 'lobby', started_at = NOW(),
+                phase_ends_at = NOW() + ($2 || ' seconds')::interval
+            WHERE id = $1 AND status = 'scheduled'
+            RETURNING *
+        `, [showId, String(LOBBY_SECONDS)]);
+        if (!started.rows.length) return;
+        const show = started.rows[0];
+
+        const players = await pool.query(`
+            UPDATE live_show_players SET status = 'alive'
+            WHERE show_id = $1 AND status = 'joined'
+            RETURNING user_id
+        `, [showId]);
+
+        logger.info(`🔴 Live show ${showId} is LIVE with ${players.rows.length} player(s)`);
+
+        if (players.rows.length) {
+            await redis.sadd(aliveKey(showId), ...players.rows.map(p => String(p.user_id)));
+            await redis.expire(aliveKey(showId), 6 * 3600);
+        }
+        await this._setCurrent({ showId, questionNumber: 0, open: false });
+
+        const standing = await this._players(showId, ['alive']);
+        await this._broadcast(standing, () => ({
+            text: `🔴 *WE'RE LIVE!* 🔴\n\n*${show.title}*\n\n` +
+                `${show.question_count} questions · ${show.answer_window_seconds} seconds each\n` +
+                (show.pot > 0 ? `💰 Survivors split ₦${Number(show.pot).toLocaleString()}\n` : '') +
+                `\nQuestion 1 lands in ${LOBBY_SECONDS} seconds. Reply A, B, C or D — one wrong answer and you're out. Good luck! 🍀`
+        }));
+
+        this._arm(show);
+    }
+
+    _arm(show) {
+        this._disarm(show.id);
+        const wait = Math.max(0, new Date(show.phase_ends_at).getTime() - Date.now());
+        const t = setTimeout(() => {
+            this._timers.delete(show.id);
+            this.advance(show.id).catch(e => logger.error(`Live show ${show.id} advance failed: ${e.message}`));
+        }, wait);
+        if (t.unref) t.unref();
+        this._timers.set(show.id, t);
+    }
+
+    _disarm(showId) {
+        const t = this._timers.get(showId);
+        if (t) clearTimeout(t);
+        this._timers.delete(showId);
+    }
+
+    // Move the show on one phase. Safe to call twice: the lock and the
+    // phase_ends_at check make the second call a no-op.
+    async advance(showId) {
+        const lockKey = `lock:live_show:${showId}`;
+        const locked = await redis.set(lockKey, '1', 'NX', 'EX', 30);
+        if (!locked) return;
+        try {
+            const show = await this.getById(showId);
+            if (!show || show.status !== 'running') return;
+            if (new Date(show.phase_ends_at).getTime() > Date.now() + 250) {
+                this._arm(show);
+                return;
+            }
+
+            if (show.phase === 'open') {
+                await this._closeQuestion(show);
+                return;
+            }
+
+            const alive = parseInt((await pool.query(
+                `SELECT COUNT(*) AS n FROM live_show_players WHERE show_id = $1 AND status = 'alive'`, [showId]
+            )).rows[0].n);
+            if (show.current_question >= show.question_count || alive === 0) {
+                await this._finish(show);
+            } else {
+                await this._openQuestion(show, alive);
+            }
+        } finally {
+            await redis.del(lockKey);
+        }
+    }
+
+    async _openQuestion(show, aliveCount) {
+        const n = show.current_question + 1;
+        const difficulty = Math.min(MAX_DIFFICULTY, Math.max(1, Math.round((n * MAX_DIFFICULTY) / show.question_count)));
+        const question = await questionService.getQuestionByDifficulty(difficulty, show.question_ids || [], 'classic');
+        if (!question) {
+            logger.error(`Live show ${show.id}: no question available for Q${n} — ending the show`);
+            await this._finish(show);
+            return;
+        }
+
+        // See THE ANSWER WINDOW above.
+        const chatPlayers = parseInt((await pool.query(`
+            SELECT COUNT(*) AS n FROM live_show_players p JOIN users u ON u.id = p.user_id
+            WHERE p.show_id = $1 AND p.status = 'alive' AND u.phone_number NOT LIKE 'web_%'
+        `, [show.id])).rows[0].n);
+        const drainSeconds = Math.ceil(chatPlayers / CHAT_SENDS_PER_SECOND);
+        const windowSeconds = show.answer_window_seconds + drainSeconds;
+        const openedAt = Date.now();
+        const deadline = openedAt + windowSeconds * 1000;
+
+        const updated = await pool.query(`
+            UPDATE live_shows
+            SET current_question = $2, current_question_id = $3, phase = 'open',
+                phase_ends_at = $4, question_ids = array_append(question_ids, $3)
+            WHERE id = $1 AND status = 'running' AND current_question = $5
+            RETURNING *
+        `, [show.id, n, question.id, new Date(deadline), show.current_question]);
+        if (!updated.rows.length) return;
+
+        await this._setCurrent({ showId: show.id, questionNumber: n, open: true, openedAt, deadline });
+
+        const text = `🔴 *LIVE · QUESTION ${n} of ${show.question_count}*\n\n` +
+            `${question.question_text}\n\n` +
+            `A) ${question.option_a}\nB) ${question.option_b}\nC) ${question.option_c}\nD) ${question.option_d}\n\n` +
+            `⏱️ ${windowSeconds} seconds · 👥 ${aliveCount} still standing`;
+        const payload = {
+            live: true,
+            showId: show.id,
+            sessionId: null,
+            questionNumber: n,
+            totalQuestions: show.question_count,
+            safeCheckpoints: [],
+            text: question.question_text,
+            options: { A: question.option_a, B: question.option_b, C: question.option_c, D: question.option_d },
+            prizeAmount: show.pot,
+            survivors: aliveCount,
+            isSafeCheckpoint: false,
+            timerSeconds: windowSeconds,
+            expiresAt: deadline,
+            lifelines: { fiftyFifty: false, skip: false, audience: false },
+            imageUrl: null,
+            gameMode: 'live'
+        };
+
+        const players = await this._players(show.id, ['alive']);
+        await this._broadcast(players, () => ({ text, question: payload }));
+        logger.info(`🔴 Live show ${show.id}: Q${n} (question ${question.id}) to ${players.length} player(s), ${windowSeconds}s window`);
+
+        this._arm(updated.rows[0]);
+    }
+
+    async _closeQuestion(show) {
+        const n = show.current_question;
+        await this._setCurrent({ showId: show.id, questionNumber: n, open: false });
+
+        const question = await questionService.getQuestionById(show.current_question_id);
+        const correct = question.correct_answer;
+        const correctText = `${correct}) ${question['option_' + correct.toLowerCase()]}`;
+
+        await pool.query(`
+            UPDATE live_show_answers SET is_correct = (answer = $3)
+            WHERE show_id = $1 AND question_number = $2
+        `, [show.id, n, correct]);
+
+        const survived = await pool.query(`
+            UPDATE live_show_players p SET correct_count = correct_count + 1
+            FROM live_show_answers a
+            WHERE p.show_id = $1 AND p.status = 'alive'
+              AND a.show_id = p.show_id AND a.user_id = p.user_id
+              AND a.question_number = $2 AND a.is_correct = true
+            RETURNING p.user_id
+        `, [show.id, n]);
+        const survivorIds = survived.rows.map(r => r.user_id);
+
+        const eliminated = await pool.query(`
+            UPDATE live_show_players SET status = 'eliminated', eliminated_at_question = $2
+            WHERE show_id = $1 AND status = 'alive' AND NOT (user_id = ANY($3::int[]))
+            RETURNING user_id
+        `, [show.id, n, survivorIds]);
+        const outIds = eliminated.rows.map(r => r.user_id);
+        if (outIds.length) await redis.srem(aliveKey(show.id), ...outIds.map(String));
+
+        const split = await pool.query(`
+            SELECT answer, COUNT(*) AS n FROM live_show_answers
+            WHERE show_id = $1 AND question_number = $2 GROUP BY answer
+        `, [show.id, n]);
+        const totalAnswers = split.rows.reduce((a, r) => a + parseInt(r.n), 0);
+        const share = (opt) => {
+            const row = split.rows.find(r => r.answer === opt);
+            return totalAnswers ? Math.round(((row ? parseInt(row.n) : 0) * 100) / totalAnswers) : 0;
+        };
+        const splitLine = ['A', 'B', 'C', 'D'].map(o => `${o} ${share(o)}%`).join(' · ');
+
+        const answers = await pool.query(
+            `SELECT user_id, answer FROM live_show_answers WHERE show_id = $1 AND question_number = $2`,
+            [show.id, n]
+        );
+        const chosenBy = new Map(answers.rows.map(r => [r.user_id, r.answer]));
+        const survivorSet = new Set(survivorIds);
+        const isLast = n >= show.question_count;
+
+        const players = await this._players(show.id, ['alive', 'eliminated'], n);
+        await this._broadcast(players, (p) => {
+            const through = survivorSet.has(p.user_id);
+            const chosen = chosenBy.get(p.user_id) || null;
+            let text = `✅ Answer: *${correctText}*\n📊 ${splitLine}\n\n`;
+            if (through) {
+                text += isLast
+                    ? `🎉 You got it! That was the last question…`
+                    : `🎉 You're through! 👥 ${survivorIds.length} still standing.\nQuestion ${n + 1} in ${REVEAL_SECONDS} seconds.`;
+            } else {
+                text += chosen ? `❌ You picked ${chosen} — you're out this time.` : `⏰ No answer in time — you're out this time.`;
+                text += ` You made it to question ${n}.\n\n👥 ${survivorIds.length} still standing. Thanks for playing!`;
+            }
+            return {
+                text,
+                result: { questionNumber: n, chosen, correctAnswer: correct, correct: through,
+                          prizeAmount: 0, funFact: question.fun_fact || null, isSafeCheckpoint: false,
+                          live: true, survivors: survivorIds.length, split: splitLine },
+                over: through ? null : { outcome: chosen ? 'wrong_answer' : 'timeout', amountWon: 0,
+                                         questionsAnswered: n - 1, totalQuestions: show.question_count }
+            };
+        });
+
+        logger.info(`🔴 Live show ${show.id}: Q${n} closed — ${survivorIds.length} through, ${outIds.length} out`);
+
+        const updated = await pool.query(`
+            UPDATE live_shows SET phase = 'reveal', phase_ends_at = NOW() + ($2 || ' seconds')::interval
+            WHERE id = $1 RETURNING *
+        `, [show.id, String(REVEAL_SECONDS)]);
+        this._arm(updated.rows[0]);
+    }
+
+    async _finish(show) {
+        const winners = await pool.query(
+            `SELECT user_id FROM live_show_players WHERE show_id = $1 AND status = 'alive'`, [show.id]
+        );
+        const survivors = winners.rows.length;
+        const prizeEach = survivors ? Math.floor(show.pot / survivors) : 0;
+
+        await pool.query(`
+            UPDATE live_shows
+            SET status = 'completed', phase = NULL, phase_ends_at = NULL, completed_at = NOW(),
+                survivors = $2, prize_each = $3
+            WHERE id = $1 AND status = 'running'
+        `, [show.id, survivors, prizeEach]);
+        await pool.query(
+            `UPDATE live_show_players SET status = 'winner' WHERE show_id = $1 AND status = 'alive'`, [show.id]
+        );
+
+        // Tournament records: everyone's result, then the winners' prizes.
+        await pool.query(`
+            UPDATE tournament_participants tp
+            SET best_questions_answered = p.correct_count,
+                rank = CASE WHEN p.status = 'winner' THEN 1 ELSE NULL END
+            FROM live_show_players p
+            WHERE p.show_id = $1 AND tp.tournament_id = $2 AND tp.user_id = p.user_id
+        `, [show.id, show.tournament_id]);
+
+        let distributed = 0;
+        if (prizeEach > 0) {
+            for (const { user_id: userId } of winners.rows) {
+                try {
+                    await pool.query(
+                        `UPDATE tournament_participants SET prize_won = $1 WHERE tournament_id = $2 AND user_id = $3`,
+                        [prizeEach, show.tournament_id, userId]
+                    );
+                    const tx = await pool.query(`
+                        INSERT INTO transactions (user_id, amount, transaction_type, payment_status, description, tournament_id, created_at)
+                        VALUES ($1, $2, 'tournament_prize', 'pending', $3, $4, NOW())
+                        RETURNING id
+                    `, [userId, prizeEach, `Live Show Prize: ${show.title}`, show.tournament_id]);
+                    await ledgerService.recordPrize({
+                        transactionId: tx.rows[0].id, userId, amount: prizeEach, description: `Live show: ${show.title}`
+                    });
+                    distributed += prizeEach;
+                } catch (distError) {
+                    logger.error(`Error recording live show prize for user ${userId}:`, distError);
+                }
+            }
+        }
+        await pool.query(
+            `UPDATE tournaments SET status = 'completed', completed_at = NOW(), actual_prize_distributed = $1 WHERE id = $2`,
+            [distributed, show.tournament_id]
+        );
+
+        this._disarm(show.id);
+        const players = await this._players(show.id, ['winner']);
+        await this._clearHotState(show.id);
+
+        await this._broadcast(players, () => ({
+            text: `🏆 *YOU SURVIVED ${show.title.toUpperCase()}!* 🏆\n\n` +
+                `All ${show.current_question} questions, no mistakes. ` +
+                (survivors > 1 ? `You and ${survivors - 1} other${survivors > 2 ? 's' : ''} split the pot.\n\n` : `You're the only one left standing!\n\n`) +
+                (prizeEach > 0
+                    ? `💰 *Your share: ₦${prizeEach.toLocaleString()}*\n\nYour winnings will be added to your payout balance.\nType WITHDRAW to cash out!`
+                    : `Bragging rights are yours. 😎`),
+            over: { outcome: 'grand_prize', amountWon: prizeEach, perfect: true,
+                    questionsAnswered: show.current_question, totalQuestions: show.question_count }
+        }));
+
+        logger.info(`🔴 Live show ${show.id} finished: ${survivors} survivor(s), ₦${distributed} distributed`);
+    }
+
+    // ============================================
+    // FAN-OUT
+    // ============================================
+
+    /**
+     * Send one message per player. Chat goes through the message queue at
+     * high priority; web gets structured events (and the text only when
+     * there is no structured form of it).
+     * @param {object[]} players - rows from _players()
+     * @param {function(object): {text: string, question?: object, result?: object, over?: object}} build
+     */
+    async _broadcast(players, build) {
+        for (const p of players) {
+            try {
+                const out = build(p);
+                const platform = platformOf(p.phone_number);
+
+                if (platform === 'web') {
+                    if (out.question) {
+                        await gameEvents.emitQuestion(p.user_id, out.question);
+                    } else if (out.result) {
+                        await gameEvents.clearSnapshot(p.user_id);
+                        gameEvents.emit(p.user_id, 'answer.result', out.result);
+                    } else {
+                        gameEvents.emitMessage(p.user_id, out.text);
+                    }
+                    if (out.over) {
+                        gameEvents.emit(p.user_id, 'game.over', {
+                            wonGrandPrize: false, perfect: false, ...out.over,
+                            isLive: true, isPractice: false, isTournament: false,
+                            hasWinnings: out.over.amountWon > 0, canClaim: out.over.amountWon > 0,
+                            gameMode: 'live', gameType: 'live', sessionId: null,
+                            menu: [{ k: '5', v: 'Main menu' }]
+                        });
+                    }
+                    require('./game-state.service').schedule(p.phone_number);
+                    continue;
+                }
+
+                const chatId = platform === 'telegram' ? String(p.phone_number).replace(/^tg_/, '') : p.phone_number;
+                await messageQueue.enqueue(chatId, out.text, platform, 'text', {}, 0);
+            } catch (error) {
+                logger.error(`Live show fan-out failed for user ${p.user_id}: ${error.message}`);
+            }
+        }
+    }
+
+    // Players in the given statuses; eliminatedAt narrows 'eliminated' to
+    // those knocked out on that question.
+    async _players(showId, statuses, eliminatedAt = null) {
+        const result = await pool.query(`
+            SELECT p.user_id, p.status, u.phone_number
+            FROM live_show_players p
+            JOIN users u ON u.id = p.user_id
+            WHERE p.show_id = $1 AND p.status = ANY($2::text[])
+              AND ($3::int IS NULL OR p.status <> 'eliminated' OR p.eliminated_at_question = $3)
+        `, [showId, statuses, eliminatedAt]);
+        return result.rows;
+    }
+
+    // ============================================
+    // HOT STATE (Redis)
+    // ============================================
+
+    async _current() {
+        try {
+            const raw = await redis.get(CURRENT_KEY);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async _setCurrent(state) {
+        await redis.setex(CURRENT_KEY, 6 * 3600, JSON.stringify(state));
+    }
+
+    async _clearHotState(showId) {
+        const current = await this._current();
+        if (current && current.showId === showId) await redis.del(CURRENT_KEY);
+        await redis.del(aliveKey(showId));
+    }
+
+    async _runningShow() {
+        const result = await pool.query(`SELECT * FROM live_shows WHERE status = 'running' LIMIT 1`);
+        return result.rows[0] || null;
+    }
+
+    // Shows are announced in Nigerian time (WAT), whatever the server's zone.
+    _formatWhen(date) {
+        return new Date(date).toLocaleString('en-NG', {
+            timeZone: 'Africa/Lagos', weekday: 'short', day: 'numeric', month: 'short',
+            hour: 'numeric', minute: '2-digit'
+        }) + ' (WAT)';
+    }
+}
+
+module.exports = new LiveShowService();
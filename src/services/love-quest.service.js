@@ -8,6 +8,7 @@ const pool = require('../config/database');
 const redis = require('../config/redis');
 const { logger } = require('../utils/logger');
 const { getTranslations } = require('../config/love-quest-i18n');
+const ledgerService = require('./ledger.service');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
@@ -1070,6 +1071,10 @@ class LoveQuestService {
                     INSERT INTO transactions (user_id, amount, transaction_type, status, notes)
                     VALUES ($1, $2, 'love_quest_prize', 'confirmed', $3)
                 `, [playerId, amount, `Love Quest prize from booking ${booking.booking_code}`]);
+                await ledgerService.recordWalletCredit({
+                    userId: playerId, amount, key: `love_quest_prize:${booking.id}`,
+                    description: `Love Quest prize (${booking.booking_code})`
+                });
                 
                 prizeMsg += `${t.cash_prize_wallet}\n\n`;
                 
@@ -8,7 +8,11 @@ const Paystack = require('paystack-api');
 const pool = require('../config/database');
 const { logger } = require('../utils/logger');
 const activityService = require('../services/activity.service');
+const ledgerService = require('./ledger.service');
 const gatewayManager = require('./payment-gateway-manager');
+const promoCodeService = require('./promo-code.service');
+const referralRewards = require('./referral-rewards.service');
+const streakService = require('./streak.service');
 const { platformOf } = require('../utils/platform');
 
 class PaymentService {
@@ -46,9 +50,11 @@ class PaymentService {
    * @param {object} user       full users row
    * @param {number} packageId
    * @param {string|null} gatewayName
-   * @param {object} options    { email, callbackUrl } — per-call overrides.
-   *                            Web players have a real email on file; chat
-   *                            players don't, hence the synthetic fallback.
+   * @param {object} options    { email, callbackUrl, promoCode } — per-call
+   *                            overrides. Web players have a real email on
+   *                            file; chat players don't, hence the synthetic
+   *                            fallback. promoCode is a discount code; a code
+   *                            that doesn't apply throws with promoRejected set.
    */
   async initializePayment(user, packageId, gatewayName = null, options = {}) {
     try {
@@ -71,6 +77,23 @@ class PaymentService {
       const pkg = packageResult.rows[0];
       const reference = this.generateReference(user.id, gateway.getName());
 
+      // payment_transactions.promo_code_id is added by the promo schema,
+      // streak_freezes by the streak schema
+      await promoCodeService.ensureSchema();
+      await streakService.ensureSchema();
+      let amount = Number(pkg.price_naira);
+      let promo = null;
+      if (options.promoCode) {
+        const quote = await promoCodeService.quoteDiscount(options.promoCode, user.id, pkg);
+        if (!quote.valid) {
+          const err = new Error(quote.reason);
+          err.promoRejected = true;
+          throw err;
+        }
+        promo = { id: quote.code.id, code: quote.code.code, discount: quote.discount };
+        amount = quote.amount;
+      }
+
       // Gateways email the receipt to this address, so send the real one when
       // we have it. web_a1b2c3@wuaib.com is a black hole.
       const email = options.email
@@ -79,7 +102,7 @@ class PaymentService {
 
       const initResult = await gateway.initialize({
         reference,
-        amount: pkg.price_naira,
+        amount,
         email,
         callbackUrl: options.callbackUrl || `${process.env.APP_URL}/payment/callback`,
         customerName: user.full_name,
@@ -91,15 +114,16 @@ class PaymentService {
           package_name: pkg.name,
           games_count: pkg.games_count,
           platform: platform,
+          promo_code: promo ? promo.code : undefined,
           description: `${pkg.games_count} game tokens`
         }
       });
 
       await pool.query(
         `INSERT INTO payment_transactions 
-         (user_id, package_id, reference, amount, games_purchased, status, platform, gateway_used)
-         VALUES ($1, $2, $3, $4, $5, 'pending', $6, $7)`,
-        [user.id, packageId, reference, pkg.price_naira, pkg.games_count, platform, gateway.getName()]
+         (user_id, package_id, reference, amount, games_purchased, status, platform, gateway_used, promo_code_id, discount_amount, streak_freezes)
+         VALUES ($1, $2, $3, $4, $5, 'pending', $6, $7, $8, $9, $10)`,
+        [user.id, packageId, reference, amount, pkg.games_count, platform, gateway.getName(), promo ? promo.id : null, promo ? promo.discount : null, pkg.streak_freezes || 0]
       );
 
       logger.info(`💳 Payment initialized via ${gateway.getName()} for user ${user.id} (${platform}): ${reference}`);
@@ -108,8 +132,11 @@ class PaymentService {
         authorization_url: initResult.authorization_url,
         access_code: initResult.access_code,
         reference: reference,
-        amount: pkg.price_naira,
+        amount,
+        discount: promo ? promo.discount : 0,
+        promoCode: promo ? promo.code : null,
         games: pkg.games_count,
+        streakFreezes: pkg.streak_freezes || 0,
         platform: platform,
         gateway: gateway.getName()
       };
@@ -120,6 +147,70 @@ class PaymentService {
     }
   }
 
+  /**
+   * Checkout for buying back a broken streak. Goes through
+   * payment_transactions like a package (no package, no games) so the
+   * usual callback/webhook/poll paths verify it; verifyPayment hands it
+   * to streakService.applyRestore(). Throws with noRestoreOffer set when
+   * there is nothing to restore.
+   */
+  async initializeStreakRestore(user, gatewayName = null, options = {}) {
+    try {
+      await streakService.ensureSchema();
+      const streakInfo = await streakService.getStreakInfo(user.id);
+      const offer = streakInfo && streakInfo.restoreOffer;
+      if (!offer) {
+        const err = new Error('There is no broken streak to restore');
+        err.noRestoreOffer = true;
+        throw err;
+      }
+
+      const gateway = gatewayName
+        ? await gatewayManager.getEnabledGatewayByName(gatewayName)
+        : await gatewayManager.getDefaultGateway();
+      const platform = platformOf(user);
+      const reference = this.generateReference(user.id, gateway.getName());
+      const email = options.email || user.email || `${user.phone_number}@wuaib.com`;
+
+      const initResult = await gateway.initialize({
+        reference,
+        amount: offer.fee,
+        email,
+        callbackUrl: options.callbackUrl || `${process.env.APP_URL}/payment/callback`,
+        customerName: user.full_name,
+        metadata: {
+          user_id: user.id,
+          user_name: user.full_name,
+          user_phone: user.phone_number,
+          platform: platform,
+          purchase_type: 'streak_restore',
+          description: `Restore ${offer.lostStreak}-day streak`
+        }
+      });
+
+      await pool.query(
+        `INSERT INTO payment_transactions 
+         (user_id, package_id, reference, amount, games_purchased, status, platform, gateway_used, purchase_type)
+         VALUES ($1, NULL, $2, $3, 0, 'pending', $4, $5, 'streak_restore')`,
+        [user.id, reference, offer.fee, platform, gateway.getName()]
+      );
+
+      logger.info(`💳 Streak restore initialized via ${gateway.getName()} for user ${user.id} (${platform}): ${reference}`);
+
+      return {
+        authorization_url: initResult.authorization_url,
+        reference,
+        amount: offer.fee,
+        lostStreak: offer.lostStreak,
+        platform,
+        gateway: gateway.getName()
+      };
+    } catch (error) {
+      logger.error('Error initializing streak restore:', error);
+      throw error;
+    }
+  }
+
   /**
    * @param {string} reference
    * @param {object} opts  { markFailed } — set false for background polling.
@@ -147,6 +238,11 @@ class PaymentService {
           success: true,
           amount: parseFloat(transaction.amount),
           games: transaction.games_purchased,
+          purchaseType: transaction.purchase_type || 'games',
+          streakFreezes: transaction.streak_freezes || 0,
+          streakRestore: transaction.purchase_type === 'streak_restore'
+            ? await streakService.getRestoreResult(reference)
+            : null,
           userId: transaction.user_id,
           platform: transaction.platform,
           gateway: transaction.gateway_used
@@ -192,6 +288,7 @@ class PaymentService {
         [verifyResult.raw?.reference || reference, channel, paid_at, reference]
       );
 
+      let streakRestore = null;
       if (claimed.rowCount > 0) {
         await pool.query(
           `UPDATE users 
@@ -202,6 +299,26 @@ class PaymentService {
           [transaction.games_purchased, transaction.user_id]
         );
 
+        await ledgerService.recordPurchase({
+          reference,
+          userId: transaction.user_id,
+          games: transaction.games_purchased,
+          amount: parseFloat(transaction.amount),
+          gateway: gateway.getName(),
+          description: transaction.purchase_type === 'streak_restore' ? 'Streak restore' : null
+        });
+
+        if (transaction.promo_code_id) {
+          await promoCodeService.recordPaymentRedemption(transaction);
+        }
+
+        if (transaction.streak_freezes > 0) {
+          await streakService.grantFreezes(transaction.user_id, transaction.streak_freezes, 'purchased', `payment:${reference}`);
+        }
+        if (transaction.purchase_type === 'streak_restore') {
+          streakRestore = await streakService.applyRestore(transaction);
+        }
+
         if (transaction.status === 'failed') {
           logger.warn(`♻️ Recovered payment previously marked failed: ${reference}`);
         }
@@ -211,7 +328,12 @@ class PaymentService {
         // record() never throws and is not awaited — a broken activity
         // feed must never break a payment. Actor is the public username;
         // the event text names the package, never the amount paid.
-        activityService.record('purchase', transaction.user_id, { games: transaction.games_purchased });
+        if (transaction.games_purchased > 0) {
+          activityService.record('purchase', transaction.user_id, { games: transaction.games_purchased });
+        }
+
+        // Referral tiers (first purchase). Fire-and-forget, never throws.
+        referralRewards.evaluate(transaction.user_id);
       } else {
         logger.info(`Payment ${reference} already credited by another path — not crediting twice`);
       }
@@ -220,6 +342,9 @@ class PaymentService {
         success: true,
         amount: verifyResult.amount,
         games: transaction.games_purchased,
+        purchaseType: transaction.purchase_type || 'games',
+        streakFreezes: transaction.streak_freezes || 0,
+        streakRestore,
         userId: transaction.user_id,
         platform: transaction.platform,
         gateway: gateway.getName()
@@ -278,14 +403,18 @@ class PaymentService {
 
   async deductGame(userId) {
     try {
+      // Only a credit actually taken is recorded; a player already at zero
+      // stays at zero, as before.
       const result = await pool.query(
         `UPDATE users 
-         SET games_remaining = GREATEST(games_remaining - 1, 0)
-         WHERE id = $1
+         SET games_remaining = games_remaining - 1
+         WHERE id = $1 AND games_remaining > 0
          RETURNING games_remaining`,
         [userId]
       );
 
+      if (result.rows.length > 0) await ledgerService.recordGamePlay(userId);
+
       const gamesLeft = result.rows[0]?.games_remaining || 0;
       logger.info(`Game deducted from user ${userId}. Games remaining: ${gamesLeft}`);
       
@@ -296,6 +425,56 @@ class PaymentService {
     }
   }
 
+  /**
+   * Record a refund already issued from the gateway's dashboard: take back
+   * whatever of the purchased games is still unplayed and post the refund
+   * to the ledger. Games already played are not clawed back.
+   */
+  async refundPurchase(reference, adminId, reason = null) {
+    const claimed = await pool.query(
+      `UPDATE payment_transactions SET status = 'refunded'
+       WHERE reference = $1 AND status = 'success'
+       RETURNING *`,
+      [reference]
+    );
+    if (claimed.rows.length === 0) {
+      return { success: false, error: 'Only a successful purchase can be refunded' };
+    }
+    const payment = claimed.rows[0];
+
+    const client = await pool.connect();
+    let gamesRemoved = 0;
+    try {
+      await client.query('BEGIN');
+      const current = await client.query(
+        'SELECT games_remaining FROM users WHERE id = $1 FOR UPDATE',
+        [payment.user_id]
+      );
+      gamesRemoved = Math.min(current.rows[0]?.games_remaining || 0, payment.games_purchased);
+      await client.query(
+        'UPDATE users SET games_remaining = games_remaining - $1 WHERE id = $2',
+        [gamesRemoved, payment.user_id]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Refund ${reference}: could not remove unplayed games:`, error);
+    } finally {
+      client.release();
+    }
+
+    await ledgerService.recordRefund({
+      reference,
+      userId: payment.user_id,
+      games: gamesRemoved,
+      amount: parseFloat(payment.amount),
+      gateway: payment.gateway_used
+    }, adminId, reason);
+
+    logger.info(`↩️ Purchase ${reference} refunded by admin ${adminId}: ₦${payment.amount}, ${gamesRemoved} unplayed game(s) removed`);
+    return { success: true, amount: parseFloat(payment.amount), gamesRemoved, userId: payment.user_id };
+  }
+
   formatPaymentMessage(packages) {
     let message = '💰 BUY GAMES 💰\n\n';
     message += 'Select a package:\n\n';
@@ -304,6 +483,9 @@ class PaymentService {
       const bestValue = pkg.name === 'Value' ? ' ⭐ BEST VALUE' : '';
       message += `${index + 1}️⃣ ${pkg.name} - ₦${pkg.price_naira.toLocaleString()}\n`;
       message += `   ${pkg.games_count} games${bestValue}\n`;
+      if (pkg.streak_freezes > 0) {
+        message += `   + ${pkg.streak_freezes} streak freeze${pkg.streak_freezes > 1 ? 's' : ''} 🧊\n`;
+      }
       message += `   ${pkg.description}\n\n`;
     });
 
@@ -0,0 +1,463 @@
+// ============================================
+// FILE: src/services/payout-approval.service.js
+// MAKER-CHECKER (FOUR-EYES) FOR PAYOUT ACTIONS
+//
+// EXPORT SHAPE: exports an INSTANCE (like disbursement.service.js).
+//   const payoutApprovals = require('./payout-approval.service');
+//
+// Approving, marking paid, sending by transfer, cancelling and forfeiting
+// payouts — one at a time or in bulk — all go through submit(). When the money involved is
+// at or below PAYOUT_DUAL_APPROVAL_THRESHOLD (the same limit that holds
+// back large "pay all approved" batches) the action runs straight away.
+// Above it, nothing happens yet: a payout_approvals row waits for a
+// different admin, and both of them must give a reason.
+//   awaiting_approval → approved → executed   the action ran
+//                                → failed     nothing was left to do, or it threw
+//   awaiting_approval → rejected              a second admin turned it down
+//   awaiting_approval → withdrawn             the requester took it back
+//   awaiting_approval → expired               nobody decided in APPROVAL_HOURS
+//
+// AUDIT
+// payout_history gets an approval_requested row per payout, and the
+// action's own row (approved, paid, cancelled, forfeited) carries both
+// actors: admin_id is who asked, approved_by is who agreed.
+//
+// Bulk requests freeze their payout list, like payout batches. Each
+// action's eligibility clause is applied again when it finally runs, so
+// a payout claimed or settled in the meantime is left alone. Approving
+// and marking paid run in one transaction: if any payout in the list has
+// moved on, none of them change.
+// ============================================
+
+const pool = require('../config/database');
+const PayoutService = require('./payout.service');
+const ledgerService = require('./ledger.service');
+const disbursementService = require('./disbursement.service');
+const { logger } = require('../utils/logger');
+
+const payoutService = new PayoutService();
+
+const APPROVAL_HOURS = 24;                   // an undecided request goes stale
+const MIN_REASON_LENGTH = 5;
+
+const OPEN = `payout_status IN ('pending', 'details_collected', 'approved')`;
+const FORFEITABLE = `payout_status = 'pending' AND claimed_at IS NULL AND created_at < NOW() - INTERVAL '72 hours'`;
+// Held prizes (perfect game, face mismatch) can't move towards being paid
+const NOT_HELD = `payout_hold IS NOT TRUE`;
+
+// `eligible` is the SQL a payout must match for the action to touch it;
+// `missing` is the answer when a single payout doesn't. The second admin
+// needs `permission` too, not just the right to approve requests.
+const ACTIONS = {
+    approve: {
+        label: 'Approve payout', permission: 'payouts.approve',
+        eligible: `payout_status IN ('pending', 'details_collected') AND ${NOT_HELD}`,
+        missing: [409, 'Payout not found, already approved or on hold for review']
+    },
+    mark_paid: {
+        label: 'Mark payout as paid', permission: 'payouts.disburse',
+        eligible: `payout_status = 'approved' AND ${NOT_HELD}`,
+        missing: [409, 'Payout not found, not approved yet, on hold for review or already settled']
+    },
+    disburse: {
+        label: 'Send payout by transfer', permission: 'payouts.disburse',
+        eligible: `payout_status = 'approved' AND ${NOT_HELD}`,
+        missing: [409, 'Payout not found, not approved yet, on hold for review or already settled']
+    },
+    cancel: {
+        label: 'Cancel payout', permission: 'payouts.approve',
+        eligible: OPEN,
+        missing: [404, 'Payout not found or already processed']
+    },
+    forfeit: {
+        label: 'Forfeit unclaimed payout', permission: 'payouts.approve',
+        eligible: FORFEITABLE,
+        missing: [409, 'Not forfeitable — it may have been claimed in time, already settled, or is still inside the 72-hour window.']
+    },
+    bulk_cancel: {
+        label: 'Bulk cancel payouts', permission: 'payouts.approve',
+        eligible: OPEN, bulk: true
+    },
+    forfeit_expired: {
+        label: 'Forfeit all expired payouts', permission: 'payouts.approve',
+        eligible: FORFEITABLE, bulk: true
+    }
+};
+
+class PayoutApprovalService {
+    constructor() {
+        this._schemaReady = false;
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS payout_approvals (
+                id SERIAL PRIMARY KEY,
+                action VARCHAR(30) NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'awaiting_approval',
+                transaction_ids INTEGER[] NOT NULL,
+                payout_count INTEGER NOT NULL,
+                total_amount DECIMAL(14,2) NOT NULL,
+                params JSONB NOT NULL DEFAULT '{}',
+                requested_by INTEGER NOT NULL,
+                requested_by_name VARCHAR(100),
+                request_reason TEXT NOT NULL,
+                approved_by INTEGER,
+                approved_by_name VARCHAR(100),
+                approval_reason TEXT,
+                result JSONB,
+                created_at TIMESTAMP DEFAULT NOW(),
+                decided_at TIMESTAMP,
+                completed_at TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_payout_approvals_one_open
+            ON payout_approvals(action, transaction_ids) WHERE status = 'awaiting_approval'
+        `);
+        await pool.query(`
+            ALTER TABLE IF EXISTS payout_history
+                ADD COLUMN IF NOT EXISTS approved_by INTEGER,
+                ADD COLUMN IF NOT EXISTS approval_id INTEGER
+        `);
+        this._schemaReady = true;
+    }
+
+    threshold() {
+        return disbursementService.approvalThreshold();
+    }
+
+    permissionFor(action) {
+        return ACTIONS[action] ? ACTIONS[action].permission : null;
+    }
+
+    _cleanReason(reason) {
+        const text = String(reason || '').trim();
+        return text.length >= MIN_REASON_LENGTH ? text.slice(0, 500) : null;
+    }
+
+    /** The payouts an action would touch right now, oldest first. */
+    async _targets(action, transactionIds) {
+        const params = [];
+        let only = '';
+        if (transactionIds) {
+            params.push(transactionIds.map(id => parseInt(id)).filter(Number.isInteger));
+            only = 'AND id = ANY($1::int[])';
+        }
+        const result = await pool.query(`
+            SELECT id, amount FROM transactions
+            WHERE transaction_type IN ('prize', 'tournament_prize')
+              AND ${ACTIONS[action].eligible}
+              ${only}
+            ORDER BY created_at
+        `, params);
+        return result.rows;
+    }
+
+    // ============================================
+    // REQUESTING
+    // ============================================
+
+    /**
+     * Run a payout action, or hold it for a second admin when it moves
+     * more than the threshold.
+     * @param {string} action  a key of ACTIONS
+     * @param {{ transactionIds?: number[], params?: object, reason?: string }} request
+     *        transactionIds is required for single-payout actions; a bulk
+     *        action without it means everything currently eligible.
+     * @param {{ id: number, name: string }} admin
+     * @returns {{ ok: boolean, status?: number, error?: string, reasonRequired?: boolean,
+     *             pending?: boolean, approval?: object, result?: object }}
+     */
+    async submit(action, { transactionIds = null, params = {}, reason = null } = {}, admin) {
+        await this.ensureSchema();
+        const def = ACTIONS[action];
+        if (!def) return { ok: false, error: `Unknown payout action: ${action}` };
+
+        const targets = await this._targets(action, transactionIds);
+        if (!targets.length && !def.bulk) return { ok: false, status: def.missing[0], error: def.missing[1] };
+
+        const ids = targets.map(t => t.id);
+        const total = targets.reduce((sum, t) => sum + parseFloat(t.amount || 0), 0);
+        if (total <= this.threshold()) {
+            const result = await this._run(action, ids, params, { adminId: admin.id, notes: this._cleanReason(reason) });
+            return { ok: true, result };
+        }
+
+        const why = this._cleanReason(reason);
+        if (!why) {
+            return {
+                ok: false, status: 400, reasonRequired: true,
+                error: `₦${total.toLocaleString()} is above the ₦${this.threshold().toLocaleString()} limit, so a second admin must approve it — give a reason (at least ${MIN_REASON_LENGTH} characters) for them to read`
+            };
+        }
+
+        let approval;
+        try {
+            const inserted = await pool.query(`
+                INSERT INTO payout_approvals
+                    (action, transaction_ids, payout_count, total_amount, params, requested_by, requested_by_name, request_reason)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING *
+            `, [action, ids, ids.length, total, JSON.stringify(params || {}), admin.id, admin.name, why]);
+            approval = inserted.rows[0];
+        } catch (error) {
+            if (error.code === '23505') return { ok: false, status: 409, error: 'This is already waiting for a second admin' };
+            throw error;
+        }
+
+        await pool.query(`
+            INSERT INTO payout_history (transaction_id, action, admin_id, approval_id, notes)
+            SELECT unnest($1::int[]), 'approval_requested', $2, $3, $4
+        `, [ids, admin.id, approval.id, `${def.label}: ${why}`]);
+
+        logger.info(`🔐 Payout approval #${approval.id}: ${def.label}, ${ids.length} payout(s), ₦${total.toLocaleString()} — requested by ${admin.name}`);
+        return { ok: true, pending: true, approval: this._present(approval, admin.id) };
+    }
+
+    // ============================================
+    // DECIDING
+    // ============================================
+
+    async get(approvalId) {
+        await this.ensureSchema();
+        const result = await pool.query('SELECT * FROM payout_approvals WHERE id = $1', [approvalId]);
+        return result.rows[0] || null;
+    }
+
+    async approve(approvalId, admin, reason) {
+        await this.ensureSchema();
+        const why = this._cleanReason(reason);
+        if (!why) return { ok: false, reasonRequired: true, error: `Give a reason for approving (at least ${MIN_REASON_LENGTH} characters)` };
+
+        const approval = await this.get(approvalId);
+        if (!approval) return { ok: false, status: 404, error: 'Approval request not found' };
+        if (approval.status !== 'awaiting_approval') return { ok: false, error: `This request is ${approval.status}` };
+        if (approval.requested_by === admin.id) return { ok: false, error: 'A different admin must approve this' };
+
+        if (Date.now() - new Date(approval.created_at).getTime() > APPROVAL_HOURS * 3600 * 1000) {
+            await pool.query(`UPDATE payout_approvals SET status = 'expired' WHERE id = $1 AND status = 'awaiting_approval'`, [approvalId]);
+            return { ok: false, error: `This request is more than ${APPROVAL_HOURS} hours old — ask for it again` };
+        }
+
+        const claimed = await pool.query(`
+            UPDATE payout_approvals
+            SET status = 'approved', approved_by = $2, approved_by_name = $3, approval_reason = $4, decided_at = NOW()
+            WHERE id = $1 AND status = 'awaiting_approval'
+            RETURNING *
+        `, [approvalId, admin.id, admin.name, why]);
+        if (!claimed.rows.length) return { ok: false, error: 'This request was already handled' };
+
+        let outcome;
+        try {
+            const ids = (await this._targets(approval.action, approval.transaction_ids)).map(t => t.id);
+            if (!ids.length) {
+                outcome = { status: 'failed', result: { error: 'Nothing left to do — the payouts were settled, claimed or cancelled in the meantime' } };
+            } else {
+                const result = await this._run(approval.action, ids, approval.params || {}, {
+                    adminId: approval.requested_by,
+                    approvedBy: admin.id,
+                    approvalId: approval.id,
+                    notes: `Requested: ${approval.request_reason} — Approved: ${why}`
+                });
+                outcome = result.error
+                    ? { status: 'failed', result: { error: result.error } }
+                    : { status: 'executed', result: { count: result.count, total_amount: result.total_amount } };
+            }
+        } catch (error) {
+            logger.error(`Payout approval #${approvalId} failed: ${error.message}`);
+            outcome = { status: 'failed', result: { error: error.message } };
+        }
+
+        const updated = await pool.query(`
+            UPDATE payout_approvals SET status = $2, result = $3, completed_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `, [approvalId, outcome.status, JSON.stringify(outcome.result)]);
+
+        logger.info(`🔐 Payout approval #${approvalId} ${outcome.status} — approved by ${admin.name}`);
+        if (outcome.status === 'failed') return { ok: false, error: outcome.result.error, approval: updated.rows[0] };
+        return { ok: true, approval: updated.rows[0], result: outcome.result };
+    }
+
+    // The requester can take their own request back; anyone else rejects it.
+    async reject(approvalId, admin, reason) {
+        await this.ensureSchema();
+        const why = this._cleanReason(reason);
+        if (!why) return { ok: false, reasonRequired: true, error: `Give a reason (at least ${MIN_REASON_LENGTH} characters)` };
+
+        const updated = await pool.query(`
+            UPDATE payout_approvals
+            SET status = CASE WHEN requested_by = $2 THEN 'withdrawn' ELSE 'rejected' END,
+                approved_by = $2, approved_by_name = $3, approval_reason = $4, decided_at = NOW()
+            WHERE id = $1 AND status = 'awaiting_approval'
+            RETURNING *
+        `, [approvalId, admin.id, admin.name, why]);
+        const approval = updated.rows[0];
+        if (!approval) return { ok: false, error: 'This request is not awaiting approval' };
+
+        await pool.query(`
+            INSERT INTO payout_history (transaction_id, action, admin_id, approval_id, notes)
+            SELECT unnest($1::int[]), $2, $3, $4, $5
+        `, [approval.transaction_ids, `approval_${approval.status}`, admin.id, approval.id, why]);
+        return { ok: true, approval };
+    }
+
+    // ============================================
+    // LISTING
+    // ============================================
+
+    /** Open requests, oldest first; stale ones are expired on the way. */
+    async listPending(viewerId) {
+        await this.ensureSchema();
+        await pool.query(`
+            UPDATE payout_approvals SET status = 'expired'
+            WHERE status = 'awaiting_approval' AND created_at < NOW() - INTERVAL '${APPROVAL_HOURS} hours'
+        `);
+        const result = await pool.query(`SELECT * FROM payout_approvals WHERE status = 'awaiting_approval' ORDER BY created_at`);
+        return result.rows.map(row => this._present(row, viewerId));
+    }
+
+    async listRecent(limit = 20, viewerId = null) {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT * FROM payout_approvals WHERE status <> 'awaiting_approval'
+            ORDER BY COALESCE(completed_at, decided_at, created_at) DESC LIMIT $1
+        `, [limit]);
+        return result.rows.map(row => this._present(row, viewerId));
+    }
+
+    _present(row, viewerId) {
+        return {
+            ...row,
+            label: ACTIONS[row.action] ? ACTIONS[row.action].label : row.action,
+            mine: viewerId != null && row.requested_by === viewerId
+        };
+    }
+
+    // ============================================
+    // RUNNING
+    // ============================================
+
+    /**
+     * Carry out an action on payouts already known to be eligible.
+     * @returns {{ count: number, total_amount: number, rows: object[],
+     *             disbursal?: object, error?: string }}
+     *          disbursal is what disbursementService.disburse() answered;
+     *          error means it refused and nothing was sent.
+     */
+    async _run(action, ids, params, { adminId, approvedBy = null, approvalId = null, notes = null }) {
+        const history = { approvedBy, approvalId, notes };
+        const stamp = new Date().toISOString();
+        let rows = [];
+
+        if (action === 'approve' || action === 'mark_paid') {
+            // All or nothing: a payout that moved on since it was checked rolls
+            // the whole lot back, and winners hear nothing until it commits.
+            const paymentMethod = params.paymentMethod || 'bank_transfer';
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const result = action === 'approve'
+                    ? await client.query(`
+                        UPDATE transactions SET payout_status = 'approved', updated_at = NOW()
+                        WHERE id = ANY($1::int[])
+                          AND transaction_type IN ('prize', 'tournament_prize')
+                          AND ${ACTIONS.approve.eligible}
+                        RETURNING id, user_id, amount, payout_status
+                    `, [ids])
+                    : await client.query(`
+                        UPDATE transactions
+                        SET payout_status = 'paid', payment_reference = $2, payment_method = $3,
+                            paid_at = NOW(), updated_at = NOW()
+                        WHERE id = ANY($1::int[])
+                          AND transaction_type IN ('prize', 'tournament_prize')
+                          AND ${ACTIONS.mark_paid.eligible}
+                        RETURNING id, user_id, amount, payout_status
+                    `, [ids, params.paymentReference, paymentMethod]);
+                if (result.rows.length !== ids.length) {
+                    const changed = ids.filter(id => !result.rows.some(r => r.id === id));
+                    throw new Error(`Payout${changed.length === 1 ? '' : 's'} ${changed.join(', ')} changed in the meantime — nothing was updated`);
+                }
+                rows = result.rows;
+                await this._history(rows, action === 'approve' ? 'approved' : 'paid', adminId, history, {
+                    db: client,
+                    payment: action === 'mark_paid' ? { reference: params.paymentReference, method: paymentMethod } : null
+                });
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK').catch(() => {});
+                throw error;
+            } finally {
+                client.release();
+            }
+
+            if (action === 'mark_paid') {
+                await ledgerService.settlePrizes('payout', ids, { adminId, reference: params.paymentReference });
+                for (const id of ids) {
+                    await payoutService.notifyPayoutSent(id, params.paymentReference).catch(err =>
+                        logger.error(`Payout ${id} marked paid but the winner wasn't notified: ${err.message}`));
+                }
+            }
+        } else if (action === 'disburse') {
+            // One payout at a time; the transfer's own state machine settles it
+            const disbursal = await disbursementService.disburse(ids[0], adminId);
+            if (!disbursal.transfer) return { count: 0, total_amount: 0, rows: [], disbursal, error: disbursal.error };
+            rows = [{ id: ids[0], amount: disbursal.transfer.amount }];
+            if (approvalId) await this._history(rows, 'transfer_approved', adminId, history);
+            const total = parseFloat(disbursal.transfer.amount || 0);
+            return { count: 1, total_amount: total, rows, disbursal };
+        } else if (action === 'cancel' || action === 'bulk_cancel') {
+            const why = notes || (action === 'cancel' ? 'Admin action' : 'Admin bulk action');
+            const result = await pool.query(`
+                UPDATE transactions
+                SET payout_status = 'cancelled',
+                    admin_notes = COALESCE(admin_notes, '') || $2
+                WHERE id = ANY($1::int[])
+                  AND transaction_type IN ('prize', 'tournament_prize')
+                  AND ${OPEN}
+                RETURNING id, user_id, amount, payout_status
+            `, [ids, `\n[${action === 'cancel' ? 'Cancelled' : 'Bulk cancelled'}: ${why} at ${stamp}]`]);
+            rows = result.rows;
+            await ledgerService.settlePrizes('cancel', rows.map(r => r.id), {
+                adminId, reason: notes ? `Prize cancelled: ${notes}` : null
+            });
+            await this._history(rows, 'cancelled', adminId, history);
+        } else if (action === 'forfeit' || action === 'forfeit_expired') {
+            const result = await pool.query(`
+                UPDATE transactions
+                SET payout_status = 'cancelled',
+                    notes = COALESCE(notes, '') || $2
+                WHERE id = ANY($1::int[])
+                  AND transaction_type IN ('prize', 'tournament_prize')
+                  AND ${FORFEITABLE}
+                RETURNING id, user_id, amount
+            `, [ids, `\n[Forfeited: unclaimed after 72 hours, at ${stamp}]`]);
+            rows = result.rows;
+            await ledgerService.settlePrizes('forfeit', rows.map(r => r.id), {
+                adminId, reason: 'Prize forfeited: unclaimed after 72 hours'
+            });
+            await this._history(rows, 'forfeited', adminId, history);
+        } else {
+            throw new Error(`Unknown payout action: ${action}`);
+        }
+
+        const total = rows.reduce((sum, r) => sum + parseFloat(r.amount || 0), 0);
+        return { count: rows.length, total_amount: total, rows };
+    }
+
+    // `payment` is { reference, method } for a 'paid' row; `db` lets a caller
+    // write inside its own transaction.
+    async _history(rows, action, adminId, { approvedBy, approvalId, notes }, { db = pool, payment = null } = {}) {
+        if (!rows.length) return;
+        await db.query(`
+            INSERT INTO payout_history (transaction_id, action, admin_id, approved_by, approval_id, notes, payment_reference, payment_method)
+            SELECT unnest($1::int[]), $2, $3, $4, $5, $6, $7, $8
+        `, [rows.map(r => r.id), action, adminId, approvedBy, approvalId, notes,
+            payment ? payment.reference : null, payment ? payment.method : null]);
+    }
+}
+
+module.exports = new PayoutApprovalService();
@@ -5,6 +5,7 @@
 const pool = require('../config/database');
 const { logger } = require('../utils/logger');
 const activityService = require('./activity.service');
+const ledgerService = require('./ledger.service');
 const BankService = require('./bank.service');
 
 class PayoutService {
@@ -416,6 +417,8 @@ class PayoutService {
         [transactionId, adminId, paymentReference, paymentMethod]
       );
 
+      await ledgerService.settlePrizes('payout', [transactionId], { adminId, reference: paymentReference });
+
       logger.info(`Transaction ${transactionId} marked as paid by ${adminId}`);
       return true;
     } catch (error) {
@@ -424,6 +427,59 @@ class PayoutService {
     }
   }
 
+  // Tell the winner their prize is on its way. Used for manual mark-paid
+  // and for automated transfers once the gateway confirms them.
+  async notifyPayoutSent(transactionId, paymentReference) {
+    const result = await pool.query(
+      `SELECT t.*, u.phone_number, u.full_name, u.email, pd.account_name, pd.bank_name, pd.account_number
+       FROM transactions t
+       JOIN users u ON t.user_id = u.id
+       LEFT JOIN payout_details pd ON t.id = pd.transaction_id
+       WHERE t.id = $1`,
+      [transactionId]
+    );
+    if (result.rows.length === 0) return;
+
+    const transaction = result.rows[0];
+    const MessagingService = require('./messaging.service');
+    const messagingService = new MessagingService();
+
+    const isWeb = String(transaction.phone_number || '').startsWith('web_');
+
+    const body =
+      `✅ PAYMENT SENT! 🎉\n\n` +
+      `₦${parseFloat(transaction.amount).toLocaleString()} has been sent to:\n` +
+      `${transaction.account_name}\n` +
+      `${transaction.bank_name} (${transaction.account_number})\n\n` +
+      `Transaction Reference: ${paymentReference}\n\n` +
+      `Please check your account within 2 hours and confirm receipt.\n\n` +
+      (isWeb
+        ? `Open the game and tap "Confirm I received it" on your prize.\n\n`
+        : `Reply "RECEIVED" to confirm!\n\n`) +
+      `Keep playing to win more! 🏆`;
+
+    if (isWeb) {
+      // A payout lands hours after the player closed the tab, so an SSE
+      // push reaches nobody. Email is the only durable channel web has —
+      // this notification was simply being lost before.
+      const contactService = require('./contact.service');
+
+      messagingService.sendMessage(transaction.phone_number, body).catch(() => {});
+      await contactService.send(
+        { id: transaction.user_id, phone_number: transaction.phone_number, email: transaction.email },
+        {
+          text: body,
+          subject: `Your ₦${parseFloat(transaction.amount).toLocaleString()} prize has been sent`,
+          kind: 'transactional'
+        }
+      );
+      logger.info(`Payment notification emailed to web user ${transaction.user_id}`);
+    } else {
+      await messagingService.sendMessage(transaction.phone_number, body);
+      logger.info(`Payment notification sent to ${transaction.phone_number}`);
+    }
+  }
+
   // Confirm payout (user confirms receipt)
   async confirmPayout(transactionId) {
     try {
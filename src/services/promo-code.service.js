@@ -1,14 +1,105 @@
 // ============================================
 // FILE: src/services/promo-code.service.js
-// Manage promo codes for free tournament entry
+// Manage promo codes: free tournament entry, discounts on game packages
+// and free classic games.
+//
+// EXPORT SHAPE: exports an INSTANCE.
+//   const promoCodeService = require('./promo-code.service');
+//
+// REWARD TYPES (promo_codes.reward_type, reward_value)
+//   'tournament_entry'  — free entry or rebuy; redeemed with CODE in the
+//                         tournament payment flow. Value unused.
+//   'discount_percent'  — value % off a game package
+//   'discount_fixed'    — value naira off a game package
+//   'game_credits'      — value classic games, redeemed with REDEEM <code>
+//
+// A discount is applied when the checkout opens (payment.service) but is
+// only counted as a redemption once the payment verifies. Until then the
+// pending checkout holds the code, so a single-use code can't be spent
+// twice by opening two links at the same moment. The limits are checked
+// again when the payment verifies; a late payment on a code that ran out
+// is flagged over_limit rather than counted.
+//
+// CAMPAIGNS (promo_campaigns)
+// A campaign generates thousands of unique single-use codes in one go for
+// flyers and influencers. The codes are ordinary promo_codes rows with
+// campaign_id set; they are kept out of the hand-made code list and
+// exported as CSV instead. Redemptions record the platform they came from
+// so a campaign can be broken down by platform and acquisition source.
 // ============================================
 
+const crypto = require('crypto');
 const pool = require('../config/database');
 const { logger } = require('../utils/logger');
 const { platformOf } = require('../utils/platform');
 const activityService = require('./activity.service');
+const ledgerService = require('./ledger.service');
+
+const REWARD_TYPES = ['tournament_entry', 'discount_percent', 'discount_fixed', 'game_credits'];
+const DISCOUNT_TYPES = ['discount_percent', 'discount_fixed'];
+
+// No 0/O, 1/I/L or 5/S: these get read off a flyer and typed into a phone.
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRTUVWXYZ2346789';
+const CODE_LENGTH = 8;
+const MAX_CAMPAIGN_CODES = 50000;
+const INSERT_BATCH = 500;
+
+// Gateways won't open a checkout below this, so a discount stops short of it.
+const MIN_CHARGE_NAIRA = 100;
+
+// Checkout links expire after 30 minutes; an unpaid one holds its code that long.
+const CHECKOUT_HOLD_MINUTES = 30;
 
 class PromoCodeService {
+    constructor() {
+        this._schemaReady = false;
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS promo_campaigns (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(120) NOT NULL,
+                description TEXT,
+                reward_type VARCHAR(20) NOT NULL,
+                reward_value INTEGER,
+                tournament_id INTEGER REFERENCES tournaments(id) ON DELETE SET NULL,
+                code_prefix VARCHAR(8),
+                code_count INTEGER NOT NULL DEFAULT 0,
+                expires_at TIMESTAMP,
+                is_active BOOLEAN NOT NULL DEFAULT true,
+                created_by_admin_id INTEGER,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        await pool.query(`ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS campaign_id INTEGER REFERENCES promo_campaigns(id)`);
+        await pool.query(`ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS reward_type VARCHAR(20) NOT NULL DEFAULT 'tournament_entry'`);
+        await pool.query(`ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS reward_value INTEGER`);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_promo_codes_campaign ON promo_codes(campaign_id)`);
+        // Discount and game-credit redemptions have no tournament
+        await pool.query(`ALTER TABLE promo_code_redemptions ALTER COLUMN tournament_id DROP NOT NULL`);
+        await pool.query(`ALTER TABLE promo_code_redemptions ADD COLUMN IF NOT EXISTS platform VARCHAR(20)`);
+        await pool.query(`ALTER TABLE promo_code_redemptions ADD COLUMN IF NOT EXISTS payment_reference VARCHAR(100)`);
+        await pool.query(`ALTER TABLE promo_code_redemptions ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(10,2)`);
+        await pool.query(`ALTER TABLE promo_code_redemptions ADD COLUMN IF NOT EXISTS games_granted INTEGER`);
+        // A discounted payment that verified after the code had run out
+        await pool.query(`ALTER TABLE promo_code_redemptions ADD COLUMN IF NOT EXISTS over_limit BOOLEAN NOT NULL DEFAULT false`);
+        await pool.query(`ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS promo_code_id INTEGER REFERENCES promo_codes(id) ON DELETE SET NULL`);
+        await pool.query(`ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(10,2)`);
+        this._schemaReady = true;
+    }
+
+    /** What a code gives, in words: "20% off", "₦500 off", "5 free games". */
+    describeReward(promo) {
+        switch (promo.reward_type) {
+            case 'discount_percent': return `${promo.reward_value}% off`;
+            case 'discount_fixed': return `₦${Number(promo.reward_value).toLocaleString()} off`;
+            case 'game_credits': return `${promo.reward_value} free game${promo.reward_value === 1 ? '' : 's'}`;
+            default: return 'Free tournament entry';
+        }
+    }
 
     /**
      * Validate a code for a specific user + tournament.
@@ -17,6 +108,7 @@ class PromoCodeService {
      */
     async validateCode(rawCode, userId, tournamentId) {
         try {
+            await this.ensureSchema();
             const code = (rawCode || '').trim().toUpperCase();
             if (!code) return { valid: false, reason: 'Empty code' };
 
@@ -30,6 +122,10 @@ class PromoCodeService {
 
             const promo = r.rows[0];
 
+            if (promo.reward_type !== 'tournament_entry') {
+                return { valid: false, reason: 'This code is not for tournament entry. Type REDEEM ' + code + ' instead' };
+            }
+
             if (!promo.is_active) {
                 return { valid: false, reason: 'Code is deactivated' };
             }
@@ -82,6 +178,7 @@ class PromoCodeService {
         const TournamentService = require('./tournament.service');
         const tournamentService = new TournamentService();
         
+        await this.ensureSchema();
         const client = await pool.connect();
         try {
             await client.query('BEGIN');
@@ -100,6 +197,10 @@ class PromoCodeService {
             const promo = lockResult.rows[0];
 
             // Final validation (locked)
+            if (promo.reward_type !== 'tournament_entry') {
+                await client.query('ROLLBACK');
+                return { success: false, reason: 'This code is not for tournament entry' };
+            }
             if (!promo.is_active) {
                 await client.query('ROLLBACK');
                 return { success: false, reason: 'Code is deactivated' };
@@ -167,9 +268,16 @@ class PromoCodeService {
 
             // Record the redemption
             await client.query(`
-                INSERT INTO promo_code_redemptions (promo_code_id, user_id, tournament_id)
-                VALUES ($1, $2, $3)
-            `, [promo.id, userId, tournamentId]);
+                INSERT INTO promo_code_redemptions (promo_code_id, user_id, tournament_id, platform, payment_reference)
+                VALUES ($1, $2, $3, $4, $5)
+            `, [promo.id, userId, tournamentId, platform, reference]);
+
+            if (tokensRemaining) {
+                await ledgerService.recordTokens('promo', {
+                    reference, userId, tournamentId, tokens: tokensRemaining,
+                    description: `Promo code ${codeUpper}: ${tournament.tournament_name}`
+                }, client);
+            }
 
             // Increment the code's usage counter
             await client.query(`
@@ -209,6 +317,7 @@ class PromoCodeService {
      * Returns { success: bool, tokensRemaining: number, reason?: string }
      */
     async redeemCodeForRebuy(rawCode, userId, tournamentId) {
+        await this.ensureSchema();
         const client = await pool.connect();
         try {
             await client.query('BEGIN');
@@ -226,6 +335,10 @@ class PromoCodeService {
             const promo = lockResult.rows[0];
 
             // Standard validation
+            if (promo.reward_type !== 'tournament_entry') {
+                await client.query('ROLLBACK');
+                return { success: false, reason: 'This code is not for tournament entry' };
+            }
             if (!promo.is_active) {
                 await client.query('ROLLBACK');
                 return { success: false, reason: 'Code is deactivated' };
@@ -303,9 +416,14 @@ class PromoCodeService {
 
             // Record the redemption
             await client.query(`
-                INSERT INTO promo_code_redemptions (promo_code_id, user_id, tournament_id)
-                VALUES ($1, $2, $3)
-            `, [promo.id, userId, tournamentId]);
+                INSERT INTO promo_code_redemptions (promo_code_id, user_id, tournament_id, platform, payment_reference)
+                VALUES ($1, $2, $3, $4, $5)
+            `, [promo.id, userId, tournamentId, platform, reference]);
+
+            await ledgerService.recordTokens('promo', {
+                reference, userId, tournamentId, tokens: tokensToAdd,
+                description: `Promo code ${codeUpper} rebuy: ${tournament.tournament_name}`
+            }, client);
 
             // Increment code's usage counter
             await client.query(`
@@ -336,30 +454,263 @@ class PromoCodeService {
         }
     }
 
+    // ============================================
+    // GAME CREDITS & DISCOUNTS
+    // ============================================
+
+    /**
+     * The checks every code goes through whatever it's for: exists, active,
+     * not expired, not used up overall or by this player. Pass a client to
+     * lock the code row for a redemption inside that transaction.
+     * Returns { valid: bool, reason?: string, code?: object }
+     */
+    async inspectCode(rawCode, userId, client = null) {
+        await this.ensureSchema();
+        const db = client || pool;
+        const code = (rawCode || '').trim().toUpperCase();
+        if (!code) return { valid: false, reason: 'Empty code' };
+
+        const r = await db.query(`SELECT * FROM promo_codes WHERE code = $1${client ? ' FOR UPDATE' : ''}`, [code]);
+        if (r.rows.length === 0) return { valid: false, reason: 'Code not found' };
+
+        const promo = r.rows[0];
+        if (!promo.is_active) return { valid: false, reason: 'Code is deactivated' };
+        if (promo.expires_at && new Date(promo.expires_at) < new Date()) {
+            return { valid: false, reason: 'Code has expired' };
+        }
+        if (promo.max_redemptions !== null && promo.redemption_count >= promo.max_redemptions) {
+            return { valid: false, reason: 'Code redemption limit reached' };
+        }
+
+        const userUses = await db.query(`
+            SELECT COUNT(*) as count FROM promo_code_redemptions
+            WHERE promo_code_id = $1 AND user_id = $2
+        `, [promo.id, userId]);
+        if (parseInt(userUses.rows[0].count) >= promo.max_per_user) {
+            return { valid: false, reason: 'You have already used this code' };
+        }
+
+        return { valid: true, code: promo };
+    }
+
+    /**
+     * Redeem a game-credit code: the games go straight onto the player's
+     * classic balance.
+     * Returns { success: bool, games?: number, gamesRemaining?: number, reason?: string }
+     */
+    async redeemGameCredits(rawCode, userId) {
+        await this.ensureSchema();
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const check = await this.inspectCode(rawCode, userId, client);
+            if (!check.valid) {
+                await client.query('ROLLBACK');
+                return { success: false, reason: check.reason };
+            }
+            const promo = check.code;
+            if (promo.reward_type !== 'game_credits') {
+                await client.query('ROLLBACK');
+                return { success: false, reason: 'This code is not for free games' };
+            }
+
+            const games = promo.reward_value;
+            const userResult = await client.query(`
+                UPDATE users SET games_remaining = games_remaining + $1
+                WHERE id = $2
+                RETURNING *
+            `, [games, userId]);
+            if (userResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return { success: false, reason: 'User not found' };
+            }
+            const user = userResult.rows[0];
+
+            const redemption = await client.query(`
+                INSERT INTO promo_code_redemptions (promo_code_id, user_id, platform, games_granted)
+                VALUES ($1, $2, $3, $4)
+                RETURNING id
+            `, [promo.id, userId, platformOf(user), games]);
+
+            await ledgerService.recordGamesGranted('promo', {
+                userId, games,
+                key: `promo_games:${redemption.rows[0].id}`,
+                description: `Promo code ${promo.code}: ${games} free games`
+            }, client);
+
+            await client.query(`
+                UPDATE promo_codes SET redemption_count = redemption_count + 1, updated_at = NOW()
+                WHERE id = $1
+            `, [promo.id]);
+
+            await client.query('COMMIT');
+
+            logger.info(`🎟️ Promo code ${promo.code} redeemed by user ${userId} for ${games} games`);
+            return { success: true, games, gamesRemaining: user.games_remaining, code: promo };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error(`Error redeeming game-credit code (code=${rawCode}, user=${userId}): ${error.message}`);
+            return { success: false, reason: 'Error redeeming code' };
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Price a game package with a discount code. Called when the checkout
+     * is about to open; nothing is redeemed until the payment verifies.
+     * Returns { valid, reason?, code?, discount?, amount? } — amount is what
+     * the player pays.
+     */
+    async quoteDiscount(rawCode, userId, pkg) {
+        try {
+            const check = await this.inspectCode(rawCode, userId);
+            if (!check.valid) return check;
+            const promo = check.code;
+            if (!DISCOUNT_TYPES.includes(promo.reward_type)) {
+                return { valid: false, reason: 'This code is not a discount on game packages' };
+            }
+
+            // Unpaid checkouts hold the code — the player's own included, or one
+            // player could open several links with a single-use code and pay
+            // every one at the discount.
+            const held = await pool.query(`
+                SELECT COUNT(*) as count,
+                       COUNT(*) FILTER (WHERE user_id = $2) as own
+                FROM payment_transactions
+                WHERE promo_code_id = $1 AND status = 'pending'
+                  AND created_at > NOW() - INTERVAL '${CHECKOUT_HOLD_MINUTES} minutes'
+            `, [promo.id, userId]);
+            const heldCount = parseInt(held.rows[0].count);
+            const ownCount = parseInt(held.rows[0].own);
+            if (ownCount > 0) {
+                const userUses = await pool.query(`
+                    SELECT COUNT(*) as count FROM promo_code_redemptions
+                    WHERE promo_code_id = $1 AND user_id = $2
+                `, [promo.id, userId]);
+                if (parseInt(userUses.rows[0].count) + ownCount >= promo.max_per_user) {
+                    return { valid: false, reason: `You already have a checkout open with this code. Pay that one, or try again in ${CHECKOUT_HOLD_MINUTES} minutes` };
+                }
+            }
+            if (promo.max_redemptions !== null && promo.redemption_count + heldCount >= promo.max_redemptions) {
+                return { valid: false, reason: 'Code redemption limit reached' };
+            }
+
+            const price = Number(pkg.price_naira);
+            let discount = promo.reward_type === 'discount_percent'
+                ? Math.round(price * promo.reward_value / 100)
+                : promo.reward_value;
+            discount = Math.min(discount, price - MIN_CHARGE_NAIRA);
+            if (discount <= 0) {
+                return { valid: false, reason: 'This code can\'t be used on that package' };
+            }
+
+            return { valid: true, code: promo, discount, amount: price - discount };
+        } catch (error) {
+            logger.error('Error quoting promo discount:', error);
+            return { valid: false, reason: 'Error validating code' };
+        }
+    }
+
+    /**
+     * A discounted payment has verified — count the redemption. Called once,
+     * by whichever path claimed the payment. Never throws: the player has
+     * paid and their games are credited whatever happens here.
+     *
+     * The limits are checked again under a row lock: a checkout paid after
+     * its hold lapsed can land on a code that has since run out. That
+     * redemption is still recorded (the discount was charged) but flagged
+     * over_limit and left out of redemption_count.
+     */
+    async recordPaymentRedemption(transaction) {
+        await this.ensureSchema();
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const r = await client.query(`SELECT * FROM promo_codes WHERE id = $1 FOR UPDATE`, [transaction.promo_code_id]);
+            const promo = r.rows[0];
+            let overLimit = false;
+            if (promo) {
+                const userUses = await client.query(`
+                    SELECT COUNT(*) as count FROM promo_code_redemptions
+                    WHERE promo_code_id = $1 AND user_id = $2 AND over_limit = false
+                `, [promo.id, transaction.user_id]);
+                overLimit = (promo.max_redemptions !== null && promo.redemption_count >= promo.max_redemptions)
+                    || parseInt(userUses.rows[0].count) >= promo.max_per_user;
+            }
+
+            await client.query(`
+                INSERT INTO promo_code_redemptions (promo_code_id, user_id, platform, payment_reference, discount_amount, over_limit)
+                VALUES ($1, $2, $3, $4, $5, $6)
+            `, [transaction.promo_code_id, transaction.user_id, transaction.platform, transaction.reference, transaction.discount_amount, overLimit]);
+            if (promo && !overLimit) {
+                await client.query(`
+                    UPDATE promo_codes SET redemption_count = redemption_count + 1, updated_at = NOW()
+                    WHERE id = $1
+                `, [promo.id]);
+            }
+
+            await client.query('COMMIT');
+
+            if (overLimit) {
+                logger.warn(`⚠️ Promo ${promo.code} over its limit: payment ${transaction.reference} by user ${transaction.user_id} verified after the code ran out (₦${transaction.discount_amount} discount)`);
+            }
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            logger.error(`Error recording promo redemption for payment ${transaction.reference}:`, error);
+        } finally {
+            client.release();
+        }
+    }
+
     // ============================================
     // ADMIN OPERATIONS
     // ============================================
 
-    async createCode({ code, description, tournament_id, max_redemptions, max_per_user, expires_at, admin_id }) {
+    /** Checks a reward type and value; returns the value to store. Throws on bad input. */
+    normalizeReward(rewardType, rewardValue) {
+        if (!REWARD_TYPES.includes(rewardType)) throw new Error('Unknown reward type');
+        if (rewardType === 'tournament_entry') return null;
+
+        const value = parseInt(rewardValue);
+        if (rewardType === 'discount_percent' && !(value >= 1 && value <= 90)) {
+            throw new Error('Percentage discount must be between 1 and 90');
+        }
+        if (rewardType === 'discount_fixed' && !(value >= 1)) {
+            throw new Error('Fixed discount must be at least ₦1');
+        }
+        if (rewardType === 'game_credits' && !(value >= 1 && value <= 100)) {
+            throw new Error('Game credits must be between 1 and 100');
+        }
+        return value;
+    }
+
+    async createCode({ code, description, tournament_id, max_redemptions, max_per_user, expires_at, admin_id, reward_type = 'tournament_entry', reward_value = null }) {
         try {
+            await this.ensureSchema();
             const codeUpper = code.trim().toUpperCase();
             if (!/^[A-Z0-9_-]{3,50}$/.test(codeUpper)) {
                 throw new Error('Code must be 3-50 chars, letters/numbers/underscore/hyphen only');
             }
+            const value = this.normalizeReward(reward_type, reward_value);
             
             const result = await pool.query(`
                 INSERT INTO promo_codes 
-                    (code, description, tournament_id, max_redemptions, max_per_user, expires_at, created_by_admin_id)
-                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                    (code, description, tournament_id, max_redemptions, max_per_user, expires_at, created_by_admin_id, reward_type, reward_value)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
                 RETURNING *
             `, [
                 codeUpper, 
                 description || '', 
-                tournament_id || null, 
+                reward_type === 'tournament_entry' ? (tournament_id || null) : null, 
                 max_redemptions || null, 
                 max_per_user || 1, 
                 expires_at || null, 
-                admin_id || null
+                admin_id || null,
+                reward_type,
+                value
             ]);
             
             logger.info(`Promo code created: ${codeUpper} by admin ${admin_id}`);
@@ -373,13 +724,16 @@ class PromoCodeService {
         }
     }
 
+    // Hand-made codes only — campaign codes are listed per campaign.
     async listCodes() {
         try {
+            await this.ensureSchema();
             const result = await pool.query(`
                 SELECT pc.*, t.tournament_name, a.username as created_by
                 FROM promo_codes pc
                 LEFT JOIN tournaments t ON pc.tournament_id = t.id
                 LEFT JOIN admins a ON pc.created_by_admin_id = a.id
+                WHERE pc.campaign_id IS NULL
                 ORDER BY pc.created_at DESC
             `);
             return result.rows;
@@ -423,7 +777,7 @@ class PromoCodeService {
                 SELECT pcr.*, u.username, u.full_name, u.phone_number, t.tournament_name
                 FROM promo_code_redemptions pcr
                 JOIN users u ON pcr.user_id = u.id
-                JOIN tournaments t ON pcr.tournament_id = t.id
+                LEFT JOIN tournaments t ON pcr.tournament_id = t.id
                 WHERE pcr.promo_code_id = $1
                 ORDER BY pcr.redeemed_at DESC
             `, [codeId]);
@@ -433,6 +787,217 @@ class PromoCodeService {
             return [];
         }
     }
+
+    // ============================================
+    // CAMPAIGNS
+    // ============================================
+
+    _randomCode(prefix) {
+        let body = '';
+        for (let i = 0; i < CODE_LENGTH; i++) {
+            body += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+        }
+        return prefix ? `${prefix}-${body}` : body;
+    }
+
+    /**
+     * Create a campaign and its codes, all single-use. Codes are generated
+     * in batches; a collision with an existing code is simply skipped and
+     * made up in the next batch. All or nothing.
+     */
+    async createCampaign({ name, description, reward_type, reward_value, tournament_id, code_prefix, count, expires_at, admin_id }) {
+        await this.ensureSchema();
+
+        if (!name || !name.trim()) throw new Error('Campaign name is required');
+        const value = this.normalizeReward(reward_type, reward_value);
+        const total = parseInt(count);
+        if (!(total >= 1 && total <= MAX_CAMPAIGN_CODES)) {
+            throw new Error(`Number of codes must be between 1 and ${MAX_CAMPAIGN_CODES.toLocaleString()}`);
+        }
+        const prefix = (code_prefix || '').trim().toUpperCase();
+        if (!/^[A-Z0-9]{0,8}$/.test(prefix)) {
+            throw new Error('Prefix must be up to 8 letters or numbers');
+        }
+        const tournamentId = reward_type === 'tournament_entry' ? (tournament_id || null) : null;
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const campaignResult = await client.query(`
+                INSERT INTO promo_campaigns
+                    (name, description, reward_type, reward_value, tournament_id, code_prefix, code_count, expires_at, created_by_admin_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING *
+            `, [name.trim(), description || '', reward_type, value, tournamentId, prefix || null, total, expires_at || null, admin_id || null]);
+            const campaign = campaignResult.rows[0];
+
+            let created = 0;
+            let attempts = 0;
+            while (created < total) {
+                if (++attempts > Math.ceil(total / INSERT_BATCH) * 3) {
+                    throw new Error('Could not generate enough unique codes — try a different prefix');
+                }
+                const batch = [];
+                for (let i = 0; i < Math.min(INSERT_BATCH, total - created); i++) {
+                    batch.push(this._randomCode(prefix));
+                }
+                const inserted = await client.query(`
+                    INSERT INTO promo_codes
+                        (code, description, tournament_id, max_redemptions, max_per_user, expires_at,
+                         created_by_admin_id, campaign_id, reward_type, reward_value)
+                    SELECT c, $2, $3, 1, 1, $4, $5, $6, $7, $8 FROM UNNEST($1::text[]) AS c
+                    ON CONFLICT (code) DO NOTHING
+                `, [batch, campaign.name, tournamentId, expires_at || null, admin_id || null, campaign.id, reward_type, value]);
+                created += inserted.rowCount;
+            }
+
+            await client.query('COMMIT');
+            logger.info(`Promo campaign "${campaign.name}" created with ${total} codes by admin ${admin_id}`);
+            return campaign;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error creating promo campaign:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async listCampaigns() {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT pc.*, t.tournament_name, a.username AS created_by,
+                   COUNT(c.id)::int AS codes,
+                   COUNT(c.id) FILTER (WHERE c.redemption_count > 0)::int AS codes_used,
+                   COALESCE(SUM(c.redemption_count), 0)::int AS redemptions
+            FROM promo_campaigns pc
+            LEFT JOIN promo_codes c ON c.campaign_id = pc.id
+            LEFT JOIN tournaments t ON pc.tournament_id = t.id
+            LEFT JOIN admins a ON pc.created_by_admin_id = a.id
+            GROUP BY pc.id, t.tournament_name, a.username
+            ORDER BY pc.created_at DESC
+        `);
+        return result.rows;
+    }
+
+    /** Switches the campaign and every one of its codes on or off. */
+    async setCampaignActive(campaignId, isActive) {
+        await this.ensureSchema();
+        const result = await pool.query(
+            'UPDATE promo_campaigns SET is_active = $1 WHERE id = $2 RETURNING id',
+            [isActive, campaignId]
+        );
+        if (result.rows.length === 0) throw new Error('Campaign not found');
+        await pool.query(
+            'UPDATE promo_codes SET is_active = $1, updated_at = NOW() WHERE campaign_id = $2',
+            [isActive, campaignId]
+        );
+        return true;
+    }
+
+    /** Every code in a campaign as CSV, for the printer or the influencer sheet. */
+    async exportCampaignCsv(campaignId) {
+        await this.ensureSchema();
+        const campaignResult = await pool.query('SELECT * FROM promo_campaigns WHERE id = $1', [campaignId]);
+        if (campaignResult.rows.length === 0) return null;
+        const campaign = campaignResult.rows[0];
+
+        const codes = await pool.query(`
+            SELECT c.code, c.is_active, c.redemption_count, c.expires_at,
+                   MAX(r.redeemed_at) AS redeemed_at
+            FROM promo_codes c
+            LEFT JOIN promo_code_redemptions r ON r.promo_code_id = c.id
+            WHERE c.campaign_id = $1
+            GROUP BY c.id
+            ORDER BY c.id
+        `, [campaignId]);
+
+        const cell = (v) => {
+            const text = v === null || v === undefined ? '' : String(v);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const reward = this.describeReward(campaign);
+        const lines = ['code,reward,expires,status,redeemed_at'];
+        for (const c of codes.rows) {
+            const status = c.redemption_count > 0 ? 'redeemed' : (c.is_active ? 'unused' : 'inactive');
+            lines.push([
+                c.code,
+                reward,
+                c.expires_at ? new Date(c.expires_at).toISOString().split('T')[0] : '',
+                status,
+                c.redeemed_at ? new Date(c.redeemed_at).toISOString() : ''
+            ].map(cell).join(','));
+        }
+        return { campaign, csv: lines.join('\n') + '\n' };
+    }
+
+    /**
+     * How a campaign performed: totals, then redemptions by platform, by the
+     * acquisition source players gave at sign-up, and by day. "New players"
+     * are redeemers who signed up after the campaign was created.
+     */
+    async getCampaignAnalytics(campaignId) {
+        await this.ensureSchema();
+        const campaignResult = await pool.query('SELECT * FROM promo_campaigns WHERE id = $1', [campaignId]);
+        if (campaignResult.rows.length === 0) return null;
+        const campaign = campaignResult.rows[0];
+
+        const redemptionsFrom = `
+            FROM promo_code_redemptions r
+            JOIN promo_codes c ON c.id = r.promo_code_id
+            JOIN users u ON u.id = r.user_id
+            WHERE c.campaign_id = $1
+        `;
+
+        const [summary, revenue, byPlatform, bySource, daily] = await Promise.all([
+            pool.query(`
+                SELECT COUNT(*)::int AS redemptions,
+                       COUNT(DISTINCT r.user_id)::int AS players,
+                       COUNT(DISTINCT r.user_id) FILTER (WHERE u.created_at >= $2)::int AS new_players,
+                       COUNT(DISTINCT r.promo_code_id)::int AS codes_used,
+                       COALESCE(SUM(r.games_granted), 0)::int AS games_granted,
+                       COALESCE(SUM(r.discount_amount), 0) AS discount_given
+                ${redemptionsFrom}
+            `, [campaignId, campaign.created_at]),
+            pool.query(`
+                SELECT COALESCE(SUM(pt.amount), 0) AS revenue
+                FROM payment_transactions pt
+                JOIN promo_codes c ON c.id = pt.promo_code_id
+                WHERE c.campaign_id = $1 AND pt.status = 'success'
+            `, [campaignId]),
+            pool.query(`
+                SELECT COALESCE(r.platform, u.platform, 'whatsapp') AS platform,
+                       COUNT(*)::int AS redemptions, COUNT(DISTINCT r.user_id)::int AS players
+                ${redemptionsFrom}
+                GROUP BY 1 ORDER BY redemptions DESC
+            `, [campaignId]),
+            pool.query(`
+                SELECT COALESCE(u.acquisition_source, 'unassigned') AS source,
+                       COUNT(*)::int AS redemptions, COUNT(DISTINCT r.user_id)::int AS players
+                ${redemptionsFrom}
+                GROUP BY 1 ORDER BY redemptions DESC
+            `, [campaignId]),
+            pool.query(`
+                SELECT DATE(r.redeemed_at) AS day, COUNT(*)::int AS redemptions
+                ${redemptionsFrom}
+                GROUP BY 1 ORDER BY 1
+            `, [campaignId])
+        ]);
+
+        return {
+            campaign: { ...campaign, reward: this.describeReward(campaign) },
+            summary: {
+                ...summary.rows[0],
+                codes: campaign.code_count,
+                discount_given: parseFloat(summary.rows[0].discount_given),
+                revenue: parseFloat(revenue.rows[0].revenue)
+            },
+            byPlatform: byPlatform.rows,
+            bySource: bySource.rows,
+            daily: daily.rows
+        };
+    }
 }
 
 module.exports = new PromoCodeService();
\ No newline at end of file
@@ -0,0 +1,344 @@
+// ============================================
+// FILE: src/services/question-import.service.js
+// SPREADSHEET IMPORT — CSV/XLSX in, dry-run preview, then commit into a
+// question bank.
+//
+// EXPORT SHAPE: exports an INSTANCE (like audience.service.js).
+//   const questionImport = require('./question-import.service');
+//
+// FLOW
+// 1. preview(fileName, buffer) parses the sheet, validates every row and
+//    compares it with the existing bank. Nothing is written to questions;
+//    the checked rows are parked in Redis under a preview id.
+// 2. commit(previewId, bankId) inserts the rows that passed, in one
+//    transaction, into a bank from questionService.getQuestionBanks().
+//    Exact duplicates never go in; near-duplicates only when asked to.
+//
+// COLUMNS
+// The header row is matched loosely — "Question", "question_text" and
+// "QUESTION TEXT" are all the question. Required: question, option A–D,
+// correct answer. Optional: difficulty (1–15), category, fun fact.
+// The correct answer may be the letter or the full text of an option.
+//
+// TRANSLATIONS
+// A column named after a text field plus a language — "Question (Pidgin)",
+// "option_a_pcm", "Fun Fact [Efik]" — carries that field's translation.
+// Translations are stored alongside the question (see language.service.js)
+// and never change the answer key.
+//
+// NEAR-DUPLICATES
+// Text is normalised (case, punctuation, spacing) before comparing.
+// Equal after that is a duplicate; 80%+ word overlap is a near-duplicate
+// worth a human look ("Who was Nigeria's first president?" vs "Who was
+// the first president of Nigeria?").
+// ============================================
+
+const crypto = require('crypto');
+const pool = require('../config/database');
+const redis = require('../config/redis');
+const QuestionService = require('./question.service');
+const languageService = require('./language.service');
+const { DEFAULT_LANGUAGE, resolveLanguage } = require('../config/i18n');
+const { parseSpreadsheet } = require('../utils/spreadsheet');
+const { logger } = require('../utils/logger');
+
+const questionService = new QuestionService();
+
+const MAX_ROWS = 2000;
+const PREVIEW_TTL = 3600;   // 1 hour to review and commit
+const NEAR_DUPLICATE_SIMILARITY = 0.8;
+const DEFAULT_DIFFICULTY = 7;
+
+// Header aliases, compared after lower-casing and stripping non-letters.
+const COLUMNS = {
+    question_text: ['question', 'questiontext', 'q'],
+    option_a: ['optiona', 'a', 'answera', 'choicea'],
+    option_b: ['optionb', 'b', 'answerb', 'choiceb'],
+    option_c: ['optionc', 'c', 'answerc', 'choicec'],
+    option_d: ['optiond', 'd', 'answerd', 'choiced'],
+    correct_answer: ['correctanswer', 'correct', 'answer', 'correctoption', 'key'],
+    difficulty: ['difficulty', 'level', 'diff'],
+    category: ['category', 'topic', 'subject'],
+    fun_fact: ['funfact', 'fact', 'explanation', 'note']
+};
+const REQUIRED = ['question_text', 'option_a', 'option_b', 'option_c', 'option_d', 'correct_answer'];
+const TRANSLATABLE = ['question_text', 'option_a', 'option_b', 'option_c', 'option_d', 'fun_fact'];
+
+const previewKey = (id) => `question_import:${id}`;
+
+function normalise(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Too common to say anything about whether two questions match.
+const STOPWORDS = new Set(['the', 'of', 'is', 'in', 'which', 'what', 'who', 'was', 'and', 'to', 'a', 'an',
+    'for', 'on', 'by', 'as', 'at', 'are', 'were', 'this', 'that', 'with', 'from', 'its', 'how', 'many']);
+
+function words(text) {
+    return new Set(normalise(text).split(' ').filter(w => w.length > 1 && !STOPWORDS.has(w)));
+}
+
+function similarity(a, b) {
+    let shared = 0;
+    for (const w of a) if (b.has(w)) shared++;
+    const union = a.size + b.size - shared;
+    return union ? shared / union : 0;
+}
+
+class QuestionImportService {
+    /**
+     * Parse, validate and compare — the dry run.
+     * @returns {{ ok: boolean, error?: string, preview?: object }}
+     */
+    async preview(fileName, buffer, adminUsername) {
+        let table;
+        try {
+            table = parseSpreadsheet(fileName, buffer);
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+        if (table.length < 2) return { ok: false, error: 'The file needs a header row and at least one question' };
+        if (table.length - 1 > MAX_ROWS) return { ok: false, error: `Up to ${MAX_ROWS} questions per file — split it and upload in parts` };
+
+        const { mapping, translated, unknown } = this._mapHeader(table[0]);
+        const missing = REQUIRED.filter(f => mapping[f] === undefined);
+        if (missing.length) {
+            return { ok: false, error: `Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}. Found: ${table[0].join(', ')}` };
+        }
+
+        const rows = table.slice(1).map((cells, i) => this._validateRow(cells, mapping, translated, i + 2));
+        await this._markDuplicates(rows);
+
+        const id = crypto.randomBytes(12).toString('hex');
+        const summary = this._summarise(rows);
+        const preview = { id, fileName, createdBy: adminUsername, createdAt: Date.now(), ignoredColumns: unknown, summary, rows };
+        await redis.setex(previewKey(id), PREVIEW_TTL, JSON.stringify(preview));
+
+        logger.info(`📥 Question import preview ${id}: ${fileName}, ${rows.length} row(s), ${summary.ready} ready`);
+        return { ok: true, preview };
+    }
+
+    _mapHeader(header) {
+        const mapping = {};
+        const translated = {};   // language → { field → column index }
+        const unknown = [];
+        header.forEach((raw, index) => {
+            const key = String(raw || '').toLowerCase().replace(/[^a-z]/g, '');
+            const field = Object.keys(COLUMNS).find(f => COLUMNS[f].includes(key));
+            const translation = field ? null : this._translationColumn(raw);
+            if (field && mapping[field] === undefined) mapping[field] = index;
+            else if (translation) (translated[translation.lang] = translated[translation.lang] || {})[translation.field] = index;
+            else if (key) unknown.push(String(raw).trim());
+        });
+        return { mapping, translated, unknown };
+    }
+
+    // "Question (Pidgin)" → { field: 'question_text', lang: 'pcm' }. The
+    // language is the last word; what comes before it must name a text field.
+    _translationColumn(raw) {
+        const m = /^(.*?)[\s_\-]*[([]?\s*([a-z]+)\s*[)\]]?$/i.exec(String(raw || '').trim());
+        if (!m) return null;
+        const lang = resolveLanguage(m[2]);
+        if (!lang || lang === DEFAULT_LANGUAGE || /^\d+$/.test(m[2])) return null;
+        const base = m[1].toLowerCase().replace(/[^a-z]/g, '');
+        const field = TRANSLATABLE.find(f => COLUMNS[f].includes(base));
+        return field ? { field, lang } : null;
+    }
+
+    _validateRow(cells, mapping, translated, line) {
+        const get = (f) => (mapping[f] === undefined ? '' : String(cells[mapping[f]] == null ? '' : cells[mapping[f]]).trim());
+        const q = {
+            line,
+            question_text: get('question_text'),
+            option_a: get('option_a'),
+            option_b: get('option_b'),
+            option_c: get('option_c'),
+            option_d: get('option_d'),
+            correct_answer: get('correct_answer'),
+            difficulty: get('difficulty'),
+            category: get('category'),
+            fun_fact: get('fun_fact'),
+            errors: [],
+            warnings: []
+        };
+
+        if (!q.question_text) q.errors.push('Question is empty');
+        ['a', 'b', 'c', 'd'].forEach(k => {
+            if (!q['option_' + k]) q.errors.push(`Option ${k.toUpperCase()} is empty`);
+        });
+
+        const options = ['A', 'B', 'C', 'D'].map(k => q['option_' + k.toLowerCase()]);
+        const distinct = new Set(options.filter(Boolean).map(o => o.toLowerCase()));
+        if (distinct.size < options.filter(Boolean).length) q.errors.push('Two options are the same');
+
+        // Letter, "Option B", "b)", or the text of an option.
+        const raw = q.correct_answer;
+        const letter = /^(?:option\s*)?([a-d])[).:]?$/i.exec(raw);
+        if (letter) {
+            q.correct_answer = letter[1].toUpperCase();
+        } else {
+            const byText = options.findIndex(o => o && o.toLowerCase() === raw.toLowerCase());
+            if (byText >= 0) {
+                q.correct_answer = 'ABCD'[byText];
+                q.warnings.push(`Answer given as text — matched to ${q.correct_answer}`);
+            } else {
+                q.errors.push(raw ? `Correct answer "${raw}" is not A–D or one of the options` : 'Correct answer is empty');
+            }
+        }
+
+        if (q.difficulty === '') {
+            q.difficulty = DEFAULT_DIFFICULTY;
+            q.warnings.push(`No difficulty — will use ${DEFAULT_DIFFICULTY}`);
+        } else {
+            const d = Number(q.difficulty);
+            if (!Number.isInteger(d) || d < 1 || d > 15) q.errors.push(`Difficulty "${q.difficulty}" must be a whole number 1–15`);
+            else q.difficulty = d;
+        }
+
+        q.category = q.category ? q.category.toLowerCase().replace(/\s+/g, '_') : 'general';
+
+        // Blank translated cells fall back to English at play time, so only
+        // a half-translated set of options is worth a warning.
+        q.translations = {};
+        for (const [lang, columns] of Object.entries(translated)) {
+            const fields = {};
+            for (const [field, index] of Object.entries(columns)) {
+                const value = String(cells[index] == null ? '' : cells[index]).trim();
+                if (value) fields[field] = value;
+            }
+            if (!Object.keys(fields).length) continue;
+            q.translations[lang] = fields;
+            const optionCount = ['option_a', 'option_b', 'option_c', 'option_d'].filter(f => fields[f]).length;
+            if (optionCount && optionCount < 4) {
+                q.warnings.push(`${languageService.label(lang)}: only ${optionCount} of 4 options translated`);
+            }
+        }
+        return q;
+    }
+
+    /**
+     * Compare every row with the active questions and with the rows above it.
+     * An inverted word index means each row is only scored against questions
+     * that share at least one meaningful word with it.
+     */
+    async _markDuplicates(rows) {
+        const existing = await pool.query(`SELECT id, question_text FROM questions WHERE is_active = true`);
+
+        const exact = new Map();
+        const index = new Map();   // word → [entry]
+        const add = (entry) => {
+            exact.set(entry.norm, entry);
+            for (const w of entry.words) {
+                if (!index.has(w)) index.set(w, []);
+                index.get(w).push(entry);
+            }
+        };
+        existing.rows.forEach(r => add({ id: r.id, text: r.question_text, norm: normalise(r.question_text), words: words(r.question_text) }));
+
+        for (const row of rows) {
+            if (!row.question_text) continue;
+            const norm = normalise(row.question_text);
+            const mine = words(row.question_text);
+
+            const hit = exact.get(norm);
+            if (hit) {
+                row.duplicate = { kind: 'exact', id: hit.id || null, line: hit.line || null, text: hit.text };
+            } else {
+                const seen = new Set();
+                let best = null;
+                for (const w of mine) {
+                    for (const cand of index.get(w) || []) {
+                        if (seen.has(cand)) continue;
+                        seen.add(cand);
+                        // Sizes too far apart can never reach the threshold.
+                        if (Math.min(mine.size, cand.words.size) < NEAR_DUPLICATE_SIMILARITY * Math.max(mine.size, cand.words.size)) continue;
+                        const score = similarity(mine, cand.words);
+                        if (score >= NEAR_DUPLICATE_SIMILARITY && (!best || score > best.score)) best = { cand, score };
+                    }
+                }
+                if (best) {
+                    row.duplicate = { kind: 'near', id: best.cand.id || null, line: best.cand.line || null,
+                                      text: best.cand.text, similarity: Math.round(best.score * 100) };
+                }
+            }
+            add({ line: row.line, text: row.question_text, norm, words: mine });
+        }
+    }
+
+    _summarise(rows) {
+        const summary = {
+            total: rows.length, ready: 0, invalid: 0, duplicates: 0, nearDuplicates: 0, warnings: 0,
+            byDifficulty: {}, byCategory: {}, byLanguage: {}
+        };
+        for (const r of rows) {
+            if (r.errors.length) { summary.invalid++; continue; }
+            if (r.duplicate && r.duplicate.kind === 'exact') { summary.duplicates++; continue; }
+            if (r.duplicate) summary.nearDuplicates++;
+            else summary.ready++;
+            if (r.warnings.length) summary.warnings++;
+            summary.byDifficulty[r.difficulty] = (summary.byDifficulty[r.difficulty] || 0) + 1;
+            summary.byCategory[r.category] = (summary.byCategory[r.category] || 0) + 1;
+            for (const lang of Object.keys(r.translations || {})) {
+                summary.byLanguage[lang] = (summary.byLanguage[lang] || 0) + 1;
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * Insert a previewed file into a bank.
+     * @param {object} opts - { includeNearDuplicates }
+     * @returns {{ ok: boolean, status?: number, error?: string, inserted?: number, skipped?: number, bank?: object }}
+     */
+    async commit(previewId, bankId, opts = {}) {
+        const raw = await redis.get(previewKey(previewId));
+        if (!raw) return { ok: false, status: 404, error: 'This preview has expired — upload the file again' };
+        const preview = JSON.parse(raw);
+
+        const banks = await questionService.getQuestionBanks();
+        const bank = banks.find(b => b.id === parseInt(bankId));
+        if (!bank) return { ok: false, error: 'Choose a question bank' };
+
+        const rows = preview.rows.filter(r =>
+            !r.errors.length && (!r.duplicate || (r.duplicate.kind === 'near' && opts.includeNearDuplicates)));
+        if (!rows.length) return { ok: false, error: 'Nothing to import — every row has errors or is a duplicate' };
+
+        const isPractice = bank.for_game_mode === 'practice';
+        await languageService.ensureSchema();   // DDL outside the transaction
+        let translations = 0;
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            for (const q of rows) {
+                const inserted = await client.query(`
+                    INSERT INTO questions (
+                        question_text, option_a, option_b, option_c, option_d,
+                        correct_answer, difficulty, category, fun_fact,
+                        question_bank_id, is_practice, is_active, created_at
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, true, NOW())
+                    RETURNING id
+                `, [
+                    q.question_text, q.option_a, q.option_b, q.option_c, q.option_d,
+                    q.correct_answer, q.difficulty, q.category, q.fun_fact || '', bank.id, isPractice
+                ]);
+                for (const [lang, fields] of Object.entries(q.translations || {})) {
+                    await languageService.saveQuestionTranslation(inserted.rows[0].id, lang, fields, client);
+                    translations++;
+                }
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        // One commit per preview — a second click must not insert twice.
+        await redis.del(previewKey(previewId));
+        logger.info(`📥 Question import ${previewId}: ${rows.length} question(s), ${translations} translation(s) into ${bank.bank_name}`);
+        return { ok: true, inserted: rows.length, translations, skipped: preview.rows.length - rows.length, bank, fileName: preview.fileName };
+    }
+}
+
+module.exports = new QuestionImportService();
@@ -0,0 +1,371 @@
+// ============================================
+// FILE: src/services/question-quality.service.js
+// QUESTION QUALITY — player reports, auto-retire and difficulty
+// recalibration, feeding the review queue on admin-questions.html.
+//
+// EXPORT SHAPE: exports an INSTANCE (like audience.service.js).
+//   const questionQuality = require('./question-quality.service');
+//
+// REPORTS
+// REPORT (optionally WRONG / AMBIGUOUS / OUTDATED and a note) flags the
+// question on screen, or the last question of a game that ended in the
+// past half hour. One report per player per question; reporting again
+// just updates the reason. Once enough different players have reported
+// a question — and they are a meaningful share of everyone who saw it —
+// it is retired straight away rather than waiting for an admin, so it
+// stops reaching paid games.
+//
+// RECALIBRATION
+// recalibrate() runs on a schedule. For every question asked often
+// enough it maps the observed correct rate onto the 1–15 scale:
+//   95%+ correct → 1 … 10% or less → 15
+// A question that has drifted 2+ levels is moved to where players say it
+// belongs; the authored value is kept in original_difficulty. A gap of 4+
+// from the authored value is an outlier and goes to the review queue,
+// where an admin either accepts it or reverts and locks the difficulty.
+//
+// It also catches broken answer keys: when most players pick the same
+// wrong option, the key is more likely wrong than the players, so the
+// question is retired pending review.
+// ============================================
+
+const pool = require('../config/database');
+const redis = require('../config/redis');
+const audienceService = require('./audience.service');
+const { logger } = require('../utils/logger');
+
+const REASON_KEYWORDS = {
+    WRONG: 'wrong', INCORRECT: 'wrong', '1': 'wrong',
+    AMBIGUOUS: 'ambiguous', UNCLEAR: 'ambiguous', '2': 'ambiguous',
+    OUTDATED: 'outdated', OLD: 'outdated', '3': 'outdated'
+};
+
+const REPORT_WINDOW_MINUTES = 30;   // how long after a game its last question can be reported
+const REPORTS_PER_DAY = 20;
+
+// Auto-retire: this many distinct reporters, who are at least this share
+// of everyone the question was shown to.
+const RETIRE_MIN_REPORTERS = 3;
+const RETIRE_MIN_SHARE = 0.01;
+
+const CALIBRATION_MIN_ASKED = 40;
+const DRIFT_STEP = 2;
+const OUTLIER_GAP = 4;
+
+// Broken answer key: at least this many tallied answers, and one wrong
+// option taking this share of them.
+const KEY_MIN_SAMPLE = 30;
+const KEY_WRONG_SHARE = 0.6;
+
+class QuestionQualityService {
+    constructor() {
+        this._schemaReady = false;
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await audienceService.ensureSchema();   // answer_counts
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS question_reports (
+                id SERIAL PRIMARY KEY,
+                question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL REFERENCES users(id),
+                session_id INTEGER,
+                reason VARCHAR(20) NOT NULL DEFAULT 'other',
+                note TEXT,
+                status VARCHAR(20) NOT NULL DEFAULT 'open',
+                created_at TIMESTAMP DEFAULT NOW(),
+                resolved_at TIMESTAMP,
+                resolved_by VARCHAR(100),
+                UNIQUE (question_id, user_id)
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_question_reports_open ON question_reports(status, question_id)`);
+        await pool.query(`ALTER TABLE questions ADD COLUMN IF NOT EXISTS original_difficulty INTEGER`);
+        await pool.query(`ALTER TABLE questions ADD COLUMN IF NOT EXISTS observed_difficulty INTEGER`);
+        await pool.query(`ALTER TABLE questions ADD COLUMN IF NOT EXISTS calibrated_at TIMESTAMP`);
+        await pool.query(`ALTER TABLE questions ADD COLUMN IF NOT EXISTS difficulty_flag VARCHAR(20)`);
+        await pool.query(`ALTER TABLE questions ADD COLUMN IF NOT EXISTS difficulty_locked BOOLEAN DEFAULT false`);
+        await pool.query(`ALTER TABLE questions ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP`);
+        await pool.query(`ALTER TABLE questions ADD COLUMN IF NOT EXISTS retired_reason VARCHAR(30)`);
+        this._schemaReady = true;
+    }
+
+    // ============================================
+    // PLAYER REPORTS
+    // ============================================
+
+    /**
+     * Parse "REPORT", "REPORT WRONG", "REPORT 2 the capital moved in 1991".
+     * @returns {{ reason: string|null, note: string|null }}
+     */
+    parseCommand(message) {
+        const rest = String(message || '').trim().replace(/^report\s*/i, '');
+        if (!rest) return { reason: null, note: null };
+        const [first, ...others] = rest.split(/\s+/);
+        const reason = REASON_KEYWORDS[first.toUpperCase()] || null;
+        const note = (reason ? others.join(' ') : rest).trim().slice(0, 500) || null;
+        return { reason, note };
+    }
+
+    /**
+     * The question a REPORT refers to: the one on screen, else the last one
+     * of a game that ended within REPORT_WINDOW_MINUTES.
+     */
+    async _reportableQuestion(userId) {
+        const result = await pool.query(`
+            SELECT id AS session_id, current_question_id AS question_id
+            FROM game_sessions
+            WHERE user_id = $1 AND current_question_id IS NOT NULL
+              AND (status = 'active' OR completed_at > NOW() - ($2 || ' minutes')::interval)
+            ORDER BY (status = 'active') DESC, id DESC
+            LIMIT 1
+        `, [userId, String(REPORT_WINDOW_MINUTES)]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Record a player's report.
+     * @returns {{ ok: boolean, message: string }}
+     */
+    async report(user, message) {
+        await this.ensureSchema();
+        const { reason, note } = this.parseCommand(message);
+
+        const target = await this._reportableQuestion(user.id);
+        if (!target) {
+            return { ok: false, message: `🚩 There's no recent question to report.\n\nType REPORT during a game, or within ${REPORT_WINDOW_MINUTES} minutes of finishing one.` };
+        }
+
+        const dayKey = `question_reports:${user.id}:${new Date().toISOString().split('T')[0]}`;
+        const today = await redis.incr(dayKey);
+        if (today === 1) await redis.expire(dayKey, 86400);
+        if (today > REPORTS_PER_DAY) {
+            return { ok: false, message: `🚩 You've sent a lot of reports today — thank you! Please try again tomorrow.` };
+        }
+
+        const saved = await pool.query(`
+            INSERT INTO question_reports (question_id, user_id, session_id, reason, note)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (question_id, user_id) DO UPDATE
+            SET reason = CASE WHEN $6 THEN EXCLUDED.reason ELSE question_reports.reason END,
+                note = COALESCE(EXCLUDED.note, question_reports.note),
+                status = 'open', resolved_at = NULL, resolved_by = NULL
+            RETURNING (xmax = 0) AS created
+        `, [target.question_id, user.id, target.session_id, reason || 'other', note, !!reason]);
+        const created = saved.rows[0].created;
+
+        logger.info(`🚩 User ${user.id} reported question ${target.question_id} (${reason || 'other'})`);
+        await this._maybeRetire(target.question_id);
+
+        let reply = created ? `🚩 *Thanks — question reported.*\n\n` : `🚩 *Report updated.*\n\n`;
+        if (!reason) {
+            reply += `What's wrong with it? Reply:\n`;
+            reply += `*REPORT WRONG* — the answer is wrong\n`;
+            reply += `*REPORT AMBIGUOUS* — more than one answer fits\n`;
+            reply += `*REPORT OUTDATED* — it used to be true\n\n`;
+        }
+        reply += `Our team reviews every report. Your game carries on as normal.`;
+        return { ok: true, message: reply };
+    }
+
+    // Retire a question once enough different players have reported it.
+    async _maybeRetire(questionId) {
+        const result = await pool.query(`
+            SELECT q.is_active, q.times_asked, COUNT(r.id) AS reporters
+            FROM questions q
+            JOIN question_reports r ON r.question_id = q.id AND r.status = 'open'
+            WHERE q.id = $1
+            GROUP BY q.id
+        `, [questionId]);
+        const row = result.rows[0];
+        if (!row || !row.is_active) return;
+
+        const reporters = parseInt(row.reporters);
+        const asked = Math.max(1, parseInt(row.times_asked) || 0);
+        if (reporters < RETIRE_MIN_REPORTERS || reporters / asked < RETIRE_MIN_SHARE) return;
+
+        await this._retire(questionId, 'reports');
+        logger.warn(`🚩 Question ${questionId} auto-retired after ${reporters} report(s)`);
+    }
+
+    async _retire(questionId, reason) {
+        await pool.query(`
+            UPDATE questions SET is_active = false, retired_at = NOW(), retired_reason = $2, updated_at = NOW()
+            WHERE id = $1 AND is_active = true
+        `, [questionId, reason]);
+    }
+
+    // ============================================
+    // RECALIBRATION (scheduled)
+    // ============================================
+
+    async recalibrate() {
+        try {
+            await this.ensureSchema();
+            const started = Date.now();
+
+            const calibrated = await pool.query(`
+                WITH observed AS (
+                    SELECT id,
+                           GREATEST(1, LEAST(15, ROUND(
+                               1 + 14 * (0.95 - times_correct::numeric / times_asked) / 0.85
+                           )))::int AS level
+                    FROM questions
+                    WHERE times_asked >= $1
+                )
+                UPDATE questions q
+                SET observed_difficulty = o.level,
+                    calibrated_at = NOW(),
+                    original_difficulty = COALESCE(q.original_difficulty, q.difficulty),
+                    difficulty = CASE
+                        WHEN q.difficulty_locked THEN q.difficulty
+                        WHEN ABS(o.level - q.difficulty) >= $2 THEN o.level
+                        ELSE q.difficulty END,
+                    difficulty_flag = CASE
+                        WHEN q.difficulty_locked THEN NULL
+                        WHEN o.level <= COALESCE(q.original_difficulty, q.difficulty) - $3 THEN 'too_easy'
+                        WHEN o.level >= COALESCE(q.original_difficulty, q.difficulty) + $3 THEN 'too_hard'
+                        ELSE NULL END
+                FROM observed o
+                WHERE q.id = o.id
+                RETURNING q.id, q.difficulty_flag
+            `, [CALIBRATION_MIN_ASKED, DRIFT_STEP, OUTLIER_GAP]);
+            const outliers = calibrated.rows.filter(r => r.difficulty_flag).length;
+
+            // Broken answer keys — see the header.
+            const suspect = await pool.query(`
+                SELECT q.id
+                FROM questions q, LATERAL (
+                    SELECT key AS option, value::int AS n,
+                           SUM(value::int) OVER () AS total
+                    FROM jsonb_each_text(COALESCE(q.answer_counts, '{}'::jsonb))
+                ) c
+                WHERE q.is_active = true
+                  AND c.total >= $1
+                  AND c.option <> q.correct_answer
+                  AND c.n >= c.total * $2
+            `, [KEY_MIN_SAMPLE, KEY_WRONG_SHARE]);
+            for (const { id } of suspect.rows) {
+                await this._retire(id, 'answer_key');
+                logger.warn(`🚩 Question ${id} retired: most players pick the same wrong option`);
+            }
+
+            logger.info(`🎯 Recalibrated ${calibrated.rowCount} question(s): ${outliers} outlier(s), ${suspect.rows.length} suspect answer key(s) in ${Date.now() - started}ms`);
+            return { calibrated: calibrated.rowCount, outliers, suspectKeys: suspect.rows.length };
+        } catch (error) {
+            logger.error('Error recalibrating questions:', error);
+            return null;
+        }
+    }
+
+    // ============================================
+    // REVIEW QUEUE (admin)
+    // ============================================
+
+    /**
+     * Everything waiting on a decision: reported or auto-retired questions,
+     * and difficulty outliers.
+     */
+    async getReviewQueue(limit = 100) {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT q.id, q.question_text, q.option_a, q.option_b, q.option_c, q.option_d,
+                   q.correct_answer, q.category, q.difficulty, q.original_difficulty,
+                   q.observed_difficulty, q.difficulty_flag, q.times_asked, q.times_correct,
+                   q.answer_counts, q.is_active, q.retired_at, q.retired_reason,
+                   COUNT(r.id) AS report_count,
+                   COUNT(r.id) FILTER (WHERE r.reason = 'wrong') AS wrong_count,
+                   COUNT(r.id) FILTER (WHERE r.reason = 'ambiguous') AS ambiguous_count,
+                   COUNT(r.id) FILTER (WHERE r.reason = 'outdated') AS outdated_count,
+                   COALESCE(
+                       json_agg(json_build_object('reason', r.reason, 'note', r.note, 'at', r.created_at)
+                                ORDER BY r.created_at DESC) FILTER (WHERE r.note IS NOT NULL),
+                       '[]'
+                   ) AS notes,
+                   MIN(r.created_at) AS first_reported_at
+            FROM questions q
+            LEFT JOIN question_reports r ON r.question_id = q.id AND r.status = 'open'
+            WHERE r.id IS NOT NULL
+               OR q.difficulty_flag IS NOT NULL
+               OR (q.retired_reason IN ('reports', 'answer_key') AND q.is_active = false)
+            GROUP BY q.id
+            ORDER BY (q.retired_reason IS NOT NULL AND q.is_active = false) DESC,
+                     COUNT(r.id) DESC, q.times_asked DESC
+            LIMIT $1
+        `, [limit]);
+        return result.rows;
+    }
+
+    /**
+     * Act on a queued question.
+     *   keep    — question is fine: dismiss reports, clear the flag, un-retire
+     *   fixed   — question was edited: uphold reports, un-retire, restart its stats
+     *   retire  — take it out of every game for good
+     *   revert  — put the authored difficulty back and stop recalibrating it
+     * @returns {{ ok: boolean, status?: number, error?: string }}
+     */
+    async review(questionId, action, adminUsername) {
+        await this.ensureSchema();
+        const existing = await pool.query('SELECT id, original_difficulty FROM questions WHERE id = $1', [questionId]);
+        if (!existing.rows.length) return { ok: false, status: 404, error: 'Question not found' };
+
+        const closeReports = (status) => pool.query(`
+            UPDATE question_reports SET status = $2, resolved_at = NOW(), resolved_by = $3
+            WHERE question_id = $1 AND status = 'open'
+        `, [questionId, status, adminUsername || null]);
+
+        switch (action) {
+            case 'keep':
+                await closeReports('dismissed');
+                await pool.query(`
+                    UPDATE questions
+                    SET difficulty_flag = NULL,
+                        is_active = CASE WHEN retired_reason IN ('reports', 'answer_key') THEN true ELSE is_active END,
+                        retired_at = NULL, retired_reason = NULL, updated_at = NOW()
+                    WHERE id = $1
+                `, [questionId]);
+                break;
+
+            case 'fixed':
+                // The old stats describe the old wording or key.
+                await closeReports('upheld');
+                await pool.query(`
+                    UPDATE questions
+                    SET is_active = true, retired_at = NULL, retired_reason = NULL, difficulty_flag = NULL,
+                        times_asked = 0, times_correct = 0, answer_counts = '{}'::jsonb,
+                        observed_difficulty = NULL, calibrated_at = NULL, updated_at = NOW()
+                    WHERE id = $1
+                `, [questionId]);
+                break;
+
+            case 'retire':
+                await closeReports('upheld');
+                await pool.query(`
+                    UPDATE questions
+                    SET is_active = false, retired_at = NOW(), retired_reason = 'admin',
+                        difficulty_flag = NULL, updated_at = NOW()
+                    WHERE id = $1
+                `, [questionId]);
+                break;
+
+            case 'revert':
+                if (!existing.rows[0].original_difficulty) return { ok: false, error: 'This question has not been recalibrated' };
+                await pool.query(`
+                    UPDATE questions
+                    SET difficulty = original_difficulty, difficulty_locked = true, difficulty_flag = NULL, updated_at = NOW()
+                    WHERE id = $1
+                `, [questionId]);
+                break;
+
+            default:
+                return { ok: false, error: `Unknown action: ${action}` };
+        }
+
+        logger.info(`🚩 Question ${questionId} reviewed (${action}) by ${adminUsername}`);
+        return { ok: true };
+    }
+}
+
+module.exports = new QuestionQualityService();
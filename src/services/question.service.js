@@ -6,6 +6,7 @@
 
 const pool = require('../config/database');
 const { logger } = require('../utils/logger');
+const audienceService = require('./audience.service');
 
 class QuestionService {
     /**
@@ -203,13 +204,16 @@ class QuestionService {
         }
     }
 
-    async updateQuestionStats(questionId, wasCorrect) {
+    async updateQuestionStats(questionId, wasCorrect, chosenAnswer = null) {
         try {
             const updateQuery = wasCorrect
                 ? 'UPDATE questions SET times_asked = times_asked + 1, times_correct = times_correct + 1 WHERE id = $1'
                 : 'UPDATE questions SET times_asked = times_asked + 1 WHERE id = $1';
             
             await pool.query(updateQuery, [questionId]);
+
+            // Per-option tally behind the Ask the Audience lifeline
+            if (chosenAnswer) await audienceService.recordAnswer(questionId, chosenAnswer);
         } catch (error) {
             logger.error('Error updating question stats:', error);
         }
@@ -0,0 +1,427 @@
+// ============================================
+// FILE: src/services/referral-rewards.service.js
+// REFERRAL REWARD TIERS — what a referrer earns as the player they
+// brought in actually plays, rather than for the signup alone.
+//
+// EXPORT SHAPE: exports an INSTANCE (like promo-code.service.js).
+//   const referralRewards = require('./referral-rewards.service');
+//
+// TIERS (referral_reward_tiers) are edited from the admin dashboard:
+//   milestone 'games_played' + threshold — the referee's Nth completed
+//                                           game (practice doesn't count)
+//   milestone 'first_purchase'           — their first game package or
+//                                           paid tournament entry
+//   reward_type 'games' | 'wallet'       — classic games, or naira in the
+//                                           referrer's wallet
+//   max_per_referrer                     — how many times one referrer can
+//                                           earn the tier (null: no cap)
+//
+// Each (referral, tier) pays at most once: referral_rewards holds one row
+// per pair, written before anything is credited. A reward that was
+// withheld keeps its row as 'blocked' or 'capped' with the reason, so the
+// dashboard can show why a referrer didn't get paid.
+//
+// SELF-REFERRALS
+// Before paying, the referee's devices are re-run through
+// device-tracking's checkMultiAccountByDevice and account_links is read
+// for a link between the two accounts. A linked pair earns nothing and
+// raises a fraud alert. A link an admin reviewed and rejected
+// (is_confirmed = false) doesn't block.
+//
+// The signup bonus in referral.service.js is unchanged; tiers come on top.
+// evaluate() is called fire-and-forget after a completed game and after a
+// verified purchase, and never throws.
+// ============================================
+
+const pool = require('../config/database');
+const { logger } = require('../utils/logger');
+const ledgerService = require('./ledger.service');
+const deviceTrackingService = require('./device-tracking.service');
+
+const MILESTONES = ['games_played', 'first_purchase'];
+const REWARD_TYPES = ['games', 'wallet'];
+
+// account_links at or above this confidence withhold a reward: a shared
+// device (0.9) or a shared IP at overlapping times (0.7). A shared IP on
+// its own (0.4) is too common — hostels, campus wifi — to hold against anyone.
+const LINK_CONFIDENCE = 0.7;
+
+// Seeded once, when the table is first created
+const DEFAULT_TIERS = [
+    { name: 'First game', milestone: 'games_played', threshold: 1, reward_type: 'games', reward_amount: 1, max_per_referrer: 50 },
+    { name: 'First purchase', milestone: 'first_purchase', threshold: 1, reward_type: 'games', reward_amount: 2, max_per_referrer: 50 },
+    { name: 'Fifth game', milestone: 'games_played', threshold: 5, reward_type: 'games', reward_amount: 1, max_per_referrer: 50 }
+];
+
+class ReferralRewardsService {
+    constructor() {
+        this._schemaReady = false;
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS referral_reward_tiers (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(60) NOT NULL,
+                milestone VARCHAR(20) NOT NULL,
+                threshold INTEGER NOT NULL DEFAULT 1,
+                reward_type VARCHAR(10) NOT NULL DEFAULT 'games',
+                reward_amount INTEGER NOT NULL,
+                max_per_referrer INTEGER,
+                is_active BOOLEAN NOT NULL DEFAULT true,
+                updated_by VARCHAR(100),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS referral_rewards (
+                id SERIAL PRIMARY KEY,
+                referral_id INTEGER NOT NULL REFERENCES referrals(id) ON DELETE CASCADE,
+                tier_id INTEGER NOT NULL REFERENCES referral_reward_tiers(id),
+                referrer_id INTEGER NOT NULL REFERENCES users(id),
+                referred_user_id INTEGER NOT NULL REFERENCES users(id),
+                reward_type VARCHAR(10) NOT NULL,
+                reward_amount INTEGER NOT NULL,
+                status VARCHAR(10) NOT NULL,
+                reason TEXT,
+                created_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE (referral_id, tier_id)
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_referral_rewards_referrer ON referral_rewards(referrer_id, tier_id)`);
+
+        const existing = await pool.query('SELECT 1 FROM referral_reward_tiers LIMIT 1');
+        if (existing.rows.length === 0) {
+            for (const t of DEFAULT_TIERS) {
+                await pool.query(`
+                    INSERT INTO referral_reward_tiers (name, milestone, threshold, reward_type, reward_amount, max_per_referrer, updated_by)
+                    VALUES ($1, $2, $3, $4, $5, $6, 'system')
+                `, [t.name, t.milestone, t.threshold, t.reward_type, t.reward_amount, t.max_per_referrer]);
+            }
+        }
+        this._schemaReady = true;
+    }
+
+    // ============================================
+    // EVALUATION
+    // ============================================
+
+    /** How far a referee has got: completed real games and purchases. */
+    async getProgress(userId) {
+        const result = await pool.query(`
+            SELECT
+                (SELECT COUNT(*) FROM game_sessions
+                 WHERE user_id = $1 AND status = 'completed' AND game_type <> 'practice')::int AS games,
+                (SELECT COUNT(*) FROM payment_transactions
+                 WHERE user_id = $1 AND status = 'success')::int
+                + (SELECT COUNT(*) FROM tournament_entry_payments
+                   WHERE user_id = $1 AND payment_status = 'success' AND amount > 0)::int AS purchases
+        `, [userId]);
+        return result.rows[0];
+    }
+
+    isReached(tier, progress) {
+        if (tier.milestone === 'first_purchase') return progress.purchases >= 1;
+        return progress.games >= tier.threshold;
+    }
+
+    /**
+     * Re-checks the referee's devices, then returns the strongest link
+     * between the two accounts that is strong enough to withhold a
+     * reward, or null.
+     */
+    async findLink(referrerId, refereeId) {
+        const devices = await deviceTrackingService.getUserDevices(refereeId);
+        for (const device of devices) {
+            await deviceTrackingService.checkMultiAccountByDevice(device.device_id, refereeId);
+        }
+
+        const [user1, user2] = referrerId < refereeId ? [referrerId, refereeId] : [refereeId, referrerId];
+        const result = await pool.query(`
+            SELECT link_type, confidence_score FROM account_links
+            WHERE user_id_1 = $1 AND user_id_2 = $2
+              AND confidence_score >= $3
+              AND is_confirmed IS DISTINCT FROM false
+            ORDER BY confidence_score DESC
+            LIMIT 1
+        `, [user1, user2, LINK_CONFIDENCE]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Pay whatever tiers this player's referrer has newly earned.
+     * Returns the rewards written, if any. Never throws.
+     */
+    async evaluate(userId) {
+        try {
+            await this.ensureSchema();
+
+            const referralResult = await pool.query(`
+                SELECT r.id, r.referrer_id, r.referred_user_id, ru.username AS referee_username
+                FROM referrals r
+                JOIN users ru ON ru.id = r.referred_user_id
+                WHERE r.referred_user_id = $1
+            `, [userId]);
+            if (referralResult.rows.length === 0) return [];
+            const referral = referralResult.rows[0];
+
+            const tiers = await pool.query(`
+                SELECT t.* FROM referral_reward_tiers t
+                WHERE t.is_active = true
+                  AND NOT EXISTS (
+                      SELECT 1 FROM referral_rewards rr
+                      WHERE rr.referral_id = $1 AND rr.tier_id = t.id
+                  )
+                ORDER BY t.threshold, t.id
+            `, [referral.id]);
+            if (tiers.rows.length === 0) return [];
+
+            const progress = await this.getProgress(userId);
+            const reached = tiers.rows.filter(t => this.isReached(t, progress));
+            if (reached.length === 0) return [];
+
+            const link = await this.findLink(referral.referrer_id, userId);
+            const rewards = [];
+            for (const tier of reached) {
+                const reward = await this.award(referral, tier, link);
+                if (reward) rewards.push(reward);
+            }
+
+            if (link && rewards.some(r => r.status === 'blocked')) {
+                await deviceTrackingService.createFraudAlert(
+                    userId,
+                    'self_referral',
+                    'medium',
+                    `Referral reward withheld: @${referral.referee_username} is linked to their referrer (${link.link_type})`,
+                    { referrerId: referral.referrer_id, linkType: link.link_type, confidence: link.confidence_score }
+                );
+            }
+
+            const credited = rewards.filter(r => r.status === 'credited');
+            if (credited.length) await this.notifyReferrer(referral, credited);
+            return rewards;
+        } catch (error) {
+            logger.error(`Error evaluating referral rewards for user ${userId}:`, error);
+            return [];
+        }
+    }
+
+    async award(referral, tier, link) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            // One referrer's awards go one at a time, so two referees hitting
+            // a milestone together can't both slip in under the cap.
+            await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [referral.referrer_id]);
+
+            let status = 'credited';
+            let reason = null;
+            if (link) {
+                status = 'blocked';
+                reason = `Accounts linked (${link.link_type}, confidence ${link.confidence_score})`;
+            } else if (tier.max_per_referrer !== null) {
+                const earned = await client.query(`
+                    SELECT COUNT(*) AS count FROM referral_rewards
+                    WHERE referrer_id = $1 AND tier_id = $2 AND status = 'credited'
+                `, [referral.referrer_id, tier.id]);
+                if (parseInt(earned.rows[0].count) >= tier.max_per_referrer) {
+                    status = 'capped';
+                    reason = `Referrer already earned this tier ${tier.max_per_referrer} times`;
+                }
+            }
+
+            const inserted = await client.query(`
+                INSERT INTO referral_rewards
+                    (referral_id, tier_id, referrer_id, referred_user_id, reward_type, reward_amount, status, reason)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                ON CONFLICT (referral_id, tier_id) DO NOTHING
+                RETURNING id
+            `, [referral.id, tier.id, referral.referrer_id, referral.referred_user_id, tier.reward_type, tier.reward_amount, status, reason]);
+            if (inserted.rows.length === 0) {
+                // Another path (a game and a payment finishing together) got here first
+                await client.query('ROLLBACK');
+                return null;
+            }
+            const rewardId = inserted.rows[0].id;
+
+            if (status === 'credited') {
+                if (tier.reward_type === 'wallet') {
+                    await client.query(
+                        'UPDATE users SET wallet_balance = COALESCE(wallet_balance, 0) + $1 WHERE id = $2',
+                        [tier.reward_amount, referral.referrer_id]
+                    );
+                    await ledgerService.recordWalletCredit({
+                        userId: referral.referrer_id, amount: tier.reward_amount,
+                        key: `referral_tier:${rewardId}`,
+                        description: `Referral reward: @${referral.referee_username} — ${tier.name}`
+                    }, client);
+                } else {
+                    await client.query(
+                        'UPDATE users SET games_remaining = games_remaining + $1 WHERE id = $2',
+                        [tier.reward_amount, referral.referrer_id]
+                    );
+                    await ledgerService.recordGamesGranted('referral_bonus', {
+                        userId: referral.referrer_id, games: tier.reward_amount,
+                        key: `referral_tier:${rewardId}`,
+                        description: `Referral reward: @${referral.referee_username} — ${tier.name}`
+                    }, client);
+                }
+            }
+
+            await client.query('COMMIT');
+
+            logger.info(`Referral tier "${tier.name}" for referral ${referral.id}: ${status}${reason ? ` (${reason})` : ''}`);
+            return { id: rewardId, tier, status, reason };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error(`Error awarding referral tier ${tier.id} for referral ${referral.id}:`, error);
+            return null;
+        } finally {
+            client.release();
+        }
+    }
+
+    async notifyReferrer(referral, credited) {
+        try {
+            const referrerResult = await pool.query('SELECT * FROM users WHERE id = $1', [referral.referrer_id]);
+            const referrer = referrerResult.rows[0];
+            if (!referrer) return;
+
+            const languageService = require('./language.service');
+            const MessagingService = require('./messaging.service');
+            const t = languageService.forUser(referrer);
+
+            const lines = credited.map(r => r.tier.reward_type === 'wallet'
+                ? t.referral_tier_wallet(r.tier.name, r.tier.reward_amount.toLocaleString())
+                : t.referral_tier_games(r.tier.name, r.tier.reward_amount));
+            await new MessagingService().sendMessage(
+                referrer.phone_number,
+                `${t.referral_tier_title(referral.referee_username)}\n\n${lines.join('\n')}\n\n${t.referral_tier_footer}`
+            );
+        } catch (error) {
+            logger.error(`Could not tell referrer ${referral.referrer_id} about their reward:`, error.message);
+        }
+    }
+
+    // ============================================
+    // READING
+    // ============================================
+
+    async listTiers({ activeOnly = false } = {}) {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT t.*,
+                   COUNT(rr.id) FILTER (WHERE rr.status = 'credited')::int AS credited,
+                   COUNT(rr.id) FILTER (WHERE rr.status = 'blocked')::int AS blocked,
+                   COUNT(rr.id) FILTER (WHERE rr.status = 'capped')::int AS capped
+            FROM referral_reward_tiers t
+            LEFT JOIN referral_rewards rr ON rr.tier_id = t.id
+            ${activeOnly ? 'WHERE t.is_active = true' : ''}
+            GROUP BY t.id
+            ORDER BY t.milestone DESC, t.threshold, t.id
+        `);
+        return result.rows;
+    }
+
+    /** A referrer's own earnings, for the REFERRAL command. */
+    async getReferrerSummary(referrerId) {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT COALESCE(SUM(reward_amount) FILTER (WHERE reward_type = 'games'), 0)::int AS games,
+                   COALESCE(SUM(reward_amount) FILTER (WHERE reward_type = 'wallet'), 0)::int AS wallet
+            FROM referral_rewards
+            WHERE referrer_id = $1 AND status = 'credited'
+        `, [referrerId]);
+        return result.rows[0];
+    }
+
+    async listRecentRewards({ status = null, limit = 100 } = {}) {
+        await this.ensureSchema();
+        const params = [Math.min(parseInt(limit) || 100, 500)];
+        let filter = '';
+        if (status) {
+            params.push(status);
+            filter = 'WHERE rr.status = $2';
+        }
+        const result = await pool.query(`
+            SELECT rr.*, t.name AS tier_name,
+                   referrer.username AS referrer_username, referee.username AS referee_username
+            FROM referral_rewards rr
+            JOIN referral_reward_tiers t ON t.id = rr.tier_id
+            JOIN users referrer ON referrer.id = rr.referrer_id
+            JOIN users referee ON referee.id = rr.referred_user_id
+            ${filter}
+            ORDER BY rr.created_at DESC
+            LIMIT $1
+        `, params);
+        return result.rows;
+    }
+
+    // ============================================
+    // ADMIN
+    // ============================================
+
+    /** Normalises tier input; returns { tier } or { error }. */
+    validateTier(input) {
+        const name = (input.name || '').trim();
+        if (!name) return { error: 'Tier name is required' };
+        if (!MILESTONES.includes(input.milestone)) return { error: 'Unknown milestone' };
+        if (!REWARD_TYPES.includes(input.reward_type)) return { error: 'Reward must be games or wallet' };
+
+        const threshold = input.milestone === 'first_purchase' ? 1 : parseInt(input.threshold);
+        if (!(threshold >= 1 && threshold <= 1000)) return { error: 'Games played must be between 1 and 1000' };
+
+        const amount = parseInt(input.reward_amount);
+        const maxAmount = input.reward_type === 'wallet' ? 50000 : 100;
+        if (!(amount >= 1 && amount <= maxAmount)) {
+            return { error: input.reward_type === 'wallet' ? 'Wallet reward must be between ₦1 and ₦50,000' : 'Game reward must be between 1 and 100' };
+        }
+
+        let cap = null;
+        if (input.max_per_referrer !== null && input.max_per_referrer !== undefined && input.max_per_referrer !== '') {
+            cap = parseInt(input.max_per_referrer);
+            if (!(cap >= 1)) return { error: 'Cap per referrer must be at least 1, or blank for no cap' };
+        }
+
+        return {
+            tier: {
+                name: name.slice(0, 60),
+                milestone: input.milestone,
+                threshold,
+                reward_type: input.reward_type,
+                reward_amount: amount,
+                max_per_referrer: cap,
+                is_active: input.is_active !== false
+            }
+        };
+    }
+
+    async saveTier(tierId, input, adminUsername) {
+        await this.ensureSchema();
+        const { tier, error } = this.validateTier(input);
+        if (error) return { error };
+
+        const params = [tier.name, tier.milestone, tier.threshold, tier.reward_type, tier.reward_amount, tier.max_per_referrer, tier.is_active, adminUsername];
+        const result = tierId
+            ? await pool.query(`
+                UPDATE referral_reward_tiers
+                SET name = $1, milestone = $2, threshold = $3, reward_type = $4, reward_amount = $5,
+                    max_per_referrer = $6, is_active = $7, updated_by = $8, updated_at = NOW()
+                WHERE id = $9
+                RETURNING *
+            `, [...params, tierId])
+            : await pool.query(`
+                INSERT INTO referral_reward_tiers
+                    (name, milestone, threshold, reward_type, reward_amount, max_per_referrer, is_active, updated_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING *
+            `, params);
+        if (result.rows.length === 0) return { error: 'Tier not found' };
+        return { tier: result.rows[0] };
+    }
+}
+
+module.exports = new ReferralRewardsService();
@@ -5,6 +5,9 @@
 
 const pool = require('../config/database');
 const { logger } = require('../utils/logger');
+const ledgerService = require('./ledger.service');
+const achievementsService = require('./achievements.service');
+const friendsService = require('./friends.service');
 
 class ReferralService {
   /**
@@ -121,8 +124,30 @@ class ReferralService {
       // 1. Update referrer's total_referrals
       // 2. Give referrer 1 free game every 3 referrals
       // 3. Give referee 1 free game
+      // The trigger can't post to the ledger, so its grants are mirrored here.
+      const referral = result.rows[0];
+      await ledgerService.recordGamesGranted('referral_bonus', {
+        userId: referredUserId, games: 1,
+        key: `referral_bonus:${referral.id}`,
+        description: 'Free game for joining with a referral code'
+      });
+      const referrer = await pool.query('SELECT total_referrals FROM users WHERE id = $1', [referrerId]);
+      const total = parseInt(referrer.rows[0]?.total_referrals) || 0;
+      if (total > 0 && total % 3 === 0) {
+        await ledgerService.recordGamesGranted('referral_bonus', {
+          userId: referrerId, games: 1,
+          key: `referral_reward:${referrerId}:${total}`,
+          description: `Free game for ${total} referrals`
+        });
+      }
+
+      // Referral badges for the referrer — not awaited, never throws
+      achievementsService.recordEvent(referrerId, 'referral', { notify: true });
 
-      return { success: true, referral: result.rows[0] };
+      // Referrer and referee start out as friends — never throws
+      await friendsService.addFromReferral(referrerId, referredUserId);
+
+      return { success: true, referral };
     } catch (error) {
       logger.error('Error creating referral:', error);
       return { success: false, error: error.message };
@@ -166,21 +191,31 @@ class ReferralService {
          SET is_active = false
          WHERE is_active = true
          AND referred_at < NOW() - INTERVAL '24 hours'
-         RETURNING referred_user_id`
+         RETURNING id, referred_user_id`
       );
 
       if (result.rows.length > 0) {
         // Remove the free game from users who didn't use it within 24hrs
         const userIds = result.rows.map(r => r.referred_user_id);
         
-        await pool.query(
+        const removed = await pool.query(
           `UPDATE users
            SET games_remaining = GREATEST(games_remaining - 1, 0)
            WHERE id = ANY($1)
-           AND games_remaining > 0`,
+           AND games_remaining > 0
+           RETURNING id`,
           [userIds]
         );
 
+        const referralOf = new Map(result.rows.map(r => [r.referred_user_id, r.id]));
+        for (const { id: userId } of removed.rows) {
+          await ledgerService.recordGamesExpired({
+            userId, games: 1,
+            key: `referral_expired:${referralOf.get(userId)}`,
+            description: 'Unused referral game expired after 24 hours'
+          });
+        }
+
         logger.info(`Deactivated ${result.rows.length} expired referral bonuses`);
       }
 
@@ -0,0 +1,380 @@
+// ============================================
+// FILE: src/services/sponsor.service.js
+// SPONSORS — the businesses that pay for tournaments, and what they get
+// back for it: a portal login scoped to their own tournaments, branded
+// victory cards, a sponsored question inside the game and a report.
+//
+// EXPORT SHAPE: exports an INSTANCE (like tournament-team.service.js).
+//   const sponsorService = require('./sponsor.service');
+//
+// A tournament belongs to a sponsor through tournaments.sponsor_id. The
+// older free-text sponsor_name / sponsor_logo_url columns are still what
+// players see; picking a sponsor fills them in when they are left blank.
+//
+// PORTAL LOGINS
+// A sponsor login is an ordinary row in admins with the 'sponsor' role and
+// admins.sponsor_id set. The admin dashboard refuses sponsor sessions; the
+// sponsor portal (routes/sponsor.routes.js) accepts nothing else.
+//
+// IMPRESSIONS (sponsor_impressions)
+//   'card'     — a sponsor-branded tournament victory card was delivered
+//   'message'  — a message carrying the sponsor's name was delivered
+//                (game start, winner notification)
+//   'question' — the sponsored question was put to a player
+// Recording never throws: a reporting hiccup must not cost anyone a game.
+//
+// SPONSORED QUESTION
+// tournaments.sponsored_question_id is asked as question number
+// sponsored_question_slot in every game of that tournament, labelled with
+// the sponsor's name. It is an ordinary row in questions, so answers,
+// timers and lifelines all work as usual.
+// ============================================
+
+const pool = require('../config/database');
+const { logger } = require('../utils/logger');
+const AdminAuthService = require('./admin-auth.service');
+
+const adminAuthService = new AdminAuthService();
+
+const IMPRESSION_KINDS = ['card', 'message', 'question'];
+const SPONSOR_ROLE = 'sponsor';
+
+const LEADERBOARD_ORDER = `COALESCE(tp.best_questions_answered, 0) DESC, COALESCE(tp.best_time_taken, 999) ASC, tp.joined_at ASC`;
+
+class SponsorService {
+    constructor() {
+        this._schemaReady = false;
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS sponsors (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(120) NOT NULL,
+                logo_url TEXT,
+                contact_name VARCHAR(120),
+                contact_email VARCHAR(200),
+                is_active BOOLEAN NOT NULL DEFAULT true,
+                created_by VARCHAR(100),
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        await pool.query(`ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS sponsor_id INTEGER REFERENCES sponsors(id)`);
+        await pool.query(`ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS sponsored_question_id INTEGER REFERENCES questions(id)`);
+        await pool.query(`ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS sponsored_question_slot INTEGER`);
+        await pool.query(`ALTER TABLE admins ADD COLUMN IF NOT EXISTS sponsor_id INTEGER REFERENCES sponsors(id)`);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS sponsor_impressions (
+                id BIGSERIAL PRIMARY KEY,
+                sponsor_id INTEGER NOT NULL REFERENCES sponsors(id),
+                tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+                user_id INTEGER REFERENCES users(id),
+                kind VARCHAR(12) NOT NULL,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_sponsor_impressions_tournament ON sponsor_impressions(tournament_id, kind)`);
+        await pool.query(`
+            INSERT INTO admin_roles (role_name, display_name, description, permissions)
+            SELECT $1, 'Sponsor', 'Sponsor portal only: their own tournaments and reports', '{"sponsor_portal": {"read": true}}'::jsonb
+            WHERE NOT EXISTS (SELECT 1 FROM admin_roles WHERE role_name = $1)
+        `, [SPONSOR_ROLE]);
+        this._schemaReady = true;
+    }
+
+    /**
+     * Tournament form fields → column values, or { error }. A chosen sponsor
+     * fills in the display name and logo when the form leaves them blank.
+     */
+    async validateSettings(input = {}) {
+        await this.ensureSchema();
+        let sponsorName = input.sponsorName || null;
+        let sponsorLogoUrl = input.sponsorLogoUrl || null;
+
+        const sponsorId = input.sponsorId ? parseInt(input.sponsorId) : null;
+        if (sponsorId) {
+            const sponsor = await this.getSponsor(sponsorId);
+            if (!sponsor) return { error: 'Sponsor not found' };
+            sponsorName = sponsorName || sponsor.name;
+            sponsorLogoUrl = sponsorLogoUrl || sponsor.logo_url;
+        }
+
+        const questionId = input.sponsoredQuestionId ? parseInt(input.sponsoredQuestionId) : null;
+        let slot = null;
+        if (questionId) {
+            if (!sponsorName) return { error: 'A sponsored question needs a sponsor' };
+            const question = await pool.query('SELECT id FROM questions WHERE id = $1 AND is_active = true', [questionId]);
+            if (!question.rows.length) return { error: 'Sponsored question not found or not active' };
+            slot = parseInt(input.sponsoredQuestionSlot);
+            if (!(slot >= 1) || slot > 50) return { error: 'Sponsored question slot must be a question number from 1' };
+        }
+
+        return { sponsorId, sponsorName, sponsorLogoUrl, sponsoredQuestionId: questionId, sponsoredQuestionSlot: slot };
+    }
+
+    // ============================================
+    // SPONSORS AND PORTAL LOGINS
+    // ============================================
+
+    async getSponsor(sponsorId) {
+        await this.ensureSchema();
+        const result = await pool.query('SELECT * FROM sponsors WHERE id = $1', [sponsorId]);
+        return result.rows[0] || null;
+    }
+
+    async listSponsors() {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT s.*,
+                   (SELECT COUNT(*)::int FROM tournaments t WHERE t.sponsor_id = s.id) AS tournaments,
+                   COALESCE((
+                       SELECT json_agg(json_build_object('id', a.id, 'username', a.username, 'fullName', a.full_name,
+                                                         'email', a.email, 'isActive', a.is_active, 'lastLogin', a.last_login)
+                                       ORDER BY a.created_at)
+                       FROM admins a WHERE a.sponsor_id = s.id
+                   ), '[]') AS logins
+            FROM sponsors s
+            ORDER BY s.is_active DESC, s.name
+        `);
+        return result.rows;
+    }
+
+    async createSponsor({ name, logoUrl, contactName, contactEmail }, createdBy) {
+        await this.ensureSchema();
+        const clean = String(name || '').trim();
+        if (clean.length < 2 || clean.length > 120) return { success: false, error: 'Sponsor name must be 2–120 characters' };
+        const result = await pool.query(`
+            INSERT INTO sponsors (name, logo_url, contact_name, contact_email, created_by)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [clean, logoUrl || null, contactName || null, contactEmail || null, createdBy]);
+        logger.info(`🤝 Sponsor created: ${clean} by ${createdBy}`);
+        return { success: true, sponsor: result.rows[0] };
+    }
+
+    async updateSponsor(sponsorId, { name, logoUrl, contactName, contactEmail, isActive }) {
+        await this.ensureSchema();
+        const clean = String(name || '').trim();
+        if (clean.length < 2 || clean.length > 120) return { success: false, error: 'Sponsor name must be 2–120 characters' };
+        const result = await pool.query(`
+            UPDATE sponsors
+            SET name = $2, logo_url = $3, contact_name = $4, contact_email = $5, is_active = $6
+            WHERE id = $1
+            RETURNING *
+        `, [sponsorId, clean, logoUrl || null, contactName || null, contactEmail || null, isActive !== false]);
+        if (!result.rows.length) return { success: false, error: 'Sponsor not found' };
+        return { success: true, sponsor: result.rows[0] };
+    }
+
+    /** A portal login for one of the sponsor's staff. */
+    async createLogin(sponsorId, { username, fullName, email, password }, createdBy) {
+        await this.ensureSchema();
+        const sponsor = await this.getSponsor(sponsorId);
+        if (!sponsor) return { success: false, error: 'Sponsor not found' };
+        if (!username || !email || !password) return { success: false, error: 'Username, email and password are required' };
+        if (String(password).length < 8) return { success: false, error: 'Password must be at least 8 characters' };
+
+        const role = await pool.query('SELECT id FROM admin_roles WHERE role_name = $1', [SPONSOR_ROLE]);
+        const created = await adminAuthService.createAdmin(username, fullName || sponsor.name, email, password, role.rows[0].id, createdBy);
+        if (!created.success) return created;
+        await pool.query('UPDATE admins SET sponsor_id = $1 WHERE id = $2', [sponsorId, created.admin.id]);
+        logger.info(`🤝 Sponsor login ${username} created for ${sponsor.name}`);
+        return { success: true, login: { id: created.admin.id, username: created.admin.username } };
+    }
+
+    /** Turns a sponsor login on or off. Refuses anything that isn't one. */
+    async setLoginActive(adminId, isActive, updatedBy) {
+        await this.ensureSchema();
+        const login = await pool.query('SELECT id FROM admins WHERE id = $1 AND sponsor_id IS NOT NULL', [adminId]);
+        if (!login.rows.length) return { success: false, error: 'Sponsor login not found' };
+        if (!isActive) {
+            await pool.query('UPDATE admin_sessions SET is_active = false WHERE admin_id = $1 AND is_active = true', [adminId]);
+        }
+        return adminAuthService.updateAdminStatus(adminId, isActive, updatedBy);
+    }
+
+    /** The active sponsor a portal session acts for, or null. */
+    async sponsorForAdmin(adminId) {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT s.* FROM admins a JOIN sponsors s ON s.id = a.sponsor_id
+            WHERE a.id = $1 AND s.is_active = true
+        `, [adminId]);
+        return result.rows[0] || null;
+    }
+
+    // ============================================
+    // IN-GAME BRANDING
+    // ============================================
+
+    /** Sponsor branding for a tournament, or null when it has no sponsor. */
+    async brandingFor(tournamentId) {
+        if (!tournamentId) return null;
+        try {
+            await this.ensureSchema();
+            const result = await pool.query(`
+                SELECT t.sponsor_id, COALESCE(t.sponsor_name, s.name) AS name, COALESCE(t.sponsor_logo_url, s.logo_url) AS logo_url
+                FROM tournaments t LEFT JOIN sponsors s ON s.id = t.sponsor_id
+                WHERE t.id = $1
+            `, [tournamentId]);
+            const row = result.rows[0];
+            return row && row.name ? { sponsorId: row.sponsor_id, name: row.name, logoUrl: row.logo_url } : null;
+        } catch (error) {
+            logger.error(`Error loading sponsor branding for tournament ${tournamentId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * The sponsored question if this is its slot in a tournament game and
+     * the player hasn't had it this game, else null.
+     */
+    async questionFor(session, questionNumber, askedIds = []) {
+        if (!session.tournament_id || session.duel_id) return null;
+        try {
+            await this.ensureSchema();
+            const result = await pool.query(`
+                SELECT q.*, 0 AS user_times_seen, COALESCE(t.sponsor_name, s.name) AS sponsored_by
+                FROM tournaments t
+                JOIN questions q ON q.id = t.sponsored_question_id AND q.is_active = true
+                LEFT JOIN sponsors s ON s.id = t.sponsor_id
+                WHERE t.id = $1 AND t.sponsored_question_slot = $2
+            `, [session.tournament_id, questionNumber]);
+            const question = result.rows[0];
+            if (!question || askedIds.includes(question.id)) return null;
+            return question;
+        } catch (error) {
+            logger.error(`Error loading sponsored question for tournament ${session.tournament_id}:`, error);
+            return null;
+        }
+    }
+
+    /** Counts one delivery toward the tournament's sponsor, if it has one. */
+    async recordImpression(tournamentId, kind, userId = null) {
+        if (!tournamentId || !IMPRESSION_KINDS.includes(kind)) return;
+        try {
+            await this.ensureSchema();
+            await pool.query(`
+                INSERT INTO sponsor_impressions (sponsor_id, tournament_id, user_id, kind)
+                SELECT sponsor_id, id, $2, $3 FROM tournaments WHERE id = $1 AND sponsor_id IS NOT NULL
+            `, [tournamentId, userId, kind]);
+        } catch (error) {
+            logger.error(`Error recording ${kind} impression for tournament ${tournamentId}:`, error);
+        }
+    }
+
+    // ============================================
+    // REPORTS
+    // ============================================
+
+    /** The sponsor's tournaments, newest first, with headline numbers. */
+    async listTournaments(sponsorId) {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT t.id, t.tournament_name, t.status, t.start_date, t.end_date, t.prize_pool,
+                   (SELECT COUNT(*)::int FROM tournament_participants tp WHERE tp.tournament_id = t.id) AS participants,
+                   (SELECT COUNT(*)::int FROM sponsor_impressions si WHERE si.tournament_id = t.id AND si.kind = 'card') AS cards,
+                   (SELECT COUNT(*)::int FROM sponsor_impressions si WHERE si.tournament_id = t.id AND si.kind = 'message') AS messages,
+                   (SELECT COUNT(*)::int FROM sponsor_impressions si WHERE si.tournament_id = t.id AND si.kind = 'question') AS questions
+            FROM tournaments t
+            WHERE t.sponsor_id = $1
+            ORDER BY t.start_date DESC
+        `, [sponsorId]);
+        return result.rows;
+    }
+
+    /**
+     * Everything the sponsor report shows for one tournament. Pass sponsorId
+     * to scope it to that sponsor: another sponsor's tournament is null.
+     */
+    async getReport(tournamentId, sponsorId = null) {
+        await this.ensureSchema();
+        const found = await pool.query(`
+            SELECT t.id, t.tournament_name, t.status, t.start_date, t.end_date, t.prize_pool,
+                   t.sponsor_id, t.sponsored_question_slot,
+                   COALESCE(s.name, t.sponsor_name) AS sponsor_name, COALESCE(s.logo_url, t.sponsor_logo_url) AS sponsor_logo_url
+            FROM tournaments t LEFT JOIN sponsors s ON s.id = t.sponsor_id
+            WHERE t.id = $1 AND ($2::int IS NULL OR t.sponsor_id = $2)
+        `, [tournamentId, sponsorId]);
+        if (!found.rows.length) return null;
+        const t = found.rows[0];
+
+        const [players, impressions, reach, daily, cities, top] = await Promise.all([
+            pool.query(`
+                SELECT COUNT(*)::int AS participants,
+                       COUNT(*) FILTER (WHERE games_played > 0)::int AS active_players,
+                       COALESCE(SUM(games_played), 0)::int AS games_played
+                FROM tournament_participants WHERE tournament_id = $1
+            `, [tournamentId]),
+            pool.query(`
+                SELECT kind, COUNT(*)::int AS total, COUNT(DISTINCT user_id)::int AS players
+                FROM sponsor_impressions WHERE tournament_id = $1
+                GROUP BY kind
+            `, [tournamentId]),
+            pool.query('SELECT COUNT(DISTINCT user_id)::int AS players FROM sponsor_impressions WHERE tournament_id = $1', [tournamentId]),
+            pool.query(`
+                SELECT TO_CHAR(DATE(created_at), 'YYYY-MM-DD') AS day,
+                       COUNT(*) FILTER (WHERE kind = 'card')::int AS cards,
+                       COUNT(*) FILTER (WHERE kind = 'message')::int AS messages,
+                       COUNT(*) FILTER (WHERE kind = 'question')::int AS questions
+                FROM sponsor_impressions WHERE tournament_id = $1
+                GROUP BY DATE(created_at) ORDER BY DATE(created_at)
+            `, [tournamentId]),
+            pool.query(`
+                SELECT COALESCE(NULLIF(INITCAP(TRIM(u.city)), ''), 'Unknown') AS city, COUNT(*)::int AS players
+                FROM tournament_participants tp JOIN users u ON u.id = tp.user_id
+                WHERE tp.tournament_id = $1
+                GROUP BY 1 ORDER BY players DESC, city LIMIT 10
+            `, [tournamentId]),
+            pool.query(`
+                SELECT u.username, u.city, tp.best_questions_answered, tp.best_time_taken
+                FROM tournament_participants tp JOIN users u ON u.id = tp.user_id
+                WHERE tp.tournament_id = $1 AND tp.best_questions_answered > 0
+                ORDER BY ${LEADERBOARD_ORDER}
+                LIMIT 10
+            `, [tournamentId])
+        ]);
+
+        const byKind = {};
+        IMPRESSION_KINDS.forEach(kind => { byKind[kind] = { total: 0, players: 0 }; });
+        impressions.rows.forEach(row => { byKind[row.kind] = { total: row.total, players: row.players }; });
+
+        return {
+            generatedAt: new Date(),
+            sponsor: { id: t.sponsor_id, name: t.sponsor_name, logoUrl: t.sponsor_logo_url },
+            tournament: {
+                id: t.id, name: t.tournament_name, status: t.status,
+                startDate: t.start_date, endDate: t.end_date, prizePool: parseFloat(t.prize_pool) || 0,
+                hasSponsoredQuestion: !!t.sponsored_question_slot
+            },
+            metrics: {
+                participants: players.rows[0].participants,
+                activePlayers: players.rows[0].active_players,
+                gamesPlayed: players.rows[0].games_played,
+                reach: reach.rows[0].players,
+                cards: byKind.card,
+                messages: byKind.message,
+                questions: byKind.question
+            },
+            daily: daily.rows,
+            cities: cities.rows,
+            topPlayers: top.rows.map((row, i) => ({
+                rank: i + 1, username: row.username, city: row.city,
+                questionsAnswered: row.best_questions_answered,
+                timeTaken: parseFloat(row.best_time_taken) || 0
+            }))
+        };
+    }
+
+    /** The report as a PDF file; returns its path. */
+    async renderReportPdf(report) {
+        const ImageService = require('./image.service');
+        const imageService = new ImageService();
+        imageService.cleanupTempFiles();
+        return imageService.generateSponsorReportPdf(report);
+    }
+}
+
+module.exports = new SponsorService();
@@ -0,0 +1,185 @@
+// ============================================
+// FILE: src/services/statement.service.js
+// STATEMENTS — a player's own money history, for chat players who have no
+// purchases page to look at.
+//
+// EXPORT SHAPE: exports an INSTANCE (like audience.service.js).
+//   const statementService = require('./statement.service');
+//
+// Reads the records themselves (payment_transactions,
+// tournament_entry_payments, transactions) rather than the ledger, so a
+// player's history reaches back past the day the ledger started. Three
+// kinds of line:
+//   purchase          — a game package bought (or refunded, or failed)
+//   tournament_entry  — a paid tournament entry
+//   prize             — a prize won, with its payout status
+// A forfeit is stored as a cancelled prize with a note; it is reported
+// here as its own 'forfeited' status because that is what players ask.
+// ============================================
+
+const pool = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const PAGE_SIZE = 8;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Pending purchases are left out: a checkout the player walked away from
+// is not something they did.
+const HISTORY_SQL = `
+    SELECT 'purchase' AS kind, pt.reference, pt.amount, pt.games_purchased AS games,
+           pt.status, COALESCE(pt.paid_at, pt.created_at) AS at, NULL::timestamp AS settled_at,
+           COALESCE(gp.name, 'Games') AS label
+    FROM payment_transactions pt
+    LEFT JOIN game_packages gp ON gp.id = pt.package_id
+    WHERE pt.user_id = $1 AND pt.status IN ('success', 'refunded', 'failed')
+
+    UNION ALL
+
+    SELECT 'tournament_entry', tep.payment_reference, tep.amount, NULL,
+           tep.payment_status, COALESCE(tep.paid_at, tep.created_at), NULL,
+           COALESCE(tn.tournament_name, 'Tournament')
+    FROM tournament_entry_payments tep
+    LEFT JOIN tournaments tn ON tn.id = tep.tournament_id
+    WHERE tep.user_id = $1 AND tep.payment_status = 'success' AND tep.amount > 0
+
+    UNION ALL
+
+    SELECT 'prize', t.id::text, t.amount, NULL,
+           CASE WHEN t.payout_status = 'cancelled' AND t.notes LIKE '%[Forfeited%' THEN 'forfeited'
+                ELSE COALESCE(t.payout_status, 'pending') END,
+           t.created_at, COALESCE(t.confirmed_at, t.paid_at),
+           COALESCE(t.description, CASE WHEN t.transaction_type = 'tournament_prize' THEN 'Tournament prize' ELSE 'Game prize' END)
+    FROM transactions t
+    WHERE t.user_id = $1 AND t.transaction_type IN ('prize', 'tournament_prize') AND t.amount > 0
+`;
+
+function toLine(row) {
+    return {
+        kind: row.kind,
+        reference: row.reference,
+        label: row.label,
+        amount: parseFloat(row.amount) || 0,
+        games: row.games,
+        status: row.status,
+        at: row.at,
+        settledAt: row.settled_at
+    };
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+class StatementService {
+    /**
+     * One page of history, newest first.
+     * @returns {{ lines: object[], page: number, pages: number, total: number }}
+     */
+    async getHistory(userId, page = 1) {
+        try {
+            const wanted = Math.max(1, parseInt(page) || 1);
+            const result = await pool.query(`
+                SELECT h.*, COUNT(*) OVER () AS total_count
+                FROM (${HISTORY_SQL}) h
+                ORDER BY h.at DESC
+                LIMIT $2 OFFSET $3
+            `, [userId, PAGE_SIZE, (wanted - 1) * PAGE_SIZE]);
+
+            const total = parseInt(result.rows[0]?.total_count) || 0;
+            // Asking past the end gets an empty page; say how many there are.
+            if (!result.rows.length && wanted > 1) {
+                const count = await pool.query(`SELECT COUNT(*) AS n FROM (${HISTORY_SQL}) h`, [userId]);
+                const n = parseInt(count.rows[0].n) || 0;
+                return { lines: [], page: wanted, pages: Math.ceil(n / PAGE_SIZE), total: n };
+            }
+            return {
+                lines: result.rows.map(toLine),
+                page: wanted,
+                pages: Math.ceil(total / PAGE_SIZE),
+                total
+            };
+        } catch (error) {
+            logger.error('Error loading player history:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Everything in one calendar month, oldest first, with the totals a
+     * statement shows. Timestamps are stored in local time, so the month
+     * boundaries are plain local dates.
+     */
+    async getMonth(userId, year, month) {
+        try {
+            const from = `${year}-${pad(month)}-01`;
+            const next = month === 12 ? `${year + 1}-01-01` : `${year}-${pad(month + 1)}-01`;
+            const result = await pool.query(`
+                SELECT h.* FROM (${HISTORY_SQL}) h
+                WHERE h.at >= $2 AND h.at < $3
+                ORDER BY h.at ASC
+            `, [userId, from, next]);
+
+            const lines = result.rows.map(toLine);
+            const sum = (fn) => lines.filter(fn).reduce((a, l) => a + l.amount, 0);
+            return {
+                year,
+                month,
+                lines,
+                totals: {
+                    spent: sum(l => (l.kind === 'purchase' && l.status === 'success') || l.kind === 'tournament_entry'),
+                    refunded: sum(l => l.kind === 'purchase' && l.status === 'refunded'),
+                    games: lines.filter(l => l.kind === 'purchase' && l.status === 'success')
+                        .reduce((a, l) => a + (l.games || 0), 0),
+                    won: sum(l => l.kind === 'prize' && l.status !== 'cancelled' && l.status !== 'forfeited'),
+                    paid: sum(l => l.kind === 'prize' && (l.status === 'paid' || l.status === 'confirmed')),
+                    forfeited: sum(l => l.kind === 'prize' && l.status === 'forfeited')
+                }
+            };
+        } catch (error) {
+            logger.error('Error loading monthly statement:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * What a player typed after STATEMENT → { year, month }.
+     * Blank is this month; LAST is last month; otherwise a month name
+     * (JAN, AUGUST, AUG 2026) or a numeric 2026-08 / 08/2026. A month name
+     * without a year means its most recent occurrence. Future months and
+     * anything unreadable give null.
+     */
+    parseMonth(arg, now = new Date()) {
+        const text = String(arg || '').trim().toUpperCase();
+        let year = now.getFullYear();
+        let month = now.getMonth() + 1;
+
+        if (text === 'LAST' || text === 'LAST MONTH') {
+            month -= 1;
+            if (month === 0) { month = 12; year -= 1; }
+            return { year, month };
+        }
+        if (text && text !== 'THIS' && text !== 'THIS MONTH') {
+            let m;
+            if ((m = text.match(/^(\d{4})[-/](\d{1,2})$/))) {
+                year = parseInt(m[1]); month = parseInt(m[2]);
+            } else if ((m = text.match(/^(\d{1,2})[-/](\d{4})$/))) {
+                month = parseInt(m[1]); year = parseInt(m[2]);
+            } else if ((m = text.match(/^([A-Z]{3,9})(?:\s+(\d{4}))?$/))) {
+                const index = MONTHS.indexOf(m[1].slice(0, 3));
+                if (index === -1) return null;
+                month = index + 1;
+                if (m[2]) year = parseInt(m[2]);
+                else if (month > now.getMonth() + 1) year -= 1;
+            } else {
+                return null;
+            }
+        }
+
+        if (month < 1 || month > 12) return null;
+        if (year > now.getFullYear() || (year === now.getFullYear() && month > now.getMonth() + 1)) return null;
+        return { year, month };
+    }
+}
+
+module.exports = new StatementService();
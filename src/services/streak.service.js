@@ -1,10 +1,35 @@
 // ============================================
 // FILE: src/services/streak.service.js
 // Daily Streak System Service
+//
+// STREAK FREEZES
+// A freeze covers one missed Nigerian calendar day. They are used up
+// automatically the next time the player starts a qualifying game: miss
+// two days holding two freezes and the streak carries on as if they had
+// played. Freezes come from achievements (see achievements.service.js)
+// and from game packages with game_packages.streak_freezes set. A gap
+// longer than MAX_FROZEN_DAYS is a break however many freezes are held —
+// freezes are for a bad network day, not a holiday.
+//
+// STREAK RESTORE
+// A streak of RESTORE_MIN_STREAK+ days that broke can be bought back
+// within RESTORE_WINDOW_DAYS of the first missed day, for
+// STREAK_RESTORE_FEE (naira, env). Paid through the normal gateway flow
+// as a payment_transactions row with purchase_type 'streak_restore';
+// payment.service calls applyRestore() once the payment is verified.
+// Restored days are carried over, not backfilled: the missed days don't
+// count and no milestone reward is paid for the jump.
 // ============================================
 
 const pool = require('../config/database');
 const { logger } = require('../utils/logger');
+const { getTranslations } = require('../config/i18n');
+const ledgerService = require('./ledger.service');
+
+const MAX_FROZEN_DAYS = 3;
+const RESTORE_WINDOW_DAYS = 3;
+const RESTORE_MIN_STREAK = 7;
+const RESTORE_FEE = parseInt(process.env.STREAK_RESTORE_FEE) || 300;
 
 // Streak reward milestones
 const STREAK_REWARDS = {
@@ -16,6 +41,74 @@ const STREAK_REWARDS = {
 };
 
 class StreakService {
+
+    constructor() {
+        this._schemaReady = false;
+    }
+
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`
+            ALTER TABLE users
+                ADD COLUMN IF NOT EXISTS streak_freezes INTEGER NOT NULL DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS streak_lost INTEGER,
+                ADD COLUMN IF NOT EXISTS streak_lost_on DATE
+        `);
+        await pool.query(`ALTER TABLE game_packages ADD COLUMN IF NOT EXISTS streak_freezes INTEGER NOT NULL DEFAULT 0`);
+        await pool.query(`
+            ALTER TABLE payment_transactions
+                ADD COLUMN IF NOT EXISTS purchase_type VARCHAR(20) NOT NULL DEFAULT 'games',
+                ADD COLUMN IF NOT EXISTS streak_freezes INTEGER NOT NULL DEFAULT 0
+        `);
+        // A restore purchase has no package
+        await pool.query(`ALTER TABLE payment_transactions ALTER COLUMN package_id DROP NOT NULL`);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS streak_freeze_events (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id),
+                change INTEGER NOT NULL,
+                reason VARCHAR(20) NOT NULL,
+                reference VARCHAR(100),
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        // Achievements and payments each grant once per reference
+        await pool.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_streak_freeze_events_reference
+            ON streak_freeze_events(reference) WHERE reference IS NOT NULL
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS streak_restores (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id),
+                payment_reference VARCHAR(100) UNIQUE NOT NULL,
+                restored_streak INTEGER,
+                fee NUMERIC(10,2),
+                status VARCHAR(20) NOT NULL,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        this._schemaReady = true;
+    }
+
+    /** Whole days from one YYYY-MM-DD date to another. */
+    daysBetween(from, to) {
+        return Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+    }
+
+    addDays(date, days) {
+        const d = new Date(Date.parse(date) + days * 24 * 60 * 60 * 1000);
+        return d.toISOString().split('T')[0];
+    }
+
+    badgeFor(streak) {
+        if (streak >= 60) return 'diamond';
+        if (streak >= 30) return 'trophy';
+        if (streak >= 14) return 'fire3';
+        if (streak >= 7) return 'fire2';
+        if (streak >= 3) return 'fire1';
+        return null;
+    }
     
     /**
      * Get current date in Nigerian timezone (WAT/UTC+1)
@@ -39,17 +132,18 @@ class StreakService {
 
     /**
      * Check and update user's streak when they play a qualifying game
-     * Called when a Classic or Tournament game STARTS
+     * Called when a Classic or Tournament game STARTS, and when a daily challenge does
      * @param {number} userId 
-     * @param {string} gameType - 'classic' or 'tournament'
+     * @param {string} gameType - 'classic', 'tournament' or 'daily'
      * @returns {object} Streak update result with any rewards earned
      */
     async updateStreak(userId, gameType) {
-        // Only Classic and Tournament games count
-        if (gameType !== 'classic' && gameType !== 'tournament') {
+        // Only Classic, Tournament and the daily challenge count
+        if (gameType !== 'classic' && gameType !== 'tournament' && gameType !== 'daily') {
             return { updated: false, reason: 'Practice mode does not count toward streak' };
         }
 
+        await this.ensureSchema();
         const client = await pool.connect();
         
         try {
@@ -57,7 +151,7 @@ class StreakService {
 
             // Get user's current streak data
             const userResult = await client.query(
-                'SELECT current_streak, longest_streak, last_play_date FROM users WHERE id = $1 FOR UPDATE',
+                'SELECT current_streak, longest_streak, last_play_date, streak_freezes FROM users WHERE id = $1 FOR UPDATE',
                 [userId]
             );
 
@@ -75,6 +169,7 @@ class StreakService {
             let streakContinued = false;
             let streakStarted = false;
             let streakReset = false;
+            let frozenDays = 0;
             let reward = null;
 
             // Already played today - no streak update needed
@@ -97,21 +192,36 @@ class StreakService {
                 newStreak = 1;
                 streakStarted = true;
             } else {
-                // Missed a day - streak resets
-                newStreak = 1;
-                streakReset = true;
+                const missedDays = this.daysBetween(lastPlayDate, today) - 1;
+                if (newStreak > 0 && missedDays <= MAX_FROZEN_DAYS && (user.streak_freezes || 0) >= missedDays) {
+                    // Freezes cover every missed day - streak continues
+                    frozenDays = missedDays;
+                    newStreak += 1;
+                    streakContinued = true;
+                    await client.query(
+                        'UPDATE users SET streak_freezes = streak_freezes - $1 WHERE id = $2',
+                        [frozenDays, userId]
+                    );
+                    await client.query(
+                        `INSERT INTO streak_freeze_events (user_id, change, reason) VALUES ($1, $2, 'used')`,
+                        [userId, -frozenDays]
+                    );
+                } else {
+                    // Missed a day - streak resets. Remember what was lost
+                    // so it can be bought back within the restore window.
+                    newStreak = 1;
+                    streakReset = true;
+                    await client.query(
+                        'UPDATE users SET streak_lost = $1, streak_lost_on = $2 WHERE id = $3',
+                        [user.current_streak || 0, this.addDays(lastPlayDate, 1), userId]
+                    );
+                }
             }
 
             // Update longest streak if needed
             const newLongestStreak = Math.max(user.longest_streak || 0, newStreak);
 
-            // Determine badge
-            let badge = null;
-            if (newStreak >= 60) badge = 'diamond';
-            else if (newStreak >= 30) badge = 'trophy';
-            else if (newStreak >= 14) badge = 'fire3';
-            else if (newStreak >= 7) badge = 'fire2';
-            else if (newStreak >= 3) badge = 'fire1';
+            const badge = this.badgeFor(newStreak);
 
             // Update user's streak data
             await client.query(
@@ -131,7 +241,7 @@ class StreakService {
 
             await client.query('COMMIT');
 
-            logger.info(`Streak updated for user ${userId}: ${newStreak} days (${streakContinued ? 'continued' : streakStarted ? 'started' : 'reset'})`);
+            logger.info(`Streak updated for user ${userId}: ${newStreak} days (${streakContinued ? 'continued' : streakStarted ? 'started' : 'reset'})${frozenDays ? ` - ${frozenDays} freeze(s) used` : ''}`);
 
             return {
                 updated: true,
@@ -140,6 +250,8 @@ class StreakService {
                 streakContinued,
                 streakStarted,
                 streakReset,
+                frozenDays,
+                freezesLeft: (user.streak_freezes || 0) - frozenDays,
                 previousStreak: user.current_streak || 0,
                 badge,
                 reward
@@ -183,12 +295,21 @@ class StreakService {
         }
 
         // Log the reward
-        await client.query(
+        const rewardRow = await client.query(
             `INSERT INTO streak_rewards (user_id, streak_days, reward_type, reward_amount, reward_description)
-             VALUES ($1, $2, $3, $4, $5)`,
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING id`,
             [userId, streakDays, 'free_games', rewardConfig.freeGames, rewardConfig.description]
         );
 
+        if (rewardConfig.freeGames > 0) {
+            await ledgerService.recordGamesGranted('streak_reward', {
+                userId, games: rewardConfig.freeGames,
+                key: `streak_reward:${rewardRow.rows[0].id}`,
+                description: `${streakDays}-day streak reward`
+            }, client);
+        }
+
         logger.info(`Granted streak reward to user ${userId}: ${streakDays} days - ${rewardConfig.freeGames} free games`);
 
         return {
@@ -202,13 +323,182 @@ class StreakService {
         };
     }
 
+    // ============================================
+    // FREEZES
+    // ============================================
+
+    /**
+     * Add freezes to a player's balance. reason is 'achievement',
+     * 'purchased' or 'admin'; a reference grants only once, so retries
+     * and double-verified payments are harmless. Returns the number
+     * granted (0 if this reference was already paid out).
+     */
+    async grantFreezes(userId, count, reason, reference = null) {
+        if (!(count > 0)) return 0;
+        await this.ensureSchema();
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const inserted = await client.query(
+                `INSERT INTO streak_freeze_events (user_id, change, reason, reference)
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (reference) WHERE reference IS NOT NULL DO NOTHING
+                 RETURNING id`,
+                [userId, count, reason, reference]
+            );
+            if (inserted.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return 0;
+            }
+            await client.query(
+                'UPDATE users SET streak_freezes = streak_freezes + $1 WHERE id = $2',
+                [count, userId]
+            );
+            await client.query('COMMIT');
+            logger.info(`Granted ${count} streak freeze(s) to user ${userId} (${reason}${reference ? `, ${reference}` : ''})`);
+            return count;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error granting streak freezes:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ============================================
+    // RESTORE
+    // ============================================
+
+    /**
+     * What a player could buy back right now, from a users row. Two cases:
+     *  - pending: the streak lapsed but they haven't played since, so
+     *    updateStreak hasn't reset it yet (and their freezes won't cover it)
+     *  - recorded: updateStreak already reset it and kept streak_lost
+     * Returns null when there is nothing to restore.
+     */
+    getRestoreOffer(user) {
+        const today = this.getNigerianDate();
+        const yesterday = this.getNigerianYesterday();
+        const lastPlayDate = user.last_play_date ? user.last_play_date.toISOString().split('T')[0] : null;
+
+        let offer = null;
+        if (lastPlayDate && lastPlayDate < yesterday && (user.current_streak || 0) >= RESTORE_MIN_STREAK) {
+            const missedDays = this.daysBetween(lastPlayDate, today) - 1;
+            const covered = missedDays <= MAX_FROZEN_DAYS && (user.streak_freezes || 0) >= missedDays;
+            if (covered) return null;
+            offer = { pending: true, lostStreak: user.current_streak, brokenOn: this.addDays(lastPlayDate, 1) };
+        } else if ((user.streak_lost || 0) >= RESTORE_MIN_STREAK && user.streak_lost_on) {
+            offer = { pending: false, lostStreak: user.streak_lost, brokenOn: user.streak_lost_on.toISOString().split('T')[0] };
+        }
+        if (!offer) return null;
+
+        const expiresOn = this.addDays(offer.brokenOn, RESTORE_WINDOW_DAYS);
+        if (today > expiresOn) return null;
+        return { ...offer, expiresOn, fee: RESTORE_FEE };
+    }
+
+    /**
+     * Apply a verified restore payment. Idempotent per payment reference.
+     * If the offer has gone by the time the money lands (the player broke
+     * the streak again, or the window closed mid-checkout) nothing is
+     * changed and the row is marked 'unapplied' for an admin to refund.
+     * Never throws: the payment is already claimed, so a retry would not
+     * come back here. An error is also left as an 'unapplied' row.
+     */
+    async applyRestore(transaction) {
+        let client;
+        try {
+            await this.ensureSchema();
+            client = await pool.connect();
+            await client.query('BEGIN');
+            const userResult = await client.query(
+                `SELECT current_streak, longest_streak, last_play_date, streak_freezes, streak_lost, streak_lost_on
+                 FROM users WHERE id = $1 FOR UPDATE`,
+                [transaction.user_id]
+            );
+            const user = userResult.rows[0];
+            const offer = user ? this.getRestoreOffer(user) : null;
+            // Pending: not reset yet, so the streak stands as it is.
+            // Recorded: the days played since the break carry on from the
+            // lost streak.
+            const currentStreak = !offer ? null
+                : offer.pending ? user.current_streak
+                : offer.lostStreak + (user.current_streak || 0);
+
+            const claimed = await client.query(
+                `INSERT INTO streak_restores (user_id, payment_reference, restored_streak, fee, status)
+                 VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (payment_reference) DO NOTHING
+                 RETURNING id`,
+                [transaction.user_id, transaction.reference, currentStreak, transaction.amount, offer ? 'restored' : 'unapplied']
+            );
+            if (claimed.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return this.getRestoreResult(transaction.reference);
+            }
+
+            if (!offer) {
+                await client.query('COMMIT');
+                logger.warn(`Streak restore ${transaction.reference} paid but nothing to restore for user ${transaction.user_id} — needs a refund`);
+                return { restored: false, currentStreak: null };
+            }
+
+            if (offer.pending) {
+                // Pretend they played yesterday so their next game continues
+                // the streak
+                await client.query(
+                    'UPDATE users SET last_play_date = $1, streak_lost = NULL, streak_lost_on = NULL WHERE id = $2',
+                    [this.getNigerianYesterday(), transaction.user_id]
+                );
+            } else {
+                await client.query(
+                    `UPDATE users
+                     SET current_streak = $1, longest_streak = GREATEST(COALESCE(longest_streak, 0), $1),
+                         streak_badge = $2, streak_lost = NULL, streak_lost_on = NULL
+                     WHERE id = $3`,
+                    [currentStreak, this.badgeFor(currentStreak), transaction.user_id]
+                );
+            }
+
+            await client.query('COMMIT');
+            logger.info(`Streak restored for user ${transaction.user_id}: ${currentStreak} days (${transaction.reference})`);
+            return { restored: true, currentStreak };
+        } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            logger.error(`Error applying streak restore ${transaction.reference} — marking it for a refund:`, error);
+            await pool.query(
+                `INSERT INTO streak_restores (user_id, payment_reference, fee, status)
+                 VALUES ($1, $2, $3, 'unapplied')
+                 ON CONFLICT (payment_reference) DO NOTHING`,
+                [transaction.user_id, transaction.reference, transaction.amount]
+            ).catch(err => logger.error(`Streak restore ${transaction.reference} paid but not recorded — refund by hand:`, err));
+            return { restored: false, currentStreak: null };
+        } finally {
+            if (client) client.release();
+        }
+    }
+
+    /** Outcome of an already-applied restore payment, or null. */
+    async getRestoreResult(reference) {
+        await this.ensureSchema();
+        const result = await pool.query(
+            'SELECT status, restored_streak FROM streak_restores WHERE payment_reference = $1',
+            [reference]
+        );
+        if (result.rows.length === 0) return null;
+        return { restored: result.rows[0].status === 'restored', currentStreak: result.rows[0].restored_streak };
+    }
+
     /**
      * Get user's streak info
      */
     async getStreakInfo(userId) {
         try {
+            await this.ensureSchema();
             const result = await pool.query(
-                `SELECT current_streak, longest_streak, last_play_date, streak_badge
+                `SELECT current_streak, longest_streak, last_play_date, streak_badge,
+                        streak_freezes, streak_lost, streak_lost_on
                  FROM users WHERE id = $1`,
                 [userId]
             );
@@ -259,7 +549,9 @@ class StreakService {
                 badgeEmoji,
                 nextMilestone,
                 daysToNextMilestone,
-                nextReward: nextMilestone ? STREAK_REWARDS[nextMilestone] : null
+                nextReward: nextMilestone ? STREAK_REWARDS[nextMilestone] : null,
+                freezes: user.streak_freezes || 0,
+                restoreOffer: this.getRestoreOffer(user)
             };
 
         } catch (error) {
@@ -355,9 +647,30 @@ class StreakService {
             message += `   📍 ${streakInfo.daysToNextMilestone} day(s) to next reward!`;
         }
 
+        if (streakInfo.freezes > 0) {
+            message += `\n   🧊 ${streakInfo.freezes} streak freeze${streakInfo.freezes > 1 ? 's' : ''} ready`;
+        }
+
         return message;
     }
 
+    /**
+     * Banner shown at game start when freezes covered a gap. `t` is the
+     * player's catalogue (languageService.forUser).
+     */
+    formatFreezeUsedMessage(streakResult, t = getTranslations()) {
+        if (!streakResult || !streakResult.frozenDays) return null;
+        return t.streak_freeze_used(streakResult.frozenDays, streakResult.currentStreak, streakResult.freezesLeft);
+    }
+
+    /**
+     * Restore offer lines for the STREAK command
+     */
+    formatRestoreOffer(offer, t = getTranslations()) {
+        if (!offer) return null;
+        return t.streak_restore_offer(offer.lostStreak, offer.fee, offer.expiresOn);
+    }
+
     /**
      * Format streak reward notification
      */
@@ -0,0 +1,506 @@
+// ============================================
+// FILE: src/services/tournament-series.service.js
+// TOURNAMENT SERIES — one tournament design that repeats on a schedule
+// ("Weekly Friday Blitz, ₦500 entry"), with points carried across rounds
+// into a season leaderboard.
+//
+// EXPORT SHAPE: exports an INSTANCE (like live-show.service.js).
+//   const tournamentSeries = require('./tournament-series.service');
+//
+// THE TEMPLATE
+// A series is made from an existing tournament: its settings (entry fee,
+// prize pool, tokens, category, format, prize structure…) are copied into
+// the series when it is created, so editing or ending the original later
+// changes nothing. Each round is an ordinary tournaments row with
+// series_id / series_season / series_round set — joining, paying, playing,
+// CLAIM and the finance pages all work on it unchanged.
+//
+// THE SCHEDULE
+// daily or weekly (on one weekday), starting at a local HH:MM and running
+// for duration_minutes. next_start_at is the next round not yet created.
+// poll() runs every minute and:
+//   open   — creates the round lead_hours before it starts, as 'upcoming'
+//            (lead 0 creates it at start time, already 'active')
+//   start  — flips an 'upcoming' round to 'active' at its start_date
+//   close  — ends a round at its end_date through endTournament(), which
+//            distributes prizes and tells the winners, then awards points
+// Only rounds with auto_end set are started and closed here; tournaments
+// made by hand are left to admins exactly as before. A round whose whole
+// window passed while the server was down is skipped, not created late.
+//
+// SEASONS
+// rounds_per_season rounds make a season (blank = one season that never
+// ends). Finishing position in a round earns points_table[rank - 1];
+// anyone else who played earns participation_points. Ranking matches how
+// endTournament ranks for prizes: furthest question, then fastest time.
+// ============================================
+
+const pool = require('../config/database');
+const TournamentService = require('./tournament.service');
+const tournamentTeams = require('./tournament-team.service');
+const sponsorService = require('./sponsor.service');
+const { logger } = require('../utils/logger');
+
+const tournamentService = new TournamentService();
+
+const FREQUENCIES = ['daily', 'weekly'];
+const DEFAULT_POINTS = [25, 18, 15, 12, 10, 8, 6, 4, 2, 1];
+
+// Tournament settings copied into a series template. Dates, status and
+// results belong to each round, not the series.
+const TEMPLATE_COLUMNS = [
+    'tournament_type', 'sponsor_name', 'sponsor_logo_url', 'description',
+    'payment_type', 'uses_tokens', 'tokens_per_entry', 'unlimited_plays',
+    'entry_fee', 'prize_pool', 'max_participants', 'question_category',
+    'custom_instructions', 'custom_branding', 'enable_turbo_mode', 'game_format_id',
+    'team_mode', 'team_counted_players', 'team_prize_split',
+    'sponsor_id', 'sponsored_question_id', 'sponsored_question_slot'
+];
+
+class TournamentSeriesService {
+    constructor() {
+        this._schemaReady = false;
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await tournamentTeams.ensureSchema();
+        await sponsorService.ensureSchema();
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS tournament_series (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(120) NOT NULL,
+                template JSONB NOT NULL,
+                prize_structure JSONB,
+                frequency VARCHAR(10) NOT NULL,
+                weekday SMALLINT,
+                start_time VARCHAR(5) NOT NULL,
+                duration_minutes INTEGER NOT NULL,
+                lead_hours INTEGER NOT NULL DEFAULT 24,
+                rounds_per_season INTEGER,
+                points_table JSONB NOT NULL,
+                participation_points INTEGER NOT NULL DEFAULT 1,
+                current_season INTEGER NOT NULL DEFAULT 1,
+                last_round INTEGER NOT NULL DEFAULT 0,
+                next_start_at TIMESTAMP,
+                is_active BOOLEAN NOT NULL DEFAULT true,
+                created_by VARCHAR(100),
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        await pool.query(`ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES tournament_series(id)`);
+        await pool.query(`ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS series_season INTEGER`);
+        await pool.query(`ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS series_round INTEGER`);
+        await pool.query(`ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS auto_end BOOLEAN NOT NULL DEFAULT false`);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_tournaments_series ON tournaments(series_id, series_season)`);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS tournament_series_points (
+                id SERIAL PRIMARY KEY,
+                series_id INTEGER NOT NULL REFERENCES tournament_series(id) ON DELETE CASCADE,
+                season INTEGER NOT NULL,
+                tournament_id INTEGER NOT NULL REFERENCES tournaments(id),
+                user_id INTEGER NOT NULL REFERENCES users(id),
+                rank INTEGER NOT NULL,
+                points INTEGER NOT NULL,
+                created_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE (tournament_id, user_id)
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_series_points_season ON tournament_series_points(series_id, season)`);
+        this._schemaReady = true;
+    }
+
+    // ============================================
+    // SCHEDULE
+    // ============================================
+
+    /**
+     * The first start strictly after `after`, in server local time (which
+     * is what the database stores).
+     */
+    nextOccurrence(series, after = new Date()) {
+        const [hours, minutes] = series.start_time.split(':').map(Number);
+        const next = new Date(after.getFullYear(), after.getMonth(), after.getDate(), hours, minutes, 0, 0);
+        if (series.frequency === 'weekly') {
+            next.setDate(next.getDate() + ((series.weekday - next.getDay() + 7) % 7));
+        }
+        const step = series.frequency === 'weekly' ? 7 : 1;
+        while (next <= after) next.setDate(next.getDate() + step);
+        return next;
+    }
+
+    _validate(input) {
+        const frequency = String(input.frequency || '').toLowerCase();
+        if (!FREQUENCIES.includes(frequency)) return { error: 'Repeat must be daily or weekly' };
+
+        const weekday = frequency === 'weekly' ? parseInt(input.weekday) : null;
+        if (frequency === 'weekly' && !(weekday >= 0 && weekday <= 6)) return { error: 'Pick the day of the week' };
+
+        const match = String(input.startTime || '').match(/^(\d{1,2}):(\d{2})$/);
+        if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) return { error: 'Start time must be HH:MM' };
+        const startTime = `${match[1].padStart(2, '0')}:${match[2]}`;
+
+        const durationMinutes = parseInt(input.durationMinutes);
+        const period = (frequency === 'weekly' ? 7 : 1) * 24 * 60;
+        if (!(durationMinutes >= 10) || durationMinutes > period) {
+            return { error: `Each round must run between 10 minutes and ${frequency === 'weekly' ? '7 days' : '24 hours'}` };
+        }
+
+        const leadHours = input.leadHours === undefined || input.leadHours === '' ? 24 : parseInt(input.leadHours);
+        if (!(leadHours >= 0) || leadHours > 24 * 7) return { error: 'Open ahead must be between 0 and 168 hours' };
+
+        const roundsPerSeason = input.roundsPerSeason ? parseInt(input.roundsPerSeason) : null;
+        if (roundsPerSeason !== null && !(roundsPerSeason >= 1)) return { error: 'Rounds per season must be at least 1' };
+
+        let pointsTable = DEFAULT_POINTS;
+        if (input.pointsTable) {
+            pointsTable = (Array.isArray(input.pointsTable) ? input.pointsTable : String(input.pointsTable).split(','))
+                .map(p => parseInt(p));
+            if (!pointsTable.length || pointsTable.some(p => !(p >= 0))) return { error: 'Points must be a list of whole numbers, e.g. 25,18,15' };
+        }
+        const participationPoints = input.participationPoints === undefined || input.participationPoints === ''
+            ? 1 : parseInt(input.participationPoints);
+        if (!(participationPoints >= 0)) return { error: 'Participation points cannot be negative' };
+
+        return { frequency, weekday, startTime, durationMinutes, leadHours, roundsPerSeason, pointsTable, participationPoints };
+    }
+
+    // ============================================
+    // ADMIN
+    // ============================================
+
+    async list() {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT s.*,
+                   (SELECT COUNT(*) FROM tournaments t WHERE t.series_id = s.id) AS rounds_created,
+                   (SELECT row_to_json(c) FROM (
+                        SELECT id, tournament_name, status, start_date, end_date FROM tournaments t
+                        WHERE t.series_id = s.id ORDER BY t.start_date DESC LIMIT 1
+                   ) c) AS latest_round
+            FROM tournament_series s
+            ORDER BY s.is_active DESC, s.next_start_at ASC NULLS LAST
+        `);
+        return result.rows;
+    }
+
+    async get(seriesId) {
+        await this.ensureSchema();
+        const result = await pool.query('SELECT * FROM tournament_series WHERE id = $1', [seriesId]);
+        return result.rows[0] || null;
+    }
+
+    async create(input, adminUsername) {
+        await this.ensureSchema();
+        const name = String(input.name || '').trim();
+        if (!name) return { success: false, error: 'Give the series a name' };
+
+        const rules = this._validate(input);
+        if (rules.error) return { success: false, error: rules.error };
+
+        const source = await pool.query(`
+            SELECT t.*, ti.prize_structure
+            FROM tournaments t
+            LEFT JOIN tournament_instructions ti ON ti.tournament_id = t.id
+            WHERE t.id = $1
+        `, [input.templateTournamentId]);
+        if (!source.rows.length) return { success: false, error: 'Template tournament not found' };
+
+        const template = {};
+        TEMPLATE_COLUMNS.forEach(column => { template[column] = source.rows[0][column] ?? null; });
+        let prizeStructure = source.rows[0].prize_structure;
+        if (typeof prizeStructure === 'string') {
+            try { prizeStructure = JSON.parse(prizeStructure); } catch (e) { prizeStructure = null; }
+        }
+
+        const nextStart = this.nextOccurrence({ frequency: rules.frequency, weekday: rules.weekday, start_time: rules.startTime });
+
+        const result = await pool.query(`
+            INSERT INTO tournament_series
+                (name, template, prize_structure, frequency, weekday, start_time, duration_minutes,
+                 lead_hours, rounds_per_season, points_table, participation_points, next_start_at, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            RETURNING *
+        `, [name, JSON.stringify(template), prizeStructure ? JSON.stringify(prizeStructure) : null,
+            rules.frequency, rules.weekday, rules.startTime, rules.durationMinutes,
+            rules.leadHours, rules.roundsPerSeason, JSON.stringify(rules.pointsTable),
+            rules.participationPoints, nextStart, adminUsername]);
+
+        logger.info(`🔁 Tournament series ${result.rows[0].id} (${name}) created by ${adminUsername}, first round ${nextStart.toISOString()}`);
+        return { success: true, series: result.rows[0] };
+    }
+
+    /** Schedule and scoring only; the template is fixed once created. */
+    async update(seriesId, input) {
+        await this.ensureSchema();
+        const series = await this.get(seriesId);
+        if (!series) return { success: false, error: 'Series not found' };
+
+        const rules = this._validate({
+            frequency: series.frequency, weekday: series.weekday, startTime: series.start_time,
+            durationMinutes: series.duration_minutes, leadHours: series.lead_hours,
+            roundsPerSeason: series.rounds_per_season, pointsTable: series.points_table,
+            participationPoints: series.participation_points,
+            ...input
+        });
+        if (rules.error) return { success: false, error: rules.error };
+
+        const name = input.name !== undefined ? String(input.name).trim() : series.name;
+        if (!name) return { success: false, error: 'Give the series a name' };
+
+        // A changed schedule takes effect from the next round not yet created.
+        const nextStart = this.nextOccurrence({ frequency: rules.frequency, weekday: rules.weekday, start_time: rules.startTime });
+
+        const result = await pool.query(`
+            UPDATE tournament_series
+            SET name = $2, frequency = $3, weekday = $4, start_time = $5, duration_minutes = $6,
+                lead_hours = $7, rounds_per_season = $8, points_table = $9, participation_points = $10,
+                next_start_at = $11, updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `, [seriesId, name, rules.frequency, rules.weekday, rules.startTime, rules.durationMinutes,
+            rules.leadHours, rules.roundsPerSeason, JSON.stringify(rules.pointsTable),
+            rules.participationPoints, nextStart]);
+        return { success: true, series: result.rows[0] };
+    }
+
+    /** Pausing stops new rounds; a round already created still runs and closes. */
+    async setActive(seriesId, active) {
+        await this.ensureSchema();
+        const series = await this.get(seriesId);
+        if (!series) return { success: false, error: 'Series not found' };
+
+        // Resuming picks up from the next start after now, not the backlog.
+        const nextStart = active ? this.nextOccurrence(series) : series.next_start_at;
+        const result = await pool.query(`
+            UPDATE tournament_series SET is_active = $2, next_start_at = $3, updated_at = NOW()
+            WHERE id = $1 RETURNING *
+        `, [seriesId, !!active, nextStart]);
+        return { success: true, series: result.rows[0] };
+    }
+
+    /** Create the next round now instead of waiting for its lead time. */
+    async openNext(seriesId) {
+        await this.ensureSchema();
+        const round = await this._openRound(seriesId, { force: true });
+        if (!round) return { success: false, error: 'Series not found or paused' };
+        return { success: true, tournament: round };
+    }
+
+    /**
+     * Season leaderboard: points summed over every round of the season.
+     * Ties go to more round wins, then the better best finish.
+     */
+    async getStandings(seriesId, season = null, limit = 50) {
+        await this.ensureSchema();
+        const series = await this.get(seriesId);
+        if (!series) return null;
+        const wanted = parseInt(season) || series.current_season;
+
+        const rounds = await pool.query(`
+            SELECT id, tournament_name, series_round, status, start_date, end_date
+            FROM tournaments WHERE series_id = $1 AND series_season = $2
+            ORDER BY series_round ASC
+        `, [seriesId, wanted]);
+
+        const standings = await pool.query(`
+            SELECT p.user_id, u.username, u.city,
+                   SUM(p.points)::int AS points,
+                   COUNT(*)::int AS rounds_played,
+                   COUNT(*) FILTER (WHERE p.rank = 1)::int AS wins,
+                   MIN(p.rank) AS best_rank
+            FROM tournament_series_points p
+            JOIN users u ON u.id = p.user_id
+            WHERE p.series_id = $1 AND p.season = $2
+            GROUP BY p.user_id, u.username, u.city
+            ORDER BY points DESC, wins DESC, best_rank ASC, p.user_id ASC
+            LIMIT $3
+        `, [seriesId, wanted, limit]);
+
+        return {
+            series: { id: series.id, name: series.name, current_season: series.current_season, rounds_per_season: series.rounds_per_season },
+            season: wanted,
+            rounds: rounds.rows,
+            standings: standings.rows.map((row, i) => ({ position: i + 1, ...row }))
+        };
+    }
+
+    // ============================================
+    // PROCESSOR
+    // ============================================
+
+    async poll() {
+        try {
+            await this.ensureSchema();
+
+            const due = await pool.query(`
+                SELECT id FROM tournament_series
+                WHERE is_active AND next_start_at IS NOT NULL
+                  AND next_start_at - make_interval(hours => lead_hours) <= NOW()
+            `);
+            for (const row of due.rows) {
+                await this._openRound(row.id).catch(error => logger.error(`Error opening round for series ${row.id}:`, error));
+            }
+
+            const starting = await pool.query(`
+                UPDATE tournaments SET status = 'active'
+                WHERE auto_end AND status = 'upcoming' AND start_date <= NOW()
+                RETURNING id, tournament_name
+            `);
+            starting.rows.forEach(t => logger.info(`🔁 Round started: ${t.tournament_name} (#${t.id})`));
+
+            // Claiming with auto_end = false is the lock: only one process
+            // gets to end each round.
+            const ending = await pool.query(`
+                UPDATE tournaments SET auto_end = false
+                WHERE auto_end AND status = 'active' AND end_date <= NOW()
+                RETURNING id
+            `);
+            for (const row of ending.rows) {
+                await this._closeRound(row.id);
+            }
+        } catch (error) {
+            logger.error('Error polling tournament series:', error);
+        }
+    }
+
+    async _openRound(seriesId, { force = false } = {}) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const locked = await client.query('SELECT * FROM tournament_series WHERE id = $1 FOR UPDATE', [seriesId]);
+            const series = locked.rows[0];
+            if (!series || !series.is_active || !series.next_start_at) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            let start = new Date(series.next_start_at);
+            const now = new Date();
+            if (!force && start.getTime() - series.lead_hours * 3600000 > now.getTime()) {
+                // Another process already opened this one and moved the schedule on.
+                await client.query('ROLLBACK');
+                return null;
+            }
+            // Skip rounds whose whole window passed while nobody was polling.
+            while (start.getTime() + series.duration_minutes * 60000 <= now.getTime()) {
+                logger.warn(`🔁 Series ${series.id}: skipping the round due ${start.toISOString()} — it would already be over`);
+                start = this.nextOccurrence(series, start);
+            }
+            const end = new Date(start.getTime() + series.duration_minutes * 60000);
+
+            let season = series.current_season;
+            let round = series.last_round + 1;
+            if (series.rounds_per_season && round > series.rounds_per_season) {
+                season += 1;
+                round = 1;
+            }
+
+            const t = series.template;
+            const name = `${series.name} — Season ${season}, Round ${round}`;
+            const created = await client.query(`
+                INSERT INTO tournaments (
+                    tournament_name, tournament_type, sponsor_name, sponsor_logo_url,
+                    description, payment_type, uses_tokens, tokens_per_entry,
+                    unlimited_plays, entry_fee, prize_pool, max_participants,
+                    start_date, end_date, question_category, custom_instructions,
+                    custom_branding, status, enable_turbo_mode, game_format_id,
+                    series_id, series_season, series_round, auto_end,
+                    team_mode, team_counted_players, team_prize_split,
+                    sponsor_id, sponsored_question_id, sponsored_question_slot
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, true, $24, $25, $26, $27, $28, $29)
+                RETURNING *
+            `, [
+                name, t.tournament_type || 'sponsored', t.sponsor_name, t.sponsor_logo_url,
+                t.description, t.payment_type || 'free', t.uses_tokens || false, t.tokens_per_entry,
+                t.unlimited_plays !== false, t.entry_fee || 0, t.prize_pool || 0, t.max_participants,
+                start, end, t.question_category, t.custom_instructions,
+                t.custom_branding, start <= now ? 'active' : 'upcoming', t.enable_turbo_mode !== false, t.game_format_id,
+                series.id, season, round,
+                t.team_mode || null, t.team_counted_players || 5, t.team_prize_split || 'individual',
+                t.sponsor_id || null, t.sponsored_question_id || null, t.sponsored_question_slot || null
+            ]);
+            const tournament = created.rows[0];
+
+            if (series.prize_structure) {
+                await client.query(
+                    'INSERT INTO tournament_instructions (tournament_id, prize_structure) VALUES ($1, $2::jsonb)',
+                    [tournament.id, JSON.stringify(series.prize_structure)]
+                );
+            }
+
+            await client.query(`
+                UPDATE tournament_series
+                SET current_season = $2, last_round = $3, next_start_at = $4, updated_at = NOW()
+                WHERE id = $1
+            `, [series.id, season, round, this.nextOccurrence(series, start)]);
+
+            await client.query('COMMIT');
+            logger.info(`🔁 Series ${series.id}: opened ${name} (#${tournament.id}), ${start.toISOString()} → ${end.toISOString()}`);
+            return tournament;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async _closeRound(tournamentId) {
+        try {
+            const result = await tournamentService.endTournament(tournamentId);
+            if (!result.success) {
+                // Hand it back to the processor for the next pass.
+                await pool.query('UPDATE tournaments SET auto_end = true WHERE id = $1 AND status <> $2', [tournamentId, 'completed']);
+                logger.error(`🔁 Could not close round ${tournamentId}: ${result.error}`);
+                return;
+            }
+            logger.info(`🔁 Round ${tournamentId} closed: ${result.message}`);
+            await this.awardPoints(tournamentId);
+        } catch (error) {
+            logger.error(`Error closing round ${tournamentId}:`, error);
+        }
+    }
+
+    /** Idempotent: a round's points are written once. */
+    async awardPoints(tournamentId) {
+        await this.ensureSchema();
+        const round = await pool.query(`
+            SELECT t.id, t.series_id, t.series_season, s.points_table, s.participation_points
+            FROM tournaments t JOIN tournament_series s ON s.id = t.series_id
+            WHERE t.id = $1
+        `, [tournamentId]);
+        if (!round.rows.length) return 0;
+        const { series_id, series_season, points_table, participation_points } = round.rows[0];
+
+        const ranked = await pool.query(`
+            SELECT user_id,
+                   ROW_NUMBER() OVER (
+                       ORDER BY COALESCE(best_questions_answered, 0) DESC,
+                                COALESCE(best_time_taken, 999) ASC, joined_at ASC
+                   ) AS rank
+            FROM tournament_participants
+            WHERE tournament_id = $1
+              AND (best_questions_answered > 0 OR best_score > 0 OR games_played > 0)
+        `, [tournamentId]);
+
+        let awarded = 0;
+        for (const row of ranked.rows) {
+            const rank = parseInt(row.rank);
+            const points = points_table[rank - 1] ?? participation_points;
+            const inserted = await pool.query(`
+                INSERT INTO tournament_series_points (series_id, season, tournament_id, user_id, rank, points)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                ON CONFLICT (tournament_id, user_id) DO NOTHING
+            `, [series_id, series_season, tournamentId, row.user_id, rank, points]);
+            awarded += inserted.rowCount;
+        }
+        logger.info(`🔁 Season ${series_season} of series ${series_id}: points awarded to ${awarded} player(s) from round ${tournamentId}`);
+        return awarded;
+    }
+}
+
+module.exports = new TournamentSeriesService();
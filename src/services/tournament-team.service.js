@@ -0,0 +1,387 @@
+// ============================================
+// FILE: src/services/tournament-team.service.js
+// TEAM TOURNAMENTS — "LGA vs LGA", school vs school, church vs church.
+// Players still play alone; their results add up to a team score.
+//
+// EXPORT SHAPE: exports an INSTANCE (like audience.service.js).
+//   const tournamentTeams = require('./tournament-team.service');
+//
+// TEAM MODES (tournaments.team_mode)
+//   NULL    — an ordinary individual tournament
+//   'lga'   — a player's team is their local government area: users.lga,
+//             or the city they registered with when that is blank
+//   'custom'— a player's team is the one they joined with TEAM JOIN <code>
+//             (teams are kept across tournaments, so a school signs up once)
+//
+// A player's team is written into tournament_team_members the first time a
+// score of theirs is recorded (updateParticipantScore), and stays fixed for
+// that tournament even if they move LGA or switch team half-way through.
+// Players without a team still play and rank individually; they just don't
+// count for anyone.
+//
+// TEAM SCORE
+// Each team's best team_counted_players members (default 5) count, by the
+// same ordering the individual leaderboard uses: furthest question, then
+// fastest time. Team score is the sum of their furthest questions; total
+// time breaks ties. Counting a fixed number keeps a big LGA from winning on
+// headcount alone while still rewarding a team for turning up.
+//
+// PRIZES (tournaments.team_prize_split)
+//   'individual' — endTournament pays individuals exactly as before
+//   'top_team'   — the prize pool is split evenly between the winning
+//                  team's counted players
+// ============================================
+
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const TEAM_MODES = ['lga', 'custom'];
+const PRIZE_SPLITS = ['individual', 'top_team'];
+const TEAM_KINDS = ['school', 'church', 'mosque', 'workplace', 'club', 'other'];
+const DEFAULT_COUNTED = 5;
+
+// Join codes avoid 0/O and 1/I so they survive being read out loud.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const STANDINGS_SQL = `
+    WITH members AS (
+        SELECT m.team_key, m.team_name, tp.user_id,
+               COALESCE(tp.best_questions_answered, 0) AS questions,
+               COALESCE(tp.best_time_taken, 999) AS time_taken,
+               ROW_NUMBER() OVER (
+                   PARTITION BY m.team_key
+                   ORDER BY COALESCE(tp.best_questions_answered, 0) DESC,
+                            COALESCE(tp.best_time_taken, 999) ASC, tp.joined_at ASC
+               ) AS team_position
+        FROM tournament_team_members m
+        JOIN tournament_participants tp ON tp.tournament_id = m.tournament_id AND tp.user_id = m.user_id
+        WHERE m.tournament_id = $1
+          AND (tp.best_questions_answered > 0 OR tp.best_score > 0 OR tp.games_played > 0)
+    )
+    SELECT team_key, MAX(team_name) AS team_name,
+           COUNT(*)::int AS players,
+           COALESCE(SUM(questions) FILTER (WHERE team_position <= $2), 0)::int AS score,
+           COALESCE(SUM(time_taken) FILTER (WHERE team_position <= $2), 0) AS total_time
+    FROM members
+    GROUP BY team_key
+    ORDER BY score DESC, total_time ASC, team_key ASC
+`;
+
+function counted(tournament) {
+    return parseInt(tournament.team_counted_players) || DEFAULT_COUNTED;
+}
+
+class TournamentTeamService {
+    constructor() {
+        this._schemaReady = false;
+    }
+
+    // Idempotent — runs the DDL once per process.
+    async ensureSchema() {
+        if (this._schemaReady) return;
+        await pool.query(`ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS team_mode VARCHAR(10)`);
+        await pool.query(`ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS team_counted_players INTEGER NOT NULL DEFAULT ${DEFAULT_COUNTED}`);
+        await pool.query(`ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS team_prize_split VARCHAR(12) NOT NULL DEFAULT 'individual'`);
+        await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS lga VARCHAR(100)`);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS teams (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(80) NOT NULL,
+                kind VARCHAR(20) NOT NULL DEFAULT 'other',
+                join_code VARCHAR(12) NOT NULL UNIQUE,
+                is_active BOOLEAN NOT NULL DEFAULT true,
+                created_by VARCHAR(100),
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS team_members (
+                user_id INTEGER PRIMARY KEY REFERENCES users(id),
+                team_id INTEGER NOT NULL REFERENCES teams(id),
+                joined_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_team_members_team ON team_members(team_id)`);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS tournament_team_members (
+                tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL REFERENCES users(id),
+                team_key VARCHAR(120) NOT NULL,
+                team_name VARCHAR(100) NOT NULL,
+                created_at TIMESTAMP DEFAULT NOW(),
+                PRIMARY KEY (tournament_id, user_id)
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_tournament_team_members_key ON tournament_team_members(tournament_id, team_key)`);
+        this._schemaReady = true;
+    }
+
+    /**
+     * Tournament form fields → column values, or { error }.
+     * Blank team mode turns teams off and resets the other two.
+     */
+    validateSettings(input = {}) {
+        const mode = input.teamMode ? String(input.teamMode).toLowerCase() : null;
+        if (mode && !TEAM_MODES.includes(mode)) return { error: 'Team mode must be LGA or custom teams' };
+
+        const countedPlayers = input.teamCountedPlayers === undefined || input.teamCountedPlayers === ''
+            ? DEFAULT_COUNTED : parseInt(input.teamCountedPlayers);
+        if (!(countedPlayers >= 1) || countedPlayers > 100) return { error: 'Players counted per team must be between 1 and 100' };
+
+        const split = input.teamPrizeSplit ? String(input.teamPrizeSplit).toLowerCase() : 'individual';
+        if (!PRIZE_SPLITS.includes(split)) return { error: 'Prize split must be individual or top team' };
+
+        return {
+            teamMode: mode,
+            teamCountedPlayers: mode ? countedPlayers : DEFAULT_COUNTED,
+            teamPrizeSplit: mode ? split : 'individual'
+        };
+    }
+
+    // ============================================
+    // SCORING
+    // ============================================
+
+    /**
+     * Fix the player's team for this tournament if it is a team tournament
+     * and they don't have one yet. One statement, so individual tournaments
+     * pay for a single no-op insert per score.
+     */
+    async assignTeam(userId, tournamentId) {
+        try {
+            await this.ensureSchema();
+            const result = await pool.query(`
+                INSERT INTO tournament_team_members (tournament_id, user_id, team_key, team_name)
+                SELECT t.id, u.id,
+                       CASE WHEN t.team_mode = 'lga'
+                            THEN 'lga:' || LOWER(COALESCE(NULLIF(TRIM(u.lga), ''), TRIM(u.city)))
+                            ELSE 'team:' || tk.id END,
+                       CASE WHEN t.team_mode = 'lga'
+                            THEN INITCAP(COALESCE(NULLIF(TRIM(u.lga), ''), TRIM(u.city)))
+                            ELSE tk.name END
+                FROM tournaments t
+                JOIN users u ON u.id = $2
+                LEFT JOIN team_members tm ON tm.user_id = u.id
+                LEFT JOIN teams tk ON tk.id = tm.team_id AND tk.is_active
+                WHERE t.id = $1
+                  AND ((t.team_mode = 'lga' AND COALESCE(NULLIF(TRIM(u.lga), ''), NULLIF(TRIM(u.city), '')) IS NOT NULL)
+                    OR (t.team_mode = 'custom' AND tk.id IS NOT NULL))
+                ON CONFLICT (tournament_id, user_id) DO NOTHING
+                RETURNING team_name
+            `, [tournamentId, userId]);
+            if (result.rows.length) {
+                logger.info(`👥 User ${userId} plays for ${result.rows[0].team_name} in tournament ${tournamentId}`);
+            }
+        } catch (error) {
+            // A missing team must never lose the player's score.
+            logger.error(`Error assigning team for user ${userId} in tournament ${tournamentId}:`, error);
+        }
+    }
+
+    /** Team leaderboard for one tournament, best first. */
+    async getStandings(tournamentId, limit = 50) {
+        await this.ensureSchema();
+        const tournament = await pool.query(
+            'SELECT id, tournament_name, status, team_mode, team_counted_players, team_prize_split, prize_pool FROM tournaments WHERE id = $1',
+            [tournamentId]
+        );
+        if (!tournament.rows.length || !tournament.rows[0].team_mode) return null;
+        const t = tournament.rows[0];
+
+        const result = await pool.query(`${STANDINGS_SQL} LIMIT $3`, [tournamentId, counted(t), limit]);
+        return {
+            tournament: {
+                id: t.id, name: t.tournament_name, status: t.status, teamMode: t.team_mode,
+                countedPlayers: counted(t), prizeSplit: t.team_prize_split, prizePool: t.prize_pool
+            },
+            standings: result.rows.map((row, i) => ({
+                position: i + 1,
+                teamKey: row.team_key,
+                teamName: row.team_name,
+                players: row.players,
+                score: row.score,
+                totalTime: parseFloat(row.total_time) || 0
+            }))
+        };
+    }
+
+    /**
+     * What the TEAM command shows: the player's own team and where it
+     * stands in the team tournament they are in (the active one ending
+     * soonest), plus their custom team if they have one.
+     */
+    async getPlayerView(userId) {
+        await this.ensureSchema();
+        const membership = await pool.query(`
+            SELECT tk.id, tk.name, tk.kind, tk.join_code,
+                   (SELECT COUNT(*)::int FROM team_members x WHERE x.team_id = tk.id) AS members
+            FROM team_members tm JOIN teams tk ON tk.id = tm.team_id
+            WHERE tm.user_id = $1 AND tk.is_active
+        `, [userId]);
+
+        const entered = await pool.query(`
+            SELECT t.id FROM tournament_participants tp
+            JOIN tournaments t ON t.id = tp.tournament_id
+            WHERE tp.user_id = $1 AND t.team_mode IS NOT NULL
+              AND t.status = 'active' AND t.end_date > NOW()
+            ORDER BY t.end_date ASC
+            LIMIT 1
+        `, [userId]);
+
+        let tournament = null;
+        if (entered.rows.length) {
+            const tournamentId = entered.rows[0].id;
+            const standings = await this.getStandings(tournamentId, 10);
+            const mine = await pool.query(
+                'SELECT team_key, team_name FROM tournament_team_members WHERE tournament_id = $1 AND user_id = $2',
+                [tournamentId, userId]
+            );
+            let myTeam = null;
+            if (mine.rows.length) {
+                const all = await pool.query(STANDINGS_SQL, [tournamentId, standings.tournament.countedPlayers]);
+                const index = all.rows.findIndex(r => r.team_key === mine.rows[0].team_key);
+                myTeam = {
+                    teamName: mine.rows[0].team_name,
+                    position: index + 1 || null,
+                    teams: all.rows.length,
+                    score: index >= 0 ? all.rows[index].score : 0,
+                    players: index >= 0 ? all.rows[index].players : 0
+                };
+            }
+            tournament = { ...standings, myTeam };
+        }
+
+        return { team: membership.rows[0] || null, tournament };
+    }
+
+    // ============================================
+    // CUSTOM TEAMS
+    // ============================================
+
+    async _newCode() {
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const bytes = crypto.randomBytes(6);
+            const code = Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+            const taken = await pool.query('SELECT 1 FROM teams WHERE join_code = $1', [code]);
+            if (!taken.rows.length) return code;
+        }
+        throw new Error('Could not generate a unique team code');
+    }
+
+    async listTeams() {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            SELECT tk.*, COUNT(tm.user_id)::int AS members
+            FROM teams tk
+            LEFT JOIN team_members tm ON tm.team_id = tk.id
+            GROUP BY tk.id
+            ORDER BY tk.is_active DESC, tk.name ASC
+        `);
+        return result.rows;
+    }
+
+    async createTeam(input, adminUsername) {
+        await this.ensureSchema();
+        const name = String(input.name || '').trim().replace(/\s+/g, ' ');
+        if (name.length < 2 || name.length > 80) return { success: false, error: 'Team name must be 2–80 characters' };
+        const kind = input.kind ? String(input.kind).toLowerCase() : 'other';
+        if (!TEAM_KINDS.includes(kind)) return { success: false, error: `Kind must be one of: ${TEAM_KINDS.join(', ')}` };
+
+        const clash = await pool.query('SELECT id FROM teams WHERE LOWER(name) = LOWER($1) AND is_active', [name]);
+        if (clash.rows.length) return { success: false, error: 'An active team already has that name' };
+
+        const result = await pool.query(`
+            INSERT INTO teams (name, kind, join_code, created_by)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *
+        `, [name, kind, await this._newCode(), adminUsername]);
+        logger.info(`👥 Team ${result.rows[0].id} (${name}) created by ${adminUsername}`);
+        return { success: true, team: result.rows[0] };
+    }
+
+    /** A retired team keeps its history but can't be joined or counted. */
+    async setTeamActive(teamId, active) {
+        await this.ensureSchema();
+        const result = await pool.query('UPDATE teams SET is_active = $2 WHERE id = $1 RETURNING *', [teamId, !!active]);
+        if (!result.rows.length) return { success: false, error: 'Team not found' };
+        return { success: true, team: result.rows[0] };
+    }
+
+    /** Joining replaces any team the player was in. */
+    async joinTeam(userId, code) {
+        await this.ensureSchema();
+        const team = await pool.query(
+            'SELECT * FROM teams WHERE join_code = $1 AND is_active',
+            [String(code || '').trim().toUpperCase()]
+        );
+        if (!team.rows.length) return { success: false, error: 'not_found' };
+
+        await pool.query(`
+            INSERT INTO team_members (user_id, team_id) VALUES ($1, $2)
+            ON CONFLICT (user_id) DO UPDATE SET team_id = EXCLUDED.team_id, joined_at = NOW()
+        `, [userId, team.rows[0].id]);
+        logger.info(`👥 User ${userId} joined team ${team.rows[0].id} (${team.rows[0].name})`);
+        return { success: true, team: team.rows[0] };
+    }
+
+    async leaveTeam(userId) {
+        await this.ensureSchema();
+        const result = await pool.query(`
+            DELETE FROM team_members tm USING teams tk
+            WHERE tm.user_id = $1 AND tk.id = tm.team_id
+            RETURNING tk.name
+        `, [userId]);
+        if (!result.rows.length) return { success: false, error: 'no_team' };
+        return { success: true, teamName: result.rows[0].name };
+    }
+
+    // ============================================
+    // PRIZES
+    // ============================================
+
+    /**
+     * Winners for a 'top_team' split, in the shape endTournament builds
+     * for individual winners. Every counted player on the winning team
+     * gets an equal share; the few naira that don't divide stay in the pool.
+     */
+    async topTeamWinners(tournament) {
+        await this.ensureSchema();
+        const standings = await pool.query(`${STANDINGS_SQL} LIMIT 1`, [tournament.id, counted(tournament)]);
+        if (!standings.rows.length) return [];
+        const top = standings.rows[0];
+
+        const members = await pool.query(`
+            SELECT tp.user_id, tp.rank, tp.best_score, tp.games_played,
+                   COALESCE(tp.best_questions_answered, 0) AS questions_answered,
+                   COALESCE(tp.best_time_taken, 999) AS time_taken,
+                   u.username, u.full_name, u.phone_number,
+                   COALESCE(u.platform, CASE WHEN u.phone_number LIKE 'tg_%' THEN 'telegram' WHEN u.phone_number LIKE 'web_%' THEN 'web' ELSE 'whatsapp' END) AS platform
+            FROM tournament_team_members m
+            JOIN tournament_participants tp ON tp.tournament_id = m.tournament_id AND tp.user_id = m.user_id
+            JOIN users u ON u.id = m.user_id
+            WHERE m.tournament_id = $1 AND m.team_key = $2
+              AND (tp.best_questions_answered > 0 OR tp.best_score > 0 OR tp.games_played > 0)
+            ORDER BY COALESCE(tp.best_questions_answered, 0) DESC,
+                     COALESCE(tp.best_time_taken, 999) ASC, tp.joined_at ASC
+            LIMIT $3
+        `, [tournament.id, top.team_key, counted(tournament)]);
+
+        const share = Math.floor((tournament.prize_pool || 0) / (members.rows.length || 1));
+        if (share <= 0) return [];
+        const percentage = (100 / members.rows.length).toFixed(1) + '%';
+
+        return members.rows.map(p => ({
+            rank: p.rank || 1, userId: p.user_id,
+            username: p.username, fullName: p.full_name,
+            phoneNumber: p.phone_number, platform: p.platform,
+            questionsAnswered: p.questions_answered,
+            timeTaken: parseFloat(p.time_taken).toFixed(1),
+            gamesPlayed: p.games_played, bestScore: p.best_score,
+            prize: share, percentage,
+            team: top.team_name
+        }));
+    }
+}
+
+module.exports = new TournamentTeamService();
@@ -7,6 +7,11 @@
 const pool = require('../config/database');
 const { logger } = require('../utils/logger');
 const activityService = require('./activity.service');
+const ledgerService = require('./ledger.service');
+const tournamentTeams = require('./tournament-team.service');
+const knockoutService = require('./knockout.service');
+const sponsorService = require('./sponsor.service');
+const referralRewards = require('./referral-rewards.service');
 const { platformOf } = require('../utils/platform');
 
 class TournamentService {
@@ -170,6 +175,13 @@ class TournamentService {
                 VALUES ($1, $2, true, $3, true, $4)
                 RETURNING *
             `, [tournamentId, userId, tokensRemaining, platform]);
+
+            if (tokensRemaining) {
+                await ledgerService.recordTokens('tournament_entry', {
+                    reference: `FREE-${tournamentId}-${userId}`, userId, tournamentId,
+                    tokens: tokensRemaining, description: `Joined ${tournament.tournament_name}`
+                });
+            }
             
             logger.info(`User ${userId} (${platform}) joined free tournament ${tournamentId}`);
 
@@ -299,11 +311,17 @@ class TournamentService {
             if (isRebuy) {
                 const tokensToAdd = verifyResult.raw?.metadata?.tokens_to_add || tournament.tokens_per_entry;
                 const rebuyResult = await this.processRebuyTokens(payment.tournament_id, payment.user_id, tokensToAdd);
+                await ledgerService.recordTokens('tournament_rebuy', {
+                    reference, userId: payment.user_id, tournamentId: payment.tournament_id,
+                    tokens: tokensToAdd, amount: parseFloat(payment.amount), gateway: gateway.getName(),
+                    description: `Rebuy: ${tournament.tournament_name}`
+                });
                 
                 logger.info(`Tournament rebuy verified via ${gateway.getName()} (${platform}): ${reference} - User ${payment.user_id} got ${tokensToAdd} tokens`);
 
                 // Social proof: a rebuy is a repeat purchase of intent
                 activityService.record('tournament_rebuy', payment.user_id, { tournamentId: payment.tournament_id });
+                referralRewards.evaluate(payment.user_id);
                 
                 return {
                     success: true, payment, tokensRemaining: rebuyResult.tokensRemaining,
@@ -323,12 +341,21 @@ class TournamentService {
                     tokens_remaining = EXCLUDED.tokens_remaining, can_play = true,
                     platform = EXCLUDED.platform
             `, [payment.tournament_id, payment.user_id, payment.amount, tokensRemaining, platform]);
+
+            await ledgerService.recordTokens('tournament_entry', {
+                reference, userId: payment.user_id, tournamentId: payment.tournament_id,
+                tokens: tokensRemaining || 0, amount: parseFloat(payment.amount), gateway: gateway.getName(),
+                description: `Entry: ${tournament.tournament_name}`
+            });
             
             logger.info(`Tournament payment verified via ${gateway.getName()} (${platform}): ${reference} - User ${payment.user_id} can now play`);
 
             // Social proof event — fire-and-forget, username only
             activityService.record('tournament_join', payment.user_id, { tournamentId: payment.tournament_id, paid: true });
 
+            // Referral tiers (first purchase) — fire-and-forget
+            referralRewards.evaluate(payment.user_id);
+
             return { success: true, payment, tokensRemaining, platform, gateway: gateway.getName() };
         } catch (error) {
             logger.error('Error verifying tournament payment:', error);
@@ -484,6 +511,7 @@ class TournamentService {
 
             if (result.rows.length > 0) {
                 await this.updateTournamentRankings(tournamentId);
+                await tournamentTeams.assignTeam(userId, tournamentId);
                 logger.info(`Updated tournament score for user ${userId}: Q${questionsAnswered} in ${timeTaken.toFixed(1)}s (best: ${isNewBest})`);
             }
             return result.rows[0] || null;
@@ -613,6 +641,12 @@ class TournamentService {
             if (!tournament) return { success: false, error: 'Tournament not found' };
             if (tournament.status === 'completed') return { success: false, error: 'Tournament already completed' };
 
+            // A knockout pays on bracket finishing order, once the final is decided.
+            const knockout = await knockoutService.finishingOrder(tournamentId);
+            if (knockout && !knockout.order) {
+                return { success: false, error: 'Knockout bracket still running — prizes are paid when the final is decided' };
+            }
+
             await this.updateTournamentRankings(tournamentId);
 
             const leaderboardResult = await pool.query(`
@@ -627,12 +661,14 @@ class TournamentService {
                 JOIN users u ON tp.user_id = u.id
                 WHERE tp.tournament_id = $1
                   AND (tp.best_questions_answered > 0 OR tp.best_score > 0 OR tp.games_played > 0)
+                  AND ($2::int[] IS NULL OR tp.user_id = ANY($2::int[]))
                 ORDER BY 
+                    array_position($2::int[], tp.user_id),
                     COALESCE(tp.best_questions_answered, 0) DESC,
                     COALESCE(tp.best_time_taken, 999) ASC,
                     tp.joined_at ASC
                 LIMIT 20
-            `, [tournamentId]);
+            `, [tournamentId, knockout ? knockout.order : null]);
 
             const leaderboard = leaderboardResult.rows;
             
@@ -681,10 +717,16 @@ class TournamentService {
             if (!prizeDistribution) prizeDistribution = defaultDistribution;
             
             const prizePool = tournament.prize_pool || 0;
-            const winners = [];
+            let winners = [];
             let totalDistributed = 0;
 
-            for (let i = 0; i < Math.min(leaderboard.length, prizeDistribution.length); i++) {
+            if (tournament.team_mode && tournament.team_prize_split === 'top_team') {
+                // Team tournament: the winning team's counted players share the pool.
+                winners = await tournamentTeams.topTeamWinners(tournament);
+                totalDistributed = winners.reduce((sum, w) => sum + w.prize, 0);
+            }
+
+            for (let i = 0; !winners.length && i < Math.min(leaderboard.length, prizeDistribution.length); i++) {
                 const participant = leaderboard[i];
                 const prizePercentage = prizeDistribution[i] || 0;
                 const prize = Math.floor(prizePool * prizePercentage);
@@ -728,9 +770,20 @@ class TournamentService {
                         VALUES ($1, $2, 'tournament_prize', 'pending', $3, $4, NOW())
                         RETURNING id
                     `, [winner.userId, winner.prize,
-                        `Tournament Prize: ${tournament.tournament_name} - Rank #${winner.rank}`,
+                        winner.team
+                            ? `Tournament Prize: ${tournament.tournament_name} - Team ${winner.team}`
+                            : `Tournament Prize: ${tournament.tournament_name} - Rank #${winner.rank}`,
                         tournamentId]);
 
+                    if (txResult.rows[0]) {
+                        await ledgerService.recordPrize({
+                            transactionId: txResult.rows[0].id, userId: winner.userId, amount: winner.prize,
+                            description: winner.team
+                                ? `${tournament.tournament_name} — team ${winner.team}`
+                                : `${tournament.tournament_name} — rank #${winner.rank}`
+                        });
+                    }
+
                     distributionResults.push({
                         userId: winner.userId, rank: winner.rank,
                         prize: winner.prize, transactionId: txResult.rows[0]?.id, status: 'success'
@@ -781,6 +834,7 @@ class TournamentService {
                 if (userResult.rows.length > 0) {
                     await messagingService.sendMessage(userResult.rows[0].phone_number, message);
                     logger.info(`Winner notification sent to user ${winner.userId} (Rank #${winner.rank})`);
+                    if (tournament.sponsor_id) await sponsorService.recordImpression(tournament.id, 'message', winner.userId);
                 }
             } catch (notifyError) {
                 logger.error(`Error notifying winner ${winner.userId}:`, notifyError);
@@ -792,8 +846,10 @@ class TournamentService {
         const rankEmojis = ['🥇', '🥈', '🥉', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟'];
         const rankEmoji = rankEmojis[winner.rank - 1] || '🏆';
         
-        let message = `${rankEmoji} *CONGRATULATIONS!* ${rankEmoji}\n\n`;
-        message += `You finished *#${winner.rank}* in the tournament:\n`;
+        let message = winner.team ? `🏆 *CONGRATULATIONS!* 🏆\n\n` : `${rankEmoji} *CONGRATULATIONS!* ${rankEmoji}\n\n`;
+        message += winner.team
+            ? `Your team *${winner.team}* won the tournament:\n`
+            : `You finished *#${winner.rank}* in the tournament:\n`;
         message += `*${tournament.tournament_name}*\n\n`;
         message += `📊 *Your Performance:*\n`;
         message += `• Questions Reached: Q${winner.questionsAnswered}\n`;
@@ -802,6 +858,7 @@ class TournamentService {
         message += `💰 *Your Prize: ₦${winner.prize.toLocaleString()}*\n\n`;
         message += `Your winnings will be added to your payout balance.\n`;
         message += `Type WITHDRAW to cash out!\n\n`;
+        if (tournament.sponsor_name) message += `_Prizes courtesy of ${tournament.sponsor_name}_\n\n`;
         message += `Thank you for playing What's Up Trivia! 🎮`;
         
         return message;
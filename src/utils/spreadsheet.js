@@ -0,0 +1,151 @@
+// ============================================
+// FILE: src/utils/spreadsheet.js
+// Read CSV and XLSX files into rows of strings.
+//
+// XLSX is a zip of XML parts. We only ever need the first worksheet's
+// cell values, so this reads the zip directory and inflates the three
+// parts involved with zlib rather than pulling in a spreadsheet library.
+// Formatting, formulas (their cached values are used) and further sheets
+// are ignored.
+// ============================================
+
+const zlib = require('zlib');
+
+/** Rows of strings from CSV text. Handles quotes, "" escapes, CRLF, a BOM, and tab or semicolon delimiters. */
+function parseCsv(text) {
+    const src = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = src.split(/\r?\n/, 1)[0] || '';
+    const count = (ch) => firstLine.split(ch).length - 1;
+    const delimiter = [',', '\t', ';'].reduce((best, ch) => (count(ch) > count(best) ? ch : best), ',');
+
+    const rows = [];
+    let row = [], field = '', inQuotes = false;
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (inQuotes) {
+            if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else field += ch;
+        } else if (ch === '"' && field === '') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field); field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && src[i + 1] === '\n') i++;
+            row.push(field); rows.push(row);
+            row = []; field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/** Map of entry name → Buffer for a zip archive. Stored and deflated entries only. */
+function unzip(buffer) {
+    // End of central directory: the last 0x06054b50 in the file.
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('Not a valid XLSX file');
+
+    const entries = buffer.readUInt16LE(eocd + 10);
+    let ptr = buffer.readUInt32LE(eocd + 16);
+    const files = {};
+
+    for (let n = 0; n < entries; n++) {
+        if (buffer.readUInt32LE(ptr) !== 0x02014b50) throw new Error('Corrupt XLSX directory');
+        const method = buffer.readUInt16LE(ptr + 10);
+        const compressedSize = buffer.readUInt32LE(ptr + 20);
+        const nameLen = buffer.readUInt16LE(ptr + 28);
+        const extraLen = buffer.readUInt16LE(ptr + 30);
+        const commentLen = buffer.readUInt16LE(ptr + 32);
+        const localOffset = buffer.readUInt32LE(ptr + 42);
+        const name = buffer.toString('utf8', ptr + 46, ptr + 46 + nameLen);
+
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) files[name] = data;
+        else if (method === 8) files[name] = zlib.inflateRawSync(data);
+
+        ptr += 46 + nameLen + extraLen + commentLen;
+    }
+    return files;
+}
+
+function decodeXml(s) {
+    return s.replace(/&(#x?[0-9a-f]+|lt|gt|amp|quot|apos);/gi, (m, e) => {
+        if (e[0] === '#') return String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+        return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[e.toLowerCase()];
+    });
+}
+
+// All <t> runs inside a shared string or inline string, joined.
+function textOf(xml) {
+    let out = '';
+    xml.replace(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g, (m, t) => { out += decodeXml(t); return m; });
+    return out;
+}
+
+function columnIndex(ref) {
+    const letters = /^[A-Z]+/.exec(ref)[0];
+    let n = 0;
+    for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+    return n - 1;
+}
+
+/** Rows of strings from the first worksheet of an XLSX file. */
+function parseXlsx(buffer) {
+    const files = unzip(buffer);
+    const read = (name) => (files[name] ? files[name].toString('utf8') : null);
+
+    // First sheet in workbook order, resolved through the workbook rels.
+    let sheetPath = 'xl/worksheets/sheet1.xml';
+    const workbook = read('xl/workbook.xml');
+    const rels = read('xl/_rels/workbook.xml.rels');
+    const firstSheet = workbook && /<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbook);
+    if (firstSheet && rels) {
+        const rel = new RegExp(`<Relationship\\b[^>]*\\bId="${firstSheet[1]}"[^>]*>`).exec(rels);
+        const target = rel && /\bTarget="([^"]+)"/.exec(rel[0]);
+        if (target) sheetPath = target[1].startsWith('/') ? target[1].slice(1) : 'xl/' + target[1].replace(/^\.\//, '');
+    }
+    const sheet = read(sheetPath);
+    if (!sheet) throw new Error('The XLSX file has no worksheet');
+
+    const shared = [];
+    const sst = read('xl/sharedStrings.xml');
+    if (sst) sst.replace(/<si>([\s\S]*?)<\/si>/g, (m, si) => { shared.push(textOf(si)); return m; });
+
+    const rows = [];
+    sheet.replace(/<row\b[^>]*>([\s\S]*?)<\/row>/g, (m, rowXml) => {
+        const row = [];
+        rowXml.replace(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g, (cm, attrs, body = '') => {
+            const ref = /\br="([A-Z]+)\d+"/.exec(attrs);
+            const type = (/\bt="([^"]+)"/.exec(attrs) || [])[1];
+            const v = /<v>([\s\S]*?)<\/v>/.exec(body);
+            let value = '';
+            if (type === 's') value = v ? (shared[parseInt(v[1])] || '') : '';
+            else if (type === 'inlineStr') value = textOf(body);
+            else if (type === 'b') value = v && v[1] === '1' ? 'TRUE' : 'FALSE';
+            else value = v ? decodeXml(v[1]) : '';
+            row[ref ? columnIndex(ref[1]) : row.length] = value;
+            return cm;
+        });
+        for (let i = 0; i < row.length; i++) if (row[i] === undefined) row[i] = '';
+        rows.push(row);
+        return m;
+    });
+    return rows.filter(r => r.some(c => String(c).trim() !== ''));
+}
+
+/** Dispatch on the file name; XLSX is also recognised by its zip signature. */
+function parseSpreadsheet(fileName, buffer) {
+    const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+    if (/\.xlsx$/i.test(fileName || '') || isZip) return parseXlsx(buffer);
+    if (/\.xls$/i.test(fileName || '')) throw new Error('Old .xls files are not supported — save as .xlsx or .csv');
+    return parseCsv(buffer.toString('utf8'));
+}
+
+module.exports = { parseCsv, parseXlsx, parseSpreadsheet };
@@ -14,23 +14,36 @@
    active, and removes the legacy link rows so nothing is duplicated.
 
    Adding a page later = one line in NAV_ITEMS below, nothing else.
+   `perm` is the RBAC permission the page needs to be useful
+   (src/config/admin-permissions.js); links the admin's role can't
+   use are hidden. The server still enforces it — this is only tidiness.
+
+   It also owns two-factor auth for every page: the 🔒 2FA button sets
+   up an authenticator, and opens by itself when 2FA is required but not
+   set up yet. Pages send calls to step-up routes through
+   window.adminFetch(url, init) instead of fetch: one refused with
+   stepUpRequired asks the admin to confirm it's them, then is sent
+   again once. Pages can ask up front with window.wutStepUp(action).
    ============================================================ */
 (function () {
   'use strict';
 
   var NAV_ITEMS = [
     { href: '/admin',                   label: 'Main Admin',   icon: '🏠', color: '#6366f1', exact: true },
-    { href: '/admin/dashboard',         label: 'Analytics',    icon: '📊', color: '#8b5cf6' },
-    { href: '/admin/audit',             label: 'Audit Trail',  icon: '📝', color: '#10b981' },
-    { href: '/admin/financials',        label: 'Financials',   icon: '💰', color: '#22c55e' },
-    { href: '/admin/tournaments/manage',label: 'Tournaments',  icon: '🏆', color: '#eab308' },
-    { href: '/admin/reviews',           label: 'Reviews',      icon: '⭐', color: '#f59e0b' },
-    { href: '/admin/toggles',           label: 'Toggles',      icon: '🎚️', color: '#14b8a6' },
-    { href: '/admin/messaging',         label: 'Messaging',    icon: '📨', color: '#f97316' },
-    { href: '/admin/watchlist',         label: 'Watchlist',    icon: '🎯', color: '#ef4444' },
-    { href: '/admin/content',           label: 'Site Content', icon: '✏️', color: '#3b82f6' },
-    { href: '/admin/questions',         label: 'Questions',    icon: '❓', color: '#0ea5e9' },
-    { href: '/admin/rotation',          label: 'Rotation',     icon: '🔄', color: '#a855f7' }
+    { href: '/admin/dashboard',         label: 'Analytics',    icon: '📊', color: '#8b5cf6', perm: 'dashboard.read' },
+    { href: '/admin/audit',             label: 'Audit Trail',  icon: '📝', color: '#10b981', perm: 'audit.read' },
+    { href: '/admin/financials',        label: 'Financials',   icon: '💰', color: '#22c55e', perm: 'financials.read' },
+    { href: '/admin/tournaments/manage',label: 'Tournaments',  icon: '🏆', color: '#eab308', perm: 'tournaments.read' },
+    { href: '/admin/reviews',           label: 'Reviews',      icon: '⭐', color: '#f59e0b', perm: 'reviews.read' },
+    { href: '/admin/toggles',           label: 'Toggles',      icon: '🎚️', color: '#14b8a6', perm: 'settings.read' },
+    { href: '/admin/formats',           label: 'Game Formats', icon: '🪜', color: '#84cc16', perm: 'settings.read' },
+    { href: '/admin/live',              label: 'Live Shows',   icon: '🔴', color: '#dc2626', perm: 'live_shows.read' },
+    { href: '/admin/messaging',         label: 'Messaging',    icon: '📨', color: '#f97316', perm: 'messaging.read' },
+    { href: '/admin/watchlist',         label: 'Watchlist',    icon: '🎯', color: '#ef4444', perm: 'watchlist.read' },
+    { href: '/admin/content',           label: 'Site Content', icon: '✏️', color: '#3b82f6', perm: 'content.read' },
+    { href: '/admin/questions',         label: 'Questions',    icon: '❓', color: '#0ea5e9', perm: 'questions.read' },
+    { href: '/admin/rotation',          label: 'Rotation',     icon: '🔄', color: '#a855f7', perm: 'questions.read' },
+    { href: '/admin/roles',             label: 'Roles',        icon: '🔐', color: '#64748b', perm: 'admins.read' }
   ];
 
   var CSS = [
@@ -85,6 +98,31 @@
     '  #wutAdminNav:not(.open) .wan-logout{display:none}',
     '}',
     '@media(max-width:400px){#wutAdminNav.open .wan-links{grid-template-columns:1fr}}',
+    '#wutAdminNav .wan-2fa{flex-shrink:0;padding:6px 12px;border-radius:7px;',
+    '  font-size:12.5px;font-weight:600;cursor:pointer;color:#98a2b8;',
+    '  background:transparent;border:1px solid rgba(255,255,255,.14);font-family:inherit}',
+    '#wutAdminNav .wan-2fa:hover{color:#fff;background:rgba(255,255,255,.07)}',
+    '#wutAdminNav .wan-2fa.on{color:#86efac;border-color:rgba(34,197,94,.4)}',
+    '@media(max-width:820px){#wutAdminNav:not(.open) .wan-2fa{display:none}',
+    '  #wutAdminNav.open .wan-2fa{order:4;width:100%}}',
+    /* confirm-it's-you and 2FA setup dialogs */
+    '.wan-modal{position:fixed;inset:0;z-index:1000;background:rgba(0,0,0,.6);',
+    '  display:flex;align-items:center;justify-content:center;padding:16px}',
+    '.wan-modal .wan-box{background:#161a23;color:#e8eaf0;border:1px solid rgba(255,255,255,.1);',
+    '  border-radius:12px;padding:22px;width:100%;max-width:380px;font-size:14px;line-height:1.45}',
+    '.wan-modal h3{margin:0 0 8px;font-size:16px}',
+    '.wan-modal p{margin:0 0 12px;color:#98a2b8}',
+    '.wan-modal input{width:100%;box-sizing:border-box;padding:10px 12px;margin-bottom:10px;',
+    '  border-radius:8px;border:1px solid rgba(255,255,255,.14);background:#0f1117;',
+    '  color:#e8eaf0;font-size:16px;letter-spacing:2px;font-family:inherit}',
+    '.wan-modal .wan-err{color:#f2a2a8;font-size:13px;min-height:18px;margin-bottom:6px}',
+    '.wan-modal .wan-actions{display:flex;gap:8px;justify-content:flex-end}',
+    '.wan-modal button{padding:8px 14px;border-radius:8px;border:1px solid rgba(255,255,255,.14);',
+    '  background:transparent;color:#e8eaf0;cursor:pointer;font-family:inherit;font-weight:600}',
+    '.wan-modal button.primary{background:#6366f1;border-color:#6366f1}',
+    '.wan-modal img{display:block;margin:0 auto 10px;border-radius:8px;background:#fff}',
+    '.wan-modal code{display:block;word-break:break-all;background:#0f1117;padding:8px;',
+    '  border-radius:6px;margin-bottom:10px;font-size:12.5px}',
     /* legacy inline nav rows are hidden rather than fought with */
     '.wan-legacy-hidden{display:none !important}'
   ].join('\n');
@@ -116,12 +154,237 @@
     return item.exact ? here === item.href : here === item.href;
   }
 
-  function build() {
-    if (document.getElementById('wutAdminNav')) return;
+  // What the signed-in admin may open. The login response seeds it so the
+  // first paint is right; /admin/api/me refreshes it, because a role can be
+  // edited while someone is signed in.
+  function cachedAdmin() {
+    try { return JSON.parse(localStorage.getItem('adminInfo') || 'null'); } catch (e) { return null; }
+  }
 
+  function allowed(item, admin) {
+    // Legacy token logins carry no permissions; show everything until /me answers
+    if (!item.perm || !admin || !admin.permissions) return true;
+    if (admin.superAdmin || /^super[_ ]admin$/i.test(admin.role || '')) return true;
+    var parts = item.perm.split('.');
+    var resource = admin.permissions[parts[0]];
+    return !!(resource && resource[parts[1]] === true);
+  }
+
+  function applyPermissions(nav, admin) {
+    Array.prototype.forEach.call(nav.querySelectorAll('a.wan-link'), function (a) {
+      var item = NAV_ITEMS.filter(function (i) { return i.href === a.getAttribute('href'); })[0];
+      a.style.display = item && !allowed(item, admin) ? 'none' : '';
+    });
+  }
+
+  function refreshPermissions(nav) {
+    var token;
+    try {
+      token = localStorage.getItem('adminSessionToken') || localStorage.getItem('adminToken');
+    } catch (e) { token = null; }
+    if (!token || !window.fetch) return;
+    fetch('/admin/api/me', { headers: { 'Authorization': 'Bearer ' + token } })
+      .then(function (r) { return r.ok ? r.json() : null; })
+      .then(function (d) {
+        if (!d || !d.success) return;
+        var info = cachedAdmin() || {};
+        info.role = d.admin.role;
+        info.superAdmin = d.admin.superAdmin;
+        info.permissions = d.admin.permissions;
+        info.twoFactor = d.admin.twoFactor;
+        try { localStorage.setItem('adminInfo', JSON.stringify(info)); } catch (e) {}
+        applyPermissions(nav, info);
+        nav.querySelector('.wan-2fa').classList.toggle('on', !!info.twoFactor);
+        if (d.admin.twoFactorRequired && !d.admin.twoFactor) openTwoFactor();
+      })
+      .catch(function () {});
+  }
+
+  // ------------------------------------------------------------
+  // Two-factor auth and step-up
+  // ------------------------------------------------------------
+  function sessionToken() {
+    try {
+      return localStorage.getItem('adminSessionToken') || localStorage.getItem('adminToken');
+    } catch (e) { return null; }
+  }
+
+  function escapeHtml(s) {
+    return String(s == null ? '' : s).replace(/[&<>"']/g, function (c) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+    });
+  }
+
+  function ensureStyles() {
+    if (document.getElementById('wutAdminNavStyle')) return;
     var style = document.createElement('style');
+    style.id = 'wutAdminNavStyle';
     style.textContent = CSS;
     document.head.appendChild(style);
+  }
+
+  function openModal(html) {
+    ensureStyles();
+    var overlay = document.createElement('div');
+    overlay.className = 'wan-modal';
+    overlay.innerHTML = '<div class="wan-box" role="dialog" aria-modal="true">' + html + '</div>';
+    document.body.appendChild(overlay);
+    var input = overlay.querySelector('input');
+    if (input) input.focus();
+    return overlay;
+  }
+
+  function api(path, body) {
+    return fetch('/admin/api/' + path, {
+      method: body ? 'POST' : 'GET',
+      headers: { 'Authorization': 'Bearer ' + sessionToken(), 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    }).then(function (r) { return r.json(); });
+  }
+
+  // One prompt at a time: calls refused together all wait on the same answer
+  var pendingStepUp = null;
+
+  function stepUp(action, twoFactor) {
+    if (pendingStepUp) return pendingStepUp;
+    if (twoFactor === undefined) twoFactor = !!(cachedAdmin() || {}).twoFactor;
+
+    pendingStepUp = new Promise(function (resolve) {
+      var overlay = openModal(
+        '<h3>Confirm it\'s you</h3>' +
+        '<p>' + (action ? escapeHtml(action) + ' needs a fresh confirmation. ' : '') +
+        (twoFactor ? 'Enter the code from your authenticator app (or a recovery code).'
+                   : 'Enter your admin password (or the admin token, if you sign in with it).') + '</p>' +
+        '<input type="password" autocomplete="' + (twoFactor ? 'one-time-code' : 'current-password') + '">' +
+        '<div class="wan-err"></div>' +
+        '<div class="wan-actions"><button type="button" data-act="cancel">Cancel</button>' +
+        '<button type="button" class="primary" data-act="ok">Confirm</button></div>'
+      );
+      var input = overlay.querySelector('input');
+      var err = overlay.querySelector('.wan-err');
+
+      function done(ok) {
+        overlay.remove();
+        pendingStepUp = null;
+        resolve(ok);
+      }
+      function submit() {
+        var value = input.value.trim();
+        if (!value) return;
+        api('step-up', { code: value, password: value, action: action || null })
+          .then(function (d) {
+            if (d.success) return done(true);
+            err.textContent = d.error || 'That didn\'t match';
+            input.value = '';
+            input.focus();
+          })
+          .catch(function () { err.textContent = 'Could not reach the server'; });
+      }
+      overlay.querySelector('[data-act="ok"]').addEventListener('click', submit);
+      overlay.querySelector('[data-act="cancel"]').addEventListener('click', function () { done(false); });
+      input.addEventListener('keydown', function (e) { if (e.key === 'Enter') submit(); });
+    });
+    return pendingStepUp;
+  }
+
+  function showRecoveryCodes(overlay, codes) {
+    overlay.querySelector('.wan-box').innerHTML =
+      '<h3>Two-factor authentication is on</h3>' +
+      '<p>Save these recovery codes somewhere safe. Each works once if you lose your phone — they won\'t be shown again.</p>' +
+      '<code>' + codes.map(escapeHtml).join('<br>') + '</code>' +
+      '<div class="wan-actions"><button type="button" class="primary" data-act="close">I\'ve saved them</button></div>';
+    overlay.querySelector('[data-act="close"]').addEventListener('click', function () { overlay.remove(); });
+  }
+
+  function openTwoFactor() {
+    api('2fa/status').then(function (status) {
+      if (!status.success) return;
+      var overlay;
+
+      if (status.enabled) {
+        overlay = openModal(
+          '<h3>Two-factor authentication</h3>' +
+          '<p>On since ' + escapeHtml(new Date(status.enabledAt).toLocaleDateString()) + '. ' +
+          status.recoveryCodesLeft + ' recovery code' + (status.recoveryCodesLeft === 1 ? '' : 's') + ' left.</p>' +
+          (status.required ? '<p>2FA is required for every admin.</p>'
+            : '<input type="password" placeholder="Code to turn it off" autocomplete="one-time-code">') +
+          '<div class="wan-err"></div>' +
+          '<div class="wan-actions"><button type="button" data-act="close">Close</button>' +
+          (status.required ? '' : '<button type="button" data-act="off">Turn off</button>') + '</div>'
+        );
+        overlay.querySelector('[data-act="close"]').addEventListener('click', function () { overlay.remove(); });
+        var off = overlay.querySelector('[data-act="off"]');
+        if (off) {
+          off.addEventListener('click', function () {
+            api('2fa/disable', { code: overlay.querySelector('input').value.trim() }).then(function (d) {
+              if (!d.success) { overlay.querySelector('.wan-err').textContent = d.error; return; }
+              overlay.remove();
+              var nav = document.getElementById('wutAdminNav');
+              if (nav) refreshPermissions(nav);
+            });
+          });
+        }
+        return;
+      }
+
+      api('2fa/setup', {}).then(function (setup) {
+        if (!setup.success) { notice(setup.error); return; }
+        overlay = openModal(
+          '<h3>Set up two-factor authentication</h3>' +
+          '<p>Scan this with Google Authenticator, Authy or 1Password, then enter the 6-digit code it shows.</p>' +
+          '<img src="' + setup.qrDataUrl + '" width="180" height="180" alt="QR code">' +
+          '<code>' + escapeHtml(setup.secret) + '</code>' +
+          '<input type="text" inputmode="numeric" maxlength="6" placeholder="123456" autocomplete="one-time-code">' +
+          '<div class="wan-err"></div>' +
+          '<div class="wan-actions"><button type="button" data-act="cancel">Cancel</button>' +
+          '<button type="button" class="primary" data-act="ok">Turn on</button></div>'
+        );
+        overlay.querySelector('[data-act="cancel"]').addEventListener('click', function () { overlay.remove(); });
+        overlay.querySelector('[data-act="ok"]').addEventListener('click', function () {
+          api('2fa/confirm', { code: overlay.querySelector('input').value.trim() }).then(function (d) {
+            if (!d.success) { overlay.querySelector('.wan-err').textContent = d.error; return; }
+            showRecoveryCodes(overlay, d.recoveryCodes);
+            var nav = document.getElementById('wutAdminNav');
+            if (nav) refreshPermissions(nav);
+          });
+        });
+      });
+    }).catch(function () {});
+  }
+
+  // Pages don't share a toast helper, so errors outside a dialog get a small one
+  function notice(message) {
+    var overlay = openModal('<h3>Two-factor authentication</h3><p>' + escapeHtml(message || 'Something went wrong') + '</p>' +
+      '<div class="wan-actions"><button type="button" data-act="close">Close</button></div>');
+    overlay.querySelector('[data-act="close"]').addEventListener('click', function () { overlay.remove(); });
+  }
+
+  // fetch for admin API calls that may need a step-up: refused for one, it
+  // is sent again once after the admin confirms; a missing enrolment
+  // (ADMIN_2FA_REQUIRED) opens setup. Takes a URL string, and init is
+  // sent twice, so its body must be a string, not a stream.
+  window.adminFetch = function (url, init) {
+    return fetch(url, init).then(function (res) {
+      if (res.status !== 403) return res;
+      return res.clone().json().then(function (body) {
+        if (body && body.mfaEnrolmentRequired) {
+          openTwoFactor();
+          return res;
+        }
+        if (!body || !body.stepUpRequired) return res;
+        return stepUp(null, body.twoFactor).then(function (ok) {
+          return ok ? fetch(url, init) : res;
+        });
+      }, function () { return res; });
+    });
+  };
+
+  window.wutStepUp = function (action) { return stepUp(action); };
+
+  function build() {
+    if (document.getElementById('wutAdminNav')) return;
+
+    ensureStyles();
 
     var nav = document.createElement('nav');
     nav.id = 'wutAdminNav';
@@ -139,10 +402,13 @@
         '<span class="wan-brand">🎮 <span>WUT Admin</span></span>' +
         '<button type="button" class="wan-toggle" aria-expanded="false">☰ Menu</button>' +
         '<div class="wan-links">' + links + '</div>' +
+        '<button type="button" class="wan-2fa" title="Two-factor authentication">🔒 2FA</button>' +
         '<button type="button" class="wan-logout">🚪 Logout</button>' +
       '</div>';
 
     document.body.insertBefore(nav, document.body.firstChild);
+    applyPermissions(nav, cachedAdmin());
+    refreshPermissions(nav);
 
     var toggle = nav.querySelector('.wan-toggle');
     toggle.addEventListener('click', function () {
@@ -151,6 +417,8 @@
       toggle.innerHTML = open ? '✕ Close' : '☰ Menu';
     });
 
+    nav.querySelector('.wan-2fa').addEventListener('click', openTwoFactor);
+
     nav.querySelector('.wan-logout').addEventListener('click', function () {
       // Each page defines its own logout(); fall back to clearing the
       // session token ourselves if it doesn't.